@@ -3,8 +3,15 @@
  *
  * Responsibilities:
  *   • "Odrzuć / Usuń" button on the dashboard (AJAX reject + blacklist)
- *   • "Pokaż odrzucone" checkbox toggle
- *   • "Reindeksuj teraz" button on the settings page (AJAX trigger)
+ *   • Active Links table: AJAX paging, sorting, filters, cluster view,
+ *     bulk actions
+ *   • Blacklist page: add rules, remove entries
+ *   • Custom URLs page: add / edit / delete, own link rule per URL
+ *   • Analytics page: interactive link graph
+ *   • Threshold simulator: sliders, live what-if preview, histogram
+ *   • History page: roll back a run
+ *   • "Reindeksuj teraz" button on the settings page: starts a background
+ *     job and polls its progress (also resumed on page load)
  *   • Lightweight notice helper (WP-style green/red bar)
  *
  * Dependencies: jQuery (enqueued by WordPress core in admin)
@@ -46,7 +53,7 @@
 					if ( res.success ) {
 						var $row = $btn.closest( 'tr' );
 
-						/* Mark row as rejected (hidden unless toggle is on) */
+						/* Mark row as rejected (greyed out until the next reload) */
 						$row.addClass( 'sl-row-rejected' );
 						$row.attr( 'data-status', 'rejected' );
 
@@ -123,54 +130,6 @@
 			} );
 		} );
 
-		/* ── 2. Show / hide rejected rows (with localStorage persistence) ── */
-		( function() {
-			var $checkbox = $( '#sl-show-rejected' );
-			var $table    = $( '#sl-links-table' );
-			var storageKey = 'sl_show_rejected';
-
-			// Restore state from localStorage on page load
-			if ( $checkbox.length ) {
-				var savedState = localStorage.getItem( storageKey );
-				// If no saved state, default to checked (true)
-				var isChecked = savedState === null ? true : savedState === 'true';
-
-				$checkbox.prop( 'checked', isChecked );
-				$table.toggleClass( 'sl-show-rejected', isChecked );
-			}
-
-			// Save state on change
-			$checkbox.on( 'change', function() {
-				var isChecked = $( this ).is( ':checked' );
-				localStorage.setItem( storageKey, isChecked );
-				$table.toggleClass( 'sl-show-rejected', isChecked );
-			} );
-		} )();
-
-		/* ── 2a. Show / hide filtered rows (AI) (with localStorage persistence) ── */
-		( function() {
-			var $checkbox = $( '#sl-show-filtered' );
-			var $table    = $( '#sl-links-table' );
-			var storageKey = 'sl_show_filtered';
-
-			// Restore state from localStorage on page load
-			if ( $checkbox.length ) {
-				var savedState = localStorage.getItem( storageKey );
-				// If no saved state, default to checked (true)
-				var isChecked = savedState === null ? true : savedState === 'true';
-
-				$checkbox.prop( 'checked', isChecked );
-				$table.toggleClass( 'sl-show-filtered', isChecked );
-			}
-
-			// Save state on change
-			$checkbox.on( 'change', function() {
-				var isChecked = $( this ).is( ':checked' );
-				localStorage.setItem( storageKey, isChecked );
-				$table.toggleClass( 'sl-show-filtered', isChecked );
-			} );
-		} )();
-
 		/* ── 2b. Delete all links ────────────────────────────────── */
 		$( '#sl-btn-delete-all' ).on( 'click', function() {
 			if ( ! window.confirm(
@@ -207,234 +166,217 @@
 			} );
 		} );
 
-		/* ── 3. Manual re-index with progress (settings page) ───── */
+		/* ── 3. Re-index as a background job (settings page) ─────── */
+		// The pipeline runs on the server (SL_Jobs); the page only starts
+		// it and polls its status, so closing the tab does not stop it.
+		var JOB_POLL_MS         = 2000;
 		var isIndexingCancelled = false;
+		var jobPollTimer        = null;
+		var jobLastWarning      = '';
+
+		function setPhaseBar( phase, percent, text, opacity ) {
+			$( '#sl-progress-' + phase + '-bar' ).css( 'width', percent + '%' );
+			$( '#sl-progress-' + phase + '-percent' ).text( percent + '%' );
+			$( '#sl-progress-' + phase + '-text' ).text( text );
+			$( '#sl-progress-' + phase ).css( 'opacity', opacity );
+		}
 
-		$( '#sl-btn-reindex' ).on( 'click', function() {
-			var $btn       = $( this );
-			var $cancelBtn = $( '#sl-btn-cancel' );
-			var $status    = $( '#sl-reindex-status' );
-			var $progress  = $( '#sl-progress-wrap' );
+		function resetJobProgress() {
+			$( '#sl-progress-wrap' ).show();
+			setPhaseBar( 'indexing', 0, 'Inicjalizacja...', '1' );
+			setPhaseBar( 'matching', 0, 'Oczekiwanie...', '0.5' );
+			// Filtering is shown only when the AI filter phase starts
+			setPhaseBar( 'filtering', 0, 'Oczekiwanie...', '0.5' );
+			$( '#sl-progress-filtering' ).hide();
+		}
 
-			isIndexingCancelled = false;
+		function setJobRunning( running ) {
+			$( '#sl-btn-reindex' ).prop( 'disabled', running )
+				.text( running ? '↻ Przetwarzanie…' : '↻ Reindeksuj teraz' );
+			$( '#sl-btn-cancel' ).toggle( running );
+		}
+
+		/* Update the three progress bars from a job (SL_Jobs::status()) */
+		function renderJob( job ) {
+			var percent = job.percent || 0;
+			var done    = '✓ Zakończono';
+
+			if ( job.phase === 'indexing' ) {
+				setPhaseBar( 'indexing', percent, job.message || 'Indeksowanie...', '1' );
+			} else if ( job.phase === 'matching' ) {
+				setPhaseBar( 'indexing', 100, done, '0.7' );
+				setPhaseBar( 'matching', percent, job.message || 'Dopasowywanie...', '1' );
+			} else if ( job.phase === 'filtering' ) {
+				setPhaseBar( 'indexing', 100, done, '0.7' );
+				setPhaseBar( 'matching', 100, done, '0.7' );
+				$( '#sl-progress-filtering' ).show();
+				setPhaseBar( 'filtering', percent, job.message || 'Filtrowanie AI...', '1' );
+			} else if ( job.complete ) {
+				setPhaseBar( 'indexing', 100, done, '0.7' );
+				setPhaseBar( 'matching', 100, done, '0.7' );
+				if ( $( '#sl-progress-filtering' ).is( ':visible' ) ) {
+					setPhaseBar( 'filtering', 100, done, '0.7' );
+				}
+			}
+
+			// Show API warning once (e.g., Gemini API errors)
+			if ( job.warning && job.warning !== jobLastWarning ) {
+				jobLastWarning = job.warning;
+				showNotice( 'warning', job.warning );
+			}
+		}
+
+		function renderJobHistory( history ) {
+			var $wrap  = $( '#sl-job-history' );
+			var $tbody = $wrap.find( 'tbody' ).empty();
+
+			$.each( history || [], function( i, job ) {
+				$tbody.append(
+					$( '<tr>' ).append(
+						$( '<td>' ).text( job.started_at ),
+						$( '<td>' ).append(
+							$( '<span class="sl-job-status">' ).addClass( 'sl-job-' + job.status ).text( job.status_label )
+						),
+						$( '<td>' ).text( job.status === 'failed' ? job.error : job.message ).append(
+							job.usage ? [ '<br>', $( '<span class="sl-muted">' ).text( job.usage ) ] : []
+						)
+					)
+				);
+			} );
+
+			$wrap.toggle( $tbody.children().length > 0 );
+		}
+
+		function scheduleJobPoll( delay ) {
+			clearTimeout( jobPollTimer );
+			jobPollTimer = setTimeout( function() {
+				pollJob( false );
+			}, delay );
+		}
+
+		/**
+		 * Poll the job status.  quiet = page load: only pick up a job that
+		 * is still running, do not report one that finished earlier.
+		 */
+		function pollJob( quiet ) {
+			if ( isIndexingCancelled ) {
+				return;
+			}
 
-			// Separate progress bars for each phase
-			var $indexingSection  = $( '#sl-progress-indexing' );
-			var $indexingBar      = $( '#sl-progress-indexing-bar' );
-			var $indexingText     = $( '#sl-progress-indexing-text' );
-			var $indexingPercent  = $( '#sl-progress-indexing-percent' );
-
-			var $matchingSection  = $( '#sl-progress-matching' );
-			var $matchingBar      = $( '#sl-progress-matching-bar' );
-			var $matchingText     = $( '#sl-progress-matching-text' );
-			var $matchingPercent  = $( '#sl-progress-matching-percent' );
-
-			var $filteringSection = $( '#sl-progress-filtering' );
-			var $filteringBar     = $( '#sl-progress-filtering-bar' );
-			var $filteringText    = $( '#sl-progress-filtering-text' );
-			var $filteringPercent = $( '#sl-progress-filtering-percent' );
-
-			// Show progress wrapper and reset all bars
-			if ( $progress.length ) {
-				$progress.show();
-
-				// Reset indexing
-				$indexingBar.css( 'width', '0%' );
-				$indexingText.text( 'Inicjalizacja...' );
-				$indexingPercent.text( '0%' );
-				$indexingSection.css( 'opacity', '1' );
-
-				// Reset matching
-				$matchingBar.css( 'width', '0%' );
-				$matchingText.text( 'Oczekiwanie...' );
-				$matchingPercent.text( '0%' );
-				$matchingSection.css( 'opacity', '0.5' );
-
-				// Reset filtering (hidden by default)
-				$filteringSection.hide();
-				$filteringBar.css( 'width', '0%' );
-				$filteringText.text( 'Oczekiwanie...' );
-				$filteringPercent.text( '0%' );
-			}
-
-			$btn.prop( 'disabled', true ).text( '\u21BB Przetwarzanie\u2026' );
-			$cancelBtn.show();
-			$status.text( '' );
-
-			// Step 1: Start indexing (initialize)
 			$.ajax( {
 				url  : slAjax.url,
 				type : 'POST',
 				data : {
-					action : 'sl_start_indexing',
+					action : 'sl_job_status',
 					nonce  : slAjax.nonce
 				},
 				success : function( res ) {
-					if ( res.success ) {
-						$indexingText.text( res.data.message );
-						// Start processing batches
-						processBatch();
+					if ( isIndexingCancelled ) {
+						return;
+					}
+					if ( ! res.success ) {
+						handleJobError( res.data );
+						return;
+					}
+
+					var job = res.data.job;
+
+					if ( res.data.running && job ) {
+						if ( quiet ) {
+							resetJobProgress();
+							setJobRunning( true );
+							$( '#sl-reindex-status' ).text( 'Indeksacja działa w tle (od ' + job.started_at + ').' ).css( 'color', '#666' );
+						}
+						renderJob( job );
+						scheduleJobPoll( JOB_POLL_MS );
+						return;
+					}
+
+					if ( quiet || ! job ) {
+						return;
+					}
+
+					renderJobHistory( res.data.history );
+
+					if ( job.status === 'complete' ) {
+						renderJob( job );
+						$( '#sl-reindex-status' ).text( '✓ ' + job.message ).css( 'color', '#155724' );
+						setJobRunning( false );
+						showNotice( 'success', job.message );
+
+						// Hide progress after 3s
+						setTimeout( function() {
+							$( '#sl-progress-wrap' ).fadeOut();
+						}, 3000 );
+					} else if ( job.status === 'failed' ) {
+						handleJobError( job.error || job.message );
 					} else {
-						handleError( res.data );
+						// Cancelled elsewhere (another tab, WP-CLI, "Usuń wszystkie linki")
+						setJobRunning( false );
+						$( '#sl-reindex-status' ).text( job.message ).css( 'color', '#856404' );
+						$( '#sl-progress-wrap' ).hide();
 					}
 				},
 				error : function() {
-					handleError( 'Błąd połączenia z serwerem.' );
+					// The job keeps running on the server – just ask again later
+					$( '#sl-reindex-status' ).text( 'Brak połączenia – ponawiam...' ).css( 'color', '#856404' );
+					scheduleJobPoll( JOB_POLL_MS * 3 );
 				}
 			} );
+		}
 
-			// Step 2: Process batches recursively
-			function processBatch() {
-				// Check if cancelled
-				if ( isIndexingCancelled ) {
-					return;
-				}
-
-				$.ajax( {
-					url     : slAjax.url,
-					type    : 'POST',
-					timeout : 120000,  // 2 min per batch
-					data    : {
-						action : 'sl_process_batch',
-						nonce  : slAjax.nonce
-					},
-					success : function( res ) {
-						if ( res.success ) {
-							var data = res.data;
-							var percent = data.percent || 0;
+		function handleJobError( msg ) {
+			$( '#sl-reindex-status' ).text( '✗ Błąd serwera' ).css( 'color', '#a32d2d' );
+			setJobRunning( false );
+			showNotice( 'error', msg + ' — sprawdź Debug Logs poniżej.' );
+			// Auto-expand debug section on error
+			$( '#sl-debug-content' ).slideDown( 200 );
+			$( '#sl-debug-arrow' ).css( 'transform', 'rotate(90deg)' );
+			$( '#sl-progress-wrap' ).hide();
+		}
 
-							// Show API warning if present (e.g., Gemini API errors)
-							if ( data.warning ) {
-								showNotice( 'warning', data.warning );
-							}
+		$( '#sl-btn-reindex' ).on( 'click', function() {
+			isIndexingCancelled = false;
+			jobLastWarning      = '';
 
-							// Update progress bars based on current phase
-							if ( data.phase === 'indexing' ) {
-								$indexingBar.css( 'width', percent + '%' );
-								$indexingPercent.text( percent + '%' );
-								$indexingText.text( data.message || 'Indeksowanie...' );
-								$indexingSection.css( 'opacity', '1' );
-							} else if ( data.phase === 'matching' ) {
-								// Indexing complete - show 100%
-								$indexingBar.css( 'width', '100%' );
-								$indexingPercent.text( '100%' );
-								$indexingText.text( '✓ Zakończono' );
-								$indexingSection.css( 'opacity', '0.7' );
-
-								// Update matching progress
-								$matchingSection.css( 'opacity', '1' );
-								$matchingBar.css( 'width', percent + '%' );
-								$matchingPercent.text( percent + '%' );
-								$matchingText.text( data.message || 'Dopasowywanie...' );
-							} else if ( data.phase === 'filtering' ) {
-								// Indexing & matching complete
-								$indexingBar.css( 'width', '100%' );
-								$indexingPercent.text( '100%' );
-								$indexingText.text( '✓ Zakończono' );
-								$indexingSection.css( 'opacity', '0.7' );
-
-								$matchingBar.css( 'width', '100%' );
-								$matchingPercent.text( '100%' );
-								$matchingText.text( '✓ Zakończono' );
-								$matchingSection.css( 'opacity', '0.7' );
-
-								// Show and update filtering progress
-								$filteringSection.show().css( 'opacity', '1' );
-								$filteringBar.css( 'width', percent + '%' );
-								$filteringPercent.text( percent + '%' );
-								$filteringText.text( data.message || 'Filtrowanie AI...' );
-							}
+			resetJobProgress();
+			setJobRunning( true );
+			$( '#sl-reindex-status' ).text( '' );
 
-							// Check if complete
-							if ( data.complete ) {
-								// Mark all phases as complete
-								$indexingBar.css( 'width', '100%' );
-								$indexingPercent.text( '100%' );
-								$indexingText.text( '✓ Zakończono' );
-								$indexingSection.css( 'opacity', '0.7' );
-
-								$matchingBar.css( 'width', '100%' );
-								$matchingPercent.text( '100%' );
-								$matchingText.text( '✓ Zakończono' );
-								$matchingSection.css( 'opacity', '0.7' );
-
-								if ( $filteringSection.is( ':visible' ) ) {
-									$filteringBar.css( 'width', '100%' );
-									$filteringPercent.text( '100%' );
-									$filteringText.text( '✓ Zakończono' );
-									$filteringSection.css( 'opacity', '0.7' );
-								}
-
-								$status.text( '\u2713 ' + data.message ).css( 'color', '#155724' );
-								$btn.prop( 'disabled', false ).text( '\u21BB Reindeksuj teraz' );
-								$cancelBtn.hide();
-								showNotice( 'success', data.message );
-
-								// Hide progress after 3s
-								setTimeout( function() {
-									if ( $progress.length ) {
-										$progress.fadeOut();
-									}
-								}, 3000 );
-							} else if ( data.rate_limited ) {
-								// Gemini API rate limit – wait and retry same batch (progress not advanced)
-								var retryMs = ( data.retry_after || 2 ) * 1000;
-								$indexingText.text( data.message || 'Limit API – ponawianie...' );
-								setTimeout( processBatch, retryMs );
-							} else {
-								// Continue with next batch
-								processBatch();
-							}
-						} else {
-							handleError( res.data );
-						}
-					},
-					error : function( xhr, status, error ) {
-						// On timeout or error, try to continue
-						if ( status === 'timeout' ) {
-							$indexingText.text( 'Timeout - ponawiam...' );
-							setTimeout( processBatch, 1000 );
-						} else {
-							// Extract PHP error details from response body
-							var detail = '';
-							if ( xhr.responseText ) {
-								try {
-									var parsed = JSON.parse( xhr.responseText );
-									if ( parsed.data ) { detail = parsed.data; }
-								} catch ( e ) {
-									var raw = xhr.responseText.replace( /<[^>]+>/g, '' ).trim();
-									if ( raw.length > 0 ) { detail = raw.substring( 0, 300 ); }
-								}
-							}
-							handleError( detail || ( 'HTTP ' + xhr.status + ' ' + error ) );
-							refreshDebugLogs(); // Auto-refresh logs so user can see the cause
-						}
+			$.ajax( {
+				url  : slAjax.url,
+				type : 'POST',
+				data : {
+					action : 'sl_job_start',
+					nonce  : slAjax.nonce
+				},
+				success : function( res ) {
+					if ( res.success ) {
+						$( '#sl-reindex-status' ).text( 'Indeksacja działa w tle – możesz zamknąć tę kartę.' ).css( 'color', '#666' );
+						renderJob( res.data.job );
+						scheduleJobPoll( JOB_POLL_MS );
+					} else {
+						handleJobError( res.data );
 					}
-				} );
-			}
-
-			function handleError( msg ) {
-				$status.text( '✗ Błąd serwera' ).css( 'color', '#a32d2d' );
-				$btn.prop( 'disabled', false ).text( '↻ Reindeksuj teraz' );
-				$cancelBtn.hide();
-				showNotice( 'error', msg + ' — sprawdź Debug Logs poniżej.' );
-				// Auto-expand debug section on error
-				$( '#sl-debug-content' ).slideDown( 200 );
-				$( '#sl-debug-arrow' ).css( 'transform', 'rotate(90deg)' );
-				if ( $progress.length ) {
-					$progress.hide();
+				},
+				error : function() {
+					handleJobError( 'Błąd połączenia z serwerem.' );
 				}
-			}
+			} );
 		} );
 
+		/* Resume the progress view of a job started earlier (or in another tab) */
+		if ( $( '#sl-btn-reindex' ).length ) {
+			pollJob( true );
+		}
+
 		/* ── Cancel indexing button ───────────────────────────────── */
 		$( '#sl-btn-cancel' ).on( 'click', function() {
 			var $cancelBtn = $( this );
-			var $btn       = $( '#sl-btn-reindex' );
 			var $status    = $( '#sl-reindex-status' );
-			var $progress  = $( '#sl-progress-wrap' );
 
 			isIndexingCancelled = true;
+			clearTimeout( jobPollTimer );
 			$cancelBtn.prop( 'disabled', true ).text( 'Anulowanie...' );
 
 			$.ajax( {
@@ -445,21 +387,17 @@
 					nonce  : slAjax.nonce
 				},
 				success : function( res ) {
-					$cancelBtn.hide().prop( 'disabled', false ).text( '✕ Anuluj proces' );
-					$btn.prop( 'disabled', false ).text( '\u21BB Reindeksuj teraz' );
+					$cancelBtn.prop( 'disabled', false ).text( '✕ Anuluj proces' );
+					setJobRunning( false );
 					$status.text( res.success ? res.data.message : 'Anulowano.' ).css( 'color', '#856404' );
-					if ( $progress.length ) {
-						$progress.hide();
-					}
+					$( '#sl-progress-wrap' ).hide();
 					showNotice( 'warning', 'Proces został anulowany.' );
 				},
 				error : function() {
-					$cancelBtn.hide().prop( 'disabled', false ).text( '✕ Anuluj proces' );
-					$btn.prop( 'disabled', false ).text( '\u21BB Reindeksuj teraz' );
+					$cancelBtn.prop( 'disabled', false ).text( '✕ Anuluj proces' );
+					setJobRunning( false );
 					$status.text( 'Błąd anulowania.' ).css( 'color', '#a32d2d' );
-					if ( $progress.length ) {
-						$progress.hide();
-					}
+					$( '#sl-progress-wrap' ).hide();
 				}
 			} );
 		} );
@@ -586,6 +524,40 @@
 
 		/* ── 5. Custom URLs CRUD ───────────────────────────────────── */
 
+		/**
+		 * Add the own link rule of a custom URL form to the AJAX data.
+		 * Without "Własne atrybuty linku" nothing is sent and the URL
+		 * inherits the rule from the settings.
+		 */
+		function addLinkRule( $scope, data ) {
+			if ( ! $scope.find( '.sl-rule-override' ).is( ':checked' ) ) {
+				return data;
+			}
+			data.link_rule_override = 1;
+			data.link_rule = {
+				rel    : $scope.find( '.sl-rule-rel:checked' ).map( function() {
+					return this.value;
+				} ).get(),
+				target : $scope.find( '.sl-rule-target' ).val(),
+				title  : $scope.find( '.sl-rule-title' ).is( ':checked' ) ? 1 : 0,
+				'class': $scope.find( '.sl-rule-class' ).val().trim()
+			};
+			return data;
+		}
+
+		// Rule fields are only editable with "Własne atrybuty linku"
+		function toggleLinkRule( $override ) {
+			$override.closest( '.sl-custom-rule' ).find( '.sl-link-rule' ).toggle( $override.is( ':checked' ) );
+		}
+
+		$( '.sl-rule-override' ).each( function() {
+			toggleLinkRule( $( this ) );
+		} );
+
+		$( document ).on( 'change', '.sl-rule-override', function() {
+			toggleLinkRule( $( this ) );
+		} );
+
 		// Add new custom URL
 		$( '#sl-btn-add-custom-url' ).on( 'click', function() {
 			var $btn      = $( this );
@@ -607,13 +579,13 @@
 			$.ajax( {
 				url  : slAjax.url,
 				type : 'POST',
-				data : {
+				data : addLinkRule( $( '#sl-custom-rule' ), {
 					action   : 'sl_add_custom_url',
 					nonce    : slAjax.nonce,
 					url      : url,
 					title    : title,
 					keywords : keywords
-				},
+				} ),
 				success : function( res ) {
 					if ( res.success ) {
 						showNotice( 'success', res.data.message );
@@ -709,14 +681,14 @@
 			$.ajax( {
 				url  : slAjax.url,
 				type : 'POST',
-				data : {
+				data : addLinkRule( $row.find( '.sl-custom-rule' ), {
 					action   : 'sl_update_custom_url',
 					nonce    : slAjax.nonce,
 					id       : id,
 					url      : url,
 					title    : title,
 					keywords : keywords
-				},
+				} ),
 				success : function( res ) {
 					if ( res.success ) {
 						showNotice( 'success', res.data.message );
@@ -790,6 +762,1283 @@
 			} );
 		} );
 
+		/* ── 8. Embedding provider switch (settings page) ────────────── */
+
+		$( '#sl_embedding_provider' ).on( 'change', function() {
+			var provider = $( this ).val();
+
+			$( '.sl-provider-row' ).hide();
+			$( '.sl-provider-' + provider ).show();
+		} );
+
+		/* ── 9. Active Links table – server-side paging / sorting / filters ── */
+		( function() {
+			var $table = $( '#sl-links-table' );
+			if ( ! $table.length ) {
+				return;
+			}
+
+			var $body    = $( '#sl-links-body' );
+			var $form    = $( '#sl-links-filters' );
+			var $pager   = $( '#sl-links-pagination' );
+			var viewKey  = 'sl_dashboard_view';
+			var request  = null;
+			var searchTimer;
+
+			var state = {
+				view    : localStorage.getItem( viewKey ) === 'clusters' ? 'clusters' : 'list',
+				page    : 1,
+				pages   : 1,
+				total   : 0,
+				orderby : '',
+				order   : 'desc'
+			};
+
+			/* Current filter form values as a plain object */
+			function filters() {
+				var data = {};
+				$.each( $form.serializeArray(), function( i, field ) {
+					data[ field.name ] = field.value;
+				} );
+				return data;
+			}
+
+			function message( text ) {
+				$body.html( '<tr class="sl-table-message"><td colspan="9"></td></tr>' )
+					.find( 'td' ).text( text );
+			}
+
+			function load() {
+				if ( request ) {
+					request.abort();
+				}
+
+				var data = $.extend( filters(), {
+					action  : state.view === 'clusters' ? 'sl_get_clusters' : 'sl_get_links',
+					nonce   : slAjax.nonce,
+					page    : state.page,
+					orderby : state.orderby,
+					order   : state.order
+				} );
+
+				$table.addClass( 'sl-loading' );
+				resetSelection();
+
+				request = $.post( slAjax.url, data )
+					.done( function( res ) {
+						if ( ! res.success ) {
+							message( res.data );
+							return;
+						}
+
+						state.pages = Math.max( 1, res.data.pages );
+						state.total = res.data.total;
+
+						if ( res.data.total === 0 ) {
+							message( 'Brak linków spełniających kryteria.' );
+						} else {
+							$body.html( res.data.html );
+						}
+						updatePager( res.data.total );
+					} )
+					.fail( function( xhr, status ) {
+						if ( status !== 'abort' ) {
+							message( 'Błąd serwera – spróbuj ponownie.' );
+						}
+					} )
+					.always( function() {
+						$table.removeClass( 'sl-loading' );
+					} );
+			}
+
+			function updatePager( total ) {
+				$pager.find( '.displaying-num' ).text(
+					total + ( state.view === 'clusters' ? ' klastrów' : ' linków' )
+				);
+				$pager.find( '.sl-page-current' ).text( state.page );
+				$pager.find( '.sl-page-total' ).text( state.pages );
+				$pager.find( '[data-page="first"], [data-page="prev"]' ).prop( 'disabled', state.page <= 1 );
+				$pager.find( '[data-page="next"], [data-page="last"]' ).prop( 'disabled', state.page >= state.pages );
+			}
+
+			function setView( view ) {
+				state.view    = view;
+				state.page    = 1;
+				state.orderby = '';
+				state.order   = 'desc';
+				localStorage.setItem( viewKey, view );
+
+				$table.toggleClass( 'sl-view-clusters', view === 'clusters' );
+				$form.find( '.sl-view-btn' ).each( function() {
+					$( this ).toggleClass( 'button-primary', $( this ).data( 'view' ) === view );
+				} );
+				$table.find( 'th.sorted' ).removeClass( 'sorted asc' ).addClass( 'sortable desc' );
+			}
+
+			// View switch
+			$form.on( 'click', '.sl-view-btn', function() {
+				setView( $( this ).data( 'view' ) );
+				load();
+			} );
+
+			// Filters
+			$form.on( 'submit', function( e ) {
+				e.preventDefault();
+				state.page = 1;
+				load();
+			} );
+			$form.on( 'change', 'select', function() {
+				$form.trigger( 'submit' );
+			} );
+			$form.on( 'input', '#sl-filter-search', function() {
+				clearTimeout( searchTimer );
+				searchTimer = setTimeout( function() {
+					$form.trigger( 'submit' );
+				}, 400 );
+			} );
+
+			// Column sorting
+			$table.on( 'click', 'th.sortable a, th.sorted a', function( e ) {
+				e.preventDefault();
+
+				var $th = $( this ).closest( 'th' );
+				var key = state.view === 'clusters' ? $th.data( 'cluster-sort' ) : $th.data( 'sort' );
+				if ( ! key ) {
+					return;
+				}
+
+				state.order   = ( state.orderby === key && state.order === 'desc' ) ? 'asc' : 'desc';
+				state.orderby = key;
+				state.page    = 1;
+
+				$table.find( 'th.sorted' ).removeClass( 'sorted asc' ).addClass( 'sortable desc' );
+				$th.removeClass( 'sortable asc desc' ).addClass( 'sorted ' + state.order );
+
+				load();
+			} );
+
+			// Pagination
+			$pager.on( 'click', '.sl-page-btn', function() {
+				var target = {
+					first : 1,
+					prev  : state.page - 1,
+					next  : state.page + 1,
+					last  : state.pages
+				}[ $( this ).data( 'page' ) ];
+
+				state.page = Math.min( Math.max( 1, target ), state.pages );
+				load();
+			} );
+
+			/* Cluster view: links are loaded when a cluster is opened */
+			function setOpen( $header, open ) {
+				$header.toggleClass( 'sl-cluster-open', open );
+				$header.find( '.sl-cluster-toggle' ).attr( 'aria-expanded', open ? 'true' : 'false' )
+					.find( '.dashicons' )
+					.toggleClass( 'dashicons-arrow-down-alt2', open )
+					.toggleClass( 'dashicons-arrow-right-alt2', ! open );
+			}
+
+			function loadCluster( $header, page ) {
+				var data = $.extend( filters(), {
+					action     : 'sl_get_links',
+					nonce      : slAjax.nonce,
+					target_url : $header.data( 'target-url' ),
+					row_class  : $header.hasClass( 'sl-cluster-even' ) ? 'sl-cluster-even' : 'sl-cluster-odd',
+					orderby    : 'similarity_score',
+					order      : 'desc',
+					page       : page,
+					per_page   : 50
+				} );
+
+				$header.addClass( 'sl-loading' );
+
+				$.post( slAjax.url, data )
+					.done( function( res ) {
+						if ( ! res.success ) {
+							showNotice( 'error', res.data );
+							return;
+						}
+
+						var $last = $header.nextUntil( '.sl-cluster-header' ).last();
+						var $rows = $( $.parseHTML( $.trim( res.data.html ) ) ).filter( 'tr' );
+						( $last.length ? $last : $header ).after( $rows );
+
+						// Rows of a selected cluster are selected with it
+						if ( selection.filter || $header.find( '.sl-cluster-check' ).prop( 'checked' ) ) {
+							$rows.find( '.sl-row-check' ).prop( { checked: true, disabled: true } );
+						}
+
+						if ( page < res.data.pages ) {
+							var left = res.data.total - page * 50;
+							$rows.last().after(
+								'<tr class="sl-cluster-more"><td colspan="9">' +
+								'<button type="button" class="button-link" data-page="' + ( page + 1 ) + '">' +
+								'Pokaż więcej (' + left + ')</button></td></tr>'
+							);
+						}
+
+						$header.data( 'loaded', true );
+						setOpen( $header, true );
+					} )
+					.fail( function() {
+						showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+					} )
+					.always( function() {
+						$header.removeClass( 'sl-loading' );
+					} );
+			}
+
+			$body.on( 'click', '.sl-cluster-header', function( e ) {
+				if ( $( e.target ).closest( 'a, input' ).length ) {
+					return;   // target URL link / selection checkbox
+				}
+
+				var $header = $( this );
+				if ( $header.hasClass( 'sl-loading' ) ) {
+					return;
+				}
+
+				if ( ! $header.data( 'loaded' ) ) {
+					loadCluster( $header, 1 );
+					return;
+				}
+
+				var open = ! $header.hasClass( 'sl-cluster-open' );
+				$header.nextUntil( '.sl-cluster-header' ).toggle( open );
+				setOpen( $header, open );
+			} );
+
+			$body.on( 'click', '.sl-cluster-more button', function() {
+				var $row    = $( this ).closest( 'tr' );
+				var $header = $row.prevAll( '.sl-cluster-header' ).first();
+				var page    = parseInt( $( this ).data( 'page' ), 10 );
+
+				$row.remove();
+				loadCluster( $header, page );
+			} );
+
+			/* Bulk actions: checked rows, checked clusters or the whole filter */
+			var $bulk     = $( '#sl-bulk-actions' );
+			var $selectPg = $( '#sl-select-page' );
+			var selection = { ids: {}, clusters: {}, filter: false };
+
+			function resetSelection() {
+				selection = { ids: {}, clusters: {}, filter: false };
+				$selectPg.prop( 'checked', false );
+				$body.find( 'input[type="checkbox"]' ).prop( { checked: false, disabled: false } );
+				updateSelection();
+			}
+
+			function updateSelection() {
+				var count = Object.keys( selection.ids ).length;
+				$.each( selection.clusters, function( url, size ) {
+					count += size;
+				} );
+
+				var any = selection.filter || count > 0;
+
+				$bulk.find( '.sl-bulk-count' ).text(
+					selection.filter ? 'Zaznaczono wszystkie linki pasujące do filtra' : ( count > 0 ? 'Zaznaczono: ' + count : '' )
+				);
+				$bulk.find( '.sl-bulk-clear' ).prop( 'hidden', ! any );
+				$bulk.find( '.sl-bulk-select-filter' )
+					.prop( 'hidden', selection.filter || ! $selectPg.prop( 'checked' ) || state.pages < 2 )
+					.text( state.view === 'clusters'
+						? 'Zaznacz linki ze wszystkich klastrów pasujących do filtra (' + state.total + ')'
+						: 'Zaznacz wszystkie linki pasujące do filtra (' + state.total + ')' );
+				$( '#sl-bulk-apply' ).prop( 'disabled', ! any );
+			}
+
+			function setClusterChecked( $header, checked ) {
+				var url = $header.data( 'target-url' );
+
+				$header.find( '.sl-cluster-check' ).prop( 'checked', checked );
+				$header.nextUntil( '.sl-cluster-header' ).find( '.sl-row-check' ).each( function() {
+					delete selection.ids[ this.value ];
+					$( this ).prop( { checked: checked, disabled: checked } );
+				} );
+
+				if ( checked ) {
+					selection.clusters[ url ] = parseInt( $header.data( 'count' ), 10 ) || 0;
+				} else {
+					delete selection.clusters[ url ];
+				}
+			}
+
+			$selectPg.on( 'change', function() {
+				if ( ! this.checked ) {
+					resetSelection();
+					return;
+				}
+
+				if ( state.view === 'clusters' ) {
+					$body.find( '.sl-cluster-header' ).each( function() {
+						setClusterChecked( $( this ), true );
+					} );
+				} else {
+					$body.find( '.sl-row-check' ).each( function() {
+						selection.ids[ this.value ] = true;
+					} ).prop( 'checked', true );
+				}
+				updateSelection();
+			} );
+
+			$body.on( 'change', '.sl-row-check', function() {
+				if ( this.checked ) {
+					selection.ids[ this.value ] = true;
+				} else {
+					delete selection.ids[ this.value ];
+					$selectPg.prop( 'checked', false );
+				}
+				updateSelection();
+			} );
+
+			$body.on( 'change', '.sl-cluster-check', function() {
+				setClusterChecked( $( this ).closest( '.sl-cluster-header' ), this.checked );
+				if ( ! this.checked ) {
+					$selectPg.prop( 'checked', false );
+				}
+				updateSelection();
+			} );
+
+			$bulk.on( 'click', '.sl-bulk-select-filter', function() {
+				selection.filter = true;
+				$body.find( 'input[type="checkbox"]' ).prop( { checked: true, disabled: true } );
+				updateSelection();
+			} );
+
+			$bulk.on( 'click', '.sl-bulk-clear', function() {
+				resetSelection();
+			} );
+
+			$( '#sl-bulk-apply' ).on( 'click', function() {
+				var $btn   = $( this );
+				var action = $( '#sl-bulk-action' ).val();
+
+				if ( ! action ) {
+					showNotice( 'error', 'Wybierz akcję masową.' );
+					return;
+				}
+
+				if ( ( action === 'reject' || action === 'blacklist' ) && ! window.confirm(
+					'Akcja „' + $( '#sl-bulk-action option:selected' ).text() + '” zostanie zastosowana do ' +
+					( selection.filter ? 'wszystkich linków pasujących do filtra' : 'zaznaczonych linków' ) + '.\n\n' +
+					'Kontynuować?'
+				) ) {
+					return;
+				}
+
+				var data = $.extend( filters(), {
+					action      : 'sl_bulk_links',
+					nonce       : slAjax.nonce,
+					bulk_action : action,
+					scope       : selection.filter ? 'filter' : 'selection',
+					link_ids    : Object.keys( selection.ids ),
+					target_urls : Object.keys( selection.clusters )
+				} );
+
+				$btn.prop( 'disabled', true ).text( '\u2026' );
+
+				$.post( slAjax.url, data )
+					.done( function( res ) {
+						if ( res.success ) {
+							showNotice( 'success', res.data.message );
+							load();
+						} else {
+							showNotice( 'error', res.data );
+						}
+					} )
+					.fail( function() {
+						showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+					} )
+					.always( function() {
+						$btn.text( 'Zastosuj' );
+						updateSelection();
+					} );
+			} );
+
+			setView( state.view );
+			load();
+		} )();
+
+		/* ── 10. Blacklist page – add rule / remove entry ────────── */
+		$( '#sl-rule-type' ).on( 'change', function() {
+			$( '#sl-rule-value' ).attr( 'placeholder', $( this ).find( 'option:selected' ).data( 'placeholder' ) );
+		} );
+
+		$( '#sl-btn-add-rule' ).on( 'click', function() {
+			var $btn   = $( this );
+			var $value = $( '#sl-rule-value' );
+
+			if ( ! $value.val().trim() ) {
+				showNotice( 'error', 'Podaj wartość reguły.' );
+				return;
+			}
+
+			$btn.prop( 'disabled', true ).text( 'Dodawanie...' );
+
+			$.post( slAjax.url, {
+				action    : 'sl_add_blacklist_rule',
+				nonce     : slAjax.nonce,
+				rule_type : $( '#sl-rule-type' ).val(),
+				value     : $value.val().trim()
+			} )
+				.done( function( res ) {
+					if ( res.success ) {
+						showNotice( 'success', res.data.message );
+						// Reload page to show the new rule
+						location.reload();
+					} else {
+						showNotice( 'error', res.data );
+						$btn.prop( 'disabled', false ).text( 'Dodaj regułę' );
+					}
+				} )
+				.fail( function() {
+					showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+					$btn.prop( 'disabled', false ).text( 'Dodaj regułę' );
+				} );
+		} );
+
+		$( document ).on( 'click', '.sl-btn-delete-blacklist', function() {
+			var $btn = $( this );
+
+			if ( ! window.confirm( 'Usunąć ten wpis z blacklisty?' ) ) {
+				return;
+			}
+
+			$btn.prop( 'disabled', true ).text( '...' );
+
+			$.post( slAjax.url, {
+				action : 'sl_delete_blacklist_entry',
+				nonce  : slAjax.nonce,
+				id     : $btn.data( 'id' )
+			} )
+				.done( function( res ) {
+					if ( res.success ) {
+						$btn.closest( 'tr' ).fadeOut( 300, function() {
+							$( this ).remove();
+						} );
+						showNotice( 'success', res.data.message );
+					} else {
+						showNotice( 'error', res.data );
+						$btn.prop( 'disabled', false ).text( 'Usuń' );
+					}
+				} )
+				.fail( function() {
+					showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+					$btn.prop( 'disabled', false ).text( 'Usuń' );
+				} );
+		} );
+
+		/* ── 11. Export / Import page ─────────────────────────────── */
+		$( '#sl-export-form' ).on( 'submit', function( e ) {
+			var sections = $( this ).find( 'input[name="sections[]"]:checked' );
+
+			if ( ! sections.length ) {
+				e.preventDefault();
+				showNotice( 'error', 'Wybierz co najmniej jedną sekcję do eksportu.' );
+			} else if ( $( this ).find( 'input[name="format"]:checked' ).val() === 'csv'
+				&& ( sections.length !== 1 || sections.val() === 'settings' ) ) {
+				e.preventDefault();
+				showNotice( 'error', 'CSV obsługuje jedną sekcję naraz (linki, blacklista lub custom URLs).' );
+			}
+		} );
+
+		function importMode() {
+			return $( 'input[name="sl_import_mode"]:checked' ).val();
+		}
+
+		$( '#sl-btn-import-preview' ).on( 'click', function() {
+			var $btn = $( this );
+			var file = $( '#sl-import-file' )[ 0 ].files[ 0 ];
+
+			if ( ! file ) {
+				showNotice( 'error', 'Wybierz plik JSON lub CSV.' );
+				return;
+			}
+
+			var data = new FormData();
+			data.append( 'action', 'sl_import_preview' );
+			data.append( 'nonce', slAjax.nonce );
+			data.append( 'mode', importMode() );
+			data.append( 'file', file );
+
+			$btn.prop( 'disabled', true ).text( 'Analizowanie...' );
+			$( '#sl-import-preview' ).prop( 'hidden', true );
+
+			$.ajax( {
+				url         : slAjax.url,
+				type        : 'POST',
+				data        : data,
+				processData : false,
+				contentType : false
+			} )
+				.done( function( res ) {
+					if ( res.success ) {
+						renderImportPreview( res.data.sections );
+					} else {
+						showNotice( 'error', res.data );
+					}
+				} )
+				.fail( function() {
+					showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+				} )
+				.always( function() {
+					$btn.prop( 'disabled', false ).text( 'Podgląd importu' );
+				} );
+		} );
+
+		/* Mode changes what conflicts – refresh the preview */
+		$( 'input[name="sl_import_mode"]' ).on( 'change', function() {
+			if ( ! $( '#sl-import-preview' ).prop( 'hidden' ) ) {
+				$( '#sl-btn-import-preview' ).trigger( 'click' );
+			}
+		} );
+
+		function renderImportPreview( sections ) {
+			var $preview  = $( '#sl-import-preview' );
+			var $body     = $preview.find( 'tbody' ).empty();
+			var $messages = $preview.find( '.sl-import-messages' ).empty();
+
+			$.each( sections, function( key, s ) {
+				var $row = $( '<tr>' );
+				$row.append(
+					$( '<th scope="row" class="check-column">' ).append(
+						$( '<input type="checkbox" class="sl-import-section" checked>' ).val( key )
+					)
+				);
+				$row.append( $( '<td>' ).append( $( '<strong>' ).text( s.label ) ) );
+				$.each( [ 'total', 'insert', 'update', 'skip', 'unresolved' ], function( i, col ) {
+					$row.append( $( '<td>' ).text( s[ col ] ) );
+				} );
+				$body.append( $row );
+
+				if ( s.messages.length ) {
+					var $list = $( '<ul>' );
+					$.each( s.messages, function( i, msg ) {
+						$list.append( $( '<li>' ).text( msg ) );
+					} );
+					$messages.append( $( '<h4>' ).text( s.label ), $list );
+				}
+			} );
+
+			$preview.prop( 'hidden', false );
+		}
+
+		$( '#sl-btn-import-run' ).on( 'click', function() {
+			var $btn     = $( this );
+			var sections = $( '.sl-import-section:checked' ).map( function() {
+				return this.value;
+			} ).get();
+
+			if ( ! sections.length ) {
+				showNotice( 'error', 'Wybierz co najmniej jedną sekcję do importu.' );
+				return;
+			}
+
+			if ( importMode() === 'replace'
+				&& ! window.confirm( 'Dane wybranych sekcji zostaną usunięte i zastąpione zawartością pliku. Kontynuować?' ) ) {
+				return;
+			}
+
+			$btn.prop( 'disabled', true ).text( 'Importowanie...' );
+
+			$.post( slAjax.url, {
+				action   : 'sl_import_run',
+				nonce    : slAjax.nonce,
+				mode     : importMode(),
+				sections : sections
+			} )
+				.done( function( res ) {
+					if ( res.success ) {
+						showNotice( 'success', res.data.message );
+						$( '#sl-import-preview' ).prop( 'hidden', true );
+						$( '#sl-import-file' ).val( '' );
+					} else {
+						showNotice( 'error', res.data );
+					}
+				} )
+				.fail( function() {
+					showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+				} )
+				.always( function() {
+					$btn.prop( 'disabled', false ).text( 'Importuj' );
+				} );
+		} );
+
+		/* ── 12. Active Links – link audit / re-match ─────────────── */
+		$( '.sl-audit-show' ).on( 'click', function() {
+			$( '#sl-filter-status' ).val( 'orphaned' );
+			$( '#sl-links-filters' ).trigger( 'submit' );
+		} );
+
+		$( '.sl-audit-run' ).on( 'click', function() {
+			var job       = $( this ).data( 'job' );
+			var $buttons  = $( '.sl-audit-run' );
+			var $progress = $( '.sl-audit-progress' );
+
+			if ( job === 'rematch'
+				&& ! window.confirm( 'Osierocone linki tych wpisów zostaną usunięte, a wpisy dopasowane ponownie. Kontynuować?' ) ) {
+				return;
+			}
+
+			function fail( msg ) {
+				showNotice( 'error', msg );
+				$buttons.prop( 'disabled', false );
+				$progress.prop( 'hidden', true );
+			}
+
+			function nextBatch() {
+				$.ajax( {
+					url     : slAjax.url,
+					type    : 'POST',
+					timeout : 120000,
+					data    : {
+						action : 'sl_audit_batch',
+						nonce  : slAjax.nonce
+					}
+				} )
+					.done( function( res ) {
+						if ( ! res.success ) {
+							fail( res.data );
+							return;
+						}
+						$progress.text( res.data.percent + '% – ' + res.data.message );
+
+						if ( res.data.complete ) {
+							showNotice( 'success', res.data.message );
+							// Reload to refresh the counts and the table
+							setTimeout( function() {
+								location.reload();
+							}, 1500 );
+						} else {
+							nextBatch();
+						}
+					} )
+					.fail( function() {
+						fail( 'Błąd serwera – spróbuj ponownie.' );
+					} );
+			}
+
+			$buttons.prop( 'disabled', true );
+			$progress.text( 'Uruchamianie…' ).prop( 'hidden', false );
+
+			$.post( slAjax.url, {
+				action : 'sl_audit_start',
+				nonce  : slAjax.nonce,
+				job    : job
+			} )
+				.done( function( res ) {
+					if ( res.success ) {
+						$progress.text( res.data.message );
+						nextBatch();
+					} else {
+						fail( res.data );
+					}
+				} )
+				.fail( function() {
+					fail( 'Błąd serwera – spróbuj ponownie.' );
+				} );
+		} );
+
+		/* ── 13. Analytics – interactive link graph ───────────────── */
+		var $graph = $( '#sl-graph' );
+
+		if ( $graph.length ) {
+			$.post( slAjax.url, {
+				action : 'sl_analytics_graph',
+				nonce  : slAjax.nonce
+			} )
+				.done( function( res ) {
+					if ( ! res.success ) {
+						$graph.find( '.sl-graph-loading' ).text( res.data );
+					} else if ( ! res.data.nodes.length ) {
+						$graph.find( '.sl-graph-loading' ).text( 'Brak linków do pokazania.' );
+					} else {
+						drawLinkGraph( $graph, res.data );
+					}
+				} )
+				.fail( function() {
+					$graph.find( '.sl-graph-loading' ).text( 'Błąd serwera – odśwież stronę.' );
+				} );
+		}
+
+		/**
+		 * Force-directed SVG graph: nodes repel each other, links pull
+		 * them together, a weak pull keeps everything centred.  The
+		 * layout runs until it cools down and is re-heated by dragging.
+		 */
+		function drawLinkGraph( $container, data ) {
+			var SVG_NS = 'http://www.w3.org/2000/svg';
+			var width  = Math.max( 400, $container.width() );
+			var height = 540;
+			var nodes  = data.nodes;
+			var byId   = {};
+			var edges  = [];
+			var view   = { k: 1, x: 0, y: 0 };
+			var alpha  = 1;
+			var running = false;
+			var drag    = null;
+
+			function el( name, attrs ) {
+				var node = document.createElementNS( SVG_NS, name );
+				$.each( attrs || {}, function( key, value ) {
+					node.setAttribute( key, value );
+				} );
+				return node;
+			}
+
+			/* Start on a spiral so the layout untangles quickly */
+			$.each( nodes, function( i, n ) {
+				var angle = i * 2.4;
+				var dist  = 12 * Math.sqrt( i );
+				n.x = width / 2 + dist * Math.cos( angle );
+				n.y = height / 2 + dist * Math.sin( angle );
+				n.vx = 0;
+				n.vy = 0;
+				n.r  = 4 + Math.sqrt( n[ 'in' ] ) * 2.5;
+				n.neighbours = {};
+				byId[ n.id ] = n;
+			} );
+
+			$.each( data.edges, function( i, pair ) {
+				var s = byId[ pair[ 0 ] ];
+				var t = byId[ pair[ 1 ] ];
+				if ( s && t ) {
+					edges.push( { source: s, target: t } );
+					s.neighbours[ t.id ] = true;
+					t.neighbours[ s.id ] = true;
+				}
+			} );
+
+			/* ── SVG skeleton ── */
+			var svg = el( 'svg', {
+				'class'   : 'sl-graph-svg',
+				width     : '100%',
+				height    : height,
+				viewBox   : '0 0 ' + width + ' ' + height
+			} );
+			var defs   = el( 'defs' );
+			var marker = el( 'marker', {
+				id           : 'sl-graph-arrow',
+				viewBox      : '0 0 10 10',
+				refX         : 10,
+				refY         : 5,
+				markerWidth  : 6,
+				markerHeight : 6,
+				orient       : 'auto'
+			} );
+			marker.appendChild( el( 'path', { d: 'M0,0 L10,5 L0,10 z' } ) );
+			defs.appendChild( marker );
+			svg.appendChild( defs );
+
+			var viewport  = el( 'g' );
+			var edgeLayer = el( 'g', { 'class': 'sl-graph-edges' } );
+			var nodeLayer = el( 'g', { 'class': 'sl-graph-nodes' } );
+			viewport.appendChild( edgeLayer );
+			viewport.appendChild( nodeLayer );
+			svg.appendChild( viewport );
+
+			$.each( edges, function( i, e ) {
+				e.line = el( 'line', { 'marker-end': 'url(#sl-graph-arrow)' } );
+				edgeLayer.appendChild( e.line );
+			} );
+
+			$.each( nodes, function( i, n ) {
+				var cls = 'sl-graph-node' + ( n.hub ? ' sl-graph-node-hub' : '' ) + ( n.orphan ? ' sl-graph-node-orphan' : '' );
+				n.circle = el( 'circle', { r: n.r, 'class': cls } );
+				var title = el( 'title' );
+				title.textContent = n.title + ' (' + n[ 'in' ] + ' ← / ' + n.out + ' →)';
+				n.circle.appendChild( title );
+				n.circle.sl_node = n;
+				nodeLayer.appendChild( n.circle );
+			} );
+
+			$container.empty().append( svg );
+
+			if ( data.total > nodes.length ) {
+				$( '.sl-graph-info' ).text( 'Pokazano ' + nodes.length + ' z ' + data.total + ' wpisów z linkami.' );
+			}
+
+			/* ── Simulation ── */
+			function tick() {
+				var i, j, a, b, dx, dy, d2, d, f;
+
+				for ( i = 0; i < nodes.length; i++ ) {
+					a = nodes[ i ];
+					for ( j = i + 1; j < nodes.length; j++ ) {
+						b  = nodes[ j ];
+						dx = b.x - a.x;
+						dy = b.y - a.y;
+						d2 = dx * dx + dy * dy || 0.01;
+						if ( d2 > 90000 ) {
+							continue;   // too far apart to matter
+						}
+						d = Math.sqrt( d2 );
+						f = 800 * alpha / d2;
+						a.vx -= dx / d * f;
+						a.vy -= dy / d * f;
+						b.vx += dx / d * f;
+						b.vy += dy / d * f;
+					}
+				}
+
+				$.each( edges, function( k, e ) {
+					var ex = e.target.x - e.source.x;
+					var ey = e.target.y - e.source.y;
+					var ed = Math.sqrt( ex * ex + ey * ey ) || 1;
+					var ef = ( ed - 70 ) * 0.03 * alpha;
+					e.source.vx += ex / ed * ef;
+					e.source.vy += ey / ed * ef;
+					e.target.vx -= ex / ed * ef;
+					e.target.vy -= ey / ed * ef;
+				} );
+
+				$.each( nodes, function( k, n ) {
+					if ( n === ( drag && drag.node ) ) {
+						n.vx = n.vy = 0;
+						return;
+					}
+					n.vx = ( n.vx + ( width / 2 - n.x ) * 0.004 * alpha ) * 0.6;
+					n.vy = ( n.vy + ( height / 2 - n.y ) * 0.004 * alpha ) * 0.6;
+					n.x += n.vx;
+					n.y += n.vy;
+				} );
+
+				alpha *= 0.985;
+			}
+
+			function render() {
+				$.each( edges, function( i, e ) {
+					var dx = e.target.x - e.source.x;
+					var dy = e.target.y - e.source.y;
+					var d  = Math.sqrt( dx * dx + dy * dy ) || 1;
+					e.line.setAttribute( 'x1', e.source.x );
+					e.line.setAttribute( 'y1', e.source.y );
+					// Stop the arrow at the edge of the target circle
+					e.line.setAttribute( 'x2', e.target.x - dx / d * ( e.target.r + 1 ) );
+					e.line.setAttribute( 'y2', e.target.y - dy / d * ( e.target.r + 1 ) );
+				} );
+				$.each( nodes, function( i, n ) {
+					n.circle.setAttribute( 'cx', n.x );
+					n.circle.setAttribute( 'cy', n.y );
+				} );
+			}
+
+			function frame() {
+				tick();
+				render();
+				if ( alpha > 0.01 || drag ) {
+					window.requestAnimationFrame( frame );
+				} else {
+					running = false;
+				}
+			}
+
+			function reheat() {
+				alpha = Math.max( alpha, 0.3 );
+				if ( ! running ) {
+					running = true;
+					window.requestAnimationFrame( frame );
+				}
+			}
+
+			function applyView() {
+				viewport.setAttribute( 'transform', 'translate(' + view.x + ',' + view.y + ') scale(' + view.k + ')' );
+			}
+
+			/* Mouse position in graph coordinates */
+			function point( e ) {
+				var p = svg.createSVGPoint();
+				p.x = e.clientX;
+				p.y = e.clientY;
+				return p.matrixTransform( viewport.getScreenCTM().inverse() );
+			}
+
+			/* ── Hover: highlight the node and its neighbours ── */
+			function highlight( n ) {
+				svg.classList.toggle( 'sl-graph-focus', !! n );
+				$.each( nodes, function( i, m ) {
+					m.circle.classList.toggle( 'sl-graph-active', !! n && ( m === n || !! n.neighbours[ m.id ] ) );
+				} );
+				$.each( edges, function( i, e ) {
+					e.line.classList.toggle( 'sl-graph-active', !! n && ( e.source === n || e.target === n ) );
+				} );
+				$( '.sl-graph-info' ).text( n
+					? n.title + ' – przychodzące: ' + n[ 'in' ] + ', wychodzące: ' + n.out +
+						', głębokość: ' + ( n.depth === null ? '—' : n.depth )
+					: ( data.total > nodes.length ? 'Pokazano ' + nodes.length + ' z ' + data.total + ' wpisów z linkami.' : '' ) );
+			}
+
+			$( nodeLayer )
+				.on( 'mouseover', 'circle', function() {
+					if ( ! drag ) {
+						highlight( this.sl_node );
+					}
+				} )
+				.on( 'mouseout', 'circle', function() {
+					if ( ! drag ) {
+						highlight( null );
+					}
+				} );
+
+			/* ── Drag nodes / pan background ── */
+			$( svg ).on( 'mousedown', function( e ) {
+				var p = point( e );
+				e.preventDefault();
+				drag = e.target.sl_node
+					? { node: e.target.sl_node, moved: false }
+					: { pan: true, x: e.clientX - view.x, y: e.clientY - view.y };
+				if ( drag.node ) {
+					drag.node.x = p.x;
+					drag.node.y = p.y;
+				}
+			} );
+
+			$( window )
+				.on( 'mousemove.slGraph', function( e ) {
+					if ( ! drag ) {
+						return;
+					}
+					if ( drag.pan ) {
+						view.x = e.clientX - drag.x;
+						view.y = e.clientY - drag.y;
+						applyView();
+						return;
+					}
+					var p = point( e );
+					drag.node.x = p.x;
+					drag.node.y = p.y;
+					drag.moved = true;
+					reheat();
+				} )
+				.on( 'mouseup.slGraph', function() {
+					if ( drag && drag.node && ! drag.moved && drag.node.url ) {
+						window.location.href = drag.node.url;
+					}
+					drag = null;
+				} );
+
+			/* ── Zoom around the pointer ── */
+			svg.addEventListener( 'wheel', function( e ) {
+				var rect  = svg.getBoundingClientRect();
+				var scale = width / rect.width;   // viewBox units per CSS pixel
+				var mx    = ( e.clientX - rect.left ) * scale;
+				var my    = ( e.clientY - rect.top ) * scale;
+				var k     = Math.min( 6, Math.max( 0.2, view.k * ( e.deltaY < 0 ? 1.15 : 1 / 1.15 ) ) );
+
+				e.preventDefault();
+				view.x = mx - ( mx - view.x ) * k / view.k;
+				view.y = my - ( my - view.y ) * k / view.k;
+				view.k = k;
+				applyView();
+			}, { passive: false } );
+
+			/* ── Search ── */
+			$( '#sl-graph-search' ).on( 'input', function() {
+				var q = $.trim( $( this ).val() ).toLowerCase();
+				svg.classList.toggle( 'sl-graph-searching', q !== '' );
+				$.each( nodes, function( i, n ) {
+					n.circle.classList.toggle( 'sl-graph-match', q !== '' && n.title.toLowerCase().indexOf( q ) !== -1 );
+				} );
+			} );
+
+			render();
+			reheat();
+		}
+
+		/* ── 14. Threshold simulator ──────────────────────────────── */
+		var $simulator = $( '#sl-simulator' );
+
+		if ( $simulator.length ) {
+			var $sliders      = $simulator.find( '.sl-sim-slider' );
+			var simTimer      = null;
+			var simRequest    = null;
+			var simHistogram  = null;
+
+			function simThresholds() {
+				var values = {};
+				$sliders.each( function() {
+					values[ this.name ] = $( this ).val();
+				} );
+				return values;
+			}
+
+			function simChanged() {
+				var changed = false;
+				$sliders.each( function() {
+					if ( parseFloat( $( this ).val() ) !== parseFloat( $( this ).data( 'current' ) ) ) {
+						changed = true;
+					}
+				} );
+				$( '.sl-sim-apply, .sl-sim-reset' ).prop( 'disabled', ! changed );
+			}
+
+			function runSimulation() {
+				if ( simRequest ) {
+					simRequest.abort();
+				}
+				simRequest = $.post( slAjax.url, {
+					action     : 'sl_simulate',
+					nonce      : slAjax.nonce,
+					thresholds : simThresholds()
+				} )
+					.done( function( res ) {
+						if ( ! res.success ) {
+							showNotice( 'error', res.data );
+							return;
+						}
+						$.each( res.data.counts, function( key, value ) {
+							$simulator.find( '[data-count="' + key + '"]' ).text( value );
+						} );
+						$simulator.find( '.sl-sim-counts' ).prop( 'hidden', false );
+						$simulator.find( '.sl-sim-empty' ).prop( 'hidden', true );
+						simHistogram = res.data.histogram;
+						drawHistogram();
+						drawSamples( res.data.samples );
+					} )
+					.fail( function( xhr, status ) {
+						if ( status !== 'abort' ) {
+							showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+						}
+					} );
+			}
+
+			/* Bars: post + custom candidates per bin, greyed out below the threshold */
+			function drawHistogram() {
+				var $box = $( '#sl-sim-histogram' ).empty();
+				if ( ! simHistogram ) {
+					return;
+				}
+
+				var h       = simHistogram;
+				var bins    = h.post.length;
+				var highest = 1;
+				var i;
+				for ( i = 0; i < bins; i++ ) {
+					highest = Math.max( highest, h.post[ i ] + h.custom[ i ] );
+				}
+
+				var postMin   = parseFloat( $( '#sl-sim-similarity_threshold' ).val() );
+				var customMin = parseFloat( $( '#sl-sim-custom_url_threshold' ).val() );
+				var range     = 1 - h.min;
+
+				for ( i = 0; i < bins; i++ ) {
+					var from = h.min + i * h.step;
+					var $bin = $( '<div class="sl-sim-bin"></div>' ).attr(
+						'title',
+						from.toFixed( 2 ) + '–' + ( from + h.step ).toFixed( 2 ) + ': ' +
+						h.post[ i ] + ' wpisy, ' + h.custom[ i ] + ' Custom URLs'
+					);
+					$( '<span class="sl-sim-bar sl-sim-bar-custom"></span>' )
+						.css( 'height', ( h.custom[ i ] / highest * 100 ) + '%' )
+						.toggleClass( 'sl-sim-below', from + h.step <= customMin )
+						.appendTo( $bin );
+					$( '<span class="sl-sim-bar sl-sim-bar-post"></span>' )
+						.css( 'height', ( h.post[ i ] / highest * 100 ) + '%' )
+						.toggleClass( 'sl-sim-below', from + h.step <= postMin )
+						.appendTo( $bin );
+					$box.append( $bin );
+				}
+
+				$.each( [ [ postMin, 'post' ], [ customMin, 'custom' ] ], function( j, marker ) {
+					$( '<span class="sl-sim-marker"></span>' )
+						.addClass( 'sl-sim-marker-' + marker[ 1 ] )
+						.css( 'left', ( ( marker[ 0 ] - h.min ) / range * 100 ) + '%' )
+						.attr( 'title', marker[ 0 ].toFixed( 2 ) )
+						.appendTo( $box );
+				} );
+
+				$( '<div class="sl-sim-axis"></div>' )
+					.append( $( '<span></span>' ).text( h.min.toFixed( 2 ) ) )
+					.append( $( '<span></span>' ).text( '1.00' ) )
+					.appendTo( $box );
+			}
+
+			function drawSamples( samples ) {
+				var $box   = $( '#sl-sim-samples' ).empty();
+				var groups = [
+					[ 'created', 'Nowe linki' ],
+					[ 'changed', 'Zmieniony anchor' ],
+					[ 'removed', 'Usunięte linki' ]
+				];
+
+				$.each( groups, function( i, group ) {
+					var rows = samples[ group[ 0 ] ];
+					$( '<h3 class="sl-sim-samples-title"></h3>' ).text( group[ 1 ] ).appendTo( $box );
+
+					if ( ! rows.length ) {
+						$( '<p style="color: #666; font-style: italic;"></p>' ).text( 'Brak.' ).appendTo( $box );
+						return;
+					}
+
+					var $tbody = $( '<tbody></tbody>' );
+					$.each( rows, function( j, row ) {
+						var $anchor = $( '<td></td>' ).append( $( '<strong></strong>' ).text( row.anchor ) );
+						if ( row.old_anchor ) {
+							$anchor.append( $( '<span class="sl-muted"></span>' ).text( ' (teraz: ' + row.old_anchor + ')' ) );
+						}
+						$( '<tr></tr>' )
+							.append( $( '<td></td>' ).append( $( '<a></a>' ).attr( 'href', row.source_url ).text( row.source ) ) )
+							.append( $anchor )
+							.append( $( '<td></td>' ).append(
+								$( '<a target="_blank" rel="noopener"></a>' ).attr( 'href', row.target_url ).text( row.target )
+							) )
+							.append( $( '<td></td>' ).text( parseFloat( row.score ).toFixed( 3 ) ) )
+							.appendTo( $tbody );
+					} );
+
+					$( '<table class="widefat striped sl-analytics-table"></table>' )
+						.append( '<thead><tr><th>Źródło</th><th>Anchor</th><th>Cel</th><th style="width: 10%;">Wynik</th></tr></thead>' )
+						.append( $tbody )
+						.appendTo( $box );
+				} );
+			}
+
+			$sliders.on( 'input', function() {
+				$( this ).siblings( '.sl-sim-value' ).text( parseFloat( $( this ).val() ).toFixed( 2 ) );
+				simChanged();
+				drawHistogram();
+
+				if ( $simulator.data( 'prepared' ) ) {
+					clearTimeout( simTimer );
+					simTimer = setTimeout( runSimulation, 300 );
+				}
+			} );
+
+			$( '.sl-sim-reset' ).on( 'click', function() {
+				$sliders.each( function() {
+					$( this ).val( $( this ).data( 'current' ) ).trigger( 'input' );
+				} );
+			} );
+
+			$( '.sl-sim-apply' ).on( 'click', function() {
+				var $btn = $( this ).prop( 'disabled', true );
+
+				$.post( slAjax.url, {
+					action     : 'sl_simulation_apply',
+					nonce      : slAjax.nonce,
+					thresholds : simThresholds()
+				} )
+					.done( function( res ) {
+						if ( ! res.success ) {
+							showNotice( 'error', res.data );
+							$btn.prop( 'disabled', false );
+							return;
+						}
+						$.each( res.data.thresholds, function( key, value ) {
+							$( '#sl-sim-' + key ).data( 'current', value ).val( value );
+						} );
+						simChanged();
+						showNotice( 'success', res.data.message );
+					} )
+					.fail( function() {
+						showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+						$btn.prop( 'disabled', false );
+					} );
+			} );
+
+			$( '.sl-sim-prepare' ).on( 'click', function() {
+				var $btn      = $( this );
+				var $progress = $( '.sl-sim-progress' );
+
+				function fail( msg ) {
+					showNotice( 'error', msg );
+					$btn.prop( 'disabled', false );
+					$progress.prop( 'hidden', true );
+				}
+
+				function nextBatch() {
+					$.ajax( {
+						url     : slAjax.url,
+						type    : 'POST',
+						timeout : 120000,
+						data    : {
+							action : 'sl_simulation_batch',
+							nonce  : slAjax.nonce
+						}
+					} )
+						.done( function( res ) {
+							if ( ! res.success ) {
+								fail( res.data );
+								return;
+							}
+							$progress.text( res.data.percent + '% – ' + res.data.message );
+
+							if ( res.data.complete ) {
+								showNotice( 'success', res.data.message );
+								$btn.prop( 'disabled', false );
+								$simulator.data( 'prepared', 1 );
+								runSimulation();
+							} else {
+								nextBatch();
+							}
+						} )
+						.fail( function() {
+							fail( 'Błąd serwera – spróbuj ponownie.' );
+						} );
+				}
+
+				$btn.prop( 'disabled', true );
+				$progress.text( 'Uruchamianie…' ).prop( 'hidden', false );
+
+				$.post( slAjax.url, {
+					action : 'sl_simulation_start',
+					nonce  : slAjax.nonce
+				} )
+					.done( function( res ) {
+						if ( res.success ) {
+							$progress.text( res.data.message );
+							nextBatch();
+						} else {
+							fail( res.data );
+						}
+					} )
+					.fail( function() {
+						fail( 'Błąd serwera – spróbuj ponownie.' );
+					} );
+			} );
+
+			if ( $simulator.data( 'prepared' ) ) {
+				runSimulation();
+			}
+		}
+
+		/* ── 15. History – roll back a run ────────────────────────── */
+		$( document ).on( 'click', '.sl-btn-rollback-run', function() {
+			var $btn = $( this );
+
+			if ( ! window.confirm(
+				'Cofniesz wszystkie zmiany tego uruchomienia (linki, statusy, blacklista).\n' +
+				'Zmiany, które od tamtej pory zmieniono ponownie, zostaną pominięte.\n\n' +
+				'Kontynuować?'
+			) ) {
+				return;
+			}
+
+			$btn.prop( 'disabled', true ).text( '...' );
+
+			$.post( slAjax.url, {
+				action : 'sl_rollback_run',
+				nonce  : slAjax.nonce,
+				run_id : $btn.data( 'run-id' )
+			} )
+				.done( function( res ) {
+					if ( res.success ) {
+						showNotice( 'success', res.data.message );
+						location.reload();
+					} else {
+						showNotice( 'error', res.data );
+						$btn.prop( 'disabled', false ).text( 'Cofnij' );
+					}
+				} )
+				.fail( function() {
+					showNotice( 'error', 'Błąd serwera – spróbuj ponownie.' );
+					$btn.prop( 'disabled', false ).text( 'Cofnij' );
+				} );
+		} );
+
 	} );   // ready
 
 } )( jQuery );
@@ -0,0 +1,500 @@
+/* ═══════════════════════════════════════════════════════════════════
+ * SemanticLinker AI – Post editor link preview
+ *
+ * Responsibilities:
+ *   • Gutenberg: "SemanticLinker" plugin sidebar listing the links of
+ *     the edited post (active / rejected / filtered) with context
+ *   • Classic Editor: actions for the server-rendered metabox
+ *   • "Pokaż w treści" – select the anchor in the editor
+ *   • Reject / restore via the existing sl_reject_link / sl_restore_link
+ *   • Manual links: add (sl_add_manual_link) and change the anchor of
+ *     any link (sl_update_link_anchor)
+ *
+ * Dependencies: jQuery; wp.plugins, wp.editPost, wp.element,
+ *               wp.components, wp.data, wp.blocks (block editor only)
+ * Localized:    window.slEditor  { url, nonce, postId, blockEditor }
+ * ═══════════════════════════════════════════════════════════════════ */
+
+( function( $ ) {
+	'use strict';
+
+	var STATUS_LABELS = {
+		active   : 'Aktywny',
+		rejected : 'Odrzucony',
+		filtered : 'Odfiltrowany (AI)'
+	};
+
+	var STATUS_BADGES = {
+		active   : 'sl-badge-ok',
+		rejected : 'sl-badge-warn',
+		filtered : 'sl-badge-filtered'
+	};
+
+	var CONFIRM_REJECT =
+		'Odrzucisz ten link i dodasz go permanentnie do blacklisty.\n' +
+		'Nie pojawi się ponownie w tym artykule.\n\n' +
+		'Kontynuować?';
+
+	/* ── Shared AJAX helpers ──────────────────────────────────────── */
+
+	function request( action, data ) {
+		return $.ajax( {
+			url  : slEditor.url,
+			type : 'POST',
+			data : $.extend( { action : action, nonce : slEditor.nonce }, data )
+		} );
+	}
+
+	/**
+	 * Ask for a new anchor and save it (the link becomes manual).
+	 *
+	 * @return jqXHR|null  null when the prompt was cancelled / unchanged.
+	 */
+	function editAnchor( link, extra ) {
+		var anchor = window.prompt(
+			'Nowy anchor (dokładna fraza z treści wpisu).\nLink zostanie oznaczony jako ręczny – ponowne dopasowanie go nie zmieni.',
+			link.anchor
+		);
+		if ( anchor === null || $.trim( anchor ) === '' || $.trim( anchor ) === link.anchor ) {
+			return null;
+		}
+		return request( 'sl_update_link_anchor', $.extend( { link_id : link.id, anchor : $.trim( anchor ) }, extra ) );
+	}
+
+	/** Reject (status "active") or restore (any other status) one link. */
+	function toggleLink( link ) {
+		return request(
+			link.status === 'active' ? 'sl_reject_link' : 'sl_restore_link',
+			{ link_id : link.id }
+		);
+	}
+
+	/* ══════════════════════════════════════════════════════════════
+	 * 1. Gutenberg sidebar
+	 * ══════════════════════════════════════════════════════════════ */
+
+	function registerSidebar() {
+		var el          = wp.element.createElement;
+		var useState    = wp.element.useState;
+		var useEffect   = wp.element.useEffect;
+		var Fragment    = wp.element.Fragment;
+		var PanelBody   = wp.components.PanelBody;
+		var Button      = wp.components.Button;
+		var Spinner     = wp.components.Spinner;
+		var Notice      = wp.components.Notice;
+		var TextControl = wp.components.TextControl;
+		var editorPkg   = ( wp.editor && wp.editor.PluginSidebar ) ? wp.editor : wp.editPost;
+		var Sidebar     = editorPkg.PluginSidebar;
+		var MenuItem    = editorPkg.PluginSidebarMoreMenuItem;
+
+		/* ── Locate the anchor: select the block that contains it ── */
+		function findBlock( blocks, needle ) {
+			for ( var i = 0; i < blocks.length; i++ ) {
+				var text = $( '<div>' ).html( wp.blocks.getBlockContent( blocks[ i ] ) ).text().toLowerCase();
+				if ( blocks[ i ].innerBlocks && blocks[ i ].innerBlocks.length ) {
+					var inner = findBlock( blocks[ i ].innerBlocks, needle );
+					if ( inner ) {
+						return inner;
+					}
+				}
+				if ( text.indexOf( needle ) !== -1 ) {
+					return blocks[ i ];
+				}
+			}
+			return null;
+		}
+
+		function locate( link ) {
+			var blocks = wp.data.select( 'core/block-editor' ).getBlocks();
+			var block  = findBlock( blocks, link.match.toLowerCase() );
+			if ( ! block ) {
+				return;
+			}
+
+			wp.data.dispatch( 'core/block-editor' ).selectBlock( block.clientId );
+
+			/* The canvas may live in an iframe (WP 6.3+) */
+			var canvas = document.querySelector( 'iframe[name="editor-canvas"]' );
+			var doc    = canvas ? canvas.contentDocument : document;
+			var node   = doc && doc.querySelector( '[data-block="' + block.clientId + '"]' );
+			if ( node ) {
+				node.scrollIntoView( { behavior : 'smooth', block : 'center' } );
+				/* Inline style – editor.css is not loaded inside the canvas iframe */
+				node.style.outline = '2px solid #fcb900';
+				setTimeout( function() {
+					node.style.outline = '';
+				}, 1500 );
+			}
+		}
+
+		/* ── Single link row ──────────────────────────────────────── */
+		function LinkItem( props ) {
+			var link = props.link;
+
+			return el( 'li', { className : 'sl-editor-link sl-editor-link-' + link.status },
+				el( 'div', { className : 'sl-editor-link-head' },
+					el( 'strong', { className : 'sl-editor-anchor' }, link.anchor ),
+					el( 'span', { className : 'sl-editor-badges' },
+						link.origin === 'manual' && el( 'span', { className : 'sl-badge sl-badge-manual' }, 'Ręczny' ),
+						el( 'span', { className : 'sl-badge ' + STATUS_BADGES[ link.status ] }, STATUS_LABELS[ link.status ] )
+					)
+				),
+				el( 'div', { className : 'sl-editor-target' },
+					'→ ',
+					el( 'a', { href : link.target_url, target : '_blank', rel : 'noopener noreferrer' }, link.target ),
+					el( 'span', { className : 'sl-editor-score' }, link.score.toFixed( 3 ) )
+				),
+				link.found
+					? el( 'div', { className : 'sl-editor-context' },
+						el( 'span', { className : 'sl-editor-block' }, '#' + link.block ),
+						link.before,
+						el( 'mark', null, link.match ),
+						link.after
+					)
+					: el( 'div', { className : 'sl-editor-context sl-editor-missing' },
+						'Anchor nie występuje w treści – link nie zostanie wstawiony.'
+					),
+				el( 'div', { className : 'sl-editor-actions' },
+					link.found && el( Button, { variant : 'link', onClick : function() { locate( link ); } }, 'Pokaż w treści' ),
+					el( Button, {
+						variant  : 'link',
+						disabled : props.busy,
+						onClick  : function() { props.onEditAnchor( link ); }
+					}, 'Zmień anchor' ),
+					el( Button, {
+						variant       : 'link',
+						isDestructive : link.status === 'active',
+						disabled      : props.busy,
+						onClick       : function() { props.onToggle( link ); }
+					}, link.status === 'active' ? 'Odrzuć' : 'Przywróć' )
+				)
+			);
+		}
+
+		/* ── Manual link form ─────────────────────────────────────── */
+		function AddLinkForm( props ) {
+			var anchorState = useState( '' );
+			var anchor      = anchorState[0], setAnchor = anchorState[1];
+			var targetState = useState( '' );
+			var target      = targetState[0], setTarget = targetState[1];
+
+			return el( PanelBody, { title : 'Dodaj link ręczny', initialOpen : false },
+				el( TextControl, {
+					label    : 'Anchor (dokładna fraza z treści)',
+					value    : anchor,
+					onChange : setAnchor
+				} ),
+				el( TextControl, {
+					label    : 'Cel (ID wpisu lub URL)',
+					value    : target,
+					onChange : setTarget
+				} ),
+				el( Button, {
+					variant  : 'secondary',
+					disabled : props.busy || ! $.trim( anchor ) || ! $.trim( target ),
+					onClick  : function() {
+						props.onAdd( $.trim( anchor ), $.trim( target ), function() {
+							setAnchor( '' );
+							setTarget( '' );
+						} );
+					}
+				}, 'Dodaj link' )
+			);
+		}
+
+		/* ── Sidebar body ─────────────────────────────────────────── */
+		function LinksPanel() {
+			var state     = useState( null );
+			var data      = state[0], setData = state[1];
+			var errState  = useState( '' );
+			var error     = errState[0], setError = errState[1];
+			var busyState = useState( false );
+			var busy      = busyState[0], setBusy = busyState[1];
+			var infoState = useState( '' );
+			var info      = infoState[0], setInfo = infoState[1];
+
+			var postId = wp.data.select( 'core/editor' ).getCurrentPostId() || slEditor.postId;
+
+			function load() {
+				setBusy( true );
+				setError( '' );
+
+				request( 'sl_get_post_links', {
+					post_id : postId,
+					content : wp.data.select( 'core/editor' ).getEditedPostContent()
+				} ).done( function( res ) {
+					if ( res.success ) {
+						setData( res.data );
+					} else {
+						setError( res.data || 'Błąd ładowania linków.' );
+					}
+				} ).fail( function() {
+					setError( 'Błąd serwera – spróbuj ponownie.' );
+				} ).always( function() {
+					setBusy( false );
+				} );
+			}
+
+			/* Run a link-changing request, then reload the list */
+			function change( xhr, done ) {
+				setBusy( true );
+				setError( '' );
+				setInfo( '' );
+				xhr.done( function( res ) {
+					if ( res.success ) {
+						setInfo( res.data.message || '' );
+						if ( done ) {
+							done();
+						}
+						load();
+					} else {
+						setError( res.data || 'Operacja nie powiodła się.' );
+						setBusy( false );
+					}
+				} ).fail( function() {
+					setError( 'Błąd serwera – spróbuj ponownie.' );
+					setBusy( false );
+				} );
+			}
+
+			function onEditAnchor( link ) {
+				var xhr = editAnchor( link );
+				if ( xhr ) {
+					change( xhr );
+				}
+			}
+
+			function onAdd( anchor, target, done ) {
+				change( request( 'sl_add_manual_link', { post_id : postId, anchor : anchor, target : target } ), done );
+			}
+
+			function onToggle( link ) {
+				if ( link.status === 'active' && ! window.confirm( CONFIRM_REJECT ) ) {
+					return;
+				}
+				setBusy( true );
+				toggleLink( link ).done( function( res ) {
+					if ( res.success ) {
+						load();
+					} else {
+						setError( res.data || 'Operacja nie powiodła się.' );
+						setBusy( false );
+					}
+				} ).fail( function() {
+					setError( 'Błąd serwera – spróbuj ponownie.' );
+					setBusy( false );
+				} );
+			}
+
+			useEffect( function() {
+				if ( postId ) {
+					load();
+				}
+			}, [ postId ] );
+
+			if ( ! postId ) {
+				return el( 'p', { className : 'sl-editor-empty' }, 'Zapisz wpis, aby zobaczyć podgląd linków.' );
+			}
+
+			var sections = [];
+			if ( data ) {
+				[ 'active', 'rejected', 'filtered' ].forEach( function( status ) {
+					var items = data.links.filter( function( l ) { return l.status === status; } );
+					if ( ! items.length ) {
+						return;
+					}
+					sections.push( el( PanelBody, {
+						key         : status,
+						title       : STATUS_LABELS[ status ] + ' (' + items.length + ')',
+						initialOpen : status === 'active'
+					},
+						el( 'ul', { className : 'sl-editor-list' }, items.map( function( link ) {
+							return el( LinkItem, { key : link.id, link : link, busy : busy, onToggle : onToggle, onEditAnchor : onEditAnchor } );
+						} ) )
+					) );
+				} );
+			}
+
+			return el( Fragment, null,
+				el( 'div', { className : 'sl-editor-toolbar' },
+					el( Button, { variant : 'secondary', onClick : load, disabled : busy }, 'Odśwież podgląd' ),
+					busy && el( Spinner )
+				),
+				error && el( Notice, { status : 'error', isDismissible : false }, error ),
+				info && el( Notice, { status : 'info', isDismissible : false }, info ),
+				data && ! data.links.length && el( 'p', { className : 'sl-editor-empty' },
+					'Brak linków dla tego wpisu. Linki pojawią się po indeksacji.'
+				),
+				sections,
+				el( AddLinkForm, { busy : busy, onAdd : onAdd } )
+			);
+		}
+
+		wp.plugins.registerPlugin( 'semanticlinker', {
+			icon   : 'admin-links',
+			render : function() {
+				return el( Fragment, null,
+					el( MenuItem, { target : 'semanticlinker-links' }, 'SemanticLinker' ),
+					el( Sidebar, { name : 'semanticlinker-links', title : 'SemanticLinker – linki' },
+						el( 'div', { className : 'sl-editor-links' }, el( LinksPanel ) )
+					)
+				);
+			}
+		} );
+	}
+
+	/* ══════════════════════════════════════════════════════════════
+	 * 2. Classic Editor metabox
+	 * ══════════════════════════════════════════════════════════════ */
+
+	function bindMetabox() {
+		var $box = $( '#sl-editor-metabox' );
+		if ( ! $box.length ) {
+			return;
+		}
+
+		/* ── Locate anchor in TinyMCE (Visual) or the textarea (Text) ── */
+		function locateInTinyMce( editor, needle ) {
+			var body   = editor.getBody();
+			var walker = body.ownerDocument.createTreeWalker( body, NodeFilter.SHOW_TEXT, null, false );
+			var node;
+
+			while ( ( node = walker.nextNode() ) ) {
+				var pos = node.nodeValue.toLowerCase().indexOf( needle );
+				if ( pos !== -1 ) {
+					var range = editor.dom.createRng();
+					range.setStart( node, pos );
+					range.setEnd( node, pos + needle.length );
+					editor.selection.setRng( range );
+					editor.selection.scrollIntoView();
+					editor.focus();
+					return true;
+				}
+			}
+			return false;
+		}
+
+		function locateInTextarea( needle ) {
+			var area = document.getElementById( 'content' );
+			if ( ! area ) {
+				return;
+			}
+			var pos = area.value.toLowerCase().indexOf( needle );
+			if ( pos === -1 ) {
+				return;
+			}
+			area.focus();
+			area.setSelectionRange( pos, pos + needle.length );
+		}
+
+		$box.on( 'click', '.sl-editor-locate', function( e ) {
+			e.preventDefault();
+
+			var needle = String( $( this ).closest( '.sl-editor-link' ).data( 'anchor' ) ).toLowerCase();
+			var editor = window.tinymce && window.tinymce.get( 'content' );
+
+			if ( editor && ! editor.isHidden() && locateInTinyMce( editor, needle ) ) {
+				return;
+			}
+			locateInTextarea( needle );
+		} );
+
+		/* ── Manual links: re-render the metabox from the response ── */
+		function replaceBox( xhr, $btn ) {
+			$btn.prop( 'disabled', true );
+			xhr.done( function( res ) {
+				if ( ! res.success ) {
+					window.alert( res.data || 'Operacja nie powiodła się.' );
+					$btn.prop( 'disabled', false );
+					return;
+				}
+				$box.html( $( res.data.metabox ).html() );
+				if ( ! res.data.found ) {
+					window.alert( res.data.message );
+				}
+			} ).fail( function() {
+				window.alert( 'Błąd serwera – spróbuj ponownie.' );
+				$btn.prop( 'disabled', false );
+			} );
+		}
+
+		$box.on( 'click', '.sl-editor-edit-anchor', function( e ) {
+			e.preventDefault();
+
+			var $item = $( this ).closest( '.sl-editor-link' );
+			var xhr   = editAnchor(
+				{ id : $item.data( 'link-id' ), anchor : String( $item.data( 'anchor' ) ) },
+				{ metabox : 1 }
+			);
+			if ( xhr ) {
+				replaceBox( xhr, $( this ) );
+			}
+		} );
+
+		$box.on( 'click', '.sl-editor-add-submit', function( e ) {
+			e.preventDefault();
+
+			var anchor = $.trim( $box.find( '.sl-editor-add-anchor' ).val() );
+			var target = $.trim( $box.find( '.sl-editor-add-target' ).val() );
+			if ( ! anchor || ! target ) {
+				window.alert( 'Podaj anchor i cel linku.' );
+				return;
+			}
+
+			replaceBox( request( 'sl_add_manual_link', {
+				post_id : slEditor.postId,
+				anchor  : anchor,
+				target  : target,
+				metabox : 1
+			} ), $( this ) );
+		} );
+
+		/* ── Reject / restore ─────────────────────────────────────── */
+		$box.on( 'click', '.sl-editor-reject, .sl-editor-restore', function( e ) {
+			e.preventDefault();
+
+			var $btn   = $( this );
+			var $item  = $btn.closest( '.sl-editor-link' );
+			var reject = $btn.hasClass( 'sl-editor-reject' );
+
+			if ( reject && ! window.confirm( CONFIRM_REJECT ) ) {
+				return;
+			}
+
+			$btn.prop( 'disabled', true ).text( '\u2026' );   // …
+
+			toggleLink( { id : $item.data( 'link-id' ), status : reject ? 'active' : 'rejected' } )
+				.done( function( res ) {
+					if ( ! res.success ) {
+						window.alert( res.data || 'Operacja nie powiodła się.' );
+						$btn.prop( 'disabled', false ).text( reject ? 'Odrzuć' : 'Przywróć' );
+						return;
+					}
+
+					var status = reject ? 'rejected' : 'active';
+					$item.attr( 'class', 'sl-editor-link sl-editor-link-' + status );
+					$item.find( '.sl-badge' )
+						.attr( 'class', 'sl-badge ' + STATUS_BADGES[ status ] )
+						.text( STATUS_LABELS[ status ] );
+					$btn.replaceWith(
+						reject
+							? '<button type="button" class="button-link sl-editor-restore">Przywróć</button>'
+							: '<button type="button" class="button-link sl-editor-reject">Odrzuć</button>'
+					);
+				} )
+				.fail( function() {
+					window.alert( 'Błąd serwera – spróbuj ponownie.' );
+					$btn.prop( 'disabled', false ).text( reject ? 'Odrzuć' : 'Przywróć' );
+				} );
+		} );
+	}
+
+	/* ── Boot ───────────────────────────────────────────────────── */
+
+	if ( slEditor.blockEditor && window.wp && wp.plugins ) {
+		registerSidebar();
+	}
+
+	$( document ).ready( bindMetabox );
+
+} )( jQuery );
@@ -0,0 +1,87 @@
+/* ═══════════════════════════════════════════════════════════════════
+ * SemanticLinker AI – "Powiązane artykuły" block
+ *
+ * Responsibilities:
+ *   • Register semanticlinker/related-posts (dynamic block – markup
+ *     comes from SL_Related_Posts::render_block() on the server)
+ *   • Sidebar settings: heading and number of posts
+ *   • Editor preview through ServerSideRender for the edited post
+ *
+ * Dependencies: wp.blocks, wp.element, wp.components, wp.blockEditor,
+ *               wp.serverSideRender, wp.data
+ * ═══════════════════════════════════════════════════════════════════ */
+
+( function( wp ) {
+	'use strict';
+
+	var el                = wp.element.createElement;
+	var Fragment          = wp.element.Fragment;
+	var InspectorControls = wp.blockEditor.InspectorControls;
+	var PanelBody         = wp.components.PanelBody;
+	var RangeControl      = wp.components.RangeControl;
+	var TextControl       = wp.components.TextControl;
+	var ServerSideRender  = wp.serverSideRender;
+
+	/** Keep in sync with SL_Related_Posts::MAX_COUNT. */
+	var MAX_COUNT = 20;
+
+	function currentPostId() {
+		var editor = wp.data && wp.data.select( 'core/editor' );
+		return editor ? editor.getCurrentPostId() : 0;
+	}
+
+	wp.blocks.registerBlockType( 'semanticlinker/related-posts', {
+		title       : 'Powiązane artykuły',
+		description : 'Najbardziej podobne semantycznie opublikowane wpisy (SemanticLinker).',
+		icon        : 'admin-links',
+		category    : 'widgets',
+		attributes  : {
+			count : { type : 'number', default : 5 },
+			title : { type : 'string', default : 'Powiązane artykuły' }
+		},
+		supports    : { html : false },
+
+		edit : function( props ) {
+			var attrs = props.attributes;
+
+			return el( Fragment, null,
+				el( InspectorControls, null,
+					el( PanelBody, { title : 'Ustawienia' },
+						el( TextControl, {
+							label    : 'Nagłówek',
+							value    : attrs.title,
+							onChange : function( value ) {
+								props.setAttributes( { title : value } );
+							}
+						} ),
+						el( RangeControl, {
+							label    : 'Liczba wpisów',
+							value    : attrs.count,
+							min      : 1,
+							max      : MAX_COUNT,
+							onChange : function( value ) {
+								props.setAttributes( { count : value } );
+							}
+						} )
+					)
+				),
+				el( ServerSideRender, {
+					block            : 'semanticlinker/related-posts',
+					attributes       : attrs,
+					urlQueryArgs     : { post_id : currentPostId() },
+					EmptyResponsePlaceholder : function() {
+						return el( 'p', { className : 'sl-related-posts-empty' },
+							'Brak powiązanych wpisów – lista pojawi się po indeksacji tego wpisu.'
+						);
+					}
+				} )
+			);
+		},
+
+		// Dynamic block – rendered in PHP
+		save : function() {
+			return null;
+		}
+	} );
+
+} )( window.wp );
@@ -0,0 +1,112 @@
+/* ═══════════════════════════════════════════════════════════════════
+ * SemanticLinker AI – Click / impression tracking (front end)
+ *
+ * Responsibilities:
+ *   • Impression: an injected link (a.sl-auto-link[data-sl-link]) was
+ *     at least half visible – counted once per page view
+ *   • Click: left, middle or keyboard activation of such a link
+ *   • Report both to semanticlinker/v1/track with navigator.sendBeacon
+ *     (clicks right away, impressions when the page is hidden)
+ *
+ * No cookies or storage – the server only adds to daily counters
+ * (see SL_Tracking).
+ *
+ * Dependencies: none
+ * Localized:    window.slTracking  { url }
+ * ═══════════════════════════════════════════════════════════════════ */
+
+( function( window, document ) {
+	'use strict';
+
+	var config = window.slTracking;
+	if ( ! config || ! config.url || ! document.querySelectorAll ) {
+		return;
+	}
+
+	var links = document.querySelectorAll( 'a.sl-auto-link[data-sl-link]' );
+	if ( ! links.length ) {
+		return;
+	}
+
+	var seen    = {};   // link ID => true once counted
+	var pending = [];   // impressions not reported yet
+
+	function send( impressions, clicks ) {
+		if ( ! impressions.length && ! clicks.length ) {
+			return;
+		}
+
+		var body = JSON.stringify( { impressions : impressions, clicks : clicks } );
+
+		if ( navigator.sendBeacon ) {
+			navigator.sendBeacon( config.url, new Blob( [ body ], { type : 'application/json' } ) );
+		} else if ( window.fetch ) {
+			window.fetch( config.url, {
+				method      : 'POST',
+				headers     : { 'Content-Type' : 'application/json' },
+				body        : body,
+				keepalive   : true,
+				credentials : 'omit'
+			} );
+		}
+	}
+
+	function flush() {
+		send( pending.splice( 0 ), [] );
+	}
+
+	function impression( id ) {
+		if ( ! seen[ id ] ) {
+			seen[ id ] = true;
+			pending.push( id );
+		}
+	}
+
+	function linkId( el ) {
+		return parseInt( el.getAttribute( 'data-sl-link' ), 10 ) || 0;
+	}
+
+	/* Impressions */
+	if ( 'IntersectionObserver' in window ) {
+		var observer = new IntersectionObserver( function( entries ) {
+			entries.forEach( function( entry ) {
+				if ( entry.isIntersecting ) {
+					impression( linkId( entry.target ) );
+					observer.unobserve( entry.target );
+				}
+			} );
+		}, { threshold : 0.5 } );
+
+		Array.prototype.forEach.call( links, function( el ) {
+			observer.observe( el );
+		} );
+	} else {
+		// No visibility information – count every rendered link
+		Array.prototype.forEach.call( links, function( el ) {
+			impression( linkId( el ) );
+		} );
+	}
+
+	/* Clicks – reported with the impressions gathered so far */
+	function onClick( e ) {
+		var el = e.target.closest ? e.target.closest( 'a.sl-auto-link[data-sl-link]' ) : null;
+		if ( ! el || ( e.type === 'auxclick' && e.button !== 1 ) ) {
+			return;
+		}
+
+		var id = linkId( el );
+		impression( id );
+		send( pending.splice( 0 ), [ id ] );
+	}
+
+	document.addEventListener( 'click', onClick, true );
+	document.addEventListener( 'auxclick', onClick, true );
+
+	document.addEventListener( 'visibilitychange', function() {
+		if ( document.visibilityState === 'hidden' ) {
+			flush();
+		}
+	} );
+	window.addEventListener( 'pagehide', flush );
+
+} )( window, document );
@@ -4,17 +4,64 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * Runs on plugin activation.
- *   – Creates the three shadow tables.
+ * Runs on plugin activation and after updates.
+ *   – Creates the shadow tables (current schema, for new installs).
+ *   – Applies the schema migrations newer than the stored DB version.
  *   – Schedules the hourly indexing cron event.
+ *
+ * Migrations
+ * ──────────
+ * MIGRATIONS maps a schema version to a method.  maybe_upgrade() (on
+ * admin_init) and activate() run every migration above the version in
+ * DB_VERSION_OPTION in order, storing the version after each one, so a
+ * failed step is retried on the next request.  A migration must be safe
+ * on tables create_tables() already made in the final shape.  Long data
+ * conversions do not run inside a migration: it schedules them
+ * (convert_vectors()) in batches on WP-Cron.
  */
 class SL_Activation {
 
+	/** Current schema version (highest key of MIGRATIONS). */
+	public const DB_VERSION = 2;
+
+	/** Schema version of the installed tables (0 = before versioned migrations). */
+	private const DB_VERSION_OPTION = 'sl_db_version';
+
+	/** version => migration method. */
+	private const MIGRATIONS = [
+		1 => 'upgrade_tables',
+		2 => 'binary_vectors',
+	];
+
+	/** Transient held while migrations run (parallel admin requests). */
+	private const MIGRATION_LOCK = 'sl_migration_lock';
+
+	/** WP-Cron hook converting stored vectors to the configured format. */
+	public const CONVERT_HOOK = 'sl_convert_vectors';
+
+	/** Rows re-encoded per query and seconds of conversion per cron run. */
+	private const CONVERT_BATCH       = 200;
+	private const CONVERT_TIME_BUDGET = 20;
+
 	public static function activate(): void {
 		self::create_tables();
+		self::migrate();
 		self::schedule_cron();
 	}
 
+	/**
+	 * Bring the tables up to DB_VERSION after a plugin update (admin_init).
+	 */
+	public static function maybe_upgrade(): void {
+		if ( self::db_version() < self::DB_VERSION ) {
+			self::activate();
+		}
+	}
+
+	public static function db_version(): int {
+		return (int) get_option( self::DB_VERSION_OPTION, 0 );
+	}
+
 	/* ── Tables ──────────────────────────────────────────────────── */
 
 	private static function create_tables(): void {
@@ -31,13 +78,20 @@ class SL_Activation {
 				target_url       varchar(2083)       NOT NULL,
 				target_post_id   bigint(20) unsigned NOT NULL DEFAULT 0,
 				similarity_score float               NOT NULL DEFAULT 0,
+				chunk_index      smallint(5) unsigned NOT NULL DEFAULT 0,
 				status           varchar(20)         NOT NULL DEFAULT 'active',
+				origin           varchar(20)         NOT NULL DEFAULT 'auto',
+				filter_confidence float                       DEFAULT NULL,
+				filter_reason    varchar(255)                 DEFAULT NULL,
+				audit_result     varchar(20)                  DEFAULT NULL,
+				audited_at       datetime                     DEFAULT NULL,
 				created_at       datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP,
 				updated_at       datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP
 					ON UPDATE CURRENT_TIMESTAMP,
 				PRIMARY KEY (ID),
 				KEY idx_post_status (post_id, status),
-				KEY idx_target      (target_post_id)
+				KEY idx_target      (target_post_id),
+				KEY idx_audit       (audit_result)
 			) ENGINE=InnoDB $cc;"
 		);
 
@@ -48,9 +102,12 @@ class SL_Activation {
 				post_id      bigint(20) unsigned NOT NULL,
 				anchor_text  varchar(500)        NOT NULL,
 				target_url   varchar(2083)       NOT NULL,
+				rule_type    varchar(20)         NOT NULL DEFAULT 'pair',
+				pattern      varchar(500)        NOT NULL DEFAULT '',
 				created_at   datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP,
 				PRIMARY KEY  (ID),
-				KEY idx_post_target (post_id, target_url(200))
+				KEY idx_post_target (post_id, target_url(200)),
+				KEY idx_rule_type   (rule_type)
 			) ENGINE=InnoDB $cc;"
 		);
 
@@ -61,8 +118,12 @@ class SL_Activation {
 				post_id       bigint(20) unsigned NOT NULL,
 				chunk_index   smallint(5) unsigned NOT NULL DEFAULT 0,
 				chunk_text    mediumtext          NOT NULL,
-				embedding     longtext            NOT NULL,
+				embedding     mediumblob          NOT NULL,
 				content_hash  char(32)            NOT NULL,
+				embedding_model    varchar(191)   NOT NULL DEFAULT '',
+				embedding_base_url varchar(255)   NOT NULL DEFAULT '',
+				embedding_dim      smallint(5) unsigned NOT NULL DEFAULT 0,
+				embedding_format   varchar(8)     NOT NULL DEFAULT 'json',
 				created_at    datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP,
 				PRIMARY KEY   (ID),
 				KEY idx_post_chunk (post_id, chunk_index),
@@ -77,8 +138,13 @@ class SL_Activation {
 				url           varchar(2083)       NOT NULL,
 				title         varchar(500)        NOT NULL,
 				keywords      text                NOT NULL,
-				embedding     longtext            DEFAULT NULL,
+				embedding     mediumblob          DEFAULT NULL,
+				embedding_model    varchar(191)   NOT NULL DEFAULT '',
+				embedding_base_url varchar(255)   NOT NULL DEFAULT '',
+				embedding_dim      smallint(5) unsigned NOT NULL DEFAULT 0,
+				embedding_format   varchar(8)     NOT NULL DEFAULT 'json',
 				status        varchar(20)         NOT NULL DEFAULT 'active',
+				link_rule     text                DEFAULT NULL,
 				created_at    datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP,
 				updated_at    datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP
 					ON UPDATE CURRENT_TIMESTAMP,
@@ -87,6 +153,348 @@ class SL_Activation {
 				KEY idx_status (status)
 			) ENGINE=InnoDB $cc;"
 		);
+
+		/* 5. wp_semantic_link_runs – matching runs / admin actions (see SL_History) */
+		$wpdb->query(
+			"CREATE TABLE IF NOT EXISTS {$wpdb->prefix}semantic_link_runs (
+				run_id         varchar(32)         NOT NULL,
+				type           varchar(20)         NOT NULL,
+				label          varchar(255)        NOT NULL DEFAULT '',
+				user_id        bigint(20) unsigned NOT NULL DEFAULT 0,
+				status         varchar(20)         NOT NULL DEFAULT 'running',
+				events         int(10) unsigned    NOT NULL DEFAULT 0,
+				rolled_back_by varchar(32)         NOT NULL DEFAULT '',
+				created_at     datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP,
+				finished_at    datetime                     DEFAULT NULL,
+				PRIMARY KEY    (run_id),
+				KEY idx_created (created_at)
+			) ENGINE=InnoDB $cc;"
+		);
+
+		/* 6. wp_semantic_link_events – append-only history of links and blacklist */
+		$wpdb->query(
+			"CREATE TABLE IF NOT EXISTS {$wpdb->prefix}semantic_link_events (
+				ID           bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+				run_id       varchar(32)         NOT NULL,
+				event        varchar(20)         NOT NULL,
+				link_id      bigint(20) unsigned NOT NULL DEFAULT 0,
+				blacklist_id bigint(20) unsigned NOT NULL DEFAULT 0,
+				post_id      bigint(20) unsigned NOT NULL DEFAULT 0,
+				user_id      bigint(20) unsigned NOT NULL DEFAULT 0,
+				data         longtext            NOT NULL,
+				created_at   datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP,
+				PRIMARY KEY  (ID),
+				KEY idx_run  (run_id),
+				KEY idx_link (link_id),
+				KEY idx_post (post_id)
+			) ENGINE=InnoDB $cc;"
+		);
+
+		/* 7. wp_semantic_link_stats – daily clicks / impressions per link (SL_Tracking) */
+		$wpdb->query(
+			"CREATE TABLE IF NOT EXISTS {$wpdb->prefix}semantic_link_stats (
+				link_id     bigint(20) unsigned NOT NULL,
+				day         date                NOT NULL,
+				impressions int(10) unsigned    NOT NULL DEFAULT 0,
+				clicks      int(10) unsigned    NOT NULL DEFAULT 0,
+				PRIMARY KEY (link_id, day),
+				KEY idx_day (day)
+			) ENGINE=InnoDB $cc;"
+		);
+
+		/* 8. wp_semantic_filter_verdicts – cached AI anchor filter verdicts (SL_Embedding_API) */
+		$wpdb->query(
+			"CREATE TABLE IF NOT EXISTS {$wpdb->prefix}semantic_filter_verdicts (
+				verdict_key  char(32)            NOT NULL,
+				anchor_text  varchar(500)        NOT NULL,
+				target_title varchar(500)        NOT NULL,
+				is_match     tinyint(1) unsigned NOT NULL DEFAULT 1,
+				confidence   float                        DEFAULT NULL,
+				reason       varchar(255)        NOT NULL DEFAULT '',
+				model        varchar(191)        NOT NULL DEFAULT '',
+				created_at   datetime            NOT NULL DEFAULT CURRENT_TIMESTAMP,
+				PRIMARY KEY (verdict_key),
+				KEY idx_created (created_at)
+			) ENGINE=InnoDB $cc;"
+		);
+
+		/* 9. wp_semantic_api_usage – daily API requests / tokens per kind and model (SL_Usage) */
+		$wpdb->query(
+			"CREATE TABLE IF NOT EXISTS {$wpdb->prefix}semantic_api_usage (
+				day           date                NOT NULL,
+				kind          varchar(20)         NOT NULL,
+				model         varchar(191)        NOT NULL DEFAULT '',
+				requests      int(10) unsigned    NOT NULL DEFAULT 0,
+				input_chars   bigint(20) unsigned NOT NULL DEFAULT 0,
+				input_tokens  bigint(20) unsigned NOT NULL DEFAULT 0,
+				output_tokens bigint(20) unsigned NOT NULL DEFAULT 0,
+				retries       int(10) unsigned    NOT NULL DEFAULT 0,
+				rate_limited  int(10) unsigned    NOT NULL DEFAULT 0,
+				errors        int(10) unsigned    NOT NULL DEFAULT 0,
+				PRIMARY KEY (day, kind, model)
+			) ENGINE=InnoDB $cc;"
+		);
+	}
+
+	/* ── Migrations ──────────────────────────────────────────────── */
+
+	/**
+	 * Run the migrations newer than the stored schema version.
+	 */
+	private static function migrate(): void {
+		$from = self::db_version();
+		if ( $from >= self::DB_VERSION || get_transient( self::MIGRATION_LOCK ) ) {
+			return;
+		}
+		set_transient( self::MIGRATION_LOCK, 1, 5 * MINUTE_IN_SECONDS );
+
+		foreach ( self::MIGRATIONS as $version => $method ) {
+			if ( $version <= $from ) {
+				continue;
+			}
+
+			if ( self::$method() === false ) {
+				global $wpdb;
+				SL_Debug::log( 'db', 'ERROR: Migration failed - retrying on next admin request', [
+					'version'  => $version,
+					'method'   => $method,
+					'db_error' => $wpdb->last_error,
+				] );
+				break;
+			}
+
+			update_option( self::DB_VERSION_OPTION, $version );
+			SL_Debug::log( 'db', 'Migration applied', [ 'version' => $version, 'method' => $method ] );
+		}
+
+		delete_transient( self::MIGRATION_LOCK );
+	}
+
+	/**
+	 * 1: columns added during 1.x.  CREATE TABLE IF NOT EXISTS leaves
+	 * existing tables untouched, so they are appended here.
+	 */
+	private static function upgrade_tables(): void {
+		global $wpdb;
+
+		$signature_columns = [
+			'embedding_model'    => "varchar(191) NOT NULL DEFAULT ''",
+			'embedding_base_url' => "varchar(255) NOT NULL DEFAULT ''",
+			'embedding_dim'      => 'smallint(5) unsigned NOT NULL DEFAULT 0',
+		];
+
+		$gemini = new SL_Provider_Gemini( '', (string) SL_Settings::get( 'embedding_model', '' ) );
+
+		foreach ( [ 'semantic_embeddings', 'semantic_custom_urls' ] as $table ) {
+			$added = self::add_missing_columns( $wpdb->prefix . $table, $signature_columns, 'embedding' );
+
+			/* 1.2.0: vectors stored before provider tracking all came from Gemini */
+			if ( in_array( 'embedding_model', $added, true ) ) {
+				$wpdb->query(
+					$wpdb->prepare(
+						"UPDATE {$wpdb->prefix}{$table}
+						 SET embedding_model    = %s,
+						     embedding_base_url = %s,
+						     embedding_dim      = LENGTH(embedding) - LENGTH(REPLACE(embedding, ',', '')) + 1
+						 WHERE embedding IS NOT NULL AND embedding <> ''",
+						$gemini->get_model(),
+						$gemini->get_base_url()
+					)
+				);
+			}
+		}
+
+		/* 1.2.0: blacklist rule types (rows created before are pairs) */
+		$blacklist = $wpdb->prefix . 'semantic_links_blacklist';
+		$added     = self::add_missing_columns( $blacklist, [
+			'rule_type' => "varchar(20) NOT NULL DEFAULT 'pair'",
+			'pattern'   => "varchar(500) NOT NULL DEFAULT ''",
+		], 'target_url' );
+		if ( in_array( 'rule_type', $added, true ) ) {
+			$wpdb->query( "ALTER TABLE {$blacklist} ADD KEY idx_rule_type (rule_type)" );
+		}
+
+		/* 1.2.0: link audit (injected vs. orphaned), NULL = not audited yet */
+		$links = $wpdb->prefix . 'semantic_links';
+		$added = self::add_missing_columns( $links, [
+			'audit_result' => 'varchar(20) DEFAULT NULL',
+			'audited_at'   => 'datetime DEFAULT NULL',
+		], 'status' );
+		if ( in_array( 'audit_result', $added, true ) ) {
+			$wpdb->query( "ALTER TABLE {$links} ADD KEY idx_audit (audit_result)" );
+		}
+
+		/* 1.2.0: manual (editor-authored) links, rows created before are automatic */
+		self::add_missing_columns( $links, [
+			'origin' => "varchar(20) NOT NULL DEFAULT 'auto'",
+		], 'status' );
+
+		/* 1.2.0: source chunk of a link (injector placement), 0 = unknown / manual */
+		self::add_missing_columns( $links, [
+			'chunk_index' => 'smallint(5) unsigned NOT NULL DEFAULT 0',
+		], 'similarity_score' );
+
+		/* 1.2.0: AI filter verdict of a link, NULL = not judged (custom URL, manual, older rows) */
+		self::add_missing_columns( $links, [
+			'filter_confidence' => 'float DEFAULT NULL',
+			'filter_reason'     => 'varchar(255) DEFAULT NULL',
+		], 'origin' );
+
+		/* 1.2.0: per-URL rendering rule (JSON), NULL = inherit the custom URL rule */
+		self::add_missing_columns( $wpdb->prefix . 'semantic_custom_urls', [
+			'link_rule' => 'text DEFAULT NULL',
+		], 'status' );
+
+		/* Plugin version that triggered the CREATE TABLE re-run – replaced by DB_VERSION_OPTION */
+		delete_option( 'sl_plugin_version' );
+	}
+
+	/**
+	 * 2: vectors as blobs (see SL_Vector_Codec) instead of JSON text.
+	 * Existing rows keep their JSON, marked as such, until
+	 * convert_vectors() re-encodes them.
+	 */
+	private static function binary_vectors(): bool {
+		global $wpdb;
+
+		foreach ( SL_DB::VECTOR_TABLES as $table ) {
+			$table  = $wpdb->prefix . $table;
+			$column = $wpdb->get_row( "SHOW COLUMNS FROM {$table} LIKE 'embedding'" );
+			if ( ! $column ) {
+				return false;
+			}
+
+			if ( stripos( $column->Type, 'blob' ) === false ) {
+				$null = $column->Null === 'YES' ? 'DEFAULT NULL' : 'NOT NULL';
+				if ( $wpdb->query( "ALTER TABLE {$table} MODIFY embedding mediumblob {$null}" ) === false ) {
+					return false;
+				}
+			}
+
+			self::add_missing_columns( $table, [
+				'embedding_format' => "varchar(8) NOT NULL DEFAULT '" . SL_Vector_Codec::LEGACY . "'",
+			], 'embedding_dim' );
+		}
+
+		self::schedule_vector_conversion();
+		return true;
+	}
+
+	/**
+	 * Add any of the given columns that the table does not have yet.
+	 *
+	 * @param string $table    Full table name (with prefix).
+	 * @param array  $columns  column => definition.
+	 * @param string $after    Column the first new column is placed after.
+	 * @return string[]        Names of the columns that were added.
+	 */
+	private static function add_missing_columns( string $table, array $columns, string $after ): array {
+		global $wpdb;
+
+		$existing = $wpdb->get_col( "SHOW COLUMNS FROM {$table}", 0 );
+		if ( empty( $existing ) ) {
+			return [];
+		}
+
+		$added = [];
+		foreach ( $columns as $name => $definition ) {
+			if ( in_array( $name, $existing, true ) ) {
+				continue;
+			}
+			$wpdb->query( "ALTER TABLE {$table} ADD COLUMN {$name} {$definition} AFTER {$after}" );
+			$added[] = $name;
+			$after   = $name;
+		}
+
+		return $added;
+	}
+
+	/* ── Vector conversion ───────────────────────────────────────── */
+
+	/**
+	 * Queue the re-encoding of stored vectors when any are not in the
+	 * configured format (after migration 2 or a change of
+	 * `vector_storage`).
+	 */
+	public static function schedule_vector_conversion(): void {
+		if ( self::vectors_to_convert() > 0 && ! wp_next_scheduled( self::CONVERT_HOOK ) ) {
+			wp_schedule_single_event( time(), self::CONVERT_HOOK );
+		}
+	}
+
+	/**
+	 * Vectors waiting for convert_vectors().
+	 */
+	public static function vectors_to_convert(): int {
+		// embedding_format arrives with migration 2
+		if ( self::db_version() < 2 ) {
+			return 0;
+		}
+		return SL_DB::count_vectors_to_convert( SL_Vector_Codec::convertible( SL_Vector_Codec::format() ) );
+	}
+
+	/**
+	 * Re-encode up to $limit stored vectors into the configured format.
+	 *
+	 * @param int $limit
+	 * @return int  Rows converted (0 = nothing left).
+	 */
+	public static function convert_vectors( int $limit = self::CONVERT_BATCH ): int {
+		$format    = SL_Vector_Codec::format();
+		$from      = SL_Vector_Codec::convertible( $format );
+		$converted = 0;
+
+		foreach ( SL_DB::VECTOR_TABLES as $table ) {
+			foreach ( SL_DB::get_vectors_to_convert( $table, $from, $limit - $converted ) as $row ) {
+				$vector = SL_Vector_Codec::decode( $row->embedding, $row->embedding_format );
+				$saved  = SL_DB::update_vector_encoding(
+					$table,
+					(int) $row->ID,
+					SL_Vector_Codec::encode( $vector, $format ),
+					$row->embedding_format,
+					$format
+				);
+				if ( ! $saved ) {
+					global $wpdb;
+					SL_Debug::log( 'db', 'ERROR: Vector conversion failed', [
+						'table'    => $table,
+						'id'       => (int) $row->ID,
+						'db_error' => $wpdb->last_error,
+					] );
+					return $converted;
+				}
+				$converted++;
+			}
+			if ( $converted >= $limit ) {
+				break;
+			}
+		}
+
+		return $converted;
+	}
+
+	/**
+	 * Cron callback: convert batches for CONVERT_TIME_BUDGET seconds,
+	 * then hand over to the next cron run.
+	 */
+	public static function convert_vectors_cron(): void {
+		$started = microtime( true );
+		$total   = 0;
+
+		do {
+			$converted = self::convert_vectors();
+			$total    += $converted;
+		} while ( $converted > 0 && microtime( true ) - $started < self::CONVERT_TIME_BUDGET );
+
+		SL_Debug::log( 'db', 'Vectors converted', [
+			'rows'   => $total,
+			'format' => SL_Vector_Codec::format(),
+			'done'   => $converted === 0,
+		] );
+
+		if ( $converted > 0 ) {
+			wp_schedule_single_event( time(), self::CONVERT_HOOK );
+		}
 	}
 
 	/* ── Cron ────────────────────────────────────────────────────── */
@@ -10,6 +10,36 @@ if ( ! defined( 'ABSPATH' ) ) {
  * ─────────
  *   sl_reject_link       – reject a link + add (post, URL) to the
  *                          blacklist + flush the injection cache.
+ *                          Also used from the post editor, so authors
+ *                          may act on links of posts they can edit.
+ *   sl_get_post_links    – links of one post + anchor positions for
+ *                          the editor sidebar / metabox.
+ *   sl_add_manual_link   – editor-authored link (anchor + target post
+ *                          or URL), see SL_Editor::add_manual_link().
+ *   sl_update_link_anchor – override the anchor of a link; the link
+ *                          becomes manual.
+ *   sl_get_links         – one page of Active Links table rows
+ *                          (filters, search, sorting; also the
+ *                          lazy-loaded links of one cluster).
+ *   sl_get_clusters      – one page of cluster header rows.
+ *   sl_bulk_links        – reject / restore / blacklist / un-blacklist
+ *                          many links at once (checked rows, whole
+ *                          clusters or everything matching the filter).
+ *   sl_audit_start       – start a link audit (or re-match of posts
+ *                          with orphaned links), see SL_Audit.
+ *   sl_audit_batch       – process the next batch of that job.
+ *   sl_add_blacklist_rule     – add a site-wide rule (anchor phrase,
+ *                               target URL, source post, regex).
+ *   sl_delete_blacklist_entry – remove one blacklist entry / rule.
+ *   sl_analytics_graph   – nodes and edges of the link graph for the
+ *                          Analytics page, see SL_Analytics.
+ *   sl_simulation_start  – prepare data of the threshold simulator
+ *                          (dry-run matching), see SL_Simulator.
+ *   sl_simulation_batch  – process the next batch of that job.
+ *   sl_simulate          – what-if preview for the given thresholds.
+ *   sl_simulation_apply  – save the simulated thresholds.
+ *   sl_rollback_run      – undo every change of one history run
+ *                          (matching run, bulk action …), see SL_History.
  *   sl_trigger_indexing  – run the full index → match pipeline
  *                          synchronously so the admin sees results
  *                          immediately.  (For very large sites
@@ -17,12 +47,25 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class SL_Ajax {
 
+	/** Upper bound of links touched by one bulk action. */
+	private const MAX_BULK_LINKS = 10000;
+
 	public function __construct() {
 		add_action( 'wp_ajax_sl_reject_link',      [ $this, 'reject_link' ] );
 		add_action( 'wp_ajax_sl_restore_link',     [ $this, 'restore_link' ] );
+		add_action( 'wp_ajax_sl_get_post_links',   [ $this, 'get_post_links' ] );
+		add_action( 'wp_ajax_sl_add_manual_link',  [ $this, 'add_manual_link' ] );
+		add_action( 'wp_ajax_sl_update_link_anchor', [ $this, 'update_link_anchor' ] );
+		add_action( 'wp_ajax_sl_get_links',        [ $this, 'get_links' ] );
+		add_action( 'wp_ajax_sl_get_clusters',     [ $this, 'get_clusters' ] );
+		add_action( 'wp_ajax_sl_bulk_links',       [ $this, 'bulk_links' ] );
+		add_action( 'wp_ajax_sl_audit_start',      [ $this, 'audit_start' ] );
+		add_action( 'wp_ajax_sl_audit_batch',      [ $this, 'audit_batch' ] );
 		add_action( 'wp_ajax_sl_trigger_indexing', [ $this, 'trigger_indexing' ] );
 		add_action( 'wp_ajax_sl_start_indexing',   [ $this, 'start_indexing' ] );
 		add_action( 'wp_ajax_sl_process_batch',    [ $this, 'process_batch' ] );
+		add_action( 'wp_ajax_sl_job_start',        [ $this, 'job_start' ] );
+		add_action( 'wp_ajax_sl_job_status',       [ $this, 'job_status' ] );
 		add_action( 'wp_ajax_sl_delete_all_links', [ $this, 'delete_all_links' ] );
 		add_action( 'wp_ajax_sl_cancel_indexing',  [ $this, 'cancel_indexing' ] );
 		add_action( 'wp_ajax_sl_get_debug',        [ $this, 'get_debug' ] );
@@ -35,22 +78,33 @@ class SL_Ajax {
 		add_action( 'wp_ajax_sl_delete_custom_url', [ $this, 'delete_custom_url' ] );
 		add_action( 'wp_ajax_sl_get_custom_urls',   [ $this, 'get_custom_urls' ] );
 		add_action( 'wp_ajax_sl_save_custom_url_threshold', [ $this, 'save_custom_url_threshold' ] );
+
+		// Blacklist page
+		add_action( 'wp_ajax_sl_add_blacklist_rule',     [ $this, 'add_blacklist_rule' ] );
+		add_action( 'wp_ajax_sl_delete_blacklist_entry', [ $this, 'delete_blacklist_entry' ] );
+
+		// Export / Import page
+		add_action( 'wp_ajax_sl_import_preview', [ $this, 'import_preview' ] );
+		add_action( 'wp_ajax_sl_import_run',     [ $this, 'import_run' ] );
+
+		// Analytics page
+		add_action( 'wp_ajax_sl_analytics_graph', [ $this, 'analytics_graph' ] );
+
+		// Threshold simulator
+		add_action( 'wp_ajax_sl_simulation_start', [ $this, 'simulation_start' ] );
+		add_action( 'wp_ajax_sl_simulation_batch', [ $this, 'simulation_batch' ] );
+		add_action( 'wp_ajax_sl_simulate',         [ $this, 'simulate' ] );
+		add_action( 'wp_ajax_sl_simulation_apply', [ $this, 'simulation_apply' ] );
+
+		// History
+		add_action( 'wp_ajax_sl_rollback_run', [ $this, 'rollback_run' ] );
 	}
 
 	/* ── Reject / blacklist ─────────────────────────────────────── */
 
 	public function reject_link(): void {
-		$this->verify();
-
-		$link_id = isset( $_POST['link_id'] ) ? absint( $_POST['link_id'] ) : 0;
-		if ( $link_id < 1 ) {
-			wp_send_json_error( 'Nieprawidłowy identyfikator linku.' );
-		}
-
-		$link = SL_DB::get_link( $link_id );
-		if ( ! $link ) {
-			wp_send_json_error( 'Link nie znaleziony.' );
-		}
+		$link    = $this->get_editable_link();
+		$link_id = (int) $link->ID;
 
 		/* 1. Permanently blacklist this (post, target URL) pair */
 		SL_DB::add_to_blacklist( $link->post_id, $link->anchor_text, $link->target_url );
@@ -68,17 +122,8 @@ class SL_Ajax {
 	/* ── Restore link ──────────────────────────────────────────── */
 
 	public function restore_link(): void {
-		$this->verify();
-
-		$link_id = isset( $_POST['link_id'] ) ? absint( $_POST['link_id'] ) : 0;
-		if ( $link_id < 1 ) {
-			wp_send_json_error( 'Nieprawidłowy identyfikator linku.' );
-		}
-
-		$link = SL_DB::get_link( $link_id );
-		if ( ! $link ) {
-			wp_send_json_error( 'Link nie znaleziony.' );
-		}
+		$link    = $this->get_editable_link();
+		$link_id = (int) $link->ID;
 
 		/* 1. Remove from blacklist */
 		SL_DB::remove_from_blacklist( $link->post_id, $link->target_url );
@@ -92,6 +137,252 @@ class SL_Ajax {
 		wp_send_json_success( [ 'message' => 'Link przywrócony.' ] );
 	}
 
+	/* ── Post editor preview ───────────────────────────────────── */
+
+	public function get_post_links(): void {
+		$this->verify( 'edit_posts' );
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		if ( $post_id < 1 || ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( 'Brak uprawnień.', 403 );
+		}
+
+		/* Unsaved editor content (optional) – same filtering WordPress
+		 * applies when the author saves the post */
+		$content = null;
+		if ( isset( $_POST['content'] ) ) {
+			$content = wp_unslash( $_POST['content'] );
+			if ( ! current_user_can( 'unfiltered_html' ) ) {
+				$content = wp_kses_post( $content );
+			}
+		}
+
+		wp_send_json_success( SL_Editor::get_post_links( $post_id, $content ) );
+	}
+
+	/* ── Manual links ──────────────────────────────────────────── */
+
+	public function add_manual_link(): void {
+		$this->verify( 'edit_posts' );
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		if ( $post_id < 1 || ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( 'Brak uprawnień.', 403 );
+		}
+
+		$result = SL_Editor::add_manual_link(
+			$post_id,
+			wp_unslash( $_POST['anchor'] ?? '' ),
+			wp_unslash( $_POST['target'] ?? '' )
+		);
+		if ( isset( $result['error'] ) ) {
+			wp_send_json_error( $result['error'] );
+		}
+
+		wp_send_json_success( array_merge( $this->manual_link_response( $post_id ), [
+			'found'   => $result['found'],
+			'message' => $result['found']
+				? 'Link dodany.'
+				: 'Link dodany, ale anchor nie występuje w zapisanej treści – pojawi się na stronie, gdy dodasz tę frazę.',
+		] ) );
+	}
+
+	public function update_link_anchor(): void {
+		$link   = $this->get_editable_link();
+		$anchor = trim( sanitize_text_field( wp_unslash( $_POST['anchor'] ?? '' ) ) );
+
+		if ( $anchor === '' ) {
+			wp_send_json_error( 'Anchor nie może być pusty.' );
+		}
+
+		SL_DB::set_manual_anchor( (int) $link->ID, $anchor );
+		do_action( 'sl_link_changed', (int) $link->post_id );
+
+		$found = SL_Matcher::anchor_can_be_injected( (int) $link->post_id, $anchor );
+
+		wp_send_json_success( array_merge( $this->manual_link_response( (int) $link->post_id ), [
+			'found'   => $found,
+			'message' => $found ? 'Anchor zmieniony.' : 'Anchor zmieniony, ale nie występuje w zapisanej treści wpisu.',
+		] ) );
+	}
+
+	/**
+	 * Re-rendered Classic Editor metabox when the request came from it.
+	 */
+	private function manual_link_response( int $post_id ): array {
+		return ! empty( $_POST['metabox'] ) ? [ 'metabox' => SL_Editor::metabox_html( $post_id ) ] : [];
+	}
+
+	/* ── Active Links dashboard ────────────────────────────────── */
+
+	public function get_links(): void {
+		$this->verify();
+
+		$args = $this->dashboard_query_args();
+		if ( isset( $_POST['target_url'] ) ) {
+			$args['target_url'] = esc_url_raw( wp_unslash( $_POST['target_url'] ) );
+		}
+
+		$result = SL_DB::query_links( $args );
+		$row_class = isset( $_POST['row_class'] ) && in_array( $_POST['row_class'], [ 'sl-cluster-odd', 'sl-cluster-even' ], true )
+			? $_POST['row_class']
+			: '';
+
+		wp_send_json_success( [
+			'html'  => SL_Dashboard::render_link_rows( $result['items'], $row_class ),
+			'total' => $result['total'],
+			'page'  => $args['page'],
+			'pages' => (int) ceil( $result['total'] / $args['per_page'] ),
+		] );
+	}
+
+	public function get_clusters(): void {
+		$this->verify();
+
+		$args   = $this->dashboard_query_args();
+		$result = SL_DB::query_link_clusters( $args );
+
+		wp_send_json_success( [
+			'html'  => SL_Dashboard::render_cluster_rows( $result['items'], ( $args['page'] - 1 ) * $args['per_page'] ),
+			'total' => $result['total'],
+			'page'  => $args['page'],
+			'pages' => (int) ceil( $result['total'] / $args['per_page'] ),
+		] );
+	}
+
+	/* ── Link audit ────────────────────────────────────────────── */
+
+	/**
+	 * Start an audit (job=audit) or a re-match of the posts with
+	 * orphaned links (job=rematch).
+	 */
+	public function audit_start(): void {
+		$this->verify();
+
+		if ( SL_Indexer::get_progress() || SL_Matcher::is_running() ) {
+			wp_send_json_error( 'Trwa indeksowanie lub dopasowywanie – poczekaj na jego zakończenie.' );
+		}
+
+		$result = SL_Audit::start( sanitize_key( $_POST['job'] ?? 'audit' ) );
+		if ( isset( $result['error'] ) ) {
+			wp_send_json_error( $result['error'] );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	public function audit_batch(): void {
+		$this->verify();
+		SL_Debug::register_shutdown_handler();
+
+		try {
+			$result = SL_Audit::process_batch();
+
+			if ( isset( $result['error'] ) ) {
+				wp_send_json_error( $result['error'] );
+			}
+
+			wp_send_json_success( $result );
+		} catch ( \Throwable $e ) {
+			SL_Audit::cancel();
+			SL_Debug::log( 'error', 'Exception in audit_batch: ' . $e->getMessage(), [
+				'file'  => str_replace( ABSPATH, '', $e->getFile() ),
+				'line'  => $e->getLine(),
+			] );
+			wp_send_json_error( 'Błąd PHP: ' . $e->getMessage() . ' — sprawdź Debug Logs.' );
+		}
+	}
+
+	/* ── Bulk moderation ───────────────────────────────────────── */
+
+	/**
+	 * Apply one action to a selection of links.
+	 *
+	 * The selection is either scope=filter (every link matching the
+	 * dashboard filters) or link_ids[] + target_urls[] (checked rows +
+	 * checked clusters, the latter narrowed by the filters).  Statuses
+	 * and blacklist entries are written in batched queries, caches are
+	 * flushed once per source post whose links changed.
+	 */
+	public function bulk_links(): void {
+		$this->verify();
+
+		$action = sanitize_key( $_POST['bulk_action'] ?? '' );
+		if ( ! in_array( $action, [ 'reject', 'restore', 'blacklist', 'unblacklist' ], true ) ) {
+			wp_send_json_error( 'Nieznana akcja.' );
+		}
+
+		$links = $this->bulk_selection();
+		if ( empty( $links ) ) {
+			wp_send_json_error( 'Nie zaznaczono żadnych linków.' );
+		}
+		if ( count( $links ) > self::MAX_BULK_LINKS ) {
+			wp_send_json_error( sprintf(
+				'Zaznaczono zbyt wiele linków (%d) – zawęź filtr (maks. %d).',
+				count( $links ),
+				self::MAX_BULK_LINKS
+			) );
+		}
+
+		$labels = [
+			'reject'      => 'odrzucenie',
+			'restore'     => 'przywrócenie',
+			'blacklist'   => 'dodanie do blacklisty',
+			'unblacklist' => 'usunięcie z blacklisty',
+		];
+		SL_History::start( 'bulk', sprintf( 'Akcja masowa: %s (%d linków)', $labels[ $action ], count( $links ) ) );
+
+		$new_status  = [ 'reject' => 'rejected', 'restore' => 'active' ][ $action ] ?? null;
+		$changed     = [];
+		$blacklisted = 0;
+		$removed     = 0;
+
+		if ( $new_status !== null ) {
+			foreach ( $links as $link ) {
+				if ( $link->status !== $new_status ) {
+					$changed[] = $link;
+				}
+			}
+			SL_DB::update_links_status( array_column( $changed, 'ID' ), $new_status );
+		}
+
+		if ( $action === 'reject' || $action === 'blacklist' ) {
+			$blacklisted = SL_DB::add_links_to_blacklist( $links );
+		} else {
+			$removed = SL_DB::remove_links_from_blacklist( $links );
+		}
+
+		SL_History::finish();
+
+		$post_ids = array_unique( array_map( 'intval', array_column( $changed, 'post_id' ) ) );
+		foreach ( $post_ids as $post_id ) {
+			do_action( 'sl_link_changed', $post_id );
+		}
+
+		$messages = [
+			'reject'      => sprintf( 'Odrzucono %d z %d zaznaczonych linków, dodano %d wpisów do blacklisty.', count( $changed ), count( $links ), $blacklisted ),
+			'restore'     => sprintf( 'Przywrócono %d z %d zaznaczonych linków, usunięto %d wpisów z blacklisty.', count( $changed ), count( $links ), $removed ),
+			'blacklist'   => sprintf( 'Dodano %d wpisów do blacklisty (zaznaczone linki: %d).', $blacklisted, count( $links ) ),
+			'unblacklist' => sprintf( 'Usunięto %d wpisów z blacklisty (zaznaczone linki: %d).', $removed, count( $links ) ),
+		];
+
+		SL_Debug::log( 'ajax', 'Bulk action: ' . $action, [
+			'selected'    => count( $links ),
+			'changed'     => count( $changed ),
+			'blacklisted' => $blacklisted,
+			'removed'     => $removed,
+		] );
+
+		wp_send_json_success( [
+			'message'     => $messages[ $action ],
+			'selected'    => count( $links ),
+			'changed'     => count( $changed ),
+			'blacklisted' => $blacklisted,
+			'removed'     => $removed,
+			'posts'       => count( $post_ids ),
+		] );
+	}
+
 	/* ── Trigger indexing (legacy synchronous) ────────────────────── */
 
 	public function trigger_indexing(): void {
@@ -102,7 +393,36 @@ class SL_Ajax {
 		wp_send_json_success( [ 'message' => 'Indeksacja i matching zakończone.' ] );
 	}
 
-	/* ── Batch indexing with progress ─────────────────────────────── */
+	/* ── Background indexing job ──────────────────────────────────── */
+
+	/**
+	 * Start the pipeline as a background job (SL_Jobs).
+	 */
+	public function job_start(): void {
+		$this->verify();
+
+		$result = SL_Jobs::start();
+		if ( isset( $result['error'] ) ) {
+			wp_send_json_error( $result['error'] );
+		}
+
+		wp_send_json_success( [ 'job' => $result ] );
+	}
+
+	/**
+	 * Progress of the running job (or the last finished one) – polled by admin.js.
+	 */
+	public function job_status(): void {
+		$this->verify();
+
+		wp_send_json_success( [
+			'job'     => SL_Jobs::status(),
+			'running' => SL_Jobs::is_running(),
+			'history' => SL_Jobs::history_view(),
+		] );
+	}
+
+	/* ── Batch indexing with progress (legacy, browser-driven) ───────── */
 
 	/**
 	 * Start batch indexing - returns total posts to process.
@@ -111,6 +431,10 @@ class SL_Ajax {
 		$this->verify();
 		SL_Debug::register_shutdown_handler();
 
+		if ( SL_Jobs::is_running() ) {
+			wp_send_json_error( 'Indeksacja w tle jest już w toku.' );
+		}
+
 		try {
 			$result = SL_Indexer::init_batch();
 
@@ -157,15 +481,17 @@ class SL_Ajax {
 	public function delete_all_links(): void {
 		$this->verify();
 
+		SL_History::start( 'delete_all' );
 		$deleted_links     = SL_DB::delete_all_links();
 		$deleted_blacklist = SL_DB::delete_all_blacklist();
+		SL_History::finish();
 		$deleted_embeddings = SL_DB::delete_all_embeddings();
 
 		// Clear all injector caches (links were deleted, cached HTML is stale)
 		SL_Injector::flush_all_caches();
 
-		// Clear any in-progress indexing/matching sessions
-		SL_Indexer::cancel();
+		// Clear any in-progress indexing/matching sessions (and the job driving them)
+		SL_Jobs::cancel();
 		SL_Matcher::cancel();
 
 		// Reschedule cron to run in 1 hour (not immediately)
@@ -231,7 +557,7 @@ class SL_Ajax {
 	public function cancel_indexing(): void {
 		$this->verify();
 
-		SL_Indexer::cancel( true );  // Also cancels matcher
+		SL_Jobs::cancel();  // Also cancels indexer + matcher
 
 		SL_Debug::log( 'ajax', 'Indexing cancelled by user' );
 
@@ -268,9 +594,10 @@ class SL_Ajax {
 		}
 
 		$id = SL_DB::insert_custom_url( [
-			'url'      => $url,
-			'title'    => $title,
-			'keywords' => $keywords,
+			'url'       => $url,
+			'title'     => $title,
+			'keywords'  => $keywords,
+			'link_rule' => $this->posted_link_rule(),
 		] );
 
 		if ( ! $id ) {
@@ -311,16 +638,24 @@ class SL_Ajax {
 			wp_send_json_error( 'URL nie znaleziony.' );
 		}
 
+		$link_rule = $this->posted_link_rule();
+
 		$ok = SL_DB::update_custom_url( $id, [
-			'url'      => $url,
-			'title'    => $title,
-			'keywords' => $keywords,
+			'url'       => $url,
+			'title'     => $title,
+			'keywords'  => $keywords,
+			'link_rule' => $link_rule,
 		] );
 
 		if ( ! $ok ) {
 			wp_send_json_error( 'Nie udało się zaktualizować URL (może istnieje duplikat).' );
 		}
 
+		// Links already rendered with the old URL or rule are cached per post
+		if ( $existing->url !== $url || SL_Injector::custom_url_rule( $existing ) !== $link_rule ) {
+			SL_Injector::flush_all_caches();
+		}
+
 		// Regenerate embedding if title or keywords changed
 		if ( $existing->title !== $title || $existing->keywords !== $keywords ) {
 			$this->generate_custom_url_embedding( $id, $title, $keywords );
@@ -329,6 +664,19 @@ class SL_Ajax {
 		wp_send_json_success( [ 'message' => 'URL zaktualizowany.' ] );
 	}
 
+	/**
+	 * Own rendering rule of a custom URL from the add / edit form.
+	 *
+	 * @return array|null  null when "Własne atrybuty linku" is unchecked.
+	 */
+	private function posted_link_rule(): ?array {
+		if ( empty( $_POST['link_rule_override'] ) ) {
+			return null;
+		}
+		$rule = isset( $_POST['link_rule'] ) ? (array) wp_unslash( $_POST['link_rule'] ) : [];
+		return SL_Injector::sanitize_link_rule( $rule );
+	}
+
 	/**
 	 * Delete a custom URL.
 	 */
@@ -407,22 +755,341 @@ class SL_Ajax {
 		$embedding = $api->embed_single( $text );
 
 		if ( $embedding ) {
-			SL_DB::update_custom_url_embedding( $id, $embedding );
+			SL_DB::update_custom_url_embedding( $id, $embedding, $api->get_signature() );
 		}
 	}
 
+	/**
+	 * Filters / sorting / paging posted by the dashboard table.
+	 * Sort columns are whitelisted again in SL_DB.
+	 */
+	private function dashboard_query_args(): array {
+		$status = sanitize_key( $_POST['status'] ?? '' );
+		$args   = [
+			'status'         => in_array( $status, [ 'active', 'rejected', 'filtered', 'orphaned' ], true ) ? $status : '',
+			'search'         => sanitize_text_field( wp_unslash( $_POST['search'] ?? '' ) ),
+			'orderby'        => sanitize_key( $_POST['orderby'] ?? '' ),
+			'order'          => sanitize_key( $_POST['order'] ?? '' ),
+			'page'           => max( 1, absint( $_POST['page'] ?? 1 ) ),
+			'per_page'       => max( 10, min( 200, absint( $_POST['per_page'] ?? 50 ) ) ),
+			'published_only' => true,
+		];
+
+		// Score range arrives in percent (0–100)
+		foreach ( [ 'min_score', 'max_score' ] as $key ) {
+			if ( isset( $_POST[ $key ] ) && $_POST[ $key ] !== '' ) {
+				$args[ $key ] = max( 0.0, min( 100.0, (float) $_POST[ $key ] ) ) / 100;
+			}
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Links selected for sl_bulk_links, de-duplicated by ID.
+	 *
+	 * @return object[]  Rows from SL_DB::find_links().
+	 */
+	private function bulk_selection(): array {
+		$filters = $this->dashboard_query_args();
+
+		if ( ( $_POST['scope'] ?? '' ) === 'filter' ) {
+			return SL_DB::find_links( $filters );
+		}
+
+		$ids  = array_filter( array_map( 'absint', (array) ( $_POST['link_ids'] ?? [] ) ) );
+		$urls = array_filter( array_map( 'esc_url_raw', (array) wp_unslash( $_POST['target_urls'] ?? [] ) ) );
+
+		$links = [];
+		if ( ! empty( $ids ) ) {
+			foreach ( SL_DB::find_links( [ 'ids' => $ids ] ) as $link ) {
+				$links[ $link->ID ] = $link;
+			}
+		}
+		if ( ! empty( $urls ) ) {
+			foreach ( SL_DB::find_links( array_merge( $filters, [ 'target_urls' => $urls ] ) ) as $link ) {
+				$links[ $link->ID ] = $link;
+			}
+		}
+
+		return array_values( $links );
+	}
+
+	/* ── Blacklist page ────────────────────────────────────────── */
+
+	/**
+	 * Add a site-wide blacklist rule.  Honoured by the next matching run.
+	 */
+	public function add_blacklist_rule(): void {
+		$this->verify();
+
+		$rule_type = sanitize_key( $_POST['rule_type'] ?? '' );
+		$value     = isset( $_POST['value'] ) ? wp_unslash( $_POST['value'] ) : '';
+
+		if ( $rule_type === 'pair' || ! in_array( $rule_type, SL_DB::BLACKLIST_RULE_TYPES, true ) ) {
+			wp_send_json_error( 'Nieznany typ reguły.' );
+		}
+		if ( trim( $value ) === '' ) {
+			wp_send_json_error( 'Podaj wartość reguły.' );
+		}
+
+		$id = SL_DB::add_blacklist_rule( $rule_type, $value );
+		if ( ! is_int( $id ) ) {
+			wp_send_json_error( $id );
+		}
+
+		SL_Debug::log( 'ajax', 'Blacklist rule added', [
+			'id'        => $id,
+			'rule_type' => $rule_type,
+		] );
+
+		wp_send_json_success( [
+			'message' => 'Reguła dodana. Zostanie uwzględniona przy kolejnym dopasowywaniu.',
+			'id'      => $id,
+		] );
+	}
+
+	/**
+	 * Remove one blacklist entry (pair or rule).
+	 */
+	public function delete_blacklist_entry(): void {
+		$this->verify();
+
+		$id = isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0;
+		if ( $id < 1 || ! SL_DB::get_blacklist_entry( $id ) ) {
+			wp_send_json_error( 'Wpis blacklisty nie znaleziony.' );
+		}
+
+		if ( ! SL_DB::delete_blacklist_entry( $id ) ) {
+			wp_send_json_error( 'Nie udało się usunąć wpisu.' );
+		}
+
+		wp_send_json_success( [ 'message' => 'Wpis usunięty z blacklisty.' ] );
+	}
+
+	/* ── Export / Import ────────────────────────────────────────── */
+
+	/**
+	 * Parse the uploaded file, keep it for sl_import_run and report
+	 * what an import would do.
+	 */
+	public function import_preview(): void {
+		$this->verify();
+
+		$file = $_FILES['file'] ?? null;
+		if ( ! $file || ! empty( $file['error'] ) || ! is_uploaded_file( $file['tmp_name'] ) ) {
+			wp_send_json_error( 'Nie udało się wgrać pliku.' );
+		}
+
+		$extension = strtolower( pathinfo( $file['name'], PATHINFO_EXTENSION ) );
+		if ( ! in_array( $extension, [ 'json', 'csv' ], true ) ) {
+			wp_send_json_error( 'Obsługiwane są pliki .json i .csv.' );
+		}
+
+		$sections = SL_Transfer::parse_file( $file['tmp_name'], $file['name'] );
+		if ( is_string( $sections ) ) {
+			wp_send_json_error( $sections );
+		}
+
+		SL_Transfer::store_pending( $sections );
+
+		$mode = ( $_POST['mode'] ?? 'merge' ) === 'replace' ? 'replace' : 'merge';
+		wp_send_json_success( [ 'sections' => SL_Transfer::preview( $sections, $mode ) ] );
+	}
+
+	/**
+	 * Import the file uploaded by sl_import_preview.
+	 */
+	public function import_run(): void {
+		$this->verify();
+
+		$sections = SL_Transfer::get_pending();
+		if ( $sections === null ) {
+			wp_send_json_error( 'Podgląd wygasł – wgraj plik ponownie.' );
+		}
+
+		$mode     = ( $_POST['mode'] ?? 'merge' ) === 'replace' ? 'replace' : 'merge';
+		$selected = array_values( array_intersect(
+			array_map( 'sanitize_key', (array) ( $_POST['sections'] ?? [] ) ),
+			array_keys( $sections )
+		) );
+
+		if ( empty( $selected ) ) {
+			wp_send_json_error( 'Wybierz co najmniej jedną sekcję do importu.' );
+		}
+
+		$summary = SL_Transfer::import( $sections, $selected, $mode );
+		SL_Transfer::clear_pending();
+
+		$parts = [];
+		foreach ( $summary as $section => $counts ) {
+			$parts[] = sprintf(
+				'%s: %d dodanych, %d zaktualizowanych, %d pominiętych, %d nierozpoznanych',
+				SL_Transfer::SECTIONS[ $section ],
+				$counts['insert'],
+				$counts['update'],
+				$counts['skip'],
+				$counts['unresolved']
+			) . ( $counts['failed'] > 0 ? sprintf( ', %d błędów zapisu', $counts['failed'] ) : '' );
+		}
+
+		wp_send_json_success( [
+			'message' => 'Import zakończony. ' . implode( '; ', $parts ) . '.',
+			'summary' => $summary,
+		] );
+	}
+
+	/* ── Analytics ─────────────────────────────────────────────── */
+
+	/**
+	 * Nodes and edges of the link graph (SL_Analytics::graph()).
+	 */
+	public function analytics_graph(): void {
+		$this->verify();
+		wp_send_json_success( SL_Analytics::graph() );
+	}
+
+	/* ── Threshold simulator ───────────────────────────────────── */
+
+	/**
+	 * Start preparing the simulation data (embeds anchors, so it is
+	 * not allowed next to indexing / matching).
+	 */
+	public function simulation_start(): void {
+		$this->verify();
+
+		if ( SL_Indexer::get_progress() || SL_Matcher::is_running() ) {
+			wp_send_json_error( 'Trwa indeksowanie lub dopasowywanie – poczekaj na jego zakończenie.' );
+		}
+
+		$result = SL_Simulator::start();
+		if ( isset( $result['error'] ) ) {
+			wp_send_json_error( $result['error'] );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	public function simulation_batch(): void {
+		$this->verify();
+		SL_Debug::register_shutdown_handler();
+
+		try {
+			$result = SL_Simulator::process_batch();
+
+			if ( isset( $result['error'] ) ) {
+				wp_send_json_error( $result['error'] );
+			}
+
+			wp_send_json_success( $result );
+		} catch ( \Throwable $e ) {
+			SL_Simulator::cancel();
+			SL_Debug::log( 'error', 'Exception in simulation_batch: ' . $e->getMessage(), [
+				'file'  => str_replace( ABSPATH, '', $e->getFile() ),
+				'line'  => $e->getLine(),
+			] );
+			wp_send_json_error( 'Błąd PHP: ' . $e->getMessage() . ' — sprawdź Debug Logs.' );
+		}
+	}
+
+	/**
+	 * What-if preview for thresholds[similarity_threshold|cluster_threshold|custom_url_threshold].
+	 */
+	public function simulate(): void {
+		$this->verify();
+
+		$input  = isset( $_POST['thresholds'] ) && is_array( $_POST['thresholds'] ) ? wp_unslash( $_POST['thresholds'] ) : [];
+		$result = SL_Simulator::simulate( SL_Simulator::sanitize_thresholds( $input ) );
+		if ( $result === null ) {
+			wp_send_json_error( 'Brak danych symulacji – najpierw przygotuj dane.' );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * Save the simulated thresholds as the plugin settings.
+	 */
+	public function simulation_apply(): void {
+		$this->verify();
+
+		$input      = isset( $_POST['thresholds'] ) && is_array( $_POST['thresholds'] ) ? wp_unslash( $_POST['thresholds'] ) : [];
+		$thresholds = SL_Simulator::sanitize_thresholds( $input );
+		SL_Simulator::apply( $thresholds );
+
+		wp_send_json_success( [
+			'message'    => 'Progi zapisane. Zostaną użyte przy następnym dopasowywaniu.',
+			'thresholds' => $thresholds,
+		] );
+	}
+
+	/* ── History ────────────────────────────────────────────────── */
+
+	public function rollback_run(): void {
+		$this->verify();
+
+		$run_id = sanitize_key( $_POST['run_id'] ?? '' );
+		if ( $run_id === '' ) {
+			wp_send_json_error( 'Brak identyfikatora uruchomienia.' );
+		}
+
+		$result = SL_History::rollback( $run_id );
+		if ( is_string( $result ) ) {
+			wp_send_json_error( $result );
+		}
+
+		wp_send_json_success( [
+			'message'  => sprintf(
+				'Cofnięto %d zmian, pominięto %d (zmienione ponownie od tamtej pory).',
+				$result['reverted'],
+				$result['skipped']
+			),
+			'reverted' => $result['reverted'],
+			'skipped'  => $result['skipped'],
+		] );
+	}
+
 	/* ── Guard ──────────────────────────────────────────────────── */
 
 	/**
 	 * Verify capability + nonce.  Calls wp_send_json_error (which
 	 * exits) if either check fails.
+	 *
+	 * @param string $capability  Required capability (default: manage_options).
 	 */
-	private function verify(): void {
+	private function verify( string $capability = 'manage_options' ): void {
 		if (
-			! current_user_can( 'manage_options' )
+			! current_user_can( $capability )
 			|| ! wp_verify_nonce( $_POST['nonce'] ?? '', 'sl_ajax_nonce' )
 		) {
 			wp_send_json_error( 'Brak uprawnień.', 403 );
 		}
 	}
+
+	/**
+	 * Load the link from $_POST['link_id'] for reject / restore.
+	 * Administrators may change any link, other users only links
+	 * whose source post they are allowed to edit.
+	 *
+	 * @return object  Link row (exits with a JSON error otherwise).
+	 */
+	private function get_editable_link() {
+		$this->verify( 'edit_posts' );
+
+		$link_id = isset( $_POST['link_id'] ) ? absint( $_POST['link_id'] ) : 0;
+		if ( $link_id < 1 ) {
+			wp_send_json_error( 'Nieprawidłowy identyfikator linku.' );
+		}
+
+		$link = SL_DB::get_link( $link_id );
+		if ( ! $link ) {
+			wp_send_json_error( 'Link nie znaleziony.' );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) && ! current_user_can( 'edit_post', (int) $link->post_id ) ) {
+			wp_send_json_error( 'Brak uprawnień.', 403 );
+		}
+
+		return $link;
+	}
 }
@@ -0,0 +1,362 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Registers the "Analityka" submenu page: link graph built from the
+ * active links in wp_semantic_links.
+ *
+ *   – inbound / outbound link counts per post;
+ *   – orphan posts (no inbound link);
+ *   – over-linked targets (close to max_links_per_url);
+ *   – hubs (degree well above the site average);
+ *   – crawl depth – clicks from the home page following our links only
+ *     (menus, archives and links in the content are not known here);
+ *   – interactive graph (admin.js section 13, data from
+ *     sl_analytics_graph).
+ *
+ * Nodes are the posts of the indexed post types plus every published
+ * post that takes part in a link.  Custom URL targets count towards the
+ * over-linked report only.  Everything is computed on request.
+ */
+class SL_Analytics {
+
+	/** Rows per page of the per-post table and length of the other lists. */
+	public const PER_PAGE = 50;
+
+	/** A target is over-linked at this share of max_links_per_url. */
+	public const NEAR_LIMIT_RATIO = 0.8;
+
+	/** Columns the per-post table can be sorted by. */
+	public const ORDERBY = [ 'title', 'in', 'out', 'depth' ];
+
+	/** Hub: degree at least mean + HUB_SIGMA standard deviations … */
+	private const HUB_SIGMA = 2.0;
+
+	/** … and at least this many links in total. */
+	private const HUB_MIN_DEGREE = 5;
+
+	/** Nodes sent to the graph (highest degree first). */
+	private const MAX_GRAPH_NODES = 300;
+
+	/** @var array|null  Report of the current request. */
+	private static ?array $report = null;
+
+	public function __construct() {
+		add_action( 'admin_menu', [ $this, 'add_page' ] );
+	}
+
+	/**
+	 * Register submenu page.
+	 */
+	public function add_page(): void {
+		add_submenu_page(
+			'semanticlinker',
+			'Analityka – SemanticLinker AI',
+			'Analityka',
+			'manage_options',
+			'semanticlinker-analytics',
+			[ $this, 'render' ]
+		);
+	}
+
+	/**
+	 * Render the Analytics admin page.
+	 */
+	public function render(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( 'Brak uprawnień.' );
+		}
+		require_once SL_PLUGIN_DIR . 'templates/analytics.php';
+	}
+
+	/* ── Report ─────────────────────────────────────────────────── */
+
+	/**
+	 * Link graph statistics.
+	 *
+	 * @return array {
+	 *     @type array $posts        post ID => [ 'in' => int, 'out' => int, 'depth' => int|null ]
+	 *     @type array $edges        source post ID => target post IDs (unique)
+	 *     @type int[] $orphans      Post IDs without inbound links (most outbound first).
+	 *     @type array $over_linked  [ 'url', 'post_id', 'count' ] sorted by count, desc.
+	 *     @type int[] $hubs         Post IDs, highest degree first.
+	 *     @type array $depths       depth => number of posts (reachable only).
+	 *     @type array $summary      posts, links, orphans, unreachable, avg_in, avg_out,
+	 *                               max_depth, url_limit, near_limit.
+	 * }
+	 */
+	public static function report(): array {
+		if ( self::$report !== null ) {
+			return self::$report;
+		}
+
+		$rows = SL_DB::get_link_graph_edges();
+
+		/* Nodes: indexed post types + published posts taking part in a link */
+		$posts = array_fill_keys( array_map( 'intval', SL_Indexer::get_filtered_post_ids() ), null );
+		$extra = [];
+		foreach ( $rows as $row ) {
+			foreach ( [ (int) $row->post_id, (int) $row->target_post_id ] as $id ) {
+				if ( $id > 0 && ! array_key_exists( $id, $posts ) ) {
+					$extra[ $id ] = true;
+				}
+			}
+		}
+		if ( ! empty( $extra ) ) {
+			$published = get_posts( [
+				'post_type'              => 'any',
+				'post_status'            => 'publish',
+				'post__in'               => array_keys( $extra ),
+				'numberposts'            => -1,
+				'fields'                 => 'ids',
+				'update_post_meta_cache' => false,
+				'update_post_term_cache' => false,
+			] );
+			$posts += array_fill_keys( array_map( 'intval', $published ), null );
+		}
+		foreach ( $posts as $id => $unused ) {
+			$posts[ $id ] = [ 'in' => 0, 'out' => 0, 'depth' => null ];
+		}
+
+		/* Edges and counts */
+		$edges  = [];
+		$url_in = [];
+		$links  = 0;
+		foreach ( $rows as $row ) {
+			$source = (int) $row->post_id;
+			$target = (int) $row->target_post_id;
+
+			$url_in[ $row->target_url ] = [
+				'url'     => $row->target_url,
+				'post_id' => $target,
+				'count'   => ( $url_in[ $row->target_url ]['count'] ?? 0 ) + 1,
+			];
+
+			if ( ! isset( $posts[ $source ] ) || ( $target > 0 && ! isset( $posts[ $target ] ) ) ) {
+				continue;  // draft / trashed target – the injector skips it too
+			}
+
+			$links++;
+			$posts[ $source ]['out']++;
+			if ( $target > 0 ) {
+				$posts[ $target ]['in']++;
+				$edges[ $source ][ $target ] = $target;
+			}
+		}
+		$edges = array_map( 'array_values', $edges );
+
+		/* Crawl depth (breadth-first from the home page) */
+		foreach ( self::crawl_depths( $edges ) as $id => $depth ) {
+			if ( isset( $posts[ $id ] ) ) {
+				$posts[ $id ]['depth'] = $depth;
+			}
+		}
+
+		$depths      = [];
+		$unreachable = 0;
+		foreach ( $posts as $node ) {
+			if ( $node['depth'] === null ) {
+				$unreachable++;
+			} else {
+				$depths[ $node['depth'] ] = ( $depths[ $node['depth'] ] ?? 0 ) + 1;
+			}
+		}
+		ksort( $depths );
+
+		/* Orphans – the ones that already link out first (easiest to fix) */
+		$orphans = array_keys( array_filter( $posts, function ( $node ) {
+			return $node['in'] === 0;
+		} ) );
+		usort( $orphans, function ( $a, $b ) use ( $posts ) {
+			return $posts[ $b ]['out'] <=> $posts[ $a ]['out'] ?: $a <=> $b;
+		} );
+
+		/* Over-linked targets */
+		$url_limit  = (int) SL_Settings::get( 'max_links_per_url', 10 );
+		$near_limit = max( 1, (int) ceil( $url_limit * self::NEAR_LIMIT_RATIO ) );
+		$over       = array_values( array_filter( $url_in, function ( $target ) use ( $near_limit ) {
+			return $target['count'] >= $near_limit;
+		} ) );
+		usort( $over, function ( $a, $b ) {
+			return $b['count'] <=> $a['count'];
+		} );
+
+		/* Hubs */
+		$degrees = array_map( function ( $node ) {
+			return $node['in'] + $node['out'];
+		}, $posts );
+		$hubs    = [];
+		if ( ! empty( $degrees ) ) {
+			$mean = array_sum( $degrees ) / count( $degrees );
+			$var  = 0.0;
+			foreach ( $degrees as $degree ) {
+				$var += ( $degree - $mean ) ** 2;
+			}
+			$min = max( self::HUB_MIN_DEGREE, $mean + self::HUB_SIGMA * sqrt( $var / count( $degrees ) ) );
+
+			$hubs = array_keys( array_filter( $degrees, function ( $degree ) use ( $min ) {
+				return $degree >= $min;
+			} ) );
+			usort( $hubs, function ( $a, $b ) use ( $degrees ) {
+				return $degrees[ $b ] <=> $degrees[ $a ];
+			} );
+		}
+
+		$count = count( $posts );
+
+		return self::$report = [
+			'posts'       => $posts,
+			'edges'       => $edges,
+			'orphans'     => $orphans,
+			'over_linked' => $over,
+			'hubs'        => $hubs,
+			'depths'      => $depths,
+			'summary'     => [
+				'posts'       => $count,
+				'links'       => $links,
+				'orphans'     => count( $orphans ),
+				'unreachable' => $unreachable,
+				'avg_in'      => $count > 0 ? round( array_sum( array_column( $posts, 'in' ) ) / $count, 1 ) : 0,
+				'avg_out'     => $count > 0 ? round( array_sum( array_column( $posts, 'out' ) ) / $count, 1 ) : 0,
+				'max_depth'   => empty( $depths ) ? 0 : max( array_keys( $depths ) ),
+				'url_limit'   => $url_limit,
+				'near_limit'  => $near_limit,
+			],
+		];
+	}
+
+	/**
+	 * One page of the per-post table.
+	 *
+	 * @param string $orderby  One of ORDERBY.
+	 * @param string $order    'asc' | 'desc'.
+	 * @return array  [ 'items' => post ID => node, 'total' => int ]
+	 */
+	public static function query_posts( string $orderby, string $order, int $page ): array {
+		$posts = self::report()['posts'];
+		$desc  = $order === 'desc';
+
+		if ( $orderby === 'title' ) {
+			_prime_post_caches( array_keys( $posts ), false, false );
+			$titles = [];
+			foreach ( array_keys( $posts ) as $id ) {
+				$titles[ $id ] = mb_strtolower( get_the_title( $id ), 'UTF-8' );
+			}
+			if ( $desc ) {
+				arsort( $titles, SORT_STRING );
+			} else {
+				asort( $titles, SORT_STRING );
+			}
+			$ids = array_keys( $titles );
+		} else {
+			$ids = array_keys( $posts );
+			usort( $ids, function ( $a, $b ) use ( $posts, $orderby, $desc ) {
+				/* Unreachable posts sort as the deepest */
+				$x = $posts[ $a ][ $orderby ] ?? PHP_INT_MAX;
+				$y = $posts[ $b ][ $orderby ] ?? PHP_INT_MAX;
+				return ( $desc ? $y <=> $x : $x <=> $y ) ?: $a <=> $b;
+			} );
+		}
+
+		$items = [];
+		foreach ( array_slice( $ids, ( max( 1, $page ) - 1 ) * self::PER_PAGE, self::PER_PAGE ) as $id ) {
+			$items[ $id ] = $posts[ $id ];
+		}
+
+		return [ 'items' => $items, 'total' => count( $posts ) ];
+	}
+
+	/**
+	 * Data of the interactive graph: the MAX_GRAPH_NODES posts with the
+	 * highest degree and the links between them.
+	 *
+	 * @return array  [ 'nodes' => [ id, title, url, in, out, depth, orphan, hub ],
+	 *                  'edges' => [ [ source, target ], … ], 'total' => int ]
+	 */
+	public static function graph(): array {
+		$report = self::report();
+		$posts  = $report['posts'];
+		$hubs   = array_flip( $report['hubs'] );
+
+		$degrees = [];
+		foreach ( $posts as $id => $node ) {
+			if ( $node['in'] + $node['out'] > 0 ) {
+				$degrees[ $id ] = $node['in'] + $node['out'];
+			}
+		}
+		arsort( $degrees );
+		$ids = array_slice( array_keys( $degrees ), 0, self::MAX_GRAPH_NODES );
+		$in  = array_flip( $ids );
+
+		_prime_post_caches( $ids, false, false );
+
+		$nodes = [];
+		foreach ( $ids as $id ) {
+			$nodes[] = [
+				'id'     => $id,
+				'title'  => html_entity_decode( get_the_title( $id ), ENT_QUOTES, 'UTF-8' ),
+				'url'    => get_edit_post_link( $id, 'raw' ) ?: get_permalink( $id ),
+				'in'     => $posts[ $id ]['in'],
+				'out'    => $posts[ $id ]['out'],
+				'depth'  => $posts[ $id ]['depth'],
+				'orphan' => $posts[ $id ]['in'] === 0,
+				'hub'    => isset( $hubs[ $id ] ),
+			];
+		}
+
+		$edges = [];
+		foreach ( $report['edges'] as $source => $targets ) {
+			if ( ! isset( $in[ $source ] ) ) {
+				continue;
+			}
+			foreach ( $targets as $target ) {
+				if ( isset( $in[ $target ] ) ) {
+					$edges[] = [ $source, $target ];
+				}
+			}
+		}
+
+		return [ 'nodes' => $nodes, 'edges' => $edges, 'total' => count( $degrees ) ];
+	}
+
+	/* ── Crawl depth ────────────────────────────────────────────── */
+
+	/**
+	 * Shortest click distance from the home page along our links.
+	 * A static front page is depth 0; with a post list on the front page
+	 * the latest posts it shows are depth 1.
+	 *
+	 * @param array $edges  source => target IDs.
+	 * @return array  post ID => depth (reachable posts only).
+	 */
+	private static function crawl_depths( array $edges ): array {
+		$front = get_option( 'show_on_front' ) === 'page' ? (int) get_option( 'page_on_front' ) : 0;
+
+		if ( $front > 0 ) {
+			$depth = [ $front => 0 ];
+		} else {
+			$latest = get_posts( [
+				'post_type'   => 'post',
+				'post_status' => 'publish',
+				'numberposts' => max( 1, (int) get_option( 'posts_per_page', 10 ) ),
+				'fields'      => 'ids',
+			] );
+			$depth  = array_fill_keys( array_map( 'intval', $latest ), 1 );
+		}
+
+		$queue = array_keys( $depth );
+		for ( $i = 0; $i < count( $queue ); $i++ ) {
+			$id = $queue[ $i ];
+			foreach ( $edges[ $id ] ?? [] as $target ) {
+				if ( ! isset( $depth[ $target ] ) ) {
+					$depth[ $target ] = $depth[ $id ] + 1;
+					$queue[]          = $target;
+				}
+			}
+		}
+
+		return $depth;
+	}
+}
@@ -0,0 +1,176 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Finds an anchor phrase in plain text – shared by SL_Matcher (anchor
+ * extraction, "can this anchor be injected?") and SL_Injector (text
+ * nodes of the rendered content), so both agree on what is a match.
+ *
+ * Rules
+ * ─────
+ *   • Case-insensitive and whole words only: the letters of the post
+ *     language (see SL_Language 'letters') may not touch the match on
+ *     either side, so "kot" never matches inside "kotlet".
+ *   • HTML entities in the anchor are decoded (anchors come from the
+ *     raw post_content) and any run of whitespace, including non-breaking
+ *     and narrow spaces, matches any other run.
+ *   • Inflected: every word of at least 3 letters is reduced to its stem
+ *     (SL_Language::stem(), minus one more letter for longer stems) and
+ *     may be followed by a few letters, so "kredyt hipoteczny" also
+ *     finds "kredytu hipotecznego".  Used only when the exact phrase
+ *     is missing and the "inflected_anchors" setting is on.
+ *
+ * Positions and lengths are in characters (UTF-8), like mb_substr().
+ */
+class SL_Anchor_Locator {
+
+	/** Whitespace matched between the words of an anchor. */
+	private const SPACE = '[\s\x{00A0}\x{2007}\x{202F}]+';
+
+	/** Letters an inflected word may have after its stem. */
+	private const MAX_ENDING = 6;
+
+	/** Stems this long or longer lose their last letter too (kredytu → kredyt). */
+	private const TRIM_STEM_FROM = 5;
+
+	/** Characters of context kept on either side of an anchor by sentence(). */
+	private const SENTENCE_CONTEXT = 200;
+
+	/** @var string[] Compiled patterns keyed by language, mode and anchor. */
+	private static array $patterns = [];
+
+	/**
+	 * Whether inflected variants may stand in for a missing exact anchor.
+	 */
+	public static function inflection_enabled(): bool {
+		return (bool) SL_Settings::get( 'inflected_anchors', false );
+	}
+
+	/**
+	 * First match of $anchor in $text at or after $offset.
+	 *
+	 * @param string $text       Plain text (entities already decoded).
+	 * @param string $anchor     Anchor phrase.
+	 * @param string $language   Language code ('' = site language).
+	 * @param bool   $inflected  Match inflected variants instead of the exact phrase.
+	 * @param int    $offset     Character offset to start from.
+	 * @return array|null  [ int $pos, int $length ] or null when not found.
+	 */
+	public static function find( string $text, string $anchor, string $language = '', bool $inflected = false, int $offset = 0 ): ?array {
+		$pattern = self::pattern( $anchor, $language, $inflected );
+		if ( $pattern === null ) {
+			return null;
+		}
+
+		$byte_offset = $offset > 0 ? strlen( mb_substr( $text, 0, $offset, 'UTF-8' ) ) : 0;
+		if ( ! preg_match( $pattern, $text, $m, PREG_OFFSET_CAPTURE, $byte_offset ) ) {
+			return null;
+		}
+
+		return [
+			mb_strlen( substr( $text, 0, $m[0][1] ), 'UTF-8' ),
+			mb_strlen( $m[0][0], 'UTF-8' ),
+		];
+	}
+
+	/**
+	 * Every non-overlapping match of $anchor in $text.
+	 *
+	 * @return array[]  [ int $pos, int $length ] in text order.
+	 */
+	public static function all( string $text, string $anchor, string $language = '', bool $inflected = false ): array {
+		$out    = [];
+		$offset = 0;
+
+		while ( ( $hit = self::find( $text, $anchor, $language, $inflected, $offset ) ) !== null ) {
+			$out[]  = $hit;
+			$offset = $hit[0] + max( 1, $hit[1] );
+		}
+
+		return $out;
+	}
+
+	/**
+	 * Whether $text contains the anchor – exactly, or inflected when
+	 * the setting allows it (the same fallback as the injector).
+	 */
+	public static function contains( string $text, string $anchor, string $language = '' ): bool {
+		return self::find( $text, $anchor, $language ) !== null
+			|| ( self::inflection_enabled() && self::find( $text, $anchor, $language, true ) !== null );
+	}
+
+	/**
+	 * Sentence around the first match of $anchor (with the same
+	 * inflected fallback as contains()) – context for the AI filter.
+	 * Sentences end at . ! ? or a line break; at most SENTENCE_CONTEXT
+	 * characters are kept on either side of the anchor.
+	 *
+	 * @return string  '' when the anchor is not in $text.
+	 */
+	public static function sentence( string $text, string $anchor, string $language = '' ): string {
+		$hit = self::find( $text, $anchor, $language );
+		if ( $hit === null && self::inflection_enabled() ) {
+			$hit = self::find( $text, $anchor, $language, true );
+		}
+		if ( $hit === null ) {
+			return '';
+		}
+
+		list( $pos, $length ) = $hit;
+
+		$before = mb_substr( $text, max( 0, $pos - self::SENTENCE_CONTEXT ), min( $pos, self::SENTENCE_CONTEXT ), 'UTF-8' );
+		$after  = mb_substr( $text, $pos + $length, self::SENTENCE_CONTEXT, 'UTF-8' );
+
+		$before = preg_split( '/(?<=[.!?])\s+|\n/u', $before );
+		$before = end( $before );
+		$after  = preg_match( '/^.*?(?:[.!?](?=\s|$)|(?=\n)|$)/u', $after, $m ) ? $m[0] : $after;
+
+		return trim( preg_replace( '/\s+/u', ' ', $before . mb_substr( $text, $pos, $length, 'UTF-8' ) . $after ) );
+	}
+
+	/**
+	 * Regex for an anchor, null when the anchor has no words.
+	 */
+	private static function pattern( string $anchor, string $language, bool $inflected ): ?string {
+		$key = $language . '|' . ( $inflected ? 'i' : 'e' ) . '|' . $anchor;
+		if ( array_key_exists( $key, self::$patterns ) ) {
+			return self::$patterns[ $key ];
+		}
+
+		$profile = SL_Language::profile( $language );
+		$letters = $profile['letters'];
+		$anchor  = html_entity_decode( $anchor, ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+		$words   = preg_split( '/' . self::SPACE . '/u', trim( $anchor ), -1, PREG_SPLIT_NO_EMPTY );
+
+		if ( empty( $words ) ) {
+			return self::$patterns[ $key ] = null;
+		}
+
+		$parts = [];
+		foreach ( $words as $word ) {
+			$parts[] = $inflected ? self::inflected_word( $word, $language, $letters ) : preg_quote( $word, '/' );
+		}
+
+		return self::$patterns[ $key ] = '/(?<![' . $letters . '])' . implode( self::SPACE, $parts ) . '(?![' . $letters . '])/iu';
+	}
+
+	/**
+	 * Pattern of one word of an inflected anchor: stem + optional ending.
+	 * Short words and words with anything but letters stay exact.
+	 */
+	private static function inflected_word( string $word, string $language, string $letters ): string {
+		$lower = mb_strtolower( $word, 'UTF-8' );
+		if ( mb_strlen( $lower, 'UTF-8' ) < 3 || preg_match( '/[^\p{L}]/u', $lower ) ) {
+			return preg_quote( $word, '/' );
+		}
+
+		$stem = SL_Language::stem( $lower, $language );
+		if ( mb_strlen( $stem, 'UTF-8' ) >= self::TRIM_STEM_FROM ) {
+			$stem = mb_substr( $stem, 0, -1, 'UTF-8' );
+		}
+
+		return preg_quote( $stem, '/' ) . '[' . $letters . ']{0,' . self::MAX_ENDING . '}';
+	}
+}
@@ -0,0 +1,265 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Link audit – checks which active links actually end up in the page.
+ *
+ * SL_Injector drops a link silently when its anchor is no longer in an
+ * allowed text node (content edited after matching, anchor only inside
+ * a heading, …), while the dashboard keeps showing it as active.  The
+ * audit renders every source post through the_content and
+ * SL_Injector::audit() (the same apply() path as the front end) and
+ * stores the outcome per link (audit_result / audited_at).  Links with
+ * a result other than 'injected' are "orphaned" – a dashboard filter
+ * and report.
+ *
+ * Jobs run in batches like indexing: the dashboard (sl_audit_start /
+ * sl_audit_batch) or `wp semanticlinker audit`.  A "rematch" job drops
+ * the orphaned links of the affected posts, re-matches them and audits
+ * them again.
+ */
+class SL_Audit {
+
+	/** Audit result => label.  Everything but 'injected' is orphaned. */
+	public const RESULTS = [
+		'injected'           => 'Wstawiony',
+		'anchor_missing'     => 'Brak anchora w treści',
+		'excluded'           => 'Anchor tylko w wykluczonym tagu lub linku',
+		'placement'          => 'Zablokowany przez reguły rozmieszczenia',
+		'overlap'            => 'Anchor zajęty przez inny link',
+		'target_unpublished' => 'Cel nieopublikowany',
+	];
+
+	/** Orphan reasons caused by the content – fixed by re-matching the post. */
+	public const REMATCH_REASONS = [ 'anchor_missing', 'excluded', 'overlap' ];
+
+	/** Job state (transient). */
+	private const PROGRESS_KEY = 'sl_audit_progress';
+
+	/** Summary of the last finished audit (option). */
+	private const LAST_RUN_OPTION = 'sl_audit_last_run';
+
+	/** Posts per batch: audit renders content, rematch embeds anchors. */
+	private const BATCH_POSTS = [ 'audit' => 20, 'rematch' => 3 ];
+
+	public function __construct() {
+		/* Edited content makes the stored results meaningless */
+		add_action( 'post_updated', [ $this, 'on_post_updated' ] );
+	}
+
+	public function on_post_updated( int $post_id ): void {
+		if ( wp_is_post_revision( $post_id ) ) {
+			return;
+		}
+		SL_DB::reset_link_audit( $post_id );
+	}
+
+	/* ── Jobs ───────────────────────────────────────────────────── */
+
+	/**
+	 * Start a job.
+	 *
+	 * @param string $job  'audit' (every source post with active links)
+	 *                     or 'rematch' (posts with content orphans).
+	 * @return array  Progress info, or [ 'error' => string ].
+	 */
+	public static function start( string $job ): array {
+		if ( ! isset( self::BATCH_POSTS[ $job ] ) ) {
+			return [ 'error' => 'Nieznane zadanie audytu.' ];
+		}
+
+		$ids = $job === 'audit'
+			? SL_DB::get_audit_post_ids()
+			: SL_DB::get_orphaned_post_ids( self::REMATCH_REASONS );
+
+		if ( empty( $ids ) ) {
+			return [ 'error' => $job === 'audit'
+				? 'Brak opublikowanych wpisów z aktywnymi linkami.'
+				: 'Brak wpisów z osieroconymi linkami do ponownego dopasowania.' ];
+		}
+
+		$progress = [
+			'job'        => $job,
+			'ids'        => $ids,
+			'processed'  => 0,
+			'stats'      => [ 'links' => 0, 'orphaned' => 0, 'removed' => 0, 'created' => 0 ],
+			'started_at' => current_time( 'mysql' ),
+		];
+		set_transient( self::PROGRESS_KEY, $progress, HOUR_IN_SECONDS );
+
+		SL_Debug::log( 'audit', 'Job started: ' . $job, [ 'posts' => count( $ids ) ] );
+
+		return self::progress_info( $progress, sprintf(
+			$job === 'audit' ? 'Audyt %d wpisów…' : 'Ponowne dopasowanie %d wpisów…',
+			count( $ids )
+		) );
+	}
+
+	/**
+	 * Process the next batch of the running job.
+	 *
+	 * @return array  Progress info (complete = true after the last batch),
+	 *                or [ 'error' => string ].
+	 */
+	public static function process_batch(): array {
+		$progress = get_transient( self::PROGRESS_KEY );
+		if ( ! $progress ) {
+			return [ 'error' => 'Nie znaleziono sesji audytu. Uruchom ponownie.' ];
+		}
+
+		$job   = $progress['job'];
+		$batch = array_slice( $progress['ids'], $progress['processed'], self::BATCH_POSTS[ $job ] );
+
+		foreach ( $batch as $post_id ) {
+			if ( $job === 'rematch' ) {
+				$result = self::rematch_post( $post_id );
+				$progress['stats']['removed'] += $result['removed'];
+				$progress['stats']['created'] += $result['created'];
+			} else {
+				$result = self::audit_post( $post_id );
+			}
+			$progress['stats']['links']    += $result['links'];
+			$progress['stats']['orphaned'] += $result['orphaned'];
+			$progress['processed']++;
+		}
+
+		$complete = $progress['processed'] >= count( $progress['ids'] );
+
+		if ( ! $complete ) {
+			set_transient( self::PROGRESS_KEY, $progress, HOUR_IN_SECONDS );
+			return self::progress_info( $progress, sprintf(
+				'Przetworzono %d z %d wpisów…',
+				$progress['processed'],
+				count( $progress['ids'] )
+			) );
+		}
+
+		delete_transient( self::PROGRESS_KEY );
+
+		$stats = $progress['stats'];
+		if ( $job === 'audit' ) {
+			update_option( self::LAST_RUN_OPTION, array_merge( $stats, [
+				'posts'       => count( $progress['ids'] ),
+				'finished_at' => current_time( 'mysql' ),
+			] ), false );
+		}
+
+		SL_Debug::log( 'audit', 'Job completed: ' . $job, array_merge( [ 'posts' => count( $progress['ids'] ) ], $stats ) );
+
+		$message = $job === 'audit'
+			? sprintf( 'Audyt zakończony: %d linków sprawdzonych, %d osieroconych.', $stats['links'], $stats['orphaned'] )
+			: sprintf(
+				'Ponowne dopasowanie zakończone: usunięto %d osieroconych linków, utworzono %d nowych, nadal osieroconych: %d.',
+				$stats['removed'],
+				$stats['created'],
+				$stats['orphaned']
+			);
+
+		return array_merge( self::progress_info( $progress, $message ), [ 'complete' => true ] );
+	}
+
+	/**
+	 * @return array|null  Progress info of the running job.
+	 */
+	public static function get_progress(): ?array {
+		$progress = get_transient( self::PROGRESS_KEY );
+		return $progress ? self::progress_info( $progress, '' ) : null;
+	}
+
+	public static function cancel(): void {
+		delete_transient( self::PROGRESS_KEY );
+	}
+
+	/**
+	 * @return array|null  Summary of the last finished audit
+	 *                     (posts, links, orphaned, finished_at).
+	 */
+	public static function get_last_run(): ?array {
+		$last = get_option( self::LAST_RUN_OPTION );
+		return is_array( $last ) ? $last : null;
+	}
+
+	private static function progress_info( array $progress, string $message ): array {
+		$total = count( $progress['ids'] );
+		return [
+			'job'       => $progress['job'],
+			'total'     => $total,
+			'processed' => $progress['processed'],
+			'percent'   => $total > 0 ? (int) round( $progress['processed'] / $total * 100 ) : 100,
+			'stats'     => $progress['stats'],
+			'message'   => $message,
+		];
+	}
+
+	/* ── Single post ────────────────────────────────────────────── */
+
+	/**
+	 * Audit the active links of one post and store the results.
+	 *
+	 * @return array  [ 'links' => int, 'orphaned' => int, 'results' => link ID => result ]
+	 */
+	public static function audit_post( int $post_id ): array {
+		$links = SL_DB::get_links_for_post( $post_id, 'active' );
+		$post  = get_post( $post_id );
+
+		if ( empty( $links ) || ! $post ) {
+			return [ 'links' => 0, 'orphaned' => 0, 'results' => [] ];
+		}
+
+		$results = ( new SL_Injector( false ) )->audit( self::render( $post ), $links );
+		SL_DB::set_link_audit( $results );
+
+		$orphans = array_filter( $results, function ( $result ) {
+			return $result !== 'injected';
+		} );
+
+		if ( ! empty( $orphans ) ) {
+			SL_Debug::log( 'audit', 'Orphaned links found', [
+				'post_id' => $post_id,
+				'links'   => $orphans,
+			] );
+		}
+
+		return [ 'links' => count( $results ), 'orphaned' => count( $orphans ), 'results' => $results ];
+	}
+
+	/**
+	 * Drop the post's content orphans, match it again and re-audit.
+	 *
+	 * @return array  [ 'removed' => int, 'created' => int, 'links' => int, 'orphaned' => int ]
+	 */
+	public static function rematch_post( int $post_id ): array {
+		SL_History::start( 'audit', sprintf( 'Ponowne dopasowanie wpisu #%d (audyt)', $post_id ) );
+
+		$removed = SL_DB::delete_orphaned_links( $post_id, self::REMATCH_REASONS );
+		if ( $removed > 0 ) {
+			do_action( 'sl_link_changed', $post_id );
+		}
+
+		$stats = SL_Matcher::match_single_post( $post_id );
+		SL_History::finish();
+
+		$audit = self::audit_post( $post_id );
+
+		return [
+			'removed'  => $removed + (int) $stats['links_removed'],
+			'created'  => (int) $stats['total_links_created'],
+			'links'    => $audit['links'],
+			'orphaned' => $audit['orphaned'],
+		];
+	}
+
+	/**
+	 * Post content as the_content() renders it on the front end.
+	 * The injector's own filter is a no-op here (not a singular request).
+	 */
+	private static function render( WP_Post $post ): string {
+		setup_postdata( $post );
+		$html = (string) apply_filters( 'the_content', $post->post_content );
+		wp_reset_postdata();
+
+		return $html;
+	}
+}
@@ -0,0 +1,54 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Registers the "Blacklist" submenu page under the SemanticLinker
+ * top-level menu: paginated list of blacklist entries (search, filter
+ * by rule type, per-entry removal) and a form for site-wide rules.
+ * Adding / removing goes through sl_add_blacklist_rule /
+ * sl_delete_blacklist_entry (SL_Ajax).
+ */
+class SL_Blacklist {
+
+	/** Entries per page of the list. */
+	public const PER_PAGE = 50;
+
+	/** Human-readable rule type labels. */
+	public const RULE_LABELS = [
+		'pair'   => 'Para (wpis → URL)',
+		'anchor' => 'Fraza anchora',
+		'target' => 'URL docelowy',
+		'source' => 'Wpis źródłowy',
+		'regex'  => 'Regex anchora',
+	];
+
+	public function __construct() {
+		add_action( 'admin_menu', [ $this, 'add_page' ] );
+	}
+
+	/**
+	 * Register submenu page.
+	 */
+	public function add_page(): void {
+		add_submenu_page(
+			'semanticlinker',
+			'Blacklist – SemanticLinker AI',
+			'Blacklist',
+			'manage_options',
+			'semanticlinker-blacklist',
+			[ $this, 'render' ]
+		);
+	}
+
+	/**
+	 * Render the Blacklist admin page.
+	 */
+	public function render(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( 'Brak uprawnień.' );
+		}
+		require_once SL_PLUGIN_DIR . 'templates/blacklist.php';
+	}
+}
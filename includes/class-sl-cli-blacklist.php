@@ -0,0 +1,198 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * `wp semanticlinker blacklist …` – inspect and edit the permanent
+ * (source post, target URL) blacklist and the site-wide rules.
+ */
+class SL_CLI_Blacklist {
+
+	/**
+	 * List blacklist entries.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--post=<id>]
+	 * : Only entries of this source post.
+	 *
+	 * [--type=<type>]
+	 * : Only this rule type.
+	 * ---
+	 * options:
+	 *   - pair
+	 *   - anchor
+	 *   - target
+	 *   - source
+	 *   - regex
+	 * ---
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - csv
+	 *   - json
+	 *   - count
+	 * ---
+	 *
+	 * @subcommand list
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function list_( array $args, array $assoc_args ): void {
+		$rows = SL_DB::get_blacklist( absint( $assoc_args['post'] ?? 0 ) );
+		if ( ! empty( $assoc_args['type'] ) ) {
+			$rows = array_filter( $rows, function ( $row ) use ( $assoc_args ) {
+				return $row->rule_type === $assoc_args['type'];
+			} );
+		}
+
+		WP_CLI\Utils\format_items(
+			$assoc_args['format'] ?? 'table',
+			$rows,
+			[ 'ID', 'rule_type', 'post_id', 'anchor_text', 'target_url', 'pattern', 'created_at' ]
+		);
+	}
+
+	/**
+	 * Block a target URL for a source post.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <post_id>
+	 * : Source post ID.
+	 *
+	 * <url>
+	 * : Target URL.
+	 *
+	 * [--anchor=<text>]
+	 * : Anchor text stored for reference.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker blacklist add 123 https://example.com/strona/
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function add( array $args, array $assoc_args ): void {
+		list( $post_id, $url ) = $args;
+		$post_id = absint( $post_id );
+
+		if ( ! get_post( $post_id ) ) {
+			WP_CLI::error( sprintf( 'Wpis %d nie istnieje.', $post_id ) );
+		}
+		if ( ! filter_var( $url, FILTER_VALIDATE_URL ) ) {
+			WP_CLI::error( 'Nieprawidłowy format URL.' );
+		}
+
+		SL_DB::add_to_blacklist( $post_id, $assoc_args['anchor'] ?? '', $url );
+
+		WP_CLI::success( 'Dodano do blacklisty.' );
+	}
+
+	/**
+	 * Add a site-wide rule, honoured by the next matching run.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <type>
+	 * : Rule type.
+	 * ---
+	 * options:
+	 *   - anchor
+	 *   - target
+	 *   - source
+	 *   - regex
+	 * ---
+	 *
+	 * <value>
+	 * : Anchor phrase, target URL, source post ID or PCRE pattern (with delimiters).
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker blacklist rule anchor "kredyt hipoteczny"
+	 *     wp semanticlinker blacklist rule regex '/^(kup|zamów)\b/iu'
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function rule( array $args, array $assoc_args ): void {
+		list( $rule_type, $value ) = $args;
+
+		$id = SL_DB::add_blacklist_rule( $rule_type, $value );
+		if ( ! is_int( $id ) ) {
+			WP_CLI::error( $id );
+		}
+
+		WP_CLI::success( sprintf( 'Dodano regułę #%d.', $id ) );
+	}
+
+	/**
+	 * Delete one blacklist entry or rule by ID.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <id>
+	 * : Entry ID (see `blacklist list`).
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function delete( array $args, array $assoc_args ): void {
+		if ( ! SL_DB::delete_blacklist_entry( absint( $args[0] ) ) ) {
+			WP_CLI::error( 'Nie znaleziono wpisu na blackliście.' );
+		}
+
+		WP_CLI::success( 'Usunięto z blacklisty.' );
+	}
+
+	/**
+	 * Remove a (post, URL) pair from the blacklist.
+	 *
+	 * Rejected links stay rejected – use `links restore` to reactivate them.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <post_id>
+	 * : Source post ID.
+	 *
+	 * <url>
+	 * : Target URL.
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function remove( array $args, array $assoc_args ): void {
+		list( $post_id, $url ) = $args;
+
+		$deleted = SL_DB::remove_from_blacklist( absint( $post_id ), esc_url_raw( $url ) );
+		if ( $deleted < 1 ) {
+			WP_CLI::error( 'Nie znaleziono wpisu na blackliście.' );
+		}
+
+		WP_CLI::success( 'Usunięto z blacklisty.' );
+	}
+
+	/**
+	 * Delete every blacklist entry.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--yes]
+	 * : Skip the confirmation.
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function clear( array $args, array $assoc_args ): void {
+		WP_CLI::confirm( 'Usunąć całą blacklistę?', $assoc_args );
+
+		WP_CLI::success( sprintf( 'Usunięto %d wpisów blacklisty.', SL_DB::delete_all_blacklist() ) );
+	}
+}
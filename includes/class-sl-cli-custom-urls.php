@@ -0,0 +1,147 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * `wp semanticlinker custom-urls …` – list and bulk-import custom
+ * (external / non-post) link targets.
+ */
+class SL_CLI_Custom_Urls {
+
+	/**
+	 * List custom URLs.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - csv
+	 *   - json
+	 *   - count
+	 * ---
+	 *
+	 * @subcommand list
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function list_( array $args, array $assoc_args ): void {
+		WP_CLI\Utils\format_items(
+			$assoc_args['format'] ?? 'table',
+			SL_DB::get_all_custom_urls(),
+			[ 'ID', 'url', 'title', 'keywords', 'status' ]
+		);
+	}
+
+	/**
+	 * Import custom URLs from a CSV file (url, title, keywords).
+	 *
+	 * A header row is detected and skipped.  Existing URLs are skipped,
+	 * new ones are embedded right away unless --skip-embedding is set
+	 * (then the next indexing run embeds them).
+	 *
+	 * ## OPTIONS
+	 *
+	 * <file>
+	 * : Path to the CSV file.
+	 *
+	 * [--dry-run]
+	 * : Validate the file without inserting anything.
+	 *
+	 * [--skip-embedding]
+	 * : Do not call the embedding API after the import.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker custom-urls import urls.csv --dry-run
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function import( array $args, array $assoc_args ): void {
+		$file    = $args[0];
+		$dry_run = (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false );
+
+		if ( ! is_readable( $file ) ) {
+			WP_CLI::error( sprintf( 'Nie można odczytać pliku %s.', $file ) );
+		}
+
+		$handle  = fopen( $file, 'r' );
+		$line    = 0;
+		$added   = 0;
+		$skipped = 0;
+		$errors  = 0;
+		$free    = SL_DB::MAX_CUSTOM_URLS - SL_DB::get_custom_url_count();
+		$seen    = [];
+
+		while ( ( $row = fgetcsv( $handle ) ) !== false ) {
+			$line++;
+
+			if ( $row === [ null ] ) {
+				continue;  // empty line
+			}
+
+			if ( $line === 1 && strtolower( trim( $row[0] ?? '' ) ) === 'url' ) {
+				continue;  // header
+			}
+
+			$url      = esc_url_raw( trim( $row[0] ?? '' ) );
+			$title    = sanitize_text_field( $row[1] ?? '' );
+			$keywords = sanitize_textarea_field( $row[2] ?? '' );
+
+			if ( $url === '' || $title === '' || ! filter_var( $url, FILTER_VALIDATE_URL ) ) {
+				WP_CLI::warning( sprintf( 'Wiersz %d: wymagany poprawny URL i tytuł.', $line ) );
+				$errors++;
+				continue;
+			}
+
+			if ( isset( $seen[ $url ] ) || SL_DB::custom_url_exists( $url ) ) {
+				WP_CLI::log( sprintf( 'Wiersz %d: %s już istnieje – pominięto.', $line, $url ) );
+				$skipped++;
+				continue;
+			}
+			$seen[ $url ] = true;
+
+			if ( $added >= $free ) {
+				WP_CLI::warning( sprintf( 'Wiersz %d: osiągnięto limit %d URL-i.', $line, SL_DB::MAX_CUSTOM_URLS ) );
+				$errors++;
+				continue;
+			}
+
+			if ( ! $dry_run && ! SL_DB::insert_custom_url( [
+				'url'      => $url,
+				'title'    => $title,
+				'keywords' => $keywords,
+			] ) ) {
+				WP_CLI::warning( sprintf( 'Wiersz %d: nie udało się dodać %s.', $line, $url ) );
+				$errors++;
+				continue;
+			}
+
+			$added++;
+		}
+		fclose( $handle );
+
+		if ( $added > 0 && ! $dry_run && ! WP_CLI\Utils\get_flag_value( $assoc_args, 'skip-embedding', false ) ) {
+			WP_CLI::log( 'Generowanie embeddingów…' );
+			SL_Indexer::process_custom_urls_needing_embedding();
+		}
+
+		$summary = sprintf(
+			$dry_run ? 'Dry run: do dodania %d, pominięte %d, błędy %d.' : 'Dodano %d, pominięto %d, błędy %d.',
+			$added,
+			$skipped,
+			$errors
+		);
+
+		if ( $errors > 0 ) {
+			WP_CLI::error( $summary );
+		}
+		WP_CLI::success( $summary );
+	}
+}
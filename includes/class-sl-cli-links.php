@@ -0,0 +1,172 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * `wp semanticlinker links …` – list, reject and restore links.
+ *
+ * Reject / restore mirror the sl_reject_link / sl_restore_link AJAX
+ * actions (blacklist + status + sl_link_changed cache flush).
+ */
+class SL_CLI_Links {
+
+	/** Default columns of `links list`. */
+	private const FIELDS = [ 'ID', 'post_id', 'anchor_text', 'target_url', 'similarity_score', 'status', 'origin' ];
+
+	/**
+	 * List links.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--status=<status>]
+	 * : Only links with this status.
+	 * ---
+	 * options:
+	 *   - active
+	 *   - rejected
+	 *   - filtered
+	 * ---
+	 *
+	 * [--post=<id>]
+	 * : Only links of this source post.
+	 *
+	 * [--fields=<fields>]
+	 * : Comma-separated list of columns.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - csv
+	 *   - json
+	 *   - ids
+	 *   - count
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker links list --status=active --format=csv
+	 *     wp semanticlinker links list --post=123
+	 *
+	 * @subcommand list
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function list_( array $args, array $assoc_args ): void {
+		$status = $assoc_args['status'] ?? '';
+
+		if ( isset( $assoc_args['post'] ) ) {
+			$post_id  = absint( $assoc_args['post'] );
+			$statuses = $status !== '' ? [ $status ] : [ 'active', 'rejected', 'filtered' ];
+			$links    = [];
+			foreach ( $statuses as $st ) {
+				$links = array_merge( $links, SL_DB::get_links_for_post( $post_id, $st ) );
+			}
+		} else {
+			$links = SL_DB::get_all_links( $status );
+		}
+
+		$format = $assoc_args['format'] ?? 'table';
+		if ( $format === 'ids' ) {
+			echo implode( ' ', wp_list_pluck( $links, 'ID' ) ) . "\n";
+			return;
+		}
+
+		$fields = isset( $assoc_args['fields'] )
+			? array_map( 'trim', explode( ',', $assoc_args['fields'] ) )
+			: self::FIELDS;
+
+		WP_CLI\Utils\format_items( $format, $links, $fields );
+	}
+
+	/**
+	 * Reject links and blacklist their (post, URL) pairs.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <id>...
+	 * : One or more link IDs.
+	 *
+	 * [--dry-run]
+	 * : Only show which links would be rejected.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker links reject 12 15
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function reject( array $args, array $assoc_args ): void {
+		$this->change_status( $args, 'rejected', (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false ) );
+	}
+
+	/**
+	 * Restore rejected / filtered links and remove them from the blacklist.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <id>...
+	 * : One or more link IDs.
+	 *
+	 * [--dry-run]
+	 * : Only show which links would be restored.
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function restore( array $args, array $assoc_args ): void {
+		$this->change_status( $args, 'active', (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false ) );
+	}
+
+	/**
+	 * @param string[] $ids
+	 * @param string   $status   'rejected' or 'active'
+	 * @param bool     $dry_run
+	 */
+	private function change_status( array $ids, string $status, bool $dry_run ): void {
+		$changed = 0;
+		$missing = 0;
+
+		foreach ( $ids as $id ) {
+			$link = SL_DB::get_link( absint( $id ) );
+			if ( ! $link ) {
+				WP_CLI::warning( sprintf( 'Link %s nie istnieje.', $id ) );
+				$missing++;
+				continue;
+			}
+
+			WP_CLI::log( sprintf( '#%d "%s" → %s', $link->ID, $link->anchor_text, $link->target_url ) );
+			if ( $dry_run ) {
+				continue;
+			}
+
+			if ( $status === 'rejected' ) {
+				SL_DB::add_to_blacklist( $link->post_id, $link->anchor_text, $link->target_url );
+			} else {
+				SL_DB::remove_from_blacklist( $link->post_id, $link->target_url );
+			}
+			SL_DB::update_link_status( (int) $link->ID, $status );
+			do_action( 'sl_link_changed', (int) $link->post_id );
+			$changed++;
+		}
+
+		if ( $missing > 0 ) {
+			WP_CLI::error( sprintf( 'Nie znaleziono %d z %d linków.', $missing, count( $ids ) ) );
+		}
+
+		if ( $dry_run ) {
+			WP_CLI::success( sprintf( 'Dry run – %d linków zostałoby zmienionych.', count( $ids ) ) );
+			return;
+		}
+
+		WP_CLI::success( sprintf(
+			$status === 'rejected' ? 'Odrzucono %d linków.' : 'Przywrócono %d linków.',
+			$changed
+		) );
+	}
+}
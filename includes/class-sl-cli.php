@@ -0,0 +1,695 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * WP-CLI commands – `wp semanticlinker …`.
+ *
+ * Drives the same batch pipeline as the admin buttons
+ * (SL_Indexer::init_batch / process_batch, SL_Matcher::init_matching /
+ * process_matching_batch) from the shell, so large sites do not depend
+ * on a browser tab staying open.  Failures end with a non-zero exit code;
+ * commands that call the API stop when the monthly API budget is used up
+ * (see SL_Usage) and log the usage of the run.
+ *
+ * Subcommands:  links (SL_CLI_Links), blacklist (SL_CLI_Blacklist),
+ *               custom-urls (SL_CLI_Custom_Urls).
+ */
+class SL_CLI {
+
+	/** Retries of a failed batch before giving up. */
+	private const MAX_RETRIES = 3;
+
+	/** Seconds to wait before retrying a failed batch (multiplied by attempt). */
+	private const RETRY_DELAY = 10;
+
+	/** Consecutive rate-limited batches before giving up (e.g. exhausted daily quota). */
+	private const MAX_RATE_LIMITED = 20;
+
+	/**
+	 * Register all commands.  Called only when WP-CLI is loaded.
+	 */
+	public static function register(): void {
+		WP_CLI::add_command( 'semanticlinker', self::class );
+		WP_CLI::add_command( 'semanticlinker links', SL_CLI_Links::class );
+		WP_CLI::add_command( 'semanticlinker blacklist', SL_CLI_Blacklist::class );
+		WP_CLI::add_command( 'semanticlinker custom-urls', SL_CLI_Custom_Urls::class );
+	}
+
+	/**
+	 * Index posts (embeddings) and run matching.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--post=<id>]
+	 * : Re-index a single post and re-match it as source and target.
+	 *
+	 * [--skip-match]
+	 * : Stop after the embeddings are stored.
+	 *
+	 * [--dry-run]
+	 * : Only report which posts would be (re-)embedded.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker index
+	 *     wp semanticlinker index --post=123
+	 *     wp semanticlinker index --dry-run
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function index( array $args, array $assoc_args ): void {
+		$dry_run = (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false );
+
+		if ( isset( $assoc_args['post'] ) ) {
+			$this->index_single( absint( $assoc_args['post'] ), $dry_run );
+			return;
+		}
+
+		if ( $dry_run ) {
+			$this->report_stale();
+			return;
+		}
+
+		$this->ensure_idle();
+		$this->ensure_budget();
+
+		$result = SL_Indexer::init_batch();
+		if ( isset( $result['error'] ) ) {
+			WP_CLI::error( $result['error'] );
+		}
+		WP_CLI::log( $result['message'] );
+
+		$skip_match = (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'skip-match', false );
+		$retries      = 0;
+		$rate_limited = 0;
+		$last         = '';
+
+		while ( true ) {
+			$result = SL_Indexer::process_batch();
+
+			if ( ! empty( $result['budget_exceeded'] ) ) {
+				SL_Indexer::cancel();
+				$this->log_usage();
+				WP_CLI::error( $result['message'] );
+			}
+
+			if ( ! empty( $result['rate_limited'] ) ) {
+				if ( ++$rate_limited > self::MAX_RATE_LIMITED ) {
+					SL_Indexer::cancel();
+					$this->log_usage();
+					WP_CLI::error( sprintf( 'Limit zapytań API nadal przekroczony po %d ponowieniach – przerwano. %s', self::MAX_RATE_LIMITED, $result['message'] ) );
+				}
+				WP_CLI::log( sprintf( '%s (%d/%d)', $result['message'], $rate_limited, self::MAX_RATE_LIMITED ) );
+				SL_Usage::record_retry( $result['phase'] === 'filtering' ? 'filter' : 'embedding' );
+				sleep( (int) ( $result['retry_after'] ?? 2 ) );
+				continue;
+			}
+
+			if ( isset( $result['error'] ) ) {
+				// Batch failures keep the session (progress is returned too) – retry
+				if ( isset( $result['processed'] ) && $retries < self::MAX_RETRIES ) {
+					$retries++;
+					SL_Usage::record_retry( ( $result['phase'] ?? '' ) === 'filtering' ? 'filter' : 'embedding' );
+					WP_CLI::warning( sprintf( '%s Ponowienie %d/%d…', $result['error'], $retries, self::MAX_RETRIES ) );
+					sleep( self::RETRY_DELAY * $retries );
+					continue;
+				}
+				SL_Indexer::cancel();
+				WP_CLI::error( $result['error'] );
+			}
+			$retries      = 0;
+			$rate_limited = 0;
+
+			if ( $result['message'] !== $last ) {
+				WP_CLI::log( $result['message'] );
+				$last = $result['message'];
+			}
+
+			if ( ! empty( $result['complete'] ) ) {
+				break;
+			}
+
+			if ( $skip_match && $result['phase'] !== 'indexing' ) {
+				SL_Indexer::cancel();
+				$this->log_usage();
+				WP_CLI::success( 'Indeksacja zakończona (matching pominięty).' );
+				return;
+			}
+		}
+
+		$this->log_usage();
+		WP_CLI::success( 'Indeksacja i matching zakończone.' );
+	}
+
+	/**
+	 * Match indexed posts without re-embedding them.
+	 *
+	 * Runs the AI anchor filter afterwards when it is enabled in settings.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--post=<id>]
+	 * : Match a single post (as source and as target).
+	 *
+	 * [--dry-run]
+	 * : Only report how many posts would be matched.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker match
+	 *     wp semanticlinker match --post=123
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function match( array $args, array $assoc_args ): void {
+		$dry_run = (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false );
+		$indexed = SL_DB::get_indexed_post_ids();
+
+		if ( isset( $assoc_args['post'] ) ) {
+			$post_id = absint( $assoc_args['post'] );
+			if ( ! in_array( $post_id, $indexed, true ) ) {
+				WP_CLI::error( sprintf( 'Wpis %d nie jest zaindeksowany.', $post_id ) );
+			}
+			if ( $dry_run ) {
+				WP_CLI::success( sprintf( 'Wpis %d zostałby porównany z %d wpisami.', $post_id, count( $indexed ) - 1 ) );
+				return;
+			}
+
+			$this->ensure_budget();
+			$stats = SL_Matcher::match_single_post( $post_id );
+			$this->log_usage();
+			WP_CLI::success( sprintf(
+				'Utworzono %d linków, wyfiltrowano %d, usunięto %d nieaktualnych.',
+				$stats['total_links_created'],
+				$stats['total_links_filtered'],
+				$stats['links_removed']
+			) );
+			return;
+		}
+
+		if ( $dry_run ) {
+			WP_CLI::success( sprintf( 'Matching objąłby %d zaindeksowanych wpisów.', count( $indexed ) ) );
+			return;
+		}
+
+		$this->ensure_idle();
+		$this->ensure_budget();
+
+		$result = SL_Matcher::init_matching();
+		if ( isset( $result['error'] ) ) {
+			WP_CLI::error( $result['error'] );
+		}
+		WP_CLI::log( $result['message'] );
+
+		$last = '';
+		while ( true ) {
+			if ( SL_Usage::budget_exceeded() ) {
+				SL_Matcher::cancel();
+				$this->log_usage();
+				WP_CLI::error( SL_Usage::budget_message() );
+			}
+
+			$result = SL_Matcher::process_matching_batch();
+
+			if ( isset( $result['error'] ) ) {
+				SL_Matcher::cancel();
+				WP_CLI::error( $result['error'] );
+			}
+
+			if ( $result['message'] !== $last ) {
+				WP_CLI::log( $result['message'] );
+				$last = $result['message'];
+			}
+
+			if ( ! empty( $result['warning'] ) ) {
+				WP_CLI::warning( $result['warning'] );
+			}
+
+			if ( ! empty( $result['complete'] ) ) {
+				break;
+			}
+		}
+
+		update_option( 'sl_last_indexing_run', current_time( 'mysql' ) );
+
+		$this->log_usage();
+		WP_CLI::success( 'Matching zakończony.' );
+	}
+
+	/**
+	 * Re-check active links with the AI anchor filter.
+	 *
+	 * Links are judged in batches (cached verdicts are reused); those the
+	 * model rejects get the "filtered" status with the model's reason.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--post=<id>]
+	 * : Only links of this source post.
+	 *
+	 * [--dry-run]
+	 * : Print the verdicts without changing any link.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker filter --dry-run
+	 *     wp semanticlinker filter --post=123
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function filter( array $args, array $assoc_args ): void {
+		$dry_run = (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false );
+
+		$api = new SL_Embedding_API();
+		if ( ! $api->is_configured() ) {
+			WP_CLI::error( 'Dostawca API nie jest skonfigurowany.' );
+		}
+		$this->ensure_budget();
+
+		$links = isset( $assoc_args['post'] )
+			? SL_DB::get_links_for_post( absint( $assoc_args['post'] ), 'active' )
+			: SL_DB::get_all_links( 'active' );
+
+		if ( empty( $links ) ) {
+			WP_CLI::success( 'Brak aktywnych linków do sprawdzenia.' );
+			return;
+		}
+
+		$custom_titles = [];
+		foreach ( SL_DB::get_all_custom_urls() as $custom ) {
+			$custom_titles[ $custom->url ] = $custom->title;
+		}
+
+		SL_Embedding_API::clear_errors();
+
+		$filtered = 0;
+		$progress = WP_CLI\Utils\make_progress_bar( 'Filtrowanie linków', count( $links ) );
+
+		if ( ! $dry_run ) {
+			SL_History::start( 'filter', 'Filtr AI (WP-CLI)' );
+		}
+
+		/* Editor-authored links are not second-guessed */
+		$skipped = array_filter( $links, fn( $link ) => $link->origin === 'manual' );
+		foreach ( $skipped as $link ) {
+			$progress->tick();
+		}
+
+		$paused = false;
+		foreach ( array_chunk( array_diff_key( $links, $skipped ), SL_Embedding_API::FILTER_BATCH_SIZE ) as $batch ) {
+			// Links judged so far keep their new status
+			if ( SL_Usage::budget_exceeded() ) {
+				$paused = true;
+				break;
+			}
+
+			$pairs = [];
+			foreach ( $batch as $i => $link ) {
+				$pairs[ $i ] = [
+					'anchor'   => $link->anchor_text,
+					'title'    => (int) $link->target_post_id > 0
+						? get_the_title( (int) $link->target_post_id )
+						: ( $custom_titles[ $link->target_url ] ?? $link->target_url ),
+					'sentence' => SL_Matcher::anchor_sentence( (int) $link->post_id, (int) $link->chunk_index, $link->anchor_text ),
+					'language' => SL_Language::for_post( (int) $link->post_id ),
+				];
+			}
+
+			foreach ( $api->evaluate_anchor_matches( $pairs ) as $i => $verdict ) {
+				$link = $batch[ $i ];
+				$progress->tick();
+
+				if ( $verdict['match'] ) {
+					continue;
+				}
+
+				$filtered++;
+				WP_CLI::log( sprintf(
+					'  #%d "%s" → %s%s',
+					$link->ID,
+					$link->anchor_text,
+					$pairs[ $i ]['title'],
+					$verdict['reason'] !== '' ? ' (' . $verdict['reason'] . ')' : ''
+				) );
+
+				if ( ! $dry_run ) {
+					SL_DB::update_link( (int) $link->ID, [
+						'status'            => 'filtered',
+						'filter_confidence' => $verdict['confidence'],
+						'filter_reason'     => $verdict['reason'],
+					] );
+					do_action( 'sl_link_changed', (int) $link->post_id );
+				}
+			}
+		}
+		$progress->finish();
+
+		if ( ! $dry_run ) {
+			SL_History::finish();
+		}
+
+		$warning = SL_Embedding_API::get_error_summary();
+		SL_Embedding_API::clear_errors();
+		if ( $warning ) {
+			WP_CLI::warning( $warning );
+		}
+
+		$this->log_usage();
+		if ( $paused ) {
+			WP_CLI::error( SL_Usage::budget_message() );
+		}
+
+		WP_CLI::success( sprintf(
+			$dry_run ? 'Sprawdzono %d linków, %d zostałoby odfiltrowanych.' : 'Sprawdzono %d linków, odfiltrowano %d.',
+			count( $links ),
+			$filtered
+		) );
+	}
+
+	/**
+	 * Check which active links are really injected into the rendered posts.
+	 *
+	 * Results are stored per link (`links list --fields=ID,anchor_text,audit_result`);
+	 * links missing from the page show up as orphaned in the dashboard.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--post=<id>]
+	 * : Audit a single source post and print its links.
+	 *
+	 * [--rematch]
+	 * : Delete the orphaned links of the affected posts, re-match the
+	 * posts and audit them again.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker audit
+	 *     wp semanticlinker audit --post=123
+	 *     wp semanticlinker audit --rematch
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function audit( array $args, array $assoc_args ): void {
+		if ( isset( $assoc_args['post'] ) ) {
+			$post_id = absint( $assoc_args['post'] );
+			$result  = SL_Audit::audit_post( $post_id );
+
+			if ( $result['links'] === 0 ) {
+				WP_CLI::error( sprintf( 'Wpis %d nie ma aktywnych linków.', $post_id ) );
+			}
+
+			$links = [];
+			foreach ( SL_DB::get_links_for_post( $post_id, 'active' ) as $link ) {
+				$links[] = [
+					'ID'          => $link->ID,
+					'anchor_text' => $link->anchor_text,
+					'target_url'  => $link->target_url,
+					'result'      => $result['results'][ (int) $link->ID ] ?? '',
+				];
+			}
+			WP_CLI\Utils\format_items( 'table', $links, [ 'ID', 'anchor_text', 'target_url', 'result' ] );
+
+			WP_CLI::success( sprintf( 'Sprawdzono %d linków, osieroconych: %d.', $result['links'], $result['orphaned'] ) );
+			return;
+		}
+
+		$job = WP_CLI\Utils\get_flag_value( $assoc_args, 'rematch', false ) ? 'rematch' : 'audit';
+		if ( $job === 'rematch' ) {
+			$this->ensure_idle();
+		}
+
+		$result = SL_Audit::start( $job );
+		if ( isset( $result['error'] ) ) {
+			WP_CLI::error( $result['error'] );
+		}
+
+		$progress = WP_CLI\Utils\make_progress_bar( $result['message'], $result['total'] );
+		$done     = 0;
+
+		while ( true ) {
+			$result = SL_Audit::process_batch();
+
+			if ( isset( $result['error'] ) ) {
+				SL_Audit::cancel();
+				WP_CLI::error( $result['error'] );
+			}
+
+			$progress->tick( $result['processed'] - $done );
+			$done = $result['processed'];
+
+			if ( ! empty( $result['complete'] ) ) {
+				break;
+			}
+		}
+		$progress->finish();
+
+		WP_CLI::success( $result['message'] );
+	}
+
+	/**
+	 * Show index, link and job status.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function status( array $args, array $assoc_args ): void {
+		$api       = new SL_Embedding_API();
+		$signature = $api->get_signature();
+		$counts    = SL_DB::count_links_by_status();
+		$indexing  = SL_Indexer::get_progress();
+		$matching  = SL_Matcher::is_running() ? SL_Matcher::get_progress() : null;
+		$vector    = SL_Vector_Index::status();
+		$convert   = SL_Activation::vectors_to_convert();
+
+		$status = [
+			'provider'          => $api->get_provider()->get_id(),
+			'model'             => $signature['model'],
+			'configured'        => $api->is_configured() ? 'yes' : 'no',
+			'indexed_posts'     => count( SL_DB::get_indexed_post_ids() ),
+			'stale_embeddings'  => SL_DB::count_stale_embeddings( $signature ),
+			'links_active'      => $counts['active'],
+			'links_rejected'    => $counts['rejected'],
+			'links_filtered'    => $counts['filtered'],
+			'links_orphaned'    => array_sum( SL_DB::count_orphaned_links() ),
+			'blacklist'         => count( SL_DB::get_blacklist() ),
+			'custom_urls'       => SL_DB::get_custom_url_count(),
+			'last_run'          => get_option( 'sl_last_indexing_run', '' ),
+			'cron'              => SL_Settings::get( 'cron_enabled', false ) ? 'enabled' : 'disabled',
+			'reindex_queue'     => count( SL_Indexer::get_queue() ),
+			'running'           => $indexing ? $indexing['phase'] : ( $matching ? $matching['phase'] : 'no' ),
+			'background_job'    => SL_Jobs::is_running() ? 'running' : 'no',
+			'vector_index'      => $vector['state'] . ( $vector['posts'] ? " ({$vector['posts']} posts, {$vector['lists']} lists)" : '' ),
+			'db_version'        => SL_Activation::db_version() . ' / ' . SL_Activation::DB_VERSION,
+			'vector_storage'    => SL_Vector_Codec::format() . ( $convert ? " ({$convert} to convert)" : '' ),
+			'api_cost_month'    => SL_Usage::format_cost( SL_Usage::cost( SL_Usage::month() ) )
+				. ( SL_Usage::budget() > 0 ? ' / ' . SL_Usage::format_cost( SL_Usage::budget() ) : '' ),
+		];
+
+		WP_CLI\Utils\format_items(
+			$assoc_args['format'] ?? 'table',
+			array_map( function ( $key, $value ) {
+				return [ 'key' => $key, 'value' => $value ];
+			}, array_keys( $status ), $status ),
+			[ 'key', 'value' ]
+		);
+	}
+
+	/**
+	 * Apply pending schema migrations and convert the stored vectors to
+	 * the configured format.
+	 *
+	 * Does in one go what the first admin request after an update and
+	 * the WP-Cron conversion otherwise do in the background.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--dry-run]
+	 * : Only report the schema version and the vectors to convert.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker migrate
+	 *     wp semanticlinker migrate --dry-run
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function migrate( array $args, array $assoc_args ): void {
+		if ( WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false ) ) {
+			WP_CLI::success( sprintf(
+				'Schemat bazy: wersja %d z %d, wektorów do konwersji: %d.',
+				SL_Activation::db_version(),
+				SL_Activation::DB_VERSION,
+				SL_Activation::vectors_to_convert()
+			) );
+			return;
+		}
+
+		SL_Activation::maybe_upgrade();
+		if ( SL_Activation::db_version() < SL_Activation::DB_VERSION ) {
+			WP_CLI::error( sprintf(
+				'Migracja zatrzymała się na wersji %d – szczegóły w Debug Logs.',
+				SL_Activation::db_version()
+			) );
+		}
+
+		$pending = SL_Activation::vectors_to_convert();
+		if ( $pending > 0 ) {
+			$progress = WP_CLI\Utils\make_progress_bar( 'Konwersja wektorów (' . SL_Vector_Codec::format() . ')', $pending );
+			while ( ( $converted = SL_Activation::convert_vectors() ) > 0 ) {
+				$progress->tick( $converted );
+			}
+			$progress->finish();
+		}
+
+		$left = SL_Activation::vectors_to_convert();
+		if ( $left > 0 ) {
+			WP_CLI::error( sprintf( 'Nie udało się przekonwertować %d wektorów – szczegóły w Debug Logs.', $left ) );
+		}
+
+		WP_CLI::success( sprintf( 'Schemat bazy w wersji %d, przekonwertowano %d wektorów.', SL_Activation::DB_VERSION, $pending ) );
+	}
+
+	/**
+	 * Cancel a running indexing / matching session.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp semanticlinker cancel
+	 *
+	 * @param array $args
+	 * @param array $assoc_args
+	 */
+	public function cancel( array $args, array $assoc_args ): void {
+		if ( ! SL_Indexer::get_progress() && ! SL_Matcher::is_running() && ! SL_Jobs::is_running() ) {
+			WP_CLI::success( 'Brak uruchomionego procesu.' );
+			return;
+		}
+
+		SL_Jobs::cancel();  // Also cancels indexer + matcher
+		SL_Debug::log( 'cli', 'Indexing cancelled from WP-CLI' );
+
+		WP_CLI::success( 'Proces anulowany.' );
+	}
+
+	/* ── Helpers ───────────────────────────────────────────────── */
+
+	/**
+	 * @param int  $post_id
+	 * @param bool $dry_run
+	 */
+	private function index_single( int $post_id, bool $dry_run ): void {
+		$post = get_post( $post_id );
+		if ( ! SL_Indexer::is_indexable( $post ) ) {
+			WP_CLI::error( sprintf( 'Wpis %d nie jest indeksowany (typ, status lub filtr kategorii).', $post_id ) );
+		}
+
+		if ( $dry_run ) {
+			$current = SL_DB::embeddings_are_current(
+				$post_id,
+				md5( $post->post_title . $post->post_content ),
+				( new SL_Embedding_API() )->get_signature()
+			);
+			WP_CLI::success( $current
+				? sprintf( 'Wpis %d jest aktualny.', $post_id )
+				: sprintf( 'Wpis %d zostałby zaindeksowany ponownie.', $post_id ) );
+			return;
+		}
+
+		$this->ensure_budget();
+		$result = SL_Indexer::index_post( $post_id );
+		$this->log_usage();
+
+		if ( isset( $result['error'] ) ) {
+			WP_CLI::error( $result['error'] );
+		}
+		if ( isset( $result['skipped'] ) ) {
+			WP_CLI::success( sprintf( 'Wpis %d jest aktualny – pominięto.', $post_id ) );
+			return;
+		}
+
+		WP_CLI::success( sprintf(
+			'Wpis %d: %d fragmentów przeliczonych, %d z cache; utworzono %d linków.',
+			$post_id,
+			$result['embedded'],
+			$result['reused'],
+			$result['match']['total_links_created']
+		) );
+	}
+
+	/**
+	 * Dry run of `index`: count posts whose embeddings are missing or stale.
+	 */
+	private function report_stale(): void {
+		$ids       = SL_Indexer::get_filtered_post_ids();
+		$signature = ( new SL_Embedding_API() )->get_signature();
+		$stale     = [];
+
+		foreach ( array_chunk( $ids, 100 ) as $chunk ) {
+			$posts = get_posts( [
+				'post__in'               => $chunk,
+				'post_type'              => 'any',
+				'numberposts'            => -1,
+				'update_post_meta_cache' => false,
+				'update_post_term_cache' => false,
+			] );
+			foreach ( $posts as $post ) {
+				if ( ! SL_DB::embeddings_are_current( $post->ID, md5( $post->post_title . $post->post_content ), $signature ) ) {
+					$stale[] = $post->ID;
+				}
+			}
+		}
+
+		if ( ! empty( $stale ) ) {
+			WP_CLI::log( 'Do indeksacji: ' . implode( ', ', $stale ) );
+		}
+		WP_CLI::success( sprintf( '%d z %d wpisów wymaga indeksacji.', count( $stale ), count( $ids ) ) );
+	}
+
+	/**
+	 * Abort when an indexing / matching session is already running
+	 * (e.g. started from the admin panel).
+	 */
+	private function ensure_idle(): void {
+		if ( SL_Indexer::get_progress() || SL_Matcher::is_running() || SL_Jobs::is_running() ) {
+			WP_CLI::error( 'Indeksacja jest już w toku. Użyj `wp semanticlinker cancel`, aby ją przerwać.' );
+		}
+	}
+
+	/**
+	 * Abort when the monthly API budget is used up.
+	 */
+	private function ensure_budget(): void {
+		if ( SL_Usage::budget_exceeded() ) {
+			WP_CLI::error( SL_Usage::budget_message() );
+		}
+	}
+
+	/**
+	 * Print the API usage of this command (nothing when no request was sent).
+	 */
+	private function log_usage(): void {
+		$summary = SL_Usage::summary( SL_Usage::take_run() );
+		if ( $summary !== '' ) {
+			WP_CLI::log( $summary );
+		}
+	}
+}
@@ -6,6 +6,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 /**
  * Registers the "Active Links" submenu page under the SemanticLinker
  * top-level menu.  Rendering is delegated to a template file.
+ *
+ * The table body is not rendered with the page: admin.js requests one
+ * page of rows (or cluster headers) at a time from sl_get_links /
+ * sl_get_clusters, which return HTML built by the helpers below.
  */
 class SL_Dashboard {
 
@@ -30,4 +34,56 @@ class SL_Dashboard {
 		}
 		require_once SL_PLUGIN_DIR . 'templates/dashboard.php';
 	}
+
+	/* ── Row rendering (used by SL_Ajax) ────────────────────────── */
+
+	/**
+	 * @param object[] $links      Rows from SL_DB::query_links().
+	 * @param string   $row_class  Extra class for every row (cluster parity).
+	 * @return string  <tr> markup.
+	 */
+	public static function render_link_rows( array $links, string $row_class = '' ): string {
+		ob_start();
+		foreach ( $links as $link ) {
+			require SL_PLUGIN_DIR . 'templates/dashboard-row.php';
+		}
+		return (string) ob_get_clean();
+	}
+
+	/**
+	 * @param object[] $clusters     Rows from SL_DB::query_link_clusters().
+	 * @param int      $first_index  Position of the first cluster (keeps odd/even across pages).
+	 * @return string  <tr> markup.
+	 */
+	public static function render_cluster_rows( array $clusters, int $first_index ): string {
+		$custom_titles = [];
+		foreach ( SL_DB::get_all_custom_urls() as $custom ) {
+			$custom_titles[ $custom->url ] = $custom->title;
+		}
+
+		ob_start();
+		foreach ( $clusters as $i => $cluster ) {
+			$cluster_class = ( $first_index + $i ) % 2 === 0 ? 'sl-cluster-odd' : 'sl-cluster-even';
+			$custom_title  = $custom_titles[ $cluster->target_url ] ?? null;
+			require SL_PLUGIN_DIR . 'templates/dashboard-cluster.php';
+		}
+		return (string) ob_get_clean();
+	}
+
+	/**
+	 * Short cluster label: URL slug as words, numeric parts (dates)
+	 * removed, truncated to 5 words.
+	 */
+	public static function cluster_label( string $target_url ): string {
+		$slug  = trim( (string) wp_parse_url( $target_url, PHP_URL_PATH ), '/' );
+		$slug  = preg_replace( '/[-_\/]+/', ' ', $slug ); // Convert dashes/underscores/slashes to spaces
+		$words = array_values( array_filter( preg_split( '/\s+/', $slug ), function ( $w ) {
+			return $w !== '' && ! preg_match( '/^\d+$/', $w );
+		} ) );
+
+		if ( count( $words ) > 5 ) {
+			return implode( ' ', array_slice( $words, 0, 5 ) ) . '…';
+		}
+		return implode( ' ', $words );
+	}
 }
@@ -16,6 +16,23 @@ class SL_DB {
 	 */
 	private static ?array $url_links_cache = null;
 
+	/**
+	 * Blacklist rule types.  'pair' is the classic (source post, target
+	 * URL) entry written when a link is rejected; the others are rules
+	 * added on the Blacklist page.
+	 */
+	public const BLACKLIST_RULE_TYPES = [ 'pair', 'anchor', 'target', 'source', 'regex' ];
+
+	/**
+	 * In-memory cache of the non-pair blacklist rules (few rows, checked
+	 * for every candidate during matching).
+	 * @var array|null  [ rule_type => string[]|int[] ] or null if not loaded
+	 */
+	private static ?array $blacklist_rules_cache = null;
+
+	/** @var array  Regex rules that failed in this request (logged once). */
+	private static array $failed_regex_rules = [];
+
 	/* ═══════════════════════════════════════════════════════════════
 	 * LINKS (wp_semantic_links)
 	 * ═══════════════════════════════════════════════════════════════ */
@@ -24,7 +41,8 @@ class SL_DB {
 	 * Insert a new link proposal.
 	 *
 	 * @param array $data  Keys: post_id, anchor_text, target_url,
-	 *                            target_post_id, similarity_score
+	 *                            target_post_id, similarity_score,
+	 *                            status, origin ('auto' | 'manual')
 	 * @return int|false   Inserted ID, or false on failure.
 	 */
 	public static function insert_link( array $data ) {
@@ -54,23 +72,43 @@ class SL_DB {
 			$status = 'active';
 		}
 
+		$origin = ( $data['origin'] ?? 'auto' ) === 'manual' ? 'manual' : 'auto';
+
+		$row = [
+			'post_id'          => $post_id,
+			'anchor_text'      => $anchor_text,
+			'target_url'       => $target_url,
+			'target_post_id'   => $target_post_id,
+			'similarity_score' => $similarity_score,
+			'chunk_index'      => absint( $data['chunk_index'] ?? 0 ),
+			'status'           => $status,
+			'origin'           => $origin,
+		];
+		$format = [ '%d', '%s', '%s', '%d', '%f', '%d', '%s', '%s' ];
+
+		// AI filter verdict (left NULL for links the filter did not judge)
+		if ( isset( $data['filter_confidence'] ) ) {
+			$row['filter_confidence'] = max( 0.0, min( 1.0, (float) $data['filter_confidence'] ) );
+			$format[]                 = '%f';
+		}
+		if ( isset( $data['filter_reason'] ) && $data['filter_reason'] !== '' ) {
+			$row['filter_reason'] = mb_substr( sanitize_text_field( $data['filter_reason'] ), 0, 255, 'UTF-8' );
+			$format[]             = '%s';
+		}
+
 		$ok = $wpdb->insert(
 			$wpdb->prefix . 'semantic_links',
-			[
-				'post_id'          => $post_id,
-				'anchor_text'      => $anchor_text,
-				'target_url'       => $target_url,
-				'target_post_id'   => $target_post_id,
-				'similarity_score' => $similarity_score,
-				'status'           => $status,
-			],
-			[ '%d', '%s', '%s', '%d', '%f', '%s' ]
+			$row,
+			$format
 		);
 
 		if ( $ok ) {
+			$link_id = (int) $wpdb->insert_id;
+			SL_History::link_created( $link_id, $row );
+
 			// Trigger cache invalidation for this post's injected content
 			do_action( 'sl_link_changed', $post_id );
-			return $wpdb->insert_id;
+			return $link_id;
 		}
 
 		return false;
@@ -78,6 +116,7 @@ class SL_DB {
 
 	/**
 	 * All active links for a single post (used by the injector).
+	 * Manual links come first so they win an anchor over automatic ones.
 	 *
 	 * @return object[]
 	 */
@@ -87,7 +126,7 @@ class SL_DB {
 			$wpdb->prepare(
 				"SELECT * FROM {$wpdb->prefix}semantic_links
 				 WHERE post_id = %d AND status = %s
-				 ORDER BY similarity_score DESC",
+				 ORDER BY origin = 'manual' DESC, similarity_score DESC",
 				$post_id,
 				$status
 			)
@@ -118,6 +157,258 @@ class SL_DB {
 		return $wpdb->get_results( $q );
 	}
 
+	/**
+	 * Filtered, paginated link query (dashboard + REST API).
+	 *
+	 * @param array $args {
+	 *     @type string $status          'active' | 'rejected' | 'filtered' | 'orphaned' (active,
+	 *                                   missing from the page per link audit) | '' (any).
+	 *     @type int    $source          Source post ID (0 = any).
+	 *     @type int    $target          Target post ID (0 = any).
+	 *     @type string $target_url      Exact target URL ('' = any).
+	 *     @type array  $target_urls     Any of these target URLs.
+	 *     @type array  $ids             Only these link IDs.
+	 *     @type float  $min_score       Minimum similarity (null = no bound).
+	 *     @type float  $max_score       Maximum similarity (null = no bound).
+	 *     @type string $search          Substring of anchor, source title or target URL.
+	 *     @type bool   $published_only  Skip links whose source / target post is not published.
+	 *     @type string $orderby         'created_at' | 'similarity_score' | 'source' | 'target' | 'ID'
+	 *                                   | 'clicks' | 'ctr' (last SL_Tracking::STATS_DAYS days).
+	 *     @type string $order           'ASC' | 'DESC'.
+	 *     @type int    $page            1-based page.
+	 *     @type int    $per_page        Rows per page.
+	 * }
+	 * @return array  [ 'items' => object[] (with impressions, clicks, ctr), 'total' => int ]
+	 */
+	public static function query_links( array $args ): array {
+		global $wpdb;
+
+		list( $where_sql, $params ) = self::link_filter_sql( $args );
+
+		// Whitelisted – never interpolate raw request values
+		$columns = [
+			'created_at'       => 'sl.created_at',
+			'similarity_score' => 'sl.similarity_score',
+			'source'           => 'p.post_title',
+			'target'           => 'sl.target_url',
+			'ID'               => 'sl.ID',
+			'clicks'           => 'clicks',
+			'ctr'              => 'ctr',
+		];
+		$orderby  = $columns[ $args['orderby'] ?? '' ] ?? 'sl.created_at';
+		$order    = strtoupper( $args['order'] ?? '' ) === 'ASC' ? 'ASC' : 'DESC';
+		$per_page = max( 1, (int) ( $args['per_page'] ?? 20 ) );
+		$offset   = ( max( 1, (int) ( $args['page'] ?? 1 ) ) - 1 ) * $per_page;
+
+		$from = self::link_from_sql();
+
+		$count_sql = "SELECT COUNT(*) FROM $from WHERE $where_sql";
+		$total     = (int) $wpdb->get_var( empty( $params ) ? $count_sql : $wpdb->prepare( $count_sql, $params ) );
+
+		list( $stats_join, $since ) = self::link_stats_join_sql();
+
+		$items = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT sl.*, p.post_title AS source_title,
+				        COALESCE(st.impressions, 0) AS impressions,
+				        COALESCE(st.clicks, 0) AS clicks,
+				        COALESCE(st.clicks / NULLIF(st.impressions, 0), 0) AS ctr
+				 FROM $from
+				 $stats_join
+				 WHERE $where_sql
+				 ORDER BY $orderby $order, sl.ID $order
+				 LIMIT %d OFFSET %d",
+				array_merge( [ $since ], $params, [ $per_page, $offset ] )
+			)
+		);
+
+		return [ 'items' => $items, 'total' => $total ];
+	}
+
+	/**
+	 * Links grouped by target URL (dashboard cluster view), paginated.
+	 * Accepts the same filters as query_links().
+	 *
+	 * @param array $args  query_links() filters + orderby 'score' | 'count' | 'target' | 'clicks'.
+	 * @return array  [ 'items' => object[] (target_url, link_count, max_score, impressions,
+	 *                clicks), 'total' => int ]
+	 */
+	public static function query_link_clusters( array $args ): array {
+		global $wpdb;
+
+		list( $where_sql, $params ) = self::link_filter_sql( $args );
+
+		$columns  = [
+			'score'  => 'max_score',
+			'count'  => 'link_count',
+			'target' => 'sl.target_url',
+			'clicks' => 'clicks',
+		];
+		$orderby  = $columns[ $args['orderby'] ?? '' ] ?? 'max_score';
+		$order    = strtoupper( $args['order'] ?? '' ) === 'ASC' ? 'ASC' : 'DESC';
+		$per_page = max( 1, (int) ( $args['per_page'] ?? 20 ) );
+		$offset   = ( max( 1, (int) ( $args['page'] ?? 1 ) ) - 1 ) * $per_page;
+
+		$from = self::link_from_sql();
+
+		$count_sql = "SELECT COUNT(DISTINCT sl.target_url) FROM $from WHERE $where_sql";
+		$total     = (int) $wpdb->get_var( empty( $params ) ? $count_sql : $wpdb->prepare( $count_sql, $params ) );
+
+		list( $stats_join, $since ) = self::link_stats_join_sql();
+
+		// Cluster score = best ACTIVE link (rejected / filtered links do not rank a cluster)
+		$items = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT sl.target_url,
+				        COUNT(*) AS link_count,
+				        MAX(CASE WHEN sl.status = 'active' THEN sl.similarity_score ELSE 0 END) AS max_score,
+				        COALESCE(SUM(st.impressions), 0) AS impressions,
+				        COALESCE(SUM(st.clicks), 0) AS clicks
+				 FROM $from
+				 $stats_join
+				 WHERE $where_sql
+				 GROUP BY sl.target_url
+				 ORDER BY $orderby $order, sl.target_url ASC
+				 LIMIT %d OFFSET %d",
+				array_merge( [ $since ], $params, [ $per_page, $offset ] )
+			)
+		);
+
+		return [ 'items' => $items, 'total' => $total ];
+	}
+
+	/**
+	 * Number of target-URL clusters and how many of them point at a custom URL.
+	 *
+	 * @return array  [ 'total' => int, 'custom' => int ]
+	 */
+	public static function count_link_clusters(): array {
+		global $wpdb;
+		return [
+			'total'  => (int) $wpdb->get_var(
+				"SELECT COUNT(DISTINCT target_url) FROM {$wpdb->prefix}semantic_links"
+			),
+			'custom' => (int) $wpdb->get_var(
+				"SELECT COUNT(DISTINCT sl.target_url)
+				 FROM {$wpdb->prefix}semantic_links sl
+				 INNER JOIN {$wpdb->prefix}semantic_custom_urls cu ON cu.url = sl.target_url"
+			),
+		];
+	}
+
+	/**
+	 * All links matching query_links() filters, without paging – the
+	 * selection of a dashboard bulk action, or every link for an export.
+	 *
+	 * @param array $args  query_links() filters.
+	 * @return object[]
+	 */
+	public static function find_links( array $args ): array {
+		global $wpdb;
+
+		list( $where_sql, $params ) = self::link_filter_sql( $args );
+
+		$sql = "SELECT sl.*
+		        FROM " . self::link_from_sql() . "
+		        WHERE $where_sql
+		        ORDER BY sl.ID ASC";
+
+		return $wpdb->get_results( empty( $params ) ? $sql : $wpdb->prepare( $sql, $params ) );
+	}
+
+	/**
+	 * FROM clause of the filtered link queries: links + source post (p)
+	 * + target post (p2).
+	 */
+	private static function link_from_sql(): string {
+		global $wpdb;
+		return "{$wpdb->prefix}semantic_links sl
+		        LEFT JOIN {$wpdb->prefix}posts p ON sl.post_id = p.ID
+		        LEFT JOIN {$wpdb->prefix}posts p2 ON sl.target_post_id = p2.ID";
+	}
+
+	/**
+	 * WHERE clause shared by query_links(), query_link_clusters() and
+	 * find_links().  Expects the aliases sl (links), p (source post) and
+	 * p2 (target post).
+	 *
+	 * @return array  [ string $where_sql, array $params ]
+	 */
+	private static function link_filter_sql( array $args ): array {
+		global $wpdb;
+
+		$where  = [ '1=1' ];
+		$params = [];
+
+		if ( ( $args['status'] ?? '' ) === 'orphaned' ) {
+			// Pseudo-status: active but missing from the rendered page (link audit)
+			$where[] = self::orphaned_sql();
+		} elseif ( ! empty( $args['status'] ) ) {
+			$where[]  = 'sl.status = %s';
+			$params[] = $args['status'];
+		}
+		if ( ! empty( $args['ids'] ) ) {
+			$ids      = array_map( 'intval', (array) $args['ids'] );
+			$where[]  = 'sl.ID IN (' . implode( ',', array_fill( 0, count( $ids ), '%d' ) ) . ')';
+			$params   = array_merge( $params, $ids );
+		}
+		if ( ! empty( $args['source'] ) ) {
+			$where[]  = 'sl.post_id = %d';
+			$params[] = (int) $args['source'];
+		}
+		if ( ! empty( $args['target'] ) ) {
+			$where[]  = 'sl.target_post_id = %d';
+			$params[] = (int) $args['target'];
+		}
+		if ( ! empty( $args['target_url'] ) ) {
+			$where[]  = 'sl.target_url = %s';
+			$params[] = $args['target_url'];
+		}
+		if ( ! empty( $args['target_urls'] ) ) {
+			$urls     = array_values( (array) $args['target_urls'] );
+			$where[]  = 'sl.target_url IN (' . implode( ',', array_fill( 0, count( $urls ), '%s' ) ) . ')';
+			$params   = array_merge( $params, $urls );
+		}
+		if ( isset( $args['min_score'] ) ) {
+			$where[]  = 'sl.similarity_score >= %f';
+			$params[] = (float) $args['min_score'];
+		}
+		if ( isset( $args['max_score'] ) ) {
+			$where[]  = 'sl.similarity_score <= %f';
+			$params[] = (float) $args['max_score'];
+		}
+		if ( ! empty( $args['search'] ) ) {
+			$like     = '%' . $wpdb->esc_like( $args['search'] ) . '%';
+			$where[]  = '(sl.anchor_text LIKE %s OR p.post_title LIKE %s OR sl.target_url LIKE %s)';
+			$params[] = $like;
+			$params[] = $like;
+			$params[] = $like;
+		}
+		if ( ! empty( $args['published_only'] ) ) {
+			// Same rule as get_all_links()
+			$where[] = "p.post_status = 'publish' AND (sl.target_post_id = 0 OR p2.post_status = 'publish')";
+		}
+
+		return [ implode( ' AND ', $where ), $params ];
+	}
+
+	/**
+	 * Number of links per status (posts in any state are counted).
+	 *
+	 * @return array  [ 'active' => int, 'rejected' => int, 'filtered' => int ]
+	 */
+	public static function count_links_by_status(): array {
+		global $wpdb;
+		$counts = [ 'active' => 0, 'rejected' => 0, 'filtered' => 0 ];
+		$rows   = $wpdb->get_results(
+			"SELECT status, COUNT(*) AS cnt FROM {$wpdb->prefix}semantic_links GROUP BY status"
+		);
+		foreach ( $rows as $row ) {
+			$counts[ $row->status ] = (int) $row->cnt;
+		}
+		return $counts;
+	}
+
 	/**
 	 * Single link row by ID.
 	 *
@@ -133,6 +424,112 @@ class SL_DB {
 		);
 	}
 
+	/**
+	 * Link of a source post to a target URL, whatever its status.
+	 *
+	 * @return object|null
+	 */
+	public static function get_link_by_pair( int $post_id, string $target_url ) {
+		global $wpdb;
+		return $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT * FROM {$wpdb->prefix}semantic_links
+				 WHERE post_id = %d AND target_url = %s
+				 ORDER BY ID ASC LIMIT 1",
+				$post_id,
+				$target_url
+			)
+		);
+	}
+
+	/**
+	 * Overwrite anchor / score / status / origin of an existing link
+	 * (import merge).
+	 *
+	 * @param int   $link_id
+	 * @param array $data  Any of: anchor_text, similarity_score, status, origin.
+	 * @return bool  True if the row changed.
+	 */
+	public static function update_link( int $link_id, array $data ): bool {
+		$update = [];
+		$format = [];
+
+		if ( isset( $data['anchor_text'] ) && $data['anchor_text'] !== '' ) {
+			$update['anchor_text'] = sanitize_text_field( $data['anchor_text'] );
+			$format[] = '%s';
+		}
+		if ( isset( $data['similarity_score'] ) ) {
+			$update['similarity_score'] = (float) $data['similarity_score'];
+			$format[] = '%f';
+		}
+		if ( isset( $data['status'] ) && in_array( $data['status'], [ 'active', 'rejected', 'filtered' ], true ) ) {
+			$update['status'] = $data['status'];
+			$format[] = '%s';
+		}
+		if ( isset( $data['origin'] ) && in_array( $data['origin'], [ 'auto', 'manual' ], true ) ) {
+			$update['origin'] = $data['origin'];
+			$format[] = '%s';
+		}
+		// NULL clears the AI filter verdict
+		if ( array_key_exists( 'filter_confidence', $data ) ) {
+			$update['filter_confidence'] = $data['filter_confidence'] === null ? null : max( 0.0, min( 1.0, (float) $data['filter_confidence'] ) );
+			$format[] = '%f';
+		}
+		if ( array_key_exists( 'filter_reason', $data ) ) {
+			$update['filter_reason'] = $data['filter_reason'] === null || $data['filter_reason'] === ''
+				? null
+				: mb_substr( sanitize_text_field( $data['filter_reason'] ), 0, 255, 'UTF-8' );
+			$format[] = '%s';
+		}
+
+		if ( empty( $update ) ) {
+			return false;
+		}
+
+		global $wpdb;
+		$before  = self::get_link( $link_id );
+		$changed = (bool) $wpdb->update(
+			$wpdb->prefix . 'semantic_links',
+			$update,
+			[ 'ID' => $link_id ],
+			$format,
+			[ '%d' ]
+		);
+
+		if ( $changed && $before ) {
+			SL_History::link_updated( $before, $update );
+		}
+
+		return $changed;
+	}
+
+	/**
+	 * Editor override of a link's anchor.  The link becomes manual (kept
+	 * by matcher re-runs) and its audit result is cleared.
+	 *
+	 * @return bool  True if the row changed.
+	 */
+	public static function set_manual_anchor( int $link_id, string $anchor_text ): bool {
+		global $wpdb;
+		$anchor_text = sanitize_text_field( $anchor_text );
+		$before      = self::get_link( $link_id );
+		$changed     = (bool) $wpdb->query(
+			$wpdb->prepare(
+				"UPDATE {$wpdb->prefix}semantic_links
+				 SET anchor_text = %s, origin = 'manual', audit_result = NULL, audited_at = NULL
+				 WHERE ID = %d",
+				$anchor_text,
+				$link_id
+			)
+		);
+
+		if ( $changed && $before ) {
+			SL_History::link_updated( $before, [ 'anchor_text' => $anchor_text, 'origin' => 'manual' ] );
+		}
+
+		return $changed;
+	}
+
 	/**
 	 * Soft status change (active → rejected/filtered or vice versa).
 	 * Only allows 'active', 'rejected', and 'filtered' statuses for security.
@@ -145,13 +542,216 @@ class SL_DB {
 		}
 
 		global $wpdb;
-		return (bool) $wpdb->update(
+		$before  = self::get_link( $link_id );
+		$changed = (bool) $wpdb->update(
 			$wpdb->prefix . 'semantic_links',
 			[ 'status' => $status ],
 			[ 'ID'     => $link_id ],
 			[ '%s' ],
 			[ '%d' ]
 		);
+
+		if ( $changed && $before ) {
+			SL_History::link_updated( $before, [ 'status' => $status ] );
+		}
+
+		return $changed;
+	}
+
+	/**
+	 * Status change for many links in one UPDATE (bulk moderation).
+	 * Same status whitelist as update_link_status().
+	 *
+	 * @param int[]  $link_ids
+	 * @param string $status
+	 * @return int  Number of rows changed.
+	 */
+	public static function update_links_status( array $link_ids, string $status ): int {
+		$link_ids = array_filter( array_map( 'absint', $link_ids ) );
+		if ( empty( $link_ids ) || ! in_array( $status, [ 'active', 'rejected', 'filtered' ], true ) ) {
+			return 0;
+		}
+
+		global $wpdb;
+		$placeholders = implode( ',', array_fill( 0, count( $link_ids ), '%d' ) );
+		$before       = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT * FROM {$wpdb->prefix}semantic_links WHERE status <> %s AND ID IN ($placeholders)",
+				array_merge( [ $status ], array_values( $link_ids ) )
+			)
+		);
+
+		$changed = (int) $wpdb->query(
+			$wpdb->prepare(
+				"UPDATE {$wpdb->prefix}semantic_links SET status = %s WHERE ID IN ($placeholders)",
+				array_merge( [ $status ], array_values( $link_ids ) )
+			)
+		);
+
+		foreach ( $before as $link ) {
+			SL_History::link_updated( $link, [ 'status' => $status ] );
+		}
+
+		return $changed;
+	}
+
+	/* ── Link audit ────────────────────────────────────────────── */
+
+	/**
+	 * Store audit results.  updated_at is left alone – an audit does not
+	 * change the link itself.
+	 *
+	 * @param array $results  link ID => result (see SL_Audit::RESULTS).
+	 */
+	public static function set_link_audit( array $results ): void {
+		global $wpdb;
+
+		$groups = [];
+		foreach ( $results as $link_id => $result ) {
+			$groups[ $result ][] = (int) $link_id;
+		}
+
+		$now = current_time( 'mysql' );
+		foreach ( $groups as $result => $link_ids ) {
+			$placeholders = implode( ',', array_fill( 0, count( $link_ids ), '%d' ) );
+			$wpdb->query(
+				$wpdb->prepare(
+					"UPDATE {$wpdb->prefix}semantic_links
+					 SET audit_result = %s, audited_at = %s, updated_at = updated_at
+					 WHERE ID IN ($placeholders)",
+					array_merge( [ (string) $result, $now ], $link_ids )
+				)
+			);
+		}
+	}
+
+	/**
+	 * Forget the audit results of a post's links (its content changed).
+	 */
+	public static function reset_link_audit( int $post_id ): void {
+		global $wpdb;
+		$wpdb->query(
+			$wpdb->prepare(
+				"UPDATE {$wpdb->prefix}semantic_links
+				 SET audit_result = NULL, audited_at = NULL, updated_at = updated_at
+				 WHERE post_id = %d AND audit_result IS NOT NULL",
+				$post_id
+			)
+		);
+	}
+
+	/**
+	 * Source posts the audit covers: published posts with active links.
+	 *
+	 * @return int[]
+	 */
+	public static function get_audit_post_ids(): array {
+		global $wpdb;
+		return array_map( 'intval', $wpdb->get_col(
+			"SELECT DISTINCT sl.post_id
+			 FROM {$wpdb->prefix}semantic_links sl
+			 INNER JOIN {$wpdb->prefix}posts p ON sl.post_id = p.ID
+			 WHERE sl.status = 'active' AND p.post_status = 'publish'
+			 ORDER BY sl.post_id ASC"
+		) );
+	}
+
+	/**
+	 * Active links the last audit found missing from the rendered page,
+	 * counted per reason.  Same visibility rule as the dashboard
+	 * (published source and target).
+	 *
+	 * @return array  reason => int
+	 */
+	public static function count_orphaned_links(): array {
+		global $wpdb;
+
+		$rows = $wpdb->get_results(
+			"SELECT sl.audit_result, COUNT(*) AS cnt
+			 FROM " . self::link_from_sql() . "
+			 WHERE " . self::orphaned_sql() . "
+			   AND p.post_status = 'publish' AND (sl.target_post_id = 0 OR p2.post_status = 'publish')
+			 GROUP BY sl.audit_result"
+		);
+
+		$counts = [];
+		foreach ( $rows as $row ) {
+			$counts[ $row->audit_result ] = (int) $row->cnt;
+		}
+		return $counts;
+	}
+
+	/**
+	 * Source posts with orphaned links of the given reasons.
+	 *
+	 * @param string[] $reasons  Audit results ([] = any orphan reason).
+	 * @return int[]
+	 */
+	public static function get_orphaned_post_ids( array $reasons = [] ): array {
+		global $wpdb;
+
+		$sql    = "SELECT DISTINCT post_id FROM {$wpdb->prefix}semantic_links sl WHERE " . self::orphaned_sql();
+		$params = [];
+		if ( ! empty( $reasons ) ) {
+			$sql   .= ' AND sl.audit_result IN (' . implode( ',', array_fill( 0, count( $reasons ), '%s' ) ) . ')';
+			$params = array_values( $reasons );
+		}
+
+		return array_map( 'intval', $wpdb->get_col(
+			empty( $params ) ? $sql . ' ORDER BY post_id ASC' : $wpdb->prepare( $sql . ' ORDER BY post_id ASC', $params )
+		) );
+	}
+
+	/**
+	 * Delete a post's orphaned links of the given reasons (before the
+	 * post is re-matched).  Manual links are kept.
+	 *
+	 * @param int      $post_id
+	 * @param string[] $reasons
+	 * @return int  Number of deleted rows.
+	 */
+	public static function delete_orphaned_links( int $post_id, array $reasons ): int {
+		global $wpdb;
+
+		if ( empty( $reasons ) ) {
+			return 0;
+		}
+
+		return self::delete_links_where(
+			$wpdb->prepare(
+				"post_id = %d AND origin = 'auto' AND " . self::orphaned_sql( '' ) . "
+				 AND audit_result IN (" . implode( ',', array_fill( 0, count( $reasons ), '%s' ) ) . ')',
+				array_merge( [ $post_id ], array_values( $reasons ) )
+			)
+		);
+	}
+
+	/**
+	 * Active link that was audited and not found on the page.
+	 *
+	 * @param string $alias  Table alias of the links table ('' = none).
+	 */
+	private static function orphaned_sql( string $alias = 'sl' ): string {
+		$c = $alias !== '' ? $alias . '.' : '';
+		return "{$c}status = 'active' AND {$c}audit_result IS NOT NULL AND {$c}audit_result <> 'injected'";
+	}
+
+	/* ── Link graph ────────────────────────────────────────────── */
+
+	/**
+	 * Every active link of a published source post – the edges of the
+	 * link graph (SL_Analytics).  target_post_id is 0 for custom URLs.
+	 *
+	 * @return object[]  post_id, target_post_id, target_url
+	 */
+	public static function get_link_graph_edges(): array {
+		global $wpdb;
+		return $wpdb->get_results(
+			"SELECT sl.post_id, sl.target_post_id, sl.target_url
+			 FROM {$wpdb->prefix}semantic_links sl
+			 INNER JOIN {$wpdb->prefix}posts p ON sl.post_id = p.ID
+			 WHERE sl.status = 'active' AND p.post_status = 'publish'"
+		);
 	}
 
 	/**
@@ -297,16 +897,36 @@ class SL_DB {
 	}
 
 	/**
-	 * Delete all links where this post is the SOURCE.
+	 * Delete a single link row.
 	 */
-	public static function delete_links_by_source( int $post_id ): int {
+	public static function delete_link( int $link_id ): bool {
 		global $wpdb;
-		return (int) $wpdb->query(
+		return (bool) self::delete_links_where( $wpdb->prepare( 'ID = %d', $link_id ) );
+	}
+
+	/**
+	 * IDs of posts with an active link pointing at this post
+	 * (their injector caches must be flushed when the target changes).
+	 *
+	 * @return int[]
+	 */
+	public static function get_source_ids_by_target( int $target_post_id ): array {
+		global $wpdb;
+		return array_map( 'intval', $wpdb->get_col(
 			$wpdb->prepare(
-				"DELETE FROM {$wpdb->prefix}semantic_links WHERE post_id = %d",
-				$post_id
+				"SELECT DISTINCT post_id FROM {$wpdb->prefix}semantic_links
+				 WHERE target_post_id = %d AND status = 'active'",
+				$target_post_id
 			)
-		);
+		) );
+	}
+
+	/**
+	 * Delete all links where this post is the SOURCE.
+	 */
+	public static function delete_links_by_source( int $post_id ): int {
+		global $wpdb;
+		return self::delete_links_where( $wpdb->prepare( 'post_id = %d', $post_id ) );
 	}
 
 	/**
@@ -314,12 +934,7 @@ class SL_DB {
 	 */
 	public static function delete_links_by_target( int $post_id ): int {
 		global $wpdb;
-		return (int) $wpdb->query(
-			$wpdb->prepare(
-				"DELETE FROM {$wpdb->prefix}semantic_links WHERE target_post_id = %d",
-				$post_id
-			)
-		);
+		return self::delete_links_where( $wpdb->prepare( 'target_post_id = %d', $post_id ) );
 	}
 
 	/**
@@ -327,8 +942,29 @@ class SL_DB {
 	 * Returns number of deleted rows.
 	 */
 	public static function delete_all_links(): int {
+		return self::delete_links_where( '1=1' );
+	}
+
+	/**
+	 * Delete the links matching a (prepared) WHERE clause; each deleted
+	 * row is kept in the link history so the deletion can be undone.
+	 *
+	 * @return int  Number of deleted rows.
+	 */
+	private static function delete_links_where( string $where ): int {
 		global $wpdb;
-		return (int) $wpdb->query( "DELETE FROM {$wpdb->prefix}semantic_links" );
+
+		$rows = $wpdb->get_results( "SELECT * FROM {$wpdb->prefix}semantic_links WHERE {$where}" );
+		if ( empty( $rows ) ) {
+			return 0;
+		}
+
+		$deleted = (int) $wpdb->query( "DELETE FROM {$wpdb->prefix}semantic_links WHERE {$where}" );
+		foreach ( $rows as $row ) {
+			SL_History::link_deleted( $row );
+		}
+
+		return $deleted;
 	}
 
 	/**
@@ -336,20 +972,37 @@ class SL_DB {
 	 */
 	public static function delete_blacklist_by_post( int $post_id ): int {
 		global $wpdb;
-		return (int) $wpdb->query(
-			$wpdb->prepare(
-				"DELETE FROM {$wpdb->prefix}semantic_links_blacklist WHERE post_id = %d",
-				$post_id
-			)
-		);
+		return self::delete_blacklist_where( $wpdb->prepare( 'post_id = %d', $post_id ) );
 	}
 
 	/**
 	 * Delete ALL blacklist entries.
 	 */
 	public static function delete_all_blacklist(): int {
+		return self::delete_blacklist_where( '1=1' );
+	}
+
+	/**
+	 * Blacklist counterpart of delete_links_where().
+	 *
+	 * @return int  Number of deleted rows.
+	 */
+	private static function delete_blacklist_where( string $where ): int {
 		global $wpdb;
-		return (int) $wpdb->query( "DELETE FROM {$wpdb->prefix}semantic_links_blacklist" );
+
+		self::$blacklist_rules_cache = null;
+
+		$rows = $wpdb->get_results( "SELECT * FROM {$wpdb->prefix}semantic_links_blacklist WHERE {$where}" );
+		if ( empty( $rows ) ) {
+			return 0;
+		}
+
+		$deleted = (int) $wpdb->query( "DELETE FROM {$wpdb->prefix}semantic_links_blacklist WHERE {$where}" );
+		foreach ( $rows as $row ) {
+			SL_History::blacklist_removed( $row );
+		}
+
+		return $deleted;
 	}
 
 	/* ═══════════════════════════════════════════════════════════════
@@ -385,7 +1038,7 @@ class SL_DB {
 		$already = $wpdb->get_var(
 			$wpdb->prepare(
 				"SELECT 1 FROM {$wpdb->prefix}semantic_links_blacklist
-				 WHERE post_id = %d AND target_url = %s LIMIT 1",
+				 WHERE rule_type = 'pair' AND post_id = %d AND target_url = %s LIMIT 1",
 				$post_id,
 				$target_url
 			)
@@ -393,52 +1046,464 @@ class SL_DB {
 		if ( $already ) {
 			return;
 		}
+		$row = [
+			'post_id'     => $post_id,
+			'anchor_text' => $anchor_text,  // Stored for reference/debugging
+			'target_url'  => $target_url,
+		];
+		if ( $wpdb->insert( $wpdb->prefix . 'semantic_links_blacklist', $row, [ '%d', '%s', '%s' ] ) ) {
+			SL_History::blacklist_added( (int) $wpdb->insert_id, $row + [ 'rule_type' => 'pair', 'pattern' => '' ] );
+		}
+	}
+
+	/**
+	 * Add a site-wide blacklist rule (Blacklist page / WP-CLI).
+	 *
+	 *   anchor – $value is a phrase; anchors containing it as whole words are blocked.
+	 *   target – $value is a URL no post may link to.
+	 *   source – $value is a post ID that gets no links at all.
+	 *   regex  – $value is a PCRE pattern (with delimiters) tested against anchors.
+	 *
+	 * @param string $rule_type  One of BLACKLIST_RULE_TYPES except 'pair'.
+	 * @param string $value      Phrase, URL, post ID or pattern.
+	 * @return int|string  New entry ID, or an error message.
+	 */
+	public static function add_blacklist_rule( string $rule_type, string $value ) {
+		global $wpdb;
+
+		$row = [
+			'post_id'     => 0,
+			'anchor_text' => '',
+			'target_url'  => '',
+			'rule_type'   => $rule_type,
+			'pattern'     => '',
+		];
+
+		switch ( $rule_type ) {
+			case 'anchor':
+				$row['pattern'] = self::normalize_phrase( sanitize_text_field( $value ) );
+				if ( mb_strlen( $row['pattern'], 'UTF-8' ) < 2 ) {
+					return 'Fraza musi mieć co najmniej 2 znaki.';
+				}
+				break;
+
+			case 'target':
+				$row['target_url'] = esc_url_raw( trim( $value ) );
+				if ( ! filter_var( $row['target_url'], FILTER_VALIDATE_URL ) ) {
+					return 'Nieprawidłowy format URL.';
+				}
+				break;
+
+			case 'source':
+				$row['post_id'] = absint( $value );
+				if ( $row['post_id'] < 1 || ! get_post( $row['post_id'] ) ) {
+					return 'Wpis o podanym ID nie istnieje.';
+				}
+				break;
+
+			case 'regex':
+				$row['pattern'] = trim( $value );
+				$regex_error    = $row['pattern'] === '' ? '' : self::regex_error( $row['pattern'] );
+				if ( $row['pattern'] === '' || $regex_error !== null ) {
+					return 'Nieprawidłowe wyrażenie regularne (podaj wzorzec z ogranicznikami, np. /^kup\b/iu)'
+						. ( $regex_error !== '' ? ': ' . $regex_error : '.' );
+				}
+				break;
+
+			default:
+				return 'Nieznany typ reguły.';
+		}
+
+		if ( self::blacklist_entry_exists( $row['rule_type'], $row['post_id'], $row['target_url'], $row['pattern'] ) ) {
+			return 'Taka reguła już istnieje.';
+		}
+
 		$wpdb->insert(
 			$wpdb->prefix . 'semantic_links_blacklist',
-			[
-				'post_id'     => $post_id,
-				'anchor_text' => $anchor_text,  // Stored for reference/debugging
-				'target_url'  => $target_url,
-			],
-			[ '%d', '%s', '%s' ]
+			$row,
+			[ '%d', '%s', '%s', '%s', '%s' ]
+		);
+		self::$blacklist_rules_cache = null;
+
+		if ( ! $wpdb->insert_id ) {
+			return 'Nie udało się zapisać reguły.';
+		}
+
+		SL_History::blacklist_added( (int) $wpdb->insert_id, $row );
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Is there an entry of this type with exactly these values?
+	 * (For pairs the anchor is not part of the identity – see add_to_blacklist().)
+	 */
+	public static function blacklist_entry_exists( string $rule_type, int $post_id, string $target_url, string $pattern = '' ): bool {
+		global $wpdb;
+		return (bool) $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT 1 FROM {$wpdb->prefix}semantic_links_blacklist
+				 WHERE rule_type = %s AND post_id = %d AND target_url = %s AND pattern = %s LIMIT 1",
+				$rule_type,
+				$post_id,
+				$target_url,
+				$pattern
+			)
+		);
+	}
+
+	/**
+	 * Blacklist entries, newest first.
+	 *
+	 * @param int $post_id  Limit to one source post (0 = all).
+	 * @return object[]
+	 */
+	public static function get_blacklist( int $post_id = 0 ): array {
+		global $wpdb;
+		$q = "SELECT * FROM {$wpdb->prefix}semantic_links_blacklist";
+		if ( $post_id > 0 ) {
+			$q .= $wpdb->prepare( ' WHERE post_id = %d', $post_id );
+		}
+		$q .= ' ORDER BY ID DESC';
+		return $wpdb->get_results( $q );
+	}
+
+	/**
+	 * Paginated blacklist query (Blacklist page + REST API).
+	 *
+	 * @param int    $post_id    Source post ID (0 = all).
+	 * @param int    $page       1-based page.
+	 * @param int    $per_page   Rows per page.
+	 * @param string $search     Substring of anchor, pattern, target URL or source title.
+	 * @param string $rule_type  Only this rule type ('' = all).
+	 * @return array  [ 'items' => object[] (+ source_title), 'total' => int ]
+	 */
+	public static function query_blacklist( int $post_id, int $page, int $per_page, string $search = '', string $rule_type = '' ): array {
+		global $wpdb;
+
+		$where  = [ '1=1' ];
+		$params = [];
+
+		if ( $post_id > 0 ) {
+			$where[]  = 'bl.post_id = %d';
+			$params[] = $post_id;
+		}
+		if ( in_array( $rule_type, self::BLACKLIST_RULE_TYPES, true ) ) {
+			$where[]  = 'bl.rule_type = %s';
+			$params[] = $rule_type;
+		}
+		if ( $search !== '' ) {
+			$like     = '%' . $wpdb->esc_like( $search ) . '%';
+			$where[]  = '(bl.anchor_text LIKE %s OR bl.pattern LIKE %s OR bl.target_url LIKE %s OR p.post_title LIKE %s)';
+			$params   = array_merge( $params, [ $like, $like, $like, $like ] );
+		}
+
+		$from      = "{$wpdb->prefix}semantic_links_blacklist bl
+		              LEFT JOIN {$wpdb->prefix}posts p ON bl.post_id = p.ID";
+		$where_sql = implode( ' AND ', $where );
+
+		$count_sql = "SELECT COUNT(*) FROM $from WHERE $where_sql";
+		$total     = (int) $wpdb->get_var( empty( $params ) ? $count_sql : $wpdb->prepare( $count_sql, $params ) );
+
+		$items = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT bl.*, p.post_title AS source_title
+				 FROM $from
+				 WHERE $where_sql
+				 ORDER BY bl.ID DESC LIMIT %d OFFSET %d",
+				array_merge( $params, [ $per_page, ( max( 1, $page ) - 1 ) * $per_page ] )
+			)
+		);
+
+		return [ 'items' => $items, 'total' => $total ];
+	}
+
+	/**
+	 * Number of blacklist entries per rule type.
+	 *
+	 * @return array  [ rule_type => int ]
+	 */
+	public static function count_blacklist_by_type(): array {
+		global $wpdb;
+		$counts = array_fill_keys( self::BLACKLIST_RULE_TYPES, 0 );
+		$rows   = $wpdb->get_results(
+			"SELECT rule_type, COUNT(*) AS cnt FROM {$wpdb->prefix}semantic_links_blacklist GROUP BY rule_type"
+		);
+		foreach ( $rows as $row ) {
+			$counts[ $row->rule_type ] = (int) $row->cnt;
+		}
+		return $counts;
+	}
+
+	/**
+	 * Single blacklist entry by ID.
+	 *
+	 * @return object|null
+	 */
+	public static function get_blacklist_entry( int $id ) {
+		global $wpdb;
+		return $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT * FROM {$wpdb->prefix}semantic_links_blacklist WHERE ID = %d",
+				$id
+			)
 		);
 	}
 
 	/**
-	 * Check if a (post, URL) pair is blacklisted.
+	 * Check if a (post, URL) combination is blacklisted – by a pair
+	 * entry, a target rule for the URL or a source rule for the post.
 	 *
-	 * Note: Check is at URL level only. Anchor text is not considered.
+	 * Note: Pair check is at URL level only. Anchor text is not considered.
 	 * This means rejecting ANY anchor to a URL blocks ALL anchors to that URL.
+	 * Anchor rules are checked separately (is_anchor_blacklisted()).
 	 *
 	 * @param int    $post_id    Source post ID
 	 * @param string $target_url Target URL to check
 	 * @return bool  True if blacklisted
 	 */
 	public static function is_blacklisted( int $post_id, string $target_url ): bool {
+		$rules = self::get_blacklist_rules();
+		if ( in_array( $post_id, $rules['source'], true ) || in_array( $target_url, $rules['target'], true ) ) {
+			return true;
+		}
+
 		global $wpdb;
 		return (bool) $wpdb->get_var(
 			$wpdb->prepare(
 				"SELECT 1 FROM {$wpdb->prefix}semantic_links_blacklist
-				 WHERE post_id = %d AND target_url = %s LIMIT 1",
+				 WHERE rule_type = 'pair' AND post_id = %d AND target_url = %s LIMIT 1",
 				$post_id,
 				$target_url
 			)
 		);
 	}
 
+	/**
+	 * Does a source rule exclude this post from getting any links?
+	 */
+	public static function is_source_blacklisted( int $post_id ): bool {
+		return in_array( $post_id, self::get_blacklist_rules()['source'], true );
+	}
+
+	/**
+	 * Is the anchor blocked by an anchor-phrase or regex rule?
+	 *
+	 * @param string $anchor  Anchor text proposed by the matcher.
+	 * @return string|null  The matching phrase / pattern, or null.
+	 */
+	public static function is_anchor_blacklisted( string $anchor ): ?string {
+		$rules      = self::get_blacklist_rules();
+		$normalized = self::normalize_phrase( $anchor );
+
+		foreach ( $rules['anchor'] as $phrase ) {
+			// Whole-word containment: "kredyt" blocks "tani kredyt", not "kredytowy"
+			if ( preg_match( '/(?<![\p{L}\p{N}])' . preg_quote( $phrase, '/' ) . '(?![\p{L}\p{N}])/u', $normalized ) ) {
+				return $phrase;
+			}
+		}
+
+		foreach ( $rules['regex'] as $pattern ) {
+			$result = preg_match( $pattern, $anchor );
+			if ( $result === 1 ) {
+				return $pattern;
+			}
+			if ( ( $result === false || preg_last_error() !== PREG_NO_ERROR ) && ! isset( self::$failed_regex_rules[ $pattern ] ) ) {
+				// Broken or runaway rule – it blocks nothing, so make it visible (once per request)
+				self::$failed_regex_rules[ $pattern ] = true;
+				SL_Debug::log( 'blacklist', 'ERROR: Regex rule failed', [
+					'pattern' => $pattern,
+					'anchor'  => $anchor,
+					'error'   => preg_last_error_msg(),
+				] );
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Compile a regex rule.
+	 *
+	 * @return string|null  Null when valid, otherwise the compile error
+	 *                      ('' when PHP gave none).
+	 */
+	private static function regex_error( string $pattern ): ?string {
+		$error = '';
+		set_error_handler( function ( $errno, $message ) use ( &$error ) {
+			$error = preg_replace( '/^preg_match\(\):\s*/', '', $message );
+			return true;
+		} );
+		$valid = preg_match( $pattern, '' ) !== false;
+		restore_error_handler();
+
+		return $valid ? null : $error;
+	}
+
+	/**
+	 * Non-pair rules, loaded once per request.
+	 *
+	 * @return array  [ 'anchor' => string[], 'target' => string[], 'source' => int[], 'regex' => string[] ]
+	 */
+	private static function get_blacklist_rules(): array {
+		if ( self::$blacklist_rules_cache !== null ) {
+			return self::$blacklist_rules_cache;
+		}
+
+		global $wpdb;
+		$rules = [ 'anchor' => [], 'target' => [], 'source' => [], 'regex' => [] ];
+		$rows  = $wpdb->get_results(
+			"SELECT rule_type, post_id, target_url, pattern
+			 FROM {$wpdb->prefix}semantic_links_blacklist
+			 WHERE rule_type <> 'pair'"
+		);
+
+		foreach ( (array) $rows as $row ) {
+			switch ( $row->rule_type ) {
+				case 'anchor':
+				case 'regex':
+					$rules[ $row->rule_type ][] = $row->pattern;
+					break;
+				case 'target':
+					$rules['target'][] = $row->target_url;
+					break;
+				case 'source':
+					$rules['source'][] = (int) $row->post_id;
+					break;
+			}
+		}
+
+		return self::$blacklist_rules_cache = $rules;
+	}
+
+	/**
+	 * Lower-case + collapse whitespace (anchor phrase rules).
+	 */
+	private static function normalize_phrase( string $text ): string {
+		return trim( preg_replace( '/\s+/u', ' ', mb_strtolower( $text, 'UTF-8' ) ) );
+	}
+
 	/**
 	 * Remove a specific entry from the blacklist (for restoring links).
 	 */
 	public static function remove_from_blacklist( int $post_id, string $target_url ): int {
 		global $wpdb;
-		return (int) $wpdb->query(
+		return self::delete_blacklist_where(
+			$wpdb->prepare( "rule_type = 'pair' AND post_id = %d AND target_url = %s", $post_id, $target_url )
+		);
+	}
+
+	/**
+	 * Delete one blacklist entry (any rule type) by ID.
+	 */
+	public static function delete_blacklist_entry( int $id ): bool {
+		global $wpdb;
+		return (bool) self::delete_blacklist_where( $wpdb->prepare( 'ID = %d', $id ) );
+	}
+
+	/**
+	 * Blacklist the (post, target URL) pairs of many links at once.
+	 * Pairs already on the blacklist (or repeated in $links) are skipped.
+	 *
+	 * @param object[] $links  Rows with post_id, anchor_text, target_url.
+	 * @return int  Number of entries added.
+	 */
+	public static function add_links_to_blacklist( array $links ): int {
+		global $wpdb;
+
+		$pairs = [];
+		foreach ( $links as $link ) {
+			$post_id    = absint( $link->post_id );
+			$target_url = esc_url_raw( $link->target_url );
+			if ( $post_id > 0 && $target_url !== '' ) {
+				$pairs[ $post_id . '|' . $target_url ] = [ $post_id, sanitize_text_field( $link->anchor_text ), $target_url ];
+			}
+		}
+		if ( empty( $pairs ) ) {
+			return 0;
+		}
+
+		// Drop pairs that are already blacklisted
+		$post_ids = array_unique( array_column( $pairs, 0 ) );
+		$existing = $wpdb->get_results(
 			$wpdb->prepare(
-				"DELETE FROM {$wpdb->prefix}semantic_links_blacklist
-				 WHERE post_id = %d AND target_url = %s",
-				$post_id,
-				$target_url
+				"SELECT post_id, target_url FROM {$wpdb->prefix}semantic_links_blacklist
+				 WHERE rule_type = 'pair' AND post_id IN (" . implode( ',', array_fill( 0, count( $post_ids ), '%d' ) ) . ')',
+				array_values( $post_ids )
 			)
 		);
+		foreach ( $existing as $row ) {
+			unset( $pairs[ $row->post_id . '|' . $row->target_url ] );
+		}
+
+		$added = 0;
+		foreach ( array_chunk( $pairs, 500 ) as $chunk ) {
+			$values     = [];
+			$params     = [];
+			$conditions = [];
+			$keys       = [];
+			foreach ( $chunk as $pair ) {
+				$values[]     = '(%d, %s, %s)';
+				$params       = array_merge( $params, $pair );
+				$conditions[] = '(post_id = %d AND target_url = %s)';
+				$keys         = array_merge( $keys, [ $pair[0], $pair[2] ] );
+			}
+			$added += (int) $wpdb->query(
+				$wpdb->prepare(
+					"INSERT INTO {$wpdb->prefix}semantic_links_blacklist (post_id, anchor_text, target_url)
+					 VALUES " . implode( ', ', $values ),
+					$params
+				)
+			);
+
+			// Read the new rows back for the history (IDs of a multi-row insert)
+			$rows = $wpdb->get_results(
+				$wpdb->prepare(
+					"SELECT * FROM {$wpdb->prefix}semantic_links_blacklist
+					 WHERE rule_type = 'pair' AND ID >= %d AND (" . implode( ' OR ', $conditions ) . ')',
+					array_merge( [ (int) $wpdb->insert_id ], $keys )
+				)
+			);
+			foreach ( $rows as $row ) {
+				SL_History::blacklist_added( (int) $row->ID, (array) $row );
+			}
+		}
+
+		return $added;
+	}
+
+	/**
+	 * Remove the (post, target URL) pairs of many links from the blacklist.
+	 *
+	 * @param object[] $links  Rows with post_id, target_url.
+	 * @return int  Number of entries removed.
+	 */
+	public static function remove_links_from_blacklist( array $links ): int {
+		global $wpdb;
+
+		// Same normalisation as add_links_to_blacklist(), or rewritten URLs never match
+		$pairs = [];
+		foreach ( $links as $link ) {
+			$post_id    = absint( $link->post_id );
+			$target_url = esc_url_raw( $link->target_url );
+			if ( $post_id > 0 && $target_url !== '' ) {
+				$pairs[ $post_id . '|' . $target_url ] = [ $post_id, $target_url ];
+			}
+		}
+
+		$removed = 0;
+		foreach ( array_chunk( $pairs, 500 ) as $chunk ) {
+			$conditions = [];
+			$params     = [];
+			foreach ( $chunk as $pair ) {
+				$conditions[] = '(post_id = %d AND target_url = %s)';
+				$params       = array_merge( $params, $pair );
+			}
+			$removed += self::delete_blacklist_where(
+				$wpdb->prepare( "rule_type = 'pair' AND (" . implode( ' OR ', $conditions ) . ')', $params )
+			);
+		}
+
+		return $removed;
 	}
 
 	/* ═══════════════════════════════════════════════════════════════
@@ -454,9 +1519,10 @@ class SL_DB {
 	 * @param string $chunk_text
 	 * @param array  $embedding
 	 * @param string $content_hash
+	 * @param array  $signature     Provider signature (see SL_Embedding_API::get_signature()).
 	 * @return bool  True on success, false on failure.
 	 */
-	public static function upsert_embedding( int $post_id, int $chunk_index, string $chunk_text, array $embedding, string $content_hash ): bool {
+	public static function upsert_embedding( int $post_id, int $chunk_index, string $chunk_text, array $embedding, string $content_hash, array $signature = [] ): bool {
 		global $wpdb;
 
 		// Delete existing row first (if any)
@@ -480,16 +1546,21 @@ class SL_DB {
 		}
 
 		// Insert new row
+		$format        = SL_Vector_Codec::format();
 		$insert_result = $wpdb->insert(
 			$wpdb->prefix . 'semantic_embeddings',
 			[
-				'post_id'      => $post_id,
-				'chunk_index'  => $chunk_index,
-				'chunk_text'   => $chunk_text,
-				'embedding'    => json_encode( $embedding ),
-				'content_hash' => $content_hash,
+				'post_id'            => $post_id,
+				'chunk_index'        => $chunk_index,
+				'chunk_text'         => $chunk_text,
+				'embedding'          => SL_Vector_Codec::encode( $embedding, $format ),
+				'content_hash'       => $content_hash,
+				'embedding_model'    => (string) ( $signature['model'] ?? '' ),
+				'embedding_base_url' => (string) ( $signature['base_url'] ?? '' ),
+				'embedding_dim'      => count( $embedding ),
+				'embedding_format'   => $format,
 			],
-			[ '%d', '%d', '%s', '%s', '%s' ]
+			[ '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%d', '%s' ]
 		);
 
 		if ( $insert_result === false ) {
@@ -501,22 +1572,31 @@ class SL_DB {
 			return false;
 		}
 
+		if ( $chunk_index === 0 ) {
+			// Title vector changed – SL_Vector_Index re-files the post
+			do_action( 'sl_embeddings_changed', $post_id );
+		}
+
 		return true;
 	}
 
 	/** Delete every embedding row for a post (before re-indexing). */
 	public static function delete_embeddings( int $post_id ): void {
 		global $wpdb;
-		$wpdb->delete(
+		$deleted = $wpdb->delete(
 			$wpdb->prefix . 'semantic_embeddings',
 			[ 'post_id' => $post_id ],
 			[ '%d' ]
 		);
+
+		if ( $deleted ) {
+			do_action( 'sl_embeddings_changed', $post_id );
+		}
 	}
 
 	/**
 	 * All embedding rows for one post, ordered by chunk_index.
-	 * JSON `embedding` column is decoded into a PHP float array.
+	 * The `embedding` blob is decoded into a PHP float array.
 	 *
 	 * @return object[]
 	 */
@@ -530,11 +1610,33 @@ class SL_DB {
 			)
 		);
 		foreach ( $rows as $row ) {
-			$row->embedding = json_decode( $row->embedding, true );
+			$row->embedding = SL_Vector_Codec::decode( $row->embedding, $row->embedding_format );
 		}
 		return $rows;
 	}
 
+	/**
+	 * Content chunk texts of one post without the vectors (injector
+	 * placement: locating the paragraph a link was matched in).
+	 *
+	 * @return string[]  chunk_index => chunk_text (title chunk 0 excluded)
+	 */
+	public static function get_chunk_texts( int $post_id ): array {
+		global $wpdb;
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT chunk_index, chunk_text FROM {$wpdb->prefix}semantic_embeddings
+				 WHERE post_id = %d AND chunk_index > 0",
+				$post_id
+			)
+		);
+		$out = [];
+		foreach ( $rows as $row ) {
+			$out[ (int) $row->chunk_index ] = $row->chunk_text;
+		}
+		return $out;
+	}
+
 	/**
 	 * Title embeddings across ALL posts (chunk_index = 0).
 	 * This is the "target set" for the matcher.
@@ -547,11 +1649,44 @@ class SL_DB {
 			"SELECT * FROM {$wpdb->prefix}semantic_embeddings WHERE chunk_index = 0"
 		);
 		foreach ( $rows as $row ) {
-			$row->embedding = json_decode( $row->embedding, true );
+			$row->embedding = SL_Vector_Codec::decode( $row->embedding, $row->embedding_format );
 		}
 		return $rows;
 	}
 
+	/**
+	 * Title embeddings of the given posts (vector index build / update).
+	 *
+	 * @param int[] $post_ids
+	 * @return object[]  post_id => row with post_id, embedding (decoded),
+	 *                   embedding_model, embedding_base_url.
+	 */
+	public static function get_title_embeddings_for( array $post_ids ): array {
+		global $wpdb;
+
+		$post_ids = array_values( array_filter( array_map( 'absint', $post_ids ) ) );
+		if ( empty( $post_ids ) ) {
+			return [];
+		}
+
+		$placeholders = implode( ',', array_fill( 0, count( $post_ids ), '%d' ) );
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT post_id, embedding, embedding_format, embedding_model, embedding_base_url
+				 FROM {$wpdb->prefix}semantic_embeddings
+				 WHERE chunk_index = 0 AND post_id IN ($placeholders)",
+				$post_ids
+			)
+		);
+
+		$out = [];
+		foreach ( $rows as $row ) {
+			$row->embedding = SL_Vector_Codec::decode( $row->embedding, $row->embedding_format );
+			$out[ (int) $row->post_id ] = $row;
+		}
+		return $out;
+	}
+
 	/**
 	 * Get ONLY post_ids of indexed posts (chunk_index = 0), WITHOUT loading embedding vectors.
 	 * Use this instead of get_title_embeddings() when you only need the list of post IDs.
@@ -571,18 +1706,64 @@ class SL_DB {
 	 * Quick staleness check: does a row exist for this post with the
 	 * expected content_hash?  If yes the post has not changed since
 	 * the last embedding run.
+	 *
+	 * When a provider signature is passed the row must also come from
+	 * the same model / base URL (and vector dimension, if one is
+	 * configured) – otherwise switching providers would leave vectors
+	 * from two incompatible spaces side by side.
 	 */
-	public static function embeddings_are_current( int $post_id, string $content_hash ): bool {
+	public static function embeddings_are_current( int $post_id, string $content_hash, array $signature = [] ): bool {
 		global $wpdb;
-		return (bool) $wpdb->get_var(
-			$wpdb->prepare(
-				"SELECT 1 FROM {$wpdb->prefix}semantic_embeddings
-				 WHERE post_id = %d AND content_hash = %s LIMIT 1",
-				$post_id,
-				$content_hash
-			)
-		);
-	}
+
+		$sql  = "SELECT 1 FROM {$wpdb->prefix}semantic_embeddings
+				 WHERE post_id = %d AND content_hash = %s";
+		$args = [ $post_id, $content_hash ];
+
+		if ( ! empty( $signature ) ) {
+			list( $where, $where_args ) = self::signature_where( $signature );
+			$sql .= ' AND ' . $where;
+			$args = array_merge( $args, $where_args );
+		}
+
+		return (bool) $wpdb->get_var( $wpdb->prepare( $sql . ' LIMIT 1', $args ) );
+	}
+
+	/**
+	 * Number of indexed posts whose vectors were produced by a different
+	 * provider / model than the current one (need re-embedding).
+	 *
+	 * @param array $signature  Current provider signature.
+	 * @return int
+	 */
+	public static function count_stale_embeddings( array $signature ): int {
+		global $wpdb;
+		list( $where, $args ) = self::signature_where( $signature );
+		return (int) $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT COUNT(*) FROM {$wpdb->prefix}semantic_embeddings
+				 WHERE chunk_index = 0 AND NOT ( {$where} )",
+				$args
+			)
+		);
+	}
+
+	/**
+	 * SQL fragment matching rows that belong to the given provider signature.
+	 *
+	 * @param array $signature  Keys: model, base_url, dim (0 = any).
+	 * @return array  [ string $where, array $args ]
+	 */
+	private static function signature_where( array $signature ): array {
+		$where = 'embedding_model = %s AND embedding_base_url = %s';
+		$args  = [ (string) ( $signature['model'] ?? '' ), (string) ( $signature['base_url'] ?? '' ) ];
+
+		if ( ! empty( $signature['dim'] ) ) {
+			$where .= ' AND embedding_dim = %d';
+			$args[] = (int) $signature['dim'];
+		}
+
+		return [ $where, $args ];
+	}
 
 	/**
 	 * Delete ALL embeddings (used by "Delete all" admin action for full reset).
@@ -590,7 +1771,11 @@ class SL_DB {
 	 */
 	public static function delete_all_embeddings(): int {
 		global $wpdb;
-		return (int) $wpdb->query( "DELETE FROM {$wpdb->prefix}semantic_embeddings" );
+		$deleted = (int) $wpdb->query( "DELETE FROM {$wpdb->prefix}semantic_embeddings" );
+
+		do_action( 'sl_embeddings_changed', 0 );  // 0 = every post
+
+		return $deleted;
 	}
 
 	/* ═══════════════════════════════════════════════════════════════
@@ -610,7 +1795,8 @@ class SL_DB {
 	/**
 	 * Insert a new custom URL.
 	 *
-	 * @param array $data Keys: url, title, keywords (optional)
+	 * @param array $data Keys: url, title, keywords (optional),
+	 *                    link_rule (optional, null = inherit the settings rule)
 	 * @return int|false Inserted ID or false on failure.
 	 */
 	public static function insert_custom_url( array $data ) {
@@ -643,12 +1829,13 @@ class SL_DB {
 		$ok = $wpdb->insert(
 			$wpdb->prefix . 'semantic_custom_urls',
 			[
-				'url'      => $url,
-				'title'    => $title,
-				'keywords' => $keywords,
-				'status'   => 'active',
+				'url'       => $url,
+				'title'     => $title,
+				'keywords'  => $keywords,
+				'status'    => 'active',
+				'link_rule' => self::encode_link_rule( $data['link_rule'] ?? null ),
 			],
-			[ '%s', '%s', '%s', '%s' ]
+			[ '%s', '%s', '%s', '%s', '%s' ]
 		);
 
 		return $ok ? $wpdb->insert_id : false;
@@ -658,7 +1845,7 @@ class SL_DB {
 	 * Update an existing custom URL.
 	 *
 	 * @param int   $id   Custom URL ID.
-	 * @param array $data Keys: url, title, keywords.
+	 * @param array $data Keys: url, title, keywords, link_rule (array, or null to inherit).
 	 * @return bool True on success.
 	 */
 	public static function update_custom_url( int $id, array $data ): bool {
@@ -697,10 +1884,17 @@ class SL_DB {
 			$format[] = '%s';
 		}
 
+		if ( array_key_exists( 'link_rule', $data ) ) {
+			$update['link_rule'] = self::encode_link_rule( $data['link_rule'] );
+			$format[] = '%s';
+		}
+
 		// Clear embedding if content changed (will be regenerated)
 		if ( isset( $data['title'] ) || isset( $data['keywords'] ) ) {
 			$update['embedding'] = null;
 			$format[] = '%s';
+			$update['embedding_model'] = '';
+			$format[] = '%s';
 		}
 
 		if ( empty( $update ) ) {
@@ -716,6 +1910,16 @@ class SL_DB {
 		);
 	}
 
+	/**
+	 * JSON of a custom URL's own rendering rule, null to inherit.
+	 *
+	 * @param array|null $rule  See SL_Injector::sanitize_link_rule().
+	 * @return string|null
+	 */
+	private static function encode_link_rule( ?array $rule ): ?string {
+		return $rule === null ? null : wp_json_encode( SL_Injector::sanitize_link_rule( $rule ) );
+	}
+
 	/**
 	 * Delete a custom URL.
 	 *
@@ -731,6 +1935,16 @@ class SL_DB {
 		);
 	}
 
+	/**
+	 * Delete every custom URL (import in replace mode).
+	 *
+	 * @return int  Number of rows deleted.
+	 */
+	public static function delete_all_custom_urls(): int {
+		global $wpdb;
+		return (int) $wpdb->query( "DELETE FROM {$wpdb->prefix}semantic_custom_urls" );
+	}
+
 	/**
 	 * Get a single custom URL by ID.
 	 *
@@ -793,14 +2007,30 @@ class SL_DB {
 
 	/**
 	 * Get custom URLs that need embedding generation.
+	 * With a provider signature, rows embedded by a different
+	 * provider / model are returned as well.
 	 *
+	 * @param array $signature Current provider signature (optional).
 	 * @return object[]
 	 */
-	public static function get_custom_urls_needing_embedding(): array {
+	public static function get_custom_urls_needing_embedding( array $signature = [] ): array {
 		global $wpdb;
+
+		if ( empty( $signature ) ) {
+			return $wpdb->get_results(
+				"SELECT * FROM {$wpdb->prefix}semantic_custom_urls
+				 WHERE embedding IS NULL AND status = 'active'"
+			);
+		}
+
+		list( $where, $args ) = self::signature_where( $signature );
 		return $wpdb->get_results(
-			"SELECT * FROM {$wpdb->prefix}semantic_custom_urls
-			 WHERE embedding IS NULL AND status = 'active'"
+			$wpdb->prepare(
+				"SELECT * FROM {$wpdb->prefix}semantic_custom_urls
+				 WHERE status = 'active'
+				   AND ( embedding IS NULL OR NOT ( {$where} ) )",
+				$args
+			)
 		);
 	}
 
@@ -809,15 +2039,23 @@ class SL_DB {
 	 *
 	 * @param int   $id        Custom URL ID.
 	 * @param array $embedding Embedding vector.
+	 * @param array $signature Provider signature (see SL_Embedding_API::get_signature()).
 	 * @return bool
 	 */
-	public static function update_custom_url_embedding( int $id, array $embedding ): bool {
+	public static function update_custom_url_embedding( int $id, array $embedding, array $signature = [] ): bool {
 		global $wpdb;
+		$format = SL_Vector_Codec::format();
 		return (bool) $wpdb->update(
 			$wpdb->prefix . 'semantic_custom_urls',
-			[ 'embedding' => json_encode( $embedding ) ],
+			[
+				'embedding'          => SL_Vector_Codec::encode( $embedding, $format ),
+				'embedding_model'    => (string) ( $signature['model'] ?? '' ),
+				'embedding_base_url' => (string) ( $signature['base_url'] ?? '' ),
+				'embedding_dim'      => count( $embedding ),
+				'embedding_format'   => $format,
+			],
 			[ 'ID' => $id ],
-			[ '%s' ],
+			[ '%s', '%s', '%s', '%d', '%s' ],
 			[ '%d' ]
 		);
 	}
@@ -830,13 +2068,753 @@ class SL_DB {
 	public static function get_custom_url_embeddings(): array {
 		global $wpdb;
 		$rows = $wpdb->get_results(
-			"SELECT ID, url, title, keywords, embedding
+			"SELECT ID, url, title, keywords, embedding, embedding_format
 			 FROM {$wpdb->prefix}semantic_custom_urls
 			 WHERE status = 'active' AND embedding IS NOT NULL"
 		);
 		foreach ( $rows as $row ) {
-			$row->embedding = json_decode( $row->embedding, true );
+			$row->embedding = SL_Vector_Codec::decode( $row->embedding, $row->embedding_format );
 		}
 		return $rows;
 	}
+
+	/* ═══════════════════════════════════════════════════════════════
+	 * VECTOR STORAGE (embedding blobs, see SL_Vector_Codec)
+	 * ═══════════════════════════════════════════════════════════════ */
+
+	/** Tables (without prefix) with an `embedding` / `embedding_format` column pair. */
+	public const VECTOR_TABLES = [ 'semantic_embeddings', 'semantic_custom_urls' ];
+
+	/**
+	 * Rows whose vector is stored in one of the given formats.
+	 *
+	 * @param string   $table    One of VECTOR_TABLES.
+	 * @param string[] $formats
+	 * @param int      $limit
+	 * @return object[]  Rows with ID, embedding (raw), embedding_format.
+	 */
+	public static function get_vectors_to_convert( string $table, array $formats, int $limit ): array {
+		global $wpdb;
+
+		if ( ! in_array( $table, self::VECTOR_TABLES, true ) || empty( $formats ) ) {
+			return [];
+		}
+
+		return $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT ID, embedding, embedding_format
+				 FROM {$wpdb->prefix}{$table}
+				 WHERE embedding IS NOT NULL
+				   AND embedding_format IN (" . implode( ',', array_fill( 0, count( $formats ), '%s' ) ) . ')
+				 ORDER BY ID ASC
+				 LIMIT %d',
+				array_merge( $formats, [ $limit ] )
+			)
+		);
+	}
+
+	/**
+	 * Number of vectors (both tables) stored in one of the given formats.
+	 *
+	 * @param string[] $formats
+	 */
+	public static function count_vectors_to_convert( array $formats ): int {
+		global $wpdb;
+
+		if ( empty( $formats ) ) {
+			return 0;
+		}
+
+		$placeholders = implode( ',', array_fill( 0, count( $formats ), '%s' ) );
+		$total        = 0;
+		foreach ( self::VECTOR_TABLES as $table ) {
+			$total += (int) $wpdb->get_var(
+				$wpdb->prepare(
+					"SELECT COUNT(*) FROM {$wpdb->prefix}{$table}
+					 WHERE embedding IS NOT NULL AND embedding_format IN ($placeholders)",
+					$formats
+				)
+			);
+		}
+		return $total;
+	}
+
+	/**
+	 * Replace a row's vector with its re-encoded form – unless the row
+	 * was re-embedded (new format) since it was read.
+	 *
+	 * @param string $table  One of VECTOR_TABLES.
+	 * @param int    $id
+	 * @param string $data   Encoded vector.
+	 * @param string $from   Format the row was read in.
+	 * @param string $to     Format of $data.
+	 * @return bool
+	 */
+	public static function update_vector_encoding( string $table, int $id, string $data, string $from, string $to ): bool {
+		global $wpdb;
+
+		if ( ! in_array( $table, self::VECTOR_TABLES, true ) ) {
+			return false;
+		}
+
+		// update() checks charsets per column (the blob is skipped) – a raw
+		// query() would reject the binary bytes as invalid text
+		return $wpdb->update(
+			$wpdb->prefix . $table,
+			[ 'embedding' => $data, 'embedding_format' => $to ],
+			[ 'ID' => $id, 'embedding_format' => $from ],
+			[ '%s', '%s' ],
+			[ '%d', '%s' ]
+		) !== false;
+	}
+
+	/* ═══════════════════════════════════════════════════════════════
+	 * LINK HISTORY (wp_semantic_link_runs, wp_semantic_link_events)
+	 * ═══════════════════════════════════════════════════════════════ */
+
+	/**
+	 * Register a run (matching run or admin action), see SL_History.
+	 */
+	public static function insert_link_run( string $run_id, string $type, string $label, int $user_id ): void {
+		global $wpdb;
+		$wpdb->insert(
+			$wpdb->prefix . 'semantic_link_runs',
+			[
+				'run_id'     => $run_id,
+				'type'       => $type,
+				'label'      => mb_substr( $label, 0, 255, 'UTF-8' ),
+				'user_id'    => $user_id,
+				'created_at' => current_time( 'mysql' ),
+			],
+			[ '%s', '%s', '%s', '%d', '%s' ]
+		);
+	}
+
+	/**
+	 * @param array $data  Any of: status, finished_at, rolled_back_by.
+	 */
+	public static function update_link_run( string $run_id, array $data ): void {
+		global $wpdb;
+		$data = array_intersect_key( $data, array_flip( [ 'status', 'finished_at', 'rolled_back_by' ] ) );
+		if ( ! empty( $data ) ) {
+			$wpdb->update( $wpdb->prefix . 'semantic_link_runs', $data, [ 'run_id' => $run_id ] );
+		}
+	}
+
+	/**
+	 * @return object|null  Run row with user_name.
+	 */
+	public static function get_link_run( string $run_id ) {
+		global $wpdb;
+		return $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT r.*, u.display_name AS user_name
+				 FROM {$wpdb->prefix}semantic_link_runs r
+				 LEFT JOIN {$wpdb->users} u ON r.user_id = u.ID
+				 WHERE r.run_id = %s",
+				$run_id
+			)
+		);
+	}
+
+	/**
+	 * Runs that changed anything, newest first.
+	 *
+	 * @return array  [ 'items' => object[], 'total' => int ]
+	 */
+	public static function query_link_runs( int $page, int $per_page ): array {
+		global $wpdb;
+
+		$total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$wpdb->prefix}semantic_link_runs WHERE events > 0" );
+		$items = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT r.*, u.display_name AS user_name
+				 FROM {$wpdb->prefix}semantic_link_runs r
+				 LEFT JOIN {$wpdb->users} u ON r.user_id = u.ID
+				 WHERE r.events > 0
+				 ORDER BY r.created_at DESC, r.run_id DESC LIMIT %d OFFSET %d",
+				$per_page,
+				( max( 1, $page ) - 1 ) * $per_page
+			)
+		);
+
+		return [ 'items' => $items, 'total' => $total ];
+	}
+
+	/**
+	 * Append events (one multi-row INSERT per 200) and bump the event
+	 * counters of their runs.
+	 *
+	 * @param array[] $events  Keys: run_id, event, link_id, blacklist_id,
+	 *                         post_id, user_id, data (JSON), created_at.
+	 */
+	public static function insert_link_events( array $events ): void {
+		global $wpdb;
+
+		foreach ( array_chunk( $events, 200 ) as $chunk ) {
+			$values = [];
+			$params = [];
+			foreach ( $chunk as $event ) {
+				$values[] = '(%s, %s, %d, %d, %d, %d, %s, %s)';
+				$params   = array_merge( $params, [
+					$event['run_id'],
+					$event['event'],
+					$event['link_id'],
+					$event['blacklist_id'],
+					$event['post_id'],
+					$event['user_id'],
+					$event['data'],
+					$event['created_at'],
+				] );
+			}
+			$wpdb->query(
+				$wpdb->prepare(
+					"INSERT INTO {$wpdb->prefix}semantic_link_events
+					 (run_id, event, link_id, blacklist_id, post_id, user_id, data, created_at)
+					 VALUES " . implode( ', ', $values ),
+					$params
+				)
+			);
+		}
+
+		foreach ( array_count_values( array_column( $events, 'run_id' ) ) as $run_id => $count ) {
+			$wpdb->query(
+				$wpdb->prepare(
+					"UPDATE {$wpdb->prefix}semantic_link_runs SET events = events + %d WHERE run_id = %s",
+					$count,
+					$run_id
+				)
+			);
+		}
+	}
+
+	/**
+	 * One page of events, newest first.
+	 *
+	 * @param array $args  Filters: link_id, post_id (source), run_id, event;
+	 *                     paging: page, per_page.
+	 * @return array  [ 'items' => object[], 'total' => int ]  Items carry
+	 *                run_type, run_label, user_name and source_title.
+	 */
+	public static function query_link_events( array $args ): array {
+		global $wpdb;
+
+		$where  = [ '1=1' ];
+		$params = [];
+
+		if ( ! empty( $args['link_id'] ) ) {
+			$where[]  = 'e.link_id = %d';
+			$params[] = (int) $args['link_id'];
+		}
+		if ( ! empty( $args['post_id'] ) ) {
+			$where[]  = 'e.post_id = %d';
+			$params[] = (int) $args['post_id'];
+		}
+		if ( ! empty( $args['run_id'] ) ) {
+			$where[]  = 'e.run_id = %s';
+			$params[] = (string) $args['run_id'];
+		}
+		if ( ! empty( $args['event'] ) ) {
+			$where[]  = 'e.event = %s';
+			$params[] = (string) $args['event'];
+		}
+
+		$from      = "{$wpdb->prefix}semantic_link_events e";
+		$where_sql = implode( ' AND ', $where );
+		$per_page  = max( 1, (int) ( $args['per_page'] ?? 50 ) );
+
+		$count_sql = "SELECT COUNT(*) FROM $from WHERE $where_sql";
+		$total     = (int) $wpdb->get_var( empty( $params ) ? $count_sql : $wpdb->prepare( $count_sql, $params ) );
+
+		$items = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT e.*, r.type AS run_type, r.label AS run_label,
+				        u.display_name AS user_name, p.post_title AS source_title
+				 FROM $from
+				 LEFT JOIN {$wpdb->prefix}semantic_link_runs r ON e.run_id = r.run_id
+				 LEFT JOIN {$wpdb->users} u ON e.user_id = u.ID
+				 LEFT JOIN {$wpdb->prefix}posts p ON e.post_id = p.ID
+				 WHERE $where_sql
+				 ORDER BY e.ID DESC LIMIT %d OFFSET %d",
+				array_merge( $params, [ $per_page, ( max( 1, (int) ( $args['page'] ?? 1 ) ) - 1 ) * $per_page ] )
+			)
+		);
+
+		return [ 'items' => $items, 'total' => $total ];
+	}
+
+	/**
+	 * Every event of one run, newest first (rollback order).
+	 *
+	 * @return object[]
+	 */
+	public static function get_link_run_events( string $run_id ): array {
+		global $wpdb;
+		return $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT * FROM {$wpdb->prefix}semantic_link_events WHERE run_id = %s ORDER BY ID DESC",
+				$run_id
+			)
+		);
+	}
+
+	/**
+	 * Delete finished runs started before $before, with their events;
+	 * the newest $keep_runs runs are kept whatever their age.
+	 *
+	 * @param string $before     Y-m-d H:i:s.
+	 * @param int    $keep_runs
+	 * @return int  Runs deleted.
+	 */
+	public static function prune_link_history( string $before, int $keep_runs ): int {
+		global $wpdb;
+
+		$kept_from = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT created_at FROM {$wpdb->prefix}semantic_link_runs
+				 WHERE events > 0 ORDER BY created_at DESC LIMIT 1 OFFSET %d",
+				max( 0, $keep_runs - 1 )
+			)
+		);
+		if ( $kept_from !== null && $kept_from < $before ) {
+			$before = $kept_from;
+		}
+
+		$run_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT run_id FROM {$wpdb->prefix}semantic_link_runs
+				 WHERE created_at < %s AND status <> 'running'",
+				$before
+			)
+		);
+
+		foreach ( array_chunk( $run_ids, 100 ) as $chunk ) {
+			$in = implode( ',', array_fill( 0, count( $chunk ), '%s' ) );
+			$wpdb->query( $wpdb->prepare( "DELETE FROM {$wpdb->prefix}semantic_link_events WHERE run_id IN ($in)", $chunk ) );
+			$wpdb->query( $wpdb->prepare( "DELETE FROM {$wpdb->prefix}semantic_link_runs WHERE run_id IN ($in)", $chunk ) );
+		}
+
+		return count( $run_ids );
+	}
+
+	/**
+	 * Re-insert a deleted link from its history snapshot, under its old
+	 * ID when that is still free.
+	 *
+	 * @param array $row  Snapshot (columns of wp_semantic_links).
+	 * @return int|false  Link ID, or false on failure.
+	 */
+	public static function restore_link( array $row ) {
+		global $wpdb;
+
+		$columns = [
+			'ID'                => '%d',
+			'post_id'           => '%d',
+			'anchor_text'       => '%s',
+			'target_url'        => '%s',
+			'target_post_id'    => '%d',
+			'similarity_score'  => '%f',
+			'chunk_index'       => '%d',
+			'status'            => '%s',
+			'origin'            => '%s',
+			'filter_confidence' => '%f',
+			'filter_reason'     => '%s',
+			'created_at'        => '%s',
+		];
+
+		if ( empty( $row['post_id'] ) || empty( $row['anchor_text'] ) || empty( $row['target_url'] ) ) {
+			return false;
+		}
+		if ( ! empty( $row['ID'] ) && self::get_link( (int) $row['ID'] ) ) {
+			unset( $row['ID'] );
+		}
+
+		$data   = [];
+		$format = [];
+		foreach ( $columns as $column => $placeholder ) {
+			if ( isset( $row[ $column ] ) ) {
+				$data[ $column ] = $row[ $column ];
+				$format[]        = $placeholder;
+			}
+		}
+
+		if ( ! $wpdb->insert( $wpdb->prefix . 'semantic_links', $data, $format ) ) {
+			return false;
+		}
+
+		$link_id = (int) $wpdb->insert_id;
+		SL_History::link_created( $link_id, $data );
+		do_action( 'sl_link_changed', (int) $data['post_id'] );
+
+		return $link_id;
+	}
+
+	/**
+	 * Re-insert a removed blacklist entry from its history snapshot.
+	 *
+	 * @param array $row  Snapshot (columns of wp_semantic_links_blacklist).
+	 * @return int|false  Entry ID, or false on failure.
+	 */
+	public static function restore_blacklist_entry( array $row ) {
+		global $wpdb;
+
+		$columns = [
+			'ID'          => '%d',
+			'post_id'     => '%d',
+			'anchor_text' => '%s',
+			'target_url'  => '%s',
+			'rule_type'   => '%s',
+			'pattern'     => '%s',
+			'created_at'  => '%s',
+		];
+
+		if ( ! empty( $row['ID'] ) && self::get_blacklist_entry( (int) $row['ID'] ) ) {
+			unset( $row['ID'] );
+		}
+
+		$data   = [];
+		$format = [];
+		foreach ( $columns as $column => $placeholder ) {
+			if ( isset( $row[ $column ] ) ) {
+				$data[ $column ] = $row[ $column ];
+				$format[]        = $placeholder;
+			}
+		}
+
+		if ( ! isset( $data['rule_type'] ) || ! $wpdb->insert( $wpdb->prefix . 'semantic_links_blacklist', $data, $format ) ) {
+			return false;
+		}
+		self::$blacklist_rules_cache = null;
+
+		$entry_id = (int) $wpdb->insert_id;
+		SL_History::blacklist_added( $entry_id, $data );
+
+		return $entry_id;
+	}
+
+	/* ═══════════════════════════════════════════════════════════════
+	 * LINK STATS (wp_semantic_link_stats)
+	 * ═══════════════════════════════════════════════════════════════ */
+
+	/**
+	 * Those of $ids that are active links (tracking reports).
+	 *
+	 * @param int[] $ids
+	 * @return int[]
+	 */
+	public static function filter_active_link_ids( array $ids ): array {
+		global $wpdb;
+
+		if ( empty( $ids ) ) {
+			return [];
+		}
+
+		return array_map( 'intval', $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT ID FROM {$wpdb->prefix}semantic_links
+				 WHERE status = 'active' AND ID IN (" . implode( ',', array_fill( 0, count( $ids ), '%d' ) ) . ')',
+				$ids
+			)
+		) );
+	}
+
+	/**
+	 * Add to the daily counters of links (one upsert).
+	 *
+	 * @param string $day       Y-m-d.
+	 * @param array  $counters  link_id => [ 'impressions' => int, 'clicks' => int ].
+	 */
+	public static function add_link_stats( string $day, array $counters ): void {
+		global $wpdb;
+
+		if ( empty( $counters ) ) {
+			return;
+		}
+
+		$values = [];
+		foreach ( $counters as $link_id => $counter ) {
+			$values[] = $wpdb->prepare(
+				'(%d, %s, %d, %d)',
+				$link_id,
+				$day,
+				(int) ( $counter['impressions'] ?? 0 ),
+				(int) ( $counter['clicks'] ?? 0 )
+			);
+		}
+
+		$wpdb->query(
+			"INSERT INTO {$wpdb->prefix}semantic_link_stats (link_id, day, impressions, clicks)
+			 VALUES " . implode( ',', $values ) . '
+			 ON DUPLICATE KEY UPDATE impressions = impressions + VALUES(impressions),
+			                         clicks      = clicks + VALUES(clicks)'
+		);
+	}
+
+	/**
+	 * Clicks and impressions of all links since $since.
+	 *
+	 * @param string $since  First day (Y-m-d).
+	 * @return array  [ 'impressions' => int, 'clicks' => int ]
+	 */
+	public static function get_link_stats_totals( string $since ): array {
+		global $wpdb;
+
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT COALESCE(SUM(impressions), 0) AS impressions, COALESCE(SUM(clicks), 0) AS clicks
+				 FROM {$wpdb->prefix}semantic_link_stats
+				 WHERE day >= %s",
+				$since
+			)
+		);
+
+		return [
+			'impressions' => (int) ( $row->impressions ?? 0 ),
+			'clicks'      => (int) ( $row->clicks ?? 0 ),
+		];
+	}
+
+	/**
+	 * Delete counters older than $before and those of deleted links.
+	 *
+	 * @param string $before  Y-m-d.
+	 * @return int  Rows deleted.
+	 */
+	public static function prune_link_stats( string $before ): int {
+		global $wpdb;
+
+		$old = (int) $wpdb->query(
+			$wpdb->prepare( "DELETE FROM {$wpdb->prefix}semantic_link_stats WHERE day < %s", $before )
+		);
+		$orphaned = (int) $wpdb->query(
+			"DELETE st FROM {$wpdb->prefix}semantic_link_stats st
+			 LEFT JOIN {$wpdb->prefix}semantic_links sl ON sl.ID = st.link_id
+			 WHERE sl.ID IS NULL"
+		);
+
+		return $old + $orphaned;
+	}
+
+	/**
+	 * LEFT JOIN of per-link sums since SL_Tracking::since() (alias st:
+	 * link_id, impressions, clicks) for the dashboard queries.
+	 *
+	 * @return array  [ string $join_sql, string $since ] – the SQL has one %s.
+	 */
+	private static function link_stats_join_sql(): array {
+		global $wpdb;
+		return [
+			"LEFT JOIN (
+			     SELECT link_id, SUM(impressions) AS impressions, SUM(clicks) AS clicks
+			     FROM {$wpdb->prefix}semantic_link_stats
+			     WHERE day >= %s
+			     GROUP BY link_id
+			 ) st ON st.link_id = sl.ID",
+			SL_Tracking::since(),
+		];
+	}
+
+	/* ═══════════════════════════════════════════════════════════════
+	 * FILTER VERDICTS (wp_semantic_filter_verdicts)
+	 * ═══════════════════════════════════════════════════════════════ */
+
+	/**
+	 * Cached AI filter verdicts given by $model at or after $since.
+	 *
+	 * @param string[] $keys   Verdict keys (see SL_Embedding_API::verdict_key()).
+	 * @param string   $model  Current filter model – verdicts of other models are ignored.
+	 * @param string   $since  MySQL datetime.
+	 * @return array  verdict_key => row object (is_match, confidence, reason).
+	 */
+	public static function get_filter_verdicts( array $keys, string $model, string $since ): array {
+		global $wpdb;
+
+		$keys = array_values( array_unique( $keys ) );
+		if ( empty( $keys ) ) {
+			return [];
+		}
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT verdict_key, is_match, confidence, reason
+				 FROM {$wpdb->prefix}semantic_filter_verdicts
+				 WHERE model = %s AND created_at >= %s
+				   AND verdict_key IN (" . implode( ',', array_fill( 0, count( $keys ), '%s' ) ) . ')',
+				array_merge( [ $model, $since ], $keys )
+			)
+		);
+
+		$out = [];
+		foreach ( $rows as $row ) {
+			$out[ $row->verdict_key ] = $row;
+		}
+		return $out;
+	}
+
+	/**
+	 * Store verdicts (one upsert – a newer verdict replaces the cached one).
+	 *
+	 * @param array  $verdicts  verdict_key => [ 'anchor', 'title', 'match', 'confidence', 'reason' ].
+	 * @param string $model     Filter model that gave them.
+	 */
+	public static function save_filter_verdicts( array $verdicts, string $model ): void {
+		global $wpdb;
+
+		if ( empty( $verdicts ) ) {
+			return;
+		}
+
+		$now    = current_time( 'mysql' );
+		$values = [];
+		foreach ( $verdicts as $key => $verdict ) {
+			$values[] = $wpdb->prepare(
+				'(%s, %s, %s, %d, ' . ( $verdict['confidence'] === null ? 'NULL' : '%f' ) . ', %s, %s, %s)',
+				array_merge(
+					[
+						$key,
+						mb_substr( $verdict['anchor'], 0, 500, 'UTF-8' ),
+						mb_substr( $verdict['title'], 0, 500, 'UTF-8' ),
+						$verdict['match'] ? 1 : 0,
+					],
+					$verdict['confidence'] === null ? [] : [ $verdict['confidence'] ],
+					[
+						mb_substr( $verdict['reason'], 0, 255, 'UTF-8' ),
+						$model,
+						$now,
+					]
+				)
+			);
+		}
+
+		$wpdb->query(
+			"INSERT INTO {$wpdb->prefix}semantic_filter_verdicts
+			 (verdict_key, anchor_text, target_title, is_match, confidence, reason, model, created_at)
+			 VALUES " . implode( ', ', $values ) . '
+			 ON DUPLICATE KEY UPDATE is_match = VALUES(is_match), confidence = VALUES(confidence),
+			     reason = VALUES(reason), model = VALUES(model), created_at = VALUES(created_at)'
+		);
+	}
+
+	/**
+	 * Delete cached verdicts stored before $before.
+	 *
+	 * @param string $before  MySQL datetime.
+	 * @return int  Rows deleted.
+	 */
+	public static function prune_filter_verdicts( string $before ): int {
+		global $wpdb;
+
+		return (int) $wpdb->query(
+			$wpdb->prepare( "DELETE FROM {$wpdb->prefix}semantic_filter_verdicts WHERE created_at < %s", $before )
+		);
+	}
+
+	/* ═══════════════════════════════════════════════════════════════
+	 * API USAGE (wp_semantic_api_usage)
+	 * ═══════════════════════════════════════════════════════════════ */
+
+	/**
+	 * Add to the daily usage counters of a kind and model (one upsert).
+	 *
+	 * @param string $day       Y-m-d.
+	 * @param string $kind      'embedding' or 'filter'.
+	 * @param string $model
+	 * @param array  $counters  Any of SL_Usage::COUNTERS => int.
+	 */
+	public static function add_api_usage( string $day, string $kind, string $model, array $counters ): void {
+		global $wpdb;
+
+		$values = [];
+		foreach ( SL_Usage::COUNTERS as $counter ) {
+			$values[ $counter ] = max( 0, (int) ( $counters[ $counter ] ?? 0 ) );
+		}
+
+		$columns = implode( ', ', array_keys( $values ) );
+		$updates = implode( ', ', array_map( function ( string $column ): string {
+			return "{$column} = {$column} + VALUES({$column})";
+		}, array_keys( $values ) ) );
+
+		$wpdb->query(
+			$wpdb->prepare(
+				"INSERT INTO {$wpdb->prefix}semantic_api_usage (day, kind, model, {$columns})
+				 VALUES (%s, %s, %s, " . implode( ', ', array_fill( 0, count( $values ), '%d' ) ) . ")
+				 ON DUPLICATE KEY UPDATE {$updates}",
+				array_merge( [ $day, $kind, mb_substr( $model, 0, 191, 'UTF-8' ) ], array_values( $values ) )
+			)
+		);
+	}
+
+	/**
+	 * Usage summed per kind since a day.
+	 *
+	 * @param string $since  Y-m-d.
+	 * @return array  kind => counters.
+	 */
+	public static function get_api_usage_totals( string $since ): array {
+		global $wpdb;
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT kind, ' . self::api_usage_sums_sql() . "
+				 FROM {$wpdb->prefix}semantic_api_usage
+				 WHERE day >= %s
+				 GROUP BY kind",
+				$since
+			)
+		);
+
+		$out = [];
+		foreach ( $rows as $row ) {
+			foreach ( SL_Usage::COUNTERS as $counter ) {
+				$out[ $row->kind ][ $counter ] = (int) $row->$counter;
+			}
+		}
+		return $out;
+	}
+
+	/**
+	 * Usage summed per day or month and kind since a day.
+	 *
+	 * @param string $period  'day' (period = Y-m-d) or 'month' (period = Y-m).
+	 * @param string $since   Y-m-d.
+	 * @return object[]  period, kind and the counters.
+	 */
+	public static function get_api_usage_by_period( string $period, string $since ): array {
+		global $wpdb;
+
+		$group = $period === 'month' ? "DATE_FORMAT(day, '%%Y-%%m')" : 'day';
+
+		return $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT {$group} AS period, kind, " . self::api_usage_sums_sql() . "
+				 FROM {$wpdb->prefix}semantic_api_usage
+				 WHERE day >= %s
+				 GROUP BY period, kind
+				 ORDER BY period",
+				$since
+			)
+		);
+	}
+
+	/**
+	 * Delete daily rows older than $before.
+	 *
+	 * @param string $before  Y-m-d.
+	 * @return int  Rows deleted.
+	 */
+	public static function prune_api_usage( string $before ): int {
+		global $wpdb;
+		return (int) $wpdb->query(
+			$wpdb->prepare( "DELETE FROM {$wpdb->prefix}semantic_api_usage WHERE day < %s", $before )
+		);
+	}
+
+	/**
+	 * SUM(counter) AS counter for every usage counter.
+	 */
+	private static function api_usage_sums_sql(): string {
+		return implode( ', ', array_map( function ( string $counter ): string {
+			return "SUM({$counter}) AS {$counter}";
+		}, SL_Usage::COUNTERS ) );
+	}
 }
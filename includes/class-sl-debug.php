@@ -107,6 +107,11 @@ class SL_Debug {
 			'semantic_links'           => false,
 			'semantic_links_blacklist' => false,
 			'semantic_embeddings'      => false,
+			'semantic_link_runs'       => false,
+			'semantic_link_events'     => false,
+			'semantic_link_stats'      => false,
+			'semantic_filter_verdicts' => false,
+			'semantic_api_usage'       => false,
 		];
 
 		foreach ( array_keys( $tables ) as $table ) {
@@ -184,14 +189,14 @@ class SL_Debug {
 		$sample_similarities = [];
 		if ( $title_embeddings >= 2 ) {
 			$titles = $wpdb->get_results(
-				"SELECT post_id, chunk_text, embedding FROM {$wpdb->prefix}semantic_embeddings
+				"SELECT post_id, chunk_text, embedding, embedding_format FROM {$wpdb->prefix}semantic_embeddings
 				 WHERE chunk_index = 0 LIMIT 5"
 			);
 
 			for ( $i = 0; $i < count( $titles ); $i++ ) {
 				for ( $j = $i + 1; $j < count( $titles ); $j++ ) {
-					$vec_a = json_decode( $titles[$i]->embedding, true );
-					$vec_b = json_decode( $titles[$j]->embedding, true );
+					$vec_a = SL_Vector_Codec::decode( $titles[$i]->embedding, $titles[$i]->embedding_format );
+					$vec_b = SL_Vector_Codec::decode( $titles[$j]->embedding, $titles[$j]->embedding_format );
 
 					if ( $vec_a && $vec_b ) {
 						$score = self::cosine( $vec_a, $vec_b );
@@ -0,0 +1,281 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Link preview inside the post editor.
+ *
+ *   – Gutenberg: "SemanticLinker" plugin sidebar (assets/js/editor.js).
+ *   – Classic Editor: side metabox (templates/editor-metabox.php).
+ *
+ * Both list the active / rejected / filtered links of the edited post,
+ * show where SL_Injector would place each anchor and reuse the
+ * sl_reject_link / sl_restore_link AJAX actions.  Editors can also add
+ * manual links (sl_add_manual_link) and override the anchor of any link
+ * (sl_update_link_anchor); such links get origin = 'manual', are never
+ * removed by matcher re-runs and are injected before automatic ones.
+ */
+class SL_Editor {
+
+	/** Characters of context shown on each side of an anchor. */
+	private const CONTEXT_CHARS = 60;
+
+	public function __construct() {
+		add_action( 'add_meta_boxes', [ $this, 'add_metabox' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
+	}
+
+	/* ── Assets ─────────────────────────────────────────────────── */
+
+	public function enqueue_assets( string $hook ): void {
+		if ( ! in_array( $hook, [ 'post.php', 'post-new.php' ], true ) ) {
+			return;
+		}
+
+		$screen = get_current_screen();
+		if ( ! $screen || ! $this->is_supported_post_type( $screen->post_type ) ) {
+			return;
+		}
+
+		$post_id = isset( $_GET['post'] ) ? absint( $_GET['post'] ) : 0;
+		if ( $post_id && ! current_user_can( 'edit_post', $post_id ) ) {
+			return;
+		}
+
+		$is_block_editor = method_exists( $screen, 'is_block_editor' ) && $screen->is_block_editor();
+
+		$deps = [ 'jquery' ];
+		if ( $is_block_editor ) {
+			$deps = array_merge( $deps, [ 'wp-plugins', 'wp-edit-post', 'wp-element', 'wp-components', 'wp-data', 'wp-blocks' ] );
+		}
+
+		wp_enqueue_style(
+			'sl-editor',
+			SL_PLUGIN_URL . 'assets/css/editor.css',
+			[],
+			SL_VERSION
+		);
+		wp_enqueue_script(
+			'sl-editor',
+			SL_PLUGIN_URL . 'assets/js/editor.js',
+			$deps,
+			SL_VERSION,
+			true  // in_footer
+		);
+		wp_localize_script( 'sl-editor', 'slEditor', [
+			'url'          => admin_url( 'admin-ajax.php' ),
+			'nonce'        => wp_create_nonce( 'sl_ajax_nonce' ),
+			'postId'       => $post_id,
+			'blockEditor'  => $is_block_editor,
+		] );
+	}
+
+	/* ── Classic Editor metabox ─────────────────────────────────── */
+
+	public function add_metabox(): void {
+		add_meta_box(
+			'sl-editor-links',
+			'SemanticLinker – linki',
+			[ $this, 'render_metabox' ],
+			SL_Settings::get( 'post_types', [ 'post' ] ),
+			'side',
+			'default',
+			// Gutenberg shows the plugin sidebar instead
+			[ '__back_compat_meta_box' => true ]
+		);
+	}
+
+	/**
+	 * @param WP_Post $post
+	 */
+	public function render_metabox( $post ): void {
+		$sl_post_id = (int) $post->ID;
+		$sl_preview = self::get_post_links( $sl_post_id );
+		require SL_PLUGIN_DIR . 'templates/editor-metabox.php';
+	}
+
+	/**
+	 * Metabox markup for one post (re-rendered after a manual link change).
+	 */
+	public static function metabox_html( int $post_id ): string {
+		$sl_post_id = $post_id;
+		$sl_preview = self::get_post_links( $post_id );
+		ob_start();
+		require SL_PLUGIN_DIR . 'templates/editor-metabox.php';
+		return (string) ob_get_clean();
+	}
+
+	/* ── Manual links ───────────────────────────────────────────── */
+
+	/**
+	 * Create a manual link.
+	 *
+	 * @param int    $post_id  Source post.
+	 * @param string $anchor   Exact anchor phrase.
+	 * @param string $target   Target post ID or URL (a URL of this site is
+	 *                         mapped to its post).
+	 * @return array  [ 'id' => int, 'found' => bool ] or [ 'error' => string ].
+	 *                found = false when the anchor cannot be injected into
+	 *                the saved content yet.
+	 */
+	public static function add_manual_link( int $post_id, string $anchor, string $target ): array {
+		$anchor = trim( sanitize_text_field( $anchor ) );
+		$target = trim( $target );
+
+		if ( $anchor === '' || $target === '' ) {
+			return [ 'error' => 'Podaj anchor i cel linku.' ];
+		}
+
+		if ( ctype_digit( $target ) ) {
+			$target_post_id = (int) $target;
+			$target_post    = get_post( $target_post_id );
+			if ( ! $target_post || $target_post->post_status !== 'publish' ) {
+				return [ 'error' => 'Nie znaleziono opublikowanego wpisu o ID ' . $target_post_id . '.' ];
+			}
+			$target_url = get_permalink( $target_post_id );
+		} else {
+			$target_url = esc_url_raw( $target );
+			if ( $target_url === '' || ! filter_var( $target_url, FILTER_VALIDATE_URL ) ) {
+				return [ 'error' => 'Niepoprawny adres URL.' ];
+			}
+			$target_post_id = url_to_postid( $target_url );
+			if ( $target_post_id > 0 ) {
+				$target_url = get_permalink( $target_post_id );
+			}
+		}
+
+		if ( $target_post_id === $post_id ) {
+			return [ 'error' => 'Wpis nie może linkować do samego siebie.' ];
+		}
+
+		$existing = SL_DB::get_link_by_pair( $post_id, $target_url );
+		if ( $existing ) {
+			return [ 'error' => sprintf(
+				'Wpis ma już link do tego adresu („%s”, %s) – zmień jego anchor lub przywróć go.',
+				$existing->anchor_text,
+				$existing->status
+			) ];
+		}
+
+		/* The editor's decision overrides an earlier rejection of the pair */
+		SL_DB::remove_from_blacklist( $post_id, $target_url );
+
+		$id = SL_DB::insert_link( [
+			'post_id'          => $post_id,
+			'anchor_text'      => $anchor,
+			'target_url'       => $target_url,
+			'target_post_id'   => $target_post_id,
+			'similarity_score' => 1.0,   // not computed – keeps them on top of score-sorted lists
+			'origin'           => 'manual',
+		] );
+
+		if ( ! $id ) {
+			return [ 'error' => 'Nie udało się zapisać linku.' ];
+		}
+
+		SL_Debug::log( 'editor', 'Manual link added', [
+			'post_id' => $post_id,
+			'anchor'  => $anchor,
+			'target'  => $target_url,
+		] );
+
+		return [ 'id' => (int) $id, 'found' => SL_Matcher::anchor_can_be_injected( $post_id, $anchor ) ];
+	}
+
+	/* ── Data ───────────────────────────────────────────────────── */
+
+	/**
+	 * Links of one post with their position in the content.
+	 *
+	 * @param int         $post_id
+	 * @param string|null $content  Unsaved editor content (raw post_content
+	 *                              format); null = use the stored post.
+	 * @return array  [ 'links' => array[], 'counts' => [ status => int ] ]
+	 */
+	public static function get_post_links( int $post_id, ?string $content = null ): array {
+		$links  = [];
+		$counts = [ 'active' => 0, 'rejected' => 0, 'filtered' => 0 ];
+
+		foreach ( array_keys( $counts ) as $status ) {
+			$links = array_merge( $links, SL_DB::get_links_for_post( $post_id, $status ) );
+		}
+
+		if ( empty( $links ) ) {
+			return [ 'links' => [], 'counts' => $counts ];
+		}
+
+		if ( $content === null ) {
+			$post    = get_post( $post_id );
+			$content = $post ? $post->post_content : '';
+		}
+
+		$hits = ( new SL_Injector( false ) )->preview( self::render_content( $content ), $links );
+
+		$out = [];
+		foreach ( $links as $link ) {
+			$hit = $hits[ (int) $link->ID ] ?? null;
+			$counts[ $link->status ]++;
+
+			$out[] = [
+				'id'          => (int) $link->ID,
+				'anchor'      => $link->anchor_text,
+				'target_url'  => $link->target_url,
+				'target_post' => (int) $link->target_post_id,
+				'target'      => (int) $link->target_post_id > 0
+					? get_the_title( (int) $link->target_post_id )
+					: $link->target_url,
+				'score'       => round( (float) $link->similarity_score, 3 ),
+				'status'      => $link->status,
+				'origin'      => $link->origin,
+				'found'       => $hit !== null,
+				'block'       => $hit['block'] ?? 0,
+				'before'      => $hit ? self::context( $hit['before'], true ) : '',
+				'match'       => $hit['match'] ?? '',
+				'after'       => $hit ? self::context( $hit['after'], false ) : '',
+			];
+		}
+
+		return [ 'links' => $out, 'counts' => $counts ];
+	}
+
+	/**
+	 * Turn raw post_content into the HTML the_content() would produce
+	 * for the parts that matter to the injector (blocks + paragraphs).
+	 */
+	private static function render_content( string $content ): string {
+		if ( function_exists( 'has_blocks' ) && has_blocks( $content ) ) {
+			return do_blocks( $content );
+		}
+		return wpautop( $content );
+	}
+
+	/**
+	 * Trim surrounding text to CONTEXT_CHARS, cutting on a word boundary.
+	 *
+	 * @param string $text
+	 * @param bool   $before  True = keep the end of the text (text before the anchor).
+	 */
+	private static function context( string $text, bool $before ): string {
+		$text = preg_replace( '/\s+/u', ' ', $text );
+
+		if ( mb_strlen( $text, 'UTF-8' ) <= self::CONTEXT_CHARS ) {
+			return $text;
+		}
+
+		if ( $before ) {
+			$cut = mb_substr( $text, -self::CONTEXT_CHARS, null, 'UTF-8' );
+			return '…' . preg_replace( '/^\S*\s/u', '', $cut );
+		}
+
+		$cut = mb_substr( $text, 0, self::CONTEXT_CHARS, 'UTF-8' );
+		return preg_replace( '/\s\S*$/u', '', $cut ) . '…';
+	}
+
+	/**
+	 * Whether links are generated for this post type.
+	 */
+	private function is_supported_post_type( string $post_type ): bool {
+		return in_array( $post_type, (array) SL_Settings::get( 'post_types', [ 'post' ] ), true );
+	}
+}
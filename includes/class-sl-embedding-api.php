@@ -4,17 +4,18 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * Wrapper around the Google Gemini Embedding API.
+ * Facade over the configured embedding provider.
  *
  * Supports batch requests: pass an array of strings, get back an
- * array of float-vectors in the same order.  All network I/O
- * goes through WordPress's wp_remote_post so timeouts and proxy
- * settings are respected.
+ * array of float-vectors in the same order.  The actual HTTP calls
+ * are delegated to an SL_Embedding_Provider (Gemini or any
+ * OpenAI-compatible server, selected in settings); rate limiting,
+ * batching, the anchor filter (batched, with a verdict cache) and
+ * error tracking live here.
  */
 class SL_Embedding_API {
 
-	private string $api_key;
-	private string $model;
+	private SL_Embedding_Provider $provider;
 
 	/** @var array Accumulated API errors for user notification */
 	private static array $api_errors = [];
@@ -22,46 +23,96 @@ class SL_Embedding_API {
 	/** @var int HTTP status code from the most recent embed() call (0 = no call made yet). */
 	private static int $last_http_code = 0;
 
+	/** @var string Type of the most recently tracked error (kept past MAX_ERRORS). */
+	private static string $last_error_type = '';
+
 	/** @var int Max errors to store */
 	private const MAX_ERRORS = 10;
 
+	/** Anchor / target pairs judged per filter request. */
+	public const FILTER_BATCH_SIZE = 20;
+
+	/** Output token budget of a filter request: base (room for thinking models) + per pair (JSON verdict with a short reason). */
+	private const FILTER_BASE_TOKENS     = 512;
+	private const FILTER_TOKENS_PER_PAIR = 80;
+
+	/** Reasoning tokens allowed for a filter request (thinking would eat the output budget). */
+	private const FILTER_THINKING_BUDGET = 0;
+
+	/** Cached verdicts are reused for this many days. */
+	private const VERDICT_TTL_DAYS = 90;
+
+	/** Transient set after the daily prune of expired verdicts. */
+	private const VERDICT_PRUNE_KEY = 'sl_verdicts_pruned';
+
 	/**
-	 * @param string|null $api_key  Overrides the stored setting (useful for tests).
-	 * @param string|null $model    Overrides the stored setting.
+	 * @param string|null                $api_key   Overrides the stored Gemini key (useful for tests).
+	 * @param string|null                $model     Overrides the stored embedding model.
+	 * @param SL_Embedding_Provider|null $provider  Use this provider instead of the configured one.
 	 */
-	public function __construct( $api_key = null, $model = null ) {
-		// Use decrypted API key from settings
-		$this->api_key = $api_key !== null ? $api_key : SL_Settings::get_api_key();
-		$raw_model     = $model  !== null ? $model  : SL_Settings::get( 'embedding_model', 'gemini-embedding-001' );
-		$this->model   = self::sanitize_model_name( $raw_model );
+	public function __construct( $api_key = null, $model = null, ?SL_Embedding_Provider $provider = null ) {
+		$this->provider = $provider ?? self::create_provider( $api_key, $model );
 	}
 
 	/**
-	 * Sanitize model name to prevent URL injection.
-	 * Only allows alphanumeric characters, hyphens, underscores, and dots.
+	 * Build the provider selected in settings.
 	 *
-	 * @param string $model  Raw model name.
-	 * @return string        Sanitized model name.
+	 * @param string|null $api_key  Overrides the stored API key.
+	 * @param string|null $model    Overrides the stored embedding model.
+	 * @return SL_Embedding_Provider
 	 */
-	private static function sanitize_model_name( string $model ): string {
-		// Remove any characters that are not alphanumeric, hyphen, underscore, or dot
-		$sanitized = preg_replace( '/[^a-zA-Z0-9\-_.]/', '', $model );
-
-		// Ensure we have a valid model name
-		if ( empty( $sanitized ) ) {
-			return 'gemini-embedding-001';  // Fallback to default
+	public static function create_provider( $api_key = null, $model = null ): SL_Embedding_Provider {
+		$model      = $model !== null ? $model : (string) SL_Settings::get( 'embedding_model', '' );
+		$dimensions = (int) SL_Settings::get( 'embedding_dimensions', 0 );
+
+		if ( SL_Settings::get( 'embedding_provider', 'gemini' ) === 'openai' ) {
+			return new SL_Provider_OpenAI(
+				(string) SL_Settings::get( 'provider_base_url', '' ),
+				$api_key !== null ? $api_key : SL_Settings::get_provider_api_key(),
+				$model,
+				(string) SL_Settings::get( 'filter_model', '' ),
+				$dimensions
+			);
 		}
 
-		return $sanitized;
+		return new SL_Provider_Gemini(
+			// Use decrypted API key from settings
+			$api_key !== null ? $api_key : SL_Settings::get_api_key(),
+			$model !== '' ? $model : SL_Provider_Gemini::DEFAULT_MODEL,
+			(string) SL_Settings::get( 'filter_model', 'gemini-2.5-flash' ),
+			$dimensions
+		);
+	}
+
+	/**
+	 * The provider behind this instance.
+	 */
+	public function get_provider(): SL_Embedding_Provider {
+		return $this->provider;
 	}
 
 	/**
-	 * Embed an array of strings using Google Gemini API.
+	 * Whether the active provider can make requests (API key / base URL set).
+	 */
+	public function is_configured(): bool {
+		return $this->provider->is_configured();
+	}
+
+	/**
+	 * Identifies the vector space produced by the active provider.
+	 * Stored next to every embedding so vectors from different
+	 * models / servers are never compared with each other.
 	 *
-	 * @param string[] $texts   Texts to embed.  Must be non-empty strings.
-	 * @return array|false      Array of float[] vectors (same order as input),
-	 *                          or false on any error.
+	 * @return array{model: string, base_url: string, dim: int}
 	 */
+	public function get_signature(): array {
+		return [
+			'model'    => $this->provider->get_model(),
+			'base_url' => $this->provider->get_base_url(),
+			'dim'      => $this->provider->get_dimensions(),
+		];
+	}
+
 	/**
 	 * Whether the most recent embed() call was stopped by a 429 rate-limit response.
 	 */
@@ -69,11 +120,20 @@ class SL_Embedding_API {
 		return self::$last_http_code === 429;
 	}
 
+	/**
+	 * Embed an array of strings using the configured provider.
+	 *
+	 * @param string[] $texts   Texts to embed.  Must be non-empty strings.
+	 * @return array|false      Array of float[] vectors (same order as input),
+	 *                          or false on any error.
+	 */
 	public function embed( array $texts ) {
 		self::$last_http_code = 0; // Reset before each new embed request
 
-		if ( empty( $this->api_key ) ) {
-			SL_Debug::log( 'api', 'ERROR: API key is empty' );
+		if ( ! $this->provider->is_configured() ) {
+			SL_Debug::log( 'api', 'ERROR: Embedding provider is not configured', [
+				'provider' => $this->provider->get_id(),
+			] );
 			return false;
 		}
 		if ( empty( $texts ) ) {
@@ -90,16 +150,17 @@ class SL_Embedding_API {
 
 		$texts = array_values( $texts );
 
-		// Gemini has a limit of 100 texts per batch request
-		// Process in batches if needed
-		$batch_size = 100;
+		// Providers cap the number of texts per request – process in batches
+		$batch_size = max( 1, $this->provider->get_batch_size() );
 		$all_embeddings = [];
 
 		for ( $i = 0; $i < count( $texts ); $i += $batch_size ) {
 			$batch = array_slice( $texts, $i, $batch_size );
-			$embeddings = $this->embed_batch( $batch );
+			$embeddings = $this->provider->embed_batch( $batch );
+			$this->meter( 'embedding', array_sum( array_map( 'mb_strlen', $batch ) ), $embeddings !== false );
 
 			if ( $embeddings === false ) {
+				self::$last_http_code = $this->provider->get_last_http_code();
 				return false;
 			}
 
@@ -110,275 +171,303 @@ class SL_Embedding_API {
 	}
 
 	/**
-	 * Embed a single batch of texts (max 100).
+	 * Embed a single text string. Wrapper around embed() for convenience.
 	 *
-	 * @param string[] $texts
-	 * @return array|false
+	 * @param string $text  Text to embed.
+	 * @return array|false  Float[] vector or false on error.
 	 */
-	private function embed_batch( array $texts ) {
-		// Build requests array for batchEmbedContents
-		$requests = [];
-		foreach ( $texts as $text ) {
-			$requests[] = [
-				'model'   => 'models/' . $this->model,
-				'content' => [
-					'parts' => [
-						[ 'text' => $text ]
-					]
-				]
+	public function embed_single( string $text ) {
+		$result = $this->embed( [ $text ] );
+		return $result && isset( $result[0] ) ? $result[0] : false;
+	}
+
+	/**
+	 * Build the anchor-filter prompt for a batch of pairs, in the
+	 * language of the source posts (see SL_Language).
+	 *
+	 * @param array  $pairs     [ [ 'anchor' => string, 'title' => string, 'sentence' => string ], ... ]
+	 *                          – list order gives the verdict ids (1-based).
+	 * @param string $language  Language code ('' = site language).
+	 * @return string
+	 */
+	public static function build_anchor_prompt( array $pairs, string $language = '' ): string {
+		$items = [];
+		foreach ( array_values( $pairs ) as $i => $pair ) {
+			$items[] = [
+				'id'       => $i + 1,
+				'anchor'   => (string) $pair['anchor'],
+				'sentence' => (string) ( $pair['sentence'] ?? '' ),
+				'title'    => (string) $pair['title'],
 			];
 		}
 
-		$url = sprintf(
-			'https://generativelanguage.googleapis.com/v1beta/models/%s:batchEmbedContents?key=%s',
-			$this->model,
-			$this->api_key
+		return sprintf(
+			SL_Language::profile( $language )['prompt'],
+			wp_json_encode( $items, JSON_UNESCAPED_UNICODE | JSON_PRETTY_PRINT )
 		);
+	}
 
-		SL_Debug::log( 'api', 'Calling Gemini API', [
-			'model'       => $this->model,
-			'texts_count' => count( $texts ),
-			'url'         => preg_replace( '/key=[^&]+/', 'key=***', $url ),
-		] );
-
-		$response = wp_remote_post(
-			$url,
-			[
-				'headers' => [
-					'Content-Type' => 'application/json',
-				],
-				'body'    => json_encode( [ 'requests' => $requests ] ),
-				'timeout' => 120,
-			]
+	/**
+	 * Cache key of a verdict: the anchor and target title (case-insensitive)
+	 * in the language the reason was written in.
+	 */
+	public static function verdict_key( string $anchor_text, string $target_title, string $language = '' ): string {
+		return md5(
+			mb_strtolower( trim( $anchor_text ), 'UTF-8' ) . '|' .
+			mb_strtolower( trim( $target_title ), 'UTF-8' ) . '|' .
+			( $language !== '' ? $language : SL_Language::default_language() )
 		);
+	}
 
-		if ( is_wp_error( $response ) ) {
-			SL_Debug::log( 'api', 'ERROR: WP Error', [
-				'error' => $response->get_error_message(),
-			] );
-			return false;
-		}
-
-		$code = (int) wp_remote_retrieve_response_code( $response );
-		$body = wp_remote_retrieve_body( $response );
-		$data = json_decode( $body, true );
-
-		SL_Debug::log( 'api', 'Gemini API response', [
-			'status_code' => $code,
-			'has_embeddings' => isset( $data['embeddings'] ),
-			'embeddings_count' => isset( $data['embeddings'] ) ? count( $data['embeddings'] ) : 0,
-			'error' => $data['error'] ?? null,
-		] );
+	/**
+	 * Evaluate whether anchor texts are contextually appropriate for
+	 * linking to their target titles.
+	 *
+	 * Verdicts cached within VERDICT_TTL_DAYS for the current filter
+	 * model are reused; the remaining pairs are sent FILTER_BATCH_SIZE
+	 * at a time (grouped by language) as one structured-JSON request
+	 * each.  Pairs without a usable verdict (API error, id missing from
+	 * the answer) fail open and are not cached.
+	 *
+	 * @param array $pairs  key => [ 'anchor' => string, 'title' => string,
+	 *                      'sentence' => string (optional – context from the
+	 *                      source post), 'language' => string (optional) ].
+	 * @return array  key => [ 'match' => bool, 'confidence' => float|null,
+	 *                'reason' => string, 'source' => 'cache'|'api'|'error' ].
+	 */
+	public function evaluate_anchor_matches( array $pairs ): array {
+		$model    = (string) SL_Settings::get( 'filter_model', '' );
+		$verdicts = [];
+		$keys     = [];
 
-		if ( $code !== 200 ) {
-			self::$last_http_code = $code;
-			SL_Debug::log( 'api', 'ERROR: Non-200 response', [
-				'code' => $code,
-				'body' => substr( $body, 0, 500 ),
-			] );
-			return false;
+		foreach ( $pairs as $id => $pair ) {
+			$keys[ $id ] = self::verdict_key( (string) $pair['anchor'], (string) $pair['title'], (string) ( $pair['language'] ?? '' ) );
 		}
 
-		if ( ! isset( $data['embeddings'] ) || ! is_array( $data['embeddings'] ) ) {
-			SL_Debug::log( 'api', 'ERROR: No embeddings in response', [
-				'body' => substr( $body, 0, 500 ),
-			] );
-			return false;
-		}
+		$cached = SL_DB::get_filter_verdicts(
+			array_values( $keys ),
+			$model,
+			wp_date( 'Y-m-d H:i:s', time() - self::VERDICT_TTL_DAYS * DAY_IN_SECONDS )
+		);
 
-		// Check for empty embeddings array
-		if ( empty( $data['embeddings'] ) ) {
-			SL_Debug::log( 'api', 'ERROR: Empty embeddings array in response', [
-				'texts_count' => count( $texts ),
-				'body'        => substr( $body, 0, 500 ),
-			] );
-			return false;
+		$hits        = 0;
+		$by_language = [];
+		foreach ( $pairs as $id => $pair ) {
+			if ( isset( $cached[ $keys[ $id ] ] ) ) {
+				$hits++;
+				$row             = $cached[ $keys[ $id ] ];
+				$verdicts[ $id ] = [
+					'match'      => (bool) $row->is_match,
+					'confidence' => $row->confidence === null ? null : (float) $row->confidence,
+					'reason'     => (string) $row->reason,
+					'source'     => 'cache',
+				];
+			} else {
+				$by_language[ (string) ( $pair['language'] ?? '' ) ][ $id ] = $pair;
+			}
 		}
 
-		// Extract vectors from Gemini response format
-		$vectors = [];
-		foreach ( $data['embeddings'] as $embedding ) {
-			if ( isset( $embedding['values'] ) && is_array( $embedding['values'] ) ) {
-				$vectors[] = $embedding['values'];
-			} else {
-				SL_Debug::log( 'api', 'ERROR: Invalid embedding format', [
-					'embedding' => $embedding,
-				] );
-				return false;
+		$fresh = [];
+		foreach ( $by_language as $language => $group ) {
+			foreach ( array_chunk( $group, self::FILTER_BATCH_SIZE, true ) as $batch ) {
+				foreach ( $this->request_verdicts( $batch, $language ) as $id => $verdict ) {
+					$verdicts[ $id ] = $verdict;
+					if ( $verdict['source'] === 'api' ) {
+						$fresh[ $keys[ $id ] ] = $verdict + [
+							'anchor' => (string) $pairs[ $id ]['anchor'],
+							'title'  => (string) $pairs[ $id ]['title'],
+						];
+					}
+				}
 			}
 		}
 
-		SL_Debug::log( 'api', 'Successfully got embeddings', [
-			'count' => count( $vectors ),
-			'vector_dim' => ! empty( $vectors ) ? count( $vectors[0] ) : 0,
+		SL_DB::save_filter_verdicts( $fresh, $model );
+		self::maybe_prune_verdicts();
+
+		SL_Debug::log( 'api', 'Anchor filter batch', [
+			'pairs'  => count( $pairs ),
+			'cached' => $hits,
+			'judged' => count( $fresh ),
 		] );
 
-		return $vectors;
+		// Keep the caller's order
+		return array_replace( $pairs, $verdicts );
 	}
 
 	/**
-	 * Embed a single text string. Wrapper around embed() for convenience.
+	 * Evaluate a single anchor / target pair (see evaluate_anchor_matches()).
 	 *
-	 * @param string $text  Text to embed.
-	 * @return array|false  Float[] vector or false on error.
+	 * @param string $anchor_text   The proposed anchor text.
+	 * @param string $target_title  The title of the target article.
+	 * @param string $language      Language of the source post ('' = site language).
+	 * @param string $sentence      Sentence of the source post containing the anchor.
+	 * @return bool                 True if the anchor is appropriate, false otherwise.
 	 */
-	public function embed_single( string $text ) {
-		$result = $this->embed( [ $text ] );
-		return $result && isset( $result[0] ) ? $result[0] : false;
+	public function evaluate_anchor_match( string $anchor_text, string $target_title, string $language = '', string $sentence = '' ): bool {
+		$verdicts = $this->evaluate_anchor_matches( [
+			[
+				'anchor'   => $anchor_text,
+				'title'    => $target_title,
+				'sentence' => $sentence,
+				'language' => $language,
+			],
+		] );
+
+		return $verdicts[0]['match'];
 	}
 
 	/**
-	 * Evaluate if an anchor text is contextually appropriate for linking to a target title.
-	 * Uses Gemini's text generation API to assess semantic relevance.
+	 * One completion request for at most FILTER_BATCH_SIZE pairs.  A
+	 * truncated answer (MAX_TOKENS) is retried as two half batches, so
+	 * a long batch does not fail open on every run.
 	 *
-	 * @param string $anchor_text   The proposed anchor text.
-	 * @param string $target_title  The title of the target article.
-	 * @return bool                 True if the anchor is appropriate, false otherwise.
+	 * @param array  $batch     key => pair (see evaluate_anchor_matches()).
+	 * @param string $language
+	 * @return array  key => verdict; every key of $batch is present.
 	 */
-	public function evaluate_anchor_match( string $anchor_text, string $target_title ): bool {
-		if ( empty( $this->api_key ) ) {
-			SL_Debug::log( 'api', 'Anchor filter: API key is empty - skipping filter' );
-			return true;  // Allow link if no API key (fail open)
-		}
-
-		$prompt = sprintf(
-			'Jesteś starszym specjalistą ds. SEO i lingwistyki. Twoim zadaniem jest ocena spójności semantycznej pomiędzy tekstem zakotwiczenia (anchor text) a tytułem artykułu docelowego w ramach strategii linkowania wewnętrznego.
+	private function request_verdicts( array $batch, string $language ): array {
+		$keys   = array_keys( $batch );
+		$prompt = self::build_anchor_prompt( $batch, $language );
+
+		self::$last_error_type = '';
+		$text = $this->provider->complete( $prompt, [
+			'json'            => true,
+			'max_tokens'      => self::FILTER_BASE_TOKENS + count( $batch ) * self::FILTER_TOKENS_PER_PAIR,
+			'thinking_budget' => self::FILTER_THINKING_BUDGET,
+		] );
+		$this->meter( 'filter', mb_strlen( $prompt ), $text !== false );
 
-Przeanalizuj poniższe dane wejściowe:
-Anchor text: "%s"
-Tytuł artykułu docelowego: "%s"
+		if ( $text === false && self::$last_error_type === 'max_tokens' && count( $batch ) > 1 ) {
+			SL_Debug::log( 'api', 'Anchor filter: response truncated - splitting the batch', [ 'pairs' => count( $batch ) ] );
+			$half = (int) ceil( count( $batch ) / 2 );
+			return $this->request_verdicts( array_slice( $batch, 0, $half, true ), $language )
+				+ $this->request_verdicts( array_slice( $batch, $half, null, true ), $language );
+		}
 
-Kryteria oceny:
-1. Zgodność tematyczna: Czy anchor text odnosi się do głównego tematu, problemu lub słowa kluczowego zawartego w tytule?
-2. Synonimy i hiperonimy: Traktuj synonimy, wyrazy bliskoznaczne oraz kategorie nadrzędne jako pasujące (np. "buty" pasuje do "Obuwie sportowe na lato").
-3. Intencja użytkownika: Czy użytkownik klikający w ten anchor text spodziewałby się trafić na artykuł o podanym tytule?
+		$answers = [];
+		if ( $text === false ) {
+			// Provider already logged and tracked the error
+			SL_Debug::log( 'api', 'Anchor filter: no verdict - allowing links', [ 'pairs' => count( $batch ) ] );
+		} elseif ( trim( $text ) === '' ) {
+			SL_Debug::log( 'api', 'Anchor filter: Empty text in response', [ 'pairs' => count( $batch ) ] );
+			self::track_error( 'empty', 'Pusta odpowiedź z API' );
+		} else {
+			$answers = self::parse_verdicts( $text );
+			if ( empty( $answers ) ) {
+				SL_Debug::log( 'api', 'Anchor filter: unreadable JSON in response', [
+					'response' => mb_substr( $text, 0, 300, 'UTF-8' ),
+				] );
+				self::track_error( 'malformed', 'Nieczytelna odpowiedź JSON filtra AI' );
+			}
+		}
 
-Zasady wykluczenia:
-- Jeśli anchor text jest mylący, całkowicie niezwiązany tematycznie lub sugeruje zupełnie inny rodzaj treści – uznaj to za błąd.
+		$verdicts = [];
+		foreach ( $keys as $i => $key ) {
+			$verdicts[ $key ] = $answers[ $i + 1 ] ?? [
+				// Fail open - allow link without a verdict
+				'match'      => true,
+				'confidence' => null,
+				'reason'     => '',
+				'source'     => 'error',
+			];
+		}
 
-Format odpowiedzi:
-Twoja odpowiedź musi składać się WYŁĄCZNIE z jednego słowa. Nie dodawaj żadnych wyjaśnień, znaków interpunkcyjnych ani wstępu.
+		return $verdicts;
+	}
 
-Zwróć wynik:
-- "TAK" (jeśli relacja jest logiczna i semantycznie poprawna)
-- "NIE" (jeśli brak powiązania semantycznego)',
-			$anchor_text,
-			$target_title
-		);
+	/**
+	 * Report the provider's last request to SL_Usage.  Tokens the
+	 * provider did not count are estimated from the input length
+	 * (failed requests are not billed).  Calls the provider returned
+	 * from without an HTTP request (no API key, no chat model) are not
+	 * recorded.
+	 *
+	 * @param string $kind   'embedding' or 'filter'.
+	 * @param int    $chars  Characters sent.
+	 * @param bool   $ok     Whether the request succeeded.
+	 */
+	private function meter( string $kind, int $chars, bool $ok ): void {
+		$code  = $this->provider->get_last_http_code();
+		$usage = $this->provider->get_last_usage();
 
-		$filter_model = self::sanitize_model_name( SL_Settings::get( 'filter_model', 'gemini-2.5-flash' ) );
-		$url = sprintf(
-			'https://generativelanguage.googleapis.com/v1beta/models/%s:generateContent?key=%s',
-			$filter_model,
-			$this->api_key
-		);
+		if ( $code === 0 && (int) $usage['input'] === 0 && (int) $usage['output'] === 0 ) {
+			return;
+		}
 
-		$body = [
-			'contents' => [
-				[
-					'parts' => [
-						[ 'text' => $prompt ]
-					]
-				]
-			],
-			'generationConfig' => [
-				'temperature'     => 0.1,  // Low temperature for consistent responses
-				'maxOutputTokens' => 256,  // Gemini 2.5+ needs room for thinking + TAK/NIE response
-			]
-		];
+		$input = (int) $usage['input'];
+		if ( $input === 0 && $ok ) {
+			$input = SL_Usage::estimate_tokens( $chars );
+		}
 
-		$response = wp_remote_post(
-			$url,
+		SL_Usage::record(
+			$kind,
+			$kind === 'filter' ? SL_Usage::model( 'filter' ) : $this->provider->get_model(),
 			[
-				'headers' => [
-					'Content-Type' => 'application/json',
-				],
-				'body'    => json_encode( $body ),
-				'timeout' => 45,  // Increased from 30s for AI generation
+				'requests'      => 1,
+				'input_chars'   => $chars,
+				'input_tokens'  => $input,
+				'output_tokens' => (int) $usage['output'],
+				'rate_limited'  => $code === 429 ? 1 : 0,
+				'errors'        => ! $ok && $code !== 429 ? 1 : 0,
 			]
 		);
+	}
 
-		if ( is_wp_error( $response ) ) {
-			SL_Debug::log( 'api', 'Anchor filter: WP Error', [
-				'error'        => $response->get_error_message(),
-				'anchor'       => $anchor_text,
-				'target_title' => $target_title,
-			] );
-			self::track_error( 'connection', 'Błąd połączenia: ' . $response->get_error_message() );
-			return true;  // Fail open - allow link on error
-		}
-
-		$code = (int) wp_remote_retrieve_response_code( $response );
-		$resp_body = wp_remote_retrieve_body( $response );
-		$data = json_decode( $resp_body, true );
-
-		if ( $code !== 200 ) {
-			SL_Debug::log( 'api', 'Anchor filter: Non-200 response', [
-				'code' => $code,
-				'body' => substr( $resp_body, 0, 300 ),
-			] );
-			self::track_error( 'api_error', 'Błąd API (kod ' . $code . ')' );
-			return true;  // Fail open
-		}
-
-		// Check for MAX_TOKENS finish reason (indicates response was cut off)
-		$finish_reason = $data['candidates'][0]['finishReason'] ?? null;
-		if ( $finish_reason === 'MAX_TOKENS' ) {
-			SL_Debug::log( 'api', 'Anchor filter: Response cut off (MAX_TOKENS)', [
-				'anchor'       => $anchor_text,
-				'target_title' => $target_title,
-			] );
-			self::track_error( 'max_tokens', 'Odpowiedź API została obcięta (MAX_TOKENS)' );
-			return true;  // Fail-open
-		}
-
-		// Extract text from Gemini response - validate structure first
-		if ( ! isset( $data['candidates'][0]['content']['parts'][0]['text'] ) ) {
-			// Unexpected response structure - log and fail-open
-			SL_Debug::log( 'api', 'Anchor filter: Unexpected API response structure', [
-				'anchor'       => $anchor_text,
-				'target_title' => $target_title,
-				'response_keys' => is_array( $data ) ? array_keys( $data ) : 'not_array',
-				'raw_response' => substr( $resp_body, 0, 500 ),
-			] );
-			self::track_error( 'malformed', 'Nieprawidłowa struktura odpowiedzi API' );
-			return true;  // Fail-open: allow link when API response is malformed
+	/**
+	 * Read { "verdicts": [ { id, match, confidence, reason } ] } (code
+	 * fences and a bare list are tolerated).
+	 *
+	 * @return array  id => verdict with source 'api'.
+	 */
+	private static function parse_verdicts( string $text ): array {
+		$text = trim( preg_replace( '/^```(?:json)?\s*|\s*```$/i', '', trim( $text ) ) );
+		$data = json_decode( $text, true );
+		$list = is_array( $data ) ? ( $data['verdicts'] ?? $data ) : [];
+
+		$out = [];
+		foreach ( (array) $list as $item ) {
+			if ( ! is_array( $item ) || ! isset( $item['id'], $item['match'] ) ) {
+				continue;
+			}
+			$match = $item['match'];
+			if ( is_string( $match ) ) {
+				$match = in_array( strtolower( $match ), [ 'true', 'yes', '1' ], true );
+			}
+			$out[ (int) $item['id'] ] = [
+				'match'      => (bool) $match,
+				'confidence' => is_numeric( $item['confidence'] ?? null ) ? max( 0.0, min( 1.0, (float) $item['confidence'] ) ) : null,
+				'reason'     => mb_substr( sanitize_text_field( (string) ( $item['reason'] ?? '' ) ), 0, 255, 'UTF-8' ),
+				'source'     => 'api',
+			];
 		}
+		return $out;
+	}
 
-		$text = $data['candidates'][0]['content']['parts'][0]['text'];
-		$text = mb_strtoupper( trim( $text ), 'UTF-8' );
-
-		// Check for empty response (another form of failure)
-		if ( empty( $text ) ) {
-			SL_Debug::log( 'api', 'Anchor filter: Empty text in response', [
-				'anchor'       => $anchor_text,
-				'target_title' => $target_title,
-			] );
-			self::track_error( 'empty', 'Pusta odpowiedź z API' );
-			return true;  // Fail-open
+	/**
+	 * Drop expired verdicts, at most once a day.
+	 */
+	private static function maybe_prune_verdicts(): void {
+		if ( get_transient( self::VERDICT_PRUNE_KEY ) ) {
+			return;
 		}
+		set_transient( self::VERDICT_PRUNE_KEY, 1, DAY_IN_SECONDS );
 
-		$is_match = ( mb_strpos( $text, 'TAK', 0, 'UTF-8' ) !== false );
-
-		SL_Debug::log( 'api', 'Anchor filter result', [
-			'anchor'       => $anchor_text,
-			'target_title' => $target_title,
-			'response'     => $text,
-			'is_match'     => $is_match,
-		] );
-
-		return $is_match;
+		SL_DB::prune_filter_verdicts( wp_date( 'Y-m-d H:i:s', time() - self::VERDICT_TTL_DAYS * DAY_IN_SECONDS ) );
 	}
 
 	/* ── API Error Tracking for User Notifications ──────────────── */
 
 	/**
 	 * Track an API error for user notification.
+	 * Public so providers can report failures from their own HTTP calls.
 	 *
 	 * @param string $error_type  Error type identifier.
 	 * @param string $message     Human-readable error message.
 	 */
-	private static function track_error( string $error_type, string $message ): void {
+	public static function track_error( string $error_type, string $message ): void {
+		self::$last_error_type = $error_type;
+
 		if ( count( self::$api_errors ) < self::MAX_ERRORS ) {
 			self::$api_errors[] = [
 				'type'    => $error_type,
@@ -425,22 +514,24 @@ Zwróć wynik:
 
 		$count = count( self::$api_errors );
 		$types = array_unique( array_column( self::$api_errors, 'type' ) );
+		$label = SL_Settings::get( 'embedding_provider', 'gemini' ) === 'openai' ? 'OpenAI-compatible' : 'Gemini';
 
 		if ( in_array( 'max_tokens', $types, true ) ) {
 			return sprintf(
-				'Błąd API Gemini: %d odpowiedzi zostało obciętych (MAX_TOKENS). Sprawdź model filtra AI w ustawieniach.',
+				'Błąd API %s: %d odpowiedzi zostało obciętych (MAX_TOKENS). Sprawdź model filtra AI w ustawieniach.',
+				$label,
 				$count
 			);
 		}
 
 		if ( in_array( 'rate_limit', $types, true ) ) {
-			return 'Błąd API Gemini: Przekroczono limit zapytań. Spróbuj ponownie za chwilę.';
+			return sprintf( 'Błąd API %s: Przekroczono limit zapytań. Spróbuj ponownie za chwilę.', $label );
 		}
 
 		if ( in_array( 'api_error', $types, true ) ) {
-			return sprintf( 'Błąd API Gemini: %d zapytań zakończyło się błędem.', $count );
+			return sprintf( 'Błąd API %s: %d zapytań zakończyło się błędem.', $label, $count );
 		}
 
-		return sprintf( 'Wystąpiło %d problemów z API Gemini.', $count );
+		return sprintf( 'Wystąpiło %d problemów z API %s.', $count, $label );
 	}
 }
@@ -0,0 +1,549 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Link history: append-only log of every change to links and the
+ * blacklist, grouped into runs that can be rolled back.
+ *
+ * Events (wp_semantic_link_events) are written by SL_DB itself, so no
+ * caller can change a link without leaving a trace:
+ *   created / deleted          – full row snapshot (a deletion can be undone);
+ *   status                     – { from, to };
+ *   updated                    – { before, after } of anchor / score / origin;
+ *   blacklist_added / _removed – full blacklist row snapshot.
+ *
+ * Runs (wp_semantic_link_runs)
+ * ────────────────────────────
+ *   • Explicit: start() / finish() around a matching run (kept across
+ *     batch requests through the matcher progress, see resume()), a
+ *     bulk action, "Usuń wszystkie", an import, a rollback …
+ *   • Implicit: a change made outside an explicit run (single reject,
+ *     blacklist rule …) opens a run labelled after the request and
+ *     closed on shutdown.
+ *
+ * Events are buffered and written in multi-row INSERTs (FLUSH_AT, on
+ * finish() and on shutdown).  rollback() replays the inverse of every
+ * event of a run, newest first, as a new "rollback" run; events whose
+ * link changed again since then are skipped.
+ *
+ * Runs older than the `history_retention_days` setting are pruned once
+ * a day with their events; the last ROLLBACK_RUNS runs are always kept
+ * so they can still be rolled back.
+ *
+ * Also registers the "Historia" submenu page (templates/history.php).
+ */
+class SL_History {
+
+	/** Events per page of the history table. */
+	public const PER_PAGE = 50;
+
+	/** Runs listed in the sidebar. */
+	public const RUNS_PER_PAGE = 15;
+
+	/** Buffered events written at once. */
+	private const FLUSH_AT = 200;
+
+	/** Runs with changes kept regardless of their age (rollback stays possible). */
+	public const ROLLBACK_RUNS = 20;
+
+	/** Transient set after the daily prune. */
+	private const PRUNE_KEY = 'sl_history_pruned';
+
+	/** Run types. */
+	public const TYPES = [
+		'matching'   => 'Dopasowywanie',
+		'post'       => 'Dopasowanie wpisu',
+		'action'     => 'Zmiana w panelu',
+		'bulk'       => 'Akcja masowa',
+		'delete_all' => 'Usunięcie wszystkiego',
+		'import'     => 'Import',
+		'audit'      => 'Audyt',
+		'filter'     => 'Filtr AI',
+		'cleanup'    => 'Usunięcie wpisu',
+		'rollback'   => 'Cofnięcie',
+	];
+
+	/** Event types. */
+	public const EVENTS = [
+		'created'           => 'Utworzono link',
+		'status'            => 'Zmiana statusu',
+		'updated'           => 'Zmiana linku',
+		'deleted'           => 'Usunięto link',
+		'blacklist_added'   => 'Dodano do blacklisty',
+		'blacklist_removed' => 'Usunięto z blacklisty',
+	];
+
+	/** Link statuses. */
+	private const STATUS_LABELS = [
+		'active'   => 'aktywny',
+		'rejected' => 'odrzucony',
+		'filtered' => 'odfiltrowany (AI)',
+	];
+
+	/** Labels of the link fields in "updated" events. */
+	private const FIELD_LABELS = [
+		'anchor_text'       => 'anchor',
+		'similarity_score'  => 'score',
+		'origin'            => 'pochodzenie',
+		'status'            => 'status',
+		'filter_confidence' => 'pewność filtra AI',
+		'filter_reason'     => 'uzasadnienie filtra AI',
+	];
+
+	/** Implicit run labels of the AJAX actions that change links. */
+	private const ACTION_LABELS = [
+		'sl_reject_link'            => 'Odrzucenie linku',
+		'sl_restore_link'           => 'Przywrócenie linku',
+		'sl_add_manual_link'        => 'Dodanie linku ręcznego',
+		'sl_update_link_anchor'     => 'Zmiana anchora',
+		'sl_add_blacklist_rule'     => 'Dodanie reguły blacklisty',
+		'sl_delete_blacklist_entry' => 'Usunięcie wpisu blacklisty',
+	];
+
+	/** @var string Run receiving the events of this request ('' = none). */
+	private static string $run_id = '';
+
+	/** @var int Nesting of start() calls – only the outermost finish() closes the run. */
+	private static int $depth = 0;
+
+	/** @var bool Whether the current run was opened implicitly by record(). */
+	private static bool $implicit = false;
+
+	/** @var array[] Events not written yet. */
+	private static array $buffer = [];
+
+	/** @var bool Whether the shutdown flush is registered. */
+	private static bool $hooked = false;
+
+	/** @var int User a background request acts for (see act_as()). */
+	private static int $acting_user = 0;
+
+	public function __construct() {
+		add_action( 'admin_menu', [ $this, 'add_page' ] );
+	}
+
+	/* ── Admin page ─────────────────────────────────────────────── */
+
+	public function add_page(): void {
+		add_submenu_page(
+			'semanticlinker',
+			'Historia – SemanticLinker AI',
+			'Historia',
+			'manage_options',
+			'semanticlinker-history',
+			[ $this, 'render' ]
+		);
+	}
+
+	public function render(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( 'Brak uprawnień.' );
+		}
+		require_once SL_PLUGIN_DIR . 'templates/history.php';
+	}
+
+	/**
+	 * History page URL with the given filters (link_id, post_id, run_id).
+	 */
+	public static function url( array $filters = [] ): string {
+		return add_query_arg( array_merge( [ 'page' => 'semanticlinker-history' ], $filters ), admin_url( 'admin.php' ) );
+	}
+
+	/* ── Runs ───────────────────────────────────────────────────── */
+
+	/**
+	 * Open a run; changes until finish() belong to it.  Inside another
+	 * run the outer one is kept and its ID returned.
+	 *
+	 * @param string $type   Key of TYPES.
+	 * @param string $label  Short description.
+	 * @return string  Run ID.
+	 */
+	public static function start( string $type, string $label = '' ): string {
+		if ( self::$run_id !== '' && ! self::$implicit ) {
+			self::$depth++;
+			return self::$run_id;
+		}
+		if ( self::$implicit ) {
+			self::finish();
+		}
+
+		self::$run_id   = str_replace( '-', '', wp_generate_uuid4() );
+		self::$depth    = 1;
+		self::$implicit = false;
+		self::hook();
+
+		SL_DB::insert_link_run( self::$run_id, $type, $label !== '' ? $label : ( self::TYPES[ $type ] ?? $type ), self::user_id() );
+
+		return self::$run_id;
+	}
+
+	/**
+	 * Continue a run opened in an earlier request (matching batches).
+	 */
+	public static function resume( string $run_id ): void {
+		if ( $run_id === '' || self::$run_id === $run_id ) {
+			return;
+		}
+		if ( self::$run_id !== '' ) {
+			self::flush();
+		}
+
+		self::$run_id   = $run_id;
+		self::$depth    = 1;
+		self::$implicit = false;
+		self::hook();
+	}
+
+	/**
+	 * Close the current run (or $run_id when it was opened in an earlier
+	 * request and is not the current one).
+	 */
+	public static function finish( string $run_id = '' ): void {
+		if ( $run_id !== '' && $run_id !== self::$run_id ) {
+			SL_DB::update_link_run( $run_id, [ 'status' => 'done', 'finished_at' => current_time( 'mysql' ) ] );
+			return;
+		}
+		if ( self::$run_id === '' ) {
+			return;
+		}
+		if ( --self::$depth > 0 ) {
+			return;
+		}
+
+		self::flush();
+		SL_DB::update_link_run( self::$run_id, [ 'status' => 'done', 'finished_at' => current_time( 'mysql' ) ] );
+
+		self::$run_id   = '';
+		self::$depth    = 0;
+		self::$implicit = false;
+	}
+
+	/**
+	 * Attribute the changes of a background request (job tick, cron) to
+	 * the user who started it.
+	 */
+	public static function act_as( int $user_id ): void {
+		self::$acting_user = $user_id;
+	}
+
+	/* ── Events (called by SL_DB) ───────────────────────────────── */
+
+	/**
+	 * @param int   $link_id
+	 * @param array $row  Inserted columns.
+	 */
+	public static function link_created( int $link_id, array $row ): void {
+		self::record( 'created', [ 'ID' => $link_id ] + $row, $link_id, (int) $row['post_id'] );
+	}
+
+	/**
+	 * @param object $before   Link row before the change.
+	 * @param array  $changes  column => new value.
+	 */
+	public static function link_updated( $before, array $changes ): void {
+		$old = [];
+		$new = [];
+		foreach ( $changes as $column => $value ) {
+			if ( (string) ( $before->$column ?? '' ) !== (string) $value ) {
+				$old[ $column ] = $before->$column ?? null;
+				$new[ $column ] = $value;
+			}
+		}
+		if ( empty( $new ) ) {
+			return;
+		}
+
+		if ( array_keys( $new ) === [ 'status' ] ) {
+			self::record( 'status', [ 'from' => $old['status'], 'to' => $new['status'] ], (int) $before->ID, (int) $before->post_id );
+		} else {
+			self::record( 'updated', [ 'before' => $old, 'after' => $new ], (int) $before->ID, (int) $before->post_id );
+		}
+	}
+
+	/**
+	 * @param object $row  Deleted link row.
+	 */
+	public static function link_deleted( $row ): void {
+		self::record( 'deleted', (array) $row, (int) $row->ID, (int) $row->post_id );
+	}
+
+	/**
+	 * @param int   $entry_id
+	 * @param array $row  Inserted columns.
+	 */
+	public static function blacklist_added( int $entry_id, array $row ): void {
+		self::record( 'blacklist_added', [ 'ID' => $entry_id ] + $row, 0, (int) ( $row['post_id'] ?? 0 ), $entry_id );
+	}
+
+	/**
+	 * @param object $row  Deleted blacklist row.
+	 */
+	public static function blacklist_removed( $row ): void {
+		self::record( 'blacklist_removed', (array) $row, 0, (int) $row->post_id, (int) $row->ID );
+	}
+
+	private static function record( string $event, array $data, int $link_id, int $post_id, int $blacklist_id = 0 ): void {
+		if ( self::$run_id === '' ) {
+			self::start( 'action', self::request_label() );
+			self::$implicit = true;
+		}
+
+		self::$buffer[] = [
+			'run_id'       => self::$run_id,
+			'event'        => $event,
+			'link_id'      => $link_id,
+			'blacklist_id' => $blacklist_id,
+			'post_id'      => $post_id,
+			'user_id'      => self::user_id(),
+			'data'         => (string) wp_json_encode( $data ),
+			'created_at'   => current_time( 'mysql' ),
+		];
+
+		if ( count( self::$buffer ) >= self::FLUSH_AT ) {
+			self::flush();
+		}
+	}
+
+	/**
+	 * Write the buffered events.
+	 */
+	public static function flush(): void {
+		if ( empty( self::$buffer ) ) {
+			return;
+		}
+		$events       = self::$buffer;
+		self::$buffer = [];
+		SL_DB::insert_link_events( $events );
+		self::maybe_prune();
+	}
+
+	private static function maybe_prune(): void {
+		$days = (int) SL_Settings::get( 'history_retention_days', 90 );
+		if ( $days < 1 || get_transient( self::PRUNE_KEY ) ) {
+			return;
+		}
+		set_transient( self::PRUNE_KEY, 1, DAY_IN_SECONDS );
+
+		$pruned = SL_DB::prune_link_history( wp_date( 'Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS ), self::ROLLBACK_RUNS );
+		if ( $pruned > 0 ) {
+			SL_Debug::log( 'history', 'Old runs pruned', [ 'runs' => $pruned, 'days' => $days ] );
+		}
+	}
+
+	/**
+	 * Shutdown: write what is left and close an implicit run.  Explicit
+	 * runs stay open – a matching run continues in the next request.
+	 */
+	public static function shutdown(): void {
+		if ( self::$implicit ) {
+			self::$depth = 1;
+			self::finish();
+			return;
+		}
+		self::flush();
+	}
+
+	/* ── Rollback ───────────────────────────────────────────────── */
+
+	/**
+	 * Undo every change of a run, newest first.
+	 *
+	 * @return array|string  [ 'reverted' => int, 'skipped' => int, 'run_id' => string ]
+	 *                       or an error message.
+	 */
+	public static function rollback( string $run_id ) {
+		$run = SL_DB::get_link_run( $run_id );
+		if ( ! $run ) {
+			return 'Nie znaleziono uruchomienia.';
+		}
+		if ( $run->status === 'rolled_back' ) {
+			return 'To uruchomienie zostało już cofnięte.';
+		}
+		$matching = SL_Matcher::get_progress();
+		if ( $matching && ( $matching['run_id'] ?? '' ) === $run_id ) {
+			return 'Dopasowywanie jeszcze trwa – anuluj je przed cofnięciem.';
+		}
+
+		self::flush();
+
+		$rollback_id = self::start( 'rollback', sprintf( 'Cofnięcie: %s (%s)', $run->label, mysql2date( 'Y-m-d H:i', $run->created_at ) ) );
+		$reverted    = 0;
+		$skipped     = 0;
+		$post_ids    = [];
+
+		foreach ( SL_DB::get_link_run_events( $run_id ) as $event ) {
+			if ( self::revert( $event ) ) {
+				$reverted++;
+				$post_ids[ (int) $event->post_id ] = true;
+			} else {
+				$skipped++;
+			}
+		}
+
+		self::finish();
+		SL_DB::update_link_run( $run_id, [ 'status' => 'rolled_back', 'rolled_back_by' => $rollback_id ] );
+
+		if ( count( $post_ids ) > 100 ) {
+			SL_Injector::flush_all_caches();
+		} else {
+			foreach ( array_keys( $post_ids ) as $post_id ) {
+				do_action( 'sl_link_changed', $post_id );
+			}
+		}
+
+		SL_Debug::log( 'history', 'Run rolled back', [
+			'run_id'   => $run_id,
+			'rollback' => $rollback_id,
+			'reverted' => $reverted,
+			'skipped'  => $skipped,
+		] );
+
+		return [ 'reverted' => $reverted, 'skipped' => $skipped, 'run_id' => $rollback_id ];
+	}
+
+	/**
+	 * Apply the inverse of one event when the row is still as the event
+	 * left it.
+	 *
+	 * @return bool  False when skipped.
+	 */
+	private static function revert( $event ): bool {
+		$data = json_decode( (string) $event->data, true );
+		if ( ! is_array( $data ) ) {
+			return false;
+		}
+
+		switch ( $event->event ) {
+			case 'created':
+				return SL_DB::get_link( (int) $event->link_id ) && SL_DB::delete_link( (int) $event->link_id );
+
+			case 'deleted':
+				// Not when the link was re-created (e.g. by the next matching run)
+				if ( SL_DB::get_link( (int) $event->link_id ) || SL_DB::get_link_by_pair( (int) $data['post_id'], (string) $data['target_url'] ) ) {
+					return false;
+				}
+				return (bool) SL_DB::restore_link( $data );
+
+			case 'status':
+				$link = SL_DB::get_link( (int) $event->link_id );
+				if ( ! $link || $link->status !== $data['to'] ) {
+					return false;
+				}
+				return SL_DB::update_link_status( (int) $link->ID, (string) $data['from'] );
+
+			case 'updated':
+				$link = SL_DB::get_link( (int) $event->link_id );
+				if ( ! $link ) {
+					return false;
+				}
+				foreach ( $data['after'] as $column => $value ) {
+					if ( (string) ( $link->$column ?? '' ) !== (string) $value ) {
+						return false;
+					}
+				}
+				return SL_DB::update_link( (int) $link->ID, $data['before'] );
+
+			case 'blacklist_added':
+				return SL_DB::get_blacklist_entry( (int) $event->blacklist_id ) && SL_DB::delete_blacklist_entry( (int) $event->blacklist_id );
+
+			case 'blacklist_removed':
+				if ( SL_DB::blacklist_entry_exists( (string) $data['rule_type'], (int) $data['post_id'], (string) $data['target_url'], (string) $data['pattern'] ) ) {
+					return false;
+				}
+				return (bool) SL_DB::restore_blacklist_entry( $data );
+		}
+
+		return false;
+	}
+
+	/* ── Display ────────────────────────────────────────────────── */
+
+	/**
+	 * One-line description of an event for the history table.
+	 *
+	 * @param object $event  Row from SL_DB::query_link_events().
+	 */
+	public static function describe( $event ): string {
+		$data = json_decode( (string) $event->data, true ) ?: [];
+
+		switch ( $event->event ) {
+			case 'created':
+			case 'deleted':
+				return sprintf(
+					'„%s” → %s (%s)',
+					$data['anchor_text'] ?? '',
+					$data['target_url'] ?? '',
+					self::status_label( (string) ( $data['status'] ?? '' ) )
+				);
+
+			case 'status':
+				return self::status_label( (string) ( $data['from'] ?? '' ) ) . ' → ' . self::status_label( (string) ( $data['to'] ?? '' ) );
+
+			case 'updated':
+				$parts = [];
+				foreach ( (array) ( $data['after'] ?? [] ) as $column => $value ) {
+					$old = $data['before'][ $column ] ?? '';
+					if ( $column === 'status' ) {
+						$old   = self::status_label( (string) $old );
+						$value = self::status_label( (string) $value );
+					}
+					$parts[] = sprintf( '%s: %s → %s', self::FIELD_LABELS[ $column ] ?? $column, $old, $value );
+				}
+				return implode( '; ', $parts );
+
+			case 'blacklist_added':
+			case 'blacklist_removed':
+				$type = (string) ( $data['rule_type'] ?? 'pair' );
+				if ( $type === 'anchor' || $type === 'regex' ) {
+					$value = $data['pattern'] ?? '';
+				} elseif ( $type === 'source' ) {
+					$value = '#' . ( $data['post_id'] ?? '' );
+				} else {
+					$value = $data['target_url'] ?? '';
+				}
+				return ( SL_Blacklist::RULE_LABELS[ $type ] ?? $type ) . ': ' . $value;
+		}
+
+		return '';
+	}
+
+	private static function status_label( string $status ): string {
+		return self::STATUS_LABELS[ $status ] ?? $status;
+	}
+
+	/* ── Helpers ────────────────────────────────────────────────── */
+
+	private static function hook(): void {
+		if ( ! self::$hooked ) {
+			add_action( 'shutdown', [ __CLASS__, 'shutdown' ] );
+			self::$hooked = true;
+		}
+	}
+
+	private static function user_id(): int {
+		return get_current_user_id() ?: self::$acting_user;
+	}
+
+	/**
+	 * Label of an implicit run: what the request was.
+	 */
+	private static function request_label(): string {
+		if ( wp_doing_ajax() ) {
+			$action = sanitize_key( $_REQUEST['action'] ?? '' );
+			return self::ACTION_LABELS[ $action ] ?? 'AJAX: ' . $action;
+		}
+		if ( defined( 'REST_REQUEST' ) && REST_REQUEST ) {
+			return 'REST API';
+		}
+		if ( defined( 'WP_CLI' ) && WP_CLI ) {
+			return 'WP-CLI';
+		}
+		if ( wp_doing_cron() ) {
+			return 'WP-Cron';
+		}
+		return self::TYPES['action'];
+	}
+}
@@ -11,11 +11,17 @@ if (!defined('ABSPATH')) {
  *   2. Chunk their content into paragraph / sentence fragments.
  *   3. Send all fragments to the embedding API in a single batch call.
  *   4. Persist the returned vectors in wp_semantic_embeddings.
- *   5. Kick off Phase 2 (SL_Matcher::match_all).
+ *   5. Build / refresh the vector index (SL_Vector_Index) on large sites.
+ *   6. Kick off Phase 2 (SL_Matcher::match_all).
  *
  * Triggered by:
  *   – WP-Cron hook `sl_run_indexing` (hourly by default).
- *   – Manual "Reindeksuj teraz" button via SL_Ajax.
+ *   – Manual "Reindeksuj teraz" button: a background job (SL_Jobs)
+ *     calling init_batch() / process_batch() until complete.
+ *   – `save_post` (when "auto_index_on_save" is enabled): the post is
+ *     queued and handled by index_post() on the single-event cron hook
+ *     `sl_process_reindex_queue` – only changed chunks are re-embedded
+ *     and SL_Matcher::match_single_post() replaces match_all().
  */
 class SL_Indexer
 {
@@ -35,9 +41,37 @@ class SL_Indexer
 	/** Transient key for storing indexing progress. */
 	private const PROGRESS_KEY = 'sl_indexing_progress';
 
+	/** Option holding posts queued for incremental re-indexing (post_id => queued_at). */
+	private const QUEUE_OPTION = 'sl_reindex_queue';
+
+	/** Single-event cron hook that drains the re-index queue. */
+	private const QUEUE_HOOK = 'sl_process_reindex_queue';
+
+	/** Seconds to wait after a save (coalesces quick successive saves). */
+	private const QUEUE_DELAY = 60;
+
+	/** Posts re-indexed per queue run. */
+	private const QUEUE_BATCH = 10;
+
+	/** Transient lock preventing overlapping queue runs. */
+	private const QUEUE_LOCK = 'sl_reindex_queue_lock';
+
+	/** Option holding failed re-index attempts (post_id => [ 'attempts', 'retry_at' ]). */
+	private const QUEUE_RETRY_OPTION = 'sl_reindex_retries';
+
+	/** Failed attempts after which a queued post is dropped. */
+	private const QUEUE_MAX_ATTEMPTS = 5;
+
+	/** Seconds before the first retry of a failed post (doubled with every attempt). */
+	private const QUEUE_RETRY_DELAY = 300;
+
 	public function __construct()
 	{
 		add_action('sl_run_indexing', [$this, 'run']);
+		add_action('save_post', [$this, 'on_save_post'], 20, 2);
+		add_action('transition_post_status', [$this, 'on_status_change'], 10, 3);
+		add_action(self::QUEUE_HOOK, [__CLASS__, 'process_queue']);
+		add_action('sl_embeddings_changed', ['SL_Vector_Index', 'mark_dirty']);
 	}
 
 	/**
@@ -125,11 +159,15 @@ class SL_Indexer
 		SL_Debug::clear();
 		SL_Debug::log('indexer', '=== BATCH INDEXING INITIALIZED ===');
 
-		// Check API key first (using decrypted key)
-		$api_key = SL_Settings::get_api_key();
-		if (empty($api_key)) {
-			SL_Debug::log('indexer', 'ERROR: API key is not configured');
-			return ['error' => 'Klucz API Gemini nie jest skonfigurowany. Wpisz klucz w ustawieniach.'];
+		// Check provider configuration first (API key / base URL)
+		$api = new SL_Embedding_API();
+		if (!$api->is_configured()) {
+			SL_Debug::log('indexer', 'ERROR: Embedding provider is not configured', [
+				'provider' => $api->get_provider()->get_id(),
+			]);
+			return ['error' => $api->get_provider()->get_id() === 'openai'
+				? 'Adres serwera embeddingów (OpenAI-compatible) jest nieprawidłowy albo brakuje klucza API dla api.openai.com. Popraw ustawienia.'
+				: 'Klucz API Gemini nie jest skonfigurowany. Wpisz klucz w ustawieniach.'];
 		}
 
 		// Clear any stale matching progress from previous runs
@@ -181,6 +219,20 @@ class SL_Indexer
 			return ['error' => 'Nie znaleziono sesji indeksowania. Uruchom ponownie.'];
 		}
 
+		// Monthly API budget used up - keep the session alive, the caller pauses
+		if (SL_Usage::budget_exceeded()) {
+			SL_Debug::log('indexer', 'Batch skipped - monthly API budget exceeded');
+			set_transient(self::PROGRESS_KEY, $progress, HOUR_IN_SECONDS);
+			SL_Matcher::keep_alive();
+			return [
+				'budget_exceeded' => true,
+				'message' => SL_Usage::budget_message(),
+				'total_posts' => $progress['total_posts'],
+				'processed' => $progress['processed'],
+				'phase' => $progress['phase'],
+			];
+		}
+
 		$post_types = SL_Settings::get('post_types', ['post']);
 
 		// If in matching or filtering phase - delegate to matcher
@@ -256,6 +308,18 @@ class SL_Indexer
 		}
 
 		if (empty($posts)) {
+			// Vector index for the matcher - a build from scratch takes several requests
+			$build = SL_Vector_Index::build_step();
+			if (!$build['done']) {
+				return [
+					'total_posts' => $progress['total_posts'],
+					'processed' => $progress['processed'],
+					'phase' => 'indexing',
+					'percent' => 100,
+					'message' => sprintf('Budowanie indeksu wektorowego: %d z %d wpisów...', $build['processed'], $build['total']),
+				];
+			}
+
 			// Before moving to matching phase, generate embeddings for any custom URLs that need them
 			self::process_custom_urls_needing_embedding();
 
@@ -275,9 +339,13 @@ class SL_Indexer
 		$to_embed = [];
 		$skipped = 0;
 
+		// Vectors from another provider / model count as stale
+		$api = new SL_Embedding_API();
+		$signature = $api->get_signature();
+
 		foreach ($posts as $post) {
 			$hash = md5($post->post_title . $post->post_content);
-			if (SL_DB::embeddings_are_current($post->ID, $hash)) {
+			if (SL_DB::embeddings_are_current($post->ID, $hash, $signature)) {
 				$skipped++;
 				continue;
 			}
@@ -307,7 +375,6 @@ class SL_Indexer
 				}
 			}
 
-			$api = new SL_Embedding_API();
 			$vectors = $api->embed($texts);
 
 			if ($vectors) {
@@ -336,7 +403,8 @@ class SL_Indexer
 						$chunk_idx,
 						$texts[$idx],
 						$vector,
-						$to_embed[$pid]['hash']
+						$to_embed[$pid]['hash'],
+						$signature
 					);
 				}
 
@@ -458,6 +526,16 @@ class SL_Indexer
 
 	public function run(): void
 	{
+		// A background job (SL_Jobs) already runs the full pipeline
+		if (SL_Jobs::is_running()) {
+			SL_Debug::log('indexer', 'Cron run skipped - background job in progress');
+			return;
+		}
+		if (SL_Usage::budget_exceeded()) {
+			SL_Debug::log('indexer', 'Cron run skipped - monthly API budget exceeded');
+			return;
+		}
+
 		SL_Debug::clear();
 		SL_Debug::log('indexer', '=== INDEXING STARTED ===');
 
@@ -511,9 +589,12 @@ class SL_Indexer
 		$to_embed = [];  // post_id => [ 'title', 'chunks', 'hash' ]
 		$skipped_current = 0;
 
+		$api = new SL_Embedding_API();
+		$signature = $api->get_signature();
+
 		foreach ($posts as $post) {
 			$hash = md5($post->post_title . $post->post_content);
-			if (SL_DB::embeddings_are_current($post->ID, $hash)) {
+			if (SL_DB::embeddings_are_current($post->ID, $hash, $signature)) {
 				$skipped_current++;
 				continue;
 			}
@@ -541,6 +622,7 @@ class SL_Indexer
 			update_option('sl_last_indexing_run', current_time('mysql'));
 			// Process any custom URLs needing embeddings
 			self::process_custom_urls_needing_embedding();
+			self::build_vector_index();
 			// Even if nothing changed, run matching for new posts
 			(new SL_Matcher())->match_all();
 			return;
@@ -562,9 +644,11 @@ class SL_Indexer
 		}
 
 		/* ── API call ────────────────────────────────────────────── */
-		SL_Debug::log('indexer', 'Calling Gemini API', ['texts_count' => count($texts)]);
+		SL_Debug::log('indexer', 'Calling embedding API', [
+			'provider' => $api->get_provider()->get_id(),
+			'texts_count' => count($texts),
+		]);
 
-		$api = new SL_Embedding_API();
 		$vectors = $api->embed($texts);
 
 		if (!$vectors) {
@@ -595,7 +679,8 @@ class SL_Indexer
 				$chunk_idx,
 				$texts[$idx],
 				$vector,
-				$to_embed[$pid]['hash']
+				$to_embed[$pid]['hash'],
+				$signature
 			);
 		}
 
@@ -605,12 +690,359 @@ class SL_Indexer
 
 		// Process any custom URLs needing embeddings before matching
 		self::process_custom_urls_needing_embedding();
+		self::build_vector_index();
 
 		/* ── Phase 2: matching ───────────────────────────────────── */
 		SL_Debug::log('indexer', '=== STARTING MATCHER ===');
 		(new SL_Matcher())->match_all();
 	}
 
+	/**
+	 * Build / update the matcher's vector index in one go (cron run).
+	 */
+	private static function build_vector_index(): void
+	{
+		do {
+			$step = SL_Vector_Index::build_step();
+		} while (!$step['done']);
+	}
+
+	/* ── Incremental re-indexing (save_post) ─────────────────── */
+
+	/**
+	 * Queue a published post for re-indexing after it is saved.
+	 *
+	 * @param int     $post_id
+	 * @param WP_Post $post
+	 */
+	public function on_save_post(int $post_id, $post): void
+	{
+		if (!SL_Settings::get('auto_index_on_save', false)) {
+			return;
+		}
+		if (wp_is_post_autosave($post_id) || wp_is_post_revision($post_id)) {
+			return;
+		}
+		if (!self::is_indexable($post)) {
+			return;
+		}
+
+		self::enqueue($post_id);
+	}
+
+	/**
+	 * Post left the "publish" status (draft, private, trash…):
+	 * forget its vectors and flush the cached content of posts linking to it.
+	 *
+	 * @param string  $new_status
+	 * @param string  $old_status
+	 * @param WP_Post $post
+	 */
+	public function on_status_change(string $new_status, string $old_status, $post): void
+	{
+		if ($old_status !== 'publish' || $new_status === 'publish') {
+			return;
+		}
+
+		$post_id = (int) $post->ID;
+
+		/* Sources still carry the link in their cached HTML */
+		self::flush_caches_for($post_id);
+
+		if (!SL_Settings::get('auto_index_on_save', false)) {
+			return;
+		}
+
+		self::dequeue($post_id);
+		SL_DB::delete_embeddings($post_id);
+
+		SL_Debug::log('indexer', 'Post unpublished - embeddings removed', [
+			'post_id' => $post_id,
+			'new_status' => $new_status,
+		]);
+	}
+
+	/**
+	 * Whether a post belongs to the indexed set (post type, status and
+	 * category filters – same rules as get_filtered_post_ids()).
+	 *
+	 * @param WP_Post|null $post
+	 */
+	public static function is_indexable($post): bool
+	{
+		if (!$post || $post->post_status !== 'publish') {
+			return false;
+		}
+
+		$post_types = SL_Settings::get('post_types', ['post']);
+		if (!in_array($post->post_type, $post_types, true)) {
+			return false;
+		}
+
+		$post_type_terms = SL_Settings::get('post_type_terms', []);
+		foreach ($post_type_terms[$post->post_type] ?? [] as $tax => $terms) {
+			// AND between taxonomies, IN within one taxonomy
+			if (!empty($terms) && !has_term(array_map('intval', $terms), $tax, $post)) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Posts waiting for incremental re-indexing.
+	 *
+	 * @return array  post_id => queued_at (timestamp)
+	 */
+	public static function get_queue(): array
+	{
+		return (array) get_option(self::QUEUE_OPTION, []);
+	}
+
+	private static function enqueue(int $post_id): void
+	{
+		$queue = get_option(self::QUEUE_OPTION, []);
+		$queue[$post_id] = time();
+		update_option(self::QUEUE_OPTION, $queue, false);
+
+		if (!wp_next_scheduled(self::QUEUE_HOOK)) {
+			wp_schedule_single_event(time() + self::QUEUE_DELAY, self::QUEUE_HOOK);
+		}
+	}
+
+	private static function dequeue(int $post_id): void
+	{
+		$queue = get_option(self::QUEUE_OPTION, []);
+		if (isset($queue[$post_id])) {
+			unset($queue[$post_id]);
+			update_option(self::QUEUE_OPTION, $queue, false);
+		}
+		self::clear_retry($post_id);
+	}
+
+	/**
+	 * Put a post whose re-index failed back in the queue with a growing
+	 * delay; dropped after QUEUE_MAX_ATTEMPTS.
+	 */
+	private static function retry_later(int $post_id, string $error): void
+	{
+		$retries = get_option(self::QUEUE_RETRY_OPTION, []);
+		$attempts = (int) ($retries[$post_id]['attempts'] ?? 0) + 1;
+
+		if ($attempts >= self::QUEUE_MAX_ATTEMPTS) {
+			SL_Debug::log('indexer', 'ERROR: Incremental re-index failed repeatedly - post dropped from the queue', [
+				'post_id' => $post_id,
+				'attempts' => $attempts,
+				'error' => $error,
+			]);
+			self::clear_retry($post_id);
+			return;
+		}
+
+		$delay = self::QUEUE_RETRY_DELAY * (2 ** ($attempts - 1));
+		$retries[$post_id] = ['attempts' => $attempts, 'retry_at' => time() + $delay];
+		update_option(self::QUEUE_RETRY_OPTION, $retries, false);
+
+		// A save during the run may have queued the post already
+		$queue = get_option(self::QUEUE_OPTION, []);
+		if (!isset($queue[$post_id])) {
+			$queue[$post_id] = time();
+			update_option(self::QUEUE_OPTION, $queue, false);
+		}
+
+		SL_Debug::log('indexer', 'WARNING: Incremental re-index failed - post re-queued', [
+			'post_id' => $post_id,
+			'attempt' => $attempts,
+			'retry_in' => $delay,
+			'error' => $error,
+		]);
+	}
+
+	private static function clear_retry(int $post_id): void
+	{
+		$retries = get_option(self::QUEUE_RETRY_OPTION, []);
+		if (isset($retries[$post_id])) {
+			unset($retries[$post_id]);
+			update_option(self::QUEUE_RETRY_OPTION, $retries, false);
+		}
+	}
+
+	/**
+	 * Cron callback: re-index up to QUEUE_BATCH queued posts (failed ones
+	 * wait for their retry time, see retry_later()).
+	 * Waits while a full (AJAX) indexing or matching run is in progress.
+	 */
+	public static function process_queue(): void
+	{
+		$queue = get_option(self::QUEUE_OPTION, []);
+		if (empty($queue)) {
+			return;
+		}
+
+		if (get_transient(self::PROGRESS_KEY) || SL_Matcher::is_running() || get_transient(self::QUEUE_LOCK)) {
+			wp_schedule_single_event(time() + 5 * MINUTE_IN_SECONDS, self::QUEUE_HOOK);
+			return;
+		}
+
+		// Keep the queue until the budget allows API requests again
+		if (SL_Usage::budget_exceeded()) {
+			SL_Debug::log('indexer', 'Re-index queue paused - monthly API budget exceeded', ['queued' => count($queue)]);
+			wp_schedule_single_event(time() + HOUR_IN_SECONDS, self::QUEUE_HOOK);
+			return;
+		}
+
+		$retries = get_option(self::QUEUE_RETRY_OPTION, []);
+		$due = array_values(array_filter(array_keys($queue), function ($post_id) use ($retries) {
+			return ($retries[$post_id]['retry_at'] ?? 0) <= time();
+		}));
+		if (empty($due)) {
+			self::schedule_queue($queue);
+			return;
+		}
+
+		set_transient(self::QUEUE_LOCK, 1, 10 * MINUTE_IN_SECONDS);
+
+		$batch = array_slice($due, 0, self::QUEUE_BATCH);
+
+		// Remove before processing – a save during the run re-queues the post
+		$queue = array_diff_key($queue, array_flip($batch));
+		update_option(self::QUEUE_OPTION, $queue, false);
+
+		SL_Debug::log('indexer', '=== INCREMENTAL RE-INDEX STARTED ===', [
+			'posts' => $batch,
+			'remaining' => count($queue),
+		]);
+
+		foreach ($batch as $post_id) {
+			$result = self::index_post((int) $post_id);
+			if (isset($result['error'])) {
+				self::retry_later((int) $post_id, $result['error']);
+			} else {
+				self::clear_retry((int) $post_id);
+			}
+		}
+
+		delete_transient(self::QUEUE_LOCK);
+
+		self::schedule_queue(get_option(self::QUEUE_OPTION, []));
+	}
+
+	/**
+	 * Schedule the next queue run – after QUEUE_DELAY, or when the first
+	 * failed post is due for its retry.
+	 */
+	private static function schedule_queue(array $queue): void
+	{
+		if (empty($queue) || wp_next_scheduled(self::QUEUE_HOOK)) {
+			return;
+		}
+
+		$retries = get_option(self::QUEUE_RETRY_OPTION, []);
+		$next = min(array_map(function ($post_id) use ($retries) {
+			return (int) ($retries[$post_id]['retry_at'] ?? 0);
+		}, array_keys($queue)));
+
+		wp_schedule_single_event(max(time() + self::QUEUE_DELAY, $next), self::QUEUE_HOOK);
+	}
+
+	/**
+	 * Re-embed one post (only chunks whose text changed) and re-match it.
+	 *
+	 * @param int $post_id
+	 * @return array  [ 'reused', 'embedded', 'match' => stats ] or [ 'skipped' ] / [ 'error' ].
+	 */
+	public static function index_post(int $post_id): array
+	{
+		$post = get_post($post_id);
+		if (!self::is_indexable($post)) {
+			return ['skipped' => 'not_indexable'];
+		}
+
+		$api = new SL_Embedding_API();
+		if (!$api->is_configured()) {
+			SL_Debug::log('indexer', 'ERROR: Embedding provider is not configured - incremental re-index aborted');
+			return ['error' => 'Dostawca embeddingów nie jest skonfigurowany.'];
+		}
+
+		$signature = $api->get_signature();
+		$hash = md5($post->post_title . $post->post_content);
+
+		if (SL_DB::embeddings_are_current($post_id, $hash, $signature)) {
+			SL_Debug::log('indexer', 'Post unchanged - skipping re-index', ['post_id' => $post_id]);
+			return ['skipped' => 'current'];
+		}
+
+		/* chunk_index 0 = title, content chunks start at 1 */
+		$texts = [strip_tags($post->post_title)];
+		foreach (self::extract_chunks($post->post_content) as $chunk) {
+			$texts[] = $chunk;
+		}
+
+		/* Reuse vectors of chunks whose text did not change (same model / endpoint / size) */
+		$known = [];   // chunk_text => float[]
+		foreach (SL_DB::get_embeddings($post_id) as $row) {
+			$same_signature = ($row->embedding_model ?? '') === $signature['model']
+				&& ($row->embedding_base_url ?? '') === $signature['base_url']
+				&& (empty($signature['dim']) || (int) ($row->embedding_dim ?? 0) === (int) $signature['dim']);
+			if ($same_signature && is_array($row->embedding)) {
+				$known[$row->chunk_text] = $row->embedding;
+			}
+		}
+
+		$missing = array_values(array_unique(array_filter($texts, function ($text) use ($known) {
+			return !isset($known[$text]);
+		})));
+
+		if (!empty($missing)) {
+			$vectors = $api->embed($missing);
+			if (!$vectors || count($vectors) !== count($missing)) {
+				SL_Debug::log('indexer', 'ERROR: Incremental re-index failed - no vectors returned', [
+					'post_id' => $post_id,
+					'texts_count' => count($missing),
+				]);
+				return ['error' => 'Błąd API embeddingów.'];
+			}
+			foreach ($missing as $i => $text) {
+				$known[$text] = $vectors[$i];
+			}
+		}
+
+		SL_DB::delete_embeddings($post_id);
+		foreach ($texts as $chunk_idx => $text) {
+			SL_DB::upsert_embedding($post_id, $chunk_idx, $text, $known[$text], $hash, $signature);
+		}
+
+		SL_Debug::log('indexer', 'Post re-indexed', [
+			'post_id' => $post_id,
+			'chunks' => count($texts),
+			'reused' => count($texts) - count($missing),
+			'embedded' => count($missing),
+		]);
+
+		$match = SL_Matcher::match_single_post($post_id);
+
+		self::flush_caches_for($post_id);
+
+		return [
+			'reused' => count($texts) - count($missing),
+			'embedded' => count($missing),
+			'match' => $match,
+		];
+	}
+
+	/**
+	 * Flush the injector cache of a post and of every post linking to it.
+	 */
+	private static function flush_caches_for(int $post_id): void
+	{
+		$injector = new SL_Injector(false);
+		$injector->flush_cache($post_id);
+		foreach (SL_DB::get_source_ids_by_target($post_id) as $source_id) {
+			$injector->flush_cache($source_id);
+		}
+	}
+
 	/* ── Chunking ─────────────────────────────────────────────── */
 
 	/**
@@ -705,12 +1137,16 @@ class SL_Indexer
 	/* ── Custom URLs embedding ────────────────────────────────────────── */
 
 	/**
-	 * Generate embeddings for any custom URLs that are missing them.
-	 * Called during indexing transition to matching phase.
+	 * Generate embeddings for any custom URLs that are missing them
+	 * (or were embedded by a different provider / model).
+	 * Called during indexing transition to matching phase and after
+	 * `wp semanticlinker custom-urls import`.
 	 */
-	private static function process_custom_urls_needing_embedding(): void
+	public static function process_custom_urls_needing_embedding(): void
 	{
-		$custom_urls = SL_DB::get_custom_urls_needing_embedding();
+		$api = new SL_Embedding_API();
+		$signature = $api->get_signature();
+		$custom_urls = SL_DB::get_custom_urls_needing_embedding($signature);
 
 		if (empty($custom_urls)) {
 			return;
@@ -720,8 +1156,6 @@ class SL_Indexer
 			'count' => count($custom_urls),
 		]);
 
-		$api = new SL_Embedding_API();
-
 		// Batch embed all custom URLs
 		$texts = [];
 		foreach ($custom_urls as $custom) {
@@ -744,7 +1178,7 @@ class SL_Indexer
 
 		// Save embeddings
 		foreach ($custom_urls as $idx => $custom) {
-			SL_DB::update_custom_url_embedding($custom->ID, $embeddings[$idx]);
+			SL_DB::update_custom_url_embedding($custom->ID, $embeddings[$idx], $signature);
 		}
 
 		SL_Debug::log('indexer', 'Custom URL embeddings generated', [
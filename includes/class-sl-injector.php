@@ -18,8 +18,13 @@ if ( ! defined( 'ABSPATH' ) ) {
  * Implementation
  * ──────────────
  *   Uses PHP's DOMDocument to walk the content tree.  Text nodes are
- *   scanned for the stored anchor phrase; the first occurrence is
- *   spliced into [textBefore] <a>anchor</a> [textAfter].
+ *   scanned for the stored anchor phrase (whole words, see
+ *   SL_Anchor_Locator – inflected forms when the exact phrase is gone
+ *   and the setting allows it); the first occurrence allowed
+ *   by the placement rules (skipped paragraphs, one link per paragraph,
+ *   word spacing, lists / tables / blockquotes), preferably in the
+ *   paragraph the link was matched in, is spliced into
+ *   [textBefore] <a>anchor</a> [textAfter].
  *
  *   The processed HTML is cached per-post via WordPress Transients so
  *   the DOM parsing only runs once per TTL window.
@@ -32,6 +37,23 @@ class SL_Injector {
 	/** Cache lifetime in seconds. */
 	private const CACHE_TTL = 3600;
 
+	/** rel values a link rule may add. */
+	public const REL_VALUES = [ 'nofollow', 'sponsored', 'ugc', 'noopener' ];
+
+	/** Rule used when none is configured – a plain dofollow link. */
+	public const DEFAULT_LINK_RULE = [ 'rel' => [], 'target' => '', 'title' => false, 'class' => '' ];
+
+	/** Container tag => placement setting that allows links inside it. */
+	public const CONTAINERS = [
+		'ul'         => 'lists',
+		'ol'         => 'lists',
+		'table'      => 'tables',
+		'blockquote' => 'blockquotes',
+	];
+
+	/** Letters of a chunk compared when looking for its paragraph (see chunk_block()). */
+	private const CHUNK_PROBE = 60;
+
 	/**
 	 * HTML tags whose entire subtree is skipped during injection.
 	 * Always includes <a> (enforced in code, not configurable).
@@ -40,7 +62,48 @@ class SL_Injector {
 	 */
 	private array $excluded_tags;
 
-	public function __construct() {
+	/**
+	 * Custom URL rows keyed by URL, loaded on the first custom link.
+	 *
+	 * @var object[]|null
+	 */
+	private ?array $custom_urls = null;
+
+	/**
+	 * Placement rules from the settings: skip_paragraphs, one_per_paragraph,
+	 * min_words, containers (allowed CONTAINERS values), prefer_chunk.
+	 */
+	private array $placement;
+
+	/**
+	 * Links injected into the current fragment (placement rules only):
+	 * [ 'block' => DOMNode, 'start' => int, 'end' => int ] word positions.
+	 *
+	 * @var array[]
+	 */
+	private array $placed = [];
+
+	/** Language of the post whose content is being injected (word boundaries, stems). */
+	private string $language = '';
+
+	/** Whether inflected anchors may stand in for missing exact ones. */
+	private bool $inflected;
+
+	/** Whether links carry data-sl-link for click tracking (SL_Tracking). */
+	private bool $tracking;
+
+	/**
+	 * Chunk texts per source post, loaded on demand (see placement_for()).
+	 *
+	 * @var array<int, string[]>
+	 */
+	private array $chunk_texts = [];
+
+	/**
+	 * @param bool $register_hooks  False for a detached instance used only
+	 *                              to preview injection (see preview()).
+	 */
+	public function __construct( bool $register_hooks = true ) {
 		$this->excluded_tags = array_map(
 			'strtolower',
 			SL_Settings::get(
@@ -49,6 +112,21 @@ class SL_Injector {
 			)
 		);
 
+		$this->placement = [
+			'skip_paragraphs'   => (int) SL_Settings::get( 'placement_skip_paragraphs', 0 ),
+			'one_per_paragraph' => (bool) SL_Settings::get( 'placement_one_per_paragraph', false ),
+			'min_words'         => (int) SL_Settings::get( 'placement_min_words', 0 ),
+			'containers'        => (array) SL_Settings::get( 'placement_containers', [] ),
+			'prefer_chunk'      => (bool) SL_Settings::get( 'placement_prefer_chunk', true ),
+		];
+
+		$this->inflected = SL_Anchor_Locator::inflection_enabled();
+		$this->tracking  = SL_Tracking::is_enabled();
+
+		if ( ! $register_hooks ) {
+			return;
+		}
+
 		add_filter( 'the_content', [ $this, 'inject' ], 20 );
 
 		/* When a link record changes (reject / new insert) the cached
@@ -87,16 +165,9 @@ class SL_Injector {
 			return $content;
 		}
 
-		/* Filter out links to non-published posts (trashed, draft, etc.)
-		 * Custom URLs have target_post_id = 0, so allow those unconditionally */
+		/* Filter out links to non-published posts (trashed, draft, etc.) */
 		$links = array_filter( $links, function ( $link ) {
-			// Custom URLs (external links) have target_post_id = 0 - always allow
-			if ( (int) $link->target_post_id === 0 ) {
-				return true;
-			}
-			// Internal links - check if target post exists and is published
-			$target_post = get_post( $link->target_post_id );
-			return $target_post && $target_post->post_status === 'publish';
+			return self::target_is_live( $link );
 		} );
 
 		if ( empty( $links ) ) {
@@ -110,6 +181,122 @@ class SL_Injector {
 		return $result;
 	}
 
+	/**
+	 * Whether the link target can be linked to: a published post, or a
+	 * custom URL (target_post_id = 0, always allowed).
+	 */
+	private static function target_is_live( $link ): bool {
+		if ( (int) $link->target_post_id === 0 ) {
+			return true;
+		}
+		$target_post = get_post( $link->target_post_id );
+		return $target_post && $target_post->post_status === 'publish';
+	}
+
+	/* ── Link rendering rules ────────────────────────────────────── */
+
+	/**
+	 * Normalise a rendering rule (settings form, custom URL form, stored JSON).
+	 *
+	 * @param array $input  Keys: rel (string[]), target, title, class.
+	 * @return array  Same keys; rel limited to REL_VALUES, target '' or '_blank',
+	 *                class a space-separated list of valid class names.
+	 */
+	public static function sanitize_link_rule( array $input ): array {
+		$rel     = array_map( 'strval', (array) ( $input['rel'] ?? [] ) );
+		$classes = array_filter( array_map( 'sanitize_html_class', preg_split( '/\s+/', (string) ( $input['class'] ?? '' ) ) ) );
+
+		return [
+			'rel'    => array_values( array_intersect( self::REL_VALUES, $rel ) ),
+			'target' => ( $input['target'] ?? '' ) === '_blank' ? '_blank' : '',
+			'title'  => ! empty( $input['title'] ),
+			'class'  => implode( ' ', array_unique( $classes ) ),
+		];
+	}
+
+	/**
+	 * Own rendering rule of a custom URL row.
+	 *
+	 * @return array|null  Sanitised rule, or null when the URL inherits the
+	 *                     "custom" rule from the settings.
+	 */
+	public static function custom_url_rule( $custom ): ?array {
+		if ( empty( $custom->link_rule ) ) {
+			return null;
+		}
+		$rule = json_decode( $custom->link_rule, true );
+		return is_array( $rule ) ? self::sanitize_link_rule( $rule ) : null;
+	}
+
+	/**
+	 * Attributes of the <a> element injected for $link.
+	 *
+	 * The rule comes from the custom URL itself when it has one, otherwise
+	 * from the "post" / "custom" rule in the settings.  target="_blank"
+	 * always brings rel="noopener" with it.
+	 *
+	 * @param object $link  Row from wp_semantic_links.
+	 * @return array  attribute => value
+	 */
+	private function link_attributes( $link ): array {
+		$is_custom = (int) $link->target_post_id === 0;
+		$custom    = null;
+		$rule      = null;
+
+		if ( $is_custom ) {
+			if ( $this->custom_urls === null ) {
+				$this->custom_urls = [];
+				foreach ( SL_DB::get_all_custom_urls() as $row ) {
+					$this->custom_urls[ $row->url ] = $row;
+				}
+			}
+			$custom = $this->custom_urls[ $link->target_url ] ?? null;
+			$rule   = $custom ? self::custom_url_rule( $custom ) : null;
+		}
+
+		if ( $rule === null ) {
+			$rules = SL_Settings::get( 'link_rules', [] );
+			$rule  = self::sanitize_link_rule( (array) ( $rules[ $is_custom ? 'custom' : 'post' ] ?? [] ) );
+		}
+
+		$attributes = [
+			'href'  => $link->target_url,
+			'class' => trim( 'sl-auto-link ' . $rule['class'] ),
+		];
+
+		$rel = $rule['rel'];
+		if ( $rule['target'] === '_blank' ) {
+			$attributes['target'] = '_blank';
+			$rel[] = 'noopener';
+		}
+		if ( $rel ) {
+			$attributes['rel'] = implode( ' ', array_unique( $rel ) );
+		}
+
+		if ( $rule['title'] ) {
+			$title = $is_custom ? ( $custom->title ?? '' ) : get_the_title( (int) $link->target_post_id );
+			$title = trim( html_entity_decode( wp_strip_all_tags( $title ), ENT_QUOTES, 'UTF-8' ) );
+			if ( $title !== '' ) {
+				$attributes['title'] = $title;
+			}
+		}
+
+		if ( $this->tracking ) {
+			$attributes['data-sl-link'] = (string) $link->ID;
+		}
+
+		/**
+		 * Filters the attributes of a link injected into post content.
+		 *
+		 * Values are plain text (escaped on output); href is passed
+		 * through esc_url() afterwards, so it cannot be removed.
+		 *
+		 * @param array  $attributes  attribute => value
+		 * @param object $link        Row from wp_semantic_links.
+		 */
+		return (array) apply_filters( 'semanticlinker_link_attributes', $attributes, $link );
+	}
+
 	/** Flush the cached injected content for one post. */
 	public function flush_cache( int $post_id ): void {
 		delete_transient( self::CACHE_PREFIX . $post_id );
@@ -152,6 +339,115 @@ class SL_Injector {
 	 * @return string
 	 */
 	private function apply( string $html, array $links ): string {
+		$root = $this->load_fragment( $html );
+		if ( ! $root ) {
+			return $html;
+		}
+
+		/* Inject each link (one replacement per link record) */
+		$this->start_fragment( $links );
+		foreach ( $links as $link ) {
+			$this->inject_one( $root, $link->anchor_text, $this->link_attributes( $link ), $root->ownerDocument, false, $hit, $this->placement_for( $link, $root ) );
+		}
+
+		return $this->inner_html( $root );
+	}
+
+	/**
+	 * Dry-run of apply() for the post editor preview.
+	 *
+	 * Active links are injected in the same order and with the same
+	 * placement rules as on the front end, so an anchor swallowed by an
+	 * earlier link or blocked by a rule is reported as not found.
+	 * Rejected / filtered links are only located in the untouched
+	 * content (they would not be injected at all).
+	 *
+	 * @param string   $html   Rendered post content.
+	 * @param object[] $links  Rows from wp_semantic_links (any status).
+	 * @return array  link ID => null (anchor not found) or
+	 *                [ 'before' => string, 'match' => string, 'after' => string, 'block' => int ]
+	 */
+	public function preview( string $html, array $links ): array {
+		$out      = [];
+		$injected = $this->load_fragment( $html );
+		$pristine = $this->load_fragment( $html );
+
+		$this->start_fragment( $links );
+		foreach ( $links as $link ) {
+			$hit    = null;
+			$active = $link->status === 'active';
+			$root   = $active ? $injected : $pristine;
+
+			if ( $root ) {
+				$this->inject_one( $root, $link->anchor_text, [ 'href' => $link->target_url ], $root->ownerDocument, ! $active, $hit, $active ? $this->placement_for( $link, $root ) : null );
+			}
+
+			$out[ (int) $link->ID ] = $hit;
+		}
+
+		return $out;
+	}
+
+	/**
+	 * Run apply() on rendered content and report, per active link,
+	 * whether it made it into the page and if not, why.
+	 *
+	 * Links go through the same filter and in the same order as in
+	 * inject().  A link that was not injected is then located in the
+	 * untouched content to tell the reasons apart:
+	 *   placement      – the anchor is still free, but the placement
+	 *                    rules (skipped paragraphs, containers, spacing)
+	 *                    rule out every occurrence;
+	 *   overlap        – allowed text contains the anchor, but an
+	 *                    earlier link already took it;
+	 *   excluded       – the anchor is only in an excluded tag, inside
+	 *                    an existing link or split by inline markup;
+	 *   anchor_missing – the text is not in the content at all.
+	 *
+	 * @param string   $html   Rendered post content.
+	 * @param object[] $links  Active rows from wp_semantic_links.
+	 * @return array  link ID => 'injected' | 'placement' | 'overlap' | 'excluded' | 'anchor_missing' | 'target_unpublished'
+	 */
+	public function audit( string $html, array $links ): array {
+		$out      = [];
+		$injected = $this->load_fragment( $html );
+		$pristine = $this->load_fragment( $html );
+
+		if ( ! $injected || ! $pristine ) {
+			return $out;
+		}
+
+		$plain = $pristine->textContent;
+
+		$this->start_fragment( $links );
+		foreach ( $links as $link ) {
+			$id         = (int) $link->ID;
+			$hit        = null;
+			$attributes = [ 'href' => $link->target_url ];
+
+			if ( ! self::target_is_live( $link ) ) {
+				$out[ $id ] = 'target_unpublished';
+			} elseif ( $this->inject_one( $injected, $link->anchor_text, $attributes, $injected->ownerDocument, false, $hit, $this->placement_for( $link, $injected ) ) ) {
+				$out[ $id ] = 'injected';
+			} elseif ( $this->inject_one( $pristine, $link->anchor_text, $attributes, $pristine->ownerDocument, true ) ) {
+				$out[ $id ] = $this->inject_one( $injected, $link->anchor_text, $attributes, $injected->ownerDocument, true ) ? 'placement' : 'overlap';
+			} elseif ( SL_Anchor_Locator::contains( $plain, $link->anchor_text, $this->language ) ) {
+				$out[ $id ] = 'excluded';
+			} else {
+				$out[ $id ] = 'anchor_missing';
+			}
+		}
+
+		return $out;
+	}
+
+	/**
+	 * Load an HTML fragment into a DOMDocument.
+	 *
+	 * @param string $html
+	 * @return DOMElement|null  Wrapper element holding the fragment.
+	 */
+	private function load_fragment( string $html ): ?DOMElement {
 		/*
 		 * DOMDocument needs a full document to parse; we wrap the
 		 * fragment in a <div> with a unique ID so we can extract just
@@ -183,7 +479,7 @@ class SL_Injector {
 
 		if ( ! $load_result ) {
 			SL_Debug::log( 'injector', 'ERROR: DOM loadHTML failed completely' );
-			return $html;
+			return null;
 		}
 
 		$root = $doc->getElementById( $wrap_id );
@@ -191,32 +487,112 @@ class SL_Injector {
 			SL_Debug::log( 'injector', 'ERROR: Could not find wrapper element in parsed DOM', [
 				'wrap_id' => $wrap_id,
 			] );
-			return $html;
+			return null;
 		}
 
-		/* Inject each link (one replacement per link record) */
-		foreach ( $links as $link ) {
-			$this->inject_one( $root, $link->anchor_text, $link->target_url, $doc );
+		return $root;
+	}
+
+	/**
+	 * Link the first usable occurrence of $anchor below $root: splice
+	 * [textBefore] <a>anchor</a> [textAfter] into its text node.
+	 *
+	 * Without $placement that is the first occurrence in document order
+	 * (see occurrences()).  With it, occurrences rejected by the
+	 * placement rules are skipped and those in the preferred block (the
+	 * paragraph the link was matched in) are tried first.
+	 *
+	 * @param array      $attributes  Attributes of the new <a> (see link_attributes()).
+	 * @param bool       $dry         Only locate the anchor, leave the DOM untouched.
+	 * @param array|null $hit         Receives the surrounding text of the match (see preview()).
+	 * @param array|null $placement   See placement_for(); null to ignore the placement rules.
+	 * @return bool  true if a replacement was made (or, when $dry, the anchor was found).
+	 */
+	private function inject_one( DOMElement $root, string $anchor, array $attributes, DOMDocument $doc, bool $dry = false, ?array &$hit = null, ?array $placement = null ): bool {
+		$occurrences = $this->occurrences( $root, $anchor, false );
+		if ( empty( $occurrences ) && $this->inflected ) {
+			$occurrences = $this->occurrences( $root, $anchor, true );
 		}
 
-		return $this->inner_html( $root );
+		if ( $placement !== null ) {
+			$occurrences = $this->place( $root, $occurrences, $placement );
+		}
+
+		if ( empty( $occurrences ) ) {
+			return false;
+		}
+
+		list( $node, $pos, $len ) = $occurrences[0];
+
+		$text   = $node->nodeValue;
+		$before = mb_substr( $text, 0, $pos, 'UTF-8' );
+		$match  = mb_substr( $text, $pos, $len, 'UTF-8' );          // original casing / form
+		$after  = mb_substr( $text, $pos + $len, null, 'UTF-8' );
+		$parent = $node->parentNode;
+
+		$hit = [
+			'before' => $before,
+			'match'  => $match,
+			'after'  => $after,
+			'block'  => $this->block_index( $node ),
+		];
+
+		if ( $dry ) {
+			return true;
+		}
+
+		/* Remember the spot before the text node is replaced */
+		if ( $placement !== null ) {
+			$start          = $this->word_offset( $root, $node ) + self::count_words( $before );
+			$this->placed[] = [
+				'block' => $this->top_block( $node ),
+				'start' => $start,
+				'end'   => $start + self::count_words( $match ),
+			];
+		}
+
+		/* Build: [before text] [<a href="…">match</a>] [after text] */
+		if ( $before !== '' ) {
+			$parent->insertBefore( $doc->createTextNode( $before ), $node );
+		}
+
+		$a = $doc->createElement( 'a' );
+		foreach ( $attributes as $name => $value ) {
+			// Skip removed (false), non-scalar and invalid-name filter output
+			if ( $value === false || ! is_scalar( $value ) || ! preg_match( '/^[a-z_:][a-z0-9_:.-]*$/i', (string) $name ) ) {
+				continue;
+			}
+			$a->setAttribute( $name, (string) $value );
+		}
+		$a->setAttribute( 'href', esc_url( (string) ( $attributes['href'] ?? '' ) ) );
+		$a->appendChild( $doc->createTextNode( $match ) );
+		$parent->insertBefore( $a, $node );
+
+		if ( $after !== '' ) {
+			$parent->insertBefore( $doc->createTextNode( $after ), $node );
+		}
+
+		/* Remove the original (now-split) text node */
+		$parent->removeChild( $node );
+
+		return true;   // one replacement per link – done
 	}
 
 	/**
-	 * Walk the subtree of $root looking for the first text node
-	 * that contains $anchor.  When found, splice in an <a> element.
+	 * Every occurrence of $anchor in the text nodes below $root, in
+	 * document order.
 	 *
 	 * Skips:
 	 *   – Any <a> element (no nested links ever).
 	 *   – Any element in $this->excluded_tags.
 	 *
-	 * @return bool  true if a replacement was made.
+	 * @param bool $inflected  Look for inflected forms instead of the exact phrase.
+	 * @return array[]  [ DOMText $node, int $pos, int $length ] – in characters.
 	 */
-	private function inject_one( DOMElement $root, string $anchor, string $url, DOMDocument $doc ): bool {
-		/* Snapshot child nodes so DOM mutations during traversal are safe */
-		$children = $this->snapshot( $root );
+	private function occurrences( DOMElement $root, string $anchor, bool $inflected ): array {
+		$out = [];
 
-		foreach ( $children as $node ) {
+		foreach ( $root->childNodes as $node ) {
 			/* ── Recurse into allowed elements ───────────────────── */
 			if ( $node->nodeType === XML_ELEMENT_NODE ) {
 				$tag = strtolower( $node->tagName );
@@ -226,73 +602,216 @@ class SL_Injector {
 					continue;
 				}
 
-				if ( $this->inject_one( $node, $anchor, $url, $doc ) ) {
-					return true;
-				}
+				$out = array_merge( $out, $this->occurrences( $node, $anchor, $inflected ) );
 			}
 
-			/* ── Text node: search + splice ──────────────────────── */
+			/* ── Text node: whole-word, case-insensitive search ────── */
 			if ( $node->nodeType === XML_TEXT_NODE ) {
-				$text = $node->nodeValue;
-
-				// Case-insensitive, multibyte-safe search
-				$pos = mb_stripos( $text, $anchor, 0, 'UTF-8' );
-				if ( $pos === false ) {
-					continue;
+				foreach ( SL_Anchor_Locator::all( $node->nodeValue, $anchor, $this->language, $inflected ) as $hit ) {
+					$out[] = [ $node, $hit[0], $hit[1] ];
 				}
+			}
+		}
 
-				$len    = mb_strlen( $anchor, 'UTF-8' );
-				$before = mb_substr( $text, 0, $pos, 'UTF-8' );
-				$match  = mb_substr( $text, $pos, $len, 'UTF-8' );          // original casing
-				$after  = mb_substr( $text, $pos + $len, null, 'UTF-8' );
+		return $out;
+	}
 
-				$parent = $node->parentNode;
+	/* ── Placement rules ────────────────────────────────────────── */
 
-				/* Safety: skip if node has no parent (detached or root node) */
-				if ( ! $parent ) {
-					continue;
-				}
+	/**
+	 * Reset the per-fragment state before a run over one post's links.
+	 *
+	 * @param object[] $links  Rows from wp_semantic_links (same source post).
+	 */
+	private function start_fragment( array $links ): void {
+		$first          = reset( $links );
+		$this->placed   = [];
+		$this->language = $first ? SL_Language::for_post( (int) $first->post_id ) : '';
+	}
 
-				/* Build: [before text] [<a href="…">match</a>] [after text] */
-				if ( $before !== '' ) {
-					$parent->insertBefore( $doc->createTextNode( $before ), $node );
-				}
+	/**
+	 * Placement of one link in the fragment being injected: the top-level
+	 * block its source chunk came from, when that can be found.  Manual
+	 * links are exempt from the rules (the editor chose the anchor) but
+	 * still count for the links placed after them.
+	 *
+	 * @param object $link  Row from wp_semantic_links.
+	 * @return array  [ 'prefer' => DOMNode|null, 'exempt' => bool ]
+	 */
+	private function placement_for( $link, DOMElement $root ): array {
+		$exempt      = ( $link->origin ?? 'auto' ) === 'manual';
+		$chunk_index = (int) ( $link->chunk_index ?? 0 );
+		if ( ! $this->placement['prefer_chunk'] || $chunk_index < 1 ) {
+			return [ 'prefer' => null, 'exempt' => $exempt ];
+		}
 
-				$a = $doc->createElement( 'a' );
-				$a->setAttribute( 'href', esc_url( $url ) );
-				$a->setAttribute( 'class', 'sl-auto-link' );
-				// dofollow is the default – we explicitly do NOT set rel="nofollow"
-				$a->appendChild( $doc->createTextNode( $match ) );
-				$parent->insertBefore( $a, $node );
+		$post_id = (int) $link->post_id;
+		if ( ! isset( $this->chunk_texts[ $post_id ] ) ) {
+			$this->chunk_texts[ $post_id ] = SL_DB::get_chunk_texts( $post_id );
+		}
 
-				if ( $after !== '' ) {
-					$parent->insertBefore( $doc->createTextNode( $after ), $node );
+		$chunk = $this->chunk_texts[ $post_id ][ $chunk_index ] ?? '';
+
+		return [
+			'prefer' => $chunk !== '' ? $this->chunk_block( $root, $chunk ) : null,
+			'exempt' => $exempt,
+		];
+	}
+
+	/**
+	 * Top-level block containing a chunk's text.
+	 *
+	 * Chunks are plain text of the raw post_content (see
+	 * SL_Indexer::extract_chunks()), while the fragment went through
+	 * wpautop / wptexturize – so both sides are compared as lowercase
+	 * letters and digits only, on the first CHUNK_PROBE of them.
+	 */
+	private function chunk_block( DOMElement $root, string $chunk ): ?DOMNode {
+		$probe = mb_substr( self::letters( html_entity_decode( $chunk, ENT_QUOTES, 'UTF-8' ) ), 0, self::CHUNK_PROBE, 'UTF-8' );
+		if ( $probe === '' ) {
+			return null;
+		}
+
+		foreach ( $root->childNodes as $block ) {
+			if ( mb_strpos( self::letters( $block->textContent ), $probe, 0, 'UTF-8' ) !== false ) {
+				return $block;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Drop occurrences the placement rules forbid and move those in the
+	 * preferred block to the front (document order is kept otherwise).
+	 *
+	 * @param array[] $occurrences  See occurrences().
+	 * @param array   $placement    See placement_for().
+	 * @return array[]
+	 */
+	private function place( DOMElement $root, array $occurrences, array $placement ): array {
+		$rules     = $this->placement;
+		$prefer    = $placement['prefer'] ?? null;
+		$preferred = [];
+		$rest      = [];
+
+		foreach ( $occurrences as $occurrence ) {
+			list( $node, $pos, $len ) = $occurrence;
+			$block = $this->top_block( $node );
+
+			if ( ! empty( $placement['exempt'] ) ) {
+				$rest[] = $occurrence;
+				continue;
+			}
+
+			if ( $rules['skip_paragraphs'] > 0 && $this->paragraph_number( $block ) <= $rules['skip_paragraphs'] ) {
+				continue;
+			}
+
+			if ( ! $this->container_allowed( $node, $root ) ) {
+				continue;
+			}
+
+			if ( $rules['one_per_paragraph'] && in_array( $block, array_column( $this->placed, 'block' ), true ) ) {
+				continue;
+			}
+
+			if ( $rules['min_words'] > 0 && $this->placed ) {
+				$start = $this->word_offset( $root, $node ) + self::count_words( mb_substr( $node->nodeValue, 0, $pos, 'UTF-8' ) );
+				$end   = $start + self::count_words( mb_substr( $node->nodeValue, $pos, $len, 'UTF-8' ) );
+				foreach ( $this->placed as $placed ) {
+					$gap = $start >= $placed['end'] ? $start - $placed['end'] : $placed['start'] - $end;
+					if ( $gap < $rules['min_words'] ) {
+						continue 2;
+					}
 				}
+			}
 
-				/* Remove the original (now-split) text node */
-				$parent->removeChild( $node );
+			if ( $prefer !== null && $block === $prefer ) {
+				$preferred[] = $occurrence;
+			} else {
+				$rest[] = $occurrence;
+			}
+		}
 
-				return true;   // one replacement per link – done
+		return array_merge( $preferred, $rest );
+	}
+
+	/**
+	 * Number of paragraphs (top-level <p>) up to $block, counting a
+	 * non-paragraph block (list, table …) as part of the paragraph
+	 * after it – so "skip 2" also skips a list between the first two.
+	 */
+	private function paragraph_number( DOMNode $block ): int {
+		$count = 0;
+		for ( $sibling = $block; $sibling; $sibling = $sibling->previousSibling ) {
+			if ( $sibling instanceof DOMElement && strtolower( $sibling->tagName ) === 'p' ) {
+				$count++;
+			}
+		}
+
+		$is_paragraph = $block instanceof DOMElement && strtolower( $block->tagName ) === 'p';
+
+		return $is_paragraph ? $count : $count + 1;
+	}
+
+	/** Whether lists / tables / blockquotes around $node allow links. */
+	private function container_allowed( DOMNode $node, DOMElement $root ): bool {
+		for ( $el = $node->parentNode; $el && $el !== $root; $el = $el->parentNode ) {
+			$container = self::CONTAINERS[ strtolower( $el->nodeName ) ] ?? null;
+			if ( $container !== null && ! in_array( $container, $this->placement['containers'], true ) ) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/** Words in the text of $root before $node (document order). */
+	private function word_offset( DOMElement $root, DOMNode $node ): int {
+		$words = 0;
+		foreach ( ( new DOMXPath( $root->ownerDocument ) )->query( './/text()', $root ) as $text ) {
+			if ( $text->isSameNode( $node ) ) {
+				break;
 			}
+			$words += self::count_words( $text->nodeValue );
 		}
+		return $words;
+	}
+
+	private static function count_words( string $text ): int {
+		return (int) preg_match_all( '/[\p{L}\p{N}]+/u', $text );
+	}
 
-		return false;
+	/** Lowercase letters and digits only (punctuation and spaces removed). */
+	private static function letters( string $text ): string {
+		return mb_strtolower( preg_replace( '/[^\p{L}\p{N}]+/u', '', $text ), 'UTF-8' );
 	}
 
 	/* ── Helpers ────────────────────────────────────────────────── */
 
 	/**
-	 * Static snapshot of a node's children (avoids live-NodeList
-	 * mutation issues when we modify the tree during traversal).
-	 *
-	 * @return DOMNode[]
+	 * 1-based position of the top-level element (paragraph, list,
+	 * heading …) containing $node within the content fragment.
 	 */
-	private function snapshot( DOMNode $node ): array {
-		$out = [];
-		foreach ( $node->childNodes as $child ) {
-			$out[] = $child;
+	private function block_index( DOMNode $node ): int {
+		$node = $this->top_block( $node );
+
+		$index = 0;
+		for ( $sibling = $node; $sibling; $sibling = $sibling->previousSibling ) {
+			if ( $sibling->nodeType === XML_ELEMENT_NODE || ( $sibling->nodeType === XML_TEXT_NODE && trim( $sibling->nodeValue ) !== '' ) ) {
+				$index++;
+			}
 		}
-		return $out;
+
+		return $index;
+	}
+
+	/** Child of the fragment wrapper (paragraph, list, heading …) containing $node. */
+	private function top_block( DOMNode $node ): DOMNode {
+		while ( $node->parentNode && ! ( $node->parentNode instanceof DOMElement && strpos( (string) $node->parentNode->getAttribute( 'id' ), 'sl-root-' ) === 0 ) ) {
+			$node = $node->parentNode;
+		}
+		return $node;
 	}
 
 	/**
@@ -0,0 +1,488 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Background job runner – drives the indexing → matching → AI filter
+ * pipeline (SL_Indexer::process_batch(), which hands over to SL_Matcher)
+ * on the server, so a run no longer depends on a browser tab.
+ *
+ * A job is started from the settings page (sl_job_start) and then
+ * advances in "ticks": each tick takes a transient lock, runs batches
+ * for up to TIME_BUDGET seconds and schedules the next tick.  Ticks are
+ * delivered by a non-blocking loopback request to admin-ajax.php
+ * (sl_job_tick, authorised by a per-job token) and, as a fallback for
+ * hosts that block loopbacks, by a single WP-Cron event.  The matcher
+ * phases get one batch per tick – they load all title embeddings and
+ * are kept in separate requests, as before.
+ *
+ * Failures are retried with a growing delay (rate limits wait for
+ * retry_after); after MAX_ATTEMPTS failed ticks in a row the job fails.
+ * The current job and the last HISTORY_SIZE finished jobs are kept in
+ * options; admin.js only polls status() (sl_job_status), which also
+ * re-dispatches a job whose ticks stopped arriving.
+ *
+ * API usage of every tick is summed per job (see SL_Usage).  When the
+ * monthly API budget is used up the job pauses and re-checks every
+ * PAUSE_RECHECK seconds instead of failing.
+ */
+class SL_Jobs {
+
+	/** Job status => label. */
+	public const STATUSES = [
+		'running'   => 'W toku',
+		'complete'  => 'Zakończone',
+		'failed'    => 'Błąd',
+		'cancelled' => 'Anulowane',
+	];
+
+	/** WP-Cron hook (fallback) and AJAX action (loopback) of a tick. */
+	private const HOOK        = 'sl_run_job';
+	private const TICK_ACTION = 'sl_job_tick';
+
+	/** Current job (option, not autoloaded). */
+	private const JOB_OPTION = 'sl_job';
+
+	/** Finished jobs, newest first (option, not autoloaded). */
+	private const HISTORY_OPTION = 'sl_job_history';
+	private const HISTORY_SIZE   = 20;
+
+	/** Transient lock held while a tick runs – expires when the request dies. */
+	private const LOCK     = 'sl_job_lock';
+	private const LOCK_TTL = 300;
+
+	/** Seconds of batches per tick (well below a typical max_execution_time). */
+	private const TIME_BUDGET = 15;
+
+	/** Failed ticks in a row before the job is marked as failed. */
+	private const MAX_ATTEMPTS = 5;
+
+	/** Seconds to wait before retrying a failed tick (multiplied by attempt). */
+	private const RETRY_DELAY = 30;
+
+	/** Seconds between budget checks of a paused job. */
+	private const PAUSE_RECHECK = 900;
+
+	/** Seconds after the planned tick before the cron fallback fires. */
+	private const CRON_GRACE = 60;
+
+	/** A running job with no tick for this long is re-dispatched by status(). */
+	private const STALL_AFTER = 90;
+
+	public function __construct() {
+		add_action( self::HOOK, [ __CLASS__, 'run' ] );
+		add_action( 'wp_ajax_' . self::TICK_ACTION, [ __CLASS__, 'loopback' ] );
+		add_action( 'wp_ajax_nopriv_' . self::TICK_ACTION, [ __CLASS__, 'loopback' ] );
+	}
+
+	/* ── Control ────────────────────────────────────────────────── */
+
+	/**
+	 * Start a pipeline job (SL_Indexer::init_batch()) and dispatch its
+	 * first tick.
+	 *
+	 * @return array  status(), or [ 'error' => string ].
+	 */
+	public static function start(): array {
+		if ( self::is_running() ) {
+			return [ 'error' => 'Indeksacja w tle jest już w toku.' ];
+		}
+		if ( SL_Usage::budget_exceeded() ) {
+			return [ 'error' => SL_Usage::budget_message() ];
+		}
+
+		$result = SL_Indexer::init_batch();
+		if ( isset( $result['error'] ) ) {
+			return [ 'error' => $result['error'] ];
+		}
+
+		$now = time();
+		update_option( self::JOB_OPTION, [
+			'id'          => wp_generate_uuid4(),
+			'token'       => wp_generate_password( 32, false ),
+			'status'      => 'running',
+			'phase'       => 'indexing',
+			'percent'     => 0,
+			'total_posts' => (int) $result['total_posts'],
+			'processed'   => 0,
+			'message'     => $result['message'],
+			'warning'     => '',
+			'error'       => '',
+			'attempts'    => 0,
+			'ticks'       => 0,
+			'paused'      => false,
+			'usage'       => [],
+			'user_id'     => get_current_user_id(),
+			'started_at'  => current_time( 'mysql' ),
+			'finished_at' => '',
+			'heartbeat'   => $now,
+			'next_run'    => $now,
+		], false );
+
+		SL_Debug::log( 'jobs', 'Background job started', [ 'total_posts' => $result['total_posts'] ] );
+
+		self::dispatch( 0 );
+
+		return self::status();
+	}
+
+	/**
+	 * Cancel the running job and the indexing / matching session it drives.
+	 *
+	 * @return bool  False when no job was running.
+	 */
+	public static function cancel(): bool {
+		$job = self::current();
+
+		SL_Indexer::cancel( true );  // Also cancels matcher
+
+		if ( ! $job ) {
+			return false;
+		}
+
+		self::finish( $job, 'cancelled', 'Proces anulowany.' );
+		return true;
+	}
+
+	/**
+	 * Whether a job is running (possibly waiting for its next tick).
+	 */
+	public static function is_running(): bool {
+		return self::current() !== null;
+	}
+
+	/**
+	 * Public view of the running job, or of the last finished one when
+	 * nothing runs.  Re-dispatches a running job whose ticks stalled.
+	 *
+	 * @return array|null  Null when no job has run yet.
+	 */
+	public static function status(): ?array {
+		$job = self::current();
+
+		if ( $job ) {
+			$last = max( $job['heartbeat'], $job['next_run'] );
+			if ( time() - $last > self::STALL_AFTER && ! get_transient( self::LOCK ) ) {
+				SL_Debug::log( 'jobs', 'Job stalled – dispatching again', [ 'idle' => time() - $last ] );
+				self::dispatch( 0 );
+			}
+		} else {
+			$history = self::history();
+			$job     = $history[0] ?? null;
+		}
+
+		return $job ? self::view( $job ) : null;
+	}
+
+	/**
+	 * Finished jobs, newest first.
+	 *
+	 * @return array[]
+	 */
+	public static function history(): array {
+		return (array) get_option( self::HISTORY_OPTION, [] );
+	}
+
+	/**
+	 * The last finished jobs as exposed to admin.js (see view()).
+	 *
+	 * @param int $limit
+	 * @return array[]
+	 */
+	public static function history_view( int $limit = 10 ): array {
+		return array_map( function ( array $job ): array {
+			return self::view( $job );
+		}, array_slice( self::history(), 0, $limit ) );
+	}
+
+	/* ── Ticks ──────────────────────────────────────────────────── */
+
+	/**
+	 * Loopback entry point (sl_job_tick) – not a user request, so the
+	 * job token replaces the nonce.
+	 */
+	public static function loopback(): void {
+		$job   = self::current();
+		$token = sanitize_text_field( wp_unslash( $_POST['token'] ?? '' ) );
+
+		if ( $job && $token !== '' && hash_equals( $job['token'], $token ) ) {
+			ignore_user_abort( true );
+			self::run();
+		}
+
+		wp_die( '', '', [ 'response' => 200 ] );
+	}
+
+	/**
+	 * Run one tick of the current job (cron fallback and loopback).
+	 */
+	public static function run(): void {
+		$job = self::current();
+		if ( ! $job ) {
+			return;
+		}
+
+		// Waiting for a retry – let the cron event at next_run pick it up
+		if ( time() < $job['next_run'] ) {
+			self::schedule_cron( $job['next_run'] - time() );
+			return;
+		}
+
+		if ( get_transient( self::LOCK ) ) {
+			return;
+		}
+		set_transient( self::LOCK, $job['id'], self::LOCK_TTL );
+
+		SL_Debug::register_shutdown_handler();
+		SL_History::act_as( (int) $job['user_id'] );
+
+		$job['ticks']++;
+		$job['heartbeat'] = time();
+		$started = microtime( true );
+		$delay   = 0;
+
+		try {
+			do {
+				// Session cleared elsewhere (delete all links, WP-CLI cancel, expired transient)
+				if ( SL_Indexer::get_progress() === null ) {
+					delete_transient( self::LOCK );
+					self::finish( $job, 'cancelled', 'Sesja indeksacji została przerwana poza zadaniem.' );
+					return;
+				}
+
+				$result = SL_Indexer::process_batch();
+
+				if ( ! empty( $result['budget_exceeded'] ) ) {
+					$delay          = self::PAUSE_RECHECK;
+					$job['paused']  = true;
+					$job['message'] = $result['message'];
+					$job['warning'] = $result['message'];
+					break;
+				}
+				$job['paused'] = false;
+
+				if ( ! empty( $result['rate_limited'] ) ) {
+					$delay          = (int) ( $result['retry_after'] ?? 2 );
+					$job['message'] = $result['message'];
+					SL_Usage::record_retry( self::usage_kind( $job ) );
+
+					// Nobody waits for this response – a short pause here beats a new tick
+					if ( microtime( true ) - $started + $delay < self::TIME_BUDGET ) {
+						sleep( $delay );
+						$delay = 0;
+						continue;
+					}
+					break;
+				}
+
+				if ( isset( $result['error'] ) ) {
+					$delay = self::fail_attempt( $job, $result['error'] );
+					break;
+				}
+
+				$job['attempts'] = 0;
+				self::apply_result( $job, $result );
+
+				if ( ! empty( $result['complete'] ) ) {
+					delete_transient( self::LOCK );
+					self::finish( $job, 'complete', $result['message'] ?? 'Indeksacja i matching zakończone!' );
+					return;
+				}
+			} while ( $job['phase'] === 'indexing' && microtime( true ) - $started < self::TIME_BUDGET );
+		} catch ( \Throwable $e ) {
+			SL_Debug::log( 'error', 'Exception in background job: ' . $e->getMessage(), [
+				'file' => str_replace( ABSPATH, '', $e->getFile() ),
+				'line' => $e->getLine(),
+			] );
+			$delay = self::fail_attempt( $job, 'Błąd PHP: ' . $e->getMessage() );
+		}
+
+		delete_transient( self::LOCK );
+
+		if ( $job['status'] === 'failed' ) {
+			SL_Indexer::cancel( true );
+			self::finish( $job, 'failed', $job['error'] );
+			return;
+		}
+
+		$job['next_run'] = time() + $delay;
+		if ( self::save( $job ) ) {
+			self::dispatch( $delay );
+		}
+	}
+
+	/* ── Helpers ───────────────────────────────────────────────── */
+
+	/**
+	 * The running job, or null.
+	 */
+	private static function current(): ?array {
+		$job = get_option( self::JOB_OPTION, null );
+		return is_array( $job ) && ( $job['status'] ?? '' ) === 'running' ? $job : null;
+	}
+
+	/**
+	 * Store a tick's changes – unless the job was cancelled or replaced
+	 * while the tick ran.
+	 */
+	private static function save( array $job ): bool {
+		$stored = self::current();
+		if ( ! $stored || $stored['id'] !== $job['id'] ) {
+			return false;
+		}
+		$job['usage'] = SL_Usage::merge( $job['usage'] ?? [], SL_Usage::take_run() );
+		return update_option( self::JOB_OPTION, $job, false );
+	}
+
+	/**
+	 * Move a job to the history.
+	 */
+	private static function finish( array $job, string $status, string $message ): void {
+		$stored = self::current();
+		if ( ! $stored || $stored['id'] !== $job['id'] ) {
+			return;
+		}
+
+		$job['status']      = $status;
+		$job['message']     = $message;
+		$job['finished_at'] = current_time( 'mysql' );
+		$job['paused']      = false;
+		$job['usage']       = SL_Usage::merge( $job['usage'] ?? [], SL_Usage::take_run() );
+		if ( $status === 'complete' ) {
+			$job['phase']   = 'complete';
+			$job['percent'] = 100;
+		}
+		unset( $job['token'] );
+
+		$history = self::history();
+		array_unshift( $history, $job );
+		update_option( self::HISTORY_OPTION, array_slice( $history, 0, self::HISTORY_SIZE ), false );
+		delete_option( self::JOB_OPTION );
+		wp_clear_scheduled_hook( self::HOOK );
+
+		SL_Debug::log( 'jobs', 'Background job finished', [
+			'status'  => $status,
+			'message' => $message,
+			'ticks'   => $job['ticks'],
+		] );
+	}
+
+	/**
+	 * Count a failed tick; marks the job as failed after MAX_ATTEMPTS.
+	 *
+	 * @return int  Seconds to wait before the retry.
+	 */
+	private static function fail_attempt( array &$job, string $error ): int {
+		$job['attempts']++;
+		$job['error'] = $error;
+
+		if ( $job['attempts'] >= self::MAX_ATTEMPTS ) {
+			$job['status'] = 'failed';
+			return 0;
+		}
+		SL_Usage::record_retry( self::usage_kind( $job ) );
+
+		$delay          = self::RETRY_DELAY * $job['attempts'];
+		$job['message'] = sprintf( '%s Ponowienie %d/%d za %ds…', $error, $job['attempts'], self::MAX_ATTEMPTS - 1, $delay );
+
+		SL_Debug::log( 'jobs', 'Tick failed – retrying', [
+			'error'   => $error,
+			'attempt' => $job['attempts'],
+			'delay'   => $delay,
+		] );
+
+		return $delay;
+	}
+
+	/**
+	 * Usage kind of the job's current phase (see SL_Usage::KINDS).
+	 */
+	private static function usage_kind( array $job ): string {
+		return $job['phase'] === 'filtering' ? 'filter' : 'embedding';
+	}
+
+	/**
+	 * Copy the progress of a batch result (SL_Indexer::process_batch()) into the job.
+	 */
+	private static function apply_result( array &$job, array $result ): void {
+		$job['phase']       = $result['phase'] ?? $job['phase'];
+		$job['total_posts'] = (int) ( $result['total_posts'] ?? $job['total_posts'] );
+		$job['processed']   = (int) ( $result['processed'] ?? $job['processed'] );
+		$job['message']     = $result['message'] ?? $job['message'];
+		$job['error']       = '';
+
+		if ( isset( $result['percent'] ) ) {
+			$job['percent'] = (int) $result['percent'];
+		} elseif ( $job['phase'] !== 'indexing' ) {
+			$job['percent'] = 0;  // Matcher just initialised
+		}
+
+		if ( ! empty( $result['warning'] ) ) {
+			$job['warning'] = $result['warning'];
+		}
+	}
+
+	/**
+	 * Deliver the next tick: a loopback now + cron as the fallback, or
+	 * only cron when the tick is due later.
+	 *
+	 * @param int $delay  Seconds until the tick is due.
+	 */
+	private static function dispatch( int $delay ): void {
+		if ( $delay > 0 ) {
+			self::schedule_cron( $delay );
+			return;
+		}
+
+		self::schedule_cron( self::CRON_GRACE );
+
+		$job = self::current();
+		if ( ! $job ) {
+			return;
+		}
+
+		wp_remote_post( admin_url( 'admin-ajax.php' ), [
+			'timeout'   => 0.01,
+			'blocking'  => false,
+			'sslverify' => apply_filters( 'https_local_ssl_verify', false ),
+			'body'      => [
+				'action' => self::TICK_ACTION,
+				'token'  => $job['token'],
+			],
+		] );
+	}
+
+	private static function schedule_cron( int $delay ): void {
+		wp_clear_scheduled_hook( self::HOOK );
+		wp_schedule_single_event( time() + max( 0, $delay ), self::HOOK );
+	}
+
+	/**
+	 * Job fields exposed to admin.js / REST (no token).
+	 */
+	private static function view( array $job ): array {
+		$user = $job['user_id'] ? get_userdata( $job['user_id'] ) : false;
+
+		return [
+			'id'           => $job['id'],
+			'status'       => $job['status'],
+			'status_label' => self::STATUSES[ $job['status'] ] ?? $job['status'],
+			'phase'        => $job['phase'],
+			'percent'      => (int) $job['percent'],
+			'total_posts'  => (int) $job['total_posts'],
+			'processed'    => (int) $job['processed'],
+			'message'      => $job['message'],
+			'warning'      => $job['warning'],
+			'error'        => $job['error'],
+			'attempts'     => (int) $job['attempts'],
+			'ticks'        => (int) $job['ticks'],
+			'paused'       => ! empty( $job['paused'] ),
+			'usage'        => SL_Usage::summary( $job['usage'] ?? [] ),
+			'user'         => $user ? $user->display_name : '',
+			'started_at'   => $job['started_at'],
+			'finished_at'  => $job['finished_at'],
+			'complete'     => $job['status'] === 'complete',
+		];
+	}
+}
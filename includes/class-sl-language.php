@@ -0,0 +1,337 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Language profiles for anchor extraction, normalisation and the AI
+ * anchor filter, and the language of each post.
+ *
+ * A profile holds everything SL_Matcher used to hard-code for Polish:
+ *   stop_words  – removed from title words before anchor scoring;
+ *   trailing    – words an anchor must not end with (conjunctions,
+ *                 prepositions, short verbs – the phrase feels cut off);
+ *   suffixes    – endings stripped by stem() (crude stemming, the
+ *                 first matching one wins);
+ *   letters     – character class of the letters of the alphabet, used
+ *                 as word boundary by SL_Anchor_Locator;
+ *   prompt      – batch anchor filter prompt; %1$s is a JSON list of
+ *                 pairs { id, anchor, sentence, title } and the model
+ *                 answers { "verdicts": [ { id, match, confidence,
+ *                 reason } ] } with the reason in the profile language.
+ *
+ * The language of a post comes from WPML or Polylang when one of them
+ * is active, otherwise from the "content_language" setting ('auto' =
+ * site locale).  Languages without a profile use the English one for
+ * text processing but still count as their own language, so matching
+ * never pairs posts of different languages.
+ */
+class SL_Language {
+
+	/** Code => name, for the settings page. */
+	public const LANGUAGES = [
+		'pl' => 'Polski',
+		'en' => 'English',
+		'de' => 'Deutsch',
+		'cs' => 'Čeština',
+	];
+
+	/** Profile used for languages without their own. */
+	private const FALLBACK = 'en';
+
+	private const PROFILES = [
+		'pl' => [
+			'stop_words' => [
+				// Polish
+				'i', 'w', 'z', 'na', 'do', 'nie', 'się', 'jest', 'to', 'o', 'że', 'jak', 'ale', 'ze', 'te',
+				'co', 'ta', 'ten', 'czy', 'za', 'od', 'po', 'przed', 'dla', 'bez', 'pod', 'nad', 'już', 'tak',
+				'gdy', 'przy', 'an', 'by', 'ni', 'mnie', 'jego', 'jej', 'ich', 'tego', 'tej', 'tych', 'który',
+				'która', 'które', 'jaki', 'jaka', 'jakie',
+				// English (titles may mix languages)
+				'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'has', 'have', 'will',
+				'your', 'can', 'about',
+			],
+			'trailing'   => [
+				// Conjunctions
+				'oraz', 'i', 'lub', 'albo', 'czy', 'ani', 'bądź', 'a', 'ale', 'lecz', 'jednak', 'zaś',
+				'natomiast', 'więc', 'zatem', 'że', 'żeby', 'aby', 'bo', 'ponieważ', 'gdyż', 'jeśli', 'jeżeli',
+				'kiedy', 'gdy', 'chociaż', 'choć', 'mimo',
+				// Prepositions
+				'w', 'z', 'na', 'do', 'od', 'po', 'za', 'o', 'przez', 'dla', 'bez', 'pod', 'nad', 'przed',
+				'między', 'przy', 'u',
+				// Pronouns often indicating incomplete phrase
+				'który', 'która', 'które', 'którzy', 'których', 'jaki', 'jaka', 'jakie', 'jacyś', 'jakich',
+				'ten', 'ta', 'to', 'te', 'ci', 'ich', 'go', 'je', 'ją',
+				// Short verbs (make anchor feel incomplete)
+				'ma', 'mają', 'mogą', 'może', 'mogli', 'mogły', 'jest', 'są', 'był', 'była', 'było', 'byli',
+				'były', 'będzie', 'będą', 'się', 'nie', 'już', 'tak', 'jak', 'co', 'czy',
+				// Other
+				'też', 'także', 'również', 'nawet', 'tylko', 'właśnie',
+			],
+			'suffixes'   => [
+				// Noun cases
+				'ów', 'ach', 'ami', 'om', 'owi', 'em', 'ie', 'ę', 'ego', 'emu', 'ą', 'iej', 'ych', 'ymi', 'im',
+				// Adjective endings
+				'nego', 'nemu', 'nym', 'nej', 'nych', 'nymi', 'owego', 'owemu', 'owym', 'owej', 'owych',
+				'owymi',
+				// Common diminutives and other
+				'ka', 'ki', 'ek', 'ko', 'ce', 'cie',
+			],
+			'letters'    => 'a-zA-ZąćęłńóśźżĄĆĘŁŃÓŚŹŻ',
+			'prompt'     => 'Jesteś starszym specjalistą ds. SEO i lingwistyki. Twoim zadaniem jest ocena spójności semantycznej pomiędzy tekstami zakotwiczenia (anchor text) a tytułami artykułów docelowych w ramach strategii linkowania wewnętrznego.
+
+Przeanalizuj poniższe pary (JSON). Każda para zawiera identyfikator ("id"), anchor text ("anchor"), zdanie, w którym anchor występuje we wpisie źródłowym ("sentence" – może być puste), oraz tytuł artykułu docelowego ("title"):
+%1$s
+
+Kryteria oceny:
+1. Zgodność tematyczna: Czy anchor text odnosi się do głównego tematu, problemu lub słowa kluczowego zawartego w tytule?
+2. Synonimy i hiperonimy: Traktuj synonimy, wyrazy bliskoznaczne oraz kategorie nadrzędne jako pasujące (np. "buty" pasuje do "Obuwie sportowe na lato").
+3. Kontekst: Oceniaj znaczenie anchor textu w podanym zdaniu – to samo słowo w innym kontekście może oznaczać coś zupełnie innego.
+4. Intencja użytkownika: Czy użytkownik klikający w ten anchor text spodziewałby się trafić na artykuł o podanym tytule?
+
+Zasady wykluczenia:
+- Jeśli anchor text jest mylący, całkowicie niezwiązany tematycznie lub sugeruje zupełnie inny rodzaj treści – uznaj to za błąd.
+
+Format odpowiedzi:
+Zwróć WYŁĄCZNIE obiekt JSON, bez żadnych wyjaśnień ani wstępu, z jednym werdyktem dla każdej pary:
+{"verdicts": [{"id": 1, "match": true, "confidence": 0.9, "reason": "..."}]}
+- "match": true, jeśli relacja jest logiczna i semantycznie poprawna; false, jeśli brak powiązania semantycznego
+- "confidence": pewność oceny od 0 do 1
+- "reason": krótkie uzasadnienie po polsku (najwyżej 12 słów)',
+		],
+
+		'en' => [
+			'stop_words' => [
+				'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'has', 'have',
+				'had', 'will', 'your', 'you', 'can', 'about', 'into', 'onto', 'its', 'our', 'their', 'not',
+				'but', 'how', 'what', 'why', 'when', 'who', 'which', 'all', 'any', 'more', 'most', 'best',
+				'than', 'then', 'out', 'off', 'over', 'under', 'via', 'per', 'a', 'an', 'of', 'to', 'in',
+				'on', 'at', 'by', 'or', 'is', 'it', 'be', 'as',
+			],
+			'trailing'   => [
+				// Conjunctions
+				'and', 'or', 'but', 'nor', 'so', 'yet', 'because', 'although', 'though', 'if', 'when',
+				'while', 'whereas', 'unless', 'than', 'that',
+				// Prepositions and articles
+				'a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'into', 'about',
+				'over', 'under', 'between', 'through', 'without', 'via', 'per',
+				// Pronouns
+				'which', 'who', 'whom', 'whose', 'this', 'these', 'those', 'it', 'its', 'their', 'your', 'our',
+				// Short verbs
+				'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'can', 'could', 'will', 'would',
+				'may', 'might', 'should', 'must', 'do', 'does', 'did', 'not',
+				// Other
+				'also', 'even', 'only', 'just', 'too', 'very',
+			],
+			'suffixes'   => [ 'ational', 'ization', 'fulness', 'ousness', 'iveness', 'ations', 'ation', 'ments', 'ment', 'ness', 'ings', 'ing', 'ies', 'ied', 'ed', 'es', 's' ],
+			'letters'    => 'a-zA-Z',
+			'prompt'     => 'You are a senior SEO and linguistics specialist. Your task is to assess the semantic consistency between anchor texts and the titles of target articles as part of an internal linking strategy.
+
+Analyse the pairs below (JSON). Each pair has an identifier ("id"), the anchor text ("anchor"), the sentence of the source post the anchor appears in ("sentence" – may be empty) and the target article title ("title"):
+%1$s
+
+Evaluation criteria:
+1. Topical match: Does the anchor text refer to the main topic, problem or keyword of the title?
+2. Synonyms and hypernyms: Treat synonyms, near-synonyms and broader categories as matching (e.g. "shoes" matches "Summer sports footwear").
+3. Context: Judge the meaning of the anchor text in the given sentence – the same word can mean something entirely different in another context.
+4. User intent: Would a user clicking this anchor text expect to land on an article with this title?
+
+Exclusion rules:
+- If the anchor text is misleading, completely unrelated or suggests an entirely different kind of content, treat it as a mismatch.
+
+Response format:
+Return ONLY a JSON object, without any explanation or preamble, with one verdict for every pair:
+{"verdicts": [{"id": 1, "match": true, "confidence": 0.9, "reason": "..."}]}
+- "match": true if the relation is logical and semantically correct; false if there is no semantic connection
+- "confidence": certainty of the verdict from 0 to 1
+- "reason": a short justification in English (at most 12 words)',
+		],
+
+		'de' => [
+			'stop_words' => [
+				'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines',
+				'und', 'oder', 'aber', 'mit', 'für', 'von', 'vom', 'zum', 'zur', 'bei', 'aus', 'auf', 'ist',
+				'sind', 'war', 'wie', 'was', 'wer', 'nicht', 'auch', 'sich', 'ihr', 'ihre', 'sie', 'wir',
+				'ich', 'noch', 'nur', 'über', 'unter', 'nach', 'vor', 'durch', 'ohne', 'gegen', 'alle',
+				'im', 'am', 'an', 'in', 'zu', 'es', 'so', 'um',
+				// English (titles may mix languages)
+				'the', 'and', 'for', 'with',
+			],
+			'trailing'   => [
+				// Conjunctions
+				'und', 'oder', 'aber', 'sondern', 'denn', 'weil', 'dass', 'ob', 'wenn', 'als', 'wie',
+				'obwohl', 'damit', 'sowie', 'bzw',
+				// Articles and prepositions
+				'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines',
+				'mit', 'für', 'von', 'vom', 'zu', 'zum', 'zur', 'bei', 'aus', 'auf', 'an', 'am', 'in', 'im',
+				'über', 'unter', 'nach', 'vor', 'durch', 'ohne', 'gegen', 'zwischen', 'um',
+				// Pronouns
+				'welche', 'welcher', 'welches', 'dieser', 'diese', 'dieses', 'sich', 'sie', 'ihr', 'ihre', 'es',
+				// Short verbs
+				'ist', 'sind', 'war', 'waren', 'wird', 'werden', 'hat', 'haben', 'kann', 'können', 'muss',
+				'soll', 'nicht',
+				// Other
+				'auch', 'noch', 'nur', 'sehr', 'schon',
+			],
+			'suffixes'   => [ 'ungen', 'heiten', 'keiten', 'ung', 'heit', 'keit', 'isch', 'lich', 'ern', 'em', 'en', 'er', 'es', 'e', 'n', 's' ],
+			'letters'    => 'a-zA-ZäöüßÄÖÜ',
+			'prompt'     => 'Du bist ein erfahrener SEO- und Linguistik-Spezialist. Deine Aufgabe ist es, die semantische Übereinstimmung zwischen Ankertexten und den Titeln der Zielartikel im Rahmen einer internen Verlinkungsstrategie zu bewerten.
+
+Analysiere die folgenden Paare (JSON). Jedes Paar enthält eine Kennung ("id"), den Ankertext ("anchor"), den Satz des Quellartikels, in dem der Anker steht ("sentence" – kann leer sein), und den Titel des Zielartikels ("title"):
+%1$s
+
+Bewertungskriterien:
+1. Thematische Übereinstimmung: Bezieht sich der Ankertext auf das Hauptthema, das Problem oder das Schlüsselwort des Titels?
+2. Synonyme und Oberbegriffe: Synonyme, sinnverwandte Wörter und übergeordnete Kategorien gelten als passend (z. B. "Schuhe" passt zu "Sportschuhe für den Sommer").
+3. Kontext: Bewerte die Bedeutung des Ankertexts im angegebenen Satz – dasselbe Wort kann in einem anderen Zusammenhang etwas ganz anderes bedeuten.
+4. Nutzerabsicht: Würde ein Nutzer, der auf diesen Ankertext klickt, einen Artikel mit diesem Titel erwarten?
+
+Ausschlussregeln:
+- Ist der Ankertext irreführend, thematisch völlig unpassend oder deutet er auf eine ganz andere Art von Inhalt hin, gilt er als unpassend.
+
+Antwortformat:
+Gib AUSSCHLIESSLICH ein JSON-Objekt ohne Erklärungen oder Einleitung zurück, mit einem Urteil für jedes Paar:
+{"verdicts": [{"id": 1, "match": true, "confidence": 0.9, "reason": "..."}]}
+- "match": true, wenn die Beziehung logisch und semantisch korrekt ist; false, wenn keine semantische Verbindung besteht
+- "confidence": Sicherheit des Urteils von 0 bis 1
+- "reason": eine kurze Begründung auf Deutsch (höchstens 12 Wörter)',
+		],
+
+		'cs' => [
+			'stop_words' => [
+				'a', 'i', 'v', 've', 'z', 'ze', 'na', 'do', 'o', 'u', 'k', 'ke', 's', 'se', 'si', 'je', 'jsou',
+				'byl', 'to', 'ten', 'ta', 'ty', 'že', 'jak', 'ale', 'pro', 'po', 'od', 'za', 'před', 'pod',
+				'nad', 'při', 'bez', 'už', 'tak', 'když', 'jeho', 'její', 'jejich', 'který', 'která', 'které',
+				'jaký', 'jaká', 'jaké', 'nebo', 'není', 'jen',
+				// English (titles may mix languages)
+				'the', 'and', 'for', 'with',
+			],
+			'trailing'   => [
+				// Conjunctions
+				'a', 'i', 'nebo', 'ani', 'ale', 'avšak', 'však', 'že', 'aby', 'protože', 'jestli',
+				'jestliže', 'když', 'pokud', 'přestože', 'takže', 'tedy',
+				// Prepositions
+				'v', 've', 'z', 'ze', 'na', 'do', 'od', 'po', 'za', 'o', 'u', 'k', 'ke', 's', 'se', 'pro',
+				'přes', 'bez', 'pod', 'nad', 'před', 'mezi', 'při',
+				// Pronouns
+				'který', 'která', 'které', 'kteří', 'jaký', 'jaká', 'jaké', 'ten', 'ta', 'to', 'ty', 'jeho',
+				'její', 'jejich', 'ho', 'ji',
+				// Short verbs
+				'je', 'jsou', 'byl', 'byla', 'bylo', 'byli', 'bude', 'budou', 'má', 'mají', 'může', 'mohou',
+				'není', 'si',
+				// Other
+				'také', 'taky', 'jen', 'pouze', 'už', 'ještě', 'velmi',
+			],
+			'suffixes'   => [ 'ového', 'ovému', 'ovými', 'ových', 'ovým', 'ého', 'ému', 'ými', 'ých', 'ách', 'ami', 'ech', 'ům', 'ou', 'em', 'ím', 'ý', 'á', 'é', 'í', 'u', 'y', 'e', 'a' ],
+			'letters'    => 'a-zA-ZáčďéěíňóřšťúůýžÁČĎÉĚÍŇÓŘŠŤÚŮÝŽ',
+			'prompt'     => 'Jsi zkušený specialista na SEO a lingvistiku. Tvým úkolem je posoudit sémantickou souvislost mezi texty odkazů (anchor text) a názvy cílových článků v rámci strategie interního prolinkování.
+
+Analyzuj následující páry (JSON). Každý pár obsahuje identifikátor ("id"), text odkazu ("anchor"), větu zdrojového článku, ve které se odkaz nachází ("sentence" – může být prázdná), a název cílového článku ("title"):
+%1$s
+
+Kritéria hodnocení:
+1. Tematická shoda: Vztahuje se text odkazu k hlavnímu tématu, problému nebo klíčovému slovu názvu?
+2. Synonyma a nadřazené pojmy: Synonyma, slova podobného významu a nadřazené kategorie považuj za shodu (např. "boty" odpovídá "Sportovní obuv na léto").
+3. Kontext: Posuzuj význam textu odkazu v uvedené větě – stejné slovo může v jiném kontextu znamenat něco úplně jiného.
+4. Záměr uživatele: Očekával by uživatel, který klikne na tento text odkazu, článek s tímto názvem?
+
+Pravidla vyloučení:
+- Pokud je text odkazu zavádějící, tematicky zcela nesouvisející nebo naznačuje úplně jiný druh obsahu, považuj to za chybu.
+
+Formát odpovědi:
+Vrať POUZE objekt JSON bez vysvětlení a úvodu, s jedním verdiktem pro každý pár:
+{"verdicts": [{"id": 1, "match": true, "confidence": 0.9, "reason": "..."}]}
+- "match": true, pokud je vztah logický a sémanticky správný; false, pokud neexistuje sémantická souvislost
+- "confidence": jistota verdiktu od 0 do 1
+- "reason": krátké zdůvodnění česky (nejvýše 12 slov)',
+		],
+	];
+
+	/** @var array  post ID => language code (per request). */
+	private static array $post_languages = [];
+
+	/**
+	 * Profile of a language.
+	 *
+	 * @param string $code  Language code ('' = default language of the site).
+	 * @return array  See class description.
+	 */
+	public static function profile( string $code = '' ): array {
+		$code = $code !== '' ? $code : self::default_language();
+		return self::PROFILES[ $code ] ?? self::PROFILES[ self::FALLBACK ];
+	}
+
+	/**
+	 * Crude stem of a lowercase word: the first profile suffix it ends
+	 * with is stripped, as long as more than two letters remain.
+	 */
+	public static function stem( string $word, string $code = '' ): string {
+		foreach ( self::profile( $code )['suffixes'] as $suffix ) {
+			$len = mb_strlen( $suffix, 'UTF-8' );
+			if ( mb_strlen( $word, 'UTF-8' ) > $len + 2 && mb_substr( $word, -$len, null, 'UTF-8' ) === $suffix ) {
+				return mb_substr( $word, 0, -$len, 'UTF-8' );
+			}
+		}
+		return $word;
+	}
+
+	/**
+	 * Language of a post: WPML / Polylang assignment, else the default
+	 * language of the site.
+	 *
+	 * @return string  Two-letter code (may have no profile, e.g. 'fr').
+	 */
+	public static function for_post( int $post_id ): string {
+		if ( isset( self::$post_languages[ $post_id ] ) ) {
+			return self::$post_languages[ $post_id ];
+		}
+
+		$code = '';
+
+		if ( defined( 'ICL_SITEPRESS_VERSION' ) ) {
+			$details = apply_filters( 'wpml_post_language_details', null, $post_id );
+			if ( is_array( $details ) && ! empty( $details['language_code'] ) ) {
+				$code = (string) $details['language_code'];
+			}
+		} elseif ( function_exists( 'pll_get_post_language' ) ) {
+			$code = (string) pll_get_post_language( $post_id, 'slug' );
+		}
+
+		$code = $code !== '' ? self::normalize( $code ) : self::default_language();
+
+		return self::$post_languages[ $post_id ] = $code;
+	}
+
+	/**
+	 * Whether two posts are written in the same language (matching
+	 * only links those).
+	 */
+	public static function same_language( int $post_id_a, int $post_id_b ): bool {
+		return self::for_post( $post_id_a ) === self::for_post( $post_id_b );
+	}
+
+	/**
+	 * Language of posts without a WPML / Polylang assignment: the
+	 * content_language setting, or the site locale when it is 'auto'.
+	 */
+	public static function default_language(): string {
+		$setting = (string) SL_Settings::get( 'content_language', 'auto' );
+		return $setting !== 'auto' && $setting !== ''
+			? self::normalize( $setting )
+			: self::normalize( get_locale() );
+	}
+
+	/**
+	 * Whether a multilingual plugin assigns languages per post.
+	 */
+	public static function is_multilingual(): bool {
+		return defined( 'ICL_SITEPRESS_VERSION' ) || function_exists( 'pll_get_post_language' );
+	}
+
+	/**
+	 * 'pl_PL' / 'de-DE' / 'PL' → 'pl'.
+	 */
+	private static function normalize( string $locale ): string {
+		return strtolower( substr( preg_split( '/[_-]/', $locale )[0], 0, 3 ) );
+	}
+}
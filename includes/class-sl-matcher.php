@@ -23,6 +23,9 @@ if (!defined('ABSPATH')) {
  * This guarantees the anchor is real text from the article (exact
  * match span) while being semantically guided by the title words
  * of the target post.
+ *
+ * On large sites the chunk × title scan is narrowed to the nearest
+ * titles returned by SL_Vector_Index (see targets_for_chunk()).
  */
 class SL_Matcher
 {
@@ -30,8 +33,8 @@ class SL_Matcher
 	/** Number of source posts to process per batch for matching. */
 	private const BATCH_SIZE = 5;
 
-	/** Number of links to filter with Gemini per batch. */
-	private const GEMINI_BATCH_SIZE = 20;
+	/** Number of links to filter with Gemini per batch (one filter request). */
+	private const GEMINI_BATCH_SIZE = SL_Embedding_API::FILTER_BATCH_SIZE;
 
 	/** Transient key for storing matching progress. */
 	private const PROGRESS_KEY = 'sl_matching_progress';
@@ -42,6 +45,9 @@ class SL_Matcher
 	/** Filename for filesystem-based embedding cache (stored in wp-content/uploads/). */
 	private const TARGET_CACHE_FILE = 'semanticlinker-target-cache.bin';
 
+	/** Filename of the anchor embedding cache (wp-content/uploads/), see anchor_embeddings(). */
+	private const ANCHOR_CACHE_FILE = 'semanticlinker-anchor-cache.bin';
+
 	/** Maximum anchor clusters to store in transient (memory protection). */
 	private const MAX_CLUSTERS = 3000;
 
@@ -65,120 +71,8 @@ class SL_Matcher
 	 */
 	private const CUSTOM_URL_DEFAULT_THRESHOLD = 0.65;
 
-	/**
-	 * Common Polish word endings to strip for basic stemming/normalization.
-	 * Used as fallback when embedding-based clustering is not available.
-	 */
-	private const POLISH_SUFFIXES = [
-		// Noun cases
-		'ów',
-		'ach',
-		'ami',
-		'om',
-		'owi',
-		'em',
-		'ie',
-		'ę',
-		'ego',
-		'emu',
-		'ą',
-		'iej',
-		'ych',
-		'ymi',
-		'im',
-		// Adjective endings
-		'nego',
-		'nemu',
-		'nym',
-		'nej',
-		'nych',
-		'nymi',
-		'owego',
-		'owemu',
-		'owym',
-		'owej',
-		'owych',
-		'owymi',
-		// Common diminutives and other
-		'ka',
-		'ki',
-		'ek',
-		'ko',
-		'ce',
-		'cie',
-	];
-
-	/**
-	 * Polish + English stop-words (lowercased).
-	 * Stripped from title word sets before anchor scoring to avoid
-	 * false matches on function words.
-	 */
-	private const STOP_WORDS = [
-		// Polish
-		'i',
-		'w',
-		'z',
-		'na',
-		'do',
-		'nie',
-		'się',
-		'jest',
-		'to',
-		'o',
-		'że',
-		'jak',
-		'ale',
-		'ze',
-		'te',
-		'co',
-		'ta',
-		'ten',
-		'czy',
-		'za',
-		'od',
-		'po',
-		'przed',
-		'dla',
-		'bez',
-		'pod',
-		'nad',
-		'już',
-		'tak',
-		'gdy',
-		'przy',
-		'an',
-		'by',
-		'ni',
-		'mnie',
-		'jego',
-		'jej',
-		'ich',
-		'tego',
-		'tej',
-		'tych',
-		'który',
-		'która',
-		'które',
-		'jaki',
-		'jaka',
-		'jakie',
-		// English (titles may mix languages)
-		'the',
-		'and',
-		'for',
-		'with',
-		'that',
-		'this',
-		'from',
-		'are',
-		'was',
-		'has',
-		'have',
-		'will',
-		'your',
-		'can',
-		'about',
-	];
+	/** Nearest titles taken from SL_Vector_Index per content chunk. */
+	private const ANN_TOP_K = 50;
 
 	/**
 	 * Get the custom URL similarity threshold from settings.
@@ -214,111 +108,57 @@ class SL_Matcher
 		delete_option(self::TARGET_CACHE_KEY);  // clean up legacy DB entries
 	}
 
+	/* ── Entry point ──────────────────────────────────────────── */
+
 	/**
-	 * Polish conjunctions, prepositions, and short verbs that should not appear
-	 * at the end of an anchor (makes the anchor feel incomplete/cut off).
+	 * Target keys worth scoring for one content chunk.
+	 *
+	 * With a usable SL_Vector_Index only the ANN_TOP_K nearest posts
+	 * (plus every custom URL) are returned; otherwise all targets.
+	 *
+	 * @param float[] $vec         Chunk embedding.
+	 * @param array   $target_map  See build_target_map().
+	 * @return array  Keys of $target_map.
 	 */
-	private const TRAILING_FORBIDDEN = [
-		// Conjunctions
-		'oraz',
-		'i',
-		'lub',
-		'albo',
-		'czy',
-		'ani',
-		'bądź',
-		'a',
-		'ale',
-		'lecz',
-		'jednak',
-		'zaś',
-		'natomiast',
-		'więc',
-		'zatem',
-		'że',
-		'żeby',
-		'aby',
-		'bo',
-		'ponieważ',
-		'gdyż',
-		'jeśli',
-		'jeżeli',
-		'kiedy',
-		'gdy',
-		'chociaż',
-		'choć',
-		'mimo',
-		// Prepositions
-		'w',
-		'z',
-		'na',
-		'do',
-		'od',
-		'po',
-		'za',
-		'o',
-		'przez',
-		'dla',
-		'bez',
-		'pod',
-		'nad',
-		'przed',
-		'między',
-		'przy',
-		'u',
-		// Pronouns often indicating incomplete phrase
-		'który',
-		'która',
-		'które',
-		'którzy',
-		'których',
-		'jaki',
-		'jaka',
-		'jakie',
-		'jacyś',
-		'jakich',
-		'ten',
-		'ta',
-		'to',
-		'te',
-		'ci',
-		'ich',
-		'go',
-		'je',
-		'ją',
-		// Short verbs (make anchor feel incomplete)
-		'ma',
-		'mają',
-		'mogą',
-		'może',
-		'mogli',
-		'mogły',
-		'jest',
-		'są',
-		'był',
-		'była',
-		'było',
-		'byli',
-		'były',
-		'będzie',
-		'będą',
-		'się',
-		'nie',
-		'już',
-		'tak',
-		'jak',
-		'co',
-		'czy',
-		// Other
-		'też',
-		'także',
-		'również',
-		'nawet',
-		'tylko',
-		'właśnie',
-	];
+	private static function targets_for_chunk(array $vec, array $target_map): array
+	{
+		if (count($target_map) < SL_Vector_Index::MIN_POSTS) {
+			return array_keys($target_map);
+		}
+		$nearest = SL_Vector_Index::search($vec, self::ANN_TOP_K);
+		if ($nearest === null) {
+			return array_keys($target_map);
+		}
 
-	/* ── Entry point ──────────────────────────────────────────── */
+		$keys = [];
+		foreach ($nearest as $post_id) {
+			if (isset($target_map[$post_id])) {
+				$keys[] = $post_id;
+			}
+		}
+		foreach ($target_map as $key => $target) {
+			if (($target['target_type'] ?? 'post') === 'custom') {
+				$keys[] = $key;
+			}
+		}
+		return $keys;
+	}
+
+	/**
+	 * Title vector of a batch target, unpacked from the cache on first use.
+	 *
+	 * @param array      $target_map  Target map of process_matching_batch().
+	 * @param int|string $tid         Target key.
+	 * @return float[]
+	 */
+	private static function target_vector(array &$target_map, $tid): array
+	{
+		if (!isset($target_map[$tid]['vec'])) {
+			$target_map[$tid]['vec'] = array_values(unpack('f*', $target_map[$tid]['vec_binary']));
+			unset($target_map[$tid]['vec_binary']);
+		}
+		return $target_map[$tid]['vec'];
+	}
 
 	public function match_all(): void
 	{
@@ -343,6 +183,111 @@ class SL_Matcher
 			return;   // nothing to cross-reference
 		}
 
+		$target_map = self::build_target_map($title_rows);
+
+		SL_History::start('matching');
+
+		$stats = self::empty_stats();
+
+		/* Build anchor clusters for embedding-based deduplication */
+		$anchor_clusters = self::build_anchor_clusters();
+
+		/* Iterate every source post */
+		foreach ($title_rows as $source_row) {
+			$stats['posts_processed']++;
+			self::match_source((int) $source_row->post_id, (string) $source_row->chunk_text, $target_map, $anchor_clusters, $stats);
+		}
+
+		SL_History::finish();
+
+		SL_Debug::log('matcher', '=== MATCHER COMPLETED ===', $stats);
+	}
+
+	/**
+	 * Incremental variant of match_all() for a single (re-)indexed post.
+	 *
+	 *   1. Drops the post's active / filtered automatic links whose anchor
+	 *      no longer occurs in its content (manual links are kept).
+	 *   2. Matches the post as SOURCE against every title + custom URL.
+	 *   3. Matches every other post against this post's title only
+	 *      (the post as TARGET).
+	 *
+	 * @param int $post_id
+	 * @return array  Stats (see empty_stats()) plus links_removed.
+	 */
+	public static function match_single_post(int $post_id): array
+	{
+		$stats = self::empty_stats();
+		$stats['links_removed'] = 0;
+
+		SL_History::start('post', sprintf('Dopasowanie wpisu #%d', $post_id));
+
+		/* 1. Links whose anchor disappeared from the edited content */
+		foreach (['active', 'filtered'] as $status) {
+			foreach (SL_DB::get_links_for_post($post_id, $status) as $link) {
+				if ($link->origin !== 'manual' && !self::anchor_can_be_injected($post_id, $link->anchor_text)) {
+					SL_DB::delete_link((int) $link->ID);
+					$stats['links_removed']++;
+				}
+			}
+		}
+
+		if ($stats['links_removed'] > 0) {
+			do_action('sl_link_changed', $post_id);
+		}
+
+		SL_DB::preload_url_links_cache();
+
+		$title_rows = SL_DB::get_title_embeddings();
+		$own_row = null;
+		foreach ($title_rows as $row) {
+			if ((int) $row->post_id === $post_id) {
+				$own_row = $row;
+				break;
+			}
+		}
+
+		if (!$own_row || count($title_rows) < 2) {
+			SL_Debug::log('matcher', 'Single post match skipped - post not indexed or nothing to cross-reference', [
+				'post_id' => $post_id,
+			]);
+			SL_History::finish();
+			return $stats;
+		}
+
+		$target_map = self::build_target_map($title_rows);
+		$anchor_clusters = self::build_anchor_clusters();
+
+		/* 2. Post as source */
+		$stats['posts_processed']++;
+		self::match_source($post_id, (string) $own_row->chunk_text, $target_map, $anchor_clusters, $stats);
+
+		/* 3. Post as target */
+		$own_target = [$post_id => $target_map[$post_id]];
+		foreach ($title_rows as $row) {
+			$src_id = (int) $row->post_id;
+			if ($src_id === $post_id) {
+				continue;
+			}
+			$stats['posts_processed']++;
+			self::match_source($src_id, (string) $row->chunk_text, $own_target, $anchor_clusters, $stats);
+		}
+
+		SL_Debug::log('matcher', 'Single post match completed', array_merge(['post_id' => $post_id], $stats));
+
+		SL_History::finish();
+		return $stats;
+	}
+
+	/**
+	 * Target set: title vectors of the given posts plus every
+	 * embedded custom URL.
+	 *
+	 * @param object[] $title_rows  Rows from SL_DB::get_title_embeddings().
+	 * @return array  post_id|'custom_{ID}' => [ 'vec', 'title', 'target_type', 'url'? ]
+	 */
+	private static function build_target_map(array $title_rows): array
+	{
 		/* Index by post_id for O(1) lookup */
 		$target_map = [];     // post_id => [ 'vec' => float[], 'title' => string, 'target_type' => 'post'|'custom' ]
 		foreach ($title_rows as $row) {
@@ -370,17 +315,17 @@ class SL_Matcher
 			'titles' => array_map(fn($u) => $u->title, $custom_urls),
 		]);
 
-		$total_candidates_found = 0;
-		$total_links_created = 0;
-		$total_links_filtered = 0;
-		$posts_processed = 0;
-		$posts_skipped_max_links = 0;
-		$posts_skipped_no_chunks = 0;
-
-		/* Get excluded post IDs */
-		$excluded_ids = SL_Settings::get('excluded_post_ids', []);
+		return $target_map;
+	}
 
-		/* Build anchor clusters for embedding-based deduplication */
+	/**
+	 * Cluster the anchors of all active links by embedding similarity
+	 * (first anchor of each semantic cluster wins).
+	 *
+	 * @return array  [ ['anchor' => '...', 'embedding' => [...], 'target_url' => '...'], ... ]
+	 */
+	private static function build_anchor_clusters(): array
+	{
 		$anchor_clusters = [];  // [ ['anchor' => '...', 'embedding' => [...], 'target_url' => '...'], ... ]
 		$db_anchors = SL_DB::get_all_active_anchors();
 
@@ -394,16 +339,9 @@ class SL_Matcher
 				}
 			}
 
-			$api = new SL_Embedding_API();
-			$embeddings = $api->embed($anchor_texts);
-
-			if ($embeddings && count($embeddings) === count($anchor_texts)) {
-				// Build anchor → embedding map
-				$anchor_embedding_map = [];
-				foreach ($anchor_texts as $idx => $anchor) {
-					$anchor_embedding_map[$anchor] = $embeddings[$idx];
-				}
+			$anchor_embedding_map = self::anchor_embeddings($anchor_texts);
 
+			if ($anchor_embedding_map !== null) {
 				// Build clusters with semantic deduplication (first anchor wins)
 				foreach ($anchor_texts as $anchor) {
 					$embedding = $anchor_embedding_map[$anchor];
@@ -426,302 +364,412 @@ class SL_Matcher
 			}
 		}
 
-		/* Iterate every source post */
-		foreach ($title_rows as $source_row) {
-			$src_id = (int) $source_row->post_id;
-			$posts_processed++;
+		return $anchor_clusters;
+	}
 
-			/* Skip excluded source posts */
-			if (in_array($src_id, $excluded_ids, true)) {
-				continue;
-			}
+	/**
+	 * Embeddings of anchor texts.  Vectors are kept in a file cache in
+	 * uploads/ and only anchors not seen before are sent to the API –
+	 * single-post matching runs on every save and would otherwise
+	 * re-embed every active anchor of the site.  The cache is dropped
+	 * when the embedding model changes and keeps only the given anchors.
+	 *
+	 * @param string[] $anchors
+	 * @return array|null  anchor => float[], null when the API request failed.
+	 */
+	private static function anchor_embeddings(array $anchors): ?array
+	{
+		$api = new SL_Embedding_API();
+		$signature = $api->get_signature();
+		$upload_dir = wp_upload_dir();
+		$cache_file = $upload_dir['basedir'] . '/' . self::ANCHOR_CACHE_FILE;
 
-			$current_links = SL_DB::get_active_link_count($src_id);
-			if ($current_links >= $max_links) {
-				$posts_skipped_max_links++;
-				continue;
+		$cached = [];
+		if (file_exists($cache_file)) {
+			$cache = unserialize(gzuncompress((string) file_get_contents($cache_file)));
+			if (is_array($cache) && ($cache['signature'] ?? null) === $signature) {
+				$cached = $cache['vectors'];
 			}
+		}
 
-			/* Content chunks (skip index 0 = title) */
-			$all_chunks = SL_DB::get_embeddings($src_id);
-			$content_chunks = [];
-			foreach ($all_chunks as $c) {
-				if ((int) $c->chunk_index > 0) {
-					$content_chunks[] = $c;
-				}
+		$vectors = array_intersect_key($cached, array_flip($anchors));
+		$missing = array_values(array_diff($anchors, array_keys($vectors)));
+
+		if (!empty($missing)) {
+			$embeddings = $api->embed($missing);
+			if (!$embeddings || count($embeddings) !== count($missing)) {
+				return null;
 			}
+			foreach ($missing as $idx => $anchor) {
+				$vectors[$anchor] = pack('f*', ...$embeddings[$idx]);
+			}
+		}
 
-			if (empty($content_chunks)) {
-				$posts_skipped_no_chunks++;
-				SL_Debug::log('matcher', 'Post has no content chunks', [
-					'post_id' => $src_id,
-					'title' => $source_row->chunk_text,
-				]);
-				continue;
+		if (!empty($missing) || count($vectors) !== count($cached)) {
+			file_put_contents($cache_file, gzcompress(serialize(['signature' => $signature, 'vectors' => $vectors]), 6), LOCK_EX);
+		}
+
+		SL_Debug::log('matcher', 'Anchor embeddings loaded', [
+			'anchors' => count($anchors),
+			'cached' => count($anchors) - count($missing),
+			'embedded' => count($missing),
+		]);
+
+		$map = [];
+		foreach ($anchors as $anchor) {
+			$map[$anchor] = array_values(unpack('f*', $vectors[$anchor]));
+		}
+		return $map;
+	}
+
+	/**
+	 * Counters reported in the "MATCHER COMPLETED" debug entry.
+	 */
+	private static function empty_stats(): array
+	{
+		return [
+			'posts_processed' => 0,
+			'posts_skipped_max_links' => 0,
+			'posts_skipped_no_chunks' => 0,
+			'total_candidates' => 0,
+			'total_links_created' => 0,
+			'total_links_filtered' => 0,
+		];
+	}
+
+	/**
+	 * Score one source post's content chunks against the target map
+	 * and write the resulting links (respecting limits, blacklist,
+	 * category and cluster dedup).
+	 *
+	 * @param int    $src_id           Source post ID.
+	 * @param string $src_title        Source title (debug only).
+	 * @param array  $target_map       See build_target_map().
+	 * @param array  $anchor_clusters  See build_anchor_clusters(); new anchors are appended.
+	 * @param array  $stats            See empty_stats(); counters are incremented.
+	 */
+	private static function match_source(int $src_id, string $src_title, array $target_map, array &$anchor_clusters, array &$stats): void
+	{
+		$max_links = SL_Settings::get('max_links_per_post', 3);
+		$threshold = (float) SL_Settings::get('similarity_threshold', 0.85);
+		$excluded_ids = SL_Settings::get('excluded_post_ids', []);
+
+		/* Skip excluded source posts */
+		if (in_array($src_id, $excluded_ids, true)) {
+			return;
+		}
+
+		/* Skip source posts blocked by a blacklist rule */
+		if (SL_DB::is_source_blacklisted($src_id)) {
+			return;
+		}
+
+		$current_links = SL_DB::get_active_link_count($src_id);
+		if ($current_links >= $max_links) {
+			$stats['posts_skipped_max_links']++;
+			return;
+		}
+
+		/* Content chunks (skip index 0 = title) */
+		$all_chunks = SL_DB::get_embeddings($src_id);
+		$content_chunks = [];
+		foreach ($all_chunks as $c) {
+			if ((int) $c->chunk_index > 0) {
+				$content_chunks[] = $c;
 			}
+		}
 
-			/* ── Score every (chunk × target) pair ──────────────── */
-			$candidates = [];
-			$best_score_for_post = 0;
-			$scores_above_half = 0;
+		if (empty($content_chunks)) {
+			$stats['posts_skipped_no_chunks']++;
+			SL_Debug::log('matcher', 'Post has no content chunks', [
+				'post_id' => $src_id,
+				'title' => $src_title,
+			]);
+			return;
+		}
 
-			foreach ($content_chunks as $chunk) {
-				foreach ($target_map as $tid => $target) {
-					if ($tid === $src_id) {
-						continue;    // never link a post to itself
-					}
-					/* Skip excluded target posts */
-					if (in_array($tid, $excluded_ids, true)) {
-						continue;
-					}
-					$score = self::cosine($chunk->embedding, $target['vec']);
+		/* ── Score every (chunk × target) pair ──────────────── */
+		$candidates = [];
+		$best_score_for_post = 0;
+		$scores_above_half = 0;
 
-					if ($score > $best_score_for_post) {
-						$best_score_for_post = $score;
-					}
-					if ($score >= 0.5) {
-						$scores_above_half++;
-					}
+		foreach ($content_chunks as $chunk) {
+			foreach (self::targets_for_chunk($chunk->embedding, $target_map) as $tid) {
+				$target = $target_map[$tid];
+				if ($tid === $src_id) {
+					continue;    // never link a post to itself
+				}
+				/* Skip excluded target posts */
+				if (in_array($tid, $excluded_ids, true)) {
+					continue;
+				}
+				$score = self::cosine($chunk->embedding, $target['vec']);
 
-					// Custom URLs use a much lower threshold (user explicitly added them)
-					$is_custom = ($target['target_type'] ?? 'post') === 'custom';
-					$effective_threshold = $is_custom ? self::get_custom_url_threshold() : $threshold;
+				if ($score > $best_score_for_post) {
+					$best_score_for_post = $score;
+				}
+				if ($score >= 0.5) {
+					$scores_above_half++;
+				}
 
-					if ($score >= $effective_threshold) {
-						$candidates[] = [
-							'chunk' => $chunk->chunk_text,
-							'target_id' => $tid,
-							'target_title' => $target['title'],
-							'target_type' => $target['target_type'] ?? 'post',
-							'target_url' => $target['url'] ?? null,  // Pre-filled for custom URLs
-							'score' => $score,
-						];
-						$total_candidates_found++;
-					}
+				// Custom URLs use a much lower threshold (user explicitly added them)
+				$is_custom = ($target['target_type'] ?? 'post') === 'custom';
+				$effective_threshold = $is_custom ? self::get_custom_url_threshold() : $threshold;
+
+				if ($score >= $effective_threshold) {
+					$candidates[] = [
+						'chunk' => $chunk->chunk_text,
+						'chunk_index' => (int) $chunk->chunk_index,
+						'target_id' => $tid,
+						'target_title' => $target['title'],
+						'target_type' => $target['target_type'] ?? 'post',
+						'target_url' => $target['url'] ?? null,  // Pre-filled for custom URLs
+						'score' => $score,
+					];
+					$stats['total_candidates']++;
 				}
 			}
+		}
 
-			// Log best scores for debugging
-			if ($posts_processed <= 5 || $best_score_for_post >= $threshold) {
-				SL_Debug::log('matcher', 'Post similarity scores', [
-					'post_id' => $src_id,
-					'title' => $source_row->chunk_text,
-					'chunks_count' => count($content_chunks),
-					'best_score' => round($best_score_for_post, 4),
-					'scores_above_0.5' => $scores_above_half,
-					'candidates_found' => count($candidates),
-				]);
+		// Log best scores for debugging
+		if ($stats['posts_processed'] <= 5 || $best_score_for_post >= $threshold) {
+			SL_Debug::log('matcher', 'Post similarity scores', [
+				'post_id' => $src_id,
+				'title' => $src_title,
+				'chunks_count' => count($content_chunks),
+				'best_score' => round($best_score_for_post, 4),
+				'scores_above_0.5' => $scores_above_half,
+				'candidates_found' => count($candidates),
+			]);
+		}
+
+		if (empty($candidates)) {
+			return;
+		}
+
+		/* Sort: custom URLs first (priority), then by score descending */
+		usort($candidates, function ($a, $b) {
+			$a_custom = ($a['target_type'] ?? 'post') === 'custom' ? 1 : 0;
+			$b_custom = ($b['target_type'] ?? 'post') === 'custom' ? 1 : 0;
+			if ($a_custom !== $b_custom) {
+				return $b_custom <=> $a_custom;  // Custom first
 			}
+			return $b['score'] <=> $a['score'];
+		});
 
-			if (empty($candidates)) {
+		/* ── Write links (respecting limits & dedup) ──────────── */
+		$remaining = $max_links - SL_DB::get_active_link_count($src_id);
+		$used_targets = [];
+		$used_anchors = [];  // Track anchors used in this source post
+
+		foreach ($candidates as $c) {
+			if ($remaining <= 0) {
+				break;
+			}
+
+			/* Per-post dedup: one link per unique target */
+			if (in_array($c['target_id'], $used_targets, true)) {
 				continue;
 			}
 
-			/* Sort: custom URLs first (priority), then by score descending */
-			usort($candidates, function ($a, $b) {
-				$a_custom = ($a['target_type'] ?? 'post') === 'custom' ? 1 : 0;
-				$b_custom = ($b['target_type'] ?? 'post') === 'custom' ? 1 : 0;
-				if ($a_custom !== $b_custom) {
-					return $b_custom <=> $a_custom;  // Custom first
-				}
-				return $b['score'] <=> $a['score'];
-			});
+			$is_custom = ($c['target_type'] ?? 'post') === 'custom';
 
-			/* ── Write links (respecting limits & dedup) ──────────── */
-			$remaining = $max_links - SL_DB::get_active_link_count($src_id);
-			$used_targets = [];
-			$used_anchors = [];  // Track anchors used in this source post
+			// Get permalink: use pre-filled URL for custom, get_permalink for posts
+			if ($is_custom) {
+				$permalink = $c['target_url'];
+			} else {
+				$permalink = get_permalink($c['target_id']);
+			}
+			if (!$permalink) {
+				continue;
+			}
 
-			foreach ($candidates as $c) {
-				if ($remaining <= 0) {
-					break;
-				}
+			/* Skip if an active link to this URL already exists */
+			if (SL_DB::link_exists_for_post($src_id, $permalink)) {
+				continue;
+			}
 
-				/* Per-post dedup: one link per unique target */
-				if (in_array($c['target_id'], $used_targets, true)) {
-					continue;
-				}
+			/* Skip blacklisted combinations (pair + target URL rules) */
+			if (SL_DB::is_blacklisted($src_id, $permalink)) {
+				continue;
+			}
 
-				$is_custom = ($c['target_type'] ?? 'post') === 'custom';
+			/* Skip if this target URL already has max links (cluster limit)
+			 * Cache is preloaded at start and updated after each insert */
+			$max_links_per_url = (int) SL_Settings::get('max_links_per_url', 10);
+			if (SL_DB::get_active_links_to_url($permalink) >= $max_links_per_url) {
+				continue;
+			}
 
-				// Get permalink: use pre-filled URL for custom, get_permalink for posts
-				if ($is_custom) {
-					$permalink = $c['target_url'];
-				} else {
-					$permalink = get_permalink($c['target_id']);
-				}
-				if (!$permalink) {
+			/* Skip if same-category-only is enabled and posts don't share a category
+			 * Custom URLs are exempt (they don't have categories) */
+			if (!$is_custom && SL_Settings::get('same_category_only', true)) {
+				if (!self::posts_share_category($src_id, $c['target_id'])) {
 					continue;
 				}
+			}
 
-				/* Skip if an active link to this URL already exists */
-				if (SL_DB::link_exists_for_post($src_id, $permalink)) {
-					continue;
-				}
+			/* Never link across languages (custom URLs have no language) */
+			if (!$is_custom && !SL_Language::same_language($src_id, $c['target_id'])) {
+				continue;
+			}
 
-				/* Skip blacklisted combinations */
-				if (SL_DB::is_blacklisted($src_id, $permalink)) {
-					continue;
-				}
+			/* ── Anchor extraction ───────────────────────────── */
+			$language = SL_Language::for_post($src_id);
+			$anchor = self::find_anchor($c['chunk'], $c['target_title'], $language);
+			if (!$anchor || mb_strlen($anchor, 'UTF-8') < 3) {
+				SL_Debug::log('matcher', 'Anchor extraction failed', [
+					'source_id' => $src_id,
+					'target_id' => $c['target_id'],
+					'target_title' => $c['target_title'],
+					'chunk_preview' => mb_substr($c['chunk'], 0, 100),
+					'score' => round($c['score'], 4),
+				]);
+				continue;   // can't find a meaningful anchor → skip
+			}
 
-				/* Skip if this target URL already has max links (cluster limit)
-				 * Cache is preloaded at start and updated after each insert */
-				$max_links_per_url = (int) SL_Settings::get('max_links_per_url', 10);
-				if (SL_DB::get_active_links_to_url($permalink) >= $max_links_per_url) {
-					continue;
-				}
+			/* Skip anchors blocked by a phrase / regex rule */
+			$blocked_by = SL_DB::is_anchor_blacklisted($anchor);
+			if ($blocked_by !== null) {
+				SL_Debug::log('matcher', 'Anchor blacklisted - skipping', [
+					'source_id' => $src_id,
+					'anchor' => $anchor,
+					'rule' => $blocked_by,
+				]);
+				continue;
+			}
 
-				/* Skip if same-category-only is enabled and posts don't share a category
-				 * Custom URLs are exempt (they don't have categories) */
-				if (!$is_custom && SL_Settings::get('same_category_only', true)) {
-					if (!self::posts_share_category($src_id, $c['target_id'])) {
-						continue;
-					}
-				}
+			/* Skip if this anchor is already used for a different target in this source post */
+			$anchor_lower = mb_strtolower($anchor, 'UTF-8');
+			if (isset($used_anchors[$anchor_lower]) && $used_anchors[$anchor_lower] !== $permalink) {
+				SL_Debug::log('matcher', 'Anchor already used for different URL in this source - skipping', [
+					'source_id' => $src_id,
+					'anchor' => $anchor,
+					'existing_url' => $used_anchors[$anchor_lower],
+					'new_url' => $permalink,
+				]);
+				continue;
+			}
 
-				/* ── Anchor extraction ───────────────────────────── */
-				$anchor = self::find_anchor($c['chunk'], $c['target_title']);
-				if (!$anchor || mb_strlen($anchor, 'UTF-8') < 3) {
-					SL_Debug::log('matcher', 'Anchor extraction failed', [
-						'source_id' => $src_id,
-						'target_id' => $c['target_id'],
-						'target_title' => $c['target_title'],
-						'chunk_preview' => mb_substr($c['chunk'], 0, 100),
-						'score' => round($c['score'], 4),
-					]);
-					continue;   // can't find a meaningful anchor → skip
-				}
+			/* Skip if anchor only appears inside excluded tags (h1, h2, code, etc.)
+			 * - these links would never be injected anyway */
+			if (!self::anchor_can_be_injected($src_id, $anchor)) {
+				SL_Debug::log('matcher', 'Anchor only in excluded tags - skipping', [
+					'source_id' => $src_id,
+					'anchor' => $anchor,
+				]);
+				continue;
+			}
 
-				/* Skip if this anchor is already used for a different target in this source post */
-				$anchor_lower = mb_strtolower($anchor, 'UTF-8');
-				if (isset($used_anchors[$anchor_lower]) && $used_anchors[$anchor_lower] !== $permalink) {
-					SL_Debug::log('matcher', 'Anchor already used for different URL in this source - skipping', [
-						'source_id' => $src_id,
-						'anchor' => $anchor,
-						'existing_url' => $used_anchors[$anchor_lower],
-						'new_url' => $permalink,
-					]);
-					continue;
-				}
+			/* Embedding-based cluster deduplication */
+			$api = new SL_Embedding_API();
+			$anchor_embedding = $api->embed_single($anchor);
 
-				/* Skip if anchor only appears inside excluded tags (h1, h2, code, etc.)
-				 * - these links would never be injected anyway */
-				if (!self::anchor_can_be_injected($src_id, $anchor)) {
-					SL_Debug::log('matcher', 'Anchor only in excluded tags - skipping', [
-						'source_id' => $src_id,
-						'anchor' => $anchor,
-					]);
+			if (!$anchor_embedding) {
+				/* Fallback to text-based dedup if embedding fails */
+				SL_Debug::log('matcher', 'WARNING: Failed to embed anchor, using text fallback', [
+					'anchor' => $anchor,
+				]);
+				if (SL_DB::anchor_used_globally_for_different_url($anchor, $permalink)) {
 					continue;
 				}
+			} else {
+				/* Check if anchor belongs to any existing cluster */
+				$existing_cluster = self::find_anchor_cluster($anchor_embedding, $anchor_clusters);
 
-				/* Embedding-based cluster deduplication */
-				$api = new SL_Embedding_API();
-				$anchor_embedding = $api->embed_single($anchor);
-
-				if (!$anchor_embedding) {
-					/* Fallback to text-based dedup if embedding fails */
-					SL_Debug::log('matcher', 'WARNING: Failed to embed anchor, using text fallback', [
-						'anchor' => $anchor,
-					]);
-					if (SL_DB::anchor_used_globally_for_different_url($anchor, $permalink)) {
-						continue;
-					}
-				} else {
-					/* Check if anchor belongs to any existing cluster */
-					$existing_cluster = self::find_anchor_cluster($anchor_embedding, $anchor_clusters);
-
-					if ($existing_cluster) {
-						if ($existing_cluster['target_url'] !== $permalink) {
-							/* Conflict: same semantic cluster but different URL - skip this link */
-							SL_Debug::log('matcher', 'Cluster dedup: anchor belongs to cluster for different URL', [
-								'source_id' => $src_id,
-								'new_anchor' => $anchor,
-								'cluster_anchor' => $existing_cluster['anchor'],
-								'cluster_url' => $existing_cluster['target_url'],
-								'new_url' => $permalink,
-								'similarity' => round($existing_cluster['similarity'], 4),
-							]);
-							continue;
-						}
-						/* Same URL - anchor is already represented by this cluster, don't add duplicate */
-						SL_Debug::log('matcher', 'Cluster dedup: anchor already in cluster for same URL (no duplicate)', [
+				if ($existing_cluster) {
+					if ($existing_cluster['target_url'] !== $permalink) {
+						/* Conflict: same semantic cluster but different URL - skip this link */
+						SL_Debug::log('matcher', 'Cluster dedup: anchor belongs to cluster for different URL', [
 							'source_id' => $src_id,
 							'new_anchor' => $anchor,
 							'cluster_anchor' => $existing_cluster['anchor'],
-							'target_url' => $permalink,
+							'cluster_url' => $existing_cluster['target_url'],
+							'new_url' => $permalink,
 							'similarity' => round($existing_cluster['similarity'], 4),
 						]);
-					} else {
-						/* No existing cluster - register as new cluster entry */
-						$anchor_clusters[] = [
-							'anchor' => $anchor,
-							'embedding' => $anchor_embedding,
-							'target_url' => $permalink,
-						];
+						continue;
 					}
+					/* Same URL - anchor is already represented by this cluster, don't add duplicate */
+					SL_Debug::log('matcher', 'Cluster dedup: anchor already in cluster for same URL (no duplicate)', [
+						'source_id' => $src_id,
+						'new_anchor' => $anchor,
+						'cluster_anchor' => $existing_cluster['anchor'],
+						'target_url' => $permalink,
+						'similarity' => round($existing_cluster['similarity'], 4),
+					]);
+				} else {
+					/* No existing cluster - register as new cluster entry */
+					$anchor_clusters[] = [
+						'anchor' => $anchor,
+						'embedding' => $anchor_embedding,
+						'target_url' => $permalink,
+					];
 				}
+			}
 
-				/* Determine link status (active or filtered by Gemini) */
-				$link_status = 'active';
+			/* Determine link status (active or filtered by Gemini) */
+			$link_status = 'active';
+			$verdict = null;
 
-				/* Optional Gemini AI filter: verify anchor-title contextual match
-				 * Note: Custom URLs bypass Gemini filter (they're manually curated) */
-				$is_custom_target = ($c['target_type'] ?? 'post') === 'custom';
-				if (!$is_custom_target && SL_Settings::get('gemini_anchor_filter', false)) {
-					$api = new SL_Embedding_API();
-					if (!$api->evaluate_anchor_match($anchor, $c['target_title'])) {
-						SL_Debug::log('matcher', 'Gemini filter rejected anchor-title pair', [
-							'source_id' => $src_id,
-							'anchor' => $anchor,
-							'target_title' => $c['target_title'],
-						]);
-						$link_status = 'filtered';
-					}
+			/* Optional Gemini AI filter: verify anchor-title contextual match
+			 * Note: Custom URLs bypass Gemini filter (they're manually curated) */
+			$is_custom_target = ($c['target_type'] ?? 'post') === 'custom';
+			if (!$is_custom_target && SL_Settings::get('gemini_anchor_filter', false)) {
+				$api = new SL_Embedding_API();
+				$verdict = $api->evaluate_anchor_matches([[
+					'anchor' => $anchor,
+					'title' => $c['target_title'],
+					'sentence' => self::anchor_sentence($src_id, (int) $c['chunk_index'], $anchor),
+					'language' => $language,
+				]])[0];
+				if (!$verdict['match']) {
+					SL_Debug::log('matcher', 'Gemini filter rejected anchor-title pair', [
+						'source_id' => $src_id,
+						'anchor' => $anchor,
+						'target_title' => $c['target_title'],
+						'reason' => $verdict['reason'],
+					]);
+					$link_status = 'filtered';
 				}
+			}
 
-				$inserted = SL_DB::insert_link([
-					'post_id' => $src_id,
-					'anchor_text' => $anchor,
-					'target_url' => $permalink,
-					'target_post_id' => $is_custom_target ? 0 : $c['target_id'],  // 0 for custom URLs
-					'similarity_score' => round($c['score'], 4),
-					'status' => $link_status,
-				]);
+			$inserted = SL_DB::insert_link([
+				'post_id' => $src_id,
+				'anchor_text' => $anchor,
+				'target_url' => $permalink,
+				'target_post_id' => $is_custom_target ? 0 : $c['target_id'],  // 0 for custom URLs
+				'similarity_score' => round($c['score'], 4),
+				'chunk_index' => $c['chunk_index'],
+				'status' => $link_status,
+				'filter_confidence' => $verdict['confidence'] ?? null,
+				'filter_reason' => $verdict['reason'] ?? '',
+			]);
 
-				if ($inserted) {
-					$used_targets[] = $c['target_id'];
-					$used_anchors[$anchor_lower] = $permalink;  // Track anchor → URL mapping
-					$remaining--;
-
-					if ($link_status === 'active') {
-						$total_links_created++;
-						// Update URL links cache (for cluster limit enforcement)
-						SL_DB::increment_url_links_cache($permalink);
-						// Flush the frontend injection cache for this source post
-						delete_transient('sl_inj_' . $src_id);
-					} else {
-						$total_links_filtered++;
-					}
+			if ($inserted) {
+				$used_targets[] = $c['target_id'];
+				$used_anchors[$anchor_lower] = $permalink;  // Track anchor → URL mapping
+				$remaining--;
 
-					SL_Debug::log('matcher', 'Link created', [
-						'source_id' => $src_id,
-						'target_id' => $c['target_id'],
-						'anchor' => $anchor,
-						'score' => round($c['score'], 4),
-						'status' => $link_status,
-					]);
+				if ($link_status === 'active') {
+					$stats['total_links_created']++;
+					// Update URL links cache (for cluster limit enforcement)
+					SL_DB::increment_url_links_cache($permalink);
+					// Flush the frontend injection cache for this source post
+					delete_transient('sl_inj_' . $src_id);
+				} else {
+					$stats['total_links_filtered']++;
 				}
+
+				SL_Debug::log('matcher', 'Link created', [
+					'source_id' => $src_id,
+					'target_id' => $c['target_id'],
+					'anchor' => $anchor,
+					'score' => round($c['score'], 4),
+					'status' => $link_status,
+				]);
 			}
 		}
-
-		SL_Debug::log('matcher', '=== MATCHER COMPLETED ===', [
-			'posts_processed' => $posts_processed,
-			'posts_skipped_max_links' => $posts_skipped_max_links,
-			'posts_skipped_no_chunks' => $posts_skipped_no_chunks,
-			'total_candidates' => $total_candidates_found,
-			'total_links_created' => $total_links_created,
-			'total_links_filtered' => $total_links_filtered,
-		]);
 	}
 
 	/* ── Batch processing for AJAX ─────────────────────────────── */
@@ -761,7 +809,7 @@ class SL_Matcher
 
 		// Pre-load title embeddings and pack as float32 binary.
 		// This is a one-time 30-40s cost here, but each subsequent batch request
-		// loads from this cache in ~1s instead of paying the DB+JSON-decode penalty.
+		// loads from this cache in ~1s instead of paying the DB+decode penalty.
 		$title_rows = SL_DB::get_title_embeddings();
 
 		// Filter targets based on category settings
@@ -857,6 +905,7 @@ class SL_Matcher
 			'links_filtered' => 0,
 			'gemini_offset' => 0,
 			'gemini_enabled' => (bool) SL_Settings::get('gemini_anchor_filter', false),
+			'run_id' => SL_History::start('matching'),  // link history, continued by every batch
 		];
 
 		// Log transient data size for debugging (no embeddings stored now)
@@ -902,6 +951,8 @@ class SL_Matcher
 			return ['error' => 'Nie znaleziono sesji matchingu.'];
 		}
 
+		SL_History::resume($progress['run_id'] ?? '');
+
 		// Verify transient was loaded correctly
 		$loaded_clusters = count($progress['anchor_clusters'] ?? []);
 		SL_Debug::log('matcher', 'Transient loaded', [
@@ -923,6 +974,7 @@ class SL_Matcher
 		if ($progress['phase'] === 'complete') {
 			delete_transient(self::PROGRESS_KEY);
 			self::delete_target_cache();
+			SL_History::finish($progress['run_id'] ?? '');
 			return [
 				'complete' => true,
 				'message' => sprintf(
@@ -938,7 +990,7 @@ class SL_Matcher
 		$excluded_ids = SL_Settings::get('excluded_post_ids', []);
 
 		// Load target map from the cache populated during init_matching().
-		// Avoids the 30-40s DB+JSON-decode penalty that previously hit every batch.
+		// Avoids the 30-40s DB+decode penalty that previously hit every batch.
 		// Primary: filesystem cache (no MySQL/object-cache size limits).
 		// Fallback: DB option (legacy path, may also fail on constrained servers).
 		$target_cache = false;
@@ -964,7 +1016,7 @@ class SL_Matcher
 		if ($target_cache) {
 			foreach ($target_cache as $key => $cached) {
 				$entry = [
-					'vec' => array_values(unpack('f*', $cached['vec_binary'])),
+					'vec_binary' => $cached['vec_binary'],    // unpacked in target_vector()
 					'title' => $cached['title'],
 					'target_type' => $cached['target_type'] ?? 'post',
 				];
@@ -1089,6 +1141,7 @@ class SL_Matcher
 						'target_url' => $target_url,
 						'target_post_id' => $candidate['target_id'],
 						'similarity_score' => round($candidate['score'], 4),
+						'chunk_index' => $candidate['chunk_index'] ?? 0,
 						'status' => 'active',
 					]);
 					if ($inserted) {
@@ -1121,6 +1174,7 @@ class SL_Matcher
 
 				$progress['phase'] = 'complete';
 				set_transient(self::PROGRESS_KEY, $progress, HOUR_IN_SECONDS);
+				SL_History::finish();
 
 				return [
 					'complete' => true,
@@ -1182,6 +1236,11 @@ class SL_Matcher
 				continue;
 			}
 
+			// Skip source posts blocked by a blacklist rule
+			if (SL_DB::is_source_blacklisted($src_id)) {
+				continue;
+			}
+
 			$current_links = SL_DB::get_active_link_count($src_id);
 			if ($current_links >= $max_links) {
 				continue;
@@ -1205,7 +1264,8 @@ class SL_Matcher
 			$custom_max_scores = [];  // Track max score for each custom URL
 
 			foreach ($content_chunks as $chunk) {
-				foreach ($target_map as $tid => $target) {
+				foreach (self::targets_for_chunk($chunk->embedding, $target_map) as $tid) {
+					$target = $target_map[$tid];
 					if ($tid === $src_id) {
 						continue;
 					}
@@ -1213,7 +1273,7 @@ class SL_Matcher
 						continue;
 					}
 
-					$score = self::cosine($chunk->embedding, $target['vec']);
+					$score = self::cosine($chunk->embedding, self::target_vector($target_map, $tid));
 
 					// Track max score for custom URLs
 					$is_custom = ($target['target_type'] ?? 'post') === 'custom';
@@ -1230,6 +1290,7 @@ class SL_Matcher
 					if ($score >= $effective_threshold) {
 						$candidates[] = [
 							'chunk' => $chunk->chunk_text,
+							'chunk_index' => (int) $chunk->chunk_index,
 							'target_id' => $tid,
 							'target_title' => $target['title'],
 							'target_type' => $target['target_type'] ?? 'post',
@@ -1364,8 +1425,13 @@ class SL_Matcher
 					}
 				}
 
+				// Never link across languages (custom URLs have no language)
+				if (!$is_custom && !SL_Language::same_language($src_id, $c['target_id'])) {
+					continue;
+				}
+
 				// Anchor extraction
-				$anchor = self::find_anchor($c['chunk'], $c['target_title']);
+				$anchor = self::find_anchor($c['chunk'], $c['target_title'], SL_Language::for_post($src_id));
 				if (!$anchor || mb_strlen($anchor, 'UTF-8') < 3) {
 					if ($is_custom) {
 						SL_Debug::log('matcher', 'CUSTOM SKIP: no anchor found', [
@@ -1377,6 +1443,17 @@ class SL_Matcher
 					continue;
 				}
 
+				// Skip anchors blocked by a phrase / regex rule
+				$blocked_by = SL_DB::is_anchor_blacklisted($anchor);
+				if ($blocked_by !== null) {
+					SL_Debug::log('matcher', 'Anchor blacklisted - skipping', [
+						'source_id' => $src_id,
+						'anchor' => $anchor,
+						'rule' => $blocked_by,
+					]);
+					continue;
+				}
+
 				// Skip if this anchor is already used for a different target in this source post
 				$anchor_lower = mb_strtolower($anchor, 'UTF-8');
 				if (isset($used_anchors[$anchor_lower]) && $used_anchors[$anchor_lower] !== $permalink) {
@@ -1423,6 +1500,7 @@ class SL_Matcher
 					'anchor_lower' => $anchor_lower,
 					'target_url' => $permalink,
 					'score' => $c['score'],
+					'chunk_index' => $c['chunk_index'],
 				];
 
 				$used_targets[] = $c['target_id'];
@@ -1553,6 +1631,7 @@ class SL_Matcher
 					'anchor' => $anchor,
 					'target_url' => $permalink,
 					'score' => $pc['score'],
+					'chunk_index' => $pc['chunk_index'],
 				];
 			}
 		}
@@ -1616,6 +1695,7 @@ class SL_Matcher
 			// Gemini filtering complete
 			$progress['phase'] = 'complete';
 			set_transient(self::PROGRESS_KEY, $progress, HOUR_IN_SECONDS);
+			SL_History::finish();
 
 			// Diagnostic: count links in DB
 			global $wpdb;
@@ -1661,7 +1741,27 @@ class SL_Matcher
 		// Track anchors saved in this batch (to handle duplicates within same batch)
 		$batch_saved_anchors = [];
 
-		foreach ($batch as $candidate) {
+		/* Judge the whole batch in one AI request (cached verdicts are reused).
+		 * Custom URLs and anchors already taken by another URL are left out. */
+		$pairs = [];
+		foreach ($batch as $i => $candidate) {
+			$anchor_normalized = mb_strtolower(trim($candidate['anchor']), 'UTF-8');
+			if (
+				($candidate['target_type'] ?? 'post') === 'custom' ||
+				(isset($anchor_url_map[$anchor_normalized]) && $anchor_url_map[$anchor_normalized] !== $candidate['target_url'])
+			) {
+				continue;
+			}
+			$pairs[$i] = [
+				'anchor' => $candidate['anchor'],
+				'title' => $candidate['target_title'],
+				'sentence' => self::anchor_sentence((int) $candidate['source_id'], (int) ($candidate['chunk_index'] ?? 0), $candidate['anchor']),
+				'language' => SL_Language::for_post((int) $candidate['source_id']),
+			];
+		}
+		$verdicts = $pairs ? $api->evaluate_anchor_matches($pairs) : [];
+
+		foreach ($batch as $i => $candidate) {
 			$anchor_normalized = mb_strtolower(trim($candidate['anchor']), 'UTF-8');
 
 			// Check 1: Is this anchor already saved in DB for a DIFFERENT URL?
@@ -1694,6 +1794,7 @@ class SL_Matcher
 
 			/* Custom URLs bypass Gemini filter (they're manually curated) */
 			$is_custom_target = ($candidate['target_type'] ?? 'post') === 'custom';
+			$verdict = $verdicts[$i] ?? null;
 			if ($is_custom_target) {
 				$is_match = true;
 				SL_Debug::log('matcher', 'Custom URL: bypassing Gemini filter', [
@@ -1702,10 +1803,7 @@ class SL_Matcher
 					'target_url' => $candidate['target_url'],
 				]);
 			} else {
-				$is_match = $api->evaluate_anchor_match(
-					$candidate['anchor'],
-					$candidate['target_title']
-				);
+				$is_match = $verdict['match'] ?? true;
 			}
 
 			$status = $is_match ? 'active' : 'filtered';
@@ -1730,7 +1828,10 @@ class SL_Matcher
 				'target_url' => $target_url,
 				'target_post_id' => $candidate['target_id'],
 				'similarity_score' => round($candidate['score'], 4),
+				'chunk_index' => $candidate['chunk_index'] ?? 0,
 				'status' => $status,
+				'filter_confidence' => $verdict['confidence'] ?? null,
+				'filter_reason' => $verdict['reason'] ?? '',
 			]);
 
 			if ($inserted) {
@@ -1753,6 +1854,7 @@ class SL_Matcher
 					'anchor' => $candidate['anchor'],
 					'target_title' => $candidate['target_title'],
 					'status' => $status,
+					'reason' => $verdict['reason'] ?? '',
 				]);
 			}
 		}
@@ -1806,6 +1908,28 @@ class SL_Matcher
 		return get_transient(self::PROGRESS_KEY) ?: null;
 	}
 
+	/**
+	 * Extend the session's transient while the pipeline is paused
+	 * (monthly API budget).
+	 */
+	public static function keep_alive(): void
+	{
+		$progress = self::get_progress();
+		if ($progress) {
+			set_transient(self::PROGRESS_KEY, $progress, HOUR_IN_SECONDS);
+		}
+	}
+
+	/**
+	 * Whether a matching session is in progress (a finished session
+	 * keeps its transient until the next batch call clears it).
+	 */
+	public static function is_running(): bool
+	{
+		$progress = self::get_progress();
+		return $progress !== null && ($progress['phase'] ?? '') !== 'complete';
+	}
+
 	/**
 	 * Cancel ongoing matching and clean up all related state.
 	 *
@@ -1813,7 +1937,12 @@ class SL_Matcher
 	 */
 	public static function cancel(bool $cancel_indexer = true): void
 	{
-		$had_progress = get_transient(self::PROGRESS_KEY) !== false;
+		$progress = get_transient(self::PROGRESS_KEY);
+		$had_progress = $progress !== false;
+
+		if ($had_progress && !empty($progress['run_id'])) {
+			SL_History::finish($progress['run_id']);
+		}
 
 		delete_transient(self::PROGRESS_KEY);
 		self::delete_target_cache();
@@ -1828,6 +1957,138 @@ class SL_Matcher
 		}
 	}
 
+	/* ── Dry run (threshold simulator) ────────────────────────── */
+
+	/**
+	 * Sources and targets of a full matching run, same selection as
+	 * init_matching() but without touching the matching session.
+	 *
+	 * @return array  [ 'source_ids' => int[], 'target_map' => see build_target_map() ]
+	 */
+	public static function dry_run_setup(): array
+	{
+		$source_ids = SL_DB::get_indexed_post_ids();
+		$title_rows = SL_DB::get_title_embeddings();
+
+		$filtered_ids = SL_Indexer::get_filtered_post_ids();
+		if (!empty($filtered_ids)) {
+			$source_ids = array_values(array_intersect($source_ids, $filtered_ids));
+			$title_rows = array_filter($title_rows, function ($row) use ($filtered_ids) {
+				return in_array($row->post_id, $filtered_ids);
+			});
+		}
+
+		return [
+			'source_ids' => $source_ids,
+			'target_map' => self::build_target_map($title_rows),
+		];
+	}
+
+	/**
+	 * Dry-run candidate phase for one source post: every target whose
+	 * best chunk scores at least the floor and passes the checks that do
+	 * not depend on thresholds or on links created earlier in the run
+	 * (exclusions, blacklist, category, language, anchor extraction,
+	 * injectability).  Nothing is written to wp_semantic_links.
+	 *
+	 * Like the real run, a target falls back to its next best chunk when
+	 * no usable anchor is found in the best one.
+	 *
+	 * @param int   $src_id
+	 * @param array $target_map  See dry_run_setup().
+	 * @param array $floors      Minimum score: [ 'post' => float, 'custom' => float ].
+	 * @param int   $limit       Maximum number of candidates (best first).
+	 * @return array  [ [ 'target_id', 'target_key', 'target_type', 'target_title', 'target_url', 'anchor', 'score' ], ... ]
+	 *                'target_key' is the key in $target_map.
+	 */
+	public static function dry_run_source(int $src_id, array $target_map, array $floors, int $limit): array
+	{
+		$excluded_ids = SL_Settings::get('excluded_post_ids', []);
+
+		if (in_array($src_id, $excluded_ids, true) || SL_DB::is_source_blacklisted($src_id)) {
+			return [];
+		}
+
+		$content_chunks = array_filter(SL_DB::get_embeddings($src_id), function ($c) {
+			return (int) $c->chunk_index > 0;
+		});
+		if (empty($content_chunks)) {
+			return [];
+		}
+
+		/* Every (chunk × target) pair above the floor */
+		$scored = [];
+		foreach ($content_chunks as $chunk) {
+			foreach (self::targets_for_chunk($chunk->embedding, $target_map) as $tid) {
+				$target = $target_map[$tid];
+				if ($tid === $src_id || in_array($tid, $excluded_ids, true)) {
+					continue;
+				}
+				$type = $target['target_type'] ?? 'post';
+				$score = self::cosine($chunk->embedding, $target['vec']);
+				if ($score >= $floors[$type]) {
+					$scored[] = ['chunk' => $chunk->chunk_text, 'target_id' => $tid, 'score' => $score];
+				}
+			}
+		}
+
+		usort($scored, function ($a, $b) {
+			return $b['score'] <=> $a['score'];
+		});
+
+		$language = SL_Language::for_post($src_id);
+		$same_category = SL_Settings::get('same_category_only', true);
+		$candidates = [];
+		$rejected = [];  // targets that failed a check not depending on the chunk
+
+		foreach ($scored as $s) {
+			if (count($candidates) >= $limit) {
+				break;
+			}
+
+			$tid = $s['target_id'];
+			if (isset($candidates[$tid]) || isset($rejected[$tid])) {
+				continue;
+			}
+
+			$target = $target_map[$tid];
+			$is_custom = ($target['target_type'] ?? 'post') === 'custom';
+			$permalink = $is_custom ? $target['url'] : get_permalink($tid);
+
+			if (
+				!$permalink
+				|| SL_DB::is_blacklisted($src_id, $permalink)
+				|| (!$is_custom && $same_category && !self::posts_share_category($src_id, $tid))
+				|| (!$is_custom && !SL_Language::same_language($src_id, $tid))
+			) {
+				$rejected[$tid] = true;
+				continue;
+			}
+
+			$anchor = self::find_anchor($s['chunk'], $target['title'], $language);
+			if (
+				!$anchor
+				|| mb_strlen($anchor, 'UTF-8') < 3
+				|| SL_DB::is_anchor_blacklisted($anchor) !== null
+				|| !self::anchor_can_be_injected($src_id, $anchor)
+			) {
+				continue;   // try the next chunk of this target
+			}
+
+			$candidates[$tid] = [
+				'target_id' => $is_custom ? 0 : $tid,
+				'target_key' => $tid,
+				'target_type' => $is_custom ? 'custom' : 'post',
+				'target_title' => $target['title'],
+				'target_url' => $permalink,
+				'anchor' => $anchor,
+				'score' => $s['score'],
+			];
+		}
+
+		return array_values($candidates);
+	}
+
 	/* ── Anchor selection ─────────────────────────────────────── */
 
 	/**
@@ -1835,28 +2096,37 @@ class SL_Matcher
 	 * $target_title.
 	 *
 	 * The returned string is an **exact substring** of $chunk
-	 * (original casing preserved).
+	 * (original casing preserved) once HTML entities are decoded and
+	 * non-breaking spaces turned into spaces – the injector matches any
+	 * whitespace between words, see SL_Anchor_Locator.
 	 *
 	 * @param string $chunk         Plain-text source chunk (no HTML).
 	 * @param string $target_title  Title of the target post.
+	 * @param string $language      Language of the source post ('' = site language).
 	 * @return string|null          Best anchor, or null if nothing qualifies.
 	 */
-	public static function find_anchor(string $chunk, string $target_title)
+	public static function find_anchor(string $chunk, string $target_title, string $language = '')
 	{
 		/* Early exit for empty inputs */
 		if (empty($chunk) || empty($target_title)) {
 			return null;
 		}
 
+		$chunk = html_entity_decode($chunk, ENT_QUOTES | ENT_HTML5, 'UTF-8');
+		$chunk = preg_replace('/[\x{00A0}\x{2007}\x{202F}]/u', ' ', $chunk);
+
+		$profile = SL_Language::profile($language);
+		$stop_words = $profile['stop_words'];
+
 		/* Get anchor word count limits from settings */
 		$min_words = (int) SL_Settings::get('min_anchor_words', 2);
 		$max_words = (int) SL_Settings::get('max_anchor_words', 6);
 
 		/* Title words: lowercased, stop-words removed, min 3 chars */
 		$title_words = preg_split('/[\s\p{P}]+/u', mb_strtolower(strip_tags($target_title), 'UTF-8'));
-		$title_words = array_values(array_filter($title_words, function ($w) {
+		$title_words = array_values(array_filter($title_words, function ($w) use ($stop_words) {
 			return mb_strlen($w, 'UTF-8') >= 3
-				&& !in_array($w, self::STOP_WORDS, true);
+				&& !in_array($w, $stop_words, true);
 		}));
 
 		if (empty($title_words)) {
@@ -1925,7 +2195,7 @@ class SL_Matcher
 				 * Anchors like "zasady oraz" or "kredytu w" feel incomplete.
 				 */
 				$last_ngram_word = $ngram_words[count($ngram_words) - 1] ?? '';
-				if (in_array($last_ngram_word, self::TRAILING_FORBIDDEN, true)) {
+				if (in_array($last_ngram_word, $profile['trailing'], true)) {
 					continue;
 				}
 
@@ -1953,10 +2223,10 @@ class SL_Matcher
 				$last_word = $ngram_words[count($ngram_words) - 1] ?? '';
 
 				$completeness = 1.0;
-				if (in_array($last_word, self::STOP_WORDS, true)) {
+				if (in_array($last_word, $stop_words, true)) {
 					$completeness -= 0.15;  // Penalty for ending with stop-word
 				}
-				if (in_array($first_word, self::STOP_WORDS, true)) {
+				if (in_array($first_word, $stop_words, true)) {
 					$completeness -= 0.10;  // Smaller penalty for starting with stop-word
 				}
 
@@ -1979,17 +2249,12 @@ class SL_Matcher
 			return mb_strlen($a['text'], 'UTF-8') <=> mb_strlen($b['text'], 'UTF-8');
 		});
 
-		/* Return first candidate found as an exact (case-insensitive)
-		 * substring – extract with original casing from $chunk */
+		/* Return first candidate found as a whole-word (case-insensitive)
+		 * phrase – extract with original casing from $chunk */
 		foreach ($scored as $candidate) {
-			$pos = mb_stripos($chunk, $candidate['text'], 0, 'UTF-8');
-			if ($pos !== false) {
-				return mb_substr(
-					$chunk,
-					$pos,
-					mb_strlen($candidate['text'], 'UTF-8'),
-					'UTF-8'
-				);
+			$hit = SL_Anchor_Locator::find($chunk, $candidate['text'], $language);
+			if ($hit !== null) {
+				return mb_substr($chunk, $hit[0], $hit[1], 'UTF-8');
 			}
 		}
 
@@ -1999,14 +2264,15 @@ class SL_Matcher
 	/* ── Anchor normalization (for deduplication) ────────────────── */
 
 	/**
-	 * Normalize anchor text for comparison (Polish stemming-like).
+	 * Normalize anchor text for comparison (stemming-like).
 	 * Used to detect semantically similar anchors like "kredyt hipoteczny"
 	 * and "kredytu hipotecznego".
 	 *
 	 * @param string $anchor
+	 * @param string $language  Language of the anchor ('' = site language).
 	 * @return string  Normalized lowercase string with simplified word forms.
 	 */
-	public static function normalize_anchor(string $anchor): string
+	public static function normalize_anchor(string $anchor, string $language = ''): string
 	{
 		$words = preg_split('/\s+/u', mb_strtolower(trim($anchor), 'UTF-8'));
 		$normalized = [];
@@ -2017,19 +2283,8 @@ class SL_Matcher
 				continue;
 			}
 
-			// Try to strip common Polish suffixes
-			foreach (self::POLISH_SUFFIXES as $suffix) {
-				$len = mb_strlen($suffix, 'UTF-8');
-				if (
-					mb_strlen($word, 'UTF-8') > $len + 2 &&
-					mb_substr($word, -$len, null, 'UTF-8') === $suffix
-				) {
-					$word = mb_substr($word, 0, -$len, 'UTF-8');
-					break;
-				}
-			}
-
-			$normalized[] = $word;
+			// Strip a common suffix of the language
+			$normalized[] = SL_Language::stem($word, $language);
 		}
 
 		sort($normalized);  // Sort for consistent comparison
@@ -2118,6 +2373,45 @@ class SL_Matcher
 		return null;  // No conflict
 	}
 
+	/* ── AI filter context ─────────────────────────────────────── */
+
+	/**
+	 * Sentence of the source post that holds an anchor, sent to the AI
+	 * filter as context.  Looks in the link's chunk first, then in the
+	 * other chunks of the post; chunk texts are kept for the request.
+	 *
+	 * @param int    $post_id      Source post.
+	 * @param int    $chunk_index  Chunk the anchor was found in (0 = unknown).
+	 * @param string $anchor
+	 * @return string  '' when the anchor is not in the stored chunks.
+	 */
+	public static function anchor_sentence(int $post_id, int $chunk_index, string $anchor): string
+	{
+		static $chunks = [];
+
+		if (!isset($chunks[$post_id])) {
+			if (count($chunks) >= 50) {
+				$chunks = [];
+			}
+			$chunks[$post_id] = SL_DB::get_chunk_texts($post_id);
+		}
+
+		$texts = $chunks[$post_id];
+		if (isset($texts[$chunk_index])) {
+			$texts = [$chunk_index => $texts[$chunk_index]] + $texts;
+		}
+
+		$language = SL_Language::for_post($post_id);
+		foreach ($texts as $text) {
+			$sentence = SL_Anchor_Locator::sentence((string) $text, $anchor, $language);
+			if ($sentence !== '') {
+				return $sentence;
+			}
+		}
+
+		return '';
+	}
+
 	/* ── Anchor injection validation ───────────────────────────── */
 
 	/**
@@ -2167,18 +2461,11 @@ class SL_Matcher
 			}
 		}
 
-		/* Strip remaining HTML tags */
-		$plain_text = strip_tags($content);
-
-		/* Normalize whitespace */
-		$plain_text = preg_replace('/\s+/u', ' ', $plain_text);
-
-		/* Check if anchor exists as a standalone phrase (not just substring) */
-		$anchor_pattern = '/(?<![a-zA-ZąćęłńóśźżĄĆĘŁŃÓŚŹŻ])' .
-			preg_quote($anchor, '/') .
-			'(?![a-zA-ZąćęłńóśźżĄĆĘŁŃÓŚŹŻ])/iu';
+		/* Strip remaining HTML tags, decode entities (&nbsp; &amp; …) */
+		$plain_text = html_entity_decode(strip_tags($content), ENT_QUOTES | ENT_HTML5, 'UTF-8');
 
-		return (bool) preg_match($anchor_pattern, $plain_text);
+		/* Standalone phrase, same rules as the injector (not just a substring) */
+		return SL_Anchor_Locator::contains($plain_text, $anchor, SL_Language::for_post($post_id));
 	}
 
 	/* ── Category check ────────────────────────────────────────── */
@@ -2220,10 +2507,16 @@ class SL_Matcher
 			return 0.0;
 		}
 
+		/* Vectors from different models / providers live in different
+		 * spaces – comparing a prefix would yield a meaningless score */
+		$len = count($a);
+		if ($len !== count($b)) {
+			return 0.0;
+		}
+
 		$dot = 0.0;
 		$mag_a = 0.0;
 		$mag_b = 0.0;
-		$len = min(count($a), count($b));
 
 		for ($i = 0; $i < $len; $i++) {
 			$dot += $a[$i] * $b[$i];
@@ -0,0 +1,316 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Google Gemini backend.
+ *
+ * Embeddings go through `batchEmbedContents`, the anchor filter
+ * through `generateContent` on the configured filter model.
+ */
+class SL_Provider_Gemini implements SL_Embedding_Provider {
+
+	/** REST root of the Generative Language API. */
+	public const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+	/** Default embedding model. */
+	public const DEFAULT_MODEL = 'gemini-embedding-001';
+
+	/** Gemini accepts at most 100 texts per batchEmbedContents request. */
+	private const BATCH_SIZE = 100;
+
+	/** Smallest thinkingBudget gemini-2.5-pro accepts. */
+	private const PRO_MIN_THINKING_BUDGET = 128;
+
+	private string $api_key;
+	private string $model;
+	private string $filter_model;
+	private int $dimensions;
+	private int $last_http_code = 0;
+	private array $last_usage = [ 'input' => 0, 'output' => 0 ];
+
+	/**
+	 * @param string $api_key       Decrypted Gemini API key.
+	 * @param string $model         Embedding model name.
+	 * @param string $filter_model  Text-generation model for the anchor filter.
+	 * @param int    $dimensions    Requested output dimensionality (0 = model default).
+	 */
+	public function __construct( string $api_key, string $model, string $filter_model = 'gemini-2.5-flash', int $dimensions = 0 ) {
+		$this->api_key      = $api_key;
+		$this->model        = self::sanitize_model_name( $model, self::DEFAULT_MODEL );
+		$this->filter_model = self::sanitize_model_name( $filter_model, 'gemini-2.5-flash' );
+		$this->dimensions   = max( 0, $dimensions );
+	}
+
+	/**
+	 * Sanitize model name to prevent URL injection.
+	 * Only allows alphanumeric characters, hyphens, underscores, and dots.
+	 *
+	 * @param string $model     Raw model name.
+	 * @param string $fallback  Returned when nothing survives sanitization.
+	 * @return string           Sanitized model name.
+	 */
+	private static function sanitize_model_name( string $model, string $fallback ): string {
+		// Remove any characters that are not alphanumeric, hyphen, underscore, or dot
+		$sanitized = preg_replace( '/[^a-zA-Z0-9\-_.]/', '', $model );
+
+		return $sanitized !== '' ? $sanitized : $fallback;
+	}
+
+	public function get_id(): string {
+		return 'gemini';
+	}
+
+	public function get_model(): string {
+		return $this->model;
+	}
+
+	public function get_base_url(): string {
+		return self::BASE_URL;
+	}
+
+	public function get_dimensions(): int {
+		return $this->dimensions;
+	}
+
+	public function get_batch_size(): int {
+		return self::BATCH_SIZE;
+	}
+
+	public function is_configured(): bool {
+		return $this->api_key !== '';
+	}
+
+	public function get_last_http_code(): int {
+		return $this->last_http_code;
+	}
+
+	public function get_last_usage(): array {
+		return $this->last_usage;
+	}
+
+	/**
+	 * Embed a single batch of texts (max 100).
+	 *
+	 * @param string[] $texts
+	 * @return array|false
+	 */
+	public function embed_batch( array $texts ) {
+		$this->last_http_code = 0;
+		$this->last_usage     = [ 'input' => 0, 'output' => 0 ];
+
+		// Build requests array for batchEmbedContents
+		$requests = [];
+		foreach ( $texts as $text ) {
+			$request = [
+				'model'   => 'models/' . $this->model,
+				'content' => [
+					'parts' => [
+						[ 'text' => $text ]
+					]
+				]
+			];
+			if ( $this->dimensions > 0 ) {
+				$request['outputDimensionality'] = $this->dimensions;
+			}
+			$requests[] = $request;
+		}
+
+		$url = sprintf(
+			'%s/models/%s:batchEmbedContents?key=%s',
+			self::BASE_URL,
+			$this->model,
+			$this->api_key
+		);
+
+		SL_Debug::log( 'api', 'Calling Gemini API', [
+			'model'       => $this->model,
+			'texts_count' => count( $texts ),
+			'url'         => preg_replace( '/key=[^&]+/', 'key=***', $url ),
+		] );
+
+		$response = wp_remote_post(
+			$url,
+			[
+				'headers' => [
+					'Content-Type' => 'application/json',
+				],
+				'body'    => json_encode( [ 'requests' => $requests ] ),
+				'timeout' => 120,
+			]
+		);
+
+		if ( is_wp_error( $response ) ) {
+			SL_Debug::log( 'api', 'ERROR: WP Error', [
+				'error' => $response->get_error_message(),
+			] );
+			return false;
+		}
+
+		$code = (int) wp_remote_retrieve_response_code( $response );
+		$body = wp_remote_retrieve_body( $response );
+		$data = json_decode( $body, true );
+
+		$this->last_http_code = $code;
+
+		SL_Debug::log( 'api', 'Gemini API response', [
+			'status_code' => $code,
+			'has_embeddings' => isset( $data['embeddings'] ),
+			'embeddings_count' => isset( $data['embeddings'] ) ? count( $data['embeddings'] ) : 0,
+			'error' => $data['error'] ?? null,
+		] );
+
+		if ( $code !== 200 ) {
+			SL_Debug::log( 'api', 'ERROR: Non-200 response', [
+				'code' => $code,
+				'body' => substr( $body, 0, 500 ),
+			] );
+			return false;
+		}
+
+		if ( ! isset( $data['embeddings'] ) || ! is_array( $data['embeddings'] ) ) {
+			SL_Debug::log( 'api', 'ERROR: No embeddings in response', [
+				'body' => substr( $body, 0, 500 ),
+			] );
+			return false;
+		}
+
+		// Check for empty embeddings array
+		if ( empty( $data['embeddings'] ) ) {
+			SL_Debug::log( 'api', 'ERROR: Empty embeddings array in response', [
+				'texts_count' => count( $texts ),
+				'body'        => substr( $body, 0, 500 ),
+			] );
+			return false;
+		}
+
+		// Extract vectors from Gemini response format
+		$vectors = [];
+		foreach ( $data['embeddings'] as $embedding ) {
+			if ( isset( $embedding['values'] ) && is_array( $embedding['values'] ) ) {
+				$vectors[] = $embedding['values'];
+			} else {
+				SL_Debug::log( 'api', 'ERROR: Invalid embedding format', [
+					'embedding' => $embedding,
+				] );
+				return false;
+			}
+		}
+
+		SL_Debug::log( 'api', 'Successfully got embeddings', [
+			'count' => count( $vectors ),
+			'vector_dim' => ! empty( $vectors ) ? count( $vectors[0] ) : 0,
+		] );
+
+		return $vectors;
+	}
+
+	/**
+	 * Run a prompt through generateContent on the filter model.
+	 *
+	 * @param string $prompt
+	 * @param array  $options  'max_tokens' (int), 'json' (bool), 'thinking_budget' (int, Gemini 2.5 only –
+	 *                          thinking tokens count against maxOutputTokens).
+	 * @return string|false
+	 */
+	public function complete( string $prompt, array $options = [] ) {
+		$this->last_http_code = 0;
+		$this->last_usage     = [ 'input' => 0, 'output' => 0 ];
+
+		if ( ! $this->is_configured() ) {
+			SL_Debug::log( 'api', 'Anchor filter: API key is empty - skipping filter' );
+			return false;
+		}
+
+		$url = sprintf(
+			'%s/models/%s:generateContent?key=%s',
+			self::BASE_URL,
+			$this->filter_model,
+			$this->api_key
+		);
+
+		$generation_config = [
+			'temperature'     => 0.1,  // Low temperature for consistent responses
+			'maxOutputTokens' => (int) ( $options['max_tokens'] ?? 256 ),  // Gemini 2.5+ needs room for thinking + answer
+		];
+		if ( ! empty( $options['json'] ) ) {
+			$generation_config['responseMimeType'] = 'application/json';
+		}
+		if ( isset( $options['thinking_budget'] ) && strpos( $this->filter_model, 'gemini-2.5-' ) === 0 ) {
+			// Pro models cannot turn thinking off
+			$minimum = strpos( $this->filter_model, 'gemini-2.5-pro' ) === 0 ? self::PRO_MIN_THINKING_BUDGET : 0;
+			$generation_config['thinkingConfig'] = [ 'thinkingBudget' => max( $minimum, (int) $options['thinking_budget'] ) ];
+		}
+
+		$body = [
+			'contents' => [
+				[
+					'parts' => [
+						[ 'text' => $prompt ]
+					]
+				]
+			],
+			'generationConfig' => $generation_config,
+		];
+
+		$response = wp_remote_post(
+			$url,
+			[
+				'headers' => [
+					'Content-Type' => 'application/json',
+				],
+				'body'    => json_encode( $body ),
+				'timeout' => 45,  // Increased from 30s for AI generation
+			]
+		);
+
+		if ( is_wp_error( $response ) ) {
+			SL_Debug::log( 'api', 'Anchor filter: WP Error', [
+				'error' => $response->get_error_message(),
+			] );
+			SL_Embedding_API::track_error( 'connection', 'Błąd połączenia: ' . $response->get_error_message() );
+			return false;
+		}
+
+		$code      = (int) wp_remote_retrieve_response_code( $response );
+		$resp_body = wp_remote_retrieve_body( $response );
+		$data      = json_decode( $resp_body, true );
+
+		$this->last_http_code = $code;
+		$this->last_usage     = [
+			'input'  => (int) ( $data['usageMetadata']['promptTokenCount'] ?? 0 ),
+			// Thinking tokens are billed as output
+			'output' => (int) ( $data['usageMetadata']['candidatesTokenCount'] ?? 0 ) + (int) ( $data['usageMetadata']['thoughtsTokenCount'] ?? 0 ),
+		];
+
+		if ( $code !== 200 ) {
+			SL_Debug::log( 'api', 'Anchor filter: Non-200 response', [
+				'code' => $code,
+				'body' => substr( $resp_body, 0, 300 ),
+			] );
+			SL_Embedding_API::track_error( 'api_error', 'Błąd API (kod ' . $code . ')' );
+			return false;
+		}
+
+		// Check for MAX_TOKENS finish reason (indicates response was cut off)
+		$finish_reason = $data['candidates'][0]['finishReason'] ?? null;
+		if ( $finish_reason === 'MAX_TOKENS' ) {
+			SL_Debug::log( 'api', 'Anchor filter: Response cut off (MAX_TOKENS)' );
+			SL_Embedding_API::track_error( 'max_tokens', 'Odpowiedź API została obcięta (MAX_TOKENS)' );
+			return false;
+		}
+
+		// Extract text from Gemini response - validate structure first
+		if ( ! isset( $data['candidates'][0]['content']['parts'][0]['text'] ) ) {
+			SL_Debug::log( 'api', 'Anchor filter: Unexpected API response structure', [
+				'response_keys' => is_array( $data ) ? array_keys( $data ) : 'not_array',
+				'raw_response'  => substr( $resp_body, 0, 500 ),
+			] );
+			SL_Embedding_API::track_error( 'malformed', 'Nieprawidłowa struktura odpowiedzi API' );
+			return false;
+		}
+
+		return (string) $data['candidates'][0]['content']['parts'][0]['text'];
+	}
+}
@@ -0,0 +1,295 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Generic OpenAI-compatible backend.
+ *
+ * Talks to any server exposing `/embeddings` and `/chat/completions`
+ * under a common base URL (OpenAI itself, vLLM, Ollama, LocalAI,
+ * text-embeddings-inference, a test stub …).  The API key is
+ * optional – self-hosted servers usually run without one.
+ */
+class SL_Provider_OpenAI implements SL_Embedding_Provider {
+
+	/** Default base URL when none is configured. */
+	public const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+	/** Default embedding model. */
+	public const DEFAULT_MODEL = 'text-embedding-3-small';
+
+	/** Conservative per-request input limit; OpenAI allows more, local servers often less. */
+	private const BATCH_SIZE = 64;
+
+	private string $base_url;
+	private string $api_key;
+	private string $model;
+	private string $filter_model;
+	private int $dimensions;
+	private int $last_http_code = 0;
+	private array $last_usage = [ 'input' => 0, 'output' => 0 ];
+
+	/**
+	 * @param string $base_url      Server root, e.g. "http://127.0.0.1:8080/v1".
+	 * @param string $api_key       Bearer token (may be empty).
+	 * @param string $model         Embedding model name.
+	 * @param string $filter_model  Chat model for the anchor filter.
+	 * @param int    $dimensions    Requested output dimensionality (0 = model default).
+	 */
+	public function __construct( string $base_url, string $api_key, string $model, string $filter_model = '', int $dimensions = 0 ) {
+		$base_url = untrailingslashit( trim( $base_url ) );
+
+		$this->base_url     = $base_url !== '' ? $base_url : self::DEFAULT_BASE_URL;
+		$this->api_key      = $api_key;
+		$this->model        = trim( $model ) !== '' ? trim( $model ) : self::DEFAULT_MODEL;
+		$this->filter_model = trim( $filter_model );
+		$this->dimensions   = max( 0, $dimensions );
+	}
+
+	public function get_id(): string {
+		return 'openai';
+	}
+
+	public function get_model(): string {
+		return $this->model;
+	}
+
+	public function get_base_url(): string {
+		return $this->base_url;
+	}
+
+	public function get_dimensions(): int {
+		return $this->dimensions;
+	}
+
+	public function get_batch_size(): int {
+		return self::BATCH_SIZE;
+	}
+
+	/**
+	 * A well-formed http(s) base URL is required, plus an API key for
+	 * api.openai.com (also the default when no URL is set) – only
+	 * self-hosted servers may run without one.  wp_http_validate_url()
+	 * is deliberately not used: it rejects localhost / private hosts, which is
+	 * exactly where a self-hosted embedding server lives.
+	 */
+	public function is_configured(): bool {
+		$parts = wp_parse_url( $this->base_url );
+
+		return is_array( $parts )
+			&& in_array( $parts['scheme'] ?? '', [ 'http', 'https' ], true )
+			&& ! empty( $parts['host'] )
+			&& ( $this->api_key !== '' || strtolower( $parts['host'] ) !== wp_parse_url( self::DEFAULT_BASE_URL, PHP_URL_HOST ) );
+	}
+
+	public function get_last_http_code(): int {
+		return $this->last_http_code;
+	}
+
+	public function get_last_usage(): array {
+		return $this->last_usage;
+	}
+
+	/**
+	 * Common request headers.
+	 */
+	private function headers(): array {
+		$headers = [ 'Content-Type' => 'application/json' ];
+		if ( $this->api_key !== '' ) {
+			$headers['Authorization'] = 'Bearer ' . $this->api_key;
+		}
+		return $headers;
+	}
+
+	/**
+	 * POST a JSON payload to an endpoint under the base URL.
+	 *
+	 * @param string $path     Path relative to the base URL ("/embeddings").
+	 * @param array  $payload
+	 * @param int    $timeout
+	 * @return array|WP_Error  [ 'code' => int, 'body' => string, 'data' => mixed ]
+	 */
+	private function post( string $path, array $payload, int $timeout ) {
+		$response = wp_remote_post(
+			$this->base_url . $path,
+			[
+				'headers' => $this->headers(),
+				'body'    => wp_json_encode( $payload ),
+				'timeout' => $timeout,
+			]
+		);
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$body = wp_remote_retrieve_body( $response );
+
+		return [
+			'code' => (int) wp_remote_retrieve_response_code( $response ),
+			'body' => $body,
+			'data' => json_decode( $body, true ),
+		];
+	}
+
+	/**
+	 * Embed a single batch of texts.
+	 *
+	 * @param string[] $texts
+	 * @return array|false
+	 */
+	public function embed_batch( array $texts ) {
+		$this->last_http_code = 0;
+		$this->last_usage     = [ 'input' => 0, 'output' => 0 ];
+
+		$payload = [
+			'model' => $this->model,
+			'input' => array_values( $texts ),
+		];
+		if ( $this->dimensions > 0 ) {
+			$payload['dimensions'] = $this->dimensions;
+		}
+
+		SL_Debug::log( 'api', 'Calling OpenAI-compatible embeddings endpoint', [
+			'base_url'    => $this->base_url,
+			'model'       => $this->model,
+			'texts_count' => count( $texts ),
+		] );
+
+		$result = $this->post( '/embeddings', $payload, 120 );
+
+		if ( is_wp_error( $result ) ) {
+			SL_Debug::log( 'api', 'ERROR: WP Error', [
+				'error' => $result->get_error_message(),
+			] );
+			return false;
+		}
+
+		$this->last_http_code = $result['code'];
+		$data                 = $result['data'];
+		$this->last_usage     = [
+			'input'  => (int) ( $data['usage']['prompt_tokens'] ?? 0 ),
+			'output' => 0,
+		];
+
+		if ( $result['code'] !== 200 ) {
+			SL_Debug::log( 'api', 'ERROR: Non-200 response', [
+				'code' => $result['code'],
+				'body' => substr( $result['body'], 0, 500 ),
+			] );
+			return false;
+		}
+
+		if ( empty( $data['data'] ) || ! is_array( $data['data'] ) ) {
+			SL_Debug::log( 'api', 'ERROR: No embeddings in response', [
+				'body' => substr( $result['body'], 0, 500 ),
+			] );
+			return false;
+		}
+
+		// Servers are allowed to return items out of order – sort by "index".
+		$items = $data['data'];
+		usort( $items, function ( $a, $b ) {
+			return ( $a['index'] ?? 0 ) <=> ( $b['index'] ?? 0 );
+		} );
+
+		$vectors = [];
+		foreach ( $items as $item ) {
+			if ( ! isset( $item['embedding'] ) || ! is_array( $item['embedding'] ) ) {
+				SL_Debug::log( 'api', 'ERROR: Invalid embedding format', [
+					'item' => $item,
+				] );
+				return false;
+			}
+			$vectors[] = array_map( 'floatval', $item['embedding'] );
+		}
+
+		if ( count( $vectors ) !== count( $texts ) ) {
+			SL_Debug::log( 'api', 'ERROR: Embedding count mismatch', [
+				'expected' => count( $texts ),
+				'got'      => count( $vectors ),
+			] );
+			return false;
+		}
+
+		SL_Debug::log( 'api', 'Successfully got embeddings', [
+			'count'      => count( $vectors ),
+			'vector_dim' => ! empty( $vectors ) ? count( $vectors[0] ) : 0,
+		] );
+
+		return $vectors;
+	}
+
+	/**
+	 * Run a prompt through /chat/completions on the filter model.
+	 *
+	 * @param string $prompt
+	 * @param array  $options  'max_tokens' (int), 'json' (bool).
+	 * @return string|false
+	 */
+	public function complete( string $prompt, array $options = [] ) {
+		$this->last_http_code = 0;
+		$this->last_usage     = [ 'input' => 0, 'output' => 0 ];
+
+		if ( $this->filter_model === '' ) {
+			SL_Debug::log( 'api', 'Anchor filter: no chat model configured - skipping filter' );
+			return false;
+		}
+
+		$payload = [
+			'model'       => $this->filter_model,
+			'messages'    => [
+				[ 'role' => 'user', 'content' => $prompt ],
+			],
+			'temperature' => 0.1,
+			'max_tokens'  => (int) ( $options['max_tokens'] ?? 256 ),
+		];
+		if ( ! empty( $options['json'] ) ) {
+			$payload['response_format'] = [ 'type' => 'json_object' ];
+		}
+
+		$result = $this->post( '/chat/completions', $payload, 45 );
+
+		if ( is_wp_error( $result ) ) {
+			SL_Debug::log( 'api', 'Anchor filter: WP Error', [
+				'error' => $result->get_error_message(),
+			] );
+			SL_Embedding_API::track_error( 'connection', 'Błąd połączenia: ' . $result->get_error_message() );
+			return false;
+		}
+
+		$this->last_http_code = $result['code'];
+		$data                 = $result['data'];
+		$this->last_usage     = [
+			'input'  => (int) ( $data['usage']['prompt_tokens'] ?? 0 ),
+			'output' => (int) ( $data['usage']['completion_tokens'] ?? 0 ),
+		];
+
+		if ( $result['code'] !== 200 ) {
+			SL_Debug::log( 'api', 'Anchor filter: Non-200 response', [
+				'code' => $result['code'],
+				'body' => substr( $result['body'], 0, 300 ),
+			] );
+			SL_Embedding_API::track_error( 'api_error', 'Błąd API (kod ' . $result['code'] . ')' );
+			return false;
+		}
+
+		if ( ( $data['choices'][0]['finish_reason'] ?? null ) === 'length' ) {
+			SL_Debug::log( 'api', 'Anchor filter: Response cut off (length)' );
+			SL_Embedding_API::track_error( 'max_tokens', 'Odpowiedź API została obcięta (MAX_TOKENS)' );
+			return false;
+		}
+
+		if ( ! isset( $data['choices'][0]['message']['content'] ) ) {
+			SL_Debug::log( 'api', 'Anchor filter: Unexpected API response structure', [
+				'response_keys' => is_array( $data ) ? array_keys( $data ) : 'not_array',
+				'raw_response'  => substr( $result['body'], 0, 500 ),
+			] );
+			SL_Embedding_API::track_error( 'malformed', 'Nieprawidłowa struktura odpowiedzi API' );
+			return false;
+		}
+
+		return (string) $data['choices'][0]['message']['content'];
+	}
+}
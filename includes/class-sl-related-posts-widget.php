@@ -0,0 +1,82 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Classic widget listing related posts of the viewed post
+ * (see SL_Related_Posts).  Shows nothing outside single posts.
+ */
+class SL_Related_Posts_Widget extends WP_Widget {
+
+	public function __construct() {
+		parent::__construct(
+			'sl_related_posts',
+			'SemanticLinker – powiązane artykuły',
+			[ 'description' => 'Najbardziej podobne semantycznie opublikowane wpisy.' ]
+		);
+	}
+
+	/**
+	 * @param array $args      Sidebar wrappers.
+	 * @param array $instance  [ 'title' => string, 'count' => int ]
+	 */
+	public function widget( $args, $instance ): void {
+		if ( ! is_singular() ) {
+			return;
+		}
+
+		$title = (string) ( $instance['title'] ?? SL_Related_Posts::DEFAULT_TITLE );
+		$list  = SL_Related_Posts::render(
+			(int) get_queried_object_id(),
+			(int) ( $instance['count'] ?? SL_Related_Posts::DEFAULT_COUNT ),
+			''  // the sidebar's own heading markup is used instead
+		);
+		if ( $list === '' ) {
+			return;
+		}
+
+		echo $args['before_widget'];
+		if ( $title !== '' ) {
+			echo $args['before_title'] . esc_html( apply_filters( 'widget_title', $title, $instance, $this->id_base ) ) . $args['after_title'];
+		}
+		echo $list;
+		echo $args['after_widget'];
+	}
+
+	/**
+	 * @param array $instance
+	 */
+	public function form( $instance ): string {
+		$title = (string) ( $instance['title'] ?? SL_Related_Posts::DEFAULT_TITLE );
+		$count = (int) ( $instance['count'] ?? SL_Related_Posts::DEFAULT_COUNT );
+		?>
+		<p>
+			<label for="<?php echo esc_attr( $this->get_field_id( 'title' ) ); ?>">Tytuł:</label>
+			<input class="widefat" type="text"
+				id="<?php echo esc_attr( $this->get_field_id( 'title' ) ); ?>"
+				name="<?php echo esc_attr( $this->get_field_name( 'title' ) ); ?>"
+				value="<?php echo esc_attr( $title ); ?>">
+		</p>
+		<p>
+			<label for="<?php echo esc_attr( $this->get_field_id( 'count' ) ); ?>">Liczba wpisów:</label>
+			<input class="tiny-text" type="number" min="1" max="<?php echo (int) SL_Related_Posts::MAX_COUNT; ?>"
+				id="<?php echo esc_attr( $this->get_field_id( 'count' ) ); ?>"
+				name="<?php echo esc_attr( $this->get_field_name( 'count' ) ); ?>"
+				value="<?php echo (int) $count; ?>">
+		</p>
+		<?php
+		return '';
+	}
+
+	/**
+	 * @param array $new_instance
+	 * @param array $old_instance
+	 */
+	public function update( $new_instance, $old_instance ): array {
+		return [
+			'title' => sanitize_text_field( $new_instance['title'] ?? '' ),
+			'count' => max( 1, min( SL_Related_Posts::MAX_COUNT, absint( $new_instance['count'] ?? SL_Related_Posts::DEFAULT_COUNT ) ) ),
+		];
+	}
+}
@@ -0,0 +1,300 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * "Powiązane artykuły" – list of the most similar published posts.
+ *
+ * Available as the `semanticlinker/related-posts` block (rendered on the
+ * server, assets/js/related-block.js), the [semanticlinker_related]
+ * shortcode and a classic widget (SL_Related_Posts_Widget).
+ *
+ * Similarity reuses the stored embeddings: the mean of the post's chunk
+ * vectors is compared with the title vectors of the other indexed posts
+ * (on large sites only with the nearest ones from SL_Vector_Index).
+ * Candidates follow the matcher's target rules – published, of an
+ * indexed post type, not in excluded_post_ids, same language and, with
+ * same_category_only, sharing a category.
+ *
+ * The ranking of each post is cached in a transient keyed by a cache
+ * version; any embedding change (`sl_embeddings_changed`) or settings
+ * update bumps the version, and at the end of that request the old
+ * rankings and the injector cache that holds rendered content are
+ * deleted.
+ */
+class SL_Related_Posts {
+
+	/** Transient key prefix (post_id appended). */
+	private const CACHE_PREFIX = 'sl_rel_';
+
+	/** Cache lifetime in seconds. */
+	private const CACHE_TTL = DAY_IN_SECONDS;
+
+	/** Posts kept in the cached ranking (upper bound of "count"). */
+	public const MAX_COUNT = 20;
+
+	/** Default number of listed posts. */
+	public const DEFAULT_COUNT = 5;
+
+	/** Default heading. */
+	public const DEFAULT_TITLE = 'Powiązane artykuły';
+
+	/** Nearest titles taken from SL_Vector_Index before filtering. */
+	private const INDEX_CANDIDATES = 100;
+
+	/** Option holding the cache version (part of every transient key). */
+	private const CACHE_VERSION_OPTION = 'sl_related_cache_version';
+
+	/** Whether the cleanup is already queued for the end of this request. */
+	private static bool $cleanup_queued = false;
+
+	public function __construct() {
+		add_shortcode( 'semanticlinker_related', [ $this, 'shortcode' ] );
+		add_action( 'init', [ $this, 'register_block' ] );
+		add_action( 'widgets_init', [ $this, 'register_widget' ] );
+
+		add_action( 'sl_embeddings_changed', [ __CLASS__, 'flush_all_caches' ] );
+		add_action( 'update_option_' . SL_Settings::OPTION_KEY, [ __CLASS__, 'flush_all_caches' ] );
+	}
+
+	/* ── Block / shortcode / widget ─────────────────────────────── */
+
+	public function register_block(): void {
+		if ( ! function_exists( 'register_block_type' ) ) {
+			return;
+		}
+
+		wp_register_script(
+			'sl-related-block',
+			SL_PLUGIN_URL . 'assets/js/related-block.js',
+			[ 'wp-blocks', 'wp-element', 'wp-components', 'wp-block-editor', 'wp-server-side-render', 'wp-data' ],
+			SL_VERSION,
+			true
+		);
+
+		register_block_type( 'semanticlinker/related-posts', [
+			'editor_script'   => 'sl-related-block',
+			'render_callback' => [ $this, 'render_block' ],
+			'attributes'      => [
+				'count' => [ 'type' => 'number', 'default' => self::DEFAULT_COUNT ],
+				'title' => [ 'type' => 'string', 'default' => self::DEFAULT_TITLE ],
+			],
+		] );
+	}
+
+	/**
+	 * @param array $attributes  See register_block().
+	 */
+	public function render_block( array $attributes ): string {
+		return self::render(
+			self::current_post_id(),
+			(int) ( $attributes['count'] ?? self::DEFAULT_COUNT ),
+			(string) ( $attributes['title'] ?? self::DEFAULT_TITLE )
+		);
+	}
+
+	/**
+	 * [semanticlinker_related count="5" title="…" post_id="…"]
+	 *
+	 * @param array|string $atts
+	 */
+	public function shortcode( $atts ): string {
+		$atts = shortcode_atts( [
+			'count'   => self::DEFAULT_COUNT,
+			'title'   => self::DEFAULT_TITLE,
+			'post_id' => 0,
+		], $atts, 'semanticlinker_related' );
+
+		$post_id = absint( $atts['post_id'] ) ?: self::current_post_id();
+
+		return self::render( $post_id, (int) $atts['count'], (string) $atts['title'] );
+	}
+
+	public function register_widget(): void {
+		register_widget( 'SL_Related_Posts_Widget' );
+	}
+
+	/**
+	 * Markup of the list (empty string when there is nothing to show).
+	 *
+	 * @param int    $post_id  Post the list is shown for.
+	 * @param int    $count    1 – MAX_COUNT.
+	 * @param string $title    Heading ('' = none).
+	 */
+	public static function render( int $post_id, int $count, string $title ): string {
+		if ( ! $post_id ) {
+			return '';
+		}
+
+		$count = max( 1, min( self::MAX_COUNT, $count ) );
+
+		// Unpublished since the ranking was cached – skip rather than flush
+		$sl_related = array_slice( array_values( array_filter( self::get_related( $post_id ), function ( $id ) {
+			return get_post_status( $id ) === 'publish';
+		} ) ), 0, $count );
+
+		if ( empty( $sl_related ) ) {
+			return '';
+		}
+
+		$sl_related_title = $title;
+
+		ob_start();
+		require SL_PLUGIN_DIR . 'templates/related-posts.php';
+		return (string) ob_get_clean();
+	}
+
+	/* ── Ranking ────────────────────────────────────────────────── */
+
+	/**
+	 * IDs of the posts most similar to $post_id, best first (cached).
+	 *
+	 * @return int[]  At most MAX_COUNT IDs.
+	 */
+	public static function get_related( int $post_id ): array {
+		$key    = self::CACHE_PREFIX . (int) get_option( self::CACHE_VERSION_OPTION, 0 ) . '_' . $post_id;
+		$cached = get_transient( $key );
+		if ( is_array( $cached ) ) {
+			return $cached;
+		}
+
+		$related = self::compute( $post_id );
+		set_transient( $key, $related, self::CACHE_TTL );
+
+		return $related;
+	}
+
+	/**
+	 * Rank the other indexed posts by similarity to $post_id.
+	 *
+	 * @return int[]
+	 */
+	private static function compute( int $post_id ): array {
+		$vector = self::document_vector( SL_DB::get_embeddings( $post_id ) );
+		if ( empty( $vector ) ) {
+			return [];
+		}
+
+		$nearest = SL_Vector_Index::search( $vector, self::INDEX_CANDIDATES );
+		$rows    = $nearest !== null
+			? SL_DB::get_title_embeddings_for( $nearest )
+			: SL_DB::get_title_embeddings();
+
+		$excluded      = array_map( 'intval', (array) SL_Settings::get( 'excluded_post_ids', [] ) );
+		$post_types    = (array) SL_Settings::get( 'post_types', [ 'post' ] );
+		$same_category = (bool) SL_Settings::get( 'same_category_only', true );
+
+		$scores = [];
+		foreach ( $rows as $row ) {
+			$target_id = (int) $row->post_id;
+			if ( $target_id === $post_id || in_array( $target_id, $excluded, true ) || ! is_array( $row->embedding ) ) {
+				continue;
+			}
+			$score = SL_Matcher::cosine( $vector, $row->embedding );
+			if ( $score > 0 ) {
+				$scores[ $target_id ] = $score;
+			}
+		}
+		arsort( $scores );
+
+		// Post checks only until the list is full
+		$related = [];
+		foreach ( array_keys( $scores ) as $target_id ) {
+			$target = get_post( $target_id );
+			if (
+				! $target
+				|| $target->post_status !== 'publish'
+				|| ! in_array( $target->post_type, $post_types, true )
+				|| ! SL_Language::same_language( $post_id, $target_id )
+				|| ( $same_category && ! SL_Matcher::posts_share_category( $post_id, $target_id ) )
+			) {
+				continue;
+			}
+			$related[] = $target_id;
+			if ( count( $related ) >= self::MAX_COUNT ) {
+				break;
+			}
+		}
+
+		return $related;
+	}
+
+	/**
+	 * Mean of the chunk vectors of one post (title included).
+	 *
+	 * @param object[] $rows  SL_DB::get_embeddings() rows.
+	 * @return float[]  Empty when the post is not indexed.
+	 */
+	private static function document_vector( array $rows ): array {
+		$sum   = [];
+		$count = 0;
+		foreach ( $rows as $row ) {
+			if ( ! is_array( $row->embedding ) || empty( $row->embedding ) ) {
+				continue;
+			}
+			if ( empty( $sum ) ) {
+				$sum = array_fill( 0, count( $row->embedding ), 0.0 );
+			} elseif ( count( $row->embedding ) !== count( $sum ) ) {
+				continue;
+			}
+			foreach ( array_values( $row->embedding ) as $i => $x ) {
+				$sum[ $i ] += $x;
+			}
+			$count++;
+		}
+
+		if ( ! $count ) {
+			return [];
+		}
+
+		return array_map( function ( $x ) use ( $count ) {
+			return $x / $count;
+		}, $sum );
+	}
+
+	/* ── Cache ──────────────────────────────────────────────────── */
+
+	/**
+	 * Invalidate every cached ranking – one post's vectors change the
+	 * lists of others too.  The version bump takes effect at once, on
+	 * every call (a cron run changes embeddings many times while front-end
+	 * requests keep caching); deleting the rows is queued once for the end
+	 * of the request.
+	 */
+	public static function flush_all_caches(): void {
+		update_option( self::CACHE_VERSION_OPTION, (int) get_option( self::CACHE_VERSION_OPTION, 0 ) + 1 );
+
+		if ( ! self::$cleanup_queued ) {
+			self::$cleanup_queued = true;
+			add_action( 'shutdown', [ __CLASS__, 'delete_caches' ] );
+		}
+	}
+
+	/**
+	 * Delete the cached rankings and rendered content (shutdown, after
+	 * the last embedding change of the request).
+	 */
+	public static function delete_caches(): void {
+		global $wpdb;
+
+		$prefix         = $wpdb->esc_like( '_transient_' . self::CACHE_PREFIX ) . '%';
+		$timeout_prefix = $wpdb->esc_like( '_transient_timeout_' . self::CACHE_PREFIX ) . '%';
+
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$wpdb->options}
+				 WHERE option_name LIKE %s OR option_name LIKE %s",
+				$prefix,
+				$timeout_prefix
+			)
+		);
+
+		// Rendered content (with a block / shortcode list) is cached by the injector
+		SL_Injector::flush_all_caches();
+	}
+
+	private static function current_post_id(): int {
+		return is_singular() ? (int) get_queried_object_id() : (int) get_the_ID();
+	}
+}
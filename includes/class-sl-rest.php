@@ -0,0 +1,394 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * REST API – namespace `semanticlinker/v1`.
+ *
+ * Routes
+ * ──────
+ *   GET    /links               – paginated, filterable link list.
+ *   GET    /links/<id>          – single link.
+ *   POST   /links/<id>          – moderate: { status: active|rejected }
+ *                                 (same side effects as sl_reject_link /
+ *                                 sl_restore_link: blacklist + cache flush).
+ *   GET    /blacklist           – paginated blacklist (pairs + rules).
+ *   DELETE /blacklist/<id>      – remove one entry / rule.
+ *   GET    /custom-urls         – custom URL targets (without vectors).
+ *   GET    /status              – link counts + indexing / matching progress
+ *                                 and the background job (SL_Jobs).
+ *   POST   /track               – click / impression beacon of the front end:
+ *                                 { impressions: int[], clicks: int[] },
+ *                                 see SL_Tracking.
+ *
+ * Authentication is left to WordPress (cookie + X-WP-Nonce or
+ * application passwords); every route requires manage_options, except
+ * link moderation which – like the editor sidebar – also allows users
+ * who can edit the source post, and the public tracking beacon.
+ */
+class SL_REST {
+
+	public const ROUTE_NAMESPACE = 'semanticlinker/v1';
+
+	/** Upper bound of the per_page parameter. */
+	private const MAX_PER_PAGE = 100;
+
+	public function __construct() {
+		add_action( 'rest_api_init', [ $this, 'register_routes' ] );
+	}
+
+	public function register_routes(): void {
+		register_rest_route( self::ROUTE_NAMESPACE, '/links', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ $this, 'get_links' ],
+			'permission_callback' => [ $this, 'can_manage' ],
+			'args'                => array_merge( $this->pagination_args(), [
+				'status'     => [
+					'type' => 'string',
+					'enum' => [ 'active', 'rejected', 'filtered', 'orphaned' ],
+				],
+				'source'     => [
+					'type'    => 'integer',
+					'minimum' => 1,
+				],
+				'target'     => [
+					'type'    => 'integer',
+					'minimum' => 1,
+				],
+				'target_url' => [
+					'type'   => 'string',
+					'format' => 'uri',
+				],
+				'min_score'  => [
+					'type'    => 'number',
+					'minimum' => 0,
+					'maximum' => 1,
+				],
+				'max_score'  => [
+					'type'    => 'number',
+					'minimum' => 0,
+					'maximum' => 1,
+				],
+				'orderby'    => [
+					'type'    => 'string',
+					'enum'    => [ 'created_at', 'similarity_score', 'source', 'target', 'ID', 'clicks', 'ctr' ],
+					'default' => 'created_at',
+				],
+				'order'      => [
+					'type'    => 'string',
+					'enum'    => [ 'asc', 'desc' ],
+					'default' => 'desc',
+				],
+			] ),
+		] );
+
+		register_rest_route( self::ROUTE_NAMESPACE, '/links/(?P<id>\d+)', [
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_link' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+			],
+			[
+				'methods'             => WP_REST_Server::EDITABLE,
+				'callback'            => [ $this, 'update_link' ],
+				'permission_callback' => [ $this, 'can_moderate_link' ],
+				'args'                => [
+					'status' => [
+						'type'     => 'string',
+						'enum'     => [ 'active', 'rejected' ],
+						'required' => true,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( self::ROUTE_NAMESPACE, '/blacklist', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ $this, 'get_blacklist' ],
+			'permission_callback' => [ $this, 'can_manage' ],
+			'args'                => array_merge( $this->pagination_args(), [
+				'source'    => [
+					'type'    => 'integer',
+					'minimum' => 1,
+				],
+				'rule_type' => [
+					'type' => 'string',
+					'enum' => SL_DB::BLACKLIST_RULE_TYPES,
+				],
+				'search'    => [
+					'type' => 'string',
+				],
+			] ),
+		] );
+
+		register_rest_route( self::ROUTE_NAMESPACE, '/blacklist/(?P<id>\d+)', [
+			'methods'             => WP_REST_Server::DELETABLE,
+			'callback'            => [ $this, 'delete_blacklist_entry' ],
+			'permission_callback' => [ $this, 'can_manage' ],
+		] );
+
+		register_rest_route( self::ROUTE_NAMESPACE, '/custom-urls', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ $this, 'get_custom_urls' ],
+			'permission_callback' => [ $this, 'can_manage' ],
+			'args'                => $this->pagination_args(),
+		] );
+
+		register_rest_route( self::ROUTE_NAMESPACE, '/status', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ $this, 'get_status' ],
+			'permission_callback' => [ $this, 'can_manage' ],
+		] );
+
+		// Anonymous visitors report – no nonce, the beacon has no session
+		register_rest_route( self::ROUTE_NAMESPACE, '/track', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ $this, 'track' ],
+			'permission_callback' => '__return_true',
+			'args'                => [
+				'impressions' => [
+					'type'     => 'array',
+					'items'    => [ 'type' => 'integer' ],
+					'maxItems' => SL_Tracking::MAX_IDS,
+					'default'  => [],
+				],
+				'clicks'      => [
+					'type'     => 'array',
+					'items'    => [ 'type' => 'integer' ],
+					'maxItems' => SL_Tracking::MAX_IDS,
+					'default'  => [],
+				],
+			],
+		] );
+	}
+
+	/* ── Links ─────────────────────────────────────────────────── */
+
+	public function get_links( WP_REST_Request $request ): WP_REST_Response {
+		$result = SL_DB::query_links( [
+			'status'     => $request['status'] ?? '',
+			'source'     => $request['source'] ?? 0,
+			'target'     => $request['target'] ?? 0,
+			'target_url' => $request['target_url'] ?? '',
+			'min_score'  => $request['min_score'],
+			'max_score'  => $request['max_score'],
+			'orderby'    => $request['orderby'],
+			'order'      => $request['order'],
+			'page'       => $request['page'],
+			'per_page'   => $request['per_page'],
+		] );
+
+		return $this->paginated(
+			array_map( [ $this, 'prepare_link' ], $result['items'] ),
+			$result['total'],
+			$request
+		);
+	}
+
+	/**
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_link( WP_REST_Request $request ) {
+		$link = SL_DB::get_link( (int) $request['id'] );
+		if ( ! $link ) {
+			return $this->not_found( 'Link nie znaleziony.' );
+		}
+
+		return rest_ensure_response( $this->prepare_link( $link ) );
+	}
+
+	/**
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_link( WP_REST_Request $request ) {
+		$link = SL_DB::get_link( (int) $request['id'] );
+		if ( ! $link ) {
+			return $this->not_found( 'Link nie znaleziony.' );
+		}
+
+		if ( $request['status'] === 'rejected' ) {
+			SL_DB::add_to_blacklist( $link->post_id, $link->anchor_text, $link->target_url );
+		} else {
+			SL_DB::remove_from_blacklist( $link->post_id, $link->target_url );
+		}
+		SL_DB::update_link_status( (int) $link->ID, $request['status'] );
+
+		do_action( 'sl_link_changed', (int) $link->post_id );
+
+		return rest_ensure_response( $this->prepare_link( SL_DB::get_link( (int) $link->ID ) ) );
+	}
+
+	/* ── Blacklist ─────────────────────────────────────────────── */
+
+	public function get_blacklist( WP_REST_Request $request ): WP_REST_Response {
+		$result = SL_DB::query_blacklist(
+			(int) ( $request['source'] ?? 0 ),
+			(int) $request['page'],
+			(int) $request['per_page'],
+			sanitize_text_field( $request['search'] ?? '' ),
+			$request['rule_type'] ?? ''
+		);
+
+		$items = array_map( function ( $row ) {
+			return [
+				'id'          => (int) $row->ID,
+				'rule_type'   => $row->rule_type,
+				'post_id'     => (int) $row->post_id,
+				'anchor_text' => $row->anchor_text,
+				'target_url'  => $row->target_url,
+				'pattern'     => $row->pattern,
+				'created_at'  => mysql_to_rfc3339( $row->created_at ),
+			];
+		}, $result['items'] );
+
+		return $this->paginated( $items, $result['total'], $request );
+	}
+
+	/**
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function delete_blacklist_entry( WP_REST_Request $request ) {
+		$entry = SL_DB::get_blacklist_entry( (int) $request['id'] );
+		if ( ! $entry ) {
+			return $this->not_found( 'Wpis blacklisty nie znaleziony.' );
+		}
+
+		SL_DB::delete_blacklist_entry( (int) $entry->ID );
+
+		return rest_ensure_response( [ 'deleted' => true, 'id' => (int) $entry->ID ] );
+	}
+
+	/* ── Custom URLs ───────────────────────────────────────────── */
+
+	public function get_custom_urls( WP_REST_Request $request ): WP_REST_Response {
+		$rows     = SL_DB::get_all_custom_urls();
+		$per_page = (int) $request['per_page'];
+		$page     = (int) $request['page'];
+
+		$items = array_map( function ( $row ) {
+			return [
+				'id'         => (int) $row->ID,
+				'url'        => $row->url,
+				'title'      => $row->title,
+				'keywords'   => $row->keywords,
+				'status'     => $row->status,
+				'embedded'   => ! empty( $row->embedding ),
+				'created_at' => mysql_to_rfc3339( $row->created_at ),
+			];
+		}, array_slice( $rows, ( $page - 1 ) * $per_page, $per_page ) );
+
+		return $this->paginated( $items, count( $rows ), $request );
+	}
+
+	/* ── Status ────────────────────────────────────────────────── */
+
+	public function get_status(): WP_REST_Response {
+		$matching = SL_Matcher::get_progress();
+
+		return rest_ensure_response( [
+			'links'      => SL_DB::count_links_by_status(),
+			'indexed'    => count( SL_DB::get_indexed_post_ids() ),
+			'last_run'   => get_option( 'sl_last_indexing_run', '' ) ?: null,
+			'indexing'   => SL_Indexer::get_progress(),
+			// The matcher transient also holds candidates and clusters – expose counters only
+			'matching'   => $matching ? [
+				'phase'          => $matching['phase'] ?? '',
+				'total_sources'  => (int) ( $matching['total_sources'] ?? 0 ),
+				'processed'      => min( (int) ( $matching['offset'] ?? 0 ), (int) ( $matching['total_sources'] ?? 0 ) ),
+				'candidates'     => count( $matching['candidates'] ?? [] ),
+				'links_created'  => (int) ( $matching['links_created'] ?? 0 ),
+				'links_filtered' => (int) ( $matching['links_filtered'] ?? 0 ),
+			] : null,
+			'running'    => SL_Indexer::get_progress() !== null || SL_Matcher::is_running(),
+			'job'        => SL_Jobs::status(),
+			'queue'      => count( SL_Indexer::get_queue() ),
+		] );
+	}
+
+	/* ── Tracking ──────────────────────────────────────────────── */
+
+	/**
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function track( WP_REST_Request $request ) {
+		if ( ! SL_Tracking::is_enabled() ) {
+			return new WP_Error( 'sl_tracking_disabled', 'Śledzenie kliknięć jest wyłączone.', [ 'status' => 403 ] );
+		}
+
+		$recorded = SL_Tracking::record( (array) $request['impressions'], (array) $request['clicks'] );
+
+		return rest_ensure_response( [ 'recorded' => $recorded ] );
+	}
+
+	/* ── Permissions ───────────────────────────────────────────── */
+
+	public function can_manage(): bool {
+		return current_user_can( 'manage_options' );
+	}
+
+	public function can_moderate_link( WP_REST_Request $request ): bool {
+		if ( current_user_can( 'manage_options' ) ) {
+			return true;
+		}
+
+		$link = SL_DB::get_link( (int) $request['id'] );
+		return $link && current_user_can( 'edit_post', (int) $link->post_id );
+	}
+
+	/* ── Helpers ───────────────────────────────────────────────── */
+
+	/**
+	 * @param object $link  Row from wp_semantic_links (optionally with source_title).
+	 */
+	private function prepare_link( $link ): array {
+		return [
+			'id'                => (int) $link->ID,
+			'post_id'           => (int) $link->post_id,
+			'source_title'      => $link->source_title ?? get_the_title( (int) $link->post_id ),
+			'anchor_text'       => $link->anchor_text,
+			'target_url'        => $link->target_url,
+			'target_post_id'    => (int) $link->target_post_id,
+			'similarity_score'  => round( (float) $link->similarity_score, 4 ),
+			'status'            => $link->status,
+			'origin'            => $link->origin,
+			'filter_confidence' => isset( $link->filter_confidence ) ? (float) $link->filter_confidence : null,
+			'filter_reason'     => $link->filter_reason ?? null,
+			'audit_result'      => $link->audit_result ?? null,
+			'impressions'       => isset( $link->impressions ) ? (int) $link->impressions : null,
+			'clicks'            => isset( $link->clicks ) ? (int) $link->clicks : null,
+			'created_at'        => mysql_to_rfc3339( $link->created_at ),
+			'updated_at'        => mysql_to_rfc3339( $link->updated_at ),
+		];
+	}
+
+	private function pagination_args(): array {
+		return [
+			'page'     => [
+				'type'    => 'integer',
+				'minimum' => 1,
+				'default' => 1,
+			],
+			'per_page' => [
+				'type'    => 'integer',
+				'minimum' => 1,
+				'maximum' => self::MAX_PER_PAGE,
+				'default' => 20,
+			],
+		];
+	}
+
+	/**
+	 * Wrap a page of items with the standard X-WP-Total headers.
+	 */
+	private function paginated( array $items, int $total, WP_REST_Request $request ): WP_REST_Response {
+		$response = rest_ensure_response( $items );
+		$response->header( 'X-WP-Total', (string) $total );
+		$response->header( 'X-WP-TotalPages', (string) (int) ceil( $total / max( 1, (int) $request['per_page'] ) ) );
+		return $response;
+	}
+
+	private function not_found( string $message ): WP_Error {
+		return new WP_Error( 'sl_not_found', $message, [ 'status' => 404 ] );
+	}
+}
@@ -102,6 +102,12 @@ class SL_Settings
 		/* Update cron schedule AFTER settings are persisted */
 		self::update_cron_schedule($settings['cron_enabled']);
 
+		/* Switching to int8 re-encodes the stored vectors in the background */
+		SL_Activation::schedule_vector_conversion();
+
+		/* Cached post HTML still has links rendered with the old rules */
+		SL_Injector::flush_all_caches();
+
 		/* Signal for the template, then redirect (PRG) */
 		set_transient('sl_settings_saved', true, 30);
 		wp_redirect(admin_url('admin.php?page=semanticlinker'));
@@ -131,13 +137,49 @@ class SL_Settings
 			$s['api_key'] = $existing['api_key'] ?? '';
 		}
 
-		/* Embedding model – free text input with default */
+		/* Embedding provider – 'gemini' (default) or any OpenAI-compatible server */
+		$provider = sanitize_key($input['embedding_provider'] ?? 'gemini');
+		$s['embedding_provider'] = in_array($provider, ['gemini', 'openai'], true) ? $provider : 'gemini';
+		$is_openai = $s['embedding_provider'] === 'openai';
+
+		/* Models left unchanged while switching the provider belong to the old one */
+		$previous = get_option(self::OPTION_KEY, []);
+		$switched = !empty($previous) && ($previous['embedding_provider'] ?? 'gemini') !== $s['embedding_provider'];
+
+		/* OpenAI-compatible base URL, e.g. http://127.0.0.1:8080/v1 */
+		$s['provider_base_url'] = untrailingslashit(esc_url_raw(trim($input['provider_base_url'] ?? ''), ['http', 'https']));
+
+		/* OpenAI-compatible API key – optional, encrypted, preserved when left empty */
+		$raw_provider_key = sanitize_text_field($input['provider_api_key'] ?? '');
+		if (!empty($raw_provider_key)) {
+			$s['provider_api_key'] = SL_Security::encrypt_api_key($raw_provider_key);
+		} else {
+			$existing = get_option(self::OPTION_KEY, []);
+			$s['provider_api_key'] = !empty($input['provider_api_key_clear']) ? '' : ($existing['provider_api_key'] ?? '');
+		}
+
+		/* Embedding model – free text input with provider-specific default */
 		$model = sanitize_text_field($input['embedding_model'] ?? '');
-		$s['embedding_model'] = !empty($model) ? $model : 'gemini-embedding-001';
+		if ($switched && $model === ($previous['embedding_model'] ?? '')) {
+			$model = '';
+		}
+		$s['embedding_model'] = !empty($model)
+			? $model
+			: ($is_openai ? SL_Provider_OpenAI::DEFAULT_MODEL : SL_Provider_Gemini::DEFAULT_MODEL);
+
+		/* Vector dimension requested from the provider – 0 = model default */
+		$s['embedding_dimensions'] = max(0, min(8192, (int) ($input['embedding_dimensions'] ?? 0)));
 
 		/* Filter model (AI validation) – free text input with default */
 		$filter_model = sanitize_text_field($input['filter_model'] ?? '');
-		$s['filter_model'] = !empty($filter_model) ? $filter_model : 'gemini-2.5-flash';
+		if ($switched && $filter_model === ($previous['filter_model'] ?? '')) {
+			$filter_model = '';
+		}
+		$s['filter_model'] = !empty($filter_model) ? $filter_model : ($is_openai ? 'gpt-4o-mini' : 'gemini-2.5-flash');
+
+		/* Binary format of stored vectors – see SL_Vector_Codec */
+		$storage = sanitize_key($input['vector_storage'] ?? 'f32');
+		$s['vector_storage'] = isset(SL_Vector_Codec::FORMATS[$storage]) ? $storage : 'f32';
 
 		/* Threshold – float clamped to [0.50 … 1.00] */
 		$s['similarity_threshold'] = max(0.50, min(1.00, (float) ($input['similarity_threshold'] ?? 0.75)));
@@ -211,6 +253,10 @@ class SL_Settings
 		/* Same category only – boolean checkbox */
 		$s['same_category_only'] = !empty($input['same_category_only']);
 
+		/* Content language – 'auto' (site locale) or a profile code */
+		$language = sanitize_key($input['content_language'] ?? 'auto');
+		$s['content_language'] = isset(SL_Language::LANGUAGES[$language]) ? $language : 'auto';
+
 		/* Excluded post IDs – one per line or comma-separated */
 		$raw_ids = is_string($input['excluded_post_ids'] ?? '')
 			? preg_split('/[\s,]+/', $input['excluded_post_ids'])
@@ -223,6 +269,42 @@ class SL_Settings
 		/* Auto-indexing cron – boolean checkbox (default: disabled) */
 		$s['cron_enabled'] = !empty($input['cron_enabled']);
 
+		/* Re-index a post right after it is saved – boolean checkbox (default: disabled) */
+		$s['auto_index_on_save'] = !empty($input['auto_index_on_save']);
+
+		/* Placement of injected links – paragraphs to skip, spacing, allowed containers */
+		$s['placement_skip_paragraphs'] = max(0, min(20, (int) ($input['placement_skip_paragraphs'] ?? 0)));
+		$s['placement_one_per_paragraph'] = !empty($input['placement_one_per_paragraph']);
+		$s['placement_min_words'] = max(0, min(500, (int) ($input['placement_min_words'] ?? 0)));
+		$s['placement_containers'] = array_values(array_intersect(
+			array_unique(SL_Injector::CONTAINERS),
+			array_map('strval', (array) ($input['placement_containers'] ?? []))
+		));
+		$s['placement_prefer_chunk'] = !empty($input['placement_prefer_chunk']);
+
+		/* Link inflected forms of an anchor the content no longer has verbatim */
+		$s['inflected_anchors'] = !empty($input['inflected_anchors']);
+
+		/* Link rendering (rel / target / title / class) per target type */
+		$rules = (array) ($input['link_rules'] ?? []);
+		foreach (['post', 'custom'] as $type) {
+			$s['link_rules'][$type] = SL_Injector::sanitize_link_rule((array) ($rules[$type] ?? []));
+		}
+
+		/* Link history kept for this many days – 0 = forever (see SL_History) */
+		$s['history_retention_days'] = max(0, min(3650, (int) ($input['history_retention_days'] ?? 90)));
+
+		/* Click / impression tracking of injected links – boolean checkbox (default: disabled) */
+		$s['tracking_enabled'] = !empty($input['tracking_enabled']);
+
+		/* Monthly API budget in USD – 0 = no limit */
+		$s['usage_budget'] = max(0.0, round((float) ($input['usage_budget'] ?? 0), 2));
+
+		/* API prices in USD per million tokens – used for the cost report and the budget */
+		foreach (['price_embedding', 'price_filter_input', 'price_filter_output'] as $key) {
+			$s[$key] = max(0.0, min(1000.0, round((float) ($input[$key] ?? 0), 4)));
+		}
+
 		return $s;
 	}
 
@@ -234,7 +316,7 @@ class SL_Settings
 	 *
 	 * @param bool $enabled
 	 */
-	private static function update_cron_schedule(bool $enabled): void
+	public static function update_cron_schedule(bool $enabled): void
 	{
 		$hook = 'sl_run_indexing';
 
@@ -278,6 +360,20 @@ class SL_Settings
 		return SL_Security::decrypt_api_key($encrypted);
 	}
 
+	/**
+	 * Get decrypted API key of the OpenAI-compatible provider.
+	 *
+	 * @return string  Decrypted API key or empty string (keyless local servers).
+	 */
+	public static function get_provider_api_key(): string
+	{
+		$encrypted = self::get('provider_api_key', '');
+		if (empty($encrypted)) {
+			return '';
+		}
+		return SL_Security::decrypt_api_key($encrypted);
+	}
+
 	/**
 	 * Full settings array merged with hard-coded defaults.
 	 *
@@ -287,8 +383,13 @@ class SL_Settings
 	{
 		$defaults = [
 			'api_key' => '',
+			'embedding_provider' => 'gemini',
+			'provider_base_url' => '',
+			'provider_api_key' => '',
 			'embedding_model' => 'gemini-embedding-001',
+			'embedding_dimensions' => 0,
 			'filter_model' => 'gemini-2.5-flash',
+			'vector_storage' => 'f32',
 			'similarity_threshold' => 0.75,
 			'max_links_per_post' => 10,
 			'min_anchor_words' => 3,
@@ -298,9 +399,27 @@ class SL_Settings
 			'excluded_tags' => ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'code', 'script', 'style'],
 			'gemini_anchor_filter' => false,
 			'same_category_only' => true,
+			'content_language' => 'auto',
 			'excluded_post_ids' => [],
 			'cluster_threshold' => 0.75,
 			'cron_enabled' => false,
+			'auto_index_on_save' => false,
+			'placement_skip_paragraphs' => 0,
+			'placement_one_per_paragraph' => false,
+			'placement_min_words' => 0,
+			'placement_containers' => [],
+			'placement_prefer_chunk' => true,
+			'inflected_anchors' => false,
+			'link_rules' => [
+				'post' => SL_Injector::DEFAULT_LINK_RULE,
+				'custom' => SL_Injector::DEFAULT_LINK_RULE,
+			],
+			'history_retention_days' => 90,
+			'tracking_enabled' => false,
+			'usage_budget' => 0,
+			'price_embedding' => 0.15,
+			'price_filter_input' => 0.30,
+			'price_filter_output' => 2.50,
 			'custom_url_threshold' => 0.65,
 			'max_links_per_url' => 10,
 		];
@@ -0,0 +1,600 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Registers the "Symulator progów" submenu page: what-if preview of
+ * similarity_threshold, cluster_threshold and custom_url_threshold
+ * before a real matching run.
+ *
+ * Preparation (sl_simulation_start / sl_simulation_batch) runs the
+ * dry-run candidate phase of SL_Matcher over every source post in
+ * batches, keeps every candidate above the lowest slider value with its
+ * anchor and stores, per anchor, the similarity to other anchors sharing
+ * a word stem (the only ones compared – cluster dedup of anchors without
+ * a common word is not simulated).  Only stored vectors are used: an
+ * anchor stands for the title (or custom URL) vector of the target it
+ * was first found for, so preparation sends nothing to the API.  The
+ * result lives in a file in uploads/, like the matcher's target cache.
+ *
+ * Each slider change (sl_simulate) then replays the link selection of a
+ * from-scratch run on that data – score order, custom URLs first,
+ * max_links_per_post, max_links_per_url, one anchor per URL in a post,
+ * anchor cluster dedup – and compares it with the current active links.
+ * Manual links survive a re-run, so they are kept as they are and use
+ * up their share of both limits.  The AI filter is not simulated.  Nothing is written until the admin
+ * saves the thresholds (sl_simulation_apply).
+ */
+class SL_Simulator {
+
+	/** Lowest score kept during preparation = lowest slider value. */
+	public const FLOORS = [ 'post' => 0.50, 'custom' => 0.20 ];
+
+	/** Slider ranges (same as the settings sanitiser). */
+	public const RANGES = [
+		'similarity_threshold' => [ 0.50, 1.00 ],
+		'cluster_threshold'    => [ 0.50, 0.99 ],
+		'custom_url_threshold' => [ 0.20, 0.90 ],
+	];
+
+	/** Histogram bin width. */
+	public const HISTOGRAM_STEP = 0.02;
+
+	/** Source posts per preparation batch. */
+	private const BATCH_SIZE = 5;
+
+	/** Candidates kept per source: max_links_per_post × this (at least MIN_CANDIDATES). */
+	private const CANDIDATES_FACTOR = 3;
+	private const MIN_CANDIDATES = 20;
+
+	/** Anchors compared with each new anchor (per word stem bucket, oldest first). */
+	private const MAX_COMPARISONS = 200;
+
+	/** Sample pairs per list in the preview. */
+	private const SAMPLES = 10;
+
+	/** Preparation progress (transient). */
+	private const PROGRESS_KEY = 'sl_simulation_progress';
+
+	/** Prepared data and the packed targets of a running preparation (uploads/). */
+	private const STATE_FILE   = 'semanticlinker-simulation.bin';
+	private const TARGETS_FILE = 'semanticlinker-simulation-targets.bin';
+
+	public function __construct() {
+		add_action( 'admin_menu', [ $this, 'add_page' ] );
+	}
+
+	/**
+	 * Register submenu page.
+	 */
+	public function add_page(): void {
+		add_submenu_page(
+			'semanticlinker',
+			'Symulator progów – SemanticLinker AI',
+			'Symulator progów',
+			'manage_options',
+			'semanticlinker-simulator',
+			[ $this, 'render' ]
+		);
+	}
+
+	/**
+	 * Render the simulator admin page.
+	 */
+	public function render(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( 'Brak uprawnień.' );
+		}
+		require_once SL_PLUGIN_DIR . 'templates/simulator.php';
+	}
+
+	/* ── Preparation ────────────────────────────────────────────── */
+
+	/**
+	 * Start preparing simulation data (drops the previous data).
+	 *
+	 * @return array  Progress info, or [ 'error' => string ].
+	 */
+	public static function start(): array {
+		$setup = SL_Matcher::dry_run_setup();
+
+		if ( count( $setup['source_ids'] ) < 2 ) {
+			return [ 'error' => 'Za mało zaindeksowanych postów do porównania (min. 2).' ];
+		}
+
+		/* Targets packed as float32 – decoding JSON vectors on every batch is slow */
+		$targets = [];
+		foreach ( $setup['target_map'] as $key => $target ) {
+			if ( ! empty( $target['vec'] ) && is_array( $target['vec'] ) ) {
+				$target['vec'] = pack( 'f*', ...$target['vec'] );
+				$targets[ $key ] = $target;
+			}
+		}
+
+		if ( ! self::write_file( self::TARGETS_FILE, $targets ) ) {
+			return [ 'error' => 'Nie udało się zapisać danych w katalogu uploads.' ];
+		}
+
+		self::write_file( self::STATE_FILE, [
+			'complete'   => false,
+			'pairs'      => [],   // source ID => [ [ target_key, target_id, target_url, title, anchor ID, score, custom ], … ]
+			'anchors'    => [],   // anchor ID => text
+			'anchor_ids' => [],   // lowercased text => anchor ID
+			'neighbours' => [],   // anchor ID => [ anchor ID => similarity ]
+			'vectors'    => [],   // anchor ID => int8 vector (preparation only)
+			'buckets'    => [],   // word stem => anchor IDs (preparation only)
+		] );
+
+		$progress = [
+			'source_ids' => $setup['source_ids'],
+			'offset'     => 0,
+			'started_at' => current_time( 'mysql' ),
+		];
+		set_transient( self::PROGRESS_KEY, $progress, HOUR_IN_SECONDS );
+
+		SL_Debug::log( 'simulator', 'Preparation started', [
+			'sources' => count( $setup['source_ids'] ),
+			'targets' => count( $targets ),
+		] );
+
+		return self::progress_info( $progress, sprintf( 'Przygotowanie danych dla %d postów…', count( $setup['source_ids'] ) ) );
+	}
+
+	/**
+	 * Process the next batch of source posts.
+	 *
+	 * @return array  Progress info (complete = true after the last batch),
+	 *                or [ 'error' => string ].
+	 */
+	public static function process_batch(): array {
+		$progress = get_transient( self::PROGRESS_KEY );
+		$state    = self::read_file( self::STATE_FILE );
+		$targets  = self::read_file( self::TARGETS_FILE );
+
+		if ( ! $progress || ! $state || ! $targets ) {
+			return [ 'error' => 'Nie znaleziono sesji symulatora. Uruchom przygotowanie ponownie.' ];
+		}
+
+		@ini_set( 'max_execution_time', '120' );
+
+		foreach ( $targets as $key => $target ) {
+			$targets[ $key ]['vec'] = array_values( unpack( 'f*', $target['vec'] ) );
+		}
+
+		$floors = self::FLOORS;
+		$limit  = max( self::MIN_CANDIDATES, self::CANDIDATES_FACTOR * (int) SL_Settings::get( 'max_links_per_post', 10 ) );
+		$batch  = array_slice( $progress['source_ids'], $progress['offset'], self::BATCH_SIZE );
+		$new    = [];   // anchor ID => [ 'language', 'target' ] first seen in this batch
+
+		foreach ( $batch as $src_id ) {
+			$pairs = [];
+			foreach ( SL_Matcher::dry_run_source( (int) $src_id, $targets, $floors, $limit ) as $c ) {
+				$lower = mb_strtolower( $c['anchor'], 'UTF-8' );
+				if ( ! isset( $state['anchor_ids'][ $lower ] ) ) {
+					$id                           = count( $state['anchors'] );
+					$state['anchors'][ $id ]      = $c['anchor'];
+					$state['anchor_ids'][ $lower ] = $id;
+					$new[ $id ]                   = [
+						'language' => SL_Language::for_post( (int) $src_id ),
+						'target'   => $c['target_key'],
+					];
+				}
+
+				$pairs[] = [
+					$c['target_type'] === 'custom' ? 'c' . $c['target_url'] : (int) $c['target_id'],
+					(int) $c['target_id'],
+					$c['target_url'],
+					$c['target_type'] === 'custom' ? $c['target_title'] : '',
+					$state['anchor_ids'][ $lower ],
+					round( $c['score'], 4 ),
+					$c['target_type'] === 'custom',
+				];
+			}
+			if ( ! empty( $pairs ) ) {
+				$state['pairs'][ (int) $src_id ] = $pairs;
+			}
+		}
+
+		if ( ! empty( $new ) ) {
+			self::add_anchor_neighbours( $state, $new, $targets );
+		}
+
+		$progress['offset'] += self::BATCH_SIZE;
+		$total               = count( $progress['source_ids'] );
+
+		if ( $progress['offset'] < $total ) {
+			self::write_file( self::STATE_FILE, $state );
+			set_transient( self::PROGRESS_KEY, $progress, HOUR_IN_SECONDS );
+			return self::progress_info( $progress, sprintf(
+				'Przetworzono %d z %d postów, %d kandydatów…',
+				$progress['offset'],
+				$total,
+				array_sum( array_map( 'count', $state['pairs'] ) )
+			) );
+		}
+
+		/* Done – keep only what the preview needs */
+		unset( $state['vectors'], $state['buckets'] );
+		$state['complete']    = true;
+		$state['prepared_at'] = current_time( 'mysql' );
+		$state['sources']     = $total;
+		$state['histogram']   = self::histogram( $state['pairs'] );
+
+		self::write_file( self::STATE_FILE, $state );
+		self::delete_file( self::TARGETS_FILE );
+		delete_transient( self::PROGRESS_KEY );
+
+		$pair_count = array_sum( array_map( 'count', $state['pairs'] ) );
+
+		SL_Debug::log( 'simulator', 'Preparation completed', [
+			'sources'    => $total,
+			'candidates' => $pair_count,
+			'anchors'    => count( $state['anchors'] ),
+		] );
+
+		return array_merge( self::progress_info( $progress, sprintf(
+			'Dane gotowe: %d kandydatów z %d postów. Przesuwaj suwaki, aby zobaczyć efekt.',
+			$pair_count,
+			$total
+		) ), [ 'complete' => true ] );
+	}
+
+	/**
+	 * @return array|null  Progress info of the running preparation.
+	 */
+	public static function get_progress(): ?array {
+		$progress = get_transient( self::PROGRESS_KEY );
+		return $progress ? self::progress_info( $progress, '' ) : null;
+	}
+
+	public static function cancel(): void {
+		delete_transient( self::PROGRESS_KEY );
+		self::delete_file( self::TARGETS_FILE );
+	}
+
+	/**
+	 * @return array|null  When and for how many posts the data was prepared
+	 *                     (prepared_at, sources, candidates), null if none.
+	 */
+	public static function get_prepared(): ?array {
+		$state = self::read_file( self::STATE_FILE );
+		if ( ! $state || empty( $state['complete'] ) ) {
+			return null;
+		}
+		return [
+			'prepared_at' => $state['prepared_at'],
+			'sources'     => $state['sources'],
+			'candidates'  => array_sum( array_map( 'count', $state['pairs'] ) ),
+		];
+	}
+
+	private static function progress_info( array $progress, string $message ): array {
+		$total = count( $progress['source_ids'] );
+		$done  = min( $progress['offset'], $total );
+		return [
+			'total'     => $total,
+			'processed' => $done,
+			'percent'   => $total > 0 ? (int) round( $done / $total * 100 ) : 100,
+			'message'   => $message,
+		];
+	}
+
+	/**
+	 * Record the similarity of the new anchors to the anchors that share
+	 * a word stem with them, using the stored vector of each anchor's
+	 * target in place of an anchor embedding (no API requests).
+	 *
+	 * @param array $state    Simulation data (modified).
+	 * @param array $new      Anchor ID => [ 'language' => of its source post, 'target' => target key ].
+	 * @param array $targets  Target map with unpacked vectors.
+	 */
+	private static function add_anchor_neighbours( array &$state, array $new, array $targets ): void {
+		$decoded = [];   // anchor ID => int[] (this batch only)
+		$decode  = function ( int $id ) use ( &$state, &$decoded ) {
+			if ( ! isset( $decoded[ $id ] ) ) {
+				$decoded[ $id ] = array_values( unpack( 'c*', $state['vectors'][ $id ] ) );
+			}
+			return $decoded[ $id ];
+		};
+
+		foreach ( $new as $id => $anchor ) {
+			if ( empty( $targets[ $anchor['target'] ]['vec'] ) ) {
+				continue;   // treated as unique
+			}
+			$state['vectors'][ $id ] = self::quantize( $targets[ $anchor['target'] ]['vec'] );
+
+			$stems = array_unique( array_filter(
+				explode( ' ', SL_Matcher::normalize_anchor( $state['anchors'][ $id ], $anchor['language'] ) ),
+				function ( $stem ) {
+					return mb_strlen( $stem, 'UTF-8' ) >= 3;
+				}
+			) );
+
+			$others = [];
+			foreach ( $stems as $stem ) {
+				foreach ( $state['buckets'][ $stem ] ?? [] as $other ) {
+					if ( count( $others ) >= self::MAX_COMPARISONS ) {
+						break 2;
+					}
+					$others[ $other ] = true;
+				}
+			}
+
+			foreach ( array_keys( $others ) as $other ) {
+				if ( ! isset( $state['vectors'][ $other ] ) ) {
+					continue;
+				}
+				$similarity = SL_Matcher::cosine( $decode( $id ), $decode( $other ) );
+				if ( $similarity >= self::RANGES['cluster_threshold'][0] ) {
+					$state['neighbours'][ $id ][ $other ] = round( $similarity, 4 );
+					$state['neighbours'][ $other ][ $id ] = round( $similarity, 4 );
+				}
+			}
+
+			foreach ( $stems as $stem ) {
+				$state['buckets'][ $stem ][] = $id;
+			}
+		}
+	}
+
+	/**
+	 * Unit vector → int8 binary string (4× smaller than float32, ample
+	 * precision for a threshold preview).
+	 */
+	private static function quantize( array $vector ): string {
+		$norm = sqrt( array_sum( array_map( function ( $x ) {
+			return $x * $x;
+		}, $vector ) ) ) ?: 1.0;
+
+		return pack( 'c*', ...array_map( function ( $x ) use ( $norm ) {
+			return (int) round( $x / $norm * 127 );
+		}, $vector ) );
+	}
+
+	/**
+	 * Candidate scores in HISTOGRAM_STEP bins from the lowest floor up.
+	 *
+	 * @return array  [ 'min' => float, 'step' => float, 'post' => int[], 'custom' => int[] ]
+	 */
+	private static function histogram( array $pairs ): array {
+		$min  = min( self::FLOORS );
+		$bins = (int) ceil( ( 1 - $min ) / self::HISTOGRAM_STEP );
+		$data = [
+			'min'    => $min,
+			'step'   => self::HISTOGRAM_STEP,
+			'post'   => array_fill( 0, $bins, 0 ),
+			'custom' => array_fill( 0, $bins, 0 ),
+		];
+
+		foreach ( $pairs as $source_pairs ) {
+			foreach ( $source_pairs as $pair ) {
+				$bin = min( $bins - 1, (int) floor( ( $pair[5] - $min ) / self::HISTOGRAM_STEP + 1e-9 ) );
+				$data[ $pair[6] ? 'custom' : 'post' ][ $bin ]++;
+			}
+		}
+
+		return $data;
+	}
+
+	/* ── Preview ────────────────────────────────────────────────── */
+
+	/**
+	 * Clamp raw slider values to the setting ranges.
+	 *
+	 * @param array $input  Threshold name => value (missing = current setting).
+	 * @return array  Threshold name => float.
+	 */
+	public static function sanitize_thresholds( array $input ): array {
+		$thresholds = [];
+		foreach ( self::RANGES as $key => $range ) {
+			$value              = isset( $input[ $key ] ) ? (float) $input[ $key ] : (float) SL_Settings::get( $key, $range[0] );
+			$thresholds[ $key ] = round( max( $range[0], min( $range[1], $value ) ), 2 );
+		}
+		return $thresholds;
+	}
+
+	/**
+	 * Links a from-scratch matching run would create with these
+	 * thresholds, compared with the current active automatic links.
+	 *
+	 * @param array $thresholds  See sanitize_thresholds().
+	 * @return array|null  counts (total, current, created, removed, changed,
+	 *                     unchanged), histogram, samples (created, removed,
+	 *                     changed), thresholds; null without prepared data.
+	 */
+	public static function simulate( array $thresholds ): ?array {
+		$state = self::read_file( self::STATE_FILE );
+		if ( ! $state || empty( $state['complete'] ) ) {
+			return null;
+		}
+
+		$max_links   = (int) SL_Settings::get( 'max_links_per_post', 10 );
+		$max_per_url = (int) SL_Settings::get( 'max_links_per_url', 10 );
+
+		$links      = [];   // "source|url" => [ source, pair ]
+		$url_counts = [];
+		$clusters   = [];   // anchor ID => URL of the cluster it opened
+
+		/* Current links; manual ones stay and count towards the limits */
+		$current       = [];
+		$manual        = [];
+		$manual_counts = [];
+		foreach ( SL_DB::get_all_links( 'active' ) as $link ) {
+			$key = $link->post_id . '|' . $link->target_url;
+			if ( $link->origin === 'manual' ) {
+				$manual[ $key ] = true;
+				$manual_counts[ $link->post_id ] = ( $manual_counts[ $link->post_id ] ?? 0 ) + 1;
+				$url_counts[ $link->target_url ] = ( $url_counts[ $link->target_url ] ?? 0 ) + 1;
+			} else {
+				$current[ $key ] = $link;
+			}
+		}
+
+		foreach ( $state['pairs'] as $src_id => $pairs ) {
+			$candidates = array_filter( $pairs, function ( $pair ) use ( $thresholds ) {
+				return $pair[5] >= $thresholds[ $pair[6] ? 'custom_url_threshold' : 'similarity_threshold' ];
+			} );
+
+			/* Custom URLs first, then by score – as in the matcher */
+			usort( $candidates, function ( $a, $b ) {
+				return $b[6] <=> $a[6] ?: $b[5] <=> $a[5];
+			} );
+
+			$remaining    = $max_links - ( $manual_counts[ $src_id ] ?? 0 );
+			$used_anchors = [];
+
+			foreach ( $candidates as $pair ) {
+				if ( $remaining <= 0 ) {
+					break;
+				}
+
+				list( , , $url, , $anchor_id ) = $pair;
+
+				if ( isset( $manual[ $src_id . '|' . $url ] ) ) {
+					continue;
+				}
+
+				if ( ( $url_counts[ $url ] ?? 0 ) >= $max_per_url ) {
+					continue;
+				}
+				if ( isset( $used_anchors[ $anchor_id ] ) && $used_anchors[ $anchor_id ] !== $url ) {
+					continue;
+				}
+				$used_anchors[ $anchor_id ] = $url;
+				$remaining--;
+
+				/* Cluster dedup: most similar anchor that opened a cluster */
+				$cluster    = isset( $clusters[ $anchor_id ] ) ? $anchor_id : null;
+				$similarity = $cluster !== null ? 1.0 : $thresholds['cluster_threshold'];
+				if ( $cluster === null ) {
+					foreach ( $state['neighbours'][ $anchor_id ] ?? [] as $other => $sim ) {
+						if ( $sim >= $similarity && isset( $clusters[ $other ] ) ) {
+							$cluster    = $other;
+							$similarity = $sim;
+						}
+					}
+				}
+
+				if ( $cluster === null ) {
+					$clusters[ $anchor_id ] = $url;
+				} elseif ( $clusters[ $cluster ] !== $url ) {
+					continue;   // anchor belongs to a cluster of another URL
+				}
+
+				$links[ $src_id . '|' . $url ] = [ $src_id, $pair ];
+				$url_counts[ $url ]             = ( $url_counts[ $url ] ?? 0 ) + 1;
+			}
+		}
+
+		/* Compare with the current links */
+		$created = [];
+		$changed = [];
+		foreach ( $links as $key => $link ) {
+			if ( ! isset( $current[ $key ] ) ) {
+				$created[] = $link;
+			} elseif ( mb_strtolower( $current[ $key ]->anchor_text, 'UTF-8' ) !== mb_strtolower( $state['anchors'][ $link[1][4] ], 'UTF-8' ) ) {
+				$changed[] = array_merge( $link, [ $current[ $key ] ] );
+			}
+		}
+		$removed = array_values( array_diff_key( $current, $links ) );
+
+		$by_score = function ( $a, $b ) {
+			return $b[1][5] <=> $a[1][5];
+		};
+		usort( $created, $by_score );
+		usort( $changed, $by_score );
+
+		return [
+			'thresholds' => $thresholds,
+			'counts'     => [
+				'total'     => count( $links ),
+				'current'   => count( $current ),
+				'created'   => count( $created ),
+				'removed'   => count( $removed ),
+				'changed'   => count( $changed ),
+				'unchanged' => count( $links ) - count( $created ) - count( $changed ),
+			],
+			'histogram'  => $state['histogram'],
+			'samples'    => [
+				'created' => array_map( function ( $link ) use ( $state ) {
+					return self::describe( $link[0], $link[1], $state['anchors'][ $link[1][4] ] );
+				}, array_slice( $created, 0, self::SAMPLES ) ),
+				'changed' => array_map( function ( $link ) use ( $state ) {
+					return array_merge(
+						self::describe( $link[0], $link[1], $state['anchors'][ $link[1][4] ] ),
+						[ 'old_anchor' => $link[2]->anchor_text ]
+					);
+				}, array_slice( $changed, 0, self::SAMPLES ) ),
+				'removed' => array_map( function ( $link ) {
+					return [
+						'source'     => html_entity_decode( get_the_title( (int) $link->post_id ), ENT_QUOTES, 'UTF-8' ),
+						'source_url' => get_edit_post_link( (int) $link->post_id, 'raw' ),
+						'anchor'     => $link->anchor_text,
+						'target'     => (int) $link->target_post_id > 0
+							? html_entity_decode( get_the_title( (int) $link->target_post_id ), ENT_QUOTES, 'UTF-8' )
+							: $link->target_url,
+						'target_url' => $link->target_url,
+						'score'      => (float) $link->similarity_score,
+					];
+				}, array_slice( $removed, 0, self::SAMPLES ) ),
+			],
+		];
+	}
+
+	/**
+	 * Save simulated thresholds as the plugin settings.
+	 *
+	 * @param array $thresholds  See sanitize_thresholds().
+	 */
+	public static function apply( array $thresholds ): void {
+		$settings = get_option( SL_Settings::OPTION_KEY, [] );
+		update_option( SL_Settings::OPTION_KEY, array_merge( $settings, $thresholds ) );
+
+		SL_Debug::log( 'simulator', 'Thresholds applied', $thresholds );
+	}
+
+	/**
+	 * Sample row of the preview.
+	 */
+	private static function describe( int $src_id, array $pair, string $anchor ): array {
+		return [
+			'source'     => html_entity_decode( get_the_title( $src_id ), ENT_QUOTES, 'UTF-8' ),
+			'source_url' => get_edit_post_link( $src_id, 'raw' ),
+			'anchor'     => $anchor,
+			'target'     => $pair[6] ? $pair[3] : html_entity_decode( get_the_title( $pair[1] ), ENT_QUOTES, 'UTF-8' ),
+			'target_url' => $pair[2],
+			'score'      => $pair[5],
+		];
+	}
+
+	/* ── Storage (uploads/, like the matcher's target cache) ───── */
+
+	private static function file_path( string $name ): string {
+		return wp_upload_dir()['basedir'] . '/' . $name;
+	}
+
+	private static function write_file( string $name, array $data ): bool {
+		return file_put_contents( self::file_path( $name ), gzcompress( serialize( $data ), 6 ), LOCK_EX ) !== false;
+	}
+
+	/**
+	 * @return array|null
+	 */
+	private static function read_file( string $name ): ?array {
+		$path = self::file_path( $name );
+		if ( ! file_exists( $path ) ) {
+			return null;
+		}
+		$raw  = file_get_contents( $path );
+		$data = $raw !== false ? @unserialize( gzuncompress( $raw ), [ 'allowed_classes' => false ] ) : false;
+		return is_array( $data ) ? $data : null;
+	}
+
+	private static function delete_file( string $name ): void {
+		$path = self::file_path( $name );
+		if ( file_exists( $path ) ) {
+			@unlink( $path );
+		}
+	}
+}
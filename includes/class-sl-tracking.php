@@ -0,0 +1,152 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Click and impression tracking of injected links (optional, setting
+ * `tracking_enabled`).
+ *
+ * With tracking on, every injected <a class="sl-auto-link"> carries
+ * data-sl-link="<link ID>" and assets/js/tracking.js reports, per page
+ * view, the links that scrolled into view (impressions) and the ones
+ * that were clicked.  Reports go to POST semanticlinker/v1/track (see
+ * SL_REST) as a beacon and are added to daily counters per link
+ * (wp_semantic_link_stats) – no cookies, no IP addresses, no per-visit
+ * rows.  Logged-in users who can edit posts and obvious bots are not
+ * counted.
+ *
+ * The dashboard shows clicks, impressions and CTR of the last
+ * STATS_DAYS days per link and per cluster; counters older than
+ * RETENTION_DAYS are pruned once a day.
+ */
+class SL_Tracking {
+
+	/** Days summed in the dashboard. */
+	public const STATS_DAYS = 30;
+
+	/** Daily counters kept for this many days. */
+	private const RETENTION_DAYS = 365;
+
+	/** Link IDs accepted per report (a page never has more auto-links). */
+	public const MAX_IDS = 100;
+
+	/** Impressions without a click after which an anchor is marked as dead. */
+	public const DEAD_IMPRESSIONS = 200;
+
+	/** Transient set after the daily prune. */
+	private const PRUNE_KEY = 'sl_tracking_pruned';
+
+	/** User agents that are never counted. */
+	private const BOT_PATTERN = '/bot|crawl|spider|slurp|preview|headless|lighthouse/i';
+
+	public function __construct() {
+		add_action( 'wp_enqueue_scripts', [ $this, 'enqueue' ] );
+	}
+
+	public static function is_enabled(): bool {
+		return (bool) SL_Settings::get( 'tracking_enabled', false );
+	}
+
+	/**
+	 * First day summed in the dashboard (Y-m-d, site time zone).
+	 */
+	public static function since(): string {
+		return wp_date( 'Y-m-d', time() - ( self::STATS_DAYS - 1 ) * DAY_IN_SECONDS );
+	}
+
+	/* ── Front end ──────────────────────────────────────────────── */
+
+	public function enqueue(): void {
+		if ( ! self::is_enabled() || ! is_singular() || current_user_can( 'edit_posts' ) ) {
+			return;
+		}
+
+		wp_enqueue_script(
+			'sl-tracking',
+			SL_PLUGIN_URL . 'assets/js/tracking.js',
+			[],
+			SL_VERSION,
+			true
+		);
+		wp_localize_script( 'sl-tracking', 'slTracking', [
+			'url' => rest_url( SL_REST::ROUTE_NAMESPACE . '/track' ),
+		] );
+	}
+
+	/* ── Recording ──────────────────────────────────────────────── */
+
+	/**
+	 * Add one page view's report to today's counters.
+	 *
+	 * @param int[] $impressions  Links seen.
+	 * @param int[] $clicks       Links clicked.
+	 * @return int  Links whose counters changed (0 when the report is ignored).
+	 */
+	public static function record( array $impressions, array $clicks ): int {
+		if ( ! self::is_enabled() || self::is_bot() ) {
+			return 0;
+		}
+
+		$impressions = self::clean_ids( $impressions );
+		$clicks      = self::clean_ids( $clicks );
+
+		// Only links that exist – the endpoint is public
+		$known = SL_DB::filter_active_link_ids( array_merge( $impressions, $clicks ) );
+		if ( empty( $known ) ) {
+			return 0;
+		}
+
+		$counters = [];
+		foreach ( array_intersect( $impressions, $known ) as $id ) {
+			$counters[ $id ]['impressions'] = 1;
+		}
+		foreach ( array_intersect( $clicks, $known ) as $id ) {
+			$counters[ $id ]['clicks'] = 1;
+		}
+
+		SL_DB::add_link_stats( current_time( 'Y-m-d' ), $counters );
+		self::maybe_prune();
+
+		return count( $counters );
+	}
+
+	/**
+	 * @param mixed $ids
+	 * @return int[]  Unique positive IDs, at most MAX_IDS.
+	 */
+	private static function clean_ids( $ids ): array {
+		$ids = array_values( array_unique( array_filter( array_map( 'absint', (array) $ids ) ) ) );
+		return array_slice( $ids, 0, self::MAX_IDS );
+	}
+
+	private static function is_bot(): bool {
+		$agent = (string) ( $_SERVER['HTTP_USER_AGENT'] ?? '' );
+		return $agent === '' || preg_match( self::BOT_PATTERN, $agent ) === 1;
+	}
+
+	private static function maybe_prune(): void {
+		if ( get_transient( self::PRUNE_KEY ) ) {
+			return;
+		}
+		set_transient( self::PRUNE_KEY, 1, DAY_IN_SECONDS );
+
+		SL_DB::prune_link_stats( wp_date( 'Y-m-d', time() - self::RETENTION_DAYS * DAY_IN_SECONDS ) );
+	}
+
+	/* ── Display ────────────────────────────────────────────────── */
+
+	/**
+	 * CTR in percent (null without impressions).
+	 */
+	public static function ctr( int $clicks, int $impressions ): ?float {
+		return $impressions > 0 ? round( $clicks / $impressions * 100, 1 ) : null;
+	}
+
+	/**
+	 * Whether an anchor is shown often enough and never clicked.
+	 */
+	public static function is_dead( int $clicks, int $impressions ): bool {
+		return $clicks === 0 && $impressions >= self::DEAD_IMPRESSIONS;
+	}
+}
@@ -0,0 +1,881 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Registers the "Eksport / Import" submenu page and moves curated data
+ * (links, blacklist, custom URLs, settings) between sites.
+ *
+ * Export  – admin-post.php?action=sl_export streams JSON (any sections)
+ *           or CSV (one section).  Posts are written as permalink + slug
+ *           + post type next to the local ID, so they can be found again
+ *           on a site where the IDs differ.
+ * Import  – sl_import_preview (SL_Ajax) parses the uploaded file, keeps
+ *           it in a per-user transient and reports what would happen;
+ *           sl_import_run applies it in merge or replace mode.
+ *
+ * Merge keeps everything that exists and overwrites conflicting rows
+ * (same source post + target URL, same custom URL) with the file's
+ * values; replace empties the selected sections first.  API keys are
+ * never exported – they are encrypted with this site's salts anyway.
+ */
+class SL_Transfer {
+
+	public const FORMAT         = 'semanticlinker-export';
+	public const FORMAT_VERSION = 1;
+
+	/** Section key => label. */
+	public const SECTIONS = [
+		'links'       => 'Linki',
+		'blacklist'   => 'Blacklista',
+		'custom_urls' => 'Custom URLs',
+		'settings'    => 'Ustawienia',
+	];
+
+	/** CSV columns per section (settings are JSON only). */
+	private const CSV_COLUMNS = [
+		'links'       => [
+			'source_id', 'source_url', 'source_slug', 'source_type', 'anchor_text',
+			'target_url', 'target_id', 'target_slug', 'target_type',
+			'similarity_score', 'status', 'origin', 'created_at',
+		],
+		'blacklist'   => [
+			'rule_type', 'source_id', 'source_url', 'source_slug', 'source_type', 'anchor_text',
+			'target_url', 'target_id', 'target_slug', 'target_type', 'pattern',
+		],
+		'custom_urls' => [ 'url', 'title', 'keywords' ],
+	];
+
+	/** CSV cells starting like a spreadsheet formula. */
+	private const CSV_FORMULA_PATTERN = "/^[=+\\-@\t\r]/";
+
+	/** Settings that must not leave the site. */
+	private const SECRET_SETTINGS = [ 'api_key', 'provider_api_key' ];
+
+	/** Uploaded import file, kept between preview and run (per user). */
+	private const PENDING_TRANSIENT = 'sl_import_pending_';
+	private const PENDING_TTL       = HOUR_IN_SECONDS;
+
+	/** Examples listed per section in the preview. */
+	private const PREVIEW_MESSAGES = 10;
+
+	/** @var array  Resolved posts (import) / post references (export), per request. */
+	private static array $post_cache = [];
+
+	public function __construct() {
+		add_action( 'admin_menu', [ $this, 'add_page' ] );
+		add_action( 'admin_post_sl_export', [ $this, 'handle_export' ] );
+	}
+
+	/**
+	 * Register submenu page.
+	 */
+	public function add_page(): void {
+		add_submenu_page(
+			'semanticlinker',
+			'Eksport / Import – SemanticLinker AI',
+			'Eksport / Import',
+			'manage_options',
+			'semanticlinker-transfer',
+			[ $this, 'render' ]
+		);
+	}
+
+	/**
+	 * Render the Export / Import admin page.
+	 */
+	public function render(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( 'Brak uprawnień.' );
+		}
+		require_once SL_PLUGIN_DIR . 'templates/transfer.php';
+	}
+
+	/* ═══════════════════════════════════════════════════════════════
+	 * EXPORT
+	 * ═══════════════════════════════════════════════════════════════ */
+
+	/**
+	 * admin-post handler – sends the export as a file download.
+	 */
+	public function handle_export(): void {
+		check_admin_referer( 'sl_export', 'sl_nonce' );
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( 'Brak uprawnień.' );
+		}
+
+		$sections = array_values( array_intersect(
+			array_map( 'sanitize_key', (array) ( $_POST['sections'] ?? [] ) ),
+			array_keys( self::SECTIONS )
+		) );
+		$format   = ( $_POST['format'] ?? 'json' ) === 'csv' ? 'csv' : 'json';
+
+		if ( empty( $sections ) ) {
+			wp_die( 'Wybierz co najmniej jedną sekcję do eksportu.', '', [ 'back_link' => true ] );
+		}
+		if ( $format === 'csv' && ( count( $sections ) !== 1 || ! isset( self::CSV_COLUMNS[ $sections[0] ] ) ) ) {
+			wp_die( 'CSV obsługuje jedną sekcję naraz (linki, blacklista lub custom URLs). Ustawienia eksportuj do JSON.', '', [ 'back_link' => true ] );
+		}
+
+		$export   = self::export( $sections );
+		$filename = sprintf(
+			'semanticlinker-%s-%s.%s',
+			count( $sections ) === 1 ? str_replace( '_', '-', $sections[0] ) : 'export',
+			gmdate( 'Ymd-His' ),
+			$format
+		);
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( $format === 'csv' ? 'text/csv' : 'application/json' ) . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		if ( $format === 'csv' ) {
+			self::output_csv( $sections[0], $export['sections'][ $sections[0] ] );
+		} else {
+			echo wp_json_encode( $export, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+		}
+		exit;
+	}
+
+	/**
+	 * Build the export document.
+	 *
+	 * @param string[] $sections  Keys of SECTIONS.
+	 * @return array
+	 */
+	public static function export( array $sections ): array {
+		$data = [
+			'format'         => self::FORMAT,
+			'version'        => self::FORMAT_VERSION,
+			'plugin_version' => SL_VERSION,
+			'site_url'       => home_url( '/' ),
+			'exported_at'    => gmdate( 'c' ),
+			'sections'       => [],
+		];
+
+		foreach ( $sections as $section ) {
+			switch ( $section ) {
+				case 'links':
+					$data['sections']['links'] = self::export_links();
+					break;
+				case 'blacklist':
+					$data['sections']['blacklist'] = self::export_blacklist();
+					break;
+				case 'custom_urls':
+					$data['sections']['custom_urls'] = self::export_custom_urls();
+					break;
+				case 'settings':
+					$data['sections']['settings'] = self::export_settings();
+					break;
+			}
+		}
+
+		return $data;
+	}
+
+	private static function export_links(): array {
+		$rows = [];
+		foreach ( SL_DB::find_links( [] ) as $link ) {
+			$rows[] = array_merge(
+				self::post_ref( (int) $link->post_id, 'source' ),
+				[ 'anchor_text' => $link->anchor_text, 'target_url' => $link->target_url ],
+				self::post_ref( (int) $link->target_post_id, 'target' ),
+				[
+					'similarity_score' => round( (float) $link->similarity_score, 6 ),
+					'status'           => $link->status,
+					'origin'           => $link->origin,
+					'created_at'       => $link->created_at,
+				]
+			);
+		}
+		return $rows;
+	}
+
+	private static function export_blacklist(): array {
+		$rows = [];
+		foreach ( array_reverse( SL_DB::get_blacklist() ) as $entry ) {
+			$target_id = $entry->target_url !== '' ? url_to_postid( $entry->target_url ) : 0;
+
+			$rows[] = array_merge(
+				[ 'rule_type' => $entry->rule_type ],
+				self::post_ref( (int) $entry->post_id, 'source' ),
+				[ 'anchor_text' => $entry->anchor_text, 'target_url' => $entry->target_url ],
+				self::post_ref( $target_id, 'target' ),
+				[ 'pattern' => $entry->pattern ]
+			);
+		}
+		return $rows;
+	}
+
+	private static function export_custom_urls(): array {
+		$rows = [];
+		foreach ( array_reverse( SL_DB::get_all_custom_urls() ) as $custom ) {
+			$rows[] = [
+				'url'       => $custom->url,
+				'title'     => $custom->title,
+				'keywords'  => $custom->keywords,
+				'link_rule' => SL_Injector::custom_url_rule( $custom ),   // JSON only
+			];
+		}
+		return $rows;
+	}
+
+	/**
+	 * Settings without secrets; term IDs become slugs and excluded post
+	 * IDs become post references, so both survive a move.
+	 */
+	private static function export_settings(): array {
+		$settings = SL_Settings::all();
+		foreach ( self::SECRET_SETTINGS as $key ) {
+			unset( $settings[ $key ] );
+		}
+
+		$terms = [];
+		foreach ( (array) $settings['post_type_terms'] as $post_type => $taxonomies ) {
+			foreach ( (array) $taxonomies as $taxonomy => $term_ids ) {
+				foreach ( (array) $term_ids as $term_id ) {
+					$term = get_term( (int) $term_id, $taxonomy );
+					if ( $term && ! is_wp_error( $term ) ) {
+						$terms[ $post_type ][ $taxonomy ][] = $term->slug;
+					}
+				}
+			}
+		}
+		$settings['post_type_terms'] = $terms;
+
+		$settings['excluded_post_ids'] = array_values( array_filter( array_map( function ( $post_id ) {
+			$ref = self::post_ref( (int) $post_id, 'post' );
+			return $ref['post_id'] ? $ref : null;
+		}, (array) $settings['excluded_post_ids'] ) ) );
+
+		return $settings;
+	}
+
+	/**
+	 * {prefix}_id / _url / _slug / _type of a post (empty values for 0 or
+	 * a missing post).
+	 */
+	private static function post_ref( int $post_id, string $prefix ): array {
+		if ( ! isset( self::$post_cache[ 'ref' . $post_id ] ) ) {
+			$post = $post_id > 0 ? get_post( $post_id ) : null;
+
+			self::$post_cache[ 'ref' . $post_id ] = [
+				'id'   => $post ? $post_id : 0,
+				'url'  => $post ? (string) get_permalink( $post ) : '',
+				'slug' => $post ? $post->post_name : '',
+				'type' => $post ? $post->post_type : '',
+			];
+		}
+
+		$ref = self::$post_cache[ 'ref' . $post_id ];
+		return [
+			$prefix . '_id'   => $ref['id'],
+			$prefix . '_url'  => $ref['url'],
+			$prefix . '_slug' => $ref['slug'],
+			$prefix . '_type' => $ref['type'],
+		];
+	}
+
+	/**
+	 * Stream flat rows as CSV with a header row.  Text cells that a
+	 * spreadsheet would run as a formula get a leading apostrophe
+	 * (stripped again by parse_csv()).
+	 */
+	private static function output_csv( string $section, array $rows ): void {
+		$columns = self::CSV_COLUMNS[ $section ];
+		$handle  = fopen( 'php://output', 'w' );
+
+		fputcsv( $handle, $columns );
+		foreach ( $rows as $row ) {
+			fputcsv( $handle, array_map( function ( $column ) use ( $row ) {
+				$value = $row[ $column ] ?? '';
+				return is_string( $value ) && ! is_numeric( $value ) && preg_match( self::CSV_FORMULA_PATTERN, $value ) ? "'" . $value : $value;
+			}, $columns ) );
+		}
+
+		fclose( $handle );
+	}
+
+	/* ═══════════════════════════════════════════════════════════════
+	 * IMPORT
+	 * ═══════════════════════════════════════════════════════════════ */
+
+	/**
+	 * Parse an uploaded export (JSON) or CSV file.
+	 *
+	 * CSV sections are recognised by their header: rule_type → blacklist,
+	 * anchor_text → links, url + title → custom URLs.  A CSV without a
+	 * header is read as custom URLs (url, title, keywords), the same
+	 * layout `wp semanticlinker custom-urls import` accepts.
+	 *
+	 * @param string $path  Temporary file.
+	 * @param string $name  Original file name (extension decides the parser).
+	 * @return array|string  [ section => rows ] or an error message.
+	 */
+	public static function parse_file( string $path, string $name ) {
+		$content = (string) file_get_contents( $path );
+		$content = preg_replace( '/^\xEF\xBB\xBF/', '', $content );  // UTF-8 BOM
+
+		if ( trim( $content ) === '' ) {
+			return 'Plik jest pusty.';
+		}
+
+		if ( strtolower( pathinfo( $name, PATHINFO_EXTENSION ) ) === 'json' ) {
+			$data = json_decode( $content, true );
+			if ( ! is_array( $data ) || ( $data['format'] ?? '' ) !== self::FORMAT ) {
+				return 'To nie jest plik eksportu SemanticLinker AI.';
+			}
+			if ( (int) ( $data['version'] ?? 0 ) > self::FORMAT_VERSION ) {
+				return 'Plik pochodzi z nowszej wersji wtyczki – zaktualizuj ją przed importem.';
+			}
+
+			$sections = array_intersect_key( (array) ( $data['sections'] ?? [] ), self::SECTIONS );
+			return empty( $sections ) ? 'Plik nie zawiera danych do importu.' : $sections;
+		}
+
+		return self::parse_csv( $content );
+	}
+
+	/**
+	 * @return array|string  [ section => rows ] or an error message.
+	 */
+	private static function parse_csv( string $content ) {
+		$handle = fopen( 'php://temp', 'r+' );
+		fwrite( $handle, $content );
+		rewind( $handle );
+
+		$rows = [];
+		while ( ( $row = fgetcsv( $handle ) ) !== false ) {
+			if ( $row !== [ null ] ) {
+				$rows[] = array_map( function ( $cell ) {
+					return preg_replace( "/^'(?=[=+\\-@\t\r])/", '', trim( (string) $cell ) );
+				}, $row );
+			}
+		}
+		fclose( $handle );
+
+		if ( empty( $rows ) ) {
+			return 'Plik CSV jest pusty.';
+		}
+
+		$header = array_map( 'strtolower', $rows[0] );
+
+		if ( in_array( 'rule_type', $header, true ) ) {
+			$section = 'blacklist';
+		} elseif ( in_array( 'anchor_text', $header, true ) ) {
+			$section = 'links';
+		} elseif ( in_array( 'url', $header, true ) && in_array( 'title', $header, true ) ) {
+			$section = 'custom_urls';
+		} else {
+			// No header: url, title, keywords
+			$section = 'custom_urls';
+			$header  = [ 'url', 'title', 'keywords' ];
+			array_unshift( $rows, $header );
+		}
+
+		$records = [];
+		foreach ( array_slice( $rows, 1 ) as $row ) {
+			$record = [];
+			foreach ( $header as $i => $column ) {
+				$record[ $column ] = $row[ $i ] ?? '';
+			}
+			$records[] = $record;
+		}
+
+		return [ $section => $records ];
+	}
+
+	/**
+	 * Keep parsed sections until the admin confirms the import.
+	 */
+	public static function store_pending( array $sections ): void {
+		set_transient( self::PENDING_TRANSIENT . get_current_user_id(), $sections, self::PENDING_TTL );
+	}
+
+	/**
+	 * @return array|null  Sections stored by store_pending().
+	 */
+	public static function get_pending(): ?array {
+		$sections = get_transient( self::PENDING_TRANSIENT . get_current_user_id() );
+		return is_array( $sections ) ? $sections : null;
+	}
+
+	public static function clear_pending(): void {
+		delete_transient( self::PENDING_TRANSIENT . get_current_user_id() );
+	}
+
+	/**
+	 * What an import would do, per section.
+	 *
+	 * @param array  $sections  Parsed sections.
+	 * @param string $mode      'merge' | 'replace'.
+	 * @return array  [ section => [ total, insert, update, skip, unresolved, messages ] ]
+	 */
+	public static function preview( array $sections, string $mode ): array {
+		$report = [];
+		foreach ( $sections as $section => $rows ) {
+			$plan = self::plan( $section, (array) $rows, $mode );
+
+			$report[ $section ] = array_merge( $plan['counts'], [
+				'label'    => self::SECTIONS[ $section ],
+				'messages' => array_slice( $plan['messages'], 0, self::PREVIEW_MESSAGES ),
+			] );
+		}
+		return $report;
+	}
+
+	/**
+	 * Apply the selected sections.
+	 *
+	 * @param array    $sections  Parsed sections.
+	 * @param string[] $selected  Section keys to import.
+	 * @param string   $mode      'merge' | 'replace'.
+	 * @return array  [ section => counts ]
+	 */
+	public static function import( array $sections, array $selected, string $mode ): array {
+		$summary = [];
+
+		SL_History::start( 'import', sprintf( 'Import (%s): %s', $mode === 'replace' ? 'zastąpienie' : 'scalenie', implode( ', ', $selected ) ) );
+
+		foreach ( $selected as $section ) {
+			if ( ! isset( $sections[ $section ], self::SECTIONS[ $section ] ) ) {
+				continue;
+			}
+
+			if ( $mode === 'replace' ) {
+				self::empty_section( $section );
+			}
+
+			$plan = self::plan( $section, (array) $sections[ $section ], $mode );
+			$summary[ $section ] = array_merge( $plan['counts'], [
+				'failed' => self::apply( $section, $plan['ops'] ),
+			] );
+
+			SL_Debug::log( 'transfer', 'Imported section: ' . $section, array_merge( [ 'mode' => $mode ], $summary[ $section ] ) );
+		}
+
+		SL_History::finish();
+
+		// Custom URLs and settings carry link rendering rules
+		if ( array_intersect_key( $summary, array_flip( [ 'links', 'blacklist', 'custom_urls', 'settings' ] ) ) ) {
+			SL_Injector::flush_all_caches();
+		}
+
+		return $summary;
+	}
+
+	/**
+	 * Delete the current data of a section (replace mode).
+	 * Settings are not emptied – the file is applied on top of defaults.
+	 */
+	private static function empty_section( string $section ): void {
+		switch ( $section ) {
+			case 'links':
+				SL_DB::delete_all_links();
+				break;
+			case 'blacklist':
+				SL_DB::delete_all_blacklist();
+				break;
+			case 'custom_urls':
+				SL_DB::delete_all_custom_urls();
+				break;
+		}
+	}
+
+	/**
+	 * Resolve rows against this site and decide what to do with each.
+	 *
+	 * @return array  [ 'ops' => array[], 'counts' => int[], 'messages' => string[] ]
+	 */
+	private static function plan( string $section, array $rows, string $mode ): array {
+		$result = [
+			'ops'      => [],
+			'counts'   => [ 'total' => count( $rows ), 'insert' => 0, 'update' => 0, 'skip' => 0, 'unresolved' => 0 ],
+			'messages' => [],
+		];
+
+		// Replace mode plans against an emptied section: nothing can conflict
+		$replace = $mode === 'replace';
+
+		if ( $section === 'settings' ) {
+			$settings = self::import_settings_value( $rows, $replace );
+			$changed  = array_keys( array_filter( $settings, function ( $value, $key ) {
+				return SL_Settings::get( $key ) !== $value;
+			}, ARRAY_FILTER_USE_BOTH ) );
+
+			$result['counts']['total'] = 1;
+			if ( empty( $changed ) ) {
+				$result['counts']['skip'] = 1;
+			} else {
+				$result['counts']['update'] = 1;
+				$result['messages'][]       = 'Zmienione ustawienia: ' . implode( ', ', $changed );
+				$result['ops'][]            = [ 'op' => 'update', 'data' => $settings ];
+			}
+			return $result;
+		}
+
+		$seen         = [];
+		$custom_urls  = [];
+		$custom_space = 0;
+		if ( $section === 'custom_urls' ) {
+			foreach ( $replace ? [] : SL_DB::get_all_custom_urls() as $custom ) {
+				$custom_urls[ $custom->url ] = $custom;
+			}
+			$custom_space = SL_DB::MAX_CUSTOM_URLS - count( $custom_urls );
+		}
+
+		foreach ( $rows as $i => $row ) {
+			$row  = (array) $row;
+			$line = sprintf( '#%d', $i + 1 );
+
+			switch ( $section ) {
+				case 'links':
+					$op = self::plan_link( $row, $replace );
+					break;
+				case 'blacklist':
+					$op = self::plan_blacklist_entry( $row, $replace );
+					break;
+				default:
+					$op = self::plan_custom_url( $row, $custom_urls );
+					if ( $op['op'] === 'insert' ) {
+						if ( $custom_space-- <= 0 ) {
+							$op = [ 'op' => 'skip', 'reason' => sprintf( 'osiągnięto limit %d URL-i', SL_DB::MAX_CUSTOM_URLS ) ];
+						}
+					}
+					break;
+			}
+
+			// The same row twice in one file – only the first counts
+			if ( isset( $op['key'] ) ) {
+				if ( isset( $seen[ $op['key'] ] ) ) {
+					$op = [ 'op' => 'skip', 'reason' => 'duplikat w pliku' ];
+				}
+				$seen[ $op['key'] ?? '' ] = true;
+			}
+
+			$result['counts'][ $op['op'] ]++;
+			if ( isset( $op['reason'] ) ) {
+				$result['messages'][] = $line . ': ' . $op['reason'];
+			}
+			if ( $op['op'] === 'insert' || $op['op'] === 'update' ) {
+				$result['ops'][] = $op;
+			}
+		}
+
+		return $result;
+	}
+
+	private static function plan_link( array $row, bool $replace ): array {
+		$source_id = self::resolve_post( $row, 'source' );
+		if ( ! $source_id ) {
+			return [ 'op' => 'unresolved', 'reason' => 'nie znaleziono wpisu źródłowego ' . self::describe( $row, 'source' ) ];
+		}
+
+		$target = self::resolve_target( $row );
+		if ( $target === null ) {
+			return [ 'op' => 'unresolved', 'reason' => 'nie znaleziono wpisu docelowego ' . self::describe( $row, 'target' ) ];
+		}
+
+		if ( trim( (string) ( $row['anchor_text'] ?? '' ) ) === '' ) {
+			return [ 'op' => 'skip', 'reason' => 'brak anchora' ];
+		}
+
+		$data = [
+			'post_id'          => $source_id,
+			'anchor_text'      => (string) $row['anchor_text'],
+			'target_url'       => $target['url'],
+			'target_post_id'   => $target['post_id'],
+			'similarity_score' => (float) ( $row['similarity_score'] ?? 0 ),
+			'status'           => in_array( $row['status'] ?? '', [ 'active', 'rejected', 'filtered' ], true ) ? $row['status'] : 'active',
+			'origin'           => ( $row['origin'] ?? '' ) === 'manual' ? 'manual' : 'auto',
+		];
+		$key = $source_id . '|' . $target['url'];
+
+		$existing = $replace ? null : SL_DB::get_link_by_pair( $source_id, $target['url'] );
+		if ( ! $existing ) {
+			return [ 'op' => 'insert', 'key' => $key, 'data' => $data ];
+		}
+
+		if (
+			$existing->status === $data['status']
+			&& $existing->origin === $data['origin']
+			&& $existing->anchor_text === sanitize_text_field( $data['anchor_text'] )
+			&& abs( (float) $existing->similarity_score - $data['similarity_score'] ) < 0.0001
+		) {
+			return [ 'op' => 'skip', 'key' => $key ];
+		}
+
+		return [
+			'op'     => 'update',
+			'key'    => $key,
+			'id'     => (int) $existing->ID,
+			'data'   => $data,
+			'reason' => sprintf( 'link „%s” → %s już istnieje (%s) – zostanie nadpisany (%s)', $existing->anchor_text, $target['url'], $existing->status, $data['status'] ),
+		];
+	}
+
+	private static function plan_blacklist_entry( array $row, bool $replace ): array {
+		$rule_type = $row['rule_type'] ?? 'pair';
+		if ( ! in_array( $rule_type, SL_DB::BLACKLIST_RULE_TYPES, true ) ) {
+			return [ 'op' => 'skip', 'reason' => 'nieznany typ reguły ' . $rule_type ];
+		}
+
+		$post_id    = 0;
+		$target_url = '';
+		$pattern    = '';
+
+		if ( $rule_type === 'pair' || $rule_type === 'source' ) {
+			$post_id = self::resolve_post( $row, 'source' );
+			if ( ! $post_id ) {
+				return [ 'op' => 'unresolved', 'reason' => 'nie znaleziono wpisu źródłowego ' . self::describe( $row, 'source' ) ];
+			}
+		}
+		if ( $rule_type === 'pair' || $rule_type === 'target' ) {
+			$target = self::resolve_target( $row );
+			if ( $target === null ) {
+				return [ 'op' => 'unresolved', 'reason' => 'nie znaleziono wpisu docelowego ' . self::describe( $row, 'target' ) ];
+			}
+			$target_url = $target['url'];
+		}
+		if ( $rule_type === 'anchor' || $rule_type === 'regex' ) {
+			$pattern = (string) ( $row['pattern'] ?? '' );
+		}
+
+		$key = implode( '|', [ $rule_type, $post_id, $target_url, $pattern ] );
+		if ( ! $replace && SL_DB::blacklist_entry_exists( $rule_type, $post_id, $target_url, $pattern ) ) {
+			return [ 'op' => 'skip', 'key' => $key ];
+		}
+
+		return [
+			'op'   => 'insert',
+			'key'  => $key,
+			'data' => [
+				'rule_type'   => $rule_type,
+				'post_id'     => $post_id,
+				'target_url'  => $target_url,
+				'pattern'     => $pattern,
+				'anchor_text' => (string) ( $row['anchor_text'] ?? '' ),
+			],
+		];
+	}
+
+	/**
+	 * @param object[] $existing  Current custom URLs keyed by URL.
+	 */
+	private static function plan_custom_url( array $row, array $existing ): array {
+		$url      = esc_url_raw( trim( (string) ( $row['url'] ?? '' ) ) );
+		$title    = sanitize_text_field( (string) ( $row['title'] ?? '' ) );
+		$keywords = sanitize_textarea_field( (string) ( $row['keywords'] ?? '' ) );
+
+		if ( $url === '' || $title === '' || ! filter_var( $url, FILTER_VALIDATE_URL ) ) {
+			return [ 'op' => 'skip', 'reason' => 'wymagany poprawny URL i tytuł' ];
+		}
+
+		$data = [ 'url' => $url, 'title' => $title, 'keywords' => $keywords ];
+
+		// Own link rule – CSV rows have none and keep the current one
+		if ( array_key_exists( 'link_rule', $row ) ) {
+			$data['link_rule'] = is_array( $row['link_rule'] ) ? SL_Injector::sanitize_link_rule( $row['link_rule'] ) : null;
+		}
+
+		if ( ! isset( $existing[ $url ] ) ) {
+			return [ 'op' => 'insert', 'key' => $url, 'data' => $data ];
+		}
+
+		$current = $existing[ $url ];
+		if ( $current->title === $title && $current->keywords === $keywords
+			&& ( ! array_key_exists( 'link_rule', $data ) || SL_Injector::custom_url_rule( $current ) === $data['link_rule'] ) ) {
+			return [ 'op' => 'skip', 'key' => $url ];
+		}
+
+		return [
+			'op'     => 'update',
+			'key'    => $url,
+			'id'     => (int) $current->ID,
+			'data'   => $data,
+			'reason' => sprintf( '%s już istnieje – tytuł i słowa kluczowe zostaną nadpisane', $url ),
+		];
+	}
+
+	/**
+	 * Settings from the file on top of the current values (merge) or the
+	 * defaults (replace), run through SL_Settings::sanitize().
+	 */
+	private static function import_settings_value( array $imported, bool $replace ): array {
+		foreach ( self::SECRET_SETTINGS as $key ) {
+			unset( $imported[ $key ] );
+		}
+
+		// Term slugs → IDs of this site
+		if ( isset( $imported['post_type_terms'] ) ) {
+			$terms = [];
+			foreach ( (array) $imported['post_type_terms'] as $post_type => $taxonomies ) {
+				foreach ( (array) $taxonomies as $taxonomy => $slugs ) {
+					foreach ( (array) $slugs as $slug ) {
+						$term = get_term_by( 'slug', (string) $slug, (string) $taxonomy );
+						if ( $term ) {
+							$terms[ $post_type ][ $taxonomy ][] = (int) $term->term_id;
+						}
+					}
+				}
+			}
+			$imported['post_type_terms'] = $terms;
+		}
+
+		// Post references → IDs of this site
+		if ( isset( $imported['excluded_post_ids'] ) ) {
+			$imported['excluded_post_ids'] = array_values( array_filter( array_map( function ( $ref ) {
+				return is_array( $ref ) ? self::resolve_post( $ref, 'post' ) : 0;
+			}, (array) $imported['excluded_post_ids'] ) ) );
+		}
+
+		$current = get_option( SL_Settings::OPTION_KEY, [] );
+		$input   = $replace ? $imported : array_merge( SL_Settings::all(), $imported );
+		$clean   = SL_Settings::sanitize( $input );
+
+		// Saved from the Custom URLs page, not part of sanitize()
+		$threshold = $imported['custom_url_threshold'] ?? ( $current['custom_url_threshold'] ?? null );
+		if ( $threshold !== null ) {
+			$clean['custom_url_threshold'] = max( 0.20, min( 0.90, (float) $threshold ) );
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Write planned rows.
+	 *
+	 * @return int  Rows that could not be written.
+	 */
+	private static function apply( string $section, array $ops ): int {
+		$failed      = 0;
+		$new_customs = 0;
+
+		foreach ( $ops as $op ) {
+			switch ( $section ) {
+				case 'links':
+					$ok = $op['op'] === 'insert'
+						? (bool) SL_DB::insert_link( $op['data'] )
+						: SL_DB::update_link( $op['id'], $op['data'] );
+					break;
+
+				case 'blacklist':
+					$data = $op['data'];
+					if ( $data['rule_type'] === 'pair' ) {
+						SL_DB::add_to_blacklist( $data['post_id'], $data['anchor_text'], $data['target_url'] );
+						$ok = true;
+					} else {
+						$value = [
+							'anchor' => $data['pattern'],
+							'regex'  => $data['pattern'],
+							'target' => $data['target_url'],
+							'source' => (string) $data['post_id'],
+						][ $data['rule_type'] ];
+						$ok = is_int( SL_DB::add_blacklist_rule( $data['rule_type'], $value ) );
+					}
+					break;
+
+				case 'custom_urls':
+					$ok = $op['op'] === 'insert'
+						? (bool) SL_DB::insert_custom_url( $op['data'] )
+						: SL_DB::update_custom_url( $op['id'], $op['data'] );
+					$new_customs += $ok ? 1 : 0;
+					break;
+
+				case 'settings':
+					update_option( SL_Settings::OPTION_KEY, $op['data'] );
+					SL_Settings::update_cron_schedule( ! empty( $op['data']['cron_enabled'] ) );
+					$ok = true;
+					break;
+
+				default:
+					$ok = false;
+			}
+
+			if ( ! $ok ) {
+				$failed++;
+			}
+		}
+
+		// New / changed custom URLs need an embedding before they can be matched
+		if ( $new_customs > 0 ) {
+			SL_Indexer::process_custom_urls_needing_embedding();
+		}
+
+		return $failed;
+	}
+
+	/* ── Post mapping ──────────────────────────────────────────── */
+
+	/**
+	 * Find the local post behind {prefix}_url / _slug / _type.
+	 *
+	 * The URL is tried first (same site, or the same path on this
+	 * site's domain), then the slug within the post type.
+	 *
+	 * @return int  Post ID or 0.
+	 */
+	private static function resolve_post( array $row, string $prefix ): int {
+		$url  = trim( (string) ( $row[ $prefix . '_url' ] ?? '' ) );
+		$slug = sanitize_title( (string) ( $row[ $prefix . '_slug' ] ?? '' ) );
+		$type = sanitize_key( (string) ( $row[ $prefix . '_type' ] ?? '' ) );
+
+		$cache_key = 'post' . md5( $url . '|' . $slug . '|' . $type );
+		if ( isset( self::$post_cache[ $cache_key ] ) ) {
+			return self::$post_cache[ $cache_key ];
+		}
+
+		$post_id = 0;
+
+		if ( $url !== '' ) {
+			$post_id = url_to_postid( $url );
+
+			$path = wp_parse_url( $url, PHP_URL_PATH );
+			if ( ! $post_id && $path ) {
+				$post_id = url_to_postid( home_url( $path ) );
+			}
+		}
+
+		if ( ! $post_id && $slug !== '' ) {
+			$found = get_posts( [
+				'name'             => $slug,
+				'post_type'        => $type !== '' ? $type : 'any',
+				'post_status'      => 'any',
+				'numberposts'      => 1,
+				'fields'           => 'ids',
+				'suppress_filters' => true,
+			] );
+			$post_id = $found ? (int) $found[0] : 0;
+		}
+
+		return self::$post_cache[ $cache_key ] = (int) $post_id;
+	}
+
+	/**
+	 * Link target on this site: a post (when the row names one) or the
+	 * URL as-is (custom / external target).
+	 *
+	 * @return array|null  [ 'post_id' => int, 'url' => string ] or null if the post is missing.
+	 */
+	private static function resolve_target( array $row ): ?array {
+		$names_post = ! empty( $row['target_slug'] ) || ! empty( $row['target_type'] ) || ! empty( $row['target_id'] );
+
+		if ( $names_post ) {
+			$post_id = self::resolve_post( $row, 'target' );
+			return $post_id ? [ 'post_id' => $post_id, 'url' => (string) get_permalink( $post_id ) ] : null;
+		}
+
+		$url = esc_url_raw( trim( (string) ( $row['target_url'] ?? '' ) ) );
+		return $url !== '' ? [ 'post_id' => 0, 'url' => $url ] : null;
+	}
+
+	/**
+	 * Short description of a post reference for preview messages.
+	 */
+	private static function describe( array $row, string $prefix ): string {
+		$slug = $row[ $prefix . '_slug' ] ?? '';
+		$url  = $row[ $prefix . '_url' ] ?? '';
+		return $slug !== '' ? '„' . $slug . '”' : ( $url !== '' ? $url : '(brak danych)' );
+	}
+}
@@ -0,0 +1,271 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * API usage metering, monthly budget and cost report.
+ *
+ * SL_Embedding_API reports every provider request (record()) and
+ * SL_Jobs / WP-CLI every retried batch (record_retry()).  Counters are
+ * added to daily rows per kind and model (wp_semantic_api_usage) and,
+ * for the current request, to the run totals that SL_Jobs keeps per
+ * job (take_run()).
+ *
+ * Tokens come from the provider's usage report; when it has none
+ * (Gemini embeddings) they are estimated from the input length.  Costs
+ * are computed from the token sums and the prices in settings (USD per
+ * million tokens), so changing a price also re-prices the history.
+ *
+ * With a monthly budget set, budget_exceeded() pauses the indexing
+ * pipeline (background job, WP-CLI, hourly cron and the re-index queue)
+ * until the budget is raised or a new month starts.
+ */
+class SL_Usage {
+
+	/** Kind => label. */
+	public const KINDS = [
+		'embedding' => 'Embeddingi',
+		'filter'    => 'Filtr AI',
+	];
+
+	/** Counters kept per day, kind and model. */
+	public const COUNTERS = [ 'requests', 'input_chars', 'input_tokens', 'output_tokens', 'retries', 'rate_limited', 'errors' ];
+
+	/** Days in the daily chart and months in the monthly one. */
+	public const CHART_DAYS   = 30;
+	public const CHART_MONTHS = 12;
+
+	/** Rough token estimate when the provider reports none. */
+	private const CHARS_PER_TOKEN = 4;
+
+	/** Daily rows older than this are pruned (once a day). */
+	private const RETENTION_MONTHS = 24;
+
+	/** Transient set after the daily prune. */
+	private const PRUNE_KEY = 'sl_usage_pruned';
+
+	/** @var array  kind => counters recorded during this request. */
+	private static array $run = [];
+
+	/* ── Recording ──────────────────────────────────────────────── */
+
+	/**
+	 * Add counters of one request (or retry) to today's row and to the
+	 * run totals.
+	 *
+	 * @param string $kind      'embedding' or 'filter'.
+	 * @param string $model     Model that served the request.
+	 * @param array  $counters  Any of COUNTERS => int.
+	 */
+	public static function record( string $kind, string $model, array $counters ): void {
+		if ( ! isset( self::KINDS[ $kind ] ) ) {
+			return;
+		}
+
+		$counters = array_map( 'intval', array_intersect_key( $counters, array_flip( self::COUNTERS ) ) );
+		if ( ! array_filter( $counters ) ) {
+			return;
+		}
+
+		foreach ( $counters as $counter => $value ) {
+			self::$run[ $kind ][ $counter ] = ( self::$run[ $kind ][ $counter ] ?? 0 ) + $value;
+		}
+
+		SL_DB::add_api_usage( current_time( 'Y-m-d' ), $kind, $model, $counters );
+		self::maybe_prune();
+	}
+
+	/**
+	 * Count a batch that has to be repeated (rate limit or failure).
+	 *
+	 * @param string $kind  'embedding' or 'filter'.
+	 */
+	public static function record_retry( string $kind ): void {
+		self::record( $kind, self::model( $kind ), [ 'retries' => 1 ] );
+	}
+
+	/**
+	 * Tokens of a text the provider did not count.
+	 */
+	public static function estimate_tokens( int $chars ): int {
+		return (int) ceil( $chars / self::CHARS_PER_TOKEN );
+	}
+
+	/**
+	 * Model currently configured for a kind.
+	 */
+	public static function model( string $kind ): string {
+		return (string) SL_Settings::get( $kind === 'filter' ? 'filter_model' : 'embedding_model', '' );
+	}
+
+	/* ── Run totals ─────────────────────────────────────────────── */
+
+	/**
+	 * Counters recorded since the last call (the current job tick or
+	 * WP-CLI command), then reset.
+	 *
+	 * @return array  kind => counters.
+	 */
+	public static function take_run(): array {
+		$run       = self::$run;
+		self::$run = [];
+		return $run;
+	}
+
+	/**
+	 * Sum two kind => counters arrays.
+	 */
+	public static function merge( array $a, array $b ): array {
+		foreach ( $b as $kind => $counters ) {
+			foreach ( (array) $counters as $counter => $value ) {
+				$a[ $kind ][ $counter ] = ( $a[ $kind ][ $counter ] ?? 0 ) + (int) $value;
+			}
+		}
+		return $a;
+	}
+
+	/**
+	 * One-line summary of run totals, e.g. for the job history.
+	 *
+	 * @param array $usage  kind => counters.
+	 * @return string  '' when nothing was sent.
+	 */
+	public static function summary( array $usage ): string {
+		$requests = 0;
+		$tokens   = 0;
+		foreach ( $usage as $counters ) {
+			$requests += (int) ( $counters['requests'] ?? 0 );
+			$tokens   += (int) ( $counters['input_tokens'] ?? 0 ) + (int) ( $counters['output_tokens'] ?? 0 );
+		}
+		if ( $requests === 0 ) {
+			return '';
+		}
+
+		return sprintf(
+			'API: %s zapytań, %s tokenów, %s',
+			number_format_i18n( $requests ),
+			number_format_i18n( $tokens ),
+			self::format_cost( self::cost( $usage ) )
+		);
+	}
+
+	/* ── Cost and budget ────────────────────────────────────────── */
+
+	/**
+	 * Cost in USD of kind => counters at the configured prices.
+	 */
+	public static function cost( array $usage ): float {
+		$settings  = SL_Settings::all();
+		$embedding = $usage['embedding'] ?? [];
+		$filter    = $usage['filter'] ?? [];
+
+		return (
+			(int) ( $embedding['input_tokens'] ?? 0 ) * (float) $settings['price_embedding'] +
+			(int) ( $filter['input_tokens'] ?? 0 ) * (float) $settings['price_filter_input'] +
+			(int) ( $filter['output_tokens'] ?? 0 ) * (float) $settings['price_filter_output']
+		) / 1000000;
+	}
+
+	public static function format_cost( float $cost ): string {
+		return number_format_i18n( $cost, $cost > 0 && $cost < 0.01 ? 4 : 2 ) . ' USD';
+	}
+
+	/**
+	 * Usage of the current month (site time zone).
+	 *
+	 * @return array  kind => counters.
+	 */
+	public static function month(): array {
+		return SL_DB::get_api_usage_totals( current_time( 'Y-m-01' ) );
+	}
+
+	/**
+	 * Monthly budget in USD (0 = no limit).
+	 */
+	public static function budget(): float {
+		return (float) SL_Settings::get( 'usage_budget', 0 );
+	}
+
+	/**
+	 * Whether this month's cost reached the budget.
+	 */
+	public static function budget_exceeded(): bool {
+		$budget = self::budget();
+		return $budget > 0 && self::cost( self::month() ) >= $budget;
+	}
+
+	/**
+	 * Why the pipeline is paused.
+	 */
+	public static function budget_message(): string {
+		return sprintf(
+			'Wstrzymano: miesięczny budżet API został wyczerpany (%s z %s). Podnieś budżet w ustawieniach lub poczekaj do początku miesiąca.',
+			self::format_cost( self::cost( self::month() ) ),
+			self::format_cost( self::budget() )
+		);
+	}
+
+	/* ── History (settings page) ────────────────────────────────── */
+
+	/**
+	 * Daily usage of the last CHART_DAYS days, oldest first; days
+	 * without requests are included.
+	 *
+	 * @return array  Y-m-d => kind => counters.
+	 */
+	public static function daily(): array {
+		$out = [];
+		for ( $i = self::CHART_DAYS - 1; $i >= 0; $i-- ) {
+			$out[ wp_date( 'Y-m-d', time() - $i * DAY_IN_SECONDS ) ] = [];
+		}
+
+		foreach ( SL_DB::get_api_usage_by_period( 'day', (string) array_key_first( $out ) ) as $row ) {
+			if ( isset( $out[ $row->period ] ) ) {
+				$out[ $row->period ][ $row->kind ] = self::row_counters( $row );
+			}
+		}
+		return $out;
+	}
+
+	/**
+	 * Monthly usage of the last CHART_MONTHS months, oldest first.
+	 *
+	 * @return array  Y-m => kind => counters.
+	 */
+	public static function monthly(): array {
+		$out   = [];
+		$first = new DateTimeImmutable( current_time( 'Y-m-01' ) );
+		for ( $i = self::CHART_MONTHS - 1; $i >= 0; $i-- ) {
+			$out[ $first->modify( "-{$i} months" )->format( 'Y-m' ) ] = [];
+		}
+
+		foreach ( SL_DB::get_api_usage_by_period( 'month', array_key_first( $out ) . '-01' ) as $row ) {
+			if ( isset( $out[ $row->period ] ) ) {
+				$out[ $row->period ][ $row->kind ] = self::row_counters( $row );
+			}
+		}
+		return $out;
+	}
+
+	/**
+	 * Counters of a row from SL_DB::get_api_usage_by_period().
+	 */
+	private static function row_counters( $row ): array {
+		$counters = [];
+		foreach ( self::COUNTERS as $counter ) {
+			$counters[ $counter ] = (int) $row->$counter;
+		}
+		return $counters;
+	}
+
+	private static function maybe_prune(): void {
+		if ( get_transient( self::PRUNE_KEY ) ) {
+			return;
+		}
+		set_transient( self::PRUNE_KEY, 1, DAY_IN_SECONDS );
+
+		$before = ( new DateTimeImmutable( current_time( 'Y-m-01' ) ) )->modify( '-' . self::RETENTION_MONTHS . ' months' );
+		SL_DB::prune_api_usage( $before->format( 'Y-m-d' ) );
+	}
+}
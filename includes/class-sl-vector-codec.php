@@ -0,0 +1,102 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Binary encoding of the stored embedding vectors.
+ *
+ * The `embedding` columns of wp_semantic_embeddings and
+ * wp_semantic_custom_urls are blobs; `embedding_format` says how each
+ * row is encoded:
+ *
+ *   • f32  – packed little-endian float32, 4 bytes per dimension.
+ *   • i8   – float32 scale + one signed byte per dimension
+ *            (value ≈ code × scale), a quarter of the size; cosine
+ *            scores typically move by less than 0.01.
+ *   • json – text written before binary storage; read as before and
+ *            converted in batches by SL_Activation::convert_vectors().
+ *
+ * New vectors use the format chosen in settings (`vector_storage`).
+ */
+class SL_Vector_Codec {
+
+	/** Format => label (settings). */
+	public const FORMATS = [
+		'f32' => 'float32 (dokładny)',
+		'i8'  => 'int8 (4× mniej miejsca)',
+	];
+
+	/** Rows written before binary storage. */
+	public const LEGACY = 'json';
+
+	/**
+	 * Format of newly written vectors.
+	 */
+	public static function format(): string {
+		$format = (string) SL_Settings::get( 'vector_storage', 'f32' );
+		return isset( self::FORMATS[ $format ] ) ? $format : 'f32';
+	}
+
+	/**
+	 * Formats that convert_vectors() re-encodes into $format – JSON
+	 * always, float32 when switching to int8 (int8 cannot be widened
+	 * back without re-embedding).
+	 *
+	 * @return string[]
+	 */
+	public static function convertible( string $format ): array {
+		return $format === 'i8' ? [ self::LEGACY, 'f32' ] : [ self::LEGACY ];
+	}
+
+	/**
+	 * @param float[] $vector
+	 * @param string  $format  Key of FORMATS.
+	 * @return string  '' for an empty vector.
+	 */
+	public static function encode( array $vector, string $format ): string {
+		if ( empty( $vector ) ) {
+			return '';
+		}
+
+		if ( $format !== 'i8' ) {
+			return pack( 'g*', ...$vector );
+		}
+
+		$max   = max( array_map( 'abs', $vector ) );
+		$scale = $max > 0 ? $max / 127 : 0.0;
+
+		return pack( 'g', $scale ) . pack( 'c*', ...array_map( function ( $x ) use ( $scale ) {
+			return $scale > 0 ? (int) round( $x / $scale ) : 0;
+		}, $vector ) );
+	}
+
+	/**
+	 * @param string|null $data    Column value.
+	 * @param string      $format  Row's embedding_format.
+	 * @return float[]  Empty when there is no (readable) vector.
+	 */
+	public static function decode( ?string $data, string $format ): array {
+		if ( $data === null || $data === '' ) {
+			return [];
+		}
+
+		switch ( $format ) {
+			case 'f32':
+				return array_values( unpack( 'g*', $data ) );
+
+			case 'i8':
+				if ( strlen( $data ) < 5 ) {
+					return [];
+				}
+				$scale = unpack( 'g', $data )[1];
+				return array_map( function ( $code ) use ( $scale ) {
+					return $code * $scale;
+				}, array_values( unpack( 'c*', substr( $data, 4 ) ) ) );
+
+			default:
+				$vector = json_decode( $data, true );
+				return is_array( $vector ) ? $vector : [];
+		}
+	}
+}
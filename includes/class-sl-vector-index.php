@@ -0,0 +1,484 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Approximate nearest-neighbour index of the title vectors (IVF, int8).
+ *
+ * Scoring every content chunk against every title with
+ * SL_Matcher::cosine() grows with posts × posts; on large sites the
+ * matcher instead asks this index for the ANN_TOP_K nearest titles of each
+ * chunk and scores only those exactly.  Custom URLs are few and use a
+ * much lower threshold – they are always scored in full.
+ *
+ * Structure
+ * ─────────
+ *   • Title vectors are normalised and quantised to int8 (like the
+ *     simulator's anchors): score ≈ q · code / 127.
+ *   • Posts are filed into √N inverted lists around centroids trained
+ *     with a short k-means on a random sample; a query scans the
+ *     NPROBE lists whose centroids are closest.
+ *   • Stored in uploads/ as one file (see TARGET_CACHE_FILE in
+ *     SL_Matcher for why not an option).  Below MIN_POSTS there is no
+ *     index and the matcher keeps its exact full scan.
+ *
+ * Lifecycle
+ * ─────────
+ *   • Built at the end of the indexing phase in steps of BUILD_BATCH
+ *     posts (build_step(), called by SL_Indexer) – a build started from
+ *     scratch does not fit in one request on a large site.
+ *   • SL_DB fires `sl_embeddings_changed` when a title vector is written
+ *     or a post's vectors are deleted; those posts are queued and
+ *     re-filed the next time the index is loaded.
+ *   • A new provider / model, or more than REBUILD_RATIO of the posts
+ *     changed since the build, makes the index stale: searches fall
+ *     back to the full scan until the next build.
+ */
+class SL_Vector_Index {
+
+	/** Fewer indexed posts than this: no index, exact full scan. */
+	public const MIN_POSTS = 1000;
+
+	/** Inverted lists scanned per query. */
+	private const NPROBE = 8;
+
+	/** Upper bound of the number of inverted lists. */
+	private const MAX_LISTS = 256;
+
+	/** k-means training: sample posts per list and Lloyd iterations. */
+	private const SAMPLE_PER_LIST   = 4;
+	private const KMEANS_ITERATIONS = 2;
+
+	/** Posts filed per build step. */
+	private const BUILD_BATCH = 500;
+
+	/** Share of posts changed since the build that triggers a rebuild. */
+	private const REBUILD_RATIO = 0.25;
+
+	/** Index file (wp-content/uploads/). */
+	private const INDEX_FILE = 'semanticlinker-vector-index.bin';
+
+	/** Posts whose title vector changed since the index was written (option, post_id => true). */
+	private const PENDING_OPTION = 'sl_vector_index_pending';
+
+	/** @var array|false|null Index loaded in this request (null = not read yet, false = no usable index). */
+	private static $index = null;
+
+	/** @var array[] Decoded centroid vectors of the loaded index. */
+	private static array $centroids = [];
+
+	/** @var array[] list ID => post IDs of the loaded index. */
+	private static array $lists = [];
+
+	/** @var array Posts marked in this request, saved to PENDING_OPTION on shutdown. */
+	private static array $dirty = [];
+
+	/* ── Queries ────────────────────────────────────────────────── */
+
+	/**
+	 * Nearest posts to a chunk vector.
+	 *
+	 * @param float[] $vector
+	 * @param int     $k
+	 * @return int[]|null  Post IDs, best first; null when there is no
+	 *                     usable index (caller scans every target).
+	 */
+	public static function search( array $vector, int $k ): ?array {
+		$index = self::loaded();
+		if ( ! $index || count( $vector ) !== $index['dim'] ) {
+			return null;
+		}
+
+		$query = self::normalize( $vector );
+
+		$list_scores = [];
+		foreach ( self::$centroids as $list_id => $centroid ) {
+			$list_scores[ $list_id ] = self::dot( $query, $centroid );
+		}
+		arsort( $list_scores );
+
+		$scores = [];
+		foreach ( array_slice( array_keys( $list_scores ), 0, self::NPROBE ) as $list_id ) {
+			foreach ( self::$lists[ $list_id ] ?? [] as $post_id ) {
+				$scores[ $post_id ] = self::dot_code( $query, $index['codes'][ $post_id ] );
+			}
+		}
+		arsort( $scores );
+
+		return array_slice( array_keys( $scores ), 0, $k );
+	}
+
+	/**
+	 * Summary for status screens.
+	 *
+	 * @return array  [ 'state' => 'off'|'building'|'stale'|'ready', 'posts' => int, 'lists' => int, 'built_at' => string ]
+	 */
+	public static function status(): array {
+		$index = self::read();
+		if ( ! $index ) {
+			return [ 'state' => 'off', 'posts' => 0, 'lists' => 0, 'built_at' => '' ];
+		}
+
+		if ( ! $index['complete'] ) {
+			$state = 'building';
+		} else {
+			$state = self::is_stale( $index, ( new SL_Embedding_API() )->get_signature() ) ? 'stale' : 'ready';
+		}
+
+		return [
+			'state'    => $state,
+			'posts'    => count( $index['codes'] ),
+			'lists'    => count( $index['centroids'] ),
+			'built_at' => $index['built_at'],
+		];
+	}
+
+	/* ── Build ──────────────────────────────────────────────────── */
+
+	/**
+	 * Advance the index build by one step: (re)train the centroids when
+	 * the index is missing or stale, else file the next BUILD_BATCH
+	 * posts; a complete index only gets its queued changes applied.
+	 *
+	 * @return array  [ 'done' => bool, 'processed' => int, 'total' => int ]
+	 */
+	public static function build_step(): array {
+		$signature = ( new SL_Embedding_API() )->get_signature();
+		$index     = self::read();
+
+		if ( $index && $index['complete'] && ! self::is_stale( $index, $signature ) ) {
+			self::$index = null;  // loaded() re-reads and applies the queue
+			$index       = self::loaded();
+			if ( $index && ! self::is_stale( $index, $signature ) ) {
+				return [ 'done' => true, 'processed' => count( $index['codes'] ), 'total' => count( $index['codes'] ) ];
+			}
+			$index = null;  // the queue pushed it over REBUILD_RATIO – retrain
+		}
+
+		if ( ! $index || self::is_stale( $index, $signature ) ) {
+			return self::start_build( $signature );
+		}
+
+		$batch     = array_splice( $index['queue'], 0, self::BUILD_BATCH );
+		$centroids = self::centroids( $index );
+		foreach ( SL_DB::get_title_embeddings_for( $batch ) as $post_id => $row ) {
+			if ( self::row_matches( $row, $index ) ) {
+				self::file_post( $index, $centroids, $post_id, $row->embedding );
+			}
+		}
+
+		$total     = $index['total'];
+		$processed = $total - count( $index['queue'] );
+
+		if ( empty( $index['queue'] ) ) {
+			$index['complete'] = true;
+			$index['built_at'] = current_time( 'mysql' );
+			SL_Debug::log( 'vector_index', 'Vector index built', [
+				'posts' => count( $index['codes'] ),
+				'lists' => count( $index['centroids'] ),
+			] );
+		}
+
+		self::write( $index );
+		self::$index = null;
+
+		return [ 'done' => $index['complete'], 'processed' => $processed, 'total' => $total ];
+	}
+
+	/**
+	 * Drop the index (and the queued changes).
+	 */
+	public static function delete(): void {
+		$path = self::file_path();
+		if ( file_exists( $path ) ) {
+			@unlink( $path );
+		}
+		delete_option( self::PENDING_OPTION );
+		self::$index = null;
+		self::$dirty = [];
+	}
+
+	/* ── Incremental updates ────────────────────────────────────── */
+
+	/**
+	 * `sl_embeddings_changed` handler: queue the post for re-filing
+	 * (0 = all embeddings deleted, drop the index).
+	 */
+	public static function mark_dirty( int $post_id ): void {
+		if ( $post_id === 0 ) {
+			self::delete();
+			return;
+		}
+
+		if ( empty( self::$dirty ) ) {
+			add_action( 'shutdown', [ __CLASS__, 'save_pending' ] );
+		}
+		self::$dirty[ $post_id ] = true;
+		self::$index = null;  // re-filed on the next search in this request
+	}
+
+	/**
+	 * Persist the posts marked in this request.
+	 */
+	public static function save_pending(): void {
+		if ( empty( self::$dirty ) ) {
+			return;
+		}
+		update_option( self::PENDING_OPTION, (array) get_option( self::PENDING_OPTION, [] ) + self::$dirty, false );
+		self::$dirty = [];
+	}
+
+	/* ── Helpers ───────────────────────────────────────────────── */
+
+	/**
+	 * The usable index of this request: complete, same provider / model,
+	 * not too outdated, queued changes applied.
+	 */
+	private static function loaded(): ?array {
+		if ( self::$index !== null ) {
+			return self::$index ?: null;
+		}
+
+		self::$index = false;
+
+		$index = self::read();
+		if ( ! $index || ! $index['complete'] || self::is_stale( $index, ( new SL_Embedding_API() )->get_signature() ) ) {
+			return null;
+		}
+
+		self::$centroids = self::centroids( $index );
+
+		$pending = (array) get_option( self::PENDING_OPTION, [] ) + self::$dirty;
+		if ( ! empty( $pending ) ) {
+			$rows = SL_DB::get_title_embeddings_for( array_keys( $pending ) );
+			foreach ( array_keys( $pending ) as $post_id ) {
+				unset( $index['codes'][ $post_id ], $index['assign'][ $post_id ] );
+				if ( isset( $rows[ $post_id ] ) && self::row_matches( $rows[ $post_id ], $index ) ) {
+					self::file_post( $index, self::$centroids, $post_id, $rows[ $post_id ]->embedding );
+				}
+			}
+			$index['updates'] += count( $pending );
+
+			self::write( $index );
+			delete_option( self::PENDING_OPTION );
+			self::$dirty = [];
+		}
+
+		self::$lists = [];
+		foreach ( $index['assign'] as $post_id => $list_id ) {
+			self::$lists[ $list_id ][] = $post_id;
+		}
+
+		self::$index = $index;
+		return $index;
+	}
+
+	/**
+	 * Train centroids on a random sample and queue every indexed post.
+	 */
+	private static function start_build( array $signature ): array {
+		self::delete();
+
+		$post_ids = SL_DB::get_indexed_post_ids();
+		$total    = count( $post_ids );
+
+		if ( $total < self::MIN_POSTS ) {
+			return [ 'done' => true, 'processed' => 0, 'total' => 0 ];
+		}
+
+		$lists  = min( self::MAX_LISTS, (int) round( sqrt( $total ) ) );
+		$sample = $post_ids;
+		shuffle( $sample );
+
+		$index = [
+			'signature' => [ 'model' => $signature['model'], 'base_url' => $signature['base_url'] ],
+			'dim'       => 0,
+		];
+		$vectors = [];
+		foreach ( SL_DB::get_title_embeddings_for( array_slice( $sample, 0, $lists * self::SAMPLE_PER_LIST ) ) as $row ) {
+			if ( self::row_matches( $row, $index ) && ( ! $index['dim'] || count( $row->embedding ) === $index['dim'] ) ) {
+				$vectors[]    = self::normalize( $row->embedding );
+				$index['dim'] = count( $row->embedding );
+			}
+		}
+
+		if ( count( $vectors ) < $lists ) {
+			SL_Debug::log( 'vector_index', 'WARNING: Not enough current title vectors to train the index', [
+				'vectors' => count( $vectors ),
+				'lists'   => $lists,
+			] );
+			return [ 'done' => true, 'processed' => 0, 'total' => 0 ];
+		}
+
+		$centroids = self::kmeans( $vectors, $lists );
+
+		self::write( $index + [
+			'centroids' => array_map( function ( array $centroid ): string {
+				return pack( 'f*', ...$centroid );
+			}, $centroids ),
+			'codes'     => [],   // post ID => int8 binary string
+			'assign'    => [],   // post ID => list ID
+			'queue'     => $post_ids,
+			'total'     => $total,
+			'complete'  => false,
+			'updates'   => 0,
+			'built_at'  => '',
+		] );
+
+		SL_Debug::log( 'vector_index', 'Vector index build started', [
+			'posts' => $total,
+			'lists' => $lists,
+			'dim'   => $index['dim'],
+		] );
+
+		return [ 'done' => false, 'processed' => 0, 'total' => $total ];
+	}
+
+	/**
+	 * k-means (KMEANS_ITERATIONS Lloyd steps) on unit vectors, seeded
+	 * with the first $k of the (already shuffled) sample.
+	 *
+	 * @param array[] $vectors
+	 * @param int     $k
+	 * @return array[]  Unit centroid vectors.
+	 */
+	private static function kmeans( array $vectors, int $k ): array {
+		$centroids = array_slice( $vectors, 0, $k );
+		$dim       = count( $centroids[0] );
+
+		for ( $iteration = 0; $iteration < self::KMEANS_ITERATIONS; $iteration++ ) {
+			$sums = [];
+			foreach ( $vectors as $vector ) {
+				$nearest = self::nearest( $vector, $centroids );
+				if ( ! isset( $sums[ $nearest ] ) ) {
+					$sums[ $nearest ] = array_fill( 0, $dim, 0.0 );
+				}
+				for ( $i = 0; $i < $dim; $i++ ) {
+					$sums[ $nearest ][ $i ] += $vector[ $i ];
+				}
+			}
+			// Lists without members keep their seed
+			foreach ( $sums as $list_id => $sum ) {
+				$centroids[ $list_id ] = self::normalize( $sum );
+			}
+		}
+
+		return $centroids;
+	}
+
+	/**
+	 * Add a post to the index (code + nearest list).
+	 */
+	private static function file_post( array &$index, array $centroids, int $post_id, array $vector ): void {
+		if ( count( $vector ) !== $index['dim'] ) {
+			return;
+		}
+
+		$unit = self::normalize( $vector );
+
+		$index['codes'][ $post_id ]  = pack( 'c*', ...array_map( function ( $x ) {
+			return (int) round( $x * 127 );
+		}, $unit ) );
+		$index['assign'][ $post_id ] = self::nearest( $unit, $centroids );
+	}
+
+	/**
+	 * @return array[]  list ID => centroid vector.
+	 */
+	private static function centroids( array $index ): array {
+		return array_map( function ( string $packed ): array {
+			return array_values( unpack( 'f*', $packed ) );
+		}, $index['centroids'] );
+	}
+
+	/**
+	 * Whether an embedding row comes from the provider / model the index was built for.
+	 */
+	private static function row_matches( $row, array $index ): bool {
+		return is_array( $row->embedding )
+			&& ! empty( $row->embedding )
+			&& (string) $row->embedding_model === (string) $index['signature']['model']
+			&& (string) $row->embedding_base_url === (string) $index['signature']['base_url'];
+	}
+
+	private static function is_stale( array $index, array $signature ): bool {
+		if (
+			$index['signature']['model'] !== (string) $signature['model']
+			|| $index['signature']['base_url'] !== (string) $signature['base_url']
+			|| ( ! empty( $signature['dim'] ) && (int) $signature['dim'] !== $index['dim'] )
+		) {
+			return true;
+		}
+
+		return $index['complete'] && $index['updates'] > self::REBUILD_RATIO * max( 1, count( $index['codes'] ) );
+	}
+
+	/**
+	 * @return int  Key of the centroid closest to $vector.
+	 */
+	private static function nearest( array $vector, array $centroids ): int {
+		$best       = 0;
+		$best_score = -INF;
+		foreach ( $centroids as $list_id => $centroid ) {
+			$score = self::dot( $vector, $centroid );
+			if ( $score > $best_score ) {
+				$best       = $list_id;
+				$best_score = $score;
+			}
+		}
+		return $best;
+	}
+
+	private static function normalize( array $vector ): array {
+		$norm = sqrt( array_sum( array_map( function ( $x ) {
+			return $x * $x;
+		}, $vector ) ) ) ?: 1.0;
+
+		return array_map( function ( $x ) use ( $norm ) {
+			return $x / $norm;
+		}, array_values( $vector ) );
+	}
+
+	private static function dot( array $a, array $b ): float {
+		$sum = 0.0;
+		foreach ( $a as $i => $x ) {
+			$sum += $x * $b[ $i ];
+		}
+		return $sum;
+	}
+
+	/**
+	 * Unit query · int8 code (unpack() keys start at 1).
+	 */
+	private static function dot_code( array $query, string $code ): float {
+		$sum = 0.0;
+		foreach ( unpack( 'c*', $code ) as $i => $x ) {
+			$sum += $x * $query[ $i - 1 ];
+		}
+		return $sum / 127;
+	}
+
+	private static function file_path(): string {
+		return wp_upload_dir()['basedir'] . '/' . self::INDEX_FILE;
+	}
+
+	/**
+	 * @return array|null
+	 */
+	private static function read(): ?array {
+		$path = self::file_path();
+		if ( ! file_exists( $path ) ) {
+			return null;
+		}
+		$raw  = file_get_contents( $path );
+		$data = $raw !== false ? @unserialize( gzuncompress( $raw ), [ 'allowed_classes' => false ] ) : false;
+		return is_array( $data ) ? $data : null;
+	}
+
+	private static function write( array $index ): void {
+		if ( file_put_contents( self::file_path(), gzcompress( serialize( $index ), 6 ), LOCK_EX ) === false ) {
+			SL_Debug::log( 'vector_index', 'WARNING: Failed to write the vector index in uploads/' );
+		}
+	}
+}
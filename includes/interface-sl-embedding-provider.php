@@ -0,0 +1,83 @@
+<?php
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Contract for an embedding / anchor-validation backend.
+ *
+ * SL_Embedding_API is the only consumer: it owns batching, rate
+ * limiting and error tracking, and delegates the actual HTTP calls
+ * to one of the implementations below.
+ *
+ *   – SL_Provider_Gemini  Google Gemini (batchEmbedContents / generateContent)
+ *   – SL_Provider_OpenAI  Any OpenAI-compatible server (/v1/embeddings,
+ *                         /v1/chat/completions), e.g. a self-hosted model.
+ */
+interface SL_Embedding_Provider {
+
+	/**
+	 * Short provider identifier stored in settings ('gemini', 'openai').
+	 */
+	public function get_id(): string;
+
+	/**
+	 * Embedding model name sent to the backend.
+	 */
+	public function get_model(): string;
+
+	/**
+	 * Base URL of the backend (used to tell stored vectors apart).
+	 */
+	public function get_base_url(): string;
+
+	/**
+	 * Requested vector dimension (0 = model default).
+	 */
+	public function get_dimensions(): int;
+
+	/**
+	 * Maximum number of texts accepted by a single embed_batch() call.
+	 */
+	public function get_batch_size(): int;
+
+	/**
+	 * Whether the provider has everything it needs to make requests.
+	 */
+	public function is_configured(): bool;
+
+	/**
+	 * HTTP status code of the most recent request (0 = none / transport error).
+	 */
+	public function get_last_http_code(): int;
+
+	/**
+	 * Tokens of the most recent request as reported by the backend
+	 * (0 = not reported, e.g. Gemini embeddings).
+	 *
+	 * @return array{input: int, output: int}
+	 */
+	public function get_last_usage(): array;
+
+	/**
+	 * Embed one batch of texts (at most get_batch_size() entries).
+	 *
+	 * @param string[] $texts
+	 * @return array|false  Float[] vectors in input order, or false on error.
+	 */
+	public function embed_batch( array $texts );
+
+	/**
+	 * Send a single prompt to the provider's text-generation (filter)
+	 * model and return the raw text of the answer.
+	 *
+	 * Implementations report failures through SL_Embedding_API::track_error()
+	 * and return false; the caller decides how to fail (open or closed).
+	 *
+	 * @param string $prompt   Fully rendered prompt.
+	 * @param array  $options  Optional: 'max_tokens' (int), 'json' (bool – ask for a JSON answer),
+	 *                         'thinking_budget' (int – cap on reasoning tokens where the model supports it).
+	 * @return string|false
+	 */
+	public function complete( string $prompt, array $options = [] );
+}
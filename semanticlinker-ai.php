@@ -4,7 +4,7 @@
  * Description: Automatyzacja linkowania wewnętrznego via embeddings.
  *              Linki wstrzyknięte dynamicznie przy renderowaniu —
  *              wp_posts niemodyfikowane (non-destructive).
- * Version:     1.1.0
+ * Version:     1.2.0
  * Author:      WojciechW
  * License:     GPL v2 or later
  * License URI: https://www.gnu.org/licenses/gpl-2.0.html
@@ -17,7 +17,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
-define( 'SL_VERSION',     '1.1.0' );
+define( 'SL_VERSION',     '1.2.0' );
 define( 'SL_PLUGIN_DIR',  plugin_dir_path( __FILE__ ) );
 define( 'SL_PLUGIN_URL',  plugin_dir_url( __FILE__ ) );
 
@@ -26,6 +26,9 @@ define( 'SL_PLUGIN_URL',  plugin_dir_url( __FILE__ ) );
 register_activation_hook(   __FILE__, [ 'SL_Activation', 'activate' ] );
 register_deactivation_hook( __FILE__, function () {
 	wp_clear_scheduled_hook( 'sl_run_indexing' );
+	wp_clear_scheduled_hook( 'sl_process_reindex_queue' );
+	wp_clear_scheduled_hook( 'sl_run_job' );
+	wp_clear_scheduled_hook( SL_Activation::CONVERT_HOOK );
 } );
 
 /* ─── Class-map autoloader ───────────────────────────────────────── */
@@ -37,13 +40,37 @@ function sl_autoload( string $class ): void {
 		'SL_Settings'       => SL_PLUGIN_DIR . 'includes/class-sl-settings.php',
 		'SL_Dashboard'      => SL_PLUGIN_DIR . 'includes/class-sl-dashboard.php',
 		'SL_Custom_Urls'    => SL_PLUGIN_DIR . 'includes/class-sl-custom-urls.php',
+		'SL_Blacklist'      => SL_PLUGIN_DIR . 'includes/class-sl-blacklist.php',
+		'SL_Transfer'       => SL_PLUGIN_DIR . 'includes/class-sl-transfer.php',
+		'SL_Audit'          => SL_PLUGIN_DIR . 'includes/class-sl-audit.php',
+		'SL_Language'       => SL_PLUGIN_DIR . 'includes/class-sl-language.php',
+		'SL_Analytics'      => SL_PLUGIN_DIR . 'includes/class-sl-analytics.php',
+		'SL_Simulator'      => SL_PLUGIN_DIR . 'includes/class-sl-simulator.php',
 		'SL_Embedding_API'  => SL_PLUGIN_DIR . 'includes/class-sl-embedding-api.php',
+		'SL_Embedding_Provider' => SL_PLUGIN_DIR . 'includes/interface-sl-embedding-provider.php',
+		'SL_Provider_Gemini'    => SL_PLUGIN_DIR . 'includes/class-sl-provider-gemini.php',
+		'SL_Provider_OpenAI'    => SL_PLUGIN_DIR . 'includes/class-sl-provider-openai.php',
 		'SL_Indexer'        => SL_PLUGIN_DIR . 'includes/class-sl-indexer.php',
 		'SL_Matcher'        => SL_PLUGIN_DIR . 'includes/class-sl-matcher.php',
+		'SL_Jobs'           => SL_PLUGIN_DIR . 'includes/class-sl-jobs.php',
+		'SL_History'        => SL_PLUGIN_DIR . 'includes/class-sl-history.php',
+		'SL_Tracking'       => SL_PLUGIN_DIR . 'includes/class-sl-tracking.php',
+		'SL_Usage'          => SL_PLUGIN_DIR . 'includes/class-sl-usage.php',
+		'SL_Vector_Index'   => SL_PLUGIN_DIR . 'includes/class-sl-vector-index.php',
+		'SL_Vector_Codec'   => SL_PLUGIN_DIR . 'includes/class-sl-vector-codec.php',
 		'SL_Injector'       => SL_PLUGIN_DIR . 'includes/class-sl-injector.php',
+		'SL_Related_Posts'  => SL_PLUGIN_DIR . 'includes/class-sl-related-posts.php',
+		'SL_Related_Posts_Widget' => SL_PLUGIN_DIR . 'includes/class-sl-related-posts-widget.php',
+		'SL_Anchor_Locator' => SL_PLUGIN_DIR . 'includes/class-sl-anchor-locator.php',
+		'SL_Editor'         => SL_PLUGIN_DIR . 'includes/class-sl-editor.php',
 		'SL_Ajax'           => SL_PLUGIN_DIR . 'includes/class-sl-ajax.php',
+		'SL_REST'           => SL_PLUGIN_DIR . 'includes/class-sl-rest.php',
 		'SL_Debug'          => SL_PLUGIN_DIR . 'includes/class-sl-debug.php',
 		'SL_Security'       => SL_PLUGIN_DIR . 'includes/class-sl-security.php',
+		'SL_CLI'            => SL_PLUGIN_DIR . 'includes/class-sl-cli.php',
+		'SL_CLI_Links'      => SL_PLUGIN_DIR . 'includes/class-sl-cli-links.php',
+		'SL_CLI_Blacklist'  => SL_PLUGIN_DIR . 'includes/class-sl-cli-blacklist.php',
+		'SL_CLI_Custom_Urls' => SL_PLUGIN_DIR . 'includes/class-sl-cli-custom-urls.php',
 	];
 	if ( isset( $map[$class] ) ) {
 		require_once $map[$class];
@@ -59,30 +86,34 @@ function semanticlinker_init(): void {
 	new SL_Settings();
 	new SL_Dashboard();
 	new SL_Custom_Urls();
+	new SL_Blacklist();
+	new SL_Transfer();
+	new SL_Analytics();
+	new SL_History();
+	new SL_Simulator();
 	new SL_Injector();
+	new SL_Related_Posts();
+	new SL_Tracking();
+	new SL_Audit();
+	new SL_Editor();
 	new SL_Indexer();
+	new SL_Jobs();
 	new SL_Ajax();
+	new SL_REST();
+
+	if ( defined( 'WP_CLI' ) && WP_CLI ) {
+		SL_CLI::register();
+	}
 }
 
 add_action( 'plugins_loaded', 'semanticlinker_init' );
 
-/* ─── Version check for table migrations ────────────────────────────── */
-
-/**
- * Check if plugin was updated and run table creation if needed.
- * This ensures new tables (like semantic_custom_urls) are created on update.
- */
-function semanticlinker_check_version(): void {
-	$stored_version = get_option( 'sl_plugin_version', '1.0.0' );
-
-	if ( version_compare( $stored_version, SL_VERSION, '<' ) ) {
-		// Run table creation (creates any missing tables)
-		SL_Activation::activate();
-		update_option( 'sl_plugin_version', SL_VERSION );
-	}
-}
+/* ─── Schema migrations ─────────────────────────────────────────────── */
 
-add_action( 'admin_init', 'semanticlinker_check_version' );
+// Tables are migrated to SL_Activation::DB_VERSION after an update;
+// stored vectors are re-encoded in batches on WP-Cron
+add_action( 'admin_init', [ 'SL_Activation', 'maybe_upgrade' ] );
+add_action( SL_Activation::CONVERT_HOOK, [ 'SL_Activation', 'convert_vectors_cron' ] );
 
 /* ─── Cleanup when post is deleted ──────────────────────────────────── */
 
@@ -94,10 +125,12 @@ add_action( 'admin_init', 'semanticlinker_check_version' );
  *   - Blacklist entries for this post
  */
 function semanticlinker_on_post_delete( int $post_id ): void {
+	SL_History::start( 'cleanup', sprintf( 'Usunięcie wpisu #%d', $post_id ) );
 	SL_DB::delete_links_by_source( $post_id );
 	SL_DB::delete_links_by_target( $post_id );
 	SL_DB::delete_embeddings( $post_id );
 	SL_DB::delete_blacklist_by_post( $post_id );
+	SL_History::finish();
 }
 
 add_action( 'before_delete_post', 'semanticlinker_on_post_delete' );
@@ -0,0 +1,283 @@
+<?php
+/**
+ * Admin template – SemanticLinker AI → Analityka
+ *
+ * Reports are rendered from SL_Analytics::report(); the per-post table
+ * is sorted / paged with plain GET parameters.  The graph is drawn by
+ * admin.js (section 13) from sl_analytics_graph.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$report  = SL_Analytics::report();
+$summary = $report['summary'];
+$posts   = $report['posts'];
+
+$orderby = sanitize_key( $_GET['orderby'] ?? 'in' );
+$orderby = in_array( $orderby, SL_Analytics::ORDERBY, true ) ? $orderby : 'in';
+$order   = ( $_GET['order'] ?? 'asc' ) === 'desc' ? 'desc' : 'asc';
+$paged   = max( 1, absint( $_GET['paged'] ?? 1 ) );
+
+$table       = SL_Analytics::query_posts( $orderby, $order, $paged );
+$total_pages = (int) ceil( $table['total'] / SL_Analytics::PER_PAGE );
+
+$hubs = array_flip( $report['hubs'] );
+
+/* Title of a post linking to its editor */
+$post_link = function ( int $post_id ): string {
+	return sprintf(
+		'<a href="%s">%s</a>',
+		esc_url( get_edit_post_link( $post_id ) ?: get_permalink( $post_id ) ),
+		esc_html( get_the_title( $post_id ) ?: '#' . $post_id )
+	);
+};
+
+/* Sortable column header of the per-post table */
+$sort_link = function ( string $column, string $label ) use ( $orderby, $order ): string {
+	$next = $orderby === $column && $order === 'asc' ? 'desc' : 'asc';
+	$url  = add_query_arg( [ 'orderby' => $column, 'order' => $next, 'paged' => false ] );
+	$mark = $orderby === $column ? ( $order === 'asc' ? ' ▲' : ' ▼' ) : '';
+	return sprintf( '<a href="%s">%s%s</a>', esc_url( $url ), esc_html( $label ), $mark );
+};
+
+$depth_label = function ( $depth ): string {
+	return $depth === null ? '—' : (string) $depth;
+};
+?>
+<div class="wrap sl-wrap">
+
+	<!-- Page title -->
+	<h1 class="sl-page-title">
+		<span class="dashicons dashicons-chart-area"></span>
+		SemanticLinker AI &#8212; Analityka
+	</h1>
+
+	<?php if ( $summary['posts'] === 0 ) : ?>
+		<div class="sl-empty">
+			<p>
+				Brak opublikowanych wpisów w indeksowanych typach treści.<br>
+				<a href="<?php echo esc_url( admin_url( 'admin.php?page=semanticlinker' ) ); ?>">Sprawdź ustawienia</a>.
+			</p>
+		</div>
+	<?php else : ?>
+
+		<!-- Status bar -->
+		<div class="sl-status-bar">
+			<span class="sl-status-item">Wpisy: <strong><?php echo esc_html( $summary['posts'] ); ?></strong></span>
+			<span class="sl-status-item">Aktywne linki: <strong><?php echo esc_html( $summary['links'] ); ?></strong></span>
+			<span class="sl-status-item">Śr. przychodzących: <strong><?php echo esc_html( $summary['avg_in'] ); ?></strong></span>
+			<span class="sl-status-item">Śr. wychodzących: <strong><?php echo esc_html( $summary['avg_out'] ); ?></strong></span>
+			<span class="sl-status-item">Osierocone: <strong><?php echo esc_html( $summary['orphans'] ); ?></strong></span>
+			<span class="sl-status-item">Nieosiągalne ze strony głównej: <strong><?php echo esc_html( $summary['unreachable'] ); ?></strong></span>
+			<span class="sl-status-item">Maks. głębokość: <strong><?php echo esc_html( $summary['max_depth'] ); ?></strong></span>
+		</div>
+
+		<!-- Two-column layout -->
+		<div class="sl-layout">
+			<div class="sl-main">
+
+				<!-- Graph -->
+				<div class="sl-card">
+					<h2 class="sl-card-title">Graf linków</h2>
+					<div class="sl-graph-toolbar">
+						<label class="screen-reader-text" for="sl-graph-search">Szukaj wpisu</label>
+						<input type="search" id="sl-graph-search" placeholder="Szukaj wpisu w grafie…" />
+						<span class="sl-graph-legend">
+							<span class="sl-graph-dot sl-graph-dot-hub"></span> hub
+							<span class="sl-graph-dot sl-graph-dot-orphan"></span> osierocony
+							<span class="sl-graph-dot"></span> pozostałe
+						</span>
+						<span class="sl-graph-info sl-muted"></span>
+					</div>
+					<!-- Filled by admin.js after sl_analytics_graph -->
+					<div id="sl-graph" class="sl-graph">
+						<p class="sl-graph-loading">Ładowanie grafu…</p>
+					</div>
+					<p class="description">
+						Rozmiar węzła = liczba linków przychodzących. Przeciągnij węzeł, aby go przesunąć, kółkiem myszy przybliżaj,
+						najedź, aby zobaczyć powiązania, kliknij, aby edytować wpis.
+					</p>
+				</div>
+
+				<!-- Orphans -->
+				<div class="sl-card">
+					<h2 class="sl-card-title">
+						Osierocone wpisy
+						<span class="sl-muted">(<?php echo esc_html( $summary['orphans'] ); ?>)</span>
+					</h2>
+					<?php if ( ! empty( $report['orphans'] ) ) : ?>
+						<p class="description">Żaden wpis nie linkuje do nich. Rozbuduj treść powiązanych wpisów lub obniż próg podobieństwa.</p>
+						<table class="widefat striped sl-analytics-table">
+							<thead>
+								<tr>
+									<th>Wpis</th>
+									<th style="width: 14%;">Wychodzące</th>
+									<th style="width: 14%;">Głębokość</th>
+								</tr>
+							</thead>
+							<tbody>
+								<?php foreach ( array_slice( $report['orphans'], 0, SL_Analytics::PER_PAGE ) as $post_id ) : ?>
+									<tr>
+										<td><?php echo wp_kses_post( $post_link( $post_id ) ); ?></td>
+										<td><?php echo esc_html( $posts[ $post_id ]['out'] ); ?></td>
+										<td><?php echo esc_html( $depth_label( $posts[ $post_id ]['depth'] ) ); ?></td>
+									</tr>
+								<?php endforeach; ?>
+							</tbody>
+						</table>
+						<?php if ( $summary['orphans'] > SL_Analytics::PER_PAGE ) : ?>
+							<p class="sl-muted">
+								Pokazano <?php echo esc_html( SL_Analytics::PER_PAGE ); ?> z <?php echo esc_html( $summary['orphans'] ); ?> –
+								pełna lista w tabeli „Wszystkie wpisy” (sortowanie po linkach przychodzących).
+							</p>
+						<?php endif; ?>
+					<?php else : ?>
+						<p style="color: #666; font-style: italic;">Każdy wpis ma co najmniej jeden link przychodzący.</p>
+					<?php endif; ?>
+				</div>
+
+				<!-- All posts -->
+				<div class="sl-card">
+					<h2 class="sl-card-title">Wszystkie wpisy – bilans linków</h2>
+					<table class="widefat striped sl-analytics-table">
+						<thead>
+							<tr>
+								<th><?php echo wp_kses_post( $sort_link( 'title', 'Wpis' ) ); ?></th>
+								<th style="width: 14%;"><?php echo wp_kses_post( $sort_link( 'in', 'Przychodzące' ) ); ?></th>
+								<th style="width: 14%;"><?php echo wp_kses_post( $sort_link( 'out', 'Wychodzące' ) ); ?></th>
+								<th style="width: 14%;"><?php echo wp_kses_post( $sort_link( 'depth', 'Głębokość' ) ); ?></th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( $table['items'] as $post_id => $node ) : ?>
+								<tr>
+									<td>
+										<?php echo wp_kses_post( $post_link( $post_id ) ); ?>
+										<?php if ( isset( $hubs[ $post_id ] ) ) : ?>
+											<span class="sl-badge sl-badge-cluster">hub</span>
+										<?php endif; ?>
+										<?php if ( $node['in'] === 0 ) : ?>
+											<span class="sl-badge sl-badge-orphaned">osierocony</span>
+										<?php endif; ?>
+									</td>
+									<td><?php echo esc_html( $node['in'] ); ?></td>
+									<td><?php echo esc_html( $node['out'] ); ?></td>
+									<td><?php echo esc_html( $depth_label( $node['depth'] ) ); ?></td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+
+					<?php if ( $total_pages > 1 ) : ?>
+						<div class="tablenav bottom">
+							<div class="tablenav-pages">
+								<span class="displaying-num"><?php echo esc_html( $table['total'] ); ?> wpisów</span>
+								<?php
+								echo wp_kses_post( paginate_links( [
+									'base'      => add_query_arg( 'paged', '%#%' ),
+									'format'    => '',
+									'current'   => $paged,
+									'total'     => $total_pages,
+									'prev_text' => '&lsaquo;',
+									'next_text' => '&rsaquo;',
+								] ) );
+								?>
+							</div>
+						</div>
+					<?php endif; ?>
+				</div>
+
+			</div><!-- /.sl-main -->
+
+			<!-- Sidebar -->
+			<div class="sl-sidebar">
+
+				<!-- Crawl depth -->
+				<div class="sl-card">
+					<h2 class="sl-card-title">Głębokość od strony głównej</h2>
+					<?php $widest = max( array_merge( [ $summary['unreachable'] ], array_values( $report['depths'] ) ) ); ?>
+					<ul class="sl-depth-list">
+						<?php foreach ( $report['depths'] as $depth => $count ) : ?>
+							<li>
+								<span class="sl-depth-label"><?php echo esc_html( $depth ); ?></span>
+								<span class="sl-depth-bar"><span style="width: <?php echo esc_attr( round( $count / $widest * 100 ) ); ?>%;"></span></span>
+								<span class="sl-depth-count"><?php echo esc_html( $count ); ?></span>
+							</li>
+						<?php endforeach; ?>
+						<li class="sl-depth-unreachable">
+							<span class="sl-depth-label">—</span>
+							<span class="sl-depth-bar"><span style="width: <?php echo esc_attr( $widest > 0 ? round( $summary['unreachable'] / $widest * 100 ) : 0 ); ?>%;"></span></span>
+							<span class="sl-depth-count"><?php echo esc_html( $summary['unreachable'] ); ?></span>
+						</li>
+					</ul>
+					<p class="sl-muted">„—” = nieosiągalne przez linki SemanticLinker.</p>
+				</div>
+
+				<!-- Over-linked targets -->
+				<div class="sl-card">
+					<h2 class="sl-card-title">Cele blisko limitu</h2>
+					<p class="sl-muted">
+						Co najmniej <?php echo esc_html( $summary['near_limit'] ); ?> z <?php echo esc_html( $summary['url_limit'] ); ?>
+						linków na URL (ustawienie „Maks. linków do jednego URL”).
+					</p>
+					<?php if ( ! empty( $report['over_linked'] ) ) : ?>
+						<ul class="sl-analytics-list">
+							<?php foreach ( array_slice( $report['over_linked'], 0, SL_Analytics::PER_PAGE ) as $target ) : ?>
+								<li>
+									<?php if ( $target['post_id'] > 0 ) : ?>
+										<?php echo wp_kses_post( $post_link( $target['post_id'] ) ); ?>
+									<?php else : ?>
+										<a href="<?php echo esc_url( $target['url'] ); ?>" target="_blank" rel="noopener"><?php echo esc_html( $target['url'] ); ?></a>
+										<span class="sl-badge sl-badge-custom">Custom</span>
+									<?php endif; ?>
+									<strong class="<?php echo $target['count'] >= $summary['url_limit'] ? 'sl-analytics-full' : ''; ?>">
+										<?php echo esc_html( $target['count'] . ' / ' . $summary['url_limit'] ); ?>
+									</strong>
+								</li>
+							<?php endforeach; ?>
+						</ul>
+					<?php else : ?>
+						<p style="color: #666; font-style: italic;">Żaden cel nie zbliża się do limitu.</p>
+					<?php endif; ?>
+				</div>
+
+				<!-- Hubs -->
+				<div class="sl-card">
+					<h2 class="sl-card-title">Huby</h2>
+					<p class="sl-muted">Wpisy z liczbą linków znacznie powyżej średniej (przychodzące + wychodzące).</p>
+					<?php if ( ! empty( $report['hubs'] ) ) : ?>
+						<ul class="sl-analytics-list">
+							<?php foreach ( array_slice( $report['hubs'], 0, SL_Analytics::PER_PAGE ) as $post_id ) : ?>
+								<li>
+									<?php echo wp_kses_post( $post_link( $post_id ) ); ?>
+									<span class="sl-muted">
+										<?php echo esc_html( sprintf( '%d ← / %d →', $posts[ $post_id ]['in'], $posts[ $post_id ]['out'] ) ); ?>
+									</span>
+								</li>
+							<?php endforeach; ?>
+						</ul>
+					<?php else : ?>
+						<p style="color: #666; font-style: italic;">Brak wyraźnych hubów.</p>
+					<?php endif; ?>
+				</div>
+
+				<!-- Info box -->
+				<div class="sl-card" style="background: #e7f5ff; border-color: #74c0fc;">
+					<h2 class="sl-card-title" style="color: #1971c2; border-bottom-color: #74c0fc;">Jak czytać raport</h2>
+					<ul style="font-size: 13px; color: #1864ab; margin: 0; padding-left: 18px; line-height: 1.6;">
+						<li>Liczone są tylko aktywne linki z opublikowanych wpisów</li>
+						<li><strong>Osierocony</strong> – wpis bez linków przychodzących; warto dopisać treść, która do niego prowadzi</li>
+						<li><strong>Cele blisko limitu</strong> – kolejne linki do nich nie powstaną; rozważ podniesienie limitu lub nowe treści na ten temat</li>
+						<li><strong>Głębokość</strong> – liczba kliknięć od strony głównej po linkach SemanticLinker (menu, archiwa i ręczne linki nie są brane pod uwagę)</li>
+						<li>Graf pokazuje do 300 wpisów z największą liczbą linków</li>
+					</ul>
+				</div>
+
+			</div><!-- /.sl-sidebar -->
+		</div><!-- /.sl-layout -->
+
+	<?php endif; ?>
+
+</div><!-- .wrap -->
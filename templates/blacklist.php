@@ -0,0 +1,190 @@
+<?php
+/**
+ * Admin template – SemanticLinker AI → Blacklist
+ *
+ * Lists blacklist entries (rejected pairs + site-wide rules) and lets
+ * the admin add rules.  Search / type filter / paging are plain GET
+ * parameters; adding and removing is handled by admin.js (section 10).
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$search    = sanitize_text_field( wp_unslash( $_GET['s'] ?? '' ) );
+$rule_type = sanitize_key( $_GET['rule_type'] ?? '' );
+$paged     = max( 1, absint( $_GET['paged'] ?? 1 ) );
+
+$result      = SL_DB::query_blacklist( 0, $paged, SL_Blacklist::PER_PAGE, $search, $rule_type );
+$entries     = $result['items'];
+$total       = $result['total'];
+$total_pages = (int) ceil( $total / SL_Blacklist::PER_PAGE );
+$type_counts = SL_DB::count_blacklist_by_type();
+?>
+<div class="wrap sl-wrap">
+
+	<!-- Page title -->
+	<h1 class="sl-page-title">
+		<span class="dashicons dashicons-dismiss"></span>
+		SemanticLinker AI &#8212; Blacklist
+	</h1>
+
+	<!-- Status bar -->
+	<div class="sl-status-bar">
+		<?php foreach ( SL_Blacklist::RULE_LABELS as $type => $label ) : ?>
+			<span class="sl-status-item">
+				<?php echo esc_html( $label ); ?>: <strong><?php echo esc_html( $type_counts[ $type ] ); ?></strong>
+			</span>
+		<?php endforeach; ?>
+	</div>
+
+	<!-- Two-column layout -->
+	<div class="sl-layout">
+		<div class="sl-main">
+
+			<div class="sl-card">
+				<h2 class="sl-card-title">Wpisy blacklisty</h2>
+
+				<!-- Search / filter (GET) -->
+				<form method="get" class="sl-table-filters">
+					<input type="hidden" name="page" value="semanticlinker-blacklist" />
+
+					<label class="screen-reader-text" for="sl-blacklist-search">Szukaj</label>
+					<input type="search" id="sl-blacklist-search" name="s" value="<?php echo esc_attr( $search ); ?>"
+						placeholder="Szukaj: anchor, wzorzec, URL, artykuł…" />
+
+					<label class="screen-reader-text" for="sl-blacklist-type">Typ reguły</label>
+					<select id="sl-blacklist-type" name="rule_type">
+						<option value="">Wszystkie typy</option>
+						<?php foreach ( SL_Blacklist::RULE_LABELS as $type => $label ) : ?>
+							<option value="<?php echo esc_attr( $type ); ?>" <?php selected( $rule_type, $type ); ?>>
+								<?php echo esc_html( $label ); ?>
+							</option>
+						<?php endforeach; ?>
+					</select>
+
+					<button type="submit" class="button">Filtruj</button>
+				</form>
+
+				<?php if ( ! empty( $entries ) ) : ?>
+					<table class="widefat striped sl-blacklist-table">
+						<thead>
+							<tr>
+								<th style="width: 14%;">Typ</th>
+								<th style="width: 26%;">Wpis źródłowy</th>
+								<th>Reguła</th>
+								<th style="width: 14%;">Dodano</th>
+								<th style="width: 10%;">Akcje</th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( $entries as $entry ) : ?>
+								<tr data-entry-id="<?php echo esc_attr( $entry->ID ); ?>">
+									<td>
+										<span class="sl-badge sl-badge-rule-<?php echo esc_attr( $entry->rule_type ); ?>">
+											<?php echo esc_html( SL_Blacklist::RULE_LABELS[ $entry->rule_type ] ?? $entry->rule_type ); ?>
+										</span>
+									</td>
+									<td>
+										<?php if ( (int) $entry->post_id > 0 ) : ?>
+											<a href="<?php echo esc_url( get_edit_post_link( (int) $entry->post_id ) ?: get_permalink( (int) $entry->post_id ) ); ?>">
+												<?php echo esc_html( $entry->source_title ?: '#' . $entry->post_id ); ?>
+											</a>
+										<?php else : ?>
+											<span class="sl-muted">wszystkie</span>
+										<?php endif; ?>
+									</td>
+									<td class="sl-blacklist-rule">
+										<?php if ( $entry->rule_type === 'anchor' || $entry->rule_type === 'regex' ) : ?>
+											<code><?php echo esc_html( $entry->pattern ); ?></code>
+										<?php elseif ( $entry->rule_type === 'source' ) : ?>
+											<span class="sl-muted">brak linków w tym wpisie</span>
+										<?php else : ?>
+											<a href="<?php echo esc_url( $entry->target_url ); ?>" target="_blank" rel="noopener">
+												<?php echo esc_html( $entry->target_url ); ?>
+											</a>
+											<?php if ( $entry->anchor_text !== '' ) : ?>
+												<br><span class="sl-muted">anchor: <?php echo esc_html( $entry->anchor_text ); ?></span>
+											<?php endif; ?>
+										<?php endif; ?>
+									</td>
+									<td><?php echo esc_html( mysql2date( 'Y-m-d H:i', $entry->created_at ) ); ?></td>
+									<td>
+										<button type="button" class="button button-small sl-btn-delete-blacklist"
+												data-id="<?php echo esc_attr( $entry->ID ); ?>"
+												style="color: #a00;">Usuń</button>
+									</td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+
+					<?php if ( $total_pages > 1 ) : ?>
+						<div class="tablenav bottom">
+							<div class="tablenav-pages">
+								<span class="displaying-num"><?php echo esc_html( $total ); ?> wpisów</span>
+								<?php
+								echo wp_kses_post( paginate_links( [
+									'base'      => add_query_arg( 'paged', '%#%' ),
+									'format'    => '',
+									'current'   => $paged,
+									'total'     => $total_pages,
+									'prev_text' => '&lsaquo;',
+									'next_text' => '&rsaquo;',
+								] ) );
+								?>
+							</div>
+						</div>
+					<?php endif; ?>
+				<?php else : ?>
+					<p style="color: #666; font-style: italic;">
+						<?php echo $search !== '' || $rule_type !== '' ? 'Brak wpisów spełniających kryteria.' : 'Blacklista jest pusta.'; ?>
+					</p>
+				<?php endif; ?>
+			</div>
+
+		</div><!-- /.sl-main -->
+
+		<!-- Sidebar -->
+		<div class="sl-sidebar">
+
+			<!-- Add rule -->
+			<div class="sl-card">
+				<h2 class="sl-card-title">Dodaj regułę</h2>
+				<div style="display: flex; flex-direction: column; gap: 12px;">
+					<div>
+						<label for="sl-rule-type" style="display: block; font-weight: 600; margin-bottom: 4px;">Typ reguły</label>
+						<select id="sl-rule-type" style="width: 100%;">
+							<option value="anchor" data-placeholder="np. kredyt hipoteczny">Zablokuj frazę anchora</option>
+							<option value="target" data-placeholder="https://example.com/strona/">Zablokuj URL docelowy</option>
+							<option value="source" data-placeholder="ID wpisu, np. 123">Zablokuj wpis źródłowy</option>
+							<option value="regex" data-placeholder="/^(kup|zamów)\b/iu">Regex na anchorze</option>
+						</select>
+					</div>
+					<div>
+						<label for="sl-rule-value" style="display: block; font-weight: 600; margin-bottom: 4px;">Wartość</label>
+						<input type="text" id="sl-rule-value" placeholder="np. kredyt hipoteczny" style="width: 100%;" />
+					</div>
+					<div>
+						<button type="button" id="sl-btn-add-rule" class="button button-primary">Dodaj regułę</button>
+					</div>
+				</div>
+			</div>
+
+			<!-- Info box -->
+			<div class="sl-card" style="background: #e7f5ff; border-color: #74c0fc;">
+				<h2 class="sl-card-title" style="color: #1971c2; border-bottom-color: #74c0fc;">Typy reguł</h2>
+				<ul style="font-size: 13px; color: #1864ab; margin: 0; padding-left: 18px; line-height: 1.6;">
+					<li><strong>Para</strong> – dodawana przy odrzuceniu linku; blokuje URL tylko w danym wpisie</li>
+					<li><strong>Fraza anchora</strong> – blokuje anchory zawierające frazę (całe słowa, bez rozróżniania wielkości liter) we wszystkich wpisach</li>
+					<li><strong>URL docelowy</strong> – żaden wpis nie będzie linkował do tego adresu</li>
+					<li><strong>Wpis źródłowy</strong> – wpis nie dostanie żadnych linków</li>
+					<li><strong>Regex</strong> – wzorzec PCRE z ogranicznikami, sprawdzany na anchorze</li>
+					<li>Reguły działają przy kolejnym dopasowywaniu – istniejące linki odrzuć w panelu Active Links</li>
+				</ul>
+			</div>
+
+		</div><!-- /.sl-sidebar -->
+	</div><!-- /.sl-layout -->
+
+</div><!-- .wrap -->
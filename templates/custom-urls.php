@@ -14,6 +14,9 @@ $custom_urls  = SL_DB::get_all_custom_urls();
 $custom_count = count( $custom_urls );
 $max_custom   = SL_DB::get_max_custom_urls();
 
+// Rendering rule URLs without their own rule inherit (prefills the rule fields)
+$inherited_rule = SL_Injector::sanitize_link_rule( (array) ( SL_Settings::all()['link_rules']['custom'] ?? [] ) );
+
 // Count URLs with embeddings
 $with_embedding = 0;
 foreach ( $custom_urls as $url ) {
@@ -72,6 +75,18 @@ foreach ( $custom_urls as $url ) {
 								  style="width: 100%; max-width: 500px;"></textarea>
 						<p class="description">Dodatkowe słowa kluczowe poprawiające dopasowanie. Oddziel przecinkami.</p>
 					</div>
+					<div class="sl-custom-rule" id="sl-custom-rule">
+						<label class="sl-cb-label">
+							<input type="checkbox" class="sl-rule-override" />
+							Własne atrybuty linku
+						</label>
+						<p class="description">Domyślnie obowiązują ustawienia „Linki do Custom URLs” z zakładki Ustawienia.</p>
+						<?php
+						$rule      = $inherited_rule;
+						$rule_name = 'link_rule';
+						require SL_PLUGIN_DIR . 'templates/link-rule-fields.php';
+						?>
+					</div>
 					<div>
 						<button type="button" id="sl-btn-add-custom-url" class="button button-primary"
 							<?php echo $custom_count >= $max_custom ? 'disabled' : ''; ?>>
@@ -101,6 +116,7 @@ foreach ( $custom_urls as $url ) {
 						</thead>
 						<tbody>
 							<?php foreach ( $custom_urls as $custom ) : ?>
+								<?php $own_rule = SL_Injector::custom_url_rule( $custom ); ?>
 								<tr data-custom-id="<?php echo esc_attr( $custom->ID ); ?>">
 									<!-- View mode -->
 									<td class="sl-custom-url-view">
@@ -108,6 +124,24 @@ foreach ( $custom_urls as $url ) {
 										   style="word-break: break-all; font-size: 12px;">
 											<?php echo esc_html( $custom->url ); ?>
 										</a>
+										<?php if ( $own_rule ) : ?>
+											<div class="sl-custom-rule-summary">
+												<span class="sl-badge sl-badge-filtered">Własne atrybuty</span>
+												<?php
+												$summary = $own_rule['rel'] ? [ 'rel: ' . implode( ' ', $own_rule['rel'] ) ] : [];
+												if ( $own_rule['target'] === '_blank' ) {
+													$summary[] = 'nowa karta';
+												}
+												if ( $own_rule['title'] ) {
+													$summary[] = 'title';
+												}
+												if ( $own_rule['class'] !== '' ) {
+													$summary[] = '.' . str_replace( ' ', ' .', $own_rule['class'] );
+												}
+												echo esc_html( implode( ' · ', $summary ) );
+												?>
+											</div>
+										<?php endif; ?>
 									</td>
 									<td class="sl-custom-url-view">
 										<?php echo esc_html( $custom->title ); ?>
@@ -137,6 +171,17 @@ foreach ( $custom_urls as $url ) {
 									<td class="sl-custom-url-edit" style="display: none;">
 										<input type="url" class="sl-edit-url" value="<?php echo esc_attr( $custom->url ); ?>"
 											   style="width: 100%; font-size: 12px;" />
+										<div class="sl-custom-rule">
+											<label class="sl-cb-label">
+												<input type="checkbox" class="sl-rule-override" <?php checked( $own_rule !== null ); ?> />
+												Własne atrybuty linku
+											</label>
+											<?php
+											$rule      = $own_rule ?? $inherited_rule;
+											$rule_name = 'link_rule_' . (int) $custom->ID;
+											require SL_PLUGIN_DIR . 'templates/link-rule-fields.php';
+											?>
+										</div>
 									</td>
 									<td class="sl-custom-url-edit" style="display: none;">
 										<input type="text" class="sl-edit-title" value="<?php echo esc_attr( $custom->title ); ?>"
@@ -201,6 +246,7 @@ foreach ( $custom_urls as $url ) {
 					<li>Plugin automatycznie generuje embedding na podstawie tytułu i słów kluczowych</li>
 					<li>Custom URL-e uczestniczą w procesie linkowania jak zwykłe artykuły</li>
 					<li>Linki do custom URL-i <strong>nie są filtrowane</strong> przez filtr AI Gemini</li>
+					<li>Atrybuty linków (np. <code>rel="sponsored"</code>, nowa karta) ustawisz globalnie w Ustawieniach lub osobno dla URL-a</li>
 					<li>Limit: max <?php echo esc_html( $max_custom ); ?> URL-i</li>
 				</ul>
 			</div>
@@ -0,0 +1,58 @@
+<?php
+/**
+ * Admin template – cluster header row (links grouped by target URL).
+ *
+ * Loaded by SL_Dashboard::render_cluster_rows().  Expects $cluster
+ * (row from SL_DB::query_link_clusters()), $cluster_class and
+ * $custom_title (custom URL title or null).  The links of the cluster
+ * are lazy-loaded by admin.js when the header is clicked.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$cluster_size = (int) $cluster->link_count;
+?>
+<tr class="sl-cluster-header <?php echo esc_attr( $cluster_class ); ?><?php echo $custom_title !== null ? ' sl-cluster-custom' : ''; ?>"
+	data-target-url="<?php echo esc_attr( $cluster->target_url ); ?>"
+	data-count="<?php echo esc_attr( $cluster_size ); ?>">
+	<td colspan="9">
+		<div class="sl-cluster-info">
+			<button type="button" class="button-link sl-cluster-toggle" aria-expanded="false">
+				<span class="dashicons dashicons-arrow-right-alt2"></span>
+				<span class="screen-reader-text">Pokaż linki klastra</span>
+			</button>
+			<span class="sl-cluster-label">KLASTER</span>
+			<?php if ( $custom_title !== null ) : ?>
+				<span class="sl-badge sl-badge-custom" title="Custom URL: <?php echo esc_attr( $custom_title ); ?>">CUSTOM</span>
+			<?php endif; ?>
+			<span class="sl-cluster-anchor">
+				<a href="<?php echo esc_url( $cluster->target_url ); ?>" target="_blank" rel="noopener" title="<?php echo esc_attr( $cluster->target_url ); ?>">
+					<code><?php echo esc_html( SL_Dashboard::cluster_label( $cluster->target_url ) ); ?></code>
+				</a>
+			</span>
+			<span class="sl-cluster-count">
+				<?php
+				echo esc_html( $cluster_size );
+				if ( $cluster_size === 1 ) {
+					echo ' link';
+				} elseif ( $cluster_size >= 2 && $cluster_size <= 4 ) {
+					echo ' linki';
+				} else {
+					echo ' linków';
+				}
+				?>
+			</span>
+			<?php if ( (float) $cluster->max_score > 0 ) : ?>
+				<span class="sl-cluster-score">max <?php echo esc_html( round( (float) $cluster->max_score * 100, 1 ) ); ?>%</span>
+			<?php endif; ?>
+			<?php if ( (int) $cluster->impressions > 0 || (int) $cluster->clicks > 0 ) : ?>
+				<?php $cluster_ctr = SL_Tracking::ctr( (int) $cluster->clicks, (int) $cluster->impressions ); ?>
+				<span class="sl-cluster-clicks">
+					<?php echo esc_html( $cluster->clicks ); ?> kliknięć<?php echo $cluster_ctr !== null ? esc_html( ' · CTR ' . $cluster_ctr . '%' ) : ''; ?>
+				</span>
+			<?php endif; ?>
+		</div>
+	</td>
+</tr>
@@ -0,0 +1,135 @@
+<?php
+/**
+ * Admin template – one link row of the Active Links table.
+ *
+ * Loaded by SL_Dashboard::render_link_rows().  Expects $link (row from
+ * SL_DB::query_links()) and $row_class.  The markup is what the
+ * reject / restore handlers in admin.js operate on.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$is_rejected = ( $link->status === 'rejected' );
+$is_filtered = ( $link->status === 'filtered' );
+$is_orphaned = ( $link->status === 'active' && ! empty( $link->audit_result ) && $link->audit_result !== 'injected' );
+$pct         = round( (float) $link->similarity_score * 100, 1 );
+$clicks      = (int) ( $link->clicks ?? 0 );
+$impressions = (int) ( $link->impressions ?? 0 );
+$ctr         = SL_Tracking::ctr( $clicks, $impressions );
+if ( $is_rejected ) $row_class .= ' sl-row-rejected';
+if ( $is_filtered ) $row_class .= ' sl-row-filtered';
+if ( $is_orphaned ) $row_class .= ' sl-row-orphaned';
+?>
+<tr class="sl-row <?php echo esc_attr( $row_class ); ?>"
+	data-link-id="<?php echo esc_attr( $link->ID ); ?>"
+	data-status="<?php echo esc_attr( $link->status ); ?>">
+
+	<!-- Bulk selection -->
+	<th scope="row" class="check-column">
+		<input type="checkbox" class="sl-row-check" value="<?php echo esc_attr( $link->ID ); ?>"
+			aria-label="Zaznacz link <?php echo esc_attr( $link->anchor_text ); ?>" />
+	</th>
+
+	<!-- Source post title (linked to frontend URL) -->
+	<td>
+		<?php $source_url = get_permalink( $link->post_id ); ?>
+		<a href="<?php echo esc_url( $source_url ); ?>"
+		   target="_blank" rel="noopener"
+		   title="<?php echo esc_attr( $source_url ); ?>"
+		   style="max-width: 250px; display: inline-block; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+			<?php echo esc_html( $link->source_title ); ?>
+		</a>
+	</td>
+
+	<!-- Anchor text -->
+	<td>
+		<code class="sl-anchor">
+			<?php echo esc_html( $link->anchor_text ); ?>
+		</code>
+		<?php if ( $link->origin === 'manual' ) : ?>
+			<span class="sl-badge sl-badge-manual" title="Dodany lub zmieniony w edytorze – ponowne dopasowanie go nie zmieni">Ręczny</span>
+		<?php endif; ?>
+	</td>
+
+	<!-- Target URL (opens in new tab) -->
+	<td>
+		<a href="<?php echo esc_url( $link->target_url ); ?>"
+		   target="_blank" rel="noopener">
+			<?php echo esc_html( $link->target_url ); ?>
+		</a>
+	</td>
+
+	<!-- Similarity score bar + percentage -->
+	<td class="sl-col-score">
+		<div class="sl-bar">
+			<div class="sl-bar-fill" style="width:<?php echo esc_attr( $pct ); ?>%"></div>
+		</div>
+		<span class="sl-score-num">
+			<?php echo esc_html( $pct ); ?>%
+		</span>
+	</td>
+
+	<!-- Clicks / impressions (last SL_Tracking::STATS_DAYS days) -->
+	<td class="sl-col-clicks<?php echo SL_Tracking::is_dead( $clicks, $impressions ) ? ' sl-clicks-dead' : ''; ?>">
+		<?php if ( $clicks + $impressions > 0 ) : ?>
+			<strong><?php echo esc_html( $clicks ); ?></strong> / <?php echo esc_html( $impressions ); ?>
+			<?php if ( $ctr !== null ) : ?>
+				<br><span class="sl-muted">CTR <?php echo esc_html( $ctr ); ?>%</span>
+			<?php endif; ?>
+		<?php else : ?>
+			<span class="sl-muted">–</span>
+		<?php endif; ?>
+	</td>
+
+	<!-- Created -->
+	<td class="sl-col-date">
+		<?php echo esc_html( mysql2date( 'Y-m-d H:i', $link->created_at ) ); ?>
+	</td>
+
+	<!-- Status badge -->
+	<td>
+		<?php if ( $is_filtered ) : ?>
+			<span class="sl-badge sl-badge-filtered">Wyfiltrowany (AI)</span>
+			<?php if ( ! empty( $link->filter_reason ) ) : ?>
+				<span class="sl-filter-reason sl-muted">
+					<?php echo esc_html( $link->filter_reason ); ?>
+					<?php if ( $link->filter_confidence !== null ) : ?>
+						(pewność <?php echo esc_html( round( (float) $link->filter_confidence * 100 ) ); ?>%)
+					<?php endif; ?>
+				</span>
+			<?php endif; ?>
+		<?php elseif ( $is_rejected ) : ?>
+			<span class="sl-badge sl-badge-warn">Odrzucony</span>
+		<?php elseif ( $is_orphaned ) : ?>
+			<span class="sl-badge sl-badge-orphaned"
+				title="<?php echo esc_attr( ( SL_Audit::RESULTS[ $link->audit_result ] ?? $link->audit_result ) . ' (audyt ' . mysql2date( 'Y-m-d H:i', $link->audited_at ) . ')' ); ?>">
+				Osierocony
+			</span>
+		<?php else : ?>
+			<span class="sl-badge sl-badge-ok">Aktywny</span>
+		<?php endif; ?>
+	</td>
+
+	<!-- Action buttons -->
+	<td>
+		<?php if ( $link->status === 'active' ) : ?>
+			<button
+				class="button button-link sl-btn-reject"
+				data-link-id="<?php echo esc_attr( $link->ID ); ?>"
+			>
+				Odrzuć
+			</button>
+		<?php else : ?>
+			<button
+				class="button button-link sl-btn-restore"
+				data-link-id="<?php echo esc_attr( $link->ID ); ?>"
+				style="color: #0073aa;"
+			>
+				Przywróć
+			</button>
+		<?php endif; ?>
+		<a class="sl-row-history" href="<?php echo esc_url( SL_History::url( [ 'link_id' => (int) $link->ID ] ) ); ?>">Historia</a>
+	</td>
+</tr>
@@ -2,85 +2,34 @@
 /**
  * Admin template – SemanticLinker AI → Active Links (dashboard)
  *
- * Loaded by SL_Dashboard::render().
+ * Loaded by SL_Dashboard::render().  Only the shell is rendered here –
+ * rows are loaded page by page by admin.js (section 9) from
+ * sl_get_links / sl_get_clusters.
  */
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
-$all_links = SL_DB::get_all_links();   // all statuses, newest first
-
-/**
- * Group links by target URL (cluster view).
- * All links pointing to the same URL form one cluster.
- * The shortest anchor text is used as the cluster representative.
- *
- * Returns array: [ 'target_url' => [ 'display_anchor' => '...', 'all_anchors' => [...], 'links' => [...] ] ]
- */
-function sl_group_links_by_target_url( array $links ): array {
-	$clusters = [];
-
-	foreach ( $links as $link ) {
-		$url = $link->target_url;
-
-		if ( ! isset( $clusters[ $url ] ) ) {
-			$clusters[ $url ] = [
-				'display_anchor' => $link->anchor_text,
-				'all_anchors'    => [],
-				'links'          => [],
-				'max_score'      => 0.0,
-			];
-		}
-
-		$clusters[ $url ]['links'][] = $link;
-
-		// Track max score for the cluster (only for active links)
-		if ( $link->status === 'active' ) {
-			$score = (float) $link->similarity_score;
-			if ( $score > $clusters[ $url ]['max_score'] ) {
-				$clusters[ $url ]['max_score'] = $score;
-			}
-		}
-
-		// Collect unique anchors for this cluster
-		$anchor_lower = mb_strtolower( trim( $link->anchor_text ), 'UTF-8' );
-		if ( ! isset( $clusters[ $url ]['all_anchors'][ $anchor_lower ] ) ) {
-			$clusters[ $url ]['all_anchors'][ $anchor_lower ] = $link->anchor_text;
-		}
-
-		// Use the shortest anchor as the display anchor (cluster representative)
-		$current_len = mb_strlen( $clusters[ $url ]['display_anchor'], 'UTF-8' );
-		$new_len     = mb_strlen( $link->anchor_text, 'UTF-8' );
-		if ( $new_len < $current_len ) {
-			$clusters[ $url ]['display_anchor'] = $link->anchor_text;
-		}
-	}
-
-	// Sort links within each cluster by score (highest first)
-	foreach ( $clusters as &$cluster ) {
-		usort( $cluster['links'], function( $a, $b ) {
-			return (float) $b->similarity_score <=> (float) $a->similarity_score;
-		} );
-	}
-	unset( $cluster );
-
-	// Sort clusters by max score (highest first)
-	uasort( $clusters, function( $a, $b ) {
-		return $b['max_score'] <=> $a['max_score'];
-	} );
-
-	return $clusters;
-}
-
-$link_clusters = sl_group_links_by_target_url( $all_links );
-
-// Get all custom URLs for marking clusters
-$custom_urls_list = SL_DB::get_all_custom_urls();
-$custom_url_set   = [];
-foreach ( $custom_urls_list as $cu ) {
-	$custom_url_set[ $cu->url ] = $cu->title;
-}
+$counts         = SL_DB::count_links_by_status();
+$cluster_counts = SL_DB::count_link_clusters();
+$total_links    = array_sum( $counts );
+
+$active_count         = $counts['active'];
+$rejected_count       = $counts['rejected'];
+$filtered_count       = $counts['filtered'];
+$cluster_count        = $cluster_counts['total'];
+$custom_cluster_count = $cluster_counts['custom'];
+
+$orphan_counts  = SL_DB::count_orphaned_links();
+$orphaned_count = array_sum( $orphan_counts );
+$rematch_count  = count( SL_DB::get_orphaned_post_ids( SL_Audit::REMATCH_REASONS ) );
+$last_audit     = SL_Audit::get_last_run();
+
+// Clicks column only once tracking was enabled (or left counters behind)
+$click_totals = SL_DB::get_link_stats_totals( SL_Tracking::since() );
+$show_clicks  = SL_Tracking::is_enabled() || $click_totals['impressions'] + $click_totals['clicks'] > 0;
+$click_ctr    = SL_Tracking::ctr( $click_totals['clicks'], $click_totals['impressions'] );
 ?>
 <div class="wrap sl-wrap">
 
@@ -90,7 +39,7 @@ foreach ( $custom_urls_list as $cu ) {
 		SemanticLinker AI &#8212; Active Links
 	</h1>
 
-	<?php if ( empty( $all_links ) ) : ?>
+	<?php if ( $total_links === 0 ) : ?>
 		<!-- Empty state ─────────────────────────────────────────── -->
 		<div class="sl-empty">
 			<p>
@@ -98,31 +47,13 @@ foreach ( $custom_urls_list as $cu ) {
 				<a href="<?php echo esc_url( admin_url( 'admin.php?page=semanticlinker' ) ); ?>">
 					Sprawdź ustawienia
 				</a>
-				i uruchomij indeksację (przycisk "Reindeksuj teraz" na stronie ustawień).
+				i uruchom indeksację (przycisk "Reindeksuj teraz" na stronie ustawień).
 			</p>
 		</div>
 
 	<?php else : ?>
 
 		<!-- Stats strip ───────────────────────────────────────── -->
-		<?php
-		$active_count   = 0;
-		$rejected_count = 0;
-		$filtered_count = 0;
-		foreach ( $all_links as $l ) {
-			if ( $l->status === 'active' )   $active_count++;
-			if ( $l->status === 'rejected' ) $rejected_count++;
-			if ( $l->status === 'filtered' ) $filtered_count++;
-		}
-		$cluster_count = count( $link_clusters );
-		// Count custom URL clusters
-		$custom_cluster_count = 0;
-		foreach ( $link_clusters as $url => $cluster ) {
-			if ( isset( $custom_url_set[ $url ] ) ) {
-				$custom_cluster_count++;
-			}
-		}
-		?>
 		<div class="sl-stats">
 			<span class="sl-badge sl-badge-ok">
 				<?php echo esc_html( $active_count ); ?> aktywn<?php echo $active_count === 1 ? 'y' : 'ych'; ?>
@@ -143,172 +74,163 @@ foreach ( $custom_urls_list as $cu ) {
 					<?php echo esc_html( $custom_cluster_count ); ?> custom
 				</span>
 			<?php endif; ?>
-			<label class="sl-toggle-rejected">
-				<input type="checkbox" id="sl-show-rejected" checked />
-				Pokaż odrzucone
-			</label>
-			<?php if ( $filtered_count > 0 ) : ?>
-				<label class="sl-toggle-rejected" style="margin-left: 10px;">
-					<input type="checkbox" id="sl-show-filtered" checked />
-					Pokaż wyfiltrowane (AI)
-				</label>
+			<?php if ( $orphaned_count > 0 ) : ?>
+				<span class="sl-badge sl-badge-orphaned">
+					<?php echo esc_html( $orphaned_count ); ?> osierocon<?php echo $orphaned_count === 1 ? 'y' : 'ych'; ?>
+				</span>
+			<?php endif; ?>
+			<?php if ( $show_clicks ) : ?>
+				<span class="sl-badge sl-badge-clicks" title="Ostatnie <?php echo (int) SL_Tracking::STATS_DAYS; ?> dni">
+					<?php echo esc_html( $click_totals['clicks'] ); ?> kliknięć / <?php echo esc_html( $click_totals['impressions'] ); ?> wyświetleń<?php echo $click_ctr !== null ? esc_html( ' (CTR ' . $click_ctr . '%)' ) : ''; ?>
+				</span>
 			<?php endif; ?>
 			<button id="sl-btn-delete-all" class="button button-link-delete" type="button" style="margin-left: 15px; color: #a00;">
 				Usuń wszystkie linki
 			</button>
 		</div>
 
-		<!-- Links table (grouped by anchor clusters) ─────────────── -->
-		<table class="widefat sl-links-table sl-show-rejected sl-show-filtered" id="sl-links-table">
+		<!-- Link audit ────────────────────────────────────────── -->
+		<div class="sl-audit" id="sl-audit">
+			<div class="sl-audit-summary">
+				<strong>Audyt linków:</strong>
+				<?php if ( $last_audit ) : ?>
+					ostatnio <?php echo esc_html( mysql2date( 'Y-m-d H:i', $last_audit['finished_at'] ) ); ?> –
+					<?php echo esc_html( $last_audit['links'] ); ?> linków w <?php echo esc_html( $last_audit['posts'] ); ?> wpisach.
+				<?php else : ?>
+					jeszcze nie uruchomiony – sprawdź, czy aktywne linki rzeczywiście pojawiają się na stronach.
+				<?php endif; ?>
+
+				<?php if ( $orphaned_count > 0 ) : ?>
+					<ul class="sl-audit-reasons">
+						<?php foreach ( $orphan_counts as $reason => $count ) : ?>
+							<li>
+								<?php echo esc_html( SL_Audit::RESULTS[ $reason ] ?? $reason ); ?>:
+								<strong><?php echo esc_html( $count ); ?></strong>
+							</li>
+						<?php endforeach; ?>
+					</ul>
+				<?php elseif ( $last_audit ) : ?>
+					Wszystkie sprawdzone linki są wstawiane.
+				<?php endif; ?>
+			</div>
+
+			<div class="sl-audit-actions">
+				<button type="button" class="button sl-audit-run" data-job="audit">Uruchom audyt</button>
+				<?php if ( $orphaned_count > 0 ) : ?>
+					<button type="button" class="button-link sl-audit-show">Pokaż osierocone</button>
+				<?php endif; ?>
+				<?php if ( $rematch_count > 0 ) : ?>
+					<button type="button" class="button sl-audit-run" data-job="rematch"
+						title="Usuwa osierocone linki tych wpisów i dopasowuje je ponownie">
+						Dopasuj ponownie (<?php echo esc_html( $rematch_count ); ?> wpis<?php echo $rematch_count === 1 ? '' : ( $rematch_count >= 2 && $rematch_count <= 4 ? 'y' : 'ów' ); ?>)
+					</button>
+				<?php endif; ?>
+				<span class="sl-audit-progress" hidden></span>
+			</div>
+		</div>
+
+		<!-- Filters ───────────────────────────────────────────── -->
+		<form class="sl-table-filters" id="sl-links-filters">
+			<div class="sl-view-switch" role="group" aria-label="Widok">
+				<button type="button" class="button sl-view-btn" data-view="list">Lista</button>
+				<button type="button" class="button sl-view-btn" data-view="clusters">Klastry</button>
+			</div>
+
+			<label class="screen-reader-text" for="sl-filter-search">Szukaj</label>
+			<input type="search" id="sl-filter-search" name="search"
+				placeholder="Szukaj: anchor, artykuł, URL…" />
+
+			<label class="screen-reader-text" for="sl-filter-status">Status</label>
+			<select id="sl-filter-status" name="status">
+				<option value="">Wszystkie statusy</option>
+				<option value="active">Aktywne</option>
+				<option value="rejected">Odrzucone</option>
+				<option value="filtered">Wyfiltrowane (AI)</option>
+				<option value="orphaned">Osierocone (audyt)</option>
+			</select>
+
+			<span class="sl-score-range">
+				Score
+				<input type="number" name="min_score" min="0" max="100" step="1" placeholder="od" aria-label="Score od (%)" />
+				–
+				<input type="number" name="max_score" min="0" max="100" step="1" placeholder="do" aria-label="Score do (%)" />
+				%
+			</span>
+
+			<label class="screen-reader-text" for="sl-filter-per-page">Na stronę</label>
+			<select id="sl-filter-per-page" name="per_page">
+				<option value="25">25 / str.</option>
+				<option value="50" selected>50 / str.</option>
+				<option value="100">100 / str.</option>
+				<option value="200">200 / str.</option>
+			</select>
+
+			<button type="submit" class="button">Filtruj</button>
+		</form>
+
+		<!-- Bulk actions ──────────────────────────────────────── -->
+		<div class="sl-bulk-actions" id="sl-bulk-actions">
+			<label class="screen-reader-text" for="sl-bulk-action">Akcja masowa</label>
+			<select id="sl-bulk-action">
+				<option value="">Akcje masowe</option>
+				<option value="reject">Odrzuć (+ blacklista)</option>
+				<option value="restore">Przywróć (− blacklista)</option>
+				<option value="blacklist">Dodaj do blacklisty</option>
+				<option value="unblacklist">Usuń z blacklisty</option>
+			</select>
+			<button type="button" class="button" id="sl-bulk-apply" disabled>Zastosuj</button>
+			<span class="sl-bulk-count"></span>
+			<button type="button" class="button-link sl-bulk-select-filter" hidden></button>
+			<button type="button" class="button-link sl-bulk-clear" hidden>Wyczyść zaznaczenie</button>
+		</div>
+
+		<!-- Links table (rows loaded via AJAX) ─────────────────── -->
+		<table class="widefat sl-links-table sl-show-rejected sl-show-filtered<?php echo $show_clicks ? '' : ' sl-hide-clicks'; ?>" id="sl-links-table">
 			<thead>
 				<tr>
-					<th class="sl-col-source">Artykuł źródłowy</th>
+					<td class="manage-column column-cb check-column">
+						<input type="checkbox" id="sl-select-page" aria-label="Zaznacz wszystkie na stronie" />
+					</td>
+					<th class="sl-col-source manage-column sortable desc" data-sort="source">
+						<a href="#"><span>Artykuł źródłowy</span><span class="sorting-indicator"></span></a>
+					</th>
 					<th class="sl-col-anchor">Anchor (fraza)</th>
-					<th class="sl-col-target">URL docelowy</th>
-					<th class="sl-col-score">Score</th>
+					<th class="sl-col-target manage-column sortable desc" data-sort="target" data-cluster-sort="target">
+						<a href="#"><span>URL docelowy</span><span class="sorting-indicator"></span></a>
+					</th>
+					<th class="sl-col-score manage-column sortable desc" data-sort="similarity_score" data-cluster-sort="score">
+						<a href="#"><span>Score</span><span class="sorting-indicator"></span></a>
+					</th>
+					<th class="sl-col-clicks manage-column sortable desc" data-sort="clicks" data-cluster-sort="clicks"
+						title="Kliknięcia / wyświetlenia z ostatnich <?php echo (int) SL_Tracking::STATS_DAYS; ?> dni">
+						<a href="#"><span>Kliknięcia</span><span class="sorting-indicator"></span></a>
+					</th>
+					<th class="sl-col-date manage-column sortable desc" data-sort="created_at" data-cluster-sort="count">
+						<a href="#"><span class="sl-sort-label-list">Data</span><span class="sl-sort-label-clusters">Liczba</span><span class="sorting-indicator"></span></a>
+					</th>
 					<th class="sl-col-status">Status</th>
 					<th class="sl-col-action">Akcje</th>
 				</tr>
 			</thead>
-			<tbody>
-				<?php
-				$cluster_index = 0;
-				foreach ( $link_clusters as $target_url => $cluster ) :
-					$cluster_index++;
-					$cluster_links  = $cluster['links'];
-					$cluster_size   = count( $cluster_links );
-					$unique_anchors = array_values( $cluster['all_anchors'] );
-					$is_even_cluster = ( $cluster_index % 2 === 0 );
-					$is_custom_url   = isset( $custom_url_set[ $target_url ] );
-				?>
-					<!-- Cluster header row -->
-					<tr class="sl-cluster-header <?php echo $is_even_cluster ? 'sl-cluster-even' : 'sl-cluster-odd'; ?><?php echo $is_custom_url ? ' sl-cluster-custom' : ''; ?>">
-						<td colspan="6">
-							<div class="sl-cluster-info">
-								<span class="sl-cluster-label">KLASTER</span>
-								<?php if ( $is_custom_url ) : ?>
-									<span class="sl-badge sl-badge-custom" title="Custom URL: <?php echo esc_attr( $custom_url_set[ $target_url ] ); ?>">CUSTOM</span>
-								<?php endif; ?>
-								<span class="sl-cluster-anchor">
-									<?php
-									// Extract slug from URL and truncate to 5 words
-									$slug = trim( wp_parse_url( $target_url, PHP_URL_PATH ), '/' );
-									$slug = preg_replace( '/[-_\/]+/', ' ', $slug ); // Convert dashes/underscores/slashes to spaces
-									$words = preg_split( '/\s+/', $slug );
-									// Filter out purely numeric words (dates like 2026, 02, 06)
-									$words = array_values( array_filter( $words, function( $w ) {
-										return ! preg_match( '/^\d+$/', $w );
-									} ) );
-									if ( count( $words ) > 5 ) {
-										$slug = implode( ' ', array_slice( $words, 0, 5 ) ) . '…';
-									} else {
-										$slug = implode( ' ', $words );
-									}
-									?>
-									<a href="<?php echo esc_url( $target_url ); ?>" target="_blank" rel="noopener" title="<?php echo esc_attr( $target_url ); ?>">
-										<code><?php echo esc_html( $slug ); ?></code>
-									</a>
-								</span>
-								<span class="sl-cluster-count">
-									<?php
-									echo esc_html( $cluster_size );
-									if ( $cluster_size === 1 ) {
-										echo ' link';
-									} elseif ( $cluster_size >= 2 && $cluster_size <= 4 ) {
-										echo ' linki';
-									} else {
-										echo ' linków';
-									}
-									?>
-								</span>
-							</div>
-						</td>
-					</tr>
-
-					<?php foreach ( $cluster_links as $link ) :
-						$is_rejected = ( $link->status === 'rejected' );
-						$is_filtered = ( $link->status === 'filtered' );
-						$pct         = round( (float) $link->similarity_score * 100, 1 );
-						$row_class   = $is_even_cluster ? 'sl-cluster-even' : 'sl-cluster-odd';
-						if ( $is_rejected ) $row_class .= ' sl-row-rejected';
-						if ( $is_filtered ) $row_class .= ' sl-row-filtered';
-					?>
-						<tr class="sl-row <?php echo esc_attr( $row_class ); ?>"
-							data-link-id="<?php echo esc_attr( $link->ID ); ?>"
-							data-status="<?php echo esc_attr( $link->status ); ?>">
-
-							<!-- Source post title (linked to frontend URL) -->
-							<td>
-								<?php $source_url = get_permalink( $link->post_id ); ?>
-								<a href="<?php echo esc_url( $source_url ); ?>"
-								   target="_blank" rel="noopener"
-								   title="<?php echo esc_attr( $source_url ); ?>"
-								   style="max-width: 250px; display: inline-block; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-									<?php echo esc_html( $link->source_title ); ?>
-								</a>
-							</td>
-
-							<!-- Anchor text -->
-							<td>
-								<code class="sl-anchor">
-									<?php echo esc_html( $link->anchor_text ); ?>
-								</code>
-							</td>
-
-							<!-- Target URL (opens in new tab) -->
-							<td>
-								<a href="<?php echo esc_url( $link->target_url ); ?>"
-								   target="_blank" rel="noopener">
-									<?php echo esc_html( $link->target_url ); ?>
-								</a>
-							</td>
-
-							<!-- Similarity score bar + percentage -->
-							<td class="sl-col-score">
-								<div class="sl-bar">
-									<div class="sl-bar-fill" style="width:<?php echo esc_attr( $pct ); ?>%"></div>
-								</div>
-								<span class="sl-score-num">
-									<?php echo esc_html( $pct ); ?>%
-								</span>
-							</td>
-
-							<!-- Status badge -->
-							<td>
-								<?php if ( $is_filtered ) : ?>
-									<span class="sl-badge sl-badge-filtered">Wyfiltrowany (AI)</span>
-								<?php elseif ( $is_rejected ) : ?>
-									<span class="sl-badge sl-badge-warn">Odrzucony</span>
-								<?php else : ?>
-									<span class="sl-badge sl-badge-ok">Aktywny</span>
-								<?php endif; ?>
-							</td>
-
-							<!-- Action buttons -->
-							<td>
-								<?php if ( $link->status === 'active' ) : ?>
-									<button
-										class="button button-link sl-btn-reject"
-										data-link-id="<?php echo esc_attr( $link->ID ); ?>"
-									>
-										Odrzuć
-									</button>
-								<?php else : ?>
-									<button
-										class="button button-link sl-btn-restore"
-										data-link-id="<?php echo esc_attr( $link->ID ); ?>"
-										style="color: #0073aa;"
-									>
-										Przywróć
-									</button>
-								<?php endif; ?>
-							</td>
-						</tr>
-					<?php endforeach; ?>
-				<?php endforeach; ?>
+			<tbody id="sl-links-body">
+				<tr class="sl-table-message"><td colspan="9">Ładowanie…</td></tr>
 			</tbody>
 		</table>
 
+		<!-- Pagination ────────────────────────────────────────── -->
+		<div class="tablenav bottom sl-pagination" id="sl-links-pagination">
+			<div class="tablenav-pages">
+				<span class="displaying-num"></span>
+				<span class="pagination-links">
+					<button type="button" class="button sl-page-btn" data-page="first" aria-label="Pierwsza strona">&laquo;</button>
+					<button type="button" class="button sl-page-btn" data-page="prev" aria-label="Poprzednia strona">&lsaquo;</button>
+					<span class="paging-input"><span class="sl-page-current">1</span> z <span class="sl-page-total">1</span></span>
+					<button type="button" class="button sl-page-btn" data-page="next" aria-label="Następna strona">&rsaquo;</button>
+					<button type="button" class="button sl-page-btn" data-page="last" aria-label="Ostatnia strona">&raquo;</button>
+				</span>
+			</div>
+		</div>
+
 	<?php endif; ?>
 
 </div><!-- .wrap -->
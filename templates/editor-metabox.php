@@ -0,0 +1,91 @@
+<?php
+/**
+ * Classic Editor metabox – SemanticLinker links of the edited post.
+ *
+ * Loaded by SL_Editor::render_metabox() and SL_Editor::metabox_html().
+ * Expects $sl_post_id and $sl_preview (see SL_Editor::get_post_links()).  Interaction
+ * lives in assets/js/editor.js.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$sl_status_labels = [
+	'active'   => [ 'Aktywny', 'sl-badge-ok' ],
+	'rejected' => [ 'Odrzucony', 'sl-badge-warn' ],
+	'filtered' => [ 'Odfiltrowany (AI)', 'sl-badge-filtered' ],
+];
+?>
+<div class="sl-editor-links" id="sl-editor-metabox">
+	<?php if ( empty( $sl_preview['links'] ) ) : ?>
+		<p class="sl-editor-empty">Brak linków dla tego wpisu. Linki pojawią się po indeksacji.</p>
+	<?php else : ?>
+		<p class="sl-editor-summary">
+			Aktywne: <strong><?php echo (int) $sl_preview['counts']['active']; ?></strong>
+			&middot; Odrzucone: <strong><?php echo (int) $sl_preview['counts']['rejected']; ?></strong>
+			&middot; Odfiltrowane: <strong><?php echo (int) $sl_preview['counts']['filtered']; ?></strong>
+		</p>
+		<ul class="sl-editor-list">
+			<?php foreach ( $sl_preview['links'] as $link ) : ?>
+				<?php list( $label, $badge ) = $sl_status_labels[ $link['status'] ]; ?>
+				<li class="sl-editor-link sl-editor-link-<?php echo esc_attr( $link['status'] ); ?>"
+					data-link-id="<?php echo (int) $link['id']; ?>"
+					data-anchor="<?php echo esc_attr( $link['anchor'] ); ?>">
+					<div class="sl-editor-link-head">
+						<strong class="sl-editor-anchor"><?php echo esc_html( $link['anchor'] ); ?></strong>
+						<span class="sl-editor-badges">
+							<?php if ( $link['origin'] === 'manual' ) : ?>
+								<span class="sl-badge sl-badge-manual">Ręczny</span>
+							<?php endif; ?>
+							<span class="sl-badge <?php echo esc_attr( $badge ); ?>"><?php echo esc_html( $label ); ?></span>
+						</span>
+					</div>
+					<div class="sl-editor-target">
+						&rarr; <a href="<?php echo esc_url( $link['target_url'] ); ?>" target="_blank"><?php echo esc_html( $link['target'] ); ?></a>
+						<span class="sl-editor-score"><?php echo esc_html( number_format( $link['score'], 3 ) ); ?></span>
+					</div>
+					<?php if ( $link['found'] ) : ?>
+						<div class="sl-editor-context">
+							<span class="sl-editor-block">#<?php echo (int) $link['block']; ?></span>
+							<?php echo esc_html( $link['before'] ); ?><mark><?php echo esc_html( $link['match'] ); ?></mark><?php echo esc_html( $link['after'] ); ?>
+						</div>
+					<?php else : ?>
+						<div class="sl-editor-context sl-editor-missing">Anchor nie występuje w treści – link nie zostanie wstawiony.</div>
+					<?php endif; ?>
+					<div class="sl-editor-actions">
+						<?php if ( $link['found'] ) : ?>
+							<button type="button" class="button-link sl-editor-locate">Pokaż w treści</button>
+						<?php endif; ?>
+						<button type="button" class="button-link sl-editor-edit-anchor">Zmień anchor</button>
+						<?php if ( $link['status'] === 'active' ) : ?>
+							<button type="button" class="button-link sl-editor-reject">Odrzuć</button>
+						<?php else : ?>
+							<button type="button" class="button-link sl-editor-restore">Przywróć</button>
+						<?php endif; ?>
+					</div>
+				</li>
+			<?php endforeach; ?>
+		</ul>
+	<?php endif; ?>
+
+	<!-- Manual link -->
+	<div class="sl-editor-add">
+		<p class="sl-editor-add-title"><strong>Dodaj link ręczny</strong></p>
+		<p>
+			<label for="sl-editor-add-anchor">Anchor (dokładna fraza z treści)</label>
+			<input type="text" id="sl-editor-add-anchor" class="widefat sl-editor-add-anchor" />
+		</p>
+		<p>
+			<label for="sl-editor-add-target">Cel (ID wpisu lub URL)</label>
+			<input type="text" id="sl-editor-add-target" class="widefat sl-editor-add-target" />
+		</p>
+		<button type="button" class="button sl-editor-add-submit">Dodaj link</button>
+	</div>
+
+	<?php if ( current_user_can( 'manage_options' ) ) : ?>
+		<p class="sl-editor-history">
+			<a href="<?php echo esc_url( SL_History::url( [ 'post_id' => $sl_post_id ] ) ); ?>" target="_blank">Historia linków tego wpisu</a>
+		</p>
+	<?php endif; ?>
+</div>
@@ -0,0 +1,201 @@
+<?php
+/**
+ * Admin template – SemanticLinker AI → Historia
+ *
+ * Event log of links and the blacklist (see SL_History), filtered by
+ * link, source post, run or event type (plain GET parameters).  The
+ * sidebar lists recent runs; "Cofnij" is handled by admin.js
+ * (section 15) through sl_rollback_run.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$filters = array_filter( [
+	'link_id' => absint( $_GET['link_id'] ?? 0 ),
+	'post_id' => absint( $_GET['post_id'] ?? 0 ),
+	'run_id'  => sanitize_key( $_GET['run_id'] ?? '' ),
+	'event'   => sanitize_key( $_GET['event'] ?? '' ),
+] );
+$paged = max( 1, absint( $_GET['paged'] ?? 1 ) );
+
+$result      = SL_DB::query_link_events( $filters + [ 'page' => $paged, 'per_page' => SL_History::PER_PAGE ] );
+$events      = $result['items'];
+$total       = $result['total'];
+$total_pages = (int) ceil( $total / SL_History::PER_PAGE );
+
+$runs       = SL_DB::query_link_runs( 1, SL_History::RUNS_PER_PAGE )['items'];
+$run_filter = isset( $filters['run_id'] ) ? SL_DB::get_link_run( $filters['run_id'] ) : null;
+
+$sl_run_status = [
+	'running'     => [ 'w toku', 'sl-badge-warn' ],
+	'done'        => [ 'zakończone', 'sl-badge-ok' ],
+	'rolled_back' => [ 'cofnięte', 'sl-badge-filtered' ],
+];
+?>
+<div class="wrap sl-wrap">
+
+	<!-- Page title -->
+	<h1 class="sl-page-title">
+		<span class="dashicons dashicons-backup"></span>
+		SemanticLinker AI &#8212; Historia
+	</h1>
+
+	<!-- Active filters -->
+	<?php if ( $filters ) : ?>
+		<div class="sl-status-bar">
+			<?php if ( isset( $filters['link_id'] ) ) : ?>
+				<span class="sl-status-item">Link: <strong>#<?php echo (int) $filters['link_id']; ?></strong></span>
+			<?php endif; ?>
+			<?php if ( isset( $filters['post_id'] ) ) : ?>
+				<span class="sl-status-item">Wpis: <strong><?php echo esc_html( get_the_title( $filters['post_id'] ) ?: '#' . $filters['post_id'] ); ?></strong></span>
+			<?php endif; ?>
+			<?php if ( $run_filter ) : ?>
+				<span class="sl-status-item">Uruchomienie: <strong><?php echo esc_html( $run_filter->label ); ?></strong></span>
+			<?php endif; ?>
+			<span class="sl-status-item"><a href="<?php echo esc_url( SL_History::url() ); ?>">Pokaż wszystko</a></span>
+		</div>
+	<?php endif; ?>
+
+	<!-- Two-column layout -->
+	<div class="sl-layout">
+		<div class="sl-main">
+
+			<div class="sl-card">
+				<h2 class="sl-card-title">Zdarzenia</h2>
+
+				<!-- Event type filter (GET) -->
+				<form method="get" class="sl-table-filters">
+					<input type="hidden" name="page" value="semanticlinker-history" />
+					<?php foreach ( array_diff_key( $filters, [ 'event' => true ] ) as $key => $value ) : ?>
+						<input type="hidden" name="<?php echo esc_attr( $key ); ?>" value="<?php echo esc_attr( $value ); ?>" />
+					<?php endforeach; ?>
+
+					<label class="screen-reader-text" for="sl-history-event">Zdarzenie</label>
+					<select id="sl-history-event" name="event">
+						<option value="">Wszystkie zdarzenia</option>
+						<?php foreach ( SL_History::EVENTS as $type => $label ) : ?>
+							<option value="<?php echo esc_attr( $type ); ?>" <?php selected( $filters['event'] ?? '', $type ); ?>>
+								<?php echo esc_html( $label ); ?>
+							</option>
+						<?php endforeach; ?>
+					</select>
+
+					<button type="submit" class="button">Filtruj</button>
+				</form>
+
+				<?php if ( ! empty( $events ) ) : ?>
+					<table class="widefat striped sl-history-table">
+						<thead>
+							<tr>
+								<th style="width: 13%;">Data</th>
+								<th style="width: 14%;">Zdarzenie</th>
+								<th style="width: 20%;">Wpis źródłowy</th>
+								<th>Szczegóły</th>
+								<th style="width: 18%;">Uruchomienie</th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( $events as $event ) : ?>
+								<tr>
+									<td><?php echo esc_html( mysql2date( 'Y-m-d H:i:s', $event->created_at ) ); ?></td>
+									<td>
+										<?php echo esc_html( SL_History::EVENTS[ $event->event ] ?? $event->event ); ?>
+										<?php if ( (int) $event->link_id > 0 ) : ?>
+											<br><a class="sl-muted" href="<?php echo esc_url( SL_History::url( [ 'link_id' => (int) $event->link_id ] ) ); ?>">link #<?php echo (int) $event->link_id; ?></a>
+										<?php endif; ?>
+									</td>
+									<td>
+										<?php if ( (int) $event->post_id > 0 ) : ?>
+											<a href="<?php echo esc_url( SL_History::url( [ 'post_id' => (int) $event->post_id ] ) ); ?>">
+												<?php echo esc_html( $event->source_title ?: '#' . $event->post_id ); ?>
+											</a>
+										<?php else : ?>
+											<span class="sl-muted">wszystkie</span>
+										<?php endif; ?>
+									</td>
+									<td><?php echo esc_html( SL_History::describe( $event ) ); ?></td>
+									<td>
+										<a href="<?php echo esc_url( SL_History::url( [ 'run_id' => $event->run_id ] ) ); ?>">
+											<?php echo esc_html( $event->run_label ?: ( SL_History::TYPES[ $event->run_type ] ?? $event->run_type ) ); ?>
+										</a>
+										<br><span class="sl-muted"><?php echo esc_html( $event->user_name ?: 'system' ); ?></span>
+									</td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+
+					<?php if ( $total_pages > 1 ) : ?>
+						<div class="tablenav bottom">
+							<div class="tablenav-pages">
+								<span class="displaying-num"><?php echo esc_html( $total ); ?> zdarzeń</span>
+								<?php
+								echo wp_kses_post( paginate_links( [
+									'base'      => add_query_arg( 'paged', '%#%' ),
+									'format'    => '',
+									'current'   => $paged,
+									'total'     => $total_pages,
+									'prev_text' => '&lsaquo;',
+									'next_text' => '&rsaquo;',
+								] ) );
+								?>
+							</div>
+						</div>
+					<?php endif; ?>
+				<?php else : ?>
+					<p style="color: #666; font-style: italic;">
+						<?php echo $filters ? 'Brak zdarzeń spełniających kryteria.' : 'Historia jest pusta.'; ?>
+					</p>
+				<?php endif; ?>
+			</div>
+
+		</div><!-- /.sl-main -->
+
+		<!-- Sidebar -->
+		<div class="sl-sidebar">
+
+			<!-- Recent runs -->
+			<div class="sl-card">
+				<h2 class="sl-card-title">Ostatnie uruchomienia</h2>
+				<?php if ( ! empty( $runs ) ) : ?>
+					<ul class="sl-history-runs">
+						<?php foreach ( $runs as $run ) : ?>
+							<?php list( $label, $badge ) = $sl_run_status[ $run->status ] ?? [ $run->status, '' ]; ?>
+							<li class="sl-history-run">
+								<strong><?php echo esc_html( $run->label ); ?></strong>
+								<span class="sl-badge <?php echo esc_attr( $badge ); ?>"><?php echo esc_html( $label ); ?></span>
+								<br><span class="sl-muted">
+									<?php echo esc_html( mysql2date( 'Y-m-d H:i', $run->created_at ) ); ?>
+									&middot; <?php echo esc_html( $run->user_name ?: 'system' ); ?>
+									&middot; <?php echo (int) $run->events; ?> zmian
+								</span>
+								<br>
+								<a class="button button-small" href="<?php echo esc_url( SL_History::url( [ 'run_id' => $run->run_id ] ) ); ?>">Pokaż</a>
+								<button type="button" class="button button-small sl-btn-rollback-run"
+										data-run-id="<?php echo esc_attr( $run->run_id ); ?>"
+										<?php disabled( $run->status !== 'done' ); ?>>Cofnij</button>
+							</li>
+						<?php endforeach; ?>
+					</ul>
+				<?php else : ?>
+					<p class="sl-muted">Brak zapisanych uruchomień.</p>
+				<?php endif; ?>
+			</div>
+
+			<!-- Info box -->
+			<div class="sl-card" style="background: #e7f5ff; border-color: #74c0fc;">
+				<h2 class="sl-card-title" style="color: #1971c2; border-bottom-color: #74c0fc;">Cofanie zmian</h2>
+				<ul style="font-size: 13px; color: #1864ab; margin: 0; padding-left: 18px; line-height: 1.6;">
+					<li>Uruchomienie to jedno dopasowywanie, akcja masowa, import albo pojedyncza zmiana w panelu</li>
+					<li><strong>Cofnij</strong> odwraca wszystkie jego zmiany – usunięte linki i wpisy blacklisty wracają, nowe znikają, statusy wracają do poprzednich</li>
+					<li>Zmiany, które od tamtej pory zmieniono ponownie, są pomijane</li>
+					<li>Samo cofnięcie też trafia do historii i można je cofnąć</li>
+				</ul>
+			</div>
+
+		</div><!-- /.sl-sidebar -->
+	</div><!-- /.sl-layout -->
+
+</div><!-- .wrap -->
@@ -0,0 +1,48 @@
+<?php
+/**
+ * Admin template – fields of one link rendering rule.
+ *
+ * Loaded by the settings page (one rule per target type) and the Custom
+ * URLs page (own rule of a URL).  Expects $rule (see
+ * SL_Injector::sanitize_link_rule()) and $rule_name, the input name
+ * prefix (e.g. "link_rules[post]").  The .sl-rule-* classes are read
+ * by admin.js on the Custom URLs page.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+<div class="sl-link-rule">
+	<div class="sl-link-rule-row">
+		<span class="sl-link-rule-label">rel:</span>
+		<?php foreach ( SL_Injector::REL_VALUES as $rel ) : ?>
+			<label class="sl-cb-label">
+				<input type="checkbox" class="sl-rule-rel" name="<?php echo esc_attr( $rule_name ); ?>[rel][]"
+					value="<?php echo esc_attr( $rel ); ?>" <?php checked( in_array( $rel, $rule['rel'], true ) ); ?> />
+				<?php echo esc_html( $rel ); ?>
+			</label>
+		<?php endforeach; ?>
+	</div>
+	<div class="sl-link-rule-row">
+		<label>
+			<span class="sl-link-rule-label">Otwieraj:</span>
+			<select class="sl-rule-target" name="<?php echo esc_attr( $rule_name ); ?>[target]">
+				<option value="" <?php selected( $rule['target'], '' ); ?>>w tej samej karcie</option>
+				<option value="_blank" <?php selected( $rule['target'], '_blank' ); ?>>w nowej karcie (+ noopener)</option>
+			</select>
+		</label>
+		<label class="sl-cb-label">
+			<input type="checkbox" class="sl-rule-title" name="<?php echo esc_attr( $rule_name ); ?>[title]" value="1"
+				<?php checked( $rule['title'] ); ?> />
+			atrybut <code>title</code> z tytułu celu
+		</label>
+	</div>
+	<div class="sl-link-rule-row">
+		<label>
+			<span class="sl-link-rule-label">Klasy CSS:</span>
+			<input type="text" class="sl-rule-class regular-text" name="<?php echo esc_attr( $rule_name ); ?>[class]"
+				value="<?php echo esc_attr( $rule['class'] ); ?>" placeholder="np. external-link" />
+		</label>
+	</div>
+</div>
@@ -0,0 +1,22 @@
+<?php
+/**
+ * "Powiązane artykuły" list (block, shortcode, widget).
+ *
+ * Loaded by SL_Related_Posts::render().  Expects $sl_related (published
+ * post IDs, best first) and $sl_related_title ('' = no heading).
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+<div class="sl-related-posts">
+	<?php if ( $sl_related_title !== '' ) : ?>
+		<h3 class="sl-related-posts-title"><?php echo esc_html( $sl_related_title ); ?></h3>
+	<?php endif; ?>
+	<ul class="sl-related-posts-list">
+		<?php foreach ( $sl_related as $sl_related_id ) : ?>
+			<li><a href="<?php echo esc_url( get_permalink( $sl_related_id ) ); ?>"><?php echo esc_html( get_the_title( $sl_related_id ) ); ?></a></li>
+		<?php endforeach; ?>
+	</ul>
+</div>
@@ -16,6 +16,27 @@ $all_pts  = get_post_types( [ 'public' => true ], 'objects' );
 
 // Decrypt API key for display in form (encrypted in DB)
 $api_key_decrypted = SL_Settings::get_api_key();
+$provider_key_set  = SL_Settings::get_provider_api_key() !== '';
+
+// Active embedding provider + indexed posts embedded by a different one
+$sl_api          = new SL_Embedding_API();
+$is_openai       = $s['embedding_provider'] === 'openai';
+$stale_embedding = SL_DB::count_stale_embeddings( $sl_api->get_signature() );
+
+// Stored vectors not yet in the configured format (see SL_Activation::convert_vectors())
+$vectors_pending = SL_Activation::vectors_to_convert();
+
+// Finished background jobs (admin.js refreshes the table after a run)
+$job_history = SL_Jobs::history_view( 5 );
+
+// API usage of this month and the charts of the usage card
+$usage_month  = SL_Usage::month();
+$usage_cost   = SL_Usage::cost( $usage_month );
+$usage_budget = SL_Usage::budget();
+$usage_charts = [
+	'daily'   => [ 'title' => 'Tokeny dziennie (ostatnie ' . SL_Usage::CHART_DAYS . ' dni)', 'periods' => SL_Usage::daily() ],
+	'monthly' => [ 'title' => 'Koszt miesięcznie (ostatnie ' . SL_Usage::CHART_MONTHS . ' miesięcy)', 'periods' => SL_Usage::monthly() ],
+];
 ?>
 <div class="wrap sl-wrap">
 
@@ -41,8 +62,8 @@ $api_key_decrypted = SL_Settings::get_api_key();
 	<!-- Status bar ─────────────────────────────────────────────── -->
 	<div class="sl-status-bar">
 		<span class="sl-status-item">
-			API Key:
-			<?php echo $api_key_decrypted
+			<?php echo $is_openai ? 'Provider (OpenAI-compatible):' : 'API Key:'; ?>
+			<?php echo $sl_api->is_configured()
 				? '<span class="sl-badge sl-badge-ok">Skonfigurowana</span>'
 				: '<span class="sl-badge sl-badge-warn">Brak</span>';
 			?>
@@ -72,8 +93,29 @@ $api_key_decrypted = SL_Settings::get_api_key();
 		<!-- ── API Konfiguracja ──────────────────────────────── -->
 		<div class="sl-card">
 			<h2 class="sl-card-title">API Konfiguracja</h2>
+			<?php if ( $stale_embedding > 0 ) : ?>
+				<div class="notice notice-warning inline" style="margin: 0 0 12px;">
+					<p>
+						<strong><?php echo (int) $stale_embedding; ?></strong>
+						zaindeksowanych postów ma embeddingi z innego providera lub modelu.
+						Zostaną przeliczone przy następnej indeksacji – do tego czasu nie biorą udziału w dopasowaniu.
+					</p>
+				</div>
+			<?php endif; ?>
 			<table class="form-table">
 				<tr>
+					<th scope="row"><label for="sl_embedding_provider">Provider embeddingów</label></th>
+					<td>
+						<select id="sl_embedding_provider" name="embedding_provider">
+							<option value="gemini" <?php selected( $s['embedding_provider'], 'gemini' ); ?>>Google Gemini</option>
+							<option value="openai" <?php selected( $s['embedding_provider'], 'openai' ); ?>>OpenAI-compatible (np. serwer lokalny)</option>
+						</select>
+						<p class="description">
+							Zmiana providera lub modelu wymaga ponownego wygenerowania embeddingów (nastąpi automatycznie przy indeksacji).
+						</p>
+					</td>
+				</tr>
+				<tr class="sl-provider-row sl-provider-gemini" <?php echo $is_openai ? 'style="display: none;"' : ''; ?>>
 					<th scope="row"><label for="sl_api_key">Google Gemini API Key</label></th>
 					<td>
 						<input
@@ -92,6 +134,48 @@ $api_key_decrypted = SL_Settings::get_api_key();
 						</p>
 					</td>
 				</tr>
+				<tr class="sl-provider-row sl-provider-openai" <?php echo $is_openai ? '' : 'style="display: none;"'; ?>>
+					<th scope="row"><label for="sl_provider_base_url">Adres serwera (base URL)</label></th>
+					<td>
+						<input
+							type="url"
+							id="sl_provider_base_url"
+							name="provider_base_url"
+							value="<?php echo esc_attr( $s['provider_base_url'] ); ?>"
+							class="regular-text"
+							placeholder="<?php echo esc_attr( SL_Provider_OpenAI::DEFAULT_BASE_URL ); ?>"
+						/>
+						<p class="description">
+							Dowolny serwer zgodny z API OpenAI (<code>/embeddings</code>, <code>/chat/completions</code>),
+							np. <code>http://127.0.0.1:8080/v1</code>. Puste = <code><?php echo esc_html( SL_Provider_OpenAI::DEFAULT_BASE_URL ); ?></code>
+						</p>
+					</td>
+				</tr>
+				<tr class="sl-provider-row sl-provider-openai" <?php echo $is_openai ? '' : 'style="display: none;"'; ?>>
+					<th scope="row"><label for="sl_provider_api_key">API Key (opcjonalny)</label></th>
+					<td>
+						<input
+							type="password"
+							id="sl_provider_api_key"
+							name="provider_api_key"
+							value=""
+							class="regular-text"
+							autocomplete="off"
+							placeholder="<?php echo $provider_key_set ? '••••••••' : 'sk-…'; ?>"
+						/>
+						<?php if ( $provider_key_set ) : ?>
+							<label class="sl-cb-label" style="margin-left: 8px;">
+								<input type="checkbox" name="provider_api_key_clear" value="1" />
+								Usuń zapisany klucz
+							</label>
+						<?php endif; ?>
+						<p class="description">
+							Wysyłany jako <code>Authorization: Bearer</code>. Serwery lokalne zwykle go nie wymagają.
+							Puste pole zachowuje zapisany klucz.<br>
+							<span style="color: #46b450;">&#128274; Klucz jest szyfrowany w bazie danych.</span>
+						</p>
+					</td>
+				</tr>
 				<tr>
 					<th scope="row"><label for="sl_model">Model embeddingów</label></th>
 					<td>
@@ -101,10 +185,30 @@ $api_key_decrypted = SL_Settings::get_api_key();
 							name="embedding_model"
 							value="<?php echo esc_attr( $s['embedding_model'] ); ?>"
 							class="regular-text"
-							placeholder="gemini-embedding-001"
+							placeholder="<?php echo esc_attr( $is_openai ? SL_Provider_OpenAI::DEFAULT_MODEL : SL_Provider_Gemini::DEFAULT_MODEL ); ?>"
+						/>
+						<p class="description">
+							Domyślnie: <code>gemini-embedding-001</code> (Gemini) lub <code>text-embedding-3-small</code> (OpenAI-compatible).
+							Po zmianie dostawcy niezmieniony model wraca do domyślnego nowego dostawcy.
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row"><label for="sl_embedding_dimensions">Wymiar wektora</label></th>
+					<td>
+						<input
+							type="number"
+							id="sl_embedding_dimensions"
+							name="embedding_dimensions"
+							value="<?php echo esc_attr( $s['embedding_dimensions'] ); ?>"
+							min="0"
+							max="8192"
+							step="1"
+							class="small-text"
 						/>
 						<p class="description">
-							Model embeddingów Google Gemini. Domyślnie: <code>gemini-embedding-001</code>
+							Liczba wymiarów zwracanych przez model. <code>0</code> = domyślna dla modelu.
+							Obsługiwane tylko przez modele, które pozwalają skrócić wektor.
 						</p>
 					</td>
 				</tr>
@@ -117,11 +221,34 @@ $api_key_decrypted = SL_Settings::get_api_key();
 							name="filter_model"
 							value="<?php echo esc_attr( $s['filter_model'] ?? 'gemini-2.5-flash' ); ?>"
 							class="regular-text"
-							placeholder="gemini-2.5-flash"
+							placeholder="<?php echo $is_openai ? 'gpt-4o-mini' : 'gemini-2.5-flash'; ?>"
 						/>
 						<p class="description">
-							Model Gemini do walidacji kontekstowej anchorów. Domyślnie: <code>gemini-2.5-flash</code>
+							Model czatu do walidacji kontekstowej anchorów. Domyślnie: <code>gemini-2.5-flash</code> (Gemini) lub <code>gpt-4o-mini</code> (OpenAI-compatible).
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row"><label for="sl_vector_storage">Zapis wektorów</label></th>
+					<td>
+						<select id="sl_vector_storage" name="vector_storage">
+							<?php foreach ( SL_Vector_Codec::FORMATS as $format => $label ) : ?>
+								<option value="<?php echo esc_attr( $format ); ?>" <?php selected( $s['vector_storage'], $format ); ?>>
+									<?php echo esc_html( $label ); ?>
+								</option>
+							<?php endforeach; ?>
+						</select>
+						<p class="description">
+							Format binarny embeddingów w bazie. <code>int8</code> zajmuje 4× mniej miejsca kosztem minimalnej
+							dokładności podobieństwa. Po zmianie na <code>int8</code> zapisane wektory są konwertowane w tle;
+							powrót do <code>float32</code> dotyczy nowych wektorów (pełną dokładność przywraca reindeksacja).
 						</p>
+						<?php if ( $vectors_pending > 0 ) : ?>
+							<p class="description">
+								<span class="sl-badge sl-badge-warn">Konwersja w toku</span>
+								<?php echo esc_html( number_format_i18n( $vectors_pending ) ); ?> wektorów czeka na konwersję (WP-Cron).
+							</p>
+						<?php endif; ?>
 					</td>
 				</tr>
 			</table>
@@ -273,6 +400,31 @@ $api_key_decrypted = SL_Settings::get_api_key();
 						</p>
 					</td>
 				</tr>
+				<tr>
+					<th scope="row"><label for="sl_content_language">Język treści</label></th>
+					<td>
+						<select id="sl_content_language" name="content_language">
+							<option value="auto" <?php selected( $s['content_language'], 'auto' ); ?>>
+								Automatycznie (język witryny: <?php echo esc_html( get_locale() ); ?>)
+							</option>
+							<?php foreach ( SL_Language::LANGUAGES as $code => $name ) : ?>
+								<option value="<?php echo esc_attr( $code ); ?>" <?php selected( $s['content_language'], $code ); ?>>
+									<?php echo esc_html( $name ); ?>
+								</option>
+							<?php endforeach; ?>
+						</select>
+						<p class="description">
+							Określa stop-words, odmianę wyrazów i prompt filtra AI przy wyborze anchorów.<br>
+							<?php if ( SL_Language::is_multilingual() ) : ?>
+								<strong>Wykryto WPML / Polylang</strong> – język każdego wpisu pochodzi z wtyczki,
+								to ustawienie dotyczy tylko wpisów bez przypisanego języka.
+							<?php else : ?>
+								Przy WPML lub Polylang język jest brany z wpisu.
+							<?php endif; ?>
+							Linki są tworzone tylko między wpisami w tym samym języku.
+						</p>
+					</td>
+				</tr>
 			</table>
 		</div>
 
@@ -432,7 +584,249 @@ $api_key_decrypted = SL_Settings::get_api_key();
 			</table>
 		</div>
 
+		<!-- ── Rozmieszczenie linków ─────────────────────────── -->
+		<div class="sl-card">
+			<h2 class="sl-card-title">Rozmieszczenie linków</h2>
+			<table class="form-table">
+				<tr>
+					<th scope="row"><label for="sl_placement_skip">Pomiń pierwsze akapity</label></th>
+					<td>
+						<input
+							type="number"
+							id="sl_placement_skip"
+							name="placement_skip_paragraphs"
+							value="<?php echo esc_attr( $s['placement_skip_paragraphs'] ); ?>"
+							min="0"
+							max="20"
+							class="small-text"
+						/>
+						<p class="description">
+							Linki nie trafią do pierwszych N akapitów wpisu (0 = bez ograniczeń).
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">Jeden link na akapit</th>
+					<td>
+						<label class="sl-cb-label">
+							<input
+								type="checkbox"
+								name="placement_one_per_paragraph"
+								value="1"
+								<?php checked( $s['placement_one_per_paragraph'] ); ?>
+							/>
+							Najwyżej jeden automatyczny link w akapicie (lista i tabela liczą się jako jeden akapit)
+						</label>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row"><label for="sl_placement_min_words">Odstęp między linkami</label></th>
+					<td>
+						<input
+							type="number"
+							id="sl_placement_min_words"
+							name="placement_min_words"
+							value="<?php echo esc_attr( $s['placement_min_words'] ); ?>"
+							min="0"
+							max="500"
+							class="small-text"
+						/> słów
+						<p class="description">
+							Minimalna liczba słów między dwoma automatycznymi linkami (0 = bez ograniczeń).
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">Linki wewnątrz</th>
+					<td>
+						<?php foreach ( [ 'lists' => 'list', 'tables' => 'tabel', 'blockquotes' => 'cytatów (blockquote)' ] as $container => $container_label ) : ?>
+							<label class="sl-cb-label" style="margin-right: 14px;">
+								<input
+									type="checkbox"
+									name="placement_containers[]"
+									value="<?php echo esc_attr( $container ); ?>"
+									<?php checked( in_array( $container, $s['placement_containers'], true ) ); ?>
+								/>
+								<?php echo esc_html( $container_label ); ?>
+							</label>
+						<?php endforeach; ?>
+						<p class="description">Domyślnie linki nie trafiają do list, tabel ani cytatów – zaznacz elementy, w których są dozwolone.</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">Akapit dopasowania</th>
+					<td>
+						<label class="sl-cb-label">
+							<input
+								type="checkbox"
+								name="placement_prefer_chunk"
+								value="1"
+								<?php checked( $s['placement_prefer_chunk'] ); ?>
+							/>
+							Wstawiaj link najpierw w akapicie, z którego pochodzi dopasowanie
+						</label>
+						<p class="description">
+							Gdy anchor występuje kilka razy, wybierane jest wystąpienie we fragmencie, który
+							był podobny do celu; w przeciwnym razie pierwsze wystąpienie w treści.
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">Odmiana anchora</th>
+					<td>
+						<label class="sl-cb-label">
+							<input
+								type="checkbox"
+								name="inflected_anchors"
+								value="1"
+								<?php checked( $s['inflected_anchors'] ); ?>
+							/>
+							Linkuj odmienioną formę, gdy dokładnej frazy nie ma już w treści
+						</label>
+						<p class="description">
+							Np. anchor „kredyt hipoteczny” trafi na „kredytu hipotecznego” po edycji wpisu.
+							Anchory zawsze pasują tylko do całych wyrazów (nie wewnątrz dłuższego słowa).
+						</p>
+					</td>
+				</tr>
+			</table>
+			<p class="description">
+				Reguły nie dotyczą linków ręcznych (ustawionych w edytorze wpisu). Link, któremu reguły nie zostawiły
+				miejsca, audyt oznaczy jako „Zablokowany przez reguły rozmieszczenia”.
+			</p>
+		</div>
+
+		<!-- ── Wygląd linków ─────────────────────────────────── -->
+		<div class="sl-card">
+			<h2 class="sl-card-title">Wygląd linków</h2>
+			<table class="form-table">
+				<?php foreach ( [ 'post' => 'Linki do wpisów', 'custom' => 'Linki do Custom URLs' ] as $rule_type => $rule_label ) : ?>
+					<?php
+					$rule      = SL_Injector::sanitize_link_rule( (array) ( $s['link_rules'][ $rule_type ] ?? [] ) );
+					$rule_name = 'link_rules[' . $rule_type . ']';
+					?>
+					<tr>
+						<th scope="row"><?php echo esc_html( $rule_label ); ?></th>
+						<td>
+							<?php require SL_PLUGIN_DIR . 'templates/link-rule-fields.php'; ?>
+						</td>
+					</tr>
+				<?php endforeach; ?>
+			</table>
+			<p class="description">
+				Każdy link ma klasę <code>sl-auto-link</code>; tu można dodać <code>rel</code>, <code>target</code>,
+				<code>title</code> i własne klasy. Custom URL może mieć własne ustawienia (strona Custom URLs).<br>
+				Motyw może zmienić atrybuty filtrem <code>semanticlinker_link_attributes</code>.
+			</p>
+		</div>
+
+		<!-- ── Historia zmian ────────────────────────────────── -->
+		<div class="sl-card">
+			<h2 class="sl-card-title">Historia zmian</h2>
+			<table class="form-table">
+				<tr>
+					<th scope="row"><label for="sl-history-retention">Przechowywanie</label></th>
+					<td>
+						<input
+							type="number"
+							id="sl-history-retention"
+							name="history_retention_days"
+							value="<?php echo esc_attr( $s['history_retention_days'] ); ?>"
+							min="0"
+							max="3650"
+							class="small-text"
+						/> dni
+						<p class="description">
+							Starsze uruchomienia i ich zdarzenia są usuwane raz dziennie. Ostatnie
+							<?php echo (int) SL_History::ROLLBACK_RUNS; ?> uruchomień zostaje zawsze, więc można je cofnąć. 0 = bez limitu.
+						</p>
+					</td>
+				</tr>
+			</table>
+		</div>
+
+		<!-- ── Statystyki kliknięć ───────────────────────────── -->
+		<div class="sl-card">
+			<h2 class="sl-card-title">Statystyki kliknięć</h2>
+			<table class="form-table">
+				<tr>
+					<th scope="row">Śledzenie</th>
+					<td>
+						<label class="sl-cb-label">
+							<input
+								type="checkbox"
+								name="tracking_enabled"
+								value="1"
+								<?php checked( $s['tracking_enabled'] ); ?>
+							/>
+							Zliczaj wyświetlenia i kliknięcia wstawionych linków
+						</label>
+						<p class="description">
+							Lekki skrypt na stronie wpisu wysyła do REST API, które linki były widoczne i które kliknięto.
+							Zapisywane są tylko dzienne sumy dla każdego linku – bez cookies i adresów IP. Zalogowani
+							redaktorzy i boty nie są liczeni. Kliknięcia i CTR z ostatnich <?php echo (int) SL_Tracking::STATS_DAYS; ?> dni
+							widać w panelu Active Links.
+						</p>
+					</td>
+				</tr>
+			</table>
+		</div>
+
+		<!-- ── Budżet API ────────────────────────────────────── -->
+		<div class="sl-card">
+			<h2 class="sl-card-title">Budżet API</h2>
+			<table class="form-table">
+				<tr>
+					<th scope="row"><label for="sl-usage-budget">Budżet miesięczny</label></th>
+					<td>
+						<input
+							type="number"
+							id="sl-usage-budget"
+							name="usage_budget"
+							value="<?php echo esc_attr( $s['usage_budget'] ); ?>"
+							min="0"
+							step="0.01"
+							class="small-text"
+						/> USD
+						<p class="description">
+							Po przekroczeniu indeksacja, matching i filtr AI są wstrzymywane (zadanie w tle, WP-CLI, cron i
+							indeksacja po zapisie) do początku kolejnego miesiąca lub podniesienia budżetu. 0 = bez limitu.
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">Ceny (USD / 1M tokenów)</th>
+					<td>
+						<label>
+							Embeddingi
+							<input type="number" name="price_embedding" value="<?php echo esc_attr( $s['price_embedding'] ); ?>" min="0" step="0.0001" class="small-text" />
+						</label>
+						<label style="margin-left: 12px;">
+							Filtr AI – wejście
+							<input type="number" name="price_filter_input" value="<?php echo esc_attr( $s['price_filter_input'] ); ?>" min="0" step="0.0001" class="small-text" />
+						</label>
+						<label style="margin-left: 12px;">
+							Filtr AI – wyjście
+							<input type="number" name="price_filter_output" value="<?php echo esc_attr( $s['price_filter_output'] ); ?>" min="0" step="0.0001" class="small-text" />
+						</label>
+						<p class="description">
+							Cennik modeli z ustawień API (<code><?php echo esc_html( $s['embedding_model'] ); ?></code>,
+							<code><?php echo esc_html( $s['filter_model'] ); ?></code>). Dla lokalnego serwera wpisz 0.
+							Koszty w raporcie są przeliczane według aktualnych cen.
+						</p>
+					</td>
+				</tr>
+			</table>
+		</div>
+
 		<!-- Submit ─────────────────────────────────────────────── -->
+		<!-- Indexing toggles live in the sidebar form – keep them on save -->
+		<?php if ( $s['cron_enabled'] ) : ?>
+			<input type="hidden" name="cron_enabled" value="1" />
+		<?php endif; ?>
+		<?php if ( $s['auto_index_on_save'] ) : ?>
+			<input type="hidden" name="auto_index_on_save" value="1" />
+		<?php endif; ?>
 		<input type="hidden" name="sl_save" value="1" />
 		<?php submit_button( 'Zapisz ustawienia', 'primary', 'submit', false ); ?>
 	</form>
@@ -452,8 +846,13 @@ $api_key_decrypted = SL_Settings::get_api_key();
 			<?php wp_nonce_field( 'sl_settings_save', 'sl_nonce' ); ?>
 			<input type="hidden" name="sl_save" value="1" />
 			<!-- Preserve other settings by including them as hidden fields -->
-			<!-- Note: api_key is NOT included here - empty value preserves existing key -->
+			<!-- Note: api_key / provider_api_key are NOT included here - empty value preserves existing keys -->
+			<input type="hidden" name="embedding_provider" value="<?php echo esc_attr( $s['embedding_provider'] ); ?>" />
+			<input type="hidden" name="provider_base_url" value="<?php echo esc_attr( $s['provider_base_url'] ); ?>" />
 			<input type="hidden" name="embedding_model" value="<?php echo esc_attr( $s['embedding_model'] ); ?>" />
+			<input type="hidden" name="embedding_dimensions" value="<?php echo esc_attr( $s['embedding_dimensions'] ); ?>" />
+			<input type="hidden" name="filter_model" value="<?php echo esc_attr( $s['filter_model'] ); ?>" />
+			<input type="hidden" name="vector_storage" value="<?php echo esc_attr( $s['vector_storage'] ); ?>" />
 			<input type="hidden" name="similarity_threshold" value="<?php echo esc_attr( $s['similarity_threshold'] ); ?>" />
 			<input type="hidden" name="max_links_per_post" value="<?php echo esc_attr( $s['max_links_per_post'] ); ?>" />
 			<input type="hidden" name="max_links_per_url" value="<?php echo esc_attr( $s['max_links_per_url'] ?? 10 ); ?>" />
@@ -462,6 +861,7 @@ $api_key_decrypted = SL_Settings::get_api_key();
 			<input type="hidden" name="cluster_threshold" value="<?php echo esc_attr( $s['cluster_threshold'] ); ?>" />
 			<input type="hidden" name="excluded_tags" value="<?php echo esc_attr( implode( "\n", $s['excluded_tags'] ) ); ?>" />
 			<input type="hidden" name="excluded_post_ids" value="<?php echo esc_attr( implode( ', ', $s['excluded_post_ids'] ) ); ?>" />
+			<input type="hidden" name="content_language" value="<?php echo esc_attr( $s['content_language'] ); ?>" />
 			<?php if ( $s['same_category_only'] ) : ?>
 				<input type="hidden" name="same_category_only" value="1" />
 			<?php endif; ?>
@@ -471,6 +871,38 @@ $api_key_decrypted = SL_Settings::get_api_key();
 			<?php foreach ( $s['post_types'] as $pt ) : ?>
 				<input type="hidden" name="post_types[]" value="<?php echo esc_attr( $pt ); ?>" />
 			<?php endforeach; ?>
+			<input type="hidden" name="placement_skip_paragraphs" value="<?php echo esc_attr( $s['placement_skip_paragraphs'] ); ?>" />
+			<input type="hidden" name="placement_min_words" value="<?php echo esc_attr( $s['placement_min_words'] ); ?>" />
+			<?php if ( $s['placement_one_per_paragraph'] ) : ?>
+				<input type="hidden" name="placement_one_per_paragraph" value="1" />
+			<?php endif; ?>
+			<?php if ( $s['placement_prefer_chunk'] ) : ?>
+				<input type="hidden" name="placement_prefer_chunk" value="1" />
+			<?php endif; ?>
+			<?php if ( $s['inflected_anchors'] ) : ?>
+				<input type="hidden" name="inflected_anchors" value="1" />
+			<?php endif; ?>
+			<?php foreach ( $s['placement_containers'] as $container ) : ?>
+				<input type="hidden" name="placement_containers[]" value="<?php echo esc_attr( $container ); ?>" />
+			<?php endforeach; ?>
+			<input type="hidden" name="history_retention_days" value="<?php echo esc_attr( $s['history_retention_days'] ); ?>" />
+			<?php if ( $s['tracking_enabled'] ) : ?>
+				<input type="hidden" name="tracking_enabled" value="1" />
+			<?php endif; ?>
+			<input type="hidden" name="usage_budget" value="<?php echo esc_attr( $s['usage_budget'] ); ?>" />
+			<input type="hidden" name="price_embedding" value="<?php echo esc_attr( $s['price_embedding'] ); ?>" />
+			<input type="hidden" name="price_filter_input" value="<?php echo esc_attr( $s['price_filter_input'] ); ?>" />
+			<input type="hidden" name="price_filter_output" value="<?php echo esc_attr( $s['price_filter_output'] ); ?>" />
+			<?php foreach ( $s['link_rules'] as $rule_type => $rule ) : ?>
+				<?php foreach ( (array) ( $rule['rel'] ?? [] ) as $rel ) : ?>
+					<input type="hidden" name="link_rules[<?php echo esc_attr( $rule_type ); ?>][rel][]" value="<?php echo esc_attr( $rel ); ?>" />
+				<?php endforeach; ?>
+				<input type="hidden" name="link_rules[<?php echo esc_attr( $rule_type ); ?>][target]" value="<?php echo esc_attr( $rule['target'] ?? '' ); ?>" />
+				<input type="hidden" name="link_rules[<?php echo esc_attr( $rule_type ); ?>][class]" value="<?php echo esc_attr( $rule['class'] ?? '' ); ?>" />
+				<?php if ( ! empty( $rule['title'] ) ) : ?>
+					<input type="hidden" name="link_rules[<?php echo esc_attr( $rule_type ); ?>][title]" value="1" />
+				<?php endif; ?>
+			<?php endforeach; ?>
 
 			<label class="sl-cb-label" style="display: flex; align-items: center; gap: 8px;">
 				<input
@@ -482,6 +914,16 @@ $api_key_decrypted = SL_Settings::get_api_key();
 				/>
 				<span>Włącz automatyczną indeksację (co godzinę)</span>
 			</label>
+			<label class="sl-cb-label" style="display: flex; align-items: center; gap: 8px; margin-top: 6px;">
+				<input
+					type="checkbox"
+					name="auto_index_on_save"
+					value="1"
+					<?php checked( $s['auto_index_on_save'] ); ?>
+					onchange="this.form.submit();"
+				/>
+				<span>Indeksuj wpis po zapisaniu (tylko zmienione fragmenty)</span>
+			</label>
 		</form>
 
 		<p class="description" style="margin-bottom: 12px;">
@@ -490,6 +932,9 @@ $api_key_decrypted = SL_Settings::get_api_key();
 			<?php else : ?>
 				<span style="color: #d63638;">✗ Cron wyłączony</span> – użyj przycisku poniżej, aby uruchomić indeksację ręcznie.
 			<?php endif; ?>
+			<?php if ( $s['auto_index_on_save'] ) : ?>
+				<br><span style="color: #46b450;">✓ Indeksacja przy zapisie</span> – zmieniony wpis jest przeliczany w tle ok. minutę po publikacji.
+			<?php endif; ?>
 		</p>
 
 		<div style="display: flex; flex-direction: column; gap: 10px;">
@@ -544,6 +989,31 @@ $api_key_decrypted = SL_Settings::get_api_key();
 				<p id="sl-progress-filtering-text" style="margin: 3px 0 0; font-size: 11px; color: #666;">Oczekiwanie...</p>
 			</div>
 		</div>
+
+		<!-- Last background jobs -->
+		<div id="sl-job-history" style="margin-top: 15px;<?php echo empty( $job_history ) ? ' display: none;' : ''; ?>">
+			<p style="margin: 0 0 6px; font-size: 12px; font-weight: 600; color: #1e3a5f;">Ostatnie uruchomienia</p>
+			<table class="widefat striped sl-job-history">
+				<tbody>
+					<?php foreach ( $job_history as $job ) : ?>
+						<tr>
+							<td><?php echo esc_html( $job['started_at'] ); ?></td>
+							<td>
+								<span class="sl-job-status sl-job-<?php echo esc_attr( $job['status'] ); ?>">
+									<?php echo esc_html( $job['status_label'] ); ?>
+								</span>
+							</td>
+							<td>
+								<?php echo esc_html( $job['status'] === 'failed' ? $job['error'] : $job['message'] ); ?>
+								<?php if ( $job['usage'] !== '' ) : ?>
+									<br><span class="sl-muted"><?php echo esc_html( $job['usage'] ); ?></span>
+								<?php endif; ?>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+		</div>
 	</div>
 
 	<!-- Info box -->
@@ -552,6 +1022,9 @@ $api_key_decrypted = SL_Settings::get_api_key();
 		<p style="font-size: 13px; color: #664d03; margin: 0; line-height: 1.5;">
 			Reindeksacja działa <strong>przyrostowo</strong> – przetwarza tylko nowe posty lub te ze zmienioną treścią.
 		</p>
+		<p style="font-size: 13px; color: #664d03; margin: 10px 0 0; line-height: 1.5;">
+			Proces działa <strong>w tle na serwerze</strong> – kartę można zamknąć, a postęp wróci po ponownym otwarciu ustawień.
+		</p>
 		<p style="font-size: 13px; color: #664d03; margin: 10px 0 0; line-height: 1.5;">
 			<strong>Aby zastosować nowe ustawienia</strong>, najpierw usuń wszystkie linki, a następnie uruchom reindeksację.
 		</p>
@@ -560,6 +1033,114 @@ $api_key_decrypted = SL_Settings::get_api_key();
 		</div><!-- /.sl-sidebar -->
 	</div><!-- /.sl-layout -->
 
+	<!-- ══════════════════════════════════════════════════════════
+	     API USAGE (full width) – see SL_Usage
+	     ══════════════════════════════════════════════════════════ -->
+	<div class="sl-card">
+		<h2 class="sl-card-title">Zużycie API – <?php echo esc_html( date_i18n( 'F Y' ) ); ?></h2>
+
+		<?php if ( $usage_budget > 0 ) : ?>
+			<?php $usage_percent = min( 100, $usage_cost / $usage_budget * 100 ); ?>
+			<div class="sl-usage-budget<?php echo SL_Usage::budget_exceeded() ? ' sl-usage-exceeded' : ''; ?>">
+				<span>
+					Budżet: <strong><?php echo esc_html( SL_Usage::format_cost( $usage_cost ) ); ?></strong>
+					z <?php echo esc_html( SL_Usage::format_cost( $usage_budget ) ); ?>
+					(<?php echo esc_html( number_format_i18n( $usage_percent, 0 ) ); ?>%)
+				</span>
+				<div class="sl-usage-budget-bar"><span style="width: <?php echo esc_attr( round( $usage_percent, 1 ) ); ?>%;"></span></div>
+			</div>
+			<?php if ( SL_Usage::budget_exceeded() ) : ?>
+				<p class="sl-usage-paused"><?php echo esc_html( SL_Usage::budget_message() ); ?></p>
+			<?php endif; ?>
+		<?php endif; ?>
+
+		<table class="widefat striped sl-usage-table">
+			<thead>
+				<tr>
+					<th>Rodzaj</th>
+					<th>Model</th>
+					<th>Zapytania</th>
+					<th>Tokeny wejściowe</th>
+					<th>Tokeny wyjściowe</th>
+					<th>Ponowienia</th>
+					<th>Limity (429)</th>
+					<th>Błędy</th>
+					<th>Koszt</th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ( SL_Usage::KINDS as $kind => $label ) : ?>
+					<?php $counters = $usage_month[ $kind ] ?? []; ?>
+					<tr>
+						<td><span class="sl-graph-dot sl-usage-dot-<?php echo esc_attr( $kind ); ?>"></span> <?php echo esc_html( $label ); ?></td>
+						<td><code><?php echo esc_html( SL_Usage::model( $kind ) ); ?></code></td>
+						<td><?php echo esc_html( number_format_i18n( $counters['requests'] ?? 0 ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $counters['input_tokens'] ?? 0 ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $counters['output_tokens'] ?? 0 ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $counters['retries'] ?? 0 ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $counters['rate_limited'] ?? 0 ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $counters['errors'] ?? 0 ) ); ?></td>
+						<td><?php echo esc_html( SL_Usage::format_cost( SL_Usage::cost( [ $kind => $counters ] ) ) ); ?></td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+			<tfoot>
+				<tr>
+					<th colspan="8">Razem</th>
+					<th><?php echo esc_html( SL_Usage::format_cost( $usage_cost ) ); ?></th>
+				</tr>
+			</tfoot>
+		</table>
+
+		<div class="sl-usage-charts">
+			<?php foreach ( $usage_charts as $chart => $data ) : ?>
+				<?php
+				// Bar value per period and kind: tokens (daily) or cost (monthly)
+				$values = [];
+				foreach ( $data['periods'] as $period => $kinds ) {
+					foreach ( SL_Usage::KINDS as $kind => $label ) {
+						$counters = $kinds[ $kind ] ?? [];
+						$values[ $period ][ $kind ] = $chart === 'daily'
+							? ( $counters['input_tokens'] ?? 0 ) + ( $counters['output_tokens'] ?? 0 )
+							: SL_Usage::cost( [ $kind => $counters ] );
+					}
+				}
+				$highest = max( array_map( 'array_sum', $values ) ) ?: 1;
+				?>
+				<div class="sl-usage-chart-wrap">
+					<h3 class="sl-usage-chart-title"><?php echo esc_html( $data['title'] ); ?></h3>
+					<div class="sl-usage-chart">
+						<?php foreach ( $values as $period => $kinds ) : ?>
+							<?php
+							$total = array_sum( $kinds );
+							$tip   = $period . ': ' . ( $chart === 'daily'
+								? number_format_i18n( $total ) . ' tokenów'
+								: SL_Usage::format_cost( $total ) );
+							?>
+							<div class="sl-usage-col" title="<?php echo esc_attr( $tip ); ?>">
+								<?php foreach ( $kinds as $kind => $value ) : ?>
+									<span class="sl-usage-bar sl-usage-bar-<?php echo esc_attr( $kind ); ?>" style="height: <?php echo esc_attr( round( $value / $highest * 100, 2 ) ); ?>%;"></span>
+								<?php endforeach; ?>
+							</div>
+						<?php endforeach; ?>
+						<div class="sl-usage-axis">
+							<span><?php echo esc_html( array_key_first( $values ) ); ?></span>
+							<span><?php echo esc_html( array_key_last( $values ) ); ?></span>
+						</div>
+					</div>
+				</div>
+			<?php endforeach; ?>
+		</div>
+
+		<p class="description">
+			<?php foreach ( SL_Usage::KINDS as $kind => $label ) : ?>
+				<span class="sl-graph-dot sl-usage-dot-<?php echo esc_attr( $kind ); ?>"></span> <?php echo esc_html( $label ); ?>
+			<?php endforeach; ?>
+			– tokeny pochodzą z odpowiedzi API; gdy dostawca ich nie podaje (embeddingi Gemini), są szacowane
+			(ok. 1 token na 4 znaki). Koszt jest orientacyjny i nie zastępuje rozliczenia u dostawcy.
+		</p>
+	</div>
+
 	<!-- ══════════════════════════════════════════════════════════
 	     DEBUG LOGS (full width, outside the two-column layout)
 	     ══════════════════════════════════════════════════════════ -->
@@ -0,0 +1,162 @@
+<?php
+/**
+ * Admin template – SemanticLinker AI → Symulator progów
+ *
+ * Sliders start at the saved thresholds.  Preparation, the live preview
+ * (counts, histogram, sample links) and saving are done by admin.js
+ * (section 14) through the sl_simulation_* / sl_simulate endpoints.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$prepared = SL_Simulator::get_prepared();
+$running  = SL_Simulator::get_progress();
+$current  = SL_Simulator::sanitize_thresholds( [] );
+
+$sliders = [
+	'similarity_threshold' => [
+		'label' => 'Próg podobieństwa',
+		'help'  => 'Minimalne podobieństwo fragmentu wpisu do tytułu wpisu docelowego.',
+	],
+	'custom_url_threshold' => [
+		'label' => 'Próg dla Custom URLs',
+		'help'  => 'To samo dla własnych adresów URL.',
+	],
+	'cluster_threshold'    => [
+		'label' => 'Próg klastra anchorów',
+		'help'  => 'Anchory podobne co najmniej w tym stopniu muszą prowadzić do tego samego URL.',
+	],
+];
+?>
+<div class="wrap sl-wrap">
+
+	<!-- Page title -->
+	<h1 class="sl-page-title">
+		<span class="dashicons dashicons-performance"></span>
+		SemanticLinker AI &#8212; Symulator progów
+	</h1>
+
+	<!-- Status bar -->
+	<div class="sl-status-bar">
+		<span class="sl-status-item">Próg podobieństwa: <strong><?php echo esc_html( $current['similarity_threshold'] ); ?></strong></span>
+		<span class="sl-status-item">Próg Custom URLs: <strong><?php echo esc_html( $current['custom_url_threshold'] ); ?></strong></span>
+		<span class="sl-status-item">Próg klastra: <strong><?php echo esc_html( $current['cluster_threshold'] ); ?></strong></span>
+		<span class="sl-status-item">Dane symulacji:
+			<strong><?php echo esc_html( $prepared ? $prepared['prepared_at'] : 'brak' ); ?></strong>
+		</span>
+	</div>
+
+	<!-- Two-column layout -->
+	<div class="sl-layout">
+		<div class="sl-main">
+
+			<!-- Thresholds -->
+			<div class="sl-card" id="sl-simulator" data-prepared="<?php echo $prepared ? '1' : '0'; ?>">
+				<h2 class="sl-card-title">Progi</h2>
+				<table class="form-table">
+					<?php foreach ( $sliders as $key => $slider ) : ?>
+						<tr>
+							<th scope="row"><label for="sl-sim-<?php echo esc_attr( $key ); ?>"><?php echo esc_html( $slider['label'] ); ?></label></th>
+							<td>
+								<input type="range" id="sl-sim-<?php echo esc_attr( $key ); ?>" class="sl-range sl-sim-slider"
+								       name="<?php echo esc_attr( $key ); ?>"
+								       min="<?php echo esc_attr( SL_Simulator::RANGES[ $key ][0] ); ?>"
+								       max="<?php echo esc_attr( SL_Simulator::RANGES[ $key ][1] ); ?>"
+								       step="0.01"
+								       value="<?php echo esc_attr( $current[ $key ] ); ?>"
+								       data-current="<?php echo esc_attr( $current[ $key ] ); ?>" />
+								<span class="sl-range-val sl-sim-value"><?php echo esc_html( number_format( $current[ $key ], 2 ) ); ?></span>
+								<p class="description"><?php echo esc_html( $slider['help'] ); ?></p>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</table>
+
+				<!-- Filled by admin.js after sl_simulate -->
+				<div class="sl-sim-counts" hidden>
+					<span class="sl-sim-count">Linki po zmianie: <strong data-count="total">0</strong> <span class="sl-muted">(teraz <span data-count="current">0</span>)</span></span>
+					<span class="sl-sim-count sl-sim-created">Nowe: <strong data-count="created">0</strong></span>
+					<span class="sl-sim-count sl-sim-removed">Usunięte: <strong data-count="removed">0</strong></span>
+					<span class="sl-sim-count sl-sim-changed">Zmieniony anchor: <strong data-count="changed">0</strong></span>
+					<span class="sl-sim-count">Bez zmian: <strong data-count="unchanged">0</strong></span>
+				</div>
+				<p class="sl-sim-empty sl-muted"<?php echo $prepared ? ' hidden' : ''; ?>>
+					Brak danych symulacji – kliknij „Przygotuj dane” w panelu obok.
+				</p>
+			</div>
+
+			<!-- Histogram -->
+			<div class="sl-card">
+				<h2 class="sl-card-title">Rozkład podobieństwa kandydatów</h2>
+				<div id="sl-sim-histogram" class="sl-sim-histogram"></div>
+				<p class="description">
+					<span class="sl-graph-dot sl-sim-dot-post"></span> wpisy
+					<span class="sl-graph-dot sl-sim-dot-custom"></span> Custom URLs
+					– linie pokazują ustawione progi, słupki poniżej progu są wyszarzone.
+				</p>
+			</div>
+
+			<!-- Samples -->
+			<div class="sl-card">
+				<h2 class="sl-card-title">Przykładowe zmiany</h2>
+				<div id="sl-sim-samples">
+					<p style="color: #666; font-style: italic;">Przesuń suwak, aby zobaczyć przykłady.</p>
+				</div>
+			</div>
+
+		</div><!-- /.sl-main -->
+
+		<!-- Sidebar -->
+		<div class="sl-sidebar">
+
+			<!-- Preparation -->
+			<div class="sl-card">
+				<h2 class="sl-card-title">Dane symulacji</h2>
+				<?php if ( $prepared ) : ?>
+					<p class="sl-muted">
+						Przygotowano <?php echo esc_html( $prepared['prepared_at'] ); ?>:
+						<?php echo esc_html( $prepared['candidates'] ); ?> kandydatów z <?php echo esc_html( $prepared['sources'] ); ?> postów.
+					</p>
+				<?php endif; ?>
+				<p class="description">
+					Liczy kandydatów z zapisanych embeddingów, bez zapytań do API i bez zapisu linków. Przy dużej witrynie
+					trwa to kilka minut. Po reindeksacji lub zmianie treści przygotuj dane ponownie.
+				</p>
+				<button type="button" class="button button-secondary sl-sim-prepare">
+					<span class="dashicons dashicons-update" style="vertical-align: middle;"></span>
+					<?php echo $prepared ? 'Przygotuj ponownie' : 'Przygotuj dane'; ?>
+				</button>
+				<p class="sl-sim-progress sl-muted"<?php echo $running ? '' : ' hidden'; ?>>
+					<?php echo $running ? esc_html( $running['percent'] . '% – przygotowanie przerwane lub w toku.' ) : ''; ?>
+				</p>
+			</div>
+
+			<!-- Apply -->
+			<div class="sl-card">
+				<h2 class="sl-card-title">Zastosuj</h2>
+				<p class="description">
+					Zapisuje progi z suwaków w ustawieniach. Istniejące linki się nie zmienią – nowe progi zostaną użyte
+					przy następnym dopasowywaniu (np. „Reindeksuj teraz” w ustawieniach).
+				</p>
+				<button type="button" class="button button-primary sl-sim-apply" disabled>Zapisz progi</button>
+				<button type="button" class="button sl-sim-reset" disabled>Przywróć zapisane</button>
+			</div>
+
+			<!-- Info box -->
+			<div class="sl-card" style="background: #e7f5ff; border-color: #74c0fc;">
+				<h2 class="sl-card-title" style="color: #1971c2; border-bottom-color: #74c0fc;">Jak działa symulacja</h2>
+				<ul style="font-size: 13px; color: #1864ab; margin: 0; padding-left: 18px; line-height: 1.6;">
+					<li>Porównanie dotyczy pełnego dopasowania od zera z aktualnymi aktywnymi linkami</li>
+					<li>Linki ręczne zostają bez zmian, ale zajmują miejsce w limitach</li>
+					<li>Uwzględnia limity linków na wpis i na URL, blacklistę, kategorie, język i klastry anchorów</li>
+					<li>Filtr AI nie jest symulowany – przy włączonym filtrze linków będzie mniej</li>
+					<li>Klastry liczone są tylko dla anchorów o wspólnym słowie, a podobieństwo anchorów przybliża podobieństwo tytułów ich celów, więc wynik jest przybliżony</li>
+				</ul>
+			</div>
+
+		</div><!-- /.sl-sidebar -->
+	</div><!-- /.sl-layout -->
+
+</div><!-- .wrap -->
@@ -0,0 +1,122 @@
+<?php
+/**
+ * Admin template – SemanticLinker AI → Eksport / Import
+ *
+ * Export is a plain form posted to admin-post.php (file download);
+ * the import preview and run are handled by admin.js (section 11).
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$link_counts = SL_DB::count_links_by_status();
+$counts      = [
+	'links'       => array_sum( $link_counts ),
+	'blacklist'   => array_sum( SL_DB::count_blacklist_by_type() ),
+	'custom_urls' => SL_DB::get_custom_url_count(),
+];
+?>
+<div class="wrap sl-wrap">
+
+	<!-- Page title -->
+	<h1 class="sl-page-title">
+		<span class="dashicons dashicons-migrate"></span>
+		SemanticLinker AI &#8212; Eksport / Import
+	</h1>
+
+	<!-- Two-column layout -->
+	<div class="sl-layout">
+		<div class="sl-main">
+
+			<!-- Export -->
+			<div class="sl-card">
+				<h2 class="sl-card-title">Eksport</h2>
+				<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" id="sl-export-form">
+					<input type="hidden" name="action" value="sl_export" />
+					<?php wp_nonce_field( 'sl_export', 'sl_nonce' ); ?>
+
+					<fieldset class="sl-transfer-sections">
+						<legend class="screen-reader-text">Sekcje</legend>
+						<?php foreach ( SL_Transfer::SECTIONS as $section => $label ) : ?>
+							<label>
+								<input type="checkbox" name="sections[]" value="<?php echo esc_attr( $section ); ?>" checked />
+								<?php echo esc_html( $label ); ?>
+								<?php if ( isset( $counts[ $section ] ) ) : ?>
+									<span class="sl-muted">(<?php echo esc_html( $counts[ $section ] ); ?>)</span>
+								<?php endif; ?>
+							</label>
+						<?php endforeach; ?>
+					</fieldset>
+
+					<fieldset class="sl-transfer-format">
+						<legend class="screen-reader-text">Format</legend>
+						<label><input type="radio" name="format" value="json" checked /> JSON (wszystkie sekcje)</label>
+						<label><input type="radio" name="format" value="csv" /> CSV (jedna sekcja, bez ustawień)</label>
+					</fieldset>
+
+					<p>
+						<button type="submit" class="button button-primary">Pobierz plik</button>
+					</p>
+				</form>
+			</div>
+
+			<!-- Import -->
+			<div class="sl-card">
+				<h2 class="sl-card-title">Import</h2>
+
+				<div class="sl-transfer-upload">
+					<label for="sl-import-file" class="screen-reader-text">Plik do importu</label>
+					<input type="file" id="sl-import-file" accept=".json,.csv" />
+
+					<fieldset class="sl-transfer-mode">
+						<legend class="screen-reader-text">Tryb importu</legend>
+						<label><input type="radio" name="sl_import_mode" value="merge" checked /> Scal z istniejącymi danymi</label>
+						<label><input type="radio" name="sl_import_mode" value="replace" /> Zastąp wybrane sekcje</label>
+					</fieldset>
+
+					<button type="button" id="sl-btn-import-preview" class="button">Podgląd importu</button>
+				</div>
+
+				<!-- Filled by admin.js after sl_import_preview -->
+				<div id="sl-import-preview" hidden>
+					<table class="widefat striped sl-import-table">
+						<thead>
+							<tr>
+								<td class="manage-column column-cb check-column"></td>
+								<th>Sekcja</th>
+								<th>W pliku</th>
+								<th>Nowe</th>
+								<th>Aktualizacje</th>
+								<th>Pominięte</th>
+								<th>Nierozpoznane</th>
+							</tr>
+						</thead>
+						<tbody></tbody>
+					</table>
+					<div class="sl-import-messages"></div>
+					<p>
+						<button type="button" id="sl-btn-import-run" class="button button-primary">Importuj</button>
+					</p>
+				</div>
+			</div>
+
+		</div><!-- /.sl-main -->
+
+		<!-- Sidebar -->
+		<div class="sl-sidebar">
+			<div class="sl-card" style="background: #e7f5ff; border-color: #74c0fc;">
+				<h2 class="sl-card-title" style="color: #1971c2; border-bottom-color: #74c0fc;">Jak to działa</h2>
+				<ul style="font-size: 13px; color: #1864ab; margin: 0; padding-left: 18px; line-height: 1.6;">
+					<li>Wpisy są dopasowywane po URL-u, a gdy ten się nie zgadza – po slugu i typie wpisu, więc import działa między stagingiem a produkcją</li>
+					<li>Wiersze, których wpisów nie ma na tej stronie, są pomijane i wymienione w podglądzie jako nierozpoznane</li>
+					<li><strong>Scal</strong> – zachowuje istniejące dane; link o tej samej parze źródło → URL i custom URL o tym samym adresie zostaną nadpisane danymi z pliku</li>
+					<li><strong>Zastąp</strong> – usuwa dane wybranych sekcji przed importem</li>
+					<li>Klucze API nie są eksportowane</li>
+					<li>Zaimportowane custom URL-e dostaną embeddingi od razu po imporcie</li>
+				</ul>
+			</div>
+		</div><!-- /.sl-sidebar -->
+	</div><!-- /.sl-layout -->
+
+</div><!-- .wrap -->
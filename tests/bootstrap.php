@@ -0,0 +1,23 @@
+<?php
+/**
+ * PHPUnit bootstrap: loads the classes under test without WordPress.
+ *
+ * The few WordPress functions they call are defined in
+ * tests/wordpress.php; the plugin classes they depend on but that are
+ * not under test (SL_DB, SL_Settings …) are replaced by the in-memory
+ * doubles in tests/doubles/.
+ */
+
+define( 'ABSPATH', __DIR__ . '/' );
+define( 'SL_PLUGIN_DIR', dirname( __DIR__ ) . '/' );
+
+require_once __DIR__ . '/wordpress.php';
+
+require_once SL_PLUGIN_DIR . 'includes/interface-sl-embedding-provider.php';
+require_once SL_PLUGIN_DIR . 'includes/class-sl-embedding-api.php';
+require_once SL_PLUGIN_DIR . 'includes/class-sl-history.php';
+require_once SL_PLUGIN_DIR . 'includes/class-sl-vector-codec.php';
+
+foreach ( glob( __DIR__ . '/doubles/*.php' ) as $double ) {
+	require_once $double;
+}
@@ -0,0 +1,204 @@
+<?php
+/**
+ * In-memory SL_DB: links, blacklist entries and the link history
+ * (runs, events).  Like the real class it reports every change to
+ * SL_History, so a rollback records its own run.
+ */
+class SL_DB {
+
+	/** @var object[] link_id => row */
+	public static array $links = [];
+
+	/** @var object[] entry_id => row */
+	public static array $blacklist = [];
+
+	/** @var object[] run_id => row */
+	public static array $runs = [];
+
+	/** @var object[] In insertion order. */
+	public static array $events = [];
+
+	private static int $next_id = 1;
+
+	public static function reset(): void {
+		self::$links     = [];
+		self::$blacklist = [];
+		self::$runs      = [];
+		self::$events    = [];
+		self::$next_id   = 1;
+	}
+
+	/* ── Links ──────────────────────────────────────────────────── */
+
+	public static function insert_link( array $data ) {
+		$row = array_merge( [
+			'target_post_id'   => 0,
+			'similarity_score' => 0.0,
+			'status'           => 'active',
+			'origin'           => 'auto',
+		], $data );
+
+		$link_id                 = self::$next_id++;
+		self::$links[ $link_id ] = (object) ( [ 'ID' => $link_id ] + $row );
+		SL_History::link_created( $link_id, $row );
+
+		return $link_id;
+	}
+
+	public static function get_link( int $link_id ) {
+		return isset( self::$links[ $link_id ] ) ? clone self::$links[ $link_id ] : null;
+	}
+
+	public static function get_link_by_pair( int $post_id, string $target_url ) {
+		foreach ( self::$links as $link ) {
+			if ( (int) $link->post_id === $post_id && $link->target_url === $target_url ) {
+				return clone $link;
+			}
+		}
+		return null;
+	}
+
+	public static function update_link( int $link_id, array $data ): bool {
+		$before = self::get_link( $link_id );
+		if ( ! $before ) {
+			return false;
+		}
+
+		$changed = false;
+		foreach ( array_intersect_key( $data, array_flip( [ 'anchor_text', 'similarity_score', 'status', 'origin' ] ) ) as $column => $value ) {
+			if ( (string) $before->$column !== (string) $value ) {
+				self::$links[ $link_id ]->$column = $value;
+				$changed = true;
+			}
+		}
+
+		if ( $changed ) {
+			SL_History::link_updated( $before, $data );
+		}
+
+		return $changed;
+	}
+
+	public static function update_link_status( int $link_id, string $status ): bool {
+		$before = self::get_link( $link_id );
+		if ( ! $before || $before->status === $status ) {
+			return false;
+		}
+
+		self::$links[ $link_id ]->status = $status;
+		SL_History::link_updated( $before, [ 'status' => $status ] );
+
+		return true;
+	}
+
+	public static function delete_link( int $link_id ): bool {
+		$row = self::get_link( $link_id );
+		if ( ! $row ) {
+			return false;
+		}
+
+		unset( self::$links[ $link_id ] );
+		SL_History::link_deleted( $row );
+
+		return true;
+	}
+
+	public static function restore_link( array $row ) {
+		if ( ! empty( $row['ID'] ) && self::get_link( (int) $row['ID'] ) ) {
+			unset( $row['ID'] );
+		}
+
+		$link_id = (int) ( $row['ID'] ?? self::$next_id++ );
+		unset( $row['ID'] );
+		self::$links[ $link_id ] = (object) ( [ 'ID' => $link_id ] + $row );
+		SL_History::link_created( $link_id, $row );
+
+		return $link_id;
+	}
+
+	/* ── Blacklist ──────────────────────────────────────────────── */
+
+	public static function get_blacklist_entry( int $id ) {
+		return self::$blacklist[ $id ] ?? null;
+	}
+
+	public static function delete_blacklist_entry( int $id ): bool {
+		$row = self::get_blacklist_entry( $id );
+		if ( ! $row ) {
+			return false;
+		}
+
+		unset( self::$blacklist[ $id ] );
+		SL_History::blacklist_removed( $row );
+
+		return true;
+	}
+
+	public static function blacklist_entry_exists( string $rule_type, int $post_id, string $target_url, string $pattern = '' ): bool {
+		foreach ( self::$blacklist as $entry ) {
+			if ( $entry->rule_type === $rule_type && (int) $entry->post_id === $post_id && $entry->target_url === $target_url && $entry->pattern === $pattern ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	public static function restore_blacklist_entry( array $row ) {
+		$id = (int) ( $row['ID'] ?? 0 );
+		if ( ! $id || isset( self::$blacklist[ $id ] ) ) {
+			$id = self::$next_id++;
+		}
+		unset( $row['ID'] );
+		self::$blacklist[ $id ] = (object) ( [ 'ID' => $id ] + $row );
+		SL_History::blacklist_added( $id, $row );
+
+		return $id;
+	}
+
+	/* ── History ────────────────────────────────────────────────── */
+
+	public static function insert_link_run( string $run_id, string $type, string $label, int $user_id ): void {
+		self::$runs[ $run_id ] = (object) [
+			'run_id'         => $run_id,
+			'type'           => $type,
+			'label'          => $label,
+			'user_id'        => $user_id,
+			'status'         => 'running',
+			'events'         => 0,
+			'rolled_back_by' => '',
+			'created_at'     => current_time( 'mysql' ),
+		];
+	}
+
+	public static function update_link_run( string $run_id, array $data ): void {
+		if ( isset( self::$runs[ $run_id ] ) ) {
+			foreach ( array_intersect_key( $data, array_flip( [ 'status', 'finished_at', 'rolled_back_by' ] ) ) as $column => $value ) {
+				self::$runs[ $run_id ]->$column = $value;
+			}
+		}
+	}
+
+	public static function get_link_run( string $run_id ) {
+		return isset( self::$runs[ $run_id ] ) ? clone self::$runs[ $run_id ] : null;
+	}
+
+	public static function insert_link_events( array $events ): void {
+		foreach ( $events as $event ) {
+			self::$events[] = (object) ( [ 'ID' => count( self::$events ) + 1 ] + $event );
+			if ( isset( self::$runs[ $event['run_id'] ] ) ) {
+				self::$runs[ $event['run_id'] ]->events++;
+			}
+		}
+	}
+
+	public static function get_link_run_events( string $run_id ): array {
+		$events = array_filter( self::$events, function ( $event ) use ( $run_id ) {
+			return $event->run_id === $run_id;
+		} );
+		return array_reverse( array_values( $events ) );
+	}
+
+	public static function prune_link_history( string $before, int $keep_runs ): int {
+		return 0;
+	}
+}
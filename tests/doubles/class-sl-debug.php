@@ -0,0 +1,13 @@
+<?php
+/**
+ * SL_Debug keeping the logged entries for assertions.
+ */
+class SL_Debug {
+
+	/** @var array[] [ context, message, data ] */
+	public static array $entries = [];
+
+	public static function log( string $context, string $message, array $data = [] ): void {
+		self::$entries[] = [ $context, $message, $data ];
+	}
+}
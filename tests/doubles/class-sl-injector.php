@@ -0,0 +1,12 @@
+<?php
+/**
+ * SL_Injector counting full cache flushes.
+ */
+class SL_Injector {
+
+	public static int $flushes = 0;
+
+	public static function flush_all_caches(): void {
+		self::$flushes++;
+	}
+}
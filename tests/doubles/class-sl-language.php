@@ -0,0 +1,14 @@
+<?php
+/**
+ * SL_Language whose filter prompt is the bare JSON list of pairs.
+ */
+class SL_Language {
+
+	public static function profile( string $code = '' ): array {
+		return [ 'prompt' => '%s' ];
+	}
+
+	public static function default_language(): string {
+		return 'pl';
+	}
+}
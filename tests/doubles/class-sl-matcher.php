@@ -0,0 +1,12 @@
+<?php
+/**
+ * SL_Matcher with a settable matching progress.
+ */
+class SL_Matcher {
+
+	public static ?array $progress = null;
+
+	public static function get_progress(): ?array {
+		return self::$progress;
+	}
+}
@@ -0,0 +1,12 @@
+<?php
+/**
+ * SL_Settings reading from a plain array set by the test.
+ */
+class SL_Settings {
+
+	public static array $values = [];
+
+	public static function get( string $key, $default = null ) {
+		return self::$values[ $key ] ?? $default;
+	}
+}
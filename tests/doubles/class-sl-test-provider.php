@@ -0,0 +1,63 @@
+<?php
+/**
+ * Provider answering filter prompts with a callback.
+ *
+ * The callback gets the pairs of the prompt (as rendered by
+ * SL_Embedding_API::build_anchor_prompt() with the SL_Language double)
+ * and the request options, and returns the answer text or false.
+ */
+class SL_Test_Provider implements SL_Embedding_Provider {
+
+	/** @var callable */
+	private $answer;
+
+	/** @var array[] [ items, options ] of every complete() call. */
+	public array $requests = [];
+
+	public function __construct( callable $answer ) {
+		$this->answer = $answer;
+	}
+
+	public function get_id(): string {
+		return 'test';
+	}
+
+	public function get_model(): string {
+		return 'test-embedding';
+	}
+
+	public function get_base_url(): string {
+		return '';
+	}
+
+	public function get_dimensions(): int {
+		return 0;
+	}
+
+	public function get_batch_size(): int {
+		return 100;
+	}
+
+	public function is_configured(): bool {
+		return true;
+	}
+
+	public function get_last_http_code(): int {
+		return 200;
+	}
+
+	public function get_last_usage(): array {
+		return [ 'input' => 0, 'output' => 0 ];
+	}
+
+	public function embed_batch( array $texts ) {
+		return false;
+	}
+
+	public function complete( string $prompt, array $options = [] ) {
+		$items            = json_decode( $prompt, true );
+		$this->requests[] = [ $items, $options ];
+
+		return ( $this->answer )( $items, $options );
+	}
+}
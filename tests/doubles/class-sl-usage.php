@@ -0,0 +1,21 @@
+<?php
+/**
+ * SL_Usage keeping the recorded counters for assertions.
+ */
+class SL_Usage {
+
+	/** @var array[] [ kind, model, counters ] */
+	public static array $records = [];
+
+	public static function record( string $kind, string $model, array $counters ): void {
+		self::$records[] = [ $kind, $model, $counters ];
+	}
+
+	public static function estimate_tokens( int $chars ): int {
+		return (int) ceil( $chars / 4 );
+	}
+
+	public static function model( string $kind ): string {
+		return 'test-' . $kind;
+	}
+}
@@ -0,0 +1,152 @@
+<?php
+
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Verdicts of the AI anchor filter: reading the model's answer and
+ * splitting batches whose answer was truncated.
+ */
+class SL_Embedding_API_Test extends TestCase {
+
+	protected function setUp(): void {
+		sl_test_reset();
+		SL_Debug::$entries = [];
+		SL_Usage::$records = [];
+		SL_Embedding_API::clear_errors();
+	}
+
+	/**
+	 * @dataProvider answers
+	 */
+	public function test_parse_verdicts( string $text, array $expected ): void {
+		$this->assertSame( $expected, $this->parse( $text ) );
+	}
+
+	public function answers(): array {
+		$yes = [ 'match' => true, 'confidence' => 0.9, 'reason' => 'Pasuje', 'source' => 'api' ];
+		$no  = [ 'match' => false, 'confidence' => 0.2, 'reason' => 'Inny temat', 'source' => 'api' ];
+
+		return [
+			'object'          => [
+				'{"verdicts":[{"id":1,"match":true,"confidence":0.9,"reason":"Pasuje"},{"id":2,"match":false,"confidence":0.2,"reason":"Inny temat"}]}',
+				[ 1 => $yes, 2 => $no ],
+			],
+			'code fence'      => [
+				"```json\n{\"verdicts\":[{\"id\":1,\"match\":true,\"confidence\":0.9,\"reason\":\"Pasuje\"}]}\n```",
+				[ 1 => $yes ],
+			],
+			'bare list'       => [
+				'[{"id":"2","match":false,"confidence":"0.2","reason":"Inny temat"}]',
+				[ 2 => $no ],
+			],
+			'string match'    => [
+				'[{"id":1,"match":"yes"},{"id":2,"match":"false"},{"id":3,"match":"TRUE"}]',
+				[
+					1 => [ 'match' => true, 'confidence' => null, 'reason' => '', 'source' => 'api' ],
+					2 => [ 'match' => false, 'confidence' => null, 'reason' => '', 'source' => 'api' ],
+					3 => [ 'match' => true, 'confidence' => null, 'reason' => '', 'source' => 'api' ],
+				],
+			],
+			'confidence'      => [
+				'[{"id":1,"match":true,"confidence":1.7},{"id":2,"match":true,"confidence":-0.5},{"id":3,"match":true,"confidence":"high"}]',
+				[
+					1 => [ 'match' => true, 'confidence' => 1.0, 'reason' => '', 'source' => 'api' ],
+					2 => [ 'match' => true, 'confidence' => 0.0, 'reason' => '', 'source' => 'api' ],
+					3 => [ 'match' => true, 'confidence' => null, 'reason' => '', 'source' => 'api' ],
+				],
+			],
+			'invalid items'   => [
+				'{"verdicts":[{"match":true},{"id":2},"tak",{"id":3,"match":false}]}',
+				[ 3 => [ 'match' => false, 'confidence' => null, 'reason' => '', 'source' => 'api' ] ],
+			],
+			'not JSON'        => [ 'Tak, wszystkie pasują.', [] ],
+			'empty verdicts'  => [ '{"verdicts":[]}', [] ],
+		];
+	}
+
+	public function test_reason_is_sanitized_and_truncated(): void {
+		$verdicts = $this->parse( wp_json_encode( [ [ 'id' => 1, 'match' => true, 'reason' => '<b>Bardzo</b>   ' . str_repeat( 'ż', 300 ) ] ] ) );
+
+		$this->assertSame( 'Bardzo ' . str_repeat( 'ż', 248 ), $verdicts[1]['reason'] );
+	}
+
+	public function test_request_disables_thinking(): void {
+		$provider = new SL_Test_Provider( [ $this, 'answer_all' ] );
+
+		$this->request( $provider, $this->pairs( 3 ) );
+
+		$this->assertCount( 1, $provider->requests );
+		$this->assertTrue( $provider->requests[0][1]['json'] );
+		$this->assertSame( 0, $provider->requests[0][1]['thinking_budget'] );
+	}
+
+	public function test_truncated_batch_is_split(): void {
+		// Answers of more than two pairs hit MAX_TOKENS
+		$provider = new SL_Test_Provider( function ( array $items, array $options ) {
+			if ( count( $items ) > 2 ) {
+				SL_Embedding_API::track_error( 'max_tokens', 'Odpowiedź API została obcięta (MAX_TOKENS)' );
+				return false;
+			}
+			return $this->answer_all( $items, $options );
+		} );
+
+		$verdicts = $this->request( $provider, $this->pairs( 5 ) );
+
+		$this->assertSame( [ 5, 3, 2, 1, 2 ], array_map( 'count', array_column( $provider->requests, 0 ) ) );
+		$this->assertSame( [ 'a', 'b', 'c', 'd', 'e' ], array_keys( $verdicts ) );
+		$this->assertSame( [ 'api' ], array_unique( array_column( $verdicts, 'source' ) ) );
+		$this->assertSame( 'Anchor 4', $verdicts['d']['reason'] );
+
+		// Every request is metered, the truncated ones as errors
+		$this->assertSame( [ 1, 1, 0, 0, 0 ], array_map( function ( $record ) {
+			return $record[2]['errors'];
+		}, SL_Usage::$records ) );
+	}
+
+	public function test_failed_request_fails_open(): void {
+		$provider = new SL_Test_Provider( function () {
+			SL_Embedding_API::track_error( 'http', 'HTTP 500' );
+			return false;
+		} );
+
+		$verdicts = $this->request( $provider, $this->pairs( 3 ) );
+
+		$this->assertCount( 1, $provider->requests );
+		$this->assertSame( [ 'error' ], array_unique( array_column( $verdicts, 'source' ) ) );
+		$this->assertSame( [ true ], array_unique( array_column( $verdicts, 'match' ) ) );
+	}
+
+	/**
+	 * Provider callback: every pair matches, the reason names its anchor.
+	 */
+	public function answer_all( array $items, array $options ): string {
+		$verdicts = [];
+		foreach ( $items as $item ) {
+			$verdicts[] = [ 'id' => $item['id'], 'match' => true, 'confidence' => 0.8, 'reason' => $item['anchor'] ];
+		}
+		return wp_json_encode( [ 'verdicts' => $verdicts ] );
+	}
+
+	private function parse( string $text ): array {
+		$method = new ReflectionMethod( SL_Embedding_API::class, 'parse_verdicts' );
+		$method->setAccessible( true );
+		return $method->invoke( null, $text );
+	}
+
+	private function request( SL_Embedding_Provider $provider, array $pairs ): array {
+		$method = new ReflectionMethod( SL_Embedding_API::class, 'request_verdicts' );
+		$method->setAccessible( true );
+		return $method->invoke( new SL_Embedding_API( null, null, $provider ), $pairs, '' );
+	}
+
+	/**
+	 * Pairs keyed 'a', 'b' … with anchors 'Anchor 1', 'Anchor 2' …
+	 */
+	private function pairs( int $count ): array {
+		$pairs = [];
+		for ( $i = 1; $i <= $count; $i++ ) {
+			$pairs[ chr( 96 + $i ) ] = [ 'anchor' => 'Anchor ' . $i, 'title' => 'Tytuł ' . $i ];
+		}
+		return $pairs;
+	}
+}
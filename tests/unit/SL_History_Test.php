@@ -0,0 +1,137 @@
+<?php
+
+use PHPUnit\Framework\TestCase;
+
+/**
+ * SL_History::rollback() against the in-memory SL_DB.
+ */
+class SL_History_Test extends TestCase {
+
+	protected function setUp(): void {
+		sl_test_reset();
+		SL_DB::reset();
+		SL_Settings::$values  = [];
+		SL_Debug::$entries    = [];
+		SL_Matcher::$progress = null;
+		SL_Injector::$flushes = 0;
+	}
+
+	public function test_rollback_reverts_every_event_newest_first(): void {
+		$run_id = SL_History::start( 'matching' );
+		$first  = SL_DB::insert_link( $this->link( 10, 'https://example.com/a/', 'stare słowo' ) );
+		SL_DB::update_link( $first, [ 'anchor_text' => 'nowe słowo' ] );
+		$second = SL_DB::insert_link( $this->link( 11, 'https://example.com/b/', 'inne słowo' ) );
+		SL_DB::update_link_status( $second, 'rejected' );
+		SL_History::finish();
+
+		$result = SL_History::rollback( $run_id );
+
+		$this->assertSame( 4, $result['reverted'] );
+		$this->assertSame( 0, $result['skipped'] );
+		$this->assertSame( [], SL_DB::$links );
+
+		// The rollback is a run of its own, with the inverse events
+		$rollback = SL_DB::get_link_run( $result['run_id'] );
+		$this->assertSame( 'rollback', $rollback->type );
+		$this->assertSame( 'done', $rollback->status );
+		$this->assertSame(
+			[ 'status', 'deleted', 'updated', 'deleted' ],
+			array_reverse( array_column( SL_DB::get_link_run_events( $result['run_id'] ), 'event' ) )
+		);
+
+		$run = SL_DB::get_link_run( $run_id );
+		$this->assertSame( 'rolled_back', $run->status );
+		$this->assertSame( $result['run_id'], $run->rolled_back_by );
+
+		$this->assertEqualsCanonicalizing(
+			[ [ 'sl_link_changed', [ 10 ] ], [ 'sl_link_changed', [ 11 ] ] ],
+			$GLOBALS['sl_test']['actions']
+		);
+	}
+
+	public function test_rollback_skips_links_changed_since(): void {
+		$link_id = SL_DB::insert_link( $this->link( 10, 'https://example.com/a/', 'słowo' ) );
+		SL_History::shutdown();
+
+		$run_id = SL_History::start( 'bulk' );
+		SL_DB::update_link_status( $link_id, 'rejected' );
+		SL_History::finish();
+
+		SL_History::start( 'filter' );
+		SL_DB::update_link_status( $link_id, 'filtered' );
+		SL_History::finish();
+
+		$result = SL_History::rollback( $run_id );
+
+		$this->assertSame( 0, $result['reverted'] );
+		$this->assertSame( 1, $result['skipped'] );
+		$this->assertSame( 'filtered', SL_DB::get_link( $link_id )->status );
+	}
+
+	public function test_rollback_restores_deleted_link_under_its_id(): void {
+		$link_id = SL_DB::insert_link( $this->link( 10, 'https://example.com/a/', 'słowo' ) );
+		SL_History::shutdown();
+
+		$run_id = SL_History::start( 'delete_all' );
+		SL_DB::delete_link( $link_id );
+		SL_History::finish();
+
+		$result = SL_History::rollback( $run_id );
+
+		$this->assertSame( 1, $result['reverted'] );
+		$this->assertSame( 'słowo', SL_DB::get_link( $link_id )->anchor_text );
+	}
+
+	public function test_rollback_keeps_deleted_link_when_pair_was_recreated(): void {
+		$link_id = SL_DB::insert_link( $this->link( 10, 'https://example.com/a/', 'słowo' ) );
+		SL_History::shutdown();
+
+		$run_id = SL_History::start( 'cleanup' );
+		SL_DB::delete_link( $link_id );
+		SL_History::finish();
+
+		SL_History::start( 'matching' );
+		SL_DB::insert_link( $this->link( 10, 'https://example.com/a/', 'inne słowo' ) );
+		SL_History::finish();
+
+		$result = SL_History::rollback( $run_id );
+
+		$this->assertSame( 1, $result['skipped'] );
+		$this->assertNull( SL_DB::get_link( $link_id ) );
+		$this->assertCount( 1, SL_DB::$links );
+	}
+
+	public function test_rolled_back_run_is_refused(): void {
+		$run_id = SL_History::start( 'matching' );
+		SL_DB::insert_link( $this->link( 10, 'https://example.com/a/', 'słowo' ) );
+		SL_History::finish();
+
+		$this->assertIsArray( SL_History::rollback( $run_id ) );
+		$this->assertSame( 'To uruchomienie zostało już cofnięte.', SL_History::rollback( $run_id ) );
+	}
+
+	public function test_running_matching_run_is_refused(): void {
+		$run_id = SL_History::start( 'matching' );
+		SL_DB::insert_link( $this->link( 10, 'https://example.com/a/', 'słowo' ) );
+		SL_History::flush();
+		SL_Matcher::$progress = [ 'run_id' => $run_id ];
+
+		$this->assertSame( 'Dopasowywanie jeszcze trwa – anuluj je przed cofnięciem.', SL_History::rollback( $run_id ) );
+		$this->assertCount( 1, SL_DB::$links );
+
+		SL_History::finish();
+	}
+
+	public function test_unknown_run_is_refused(): void {
+		$this->assertSame( 'Nie znaleziono uruchomienia.', SL_History::rollback( 'missing' ) );
+	}
+
+	private function link( int $post_id, string $target_url, string $anchor ): array {
+		return [
+			'post_id'          => $post_id,
+			'anchor_text'      => $anchor,
+			'target_url'       => $target_url,
+			'similarity_score' => 0.8,
+		];
+	}
+}
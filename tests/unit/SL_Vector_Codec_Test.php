@@ -0,0 +1,100 @@
+<?php
+
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Round trips of the stored vector formats.
+ */
+class SL_Vector_Codec_Test extends TestCase {
+
+	protected function setUp(): void {
+		SL_Settings::$values = [];
+	}
+
+	public function test_f32_round_trip(): void {
+		$vector = [ 0.5, -0.25, 1.0, 0.0, -1.0 ];
+		$data   = SL_Vector_Codec::encode( $vector, 'f32' );
+
+		$this->assertSame( 4 * count( $vector ), strlen( $data ) );
+		$this->assertSame( $vector, SL_Vector_Codec::decode( $data, 'f32' ) );
+
+		$vector = $this->vector( 768 );
+		$this->assertEqualsWithDelta( $vector, SL_Vector_Codec::decode( SL_Vector_Codec::encode( $vector, 'f32' ), 'f32' ), 1e-7 );
+	}
+
+	public function test_i8_round_trip_is_close(): void {
+		$vector = $this->vector( 768 );
+		$data   = SL_Vector_Codec::encode( $vector, 'i8' );
+
+		$this->assertSame( 4 + count( $vector ), strlen( $data ) );
+
+		// Rounding error at most half a step (scale = max |x| / 127)
+		$decoded = SL_Vector_Codec::decode( $data, 'i8' );
+		$step    = max( array_map( 'abs', $vector ) ) / 127;
+		$this->assertEqualsWithDelta( $vector, $decoded, $step / 2 + 1e-7 );
+		$this->assertEqualsWithDelta( 1.0, $this->cosine( $vector, $decoded ), 0.001 );
+	}
+
+	public function test_i8_zero_vector(): void {
+		$decoded = SL_Vector_Codec::decode( SL_Vector_Codec::encode( [ 0.0, 0.0, 0.0 ], 'i8' ), 'i8' );
+
+		$this->assertEquals( [ 0.0, 0.0, 0.0 ], $decoded );
+	}
+
+	public function test_legacy_json(): void {
+		$this->assertSame( [ 0.1, -0.2, 0.3 ], SL_Vector_Codec::decode( '[0.1,-0.2,0.3]', SL_Vector_Codec::LEGACY ) );
+		$this->assertSame( [], SL_Vector_Codec::decode( 'not json', SL_Vector_Codec::LEGACY ) );
+	}
+
+	public function test_empty_values(): void {
+		$this->assertSame( '', SL_Vector_Codec::encode( [], 'f32' ) );
+		$this->assertSame( '', SL_Vector_Codec::encode( [], 'i8' ) );
+		$this->assertSame( [], SL_Vector_Codec::decode( null, 'f32' ) );
+		$this->assertSame( [], SL_Vector_Codec::decode( '', 'i8' ) );
+		$this->assertSame( [], SL_Vector_Codec::decode( "\x00\x00", 'i8' ) );
+	}
+
+	public function test_format_falls_back_to_f32(): void {
+		$this->assertSame( 'f32', SL_Vector_Codec::format() );
+
+		SL_Settings::$values['vector_storage'] = 'i8';
+		$this->assertSame( 'i8', SL_Vector_Codec::format() );
+
+		SL_Settings::$values['vector_storage'] = 'f16';
+		$this->assertSame( 'f32', SL_Vector_Codec::format() );
+	}
+
+	public function test_convertible(): void {
+		$this->assertSame( [ 'json' ], SL_Vector_Codec::convertible( 'f32' ) );
+		$this->assertSame( [ 'json', 'f32' ], SL_Vector_Codec::convertible( 'i8' ) );
+	}
+
+	/**
+	 * Deterministic unit vector shaped like an embedding.
+	 */
+	private function vector( int $dimensions ): array {
+		$vector = [];
+		for ( $i = 1; $i <= $dimensions; $i++ ) {
+			$vector[] = sin( $i * 0.37 ) * cos( $i * 0.11 );
+		}
+		$norm = sqrt( array_sum( array_map( function ( $x ) {
+			return $x * $x;
+		}, $vector ) ) );
+
+		return array_map( function ( $x ) use ( $norm ) {
+			return $x / $norm;
+		}, $vector );
+	}
+
+	private function cosine( array $a, array $b ): float {
+		$dot = 0.0;
+		$na  = 0.0;
+		$nb  = 0.0;
+		foreach ( $a as $i => $x ) {
+			$dot += $x * $b[ $i ];
+			$na  += $x * $x;
+			$nb  += $b[ $i ] * $b[ $i ];
+		}
+		return $dot / sqrt( $na * $nb );
+	}
+}
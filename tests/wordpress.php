@@ -0,0 +1,82 @@
+<?php
+/**
+ * Minimal WordPress API for the unit tests.
+ *
+ * State (actions fired, transients) lives in $GLOBALS['sl_test'] and is
+ * cleared by sl_test_reset() before each test.
+ */
+
+define( 'DAY_IN_SECONDS', 86400 );
+
+function sl_test_reset(): void {
+	$GLOBALS['sl_test'] = [
+		'actions'    => [],
+		'transients' => [],
+		'user_id'    => 1,
+	];
+}
+sl_test_reset();
+
+function add_action( string $hook, $callback, int $priority = 10, int $args = 1 ): bool {
+	return true;
+}
+
+function do_action( string $hook, ...$args ): void {
+	$GLOBALS['sl_test']['actions'][] = [ $hook, $args ];
+}
+
+function get_transient( string $key ) {
+	return $GLOBALS['sl_test']['transients'][ $key ] ?? false;
+}
+
+function set_transient( string $key, $value, int $expiration = 0 ): bool {
+	$GLOBALS['sl_test']['transients'][ $key ] = $value;
+	return true;
+}
+
+function get_current_user_id(): int {
+	return $GLOBALS['sl_test']['user_id'];
+}
+
+function wp_generate_uuid4(): string {
+	return sprintf(
+		'%04x%04x-%04x-%04x-%04x-%04x%04x%04x',
+		mt_rand( 0, 0xffff ), mt_rand( 0, 0xffff ),
+		mt_rand( 0, 0xffff ),
+		mt_rand( 0, 0x0fff ) | 0x4000,
+		mt_rand( 0, 0x3fff ) | 0x8000,
+		mt_rand( 0, 0xffff ), mt_rand( 0, 0xffff ), mt_rand( 0, 0xffff )
+	);
+}
+
+function current_time( string $type ) {
+	return $type === 'mysql' ? gmdate( 'Y-m-d H:i:s' ) : time();
+}
+
+function wp_date( string $format, ?int $timestamp = null ) {
+	return gmdate( $format, $timestamp ?? time() );
+}
+
+function mysql2date( string $format, string $date ) {
+	return gmdate( $format, strtotime( $date ) );
+}
+
+function wp_json_encode( $data, int $options = 0, int $depth = 512 ) {
+	return json_encode( $data, $options, $depth );
+}
+
+function sanitize_text_field( $str ): string {
+	return trim( preg_replace( '/\s+/', ' ', strip_tags( (string) $str ) ) );
+}
+
+function sanitize_key( $key ): string {
+	return preg_replace( '/[^a-z0-9_\-]/', '', strtolower( (string) $key ) );
+}
+
+function wp_doing_ajax(): bool {
+	return false;
+}
+
+function wp_doing_cron(): bool {
+	return false;
+}